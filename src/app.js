@@ -284,6 +284,12 @@ document.addEventListener('DOMContentLoaded', async () => {
             projectManager = new ProjectManager(editor, editor.sceneManager, window.fileBrowser);
             console.log('ProjectManager initialized successfully');
 
+            // Snapshots are grouped by project name, so start them once it is known
+            editor.projectManager = projectManager;
+            if (window.projectSnapshots) {
+                window.projectSnapshots.start();
+            }
+
             // Connect toolbar buttons after ProjectManager is initialized
             connectProjectManagerButtons();
             return true;
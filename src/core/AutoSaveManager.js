@@ -142,7 +142,7 @@ class AutoSaveManager {
     }
     
     /**
-     * Save the current editor state to localStorage
+     * Save the current editor state to ProjectStorage (IndexedDB)
      */
     async saveState() {
         try {
@@ -191,9 +191,8 @@ class AutoSaveManager {
                 };
             }
             
-            // Compress project data before storing (if larger than a certain threshold)
-            const jsonData = JSON.stringify(projectData);
-            localStorage.setItem(this.autoSaveKey, jsonData);
+            // Stored as JSON text, project data can hold values IndexedDB can't clone
+            await window.projectStorage.setItem(this.autoSaveKey, JSON.stringify(projectData));
             
             this.lastSaveTimestamp = Date.now();
             console.log(`Auto-save completed at ${new Date(this.lastSaveTimestamp).toLocaleTimeString()}`);
@@ -206,7 +205,7 @@ class AutoSaveManager {
     }
     
     /**
-     * Save all module definitions to localStorage
+     * Save all module definitions to ProjectStorage
      * This allows us to rebuild module classes when loading a project
      */
     async saveModuleDefinitions() {
@@ -263,9 +262,8 @@ class AutoSaveManager {
                 }
             }
             
-            // Save to localStorage
-            localStorage.setItem(this.moduleDefinitionsKey, JSON.stringify(moduleDefinitions));
-            localStorage.setItem(this.moduleSourcesKey, JSON.stringify(moduleSources));
+            await window.projectStorage.setItem(this.moduleDefinitionsKey, moduleDefinitions);
+            await window.projectStorage.setItem(this.moduleSourcesKey, moduleSources);
             
             console.log(`Saved ${Object.keys(moduleDefinitions).length} module definitions and ${Object.keys(moduleSources).length} module sources`);
             
@@ -343,11 +341,11 @@ class AutoSaveManager {
     }
     
     /**
-     * Load the saved state from localStorage
+     * Load the saved state from ProjectStorage
      */
     async loadState() {
         try {
-            const savedData = localStorage.getItem(this.autoSaveKey);
+            const savedData = await window.projectStorage.getItem(this.autoSaveKey);
             if (!savedData) {
                 console.log("No auto-saved state found");
                 return false;
@@ -358,8 +356,7 @@ class AutoSaveManager {
             // First try to restore module definitions
             await this.restoreModuleDefinitions();
             
-            // Parse the saved data
-            const projectData = JSON.parse(savedData);
+            const projectData = typeof savedData === 'string' ? JSON.parse(savedData) : savedData;
             
             // Use the project manager if available to restore the state
             if (this.editor.projectManager) {
@@ -380,22 +377,21 @@ class AutoSaveManager {
     }
     
     /**
-     * Restore module definitions and source code from localStorage
+     * Restore module definitions and source code from ProjectStorage
      */
     async restoreModuleDefinitions() {
         try {
             // Get saved module definitions and sources
-            const definitionsJson = localStorage.getItem(this.moduleDefinitionsKey);
-            const sourcesJson = localStorage.getItem(this.moduleSourcesKey);
+            const savedDefinitions = await window.projectStorage.getItem(this.moduleDefinitionsKey);
+            const savedSources = await window.projectStorage.getItem(this.moduleSourcesKey);
             
-            if (!definitionsJson && !sourcesJson) {
-                console.log("No module definitions or sources found in localStorage");
+            if (!savedDefinitions && !savedSources) {
+                console.log("No module definitions or sources found in storage");
                 return false;
             }
             
-            // Parse the data
-            const definitions = definitionsJson ? JSON.parse(definitionsJson) : {};
-            const sources = sourcesJson ? JSON.parse(sourcesJson) : {};
+            const definitions = savedDefinitions || {};
+            const sources = savedSources || {};
             
             console.log(`Restoring ${Object.keys(definitions).length} module definitions`);
             
@@ -1023,16 +1019,21 @@ class AutoSaveManager {
     
     /**
      * Check if there's a saved state available
+     * @returns {Promise<boolean>}
      */
-    hasSavedState() {
-        return !!localStorage.getItem(this.autoSaveKey);
+    async hasSavedState() {
+        return window.projectStorage.hasItem(this.autoSaveKey);
     }
     
     /**
      * Clear the saved state
      */
-    clearSavedState() {
-        localStorage.removeItem(this.autoSaveKey);
-        console.log("Auto-saved state cleared");
+    async clearSavedState() {
+        try {
+            await window.projectStorage.removeItem(this.autoSaveKey);
+            console.log("Auto-saved state cleared");
+        } catch (error) {
+            console.warn("Could not clear auto-saved state:", error);
+        }
     }
 }
\ No newline at end of file
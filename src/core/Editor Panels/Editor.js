@@ -40,6 +40,7 @@ class Editor {
             xColor: '#E57373',
             yColor: '#81C784',
             rotationColor: '#64B5F6',
+            scaleColor: '#FFB74D',
             activeAxis: null,
             rotationStartAngle: 0
         };
@@ -74,6 +75,15 @@ class Editor {
         this.sceneBuffer = new SceneBuffer();
         this.createDefaultScene();
 
+        // Undo/redo for scene edits (cleared when another scene is opened)
+        this.history = new EditorHistory(this);
+
+        // Smart guides, object snapping and align/distribute
+        this.snapping = new EditorSnapping(this);
+
+        // Pause/step, live tweaking and keeping runtime changes while the game plays
+        this.playMode = new PlayModeSession(this);
+
         // Initialize hierarchy first
         this.hierarchy = new HierarchyManager('gameObjectHierarchy', this);
 
@@ -182,6 +192,7 @@ class Editor {
                             go.addModule(moduleInstance);
 
                             this.activeScene.gameObjects.push(go);
+                            this.history.recordPlacement(`Create ${go.name}`, new Map(), [go]);
                             if (this.hierarchy) {
                                 this.hierarchy.refreshHierarchy();
                                 this.hierarchy.selectGameObject(go);
@@ -275,6 +286,22 @@ class Editor {
                 this.refreshCanvas();
             }
 
+            // Undo with Ctrl+Z, redo with Ctrl+Y or Ctrl+Shift+Z (text fields keep their own undo)
+            if (e.ctrlKey && (e.key === 'z' || e.key === 'Z' || e.key === 'y' || e.key === 'Y')) {
+                const active = document.activeElement;
+                const isTextInput = active && (active.tagName === 'INPUT' || active.tagName === 'TEXTAREA' || active.isContentEditable);
+                const inEditorWindow = active && active.closest && active.closest('.editor-window');
+                if (!isTextInput && !inEditorWindow) {
+                    const redo = e.key === 'y' || e.key === 'Y' || e.shiftKey;
+                    if (redo) {
+                        this.history.redo();
+                    } else {
+                        this.history.undo();
+                    }
+                    e.preventDefault();
+                }
+            }
+
             // Duplicate selected object with Ctrl+D
             if (e.ctrlKey && (e.key === 'd' || e.key === 'D')) {
                 if (this.hierarchy && this.hierarchy.selectedObject) {
@@ -605,7 +632,7 @@ class Editor {
 
         // Draw all game objects from activeScene
         if (this.activeScene && this.activeScene.gameObjects) {
-            const visibleObjects = this.getVisibleObjects(this.activeScene.gameObjects);
+            const visibleObjects = this.sortByLayer(this.getVisibleObjects(this.activeScene.gameObjects));
             visibleObjects.forEach(obj => {
                 obj.drawInEditor(this.ctx);
 
@@ -623,8 +650,14 @@ class Editor {
         // Draw viewport bounds (draw this last so it's on top)
         this.drawSceneViewport();
 
-        // Draw transform handles for selected object
-        if (this.hierarchy && this.hierarchy.selectedObject && this.hierarchy.selectedObject.active) {
+        this.snapping.drawGuides(this.ctx);
+
+        // Draw transform handles for the selected object, or around the centroid of a multi-selection
+        const group = this.getGroupSelection();
+        if (group) {
+            this.drawGroupTransformHandles(group);
+        } else if (this.hierarchy && this.hierarchy.selectedObject && this.hierarchy.selectedObject.active &&
+            !this.isObjectLocked(this.hierarchy.selectedObject)) {
             this.drawTransformHandles(this.hierarchy.selectedObject);
         }
 
@@ -1116,7 +1149,7 @@ class Editor {
 
             // Use hierarchy's prefab instantiation
             if (this.hierarchy) {
-                const instantiated = this.hierarchy.instantiatePrefabFromData(prefabData, worldPos);
+                const instantiated = this.hierarchy.instantiatePrefabFromData(prefabData, worldPos, prefabPath);
 
                 // Refresh hierarchy and select the new object
                 this.hierarchy.refreshHierarchy();
@@ -1138,6 +1171,10 @@ class Editor {
     }
 
     setActiveScene(scene) {
+        if (this.history && scene !== this.activeScene) {
+            this.history.clear();
+        }
+
         this.activeScene = scene;
         this.scene = scene; // Keep these in sync
 
@@ -1433,7 +1470,15 @@ class Editor {
     }
 
     drawTransformHandles(gameObject) {
-        const worldPos = gameObject.getWorldPosition();
+        this.drawTransformHandlesAt(gameObject.getWorldPosition(), this.dragInfo.dragging && this.dragInfo.object === gameObject);
+    }
+
+    /**
+     * Draw the move/rotate handles around a point
+     * @param {Vector2} worldPos - Pivot of the handles
+     * @param {boolean} active - Whether these handles are being dragged (highlights the active handle)
+     */
+    drawTransformHandlesAt(worldPos, active) {
         const handleSize = this.transformHandles.size / this.camera.zoom;
         const arrowSize = this.transformHandles.arrowSize / this.camera.zoom;
         const rotationRadius = this.transformHandles.rotationRadius / this.camera.zoom;
@@ -1518,7 +1563,7 @@ class Editor {
         this.ctx.stroke();
 
         // Highlight the active axis if dragging
-        if (this.dragInfo.dragging && this.dragInfo.object === gameObject) {
+        if (active) {
             const activeHandleColor = this.dragInfo.dragMode === 'x' ?
                 this.transformHandles.xColor :
                 this.transformHandles.yColor;
@@ -1590,6 +1635,17 @@ class Editor {
                 }
             }
 
+            // Move, rotate or scale a multi-selection around its centroid
+            const group = !e.ctrlKey && this.getGroupSelection();
+            if (group) {
+                const handle = this.getGroupHandleAt(worldPos, this.getSelectionCentroid(group));
+                const onSelected = clickedObj && this.hierarchy.selectedObjects.includes(clickedObj);
+                if (handle || onSelected || this.shiftKeyDown) {
+                    this.startGroupDrag(group, handle || 'free', worldPos, handle ? null : clickedObj);
+                    return;
+                }
+            }
+
             if (clickedObj) {
                 // Multi-select logic - only works if Ctrl+Click (not when editing modules)
                 if (e.ctrlKey && this.hierarchy) {
@@ -1633,7 +1689,8 @@ class Editor {
             }
 
             // Check for transform handle interaction if an object is selected and NOT holding Ctrl
-            if (this.hierarchy && this.hierarchy.selectedObject && !e.ctrlKey) {
+            if (this.hierarchy && this.hierarchy.selectedObject && !e.ctrlKey &&
+                !this.isObjectLocked(this.hierarchy.selectedObject)) {
                 const selectedObj = this.hierarchy.selectedObject;
                 const objPos = selectedObj.getWorldPosition();
                 const handleSize = this.transformHandles.size / this.camera.zoom;
@@ -1646,6 +1703,7 @@ class Editor {
                 if (Math.abs(distanceFromCenter - rotationRadius) < 10 / this.camera.zoom) {
                     this.dragInfo.dragging = true;
                     this.dragInfo.object = selectedObj;
+                    this.dragInfo.historyState = this.history.captureState(selectedObj, ['position', 'angle']);
                     this.dragInfo.startPos = worldPos;
                     this.dragInfo.dragMode = 'rotate';
                     this.transformHandles.rotationStartAngle = Math.atan2(toMouse.y, toMouse.x);
@@ -1658,6 +1716,7 @@ class Editor {
                 if (worldPos.distance(xHandlePos) < this.transformHandles.arrowSize * 1.5 / this.camera.zoom) {
                     this.dragInfo.dragging = true;
                     this.dragInfo.object = selectedObj;
+                    this.dragInfo.historyState = this.history.captureState(selectedObj, ['position', 'angle']);
                     this.dragInfo.startPos = worldPos;
                     this.dragInfo.objectStartPos = selectedObj.position.clone();
                     this.dragInfo.dragMode = 'x';
@@ -1670,6 +1729,7 @@ class Editor {
                 if (worldPos.distance(yHandlePos) < this.transformHandles.arrowSize * 1.5 / this.camera.zoom) {
                     this.dragInfo.dragging = true;
                     this.dragInfo.object = selectedObj;
+                    this.dragInfo.historyState = this.history.captureState(selectedObj, ['position', 'angle']);
                     this.dragInfo.startPos = worldPos;
                     this.dragInfo.objectStartPos = selectedObj.position.clone();
                     this.dragInfo.dragMode = 'y';
@@ -1686,6 +1746,7 @@ class Editor {
                 )) {
                     this.dragInfo.dragging = true;
                     this.dragInfo.object = selectedObj;
+                    this.dragInfo.historyState = this.history.captureState(selectedObj, ['position', 'angle']);
                     this.dragInfo.startPos = worldPos;
                     this.dragInfo.objectStartPos = selectedObj.position.clone();
                     this.dragInfo.dragMode = 'free';
@@ -1703,6 +1764,7 @@ class Editor {
                                 const handled = module.onMouseDown(worldPos, e.button);
                                 if (handled) {
                                     this.activeModuleInteraction = module;
+                                    this.activeModuleState = this.history.captureState(module);
                                     return;
                                 }
                             }
@@ -1717,6 +1779,7 @@ class Editor {
                                 const handled = module.onMouseDown(worldPos, e.button);
                                 if (handled) {
                                     this.activeModuleInteraction = module;
+                                    this.activeModuleState = this.history.captureState(module);
                                     if (this.hierarchy) {
                                         this.hierarchy.selectGameObject(clickedObj);
                                     }
@@ -1732,6 +1795,7 @@ class Editor {
                 // Normal object dragging (no Ctrl, no module interaction)
                 this.dragInfo.dragging = true;
                 this.dragInfo.object = clickedObj;
+                this.dragInfo.historyState = this.history.captureState(clickedObj, ['position', 'angle']);
                 this.dragInfo.startPos = worldPos;
                 this.dragInfo.objectStartPos = clickedObj.position.clone();
                 this.dragInfo.dragMode = 'free';
@@ -1743,6 +1807,8 @@ class Editor {
                 // Deselect if clicking empty space (and not Ctrl)
                 this.hierarchy.selectedObject.setSelected(false);
                 this.hierarchy.selectedObject = null;
+                this.hierarchy.selectedObjects.forEach(obj => obj.isEditorSelected = false);
+                this.hierarchy.selectedObjects = [];
 
                 document.querySelectorAll('.hierarchy-item').forEach(item => {
                     item.classList.remove('selected');
@@ -1802,6 +1868,14 @@ class Editor {
 
         // If not dragging, just refresh canvas to update hover effects on handles
         if (!this.dragInfo.dragging) {
+            // A gizmo point being dragged (e.g. a polygon vertex) snaps to the grid and other objects
+            if (this.activeModuleInteraction && typeof this.activeModuleInteraction.onMouseMove === "function") {
+                const owner = this.activeModuleInteraction.gameObject;
+                this.activeModuleInteraction.onMouseMove(this.snapping.snapPoint(worldPos, owner ? [owner] : []));
+                this.refreshCanvas();
+                return;
+            }
+
             const overViewportHandle = this.isOnViewportMoveHandle(worldPos) || this.isOnViewportSettingsHandle(worldPos);
             const overTransformHandle = this.hierarchy?.selectedObject && this.isOverTransformHandle(worldPos);
             const overGizmo = this.isOverGizmo(worldPos);
@@ -1812,6 +1886,11 @@ class Editor {
             return;
         }
 
+        if (this.dragInfo.group) {
+            this.updateGroupDrag(worldPos);
+            return;
+        }
+
         if (this.dragInfo.dragMode === 'rotate') {
             const objPos = this.dragInfo.object.getWorldPosition();
             const currentAngle = Math.atan2(
@@ -1821,7 +1900,7 @@ class Editor {
             const startAngle = this.transformHandles.rotationStartAngle;
             const angleDiff = (currentAngle - startAngle) * (180 / Math.PI);
 
-            this.dragInfo.object.angle = this.dragInfo.startAngle + angleDiff;
+            this.dragInfo.object.angle = this.snapping.snapAngle(this.dragInfo.startAngle + angleDiff);
 
             if (this.inspector) {
                 this.inspector.updateTransformValues();
@@ -1907,6 +1986,19 @@ class Editor {
             }
             this.dragInfo.object.position = newPosition;
 
+            // Snap the object's edges, center or pivot to other objects
+            const movingObject = this.dragInfo.object;
+            const constrained = !this.shiftKeyDown && (this.dragInfo.dragMode === 'x' || this.dragInfo.dragMode === 'y');
+            const snapOffset = this.snapping.snapBounds(
+                this.snapping.getBounds([movingObject]),
+                movingObject.getWorldPosition(),
+                [movingObject],
+                { x: !constrained || this.dragInfo.dragMode === 'x', y: !constrained || this.dragInfo.dragMode === 'y' }
+            );
+            if (snapOffset.x !== 0 || snapOffset.y !== 0) {
+                this.setObjectWorldPosition(movingObject, movingObject.getWorldPosition().add(snapOffset));
+            }
+
             this.refreshCanvas();
         }
 
@@ -1957,6 +2049,9 @@ class Editor {
     }
 
     isOverTransformHandle(worldPos) {
+        const group = this.getGroupSelection();
+        if (group) return !!this.getGroupHandleAt(worldPos, this.getSelectionCentroid(group));
+
         if (!this.hierarchy?.selectedObject) return false;
 
         const selectedObj = this.hierarchy.selectedObject;
@@ -1987,6 +2082,223 @@ class Editor {
         return false;
     }
 
+    /**
+     * Selected objects the group transform handles act on
+     * Children of other selected objects are left out, they already follow their parent.
+     * @returns {GameObject[]|null} The objects, or null unless several objects are selected
+     */
+    getGroupSelection() {
+        const selected = this.hierarchy ? this.hierarchy.selectedObjects : null;
+        if (!selected || selected.length < 2) return null;
+
+        const group = selected.filter(obj => {
+            if (!obj.active || this.isObjectLocked(obj)) return false;
+            for (let parent = obj.parent; parent; parent = parent.parent) {
+                if (selected.includes(parent)) return false;
+            }
+            return true;
+        });
+        return group.length > 0 ? group : null;
+    }
+
+    /**
+     * Average world position of a set of objects
+     * @param {GameObject[]} objects - Objects to average
+     * @returns {Vector2} Centroid in world space
+     */
+    getSelectionCentroid(objects) {
+        const sum = objects.reduce((total, obj) => total.add(obj.getWorldPosition()), new Vector2(0, 0));
+        return sum.divide(objects.length);
+    }
+
+    /**
+     * Move an object so it ends up at a world position, whatever its parent's transform
+     * @param {GameObject} obj - Object to move
+     * @param {Vector2} worldPos - Target position in world space
+     */
+    setObjectWorldPosition(obj, worldPos) {
+        if (!obj.parent) {
+            obj.position = worldPos.clone();
+            return;
+        }
+        const rel = worldPos.subtract(obj.parent.getWorldPosition());
+        obj.position = rel.rotate(-obj.parent.getWorldRotation() * Math.PI / 180);
+    }
+
+    getGroupScaleHandlePos(center) {
+        const offset = this.transformHandles.size * 0.7 / this.camera.zoom;
+        return new Vector2(center.x + offset, center.y - offset);
+    }
+
+    /**
+     * Find the group transform handle under the mouse
+     * @param {Vector2} worldPos - Mouse position in world space
+     * @param {Vector2} center - Centroid of the selection
+     * @returns {string|null} 'scale', 'x', 'y', 'rotate', 'free' or null
+     */
+    getGroupHandleAt(worldPos, center) {
+        const zoom = this.camera.zoom;
+        const handleSize = this.transformHandles.size / zoom;
+        const hitRadius = this.transformHandles.arrowSize * 1.5 / zoom;
+        const rotationRadius = this.transformHandles.rotationRadius / zoom;
+        const centerBoxSize = this.transformHandles.centerBoxSize / zoom;
+
+        if (worldPos.distance(this.getGroupScaleHandlePos(center)) < hitRadius) return 'scale';
+        if (worldPos.distance(new Vector2(center.x + handleSize, center.y)) < hitRadius) return 'x';
+        if (worldPos.distance(new Vector2(center.x, center.y - handleSize)) < hitRadius) return 'y';
+        if (Math.abs(worldPos.distance(center) - rotationRadius) < 10 / zoom) return 'rotate';
+        if (Math.abs(worldPos.x - center.x) < centerBoxSize / 2 && Math.abs(worldPos.y - center.y) < centerBoxSize / 2) {
+            return 'free';
+        }
+        return null;
+    }
+
+    drawGroupTransformHandles(group) {
+        const center = this.getSelectionCentroid(group);
+        const zoom = this.camera.zoom;
+
+        // Thin lines tie each object to the shared pivot
+        this.ctx.beginPath();
+        group.forEach(obj => {
+            const pos = obj.getWorldPosition();
+            this.ctx.moveTo(center.x, center.y);
+            this.ctx.lineTo(pos.x, pos.y);
+        });
+        this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
+        this.ctx.lineWidth = 1 / zoom;
+        this.ctx.setLineDash([3 / zoom, 3 / zoom]);
+        this.ctx.stroke();
+        this.ctx.setLineDash([]);
+
+        this.drawTransformHandlesAt(center, this.dragInfo.dragging && !!this.dragInfo.group);
+
+        // Uniform scale handle between the axes
+        const scalePos = this.getGroupScaleHandlePos(center);
+        const boxSize = this.transformHandles.arrowSize / zoom;
+        this.ctx.beginPath();
+        this.ctx.moveTo(center.x, center.y);
+        this.ctx.lineTo(scalePos.x, scalePos.y);
+        this.ctx.strokeStyle = this.transformHandles.scaleColor;
+        this.ctx.lineWidth = 2 / zoom;
+        this.ctx.stroke();
+        this.ctx.fillStyle = this.transformHandles.scaleColor;
+        this.ctx.fillRect(scalePos.x - boxSize / 2, scalePos.y - boxSize / 2, boxSize, boxSize);
+    }
+
+    /**
+     * Start moving, rotating or scaling the selected objects around their centroid
+     * @param {GameObject[]} group - Objects from getGroupSelection()
+     * @param {string} mode - Handle from getGroupHandleAt()
+     * @param {Vector2} worldPos - Mouse position in world space
+     * @param {GameObject} [clickedObject] - Object clicked on; a click without dragging selects only it
+     */
+    startGroupDrag(group, mode, worldPos, clickedObject = null) {
+        const center = this.getSelectionCentroid(group);
+
+        this.dragInfo.dragging = true;
+        this.dragInfo.object = null;
+        this.dragInfo.group = group;
+        this.dragInfo.groupCenter = center;
+        this.dragInfo.groupStart = new Map(group.map(obj => [obj, {
+            world: obj.getWorldPosition(),
+            angle: obj.angle,
+            scale: obj.scale.clone()
+        }]));
+        this.dragInfo.groupHistory = new Map(group.map(obj => [obj, this.history.captureState(obj, ['position', 'angle', 'scale'])]));
+        this.dragInfo.groupBounds = this.snapping.getBounds(group);
+        this.dragInfo.startPos = worldPos;
+        this.dragInfo.dragMode = mode;
+        this.dragInfo.moved = false;
+        this.dragInfo.clickedObject = clickedObject;
+
+        if (mode === 'rotate') {
+            this.transformHandles.rotationStartAngle = Math.atan2(worldPos.y - center.y, worldPos.x - center.x);
+        } else if (mode === 'x' || mode === 'y') {
+            this.transformHandles.activeAxis = mode;
+        }
+    }
+
+    updateGroupDrag(worldPos) {
+        const { group, groupCenter: center, groupStart: start, dragMode: mode, startPos } = this.dragInfo;
+
+        if (worldPos.distance(startPos) * this.camera.zoom > 2) {
+            this.dragInfo.moved = true;
+        }
+
+        if (mode === 'rotate') {
+            const currentAngle = Math.atan2(worldPos.y - center.y, worldPos.x - center.x);
+            const angleDiff = this.snapping.snapAngle((currentAngle - this.transformHandles.rotationStartAngle) * (180 / Math.PI)) * Math.PI / 180;
+            group.forEach(obj => {
+                const initial = start.get(obj);
+                this.setObjectWorldPosition(obj, center.add(initial.world.subtract(center).rotate(angleDiff)));
+                obj.angle = initial.angle + angleDiff * (180 / Math.PI);
+            });
+        } else if (mode === 'scale') {
+            const startDistance = startPos.distance(center);
+            const factor = startDistance > 0 ? worldPos.distance(center) / startDistance : 1;
+            group.forEach(obj => {
+                const initial = start.get(obj);
+                this.setObjectWorldPosition(obj, center.add(initial.world.subtract(center).multiply(factor)));
+                obj.scale = new Vector2(initial.scale.x * factor, initial.scale.y * factor);
+            });
+        } else {
+            let delta = worldPos.subtract(startPos);
+            if (this.grid.snapToGrid) {
+                delta = this.grid.snapPosition(center.add(delta)).subtract(center);
+            }
+            if (!this.shiftKeyDown && mode === 'x') {
+                delta.y = 0;
+            } else if (!this.shiftKeyDown && mode === 'y') {
+                delta.x = 0;
+            }
+
+            const bounds = this.dragInfo.groupBounds;
+            const moved = {
+                left: bounds.left + delta.x, right: bounds.right + delta.x, centerX: bounds.centerX + delta.x,
+                top: bounds.top + delta.y, bottom: bounds.bottom + delta.y, centerY: bounds.centerY + delta.y
+            };
+            const constrained = !this.shiftKeyDown && (mode === 'x' || mode === 'y');
+            delta = delta.add(this.snapping.snapBounds(moved, center.add(delta), group, {
+                x: !constrained || mode === 'x',
+                y: !constrained || mode === 'y'
+            }));
+
+            group.forEach(obj => this.setObjectWorldPosition(obj, start.get(obj).world.add(delta)));
+        }
+
+        if (this.inspector) {
+            this.inspector.updateTransformValues();
+        }
+        this.refreshCanvas();
+    }
+
+    /**
+     * Finish a group drag as one undo step
+     */
+    endGroupDrag() {
+        const { group, groupHistory, dragMode, moved, clickedObject } = this.dragInfo;
+
+        if (!moved && clickedObject && this.hierarchy) {
+            // Clicking a selected object without dragging selects only that object
+            this.hierarchy.selectedObjects.forEach(obj => obj.isEditorSelected = false);
+            this.hierarchy.selectedObjects = [clickedObject];
+            this.hierarchy.selectGameObject(clickedObject);
+        } else {
+            const verb = dragMode === 'rotate' ? 'Rotate' : dragMode === 'scale' ? 'Scale' : 'Move';
+            const label = `${verb} ${group.length} objects`;
+            this.history.beginGroup(label);
+            group.forEach(obj => this.history.recordState(label, obj, groupHistory.get(obj), { merge: false }));
+            this.history.endGroup();
+        }
+
+        this.dragInfo.group = null;
+        this.dragInfo.groupBounds = null;
+        this.dragInfo.groupCenter = null;
+        this.dragInfo.groupStart = null;
+        this.dragInfo.groupHistory = null;
+        this.dragInfo.clickedObject = null;
+    }
+
     isOnViewportMoveHandle(worldPos) {
         if (!this.activeScene) return false;
 
@@ -2134,6 +2446,14 @@ class Editor {
             return;
         }
 
+        const group = this.getGroupSelection();
+        if (group) {
+            const handle = this.shiftKeyDown ? 'free' : this.getGroupHandleAt(worldPos, this.getSelectionCentroid(group));
+            const cursors = { x: 'ew-resize', y: 'ns-resize', free: 'move', rotate: 'crosshair', scale: 'nesw-resize' };
+            this.canvas.style.cursor = cursors[handle] || 'default';
+            return;
+        }
+
         // Check if mouse is over a transform handle and change cursor accordingly
         const selectedObj = this.hierarchy.selectedObject;
         if (!selectedObj) {
@@ -2194,13 +2514,35 @@ class Editor {
 
         // Handle module interactions
         if (this.activeModuleInteraction) {
-            if (typeof this.activeModuleInteraction.onMouseUp === "function") {
-                this.activeModuleInteraction.onMouseUp(worldPos, e.button);
+            const module = this.activeModuleInteraction;
+            if (typeof module.onMouseUp === "function") {
+                module.onMouseUp(worldPos, e.button);
+            }
+            if (this.activeModuleState) {
+                this.history.recordState(`Edit ${module.type || module.constructor.name}`, module, this.activeModuleState, { merge: false });
+                this.activeModuleState = null;
+                if (this.inspector) this.inspector.snapshotForHistory(module);
             }
             this.activeModuleInteraction = null;
             this.refreshCanvas();
         }
 
+        if (this.dragInfo.group) {
+            this.endGroupDrag();
+        }
+        if (this.snapping.guides.length > 0) {
+            this.snapping.clearGuides();
+            this.refreshCanvas();
+        }
+
+        // One undo step per handle drag
+        if (this.dragInfo.object && this.dragInfo.historyState) {
+            const obj = this.dragInfo.object;
+            const label = this.dragInfo.dragMode === 'rotate' ? `Rotate ${obj.name}` : `Move ${obj.name}`;
+            this.history.recordState(label, obj, this.dragInfo.historyState, { merge: false });
+        }
+        this.dragInfo.historyState = null;
+
         this.dragInfo.dragging = false;
         this.dragInfo.isPanning = false;
         this.dragInfo.object = null;
@@ -2276,6 +2618,7 @@ class Editor {
                         if (this.hierarchy) {
                             const child = new GameObject('New GameObject');
                             clickedObj.addChild(child);
+                            this.history.recordPlacement(`Create ${child.name}`, new Map(), [child]);
                             this.hierarchy.refreshHierarchy();
                             this.hierarchy.selectGameObject(child);
                             this.refreshCanvas();
@@ -2390,11 +2733,11 @@ class Editor {
      * Find the topmost GameObject at a specific world position
      */
     findObjectAtPosition(worldPos) {
-        // Search from top to bottom (reverse draw order)
-        const sortedObjects = this.getAllGameObjects().sort((a, b) => b.depth - a.depth);
+        // Search from top to bottom (reverse draw order), front layers first
+        const sortedObjects = this.sortByLayer(this.getAllGameObjects().sort((a, b) => b.depth - a.depth)).reverse();
 
         return sortedObjects.find(obj => {
-            if (!obj.active) return false;
+            if (!obj.active || this.isObjectLocked(obj)) return false;
 
             // Simple circle hitbox check
             const objPos = obj.getWorldPosition();
@@ -2403,6 +2746,32 @@ class Editor {
         });
     }
 
+    /**
+     * Order objects by the active scene's layers (back to front) and drop those on hidden layers.
+     * Objects keep their relative order within a layer.
+     */
+    sortByLayer(objects) {
+        const scene = this.activeScene;
+        if (!scene || !scene.getLayerOf) return objects;
+
+        return objects
+            .map(obj => ({ obj, layer: scene.getLayerOf(obj) }))
+            .filter(entry => entry.layer.visible)
+            .map((entry, index) => ({ ...entry, index, order: scene.layers.indexOf(entry.layer) }))
+            .sort((a, b) => (a.order - b.order) || (a.index - b.index))
+            .map(entry => entry.obj);
+    }
+
+    /**
+     * Whether an object is on a locked or hidden layer, so it can't be picked or moved in the scene view
+     */
+    isObjectLocked(obj) {
+        const scene = this.activeScene;
+        if (!obj || !scene || !scene.getLayerOf) return false;
+        const layer = scene.getLayerOf(obj);
+        return layer.locked || !layer.visible;
+    }
+
     /**
      * Get all GameObjects in the scene (including children)
      */
@@ -0,0 +1,624 @@
+/**
+ * EditorHistory - Undo/redo for the scene editor (editor.history)
+ *
+ * Every change to the scene is recorded as a command after it has been applied:
+ * - StateCommand: fields of a GameObject or module (transform handles, Inspector edits)
+ * - PlacementCommand: where objects sit in the hierarchy (add, delete, duplicate, reparent, reorder)
+ * - ModuleListCommand: a GameObject's module list (add, remove, reorder modules)
+ *
+ * Callers capture the state before a change and record it afterwards, e.g.
+ *   const before = history.captureState(obj);
+ *   obj.position.x += 10;
+ *   history.recordState('Move ' + obj.name, obj, before);
+ *
+ * Consecutive edits of the same fields on the same target within mergeWindow are merged
+ * into one step (slider drags, typing). Nothing is recorded while the game is running or
+ * while a command is being undone or redone.
+ */
+class EditorHistory {
+    constructor(editor) {
+        this.editor = editor;
+        this.maxSteps = 200;
+        this.mergeWindow = 1000;        // ms in which edits to the same fields are merged
+
+        this.undoStack = [];
+        this.redoStack = [];
+
+        this._applying = false;
+        this._group = null;             // GroupCommand collecting commands between beginGroup/endGroup
+        this._groupDepth = 0;
+        this._listeners = new Set();
+    }
+
+    /**
+     * Whether changes should be recorded right now
+     * @returns {boolean} False while undoing/redoing or while the game runs
+     */
+    get recording() {
+        return !this._applying && !(window.engine && window.engine.running);
+    }
+
+    get canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    get canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Listen for changes to the history (used by the History window)
+     * @param {Function} listener - Called with the history after every change
+     * @returns {Function} Call to stop listening
+     */
+    onChange(listener) {
+        this._listeners.add(listener);
+        return () => this._listeners.delete(listener);
+    }
+
+    // -------------------
+    // Recording
+    // -------------------
+
+    /**
+     * Add a command that has already been applied
+     * @param {Object} command - Command with label, undo() and redo()
+     * @returns {boolean} True if the command was recorded
+     */
+    push(command) {
+        if (!command || !this.recording) return false;
+
+        command.time = performance.now();
+
+        if (this._group) {
+            this._group.add(command);
+            return true;
+        }
+
+        const last = this.undoStack[this.undoStack.length - 1];
+        if (last && this.redoStack.length === 0 && last.canMerge && last.canMerge(command, this.mergeWindow)) {
+            last.merge(command);
+        } else {
+            this.undoStack.push(command);
+            if (this.undoStack.length > this.maxSteps) {
+                this.undoStack.shift();
+            }
+        }
+
+        this.redoStack = [];
+        this._notify();
+        return true;
+    }
+
+    /**
+     * Collect the commands recorded until endGroup() into one undo step
+     * @param {string} label - Label of the combined step
+     */
+    beginGroup(label) {
+        if (this._groupDepth++ === 0) {
+            this._group = new GroupCommand(label);
+        }
+    }
+
+    endGroup() {
+        if (this._groupDepth === 0) return;
+        if (--this._groupDepth > 0) return;
+
+        const group = this._group;
+        this._group = null;
+        if (group.commands.length === 1) {
+            group.commands[0].label = group.label;
+            this.push(group.commands[0]);
+        } else if (group.commands.length > 1) {
+            this.push(group);
+        }
+    }
+
+    /**
+     * Snapshot the editable fields of a GameObject or module
+     * @param {GameObject|Module} target - Object to snapshot
+     * @param {string[]} [fields] - Fields to capture (defaults to EditorHistory.getFields(target))
+     * @returns {Object} Field name -> copied value
+     */
+    captureState(target, fields = EditorHistory.getFields(target)) {
+        const state = {};
+        if (!target) return state;
+        fields.forEach(field => {
+            state[field] = EditorHistory.cloneValue(EditorHistory.readField(target, field));
+        });
+        return state;
+    }
+
+    /**
+     * Record the fields of target that changed since captureState()
+     * @param {string} label - Label shown in the history
+     * @param {GameObject|Module} target - The edited object
+     * @param {Object} before - State from captureState()
+     * @param {Object} [options]
+     * @param {boolean} [options.merge=true] - Allow merging with the previous edit of the same fields
+     * @returns {boolean} True if anything changed
+     */
+    recordState(label, target, before, options = {}) {
+        if (!target || !before) return false;
+
+        const changedBefore = {};
+        const changedAfter = {};
+        let changed = false;
+        Object.keys(before).forEach(field => {
+            const current = EditorHistory.readField(target, field);
+            if (!EditorHistory.valuesEqual(before[field], current)) {
+                changedBefore[field] = before[field];
+                changedAfter[field] = EditorHistory.cloneValue(current);
+                changed = true;
+            }
+        });
+
+        if (!changed) return false;
+        return this.push(new StateCommand(label, target, changedBefore, changedAfter, options.merge !== false));
+    }
+
+    /**
+     * Snapshot where objects sit in the hierarchy
+     * @param {GameObject[]} objects - Objects about to be added, moved or removed
+     * @returns {Map<GameObject, Object|null>} Object -> { parent, index } (null when not in the scene)
+     */
+    capturePlacement(objects) {
+        const placements = new Map();
+        objects.forEach(obj => {
+            if (obj) placements.set(obj, this.getPlacement(obj));
+        });
+        return placements;
+    }
+
+    /**
+     * Record hierarchy changes of the objects since capturePlacement()
+     * @param {string} label - Label shown in the history
+     * @param {Map<GameObject, Object|null>} before - Placements from capturePlacement()
+     * @param {GameObject[]} [added] - Objects created by the change (not part of before)
+     * @returns {boolean} True if anything moved
+     */
+    recordPlacement(label, before, added = []) {
+        const entries = [];
+        before.forEach((from, obj) => {
+            const to = this.getPlacement(obj);
+            if (!EditorHistory.samePlacement(from, to)) entries.push({ object: obj, from: from, to: to });
+        });
+        added.forEach(obj => {
+            const to = obj && !before.has(obj) ? this.getPlacement(obj) : null;
+            if (to) entries.push({ object: obj, from: null, to: to });
+        });
+
+        if (entries.length === 0) return false;
+        return this.push(new PlacementCommand(label, this.editor.activeScene, entries));
+    }
+
+    /**
+     * Snapshot a GameObject's module list
+     * @param {GameObject} gameObject - Object whose modules are about to change
+     * @returns {Module[]} Copy of the module list
+     */
+    captureModules(gameObject) {
+        return gameObject && gameObject.modules ? gameObject.modules.slice() : [];
+    }
+
+    /**
+     * Record a change of the module list since captureModules()
+     * @param {string} label - Label shown in the history
+     * @param {GameObject} gameObject - The edited object
+     * @param {Module[]} before - List from captureModules()
+     * @returns {boolean} True if the list changed
+     */
+    recordModules(label, gameObject, before) {
+        if (!gameObject || !before) return false;
+        const after = gameObject.modules.slice();
+        if (before.length === after.length && before.every((module, i) => module === after[i])) return false;
+        return this.push(new ModuleListCommand(label, gameObject, before, after));
+    }
+
+    // -------------------
+    // Undo / redo
+    // -------------------
+
+    undo() {
+        const command = this.undoStack.pop();
+        if (!command) return false;
+
+        this._apply(() => command.undo());
+        this.redoStack.push(command);
+        this._afterApply(command);
+        return true;
+    }
+
+    redo() {
+        const command = this.redoStack.pop();
+        if (!command) return false;
+
+        this._apply(() => command.redo());
+        this.undoStack.push(command);
+        this._afterApply(command);
+        return true;
+    }
+
+    /**
+     * Undo or redo until exactly `count` steps are applied
+     * @param {number} count - Number of undo steps to keep (0 = before the first recorded change)
+     */
+    goTo(count) {
+        count = Math.max(0, Math.min(count, this.undoStack.length + this.redoStack.length));
+        while (this.undoStack.length > count && this.undo()) { }
+        while (this.undoStack.length < count && this.redo()) { }
+    }
+
+    /**
+     * Forget all steps (e.g. when another scene is opened)
+     */
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this._group = null;
+        this._groupDepth = 0;
+        this._notify();
+    }
+
+    // -------------------
+    // Helpers
+    // -------------------
+
+    /**
+     * Where an object sits in the active scene's hierarchy
+     * @param {GameObject} obj - Object to look up
+     * @returns {Object|null} { parent, index }, or null if it is not in the scene
+     */
+    getPlacement(obj) {
+        const scene = this.editor.activeScene;
+        if (obj.parent) {
+            const index = obj.parent.children.indexOf(obj);
+            return index === -1 ? null : { parent: obj.parent, index: index };
+        }
+        const index = scene ? scene.gameObjects.indexOf(obj) : -1;
+        return index === -1 ? null : { parent: null, index: index };
+    }
+
+    /**
+     * Whether an object (or its root parent) is part of the active scene
+     * @param {GameObject} obj - Object to check
+     * @returns {boolean} True if reachable from the scene's root objects
+     */
+    isInScene(obj) {
+        let root = obj;
+        while (root && root.parent) {
+            if (!root.parent.children.includes(root)) return false;
+            root = root.parent;
+        }
+        return !!(root && this.editor.activeScene && this.editor.activeScene.gameObjects.includes(root));
+    }
+
+    /**
+     * @private
+     */
+    _apply(fn) {
+        this._applying = true;
+        try {
+            fn();
+        } catch (error) {
+            console.error('Error applying editor history step:', error);
+        } finally {
+            this._applying = false;
+        }
+    }
+
+    /**
+     * Refresh the hierarchy, inspector and canvas after undo/redo
+     * @private
+     */
+    _afterApply(command) {
+        const editor = this.editor;
+        const hierarchy = editor.hierarchy;
+
+        if (hierarchy) {
+            // Follow the undone change, or drop a selection that no longer exists
+            const focus = command.getFocus ? command.getFocus() : null;
+            let selected = focus && this.isInScene(focus) ? focus : hierarchy.selectedObject;
+            if (selected && !this.isInScene(selected)) selected = null;
+
+            hierarchy.selectedObjects.forEach(obj => obj.isEditorSelected = false);
+            hierarchy.selectedObjects = selected ? [selected] : [];
+            hierarchy.refreshHierarchy();
+
+            if (selected) {
+                hierarchy.selectGameObject(selected);
+            } else {
+                if (hierarchy.selectedObject) hierarchy.selectedObject.isEditorSelected = false;
+                hierarchy.selectedObject = null;
+                if (editor.inspector) editor.inspector.showNoObjectMessage();
+            }
+        }
+
+        // A locked Inspector ignores the selection above but still shows the undone values
+        const inspector = editor.inspector;
+        if (inspector && inspector.lockedObject && inspector.inspectedObject) {
+            inspector.showObjectInspector();
+        }
+
+        if (editor.activeScene && editor.activeScene.markDirty) {
+            editor.activeScene.markDirty();
+        }
+        editor.refreshCanvas();
+        this._notify();
+    }
+
+    /**
+     * @private
+     */
+    _notify() {
+        this._listeners.forEach(listener => {
+            try {
+                listener(this);
+            } catch (error) {
+                console.error('Error in editor history listener:', error);
+            }
+        });
+    }
+
+    /**
+     * Fields captured for a GameObject or module
+     * @param {GameObject|Module} target - Object to describe
+     * @returns {string[]} Field names
+     */
+    static getFields(target) {
+        if (target instanceof GameObject) {
+            return EditorHistory.OBJECT_FIELDS.filter(field => field in target);
+        }
+        const fields = ['enabled'];
+        (target.exposedProperties || []).forEach(prop => {
+            if (!fields.includes(prop.name)) fields.push(prop.name);
+        });
+        return fields;
+    }
+
+    static readField(target, field) {
+        if (!(target instanceof GameObject) && field !== 'enabled' && typeof target.getProperty === 'function') {
+            return target.getProperty(field);
+        }
+        return target[field];
+    }
+
+    static writeField(target, field, value) {
+        if (target instanceof GameObject) {
+            if (field === 'name') {
+                target.rename(value);
+            } else {
+                target[field] = value;
+            }
+        } else if (field !== 'enabled' && typeof target.setProperty === 'function') {
+            target.setProperty(field, value);
+        } else {
+            target[field] = value;
+        }
+    }
+
+    /**
+     * Copy a value so later in-place edits (e.g. vector components) don't change the history
+     * Vectors, arrays and plain objects are copied; other objects (GameObjects, images) are kept by reference.
+     */
+    static cloneValue(value) {
+        if (value === null || typeof value !== 'object') return value;
+        if (Array.isArray(value)) return value.map(item => EditorHistory.cloneValue(item));
+        if ((window.Vector2 && value instanceof Vector2) || (window.Vector3 && value instanceof Vector3)) {
+            return value.clone();
+        }
+        if (Object.getPrototypeOf(value) === Object.prototype) {
+            const copy = {};
+            Object.keys(value).forEach(key => { copy[key] = EditorHistory.cloneValue(value[key]); });
+            return copy;
+        }
+        return value;
+    }
+
+    static valuesEqual(a, b) {
+        if (a === b) return true;
+        if (typeof a === 'number' && typeof b === 'number') return Number.isNaN(a) && Number.isNaN(b);
+        if (!a || !b || typeof a !== 'object' || typeof b !== 'object') return false;
+
+        if (Array.isArray(a) || Array.isArray(b)) {
+            return Array.isArray(a) && Array.isArray(b) && a.length === b.length &&
+                a.every((item, i) => EditorHistory.valuesEqual(item, b[i]));
+        }
+        if ((window.Vector2 && a instanceof Vector2) || (window.Vector3 && a instanceof Vector3)) {
+            return a.constructor === b.constructor && a.x === b.x && a.y === b.y && a.z === b.z;
+        }
+        if (Object.getPrototypeOf(a) === Object.prototype && Object.getPrototypeOf(b) === Object.prototype) {
+            const keys = Object.keys(a);
+            return keys.length === Object.keys(b).length && keys.every(key => EditorHistory.valuesEqual(a[key], b[key]));
+        }
+        return false;
+    }
+
+    static samePlacement(a, b) {
+        if (!a || !b) return a === b;
+        return a.parent === b.parent && a.index === b.index;
+    }
+}
+
+// GameObject fields tracked by StateCommand
+EditorHistory.OBJECT_FIELDS = [
+    'name', 'position', 'angle', 'scale', 'size', 'depth', 'depthToY', 'active', 'visible', 'tags',
+    'useCollisions', 'usePolygonCollision', 'polygonPointCount', 'polygonAngleOffset',
+    'editorColor', 'drawShadow', 'shadowColor', 'shadowBlur', 'shadowOffsetX', 'shadowOffsetY', 'layerId',
+    'dontDestroyOnLoad'
+];
+
+/**
+ * Changed fields of one GameObject or module
+ */
+class StateCommand {
+    constructor(label, target, before, after, mergeable = true) {
+        this.label = label;
+        this.target = target;
+        this.before = before;
+        this.after = after;
+        this.mergeable = mergeable;
+    }
+
+    undo() {
+        this.apply(this.before);
+    }
+
+    redo() {
+        this.apply(this.after);
+    }
+
+    apply(state) {
+        Object.keys(state).forEach(field => {
+            EditorHistory.writeField(this.target, field, EditorHistory.cloneValue(state[field]));
+        });
+
+        const gameObject = this.target instanceof GameObject ? this.target : null;
+        if (gameObject && ('size' in state || 'polygonPointCount' in state || 'polygonAngleOffset' in state ||
+            'usePolygonCollision' in state) && typeof gameObject.generatePolygonPoints === 'function') {
+            gameObject.generatePolygonPoints();
+        }
+    }
+
+    canMerge(next, mergeWindow) {
+        if (!this.mergeable || !next.mergeable || !(next instanceof StateCommand)) return false;
+        if (next.target !== this.target || next.time - this.time > mergeWindow) return false;
+
+        const fields = Object.keys(this.after);
+        const nextFields = Object.keys(next.after);
+        return fields.length === nextFields.length && nextFields.every(field => field in this.after);
+    }
+
+    merge(next) {
+        this.after = next.after;
+        this.time = next.time;
+    }
+
+    getFocus() {
+        return this.target instanceof GameObject ? this.target : this.target.gameObject;
+    }
+}
+
+/**
+ * Objects added to, removed from or moved within the hierarchy
+ */
+class PlacementCommand {
+    /**
+     * @param {string} label - Label shown in the history
+     * @param {Scene} scene - Scene whose root list holds parentless objects
+     * @param {Array<{object: GameObject, from: Object|null, to: Object|null}>} entries - Moves
+     */
+    constructor(label, scene, entries) {
+        this.label = label;
+        this.scene = scene;
+        this.entries = entries;
+    }
+
+    undo() {
+        this.apply('from');
+    }
+
+    redo() {
+        this.apply('to');
+    }
+
+    apply(key) {
+        // Detach everything first so the indices refer to the final lists
+        this.entries.forEach(entry => this.detach(entry.object));
+
+        this.entries
+            .filter(entry => entry[key])
+            .sort((a, b) => a[key].index - b[key].index)
+            .forEach(entry => {
+                const placement = entry[key];
+                const list = placement.parent ? placement.parent.children : this.scene.gameObjects;
+                list.splice(Math.min(placement.index, list.length), 0, entry.object);
+                entry.object.parent = placement.parent;
+            });
+    }
+
+    detach(obj) {
+        if (obj.parent) {
+            const index = obj.parent.children.indexOf(obj);
+            if (index !== -1) obj.parent.children.splice(index, 1);
+            obj.parent = null;
+        } else {
+            const index = this.scene.gameObjects.indexOf(obj);
+            if (index !== -1) this.scene.gameObjects.splice(index, 1);
+        }
+    }
+
+    getFocus() {
+        return this.entries.length > 0 ? this.entries[0].object : null;
+    }
+}
+
+/**
+ * A GameObject's module list before and after adding, removing or reordering modules
+ */
+class ModuleListCommand {
+    constructor(label, gameObject, before, after) {
+        this.label = label;
+        this.gameObject = gameObject;
+        this.before = before;
+        this.after = after;
+    }
+
+    undo() {
+        this.apply(this.before);
+    }
+
+    redo() {
+        this.apply(this.after);
+    }
+
+    apply(modules) {
+        this.gameObject.modules.forEach(module => {
+            if (!modules.includes(module)) module.gameObject = null;
+        });
+        this.gameObject.modules = modules.slice();
+        modules.forEach(module => { module.gameObject = this.gameObject; });
+    }
+
+    getFocus() {
+        return this.gameObject;
+    }
+}
+
+/**
+ * Several commands undone and redone as one step
+ */
+class GroupCommand {
+    constructor(label) {
+        this.label = label;
+        this.commands = [];
+    }
+
+    add(command) {
+        const last = this.commands[this.commands.length - 1];
+        if (last && last.canMerge && last.canMerge(command, Infinity)) {
+            last.merge(command);
+        } else {
+            this.commands.push(command);
+        }
+    }
+
+    undo() {
+        for (let i = this.commands.length - 1; i >= 0; i--) this.commands[i].undo();
+    }
+
+    redo() {
+        this.commands.forEach(command => command.redo());
+    }
+
+    getFocus() {
+        const first = this.commands.find(command => command.getFocus && command.getFocus());
+        return first ? first.getFocus() : null;
+    }
+}
+
+window.EditorHistory = EditorHistory;
+window.StateCommand = StateCommand;
+window.PlacementCommand = PlacementCommand;
+window.ModuleListCommand = ModuleListCommand;
+window.GroupCommand = GroupCommand;
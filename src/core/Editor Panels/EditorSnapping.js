@@ -0,0 +1,341 @@
+/**
+ * EditorSnapping - Smart guides, object snapping and align/distribute commands for the scene view
+ *
+ * While an object is dragged, its edges, center and pivot snap to the edges, centers and pivots
+ * of the other objects, and to the snap points modules report through getSnapPoints()
+ * (DrawPolygon vertices, SplinePath points). A guide line shows what it snapped to.
+ * Grid snapping still comes from EditorGrid; an object snap within reach wins over the grid.
+ */
+class EditorSnapping {
+    constructor(editor) {
+        this.editor = editor;
+
+        this.snapToObjects = true;
+        this.rotationSnap = 0;          // Degrees per step when rotating with the handles, 0 = off
+        this.threshold = 8;             // Snap distance in screen pixels
+        this.guideColor = '#FF4081';
+
+        this.guides = [];               // Lines of the current drag, in world space
+
+        this.initializeToolbar();
+    }
+
+    initializeToolbar() {
+        const toolbar = document.querySelector('.editor-toolbar');
+        if (!toolbar) return;
+
+        const controls = document.createElement('div');
+        controls.className = 'toolbar-group snapping-controls';
+        controls.innerHTML = `
+            <label title="Snap dragged objects to the edges, centers and points of other objects">
+                <input type="checkbox" class="snap-to-objects" ${this.snapToObjects ? 'checked' : ''}> Snap to Objects
+            </label>
+            <label title="Rotation step when rotating with the handles">Rotation Snap:
+                <select class="rotation-snap">
+                    ${[0, 5, 15, 45, 90].map(step => `<option value="${step}" ${step === this.rotationSnap ? 'selected' : ''}>${step ? step + '°' : 'Off'}</option>`).join('')}
+                </select>
+            </label>
+            <div class="toolbar-separator"></div>
+            <button class="toolbar-button" data-align="left" title="Align Left Edges"><i class="fas fa-align-left"></i></button>
+            <button class="toolbar-button" data-align="centerX" title="Align Horizontal Centers"><i class="fas fa-align-center"></i></button>
+            <button class="toolbar-button" data-align="right" title="Align Right Edges"><i class="fas fa-align-right"></i></button>
+            <button class="toolbar-button" data-align="top" title="Align Top Edges"><i class="fas fa-arrow-up"></i></button>
+            <button class="toolbar-button" data-align="centerY" title="Align Vertical Centers"><i class="fas fa-grip-lines"></i></button>
+            <button class="toolbar-button" data-align="bottom" title="Align Bottom Edges"><i class="fas fa-arrow-down"></i></button>
+            <button class="toolbar-button" data-distribute="x" title="Distribute Horizontally"><i class="fas fa-ellipsis-h"></i></button>
+            <button class="toolbar-button" data-distribute="y" title="Distribute Vertically"><i class="fas fa-ellipsis-v"></i></button>
+        `;
+        toolbar.appendChild(controls);
+
+        this.snapToObjectsInput = controls.querySelector('.snap-to-objects');
+        this.rotationSnapSelect = controls.querySelector('.rotation-snap');
+
+        this.snapToObjectsInput.addEventListener('change', () => {
+            this.snapToObjects = this.snapToObjectsInput.checked;
+        });
+        this.rotationSnapSelect.addEventListener('change', () => {
+            this.rotationSnap = parseFloat(this.rotationSnapSelect.value) || 0;
+        });
+
+        controls.querySelectorAll('[data-align]').forEach(button => {
+            button.addEventListener('click', () => this.alignSelection(button.dataset.align));
+        });
+        controls.querySelectorAll('[data-distribute]').forEach(button => {
+            button.addEventListener('click', () => this.distributeSelection(button.dataset.distribute));
+        });
+    }
+
+    // -------------------
+    // Snapping
+    // -------------------
+
+    /**
+     * World-space bounds of one or more objects
+     * @param {GameObject[]} objects - Objects to measure
+     * @returns {Object} { left, top, right, bottom, centerX, centerY }
+     */
+    getBounds(objects) {
+        let left = Infinity, top = Infinity, right = -Infinity, bottom = -Infinity;
+        objects.forEach(obj => {
+            const box = obj.getBoundingBox();
+            left = Math.min(left, box.left, box.right);
+            right = Math.max(right, box.left, box.right);
+            top = Math.min(top, box.top, box.bottom);
+            bottom = Math.max(bottom, box.top, box.bottom);
+        });
+        return { left, top, right, bottom, centerX: (left + right) / 2, centerY: (top + bottom) / 2 };
+    }
+
+    /**
+     * Lines the dragged objects can snap to
+     * @param {GameObject[]} exclude - Objects being moved (their children move too and are skipped)
+     * @returns {{x: Object[], y: Object[]}} Candidate x and y values with the span to draw their guide over
+     */
+    collectTargets(exclude) {
+        const targets = { x: [], y: [] };
+        const isMoving = (obj) => {
+            for (let current = obj; current; current = current.parent) {
+                if (exclude.includes(current)) return true;
+            }
+            return false;
+        };
+
+        this.editor.getAllGameObjects().forEach(obj => {
+            if (!obj.active || isMoving(obj)) return;
+
+            const bounds = this.getBounds([obj]);
+            const pivot = obj.getWorldPosition();
+            [bounds.left, bounds.centerX, bounds.right, pivot.x].forEach(value => {
+                targets.x.push({ value, min: bounds.top, max: bounds.bottom });
+            });
+            [bounds.top, bounds.centerY, bounds.bottom, pivot.y].forEach(value => {
+                targets.y.push({ value, min: bounds.left, max: bounds.right });
+            });
+
+            this.getModuleSnapPoints(obj).forEach(point => {
+                targets.x.push({ value: point.x, min: point.y, max: point.y });
+                targets.y.push({ value: point.y, min: point.x, max: point.x });
+            });
+        });
+
+        return targets;
+    }
+
+    /**
+     * Snap points reported by an object's modules
+     * A module takes part by implementing getSnapPoints(), returning world-space positions.
+     * @param {GameObject} obj - Object whose modules are asked
+     * @returns {Vector2[]} World positions
+     */
+    getModuleSnapPoints(obj) {
+        const points = [];
+        (obj.modules || []).forEach(module => {
+            if (!module.enabled || typeof module.getSnapPoints !== 'function') return;
+            try {
+                points.push(...(module.getSnapPoints() || []));
+            } catch (error) {
+                console.warn(`Error getting snap points from ${module.type || module.constructor.name}:`, error);
+            }
+        });
+        return points;
+    }
+
+    /**
+     * Find the closest target to any of the values, within the snap distance
+     * @returns {Object|null} { offset, target, value }
+     */
+    findSnap(values, targets) {
+        const maxDistance = this.threshold / this.editor.camera.zoom;
+        let best = null;
+        values.forEach(value => {
+            targets.forEach(target => {
+                const offset = target.value - value;
+                if (Math.abs(offset) <= maxDistance && (!best || Math.abs(offset) < Math.abs(best.offset))) {
+                    best = { offset, target, value: target.value };
+                }
+            });
+        });
+        return best;
+    }
+
+    /**
+     * Snap moving bounds to the other objects and remember the guides to draw
+     * @param {Object} bounds - Bounds of the moving objects at their proposed position (see getBounds)
+     * @param {Vector2} pivot - Pivot of the moving objects (their position handle)
+     * @param {GameObject[]} exclude - The moving objects
+     * @param {Object} [axes] - { x, y } axes allowed to snap
+     * @returns {Vector2} Offset to add to the proposed position
+     */
+    snapBounds(bounds, pivot, exclude, axes = { x: true, y: true }) {
+        this.guides = [];
+        if (!this.snapToObjects) return new Vector2(0, 0);
+
+        const targets = this.collectTargets(exclude);
+        const snapX = axes.x ? this.findSnap([bounds.left, bounds.centerX, bounds.right, pivot.x], targets.x) : null;
+        const snapY = axes.y ? this.findSnap([bounds.top, bounds.centerY, bounds.bottom, pivot.y], targets.y) : null;
+        const offset = new Vector2(snapX ? snapX.offset : 0, snapY ? snapY.offset : 0);
+
+        if (snapX) {
+            this.guides.push({
+                x1: snapX.value, y1: Math.min(bounds.top + offset.y, snapX.target.min),
+                x2: snapX.value, y2: Math.max(bounds.bottom + offset.y, snapX.target.max)
+            });
+        }
+        if (snapY) {
+            this.guides.push({
+                x1: Math.min(bounds.left + offset.x, snapY.target.min), y1: snapY.value,
+                x2: Math.max(bounds.right + offset.x, snapY.target.max), y2: snapY.value
+            });
+        }
+        return offset;
+    }
+
+    /**
+     * Snap a single point (e.g. a dragged vertex) to the grid and to other objects
+     * @param {Vector2} worldPos - Proposed position
+     * @param {GameObject[]} [exclude] - Objects whose own lines are ignored
+     * @returns {Vector2} Snapped position
+     */
+    snapPoint(worldPos, exclude = []) {
+        const gridPos = this.editor.grid.snapPosition(worldPos);
+        const bounds = { left: gridPos.x, right: gridPos.x, centerX: gridPos.x, top: gridPos.y, bottom: gridPos.y, centerY: gridPos.y };
+        return gridPos.add(this.snapBounds(bounds, gridPos, exclude));
+    }
+
+    /**
+     * Round an angle to the rotation snap step
+     * @param {number} angle - Degrees
+     * @returns {number} Snapped angle in degrees
+     */
+    snapAngle(angle) {
+        if (!(this.rotationSnap > 0)) return angle;
+        return Math.round(angle / this.rotationSnap) * this.rotationSnap;
+    }
+
+    clearGuides() {
+        this.guides = [];
+    }
+
+    /**
+     * Draw the guides of the current drag (context in world space)
+     * @param {CanvasRenderingContext2D} ctx - Editor context
+     */
+    drawGuides(ctx) {
+        if (this.guides.length === 0) return;
+
+        const zoom = this.editor.camera.zoom;
+        const extend = 10 / zoom;
+        ctx.save();
+        ctx.strokeStyle = this.guideColor;
+        ctx.lineWidth = 1 / zoom;
+        ctx.setLineDash([4 / zoom, 3 / zoom]);
+        this.guides.forEach(guide => {
+            const vertical = guide.x1 === guide.x2;
+            ctx.beginPath();
+            ctx.moveTo(guide.x1 - (vertical ? 0 : extend), guide.y1 - (vertical ? extend : 0));
+            ctx.lineTo(guide.x2 + (vertical ? 0 : extend), guide.y2 + (vertical ? extend : 0));
+            ctx.stroke();
+        });
+        ctx.restore();
+    }
+
+    // -------------------
+    // Align & distribute
+    // -------------------
+
+    /**
+     * Objects the align/distribute commands move (the multi-selection without children of selected objects)
+     * @returns {GameObject[]}
+     */
+    getSelection() {
+        return this.editor.getGroupSelection() || [];
+    }
+
+    /**
+     * Move each object by its own offset as one undo step
+     * @param {string} label - Label shown in the history
+     * @param {Map<GameObject, Vector2>} offsets - World-space offset per object
+     */
+    moveObjects(label, offsets) {
+        const history = this.editor.history;
+        history.beginGroup(label);
+        offsets.forEach((offset, obj) => {
+            const before = history.captureState(obj, ['position']);
+            this.editor.setObjectWorldPosition(obj, obj.getWorldPosition().add(offset));
+            history.recordState(label, obj, before, { merge: false });
+        });
+        history.endGroup();
+
+        if (this.editor.activeScene) this.editor.activeScene.markDirty();
+        if (this.editor.inspector) this.editor.inspector.updateTransformValues();
+        this.editor.refreshCanvas();
+    }
+
+    /**
+     * Line up the selected objects' edges or centers
+     * @param {string} edge - 'left', 'centerX', 'right', 'top', 'centerY' or 'bottom'
+     */
+    alignSelection(edge) {
+        const objects = this.getSelection();
+        if (objects.length < 2) {
+            console.warn('Select at least two objects to align them.');
+            return;
+        }
+
+        const total = this.getBounds(objects);
+        const horizontal = ['left', 'centerX', 'right'].includes(edge);
+        const offsets = new Map();
+        objects.forEach(obj => {
+            const delta = total[edge] - this.getBounds([obj])[edge];
+            offsets.set(obj, horizontal ? new Vector2(delta, 0) : new Vector2(0, delta));
+        });
+
+        const names = { left: 'Left', centerX: 'Horizontal Centers', right: 'Right', top: 'Top', centerY: 'Vertical Centers', bottom: 'Bottom' };
+        this.moveObjects(`Align ${names[edge]}`, offsets);
+    }
+
+    /**
+     * Space the selected objects' centers evenly between the two outermost ones
+     * @param {string} axis - 'x' or 'y'
+     */
+    distributeSelection(axis) {
+        const objects = this.getSelection();
+        if (objects.length < 3) {
+            console.warn('Select at least three objects to distribute them.');
+            return;
+        }
+
+        const key = axis === 'x' ? 'centerX' : 'centerY';
+        const sorted = objects
+            .map(obj => ({ obj, center: this.getBounds([obj])[key] }))
+            .sort((a, b) => a.center - b.center);
+        const first = sorted[0].center;
+        const step = (sorted[sorted.length - 1].center - first) / (sorted.length - 1);
+
+        const offsets = new Map();
+        sorted.forEach((entry, i) => {
+            const delta = first + step * i - entry.center;
+            offsets.set(entry.obj, axis === 'x' ? new Vector2(delta, 0) : new Vector2(0, delta));
+        });
+
+        this.moveObjects(`Distribute ${axis === 'x' ? 'Horizontally' : 'Vertically'}`, offsets);
+    }
+
+    toJSON() {
+        return {
+            snapToObjects: this.snapToObjects,
+            rotationSnap: this.rotationSnap
+        };
+    }
+
+    fromJSON(json) {
+        if (!json) return;
+        if (json.snapToObjects !== undefined) this.snapToObjects = json.snapToObjects;
+        if (json.rotationSnap !== undefined) this.rotationSnap = json.rotationSnap;
+
+        if (this.snapToObjectsInput) this.snapToObjectsInput.checked = this.snapToObjects;
+        if (this.rotationSnapSelect) this.rotationSnapSelect.value = String(this.rotationSnap);
+    }
+}
+
+window.EditorSnapping = EditorSnapping;
@@ -19,6 +19,7 @@ class FileBrowser {
         };
 
         this.initializeUI();
+        this.updateStorageUsage();
         this.initializeDB().then(() => {
             // Initialize directory tree after DB is ready
             this.directoryTree = new DirectoryTree(this);
@@ -152,6 +153,11 @@ class FileBrowser {
         this.breadcrumb.className = 'fb-breadcrumb';
         this.toolbar.appendChild(this.breadcrumb);
 
+        // Browser storage used by the editor (ProjectStorage quota)
+        this.storageUsage = document.createElement('span');
+        this.storageUsage.className = 'fb-storage-usage';
+        this.toolbar.appendChild(this.storageUsage);
+
         // Create EditorWindow tools toolbar
         this.createEditorWindowToolbar();
 
@@ -2296,8 +2302,8 @@ window.${pascalCaseName} = ${pascalCaseName};
             const store = transaction.objectStore('files');
 
             store.getAll().onsuccess = (e) => {
-                const files = e.target.result;
-                resolve(files.filter(file => file.type === 'file'));
+                const files = e.target.result.filter(file => file.type === 'file');
+                resolve(Promise.all(files.map(file => this.loadBinaryContent(file))));
             };
         });
     }
@@ -2354,7 +2360,7 @@ window.${pascalCaseName} = ${pascalCaseName};
             const parentPath = parentPathArray.length === 1 ? '/' : parentPathArray.join('/');
 
             // Check if file exists first (in a separate transaction)
-            const existingFile = await this.getFile(path);
+            const existingFile = await this.stat(path);
 
             if (existingFile && !overwrite) {
                 throw new Error('File already exists');
@@ -2368,6 +2374,14 @@ window.${pascalCaseName} = ${pascalCaseName};
                 }
             }
 
+            // Images, audio and other binary assets are kept in chunks by ProjectStorage,
+            // before the transaction opens so it doesn't close while they are written
+            const previousBinaryKey = existingFile ? existingFile.binaryKey : null;
+            let binary = null;
+            if (this.isBinaryContent(content)) {
+                binary = await window.projectStorage.setBinary(previousBinaryKey || this.createBinaryKey(), content);
+            }
+
             // Create a new transaction for file creation 
             // (after all parent directory operations are complete)
             const transaction = this.db.transaction(['files'], 'readwrite');
@@ -2378,10 +2392,15 @@ window.${pascalCaseName} = ${pascalCaseName};
                 path,
                 parentPath,
                 type: 'file',
-                content,
+                content: binary ? null : content,
                 created: existingFile ? existingFile.created : Date.now(),
                 modified: Date.now()
             };
+            if (binary) {
+                newFile.binaryKey = binary.key;
+                newFile.binaryType = binary.type;
+                newFile.size = binary.size;
+            }
 
             // Create a promise for the transaction result
             const result = await new Promise((resolve, reject) => {
@@ -2397,6 +2416,10 @@ window.${pascalCaseName} = ${pascalCaseName};
                 transaction.onerror = (e) => reject(e.target.error);
             });
 
+            if (previousBinaryKey && !binary) {
+                await window.projectStorage.removeBinary(previousBinaryKey);
+            }
+
             // Only reload content if we're not overwriting
             if (!overwrite) {
                 await this.loadContent(this.currentPath);
@@ -2407,9 +2430,21 @@ window.${pascalCaseName} = ${pascalCaseName};
                 await this.checkAndRegisterScript(path, content);
             }
 
+            if (result && path.endsWith('.prefab') && typeof content === 'string') {
+                // Keep the instances of the prefab in every scene in step with the asset
+                const prefabManager = window.editor && window.editor.hierarchy && window.editor.hierarchy.prefabManager;
+                if (prefabManager) await prefabManager.onPrefabFileChanged(path, content);
+            }
+
+            this.updateStorageUsage();
             return result;
         } catch (error) {
             console.error('Failed to create/update file:', error);
+            if (window.ProjectStorage && ProjectStorage.isQuotaError(error)) {
+                const usage = await window.projectStorage.describeUsage();
+                this.showNotification(`Not enough storage to save ${path.split('/').pop()} (${usage})`, 'error');
+                this.updateStorageUsage();
+            }
             return false;
         }
     }
@@ -2426,9 +2461,9 @@ window.${pascalCaseName} = ${pascalCaseName};
                 const result = e.target.result;
                 if (result) {
                     // Ensure we're getting the complete content
-                    console.log(`Retrieved file ${path}: ${result.content ? result.content.length : 0} characters`);
+                    console.log(`Retrieved file ${path}: ${result.binaryKey ? result.size + ' bytes' : (result.content ? result.content.length : 0) + ' characters'}`);
                 }
-                resolve(result);
+                resolve(this.loadBinaryContent(result));
             };
             request.onerror = (e) => {
                 console.error('Error getting file:', path, e.target.error);
@@ -2437,6 +2472,43 @@ window.${pascalCaseName} = ${pascalCaseName};
         });
     }
 
+    /**
+     * Whether content is stored through window.projectStorage instead of in the 'files' store:
+     * data URLs (images, audio, fonts), Blobs and ArrayBuffers
+     * @param {*} content - File content
+     * @returns {boolean} True for binary content
+     */
+    isBinaryContent(content) {
+        if (!window.projectStorage || content == null) return false;
+        if (typeof content === 'string') return content.startsWith('data:');
+        return content instanceof Blob || content instanceof ArrayBuffer || ArrayBuffer.isView(content);
+    }
+
+    /**
+     * ProjectStorage key for a new binary file. It doesn't contain the path, so renaming
+     * or moving the file keeps its data where it is.
+     * @returns {string} Storage key
+     */
+    createBinaryKey() {
+        return `asset:${this.dbName}/${Date.now().toString(36)}${Math.random().toString(36).substring(2, 10)}`;
+    }
+
+    /**
+     * Fill in the content of a file record whose data is kept by ProjectStorage
+     * @param {Object} file - Record from the 'files' store
+     * @returns {Promise<Object>} The same record, with content as a data URL
+     */
+    async loadBinaryContent(file) {
+        if (!file || !file.binaryKey || file.content != null || !window.projectStorage) return file;
+
+        try {
+            file.content = await window.projectStorage.getBinaryAsDataURL(file.binaryKey);
+        } catch (error) {
+            console.error(`Failed to read stored data of ${file.path}:`, error);
+        }
+        return file;
+    }
+
     async deleteSelected() {
         if (this.selectedItems.size === 0) return;
 
@@ -2477,6 +2549,7 @@ window.${pascalCaseName} = ${pascalCaseName};
 
             await Promise.all(promises);
             await this.loadContent(this.currentPath);
+            this.updateStorageUsage();
         } catch (error) {
             console.error('Failed to delete items:', error);
             this.showNotification('Error deleting items', 'error');
@@ -2488,7 +2561,7 @@ window.${pascalCaseName} = ${pascalCaseName};
 
         try {
             // First, check if the item exists and get its type
-            const item = await this.getFile(path);
+            const item = await this.stat(path);
             if (!item) {
                 console.warn(`Item not found for deletion: ${path}`);
                 return false;
@@ -2530,6 +2603,10 @@ window.${pascalCaseName} = ${pascalCaseName};
                 request.onerror = (e) => reject(e.target.error);
             });
 
+            if (item.binaryKey && window.projectStorage) {
+                await window.projectStorage.removeBinary(item.binaryKey);
+            }
+
             console.log(`Successfully deleted: ${path}`);
 
             // Refresh the parent folder in the directory tree if this was a folder
@@ -3011,11 +3088,31 @@ try {
 
             store.get(path).onsuccess = (e) => {
                 const file = e.target.result;
-                resolve(file ? file.content : null);
+                resolve(file ? this.loadBinaryContent(file).then(loaded => loaded.content) : null);
             };
         });
     }
 
+    /**
+     * Show how much browser storage the editor uses next to the breadcrumb
+     * @returns {Promise<Object|null>} The ProjectStorage estimate, or null without one
+     */
+    async updateStorageUsage() {
+        if (!this.storageUsage || !window.projectStorage) return null;
+
+        const estimate = await window.projectStorage.estimate();
+        if (estimate.usage === null) {
+            this.storageUsage.textContent = '';
+            return estimate;
+        }
+
+        this.storageUsage.textContent = ProjectStorage.formatBytes(estimate.usage);
+        this.storageUsage.title = `Browser storage: ${ProjectStorage.formatBytes(estimate.usage)} of ${ProjectStorage.formatBytes(estimate.quota)} used` +
+            (estimate.persisted ? '' : ' (may be cleared by the browser when space runs low)');
+        this.storageUsage.classList.toggle('warning', estimate.percent >= 90);
+        return estimate;
+    }
+
     /**
      * Show a notification toast
      */
@@ -3178,6 +3275,11 @@ try {
                 };
             });
 
+            // Image previews need the data ProjectStorage keeps for binary files
+            await Promise.all(items
+                .filter(item => item.binaryType && item.binaryType.startsWith('image/'))
+                .map(item => this.loadBinaryContent(item)));
+
             // Sanitize names if they contain spaces or whitespace
             /*for (const item of items) {
                 const sanitizedName = this.sanitizeName(item.name, item.type === 'file');
@@ -3333,6 +3435,8 @@ try {
                 icon = 'fa-gamepad';
             } else if (extension === 'doc') {
                 icon = 'fa-book';
+            } else if (extension === 'inputactions') {
+                icon = 'fa-gamepad';
             } else if (extension === 'json') {
                 icon = 'fa-file-code'; // Or a different icon if you prefer
             } else if (['mp3', 'wav', 'ogg', 'aac', 'flac'].includes(extension)) {
@@ -3417,6 +3521,16 @@ try {
             return;
         }
 
+        if (fileName.endsWith('.inputactions')) {
+            // Input Actions asset opens in its own editor window
+            if (window.InputActionsWindow) {
+                new window.InputActionsWindow(file.path).show();
+            } else {
+                this.showNotification('Input Actions editor not available', 'error');
+            }
+            return;
+        }
+
         if (fileName.endsWith('.scene')) {
             await this.openSceneFile(file);
         } else if (fileName.endsWith('.spritecode')) {
@@ -3761,6 +3875,12 @@ try {
         return '/';
     }
 
+    /**
+     * The stored record of a file or folder. Binary files have a binaryKey instead of content,
+     * use getFile() or readFile() for their data.
+     * @param {string} path - Item path
+     * @returns {Promise<Object|undefined>} The record
+     */
     async stat(path) {
         if (!this.db) return null;
 
@@ -4681,7 +4801,7 @@ try {
      */
     async moveItem(sourcePath, destPath) {
         try {
-            const sourceItem = await this.getFile(sourcePath);
+            const sourceItem = await this.stat(sourcePath);
             if (!sourceItem) throw new Error(`Source item not found: ${sourcePath}`);
 
             // Calculate new parent path for the destination
@@ -4738,7 +4858,7 @@ try {
      */
     async duplicateItem(sourcePath, destFolderPath) {
         try {
-            const sourceItem = await this.getFile(sourcePath);
+            const sourceItem = await this.stat(sourcePath);
             if (!sourceItem) throw new Error(`Source item not found: ${sourcePath}`);
 
             // Generate a unique name for the duplicate
@@ -4787,6 +4907,12 @@ try {
         this.isInitializing = true; // Block UI actions
 
         try {
+            // Binary files are kept by ProjectStorage, they go with the database
+            if (window.projectStorage) {
+                const keys = await window.projectStorage.binaryKeys(`asset:${this.dbName}/`);
+                for (const key of keys) await window.projectStorage.removeBinary(key);
+            }
+
             // Delete the old database
             if (this.db) {
                 this.db.close();
@@ -5004,6 +5130,12 @@ try {
                     writeTransaction.oncomplete = resolve;
                 });
 
+                if (window.projectStorage) {
+                    for (const item of orphans) {
+                        if (item.binaryKey) await window.projectStorage.removeBinary(item.binaryKey);
+                    }
+                }
+
                 console.log(`Removed ${itemsToDelete.length} problematic items`);
                 this.showNotification(`Database cleanup complete: Removed ${itemsToDelete.length} items`, 'info');
 
@@ -5096,7 +5228,10 @@ try {
 
             // Use hierarchy's prefab manager to instantiate
             if (this.hierarchy && this.hierarchy.prefabManager) {
-                const instantiated = this.hierarchy.prefabManager.instantiatePrefab(prefabData, worldPos);
+                const instantiated = this.hierarchy.prefabManager.instantiatePrefab(prefabData, worldPos, null, prefabPath);
+                if (instantiated && window.editor && window.editor.history) {
+                    window.editor.history.recordPlacement(`Instantiate ${instantiated.name}`, new Map(), [instantiated]);
+                }
 
                 // Refresh hierarchy and select the new object
                 this.hierarchy.refreshHierarchy();
@@ -30,7 +30,9 @@ class HierarchyManager {
             // Adjust hierarchy list height if needed
             if (this.listContainer) {
                 this.listContainer.style.maxHeight =
-                    (this.container.offsetHeight - this.container.querySelector('.hierarchy-toolbar').offsetHeight) + 'px';
+                    (this.container.offsetHeight - this.container.querySelector('.hierarchy-toolbar').offsetHeight -
+                        this.container.querySelector('.hierarchy-layers').offsetHeight -
+                        this.runtimeSection.offsetHeight) + 'px';
             }
         });
     }
@@ -51,13 +53,33 @@ class HierarchyManager {
                     <i class="fas fa-cube"></i>
                 </button>
             </div>
+            <div class="hierarchy-layers">
+                <div class="hierarchy-layers-header">
+                    <span class="hierarchy-layers-title"><i class="fas fa-layer-group"></i> Layers</span>
+                    <button class="hierarchy-button" id="addLayer" title="Add Layer">
+                        <i class="fas fa-plus"></i>
+                    </button>
+                </div>
+                <div class="hierarchy-layers-list"></div>
+            </div>
             <div class="hierarchy-list"></div>
+            <div class="hierarchy-runtime" style="display: none;">
+                <div class="hierarchy-layers-header">
+                    <span class="hierarchy-layers-title"><i class="fas fa-bolt"></i> Spawned at Runtime</span>
+                    <span class="hierarchy-runtime-count"></span>
+                </div>
+                <div class="hierarchy-runtime-list"></div>
+            </div>
         `;
 
         // Add a class to the container to enable flex layout
         this.container.classList.add('hierarchy-container');
 
         this.listContainer = this.container.querySelector('.hierarchy-list');
+        this.layersList = this.container.querySelector('.hierarchy-layers-list');
+        this.runtimeSection = this.container.querySelector('.hierarchy-runtime');
+        this.runtimeList = this.container.querySelector('.hierarchy-runtime-list');
+        this.runtimeCount = this.container.querySelector('.hierarchy-runtime-count');
 
         this.listContainer.addEventListener('click', (e) => {
             // Only handle clicks directly on the list container, not its children
@@ -97,6 +119,9 @@ class HierarchyManager {
         document.getElementById('createPrefab').addEventListener('click', () => {
             this.createPrefabFromSelected();
         });
+        document.getElementById('addLayer').addEventListener('click', () => {
+            this.addLayer();
+        });
 
         // Context menu for right-clicks on any part of the hierarchy panel
         this.container.addEventListener('contextmenu', (e) => {
@@ -259,19 +284,29 @@ class HierarchyManager {
             if (this.dragDropTarget) {
                 if (this.dragDropTarget.target === 'root' ||
                     this.dragDropTarget.target === 'root-top') {
+                    // Unparent and reorder undo as one step
+                    const history = this.editor.history;
+                    if (history) history.beginGroup(`Move ${draggedObj.name}`);
+
                     // Move to root level
                     this.moveToRoot(draggedObj);
 
                     // If it's root-top, we need to reorder (make it the first item)
                     if (this.dragDropTarget.target === 'root-top') {
+                        const placement = history ? history.capturePlacement([draggedObj]) : null;
+
                         // Remove and then add at the beginning
                         const index = this.editor.scene.gameObjects.indexOf(draggedObj);
                         if (index !== -1) {
                             this.editor.scene.gameObjects.splice(index, 1);
                             this.editor.scene.gameObjects.unshift(draggedObj);
                         }
+
+                        if (history) history.recordPlacement(`Move ${draggedObj.name}`, placement);
                     }
 
+                    if (history) history.endGroup();
+
                     this.refreshHierarchy();
                     this.editor.refreshCanvas();
                 }
@@ -410,6 +445,7 @@ class HierarchyManager {
      */
     refreshHierarchy() {
         this.listContainer.innerHTML = '';
+        this.refreshLayers();
         if (!this.editor || !this.editor.scene) return;
 
         // Build the hierarchy starting with root objects
@@ -420,6 +456,286 @@ class HierarchyManager {
         });
     }
 
+    /**
+     * Rebuild the list of objects the running game spawned (shown only while playing).
+     * Clicking one inspects it, edits apply to the running game.
+     */
+    refreshRuntimeObjects() {
+        if (!this.runtimeSection) return;
+
+        const playMode = this.editor && this.editor.playMode;
+        const playing = !!(playMode && playMode.playing);
+        this.runtimeSection.style.display = playing ? '' : 'none';
+        this.runtimeList.innerHTML = '';
+        if (!playing) return;
+
+        const objects = playMode.getSpawnedObjects();
+        const maxShown = 200;
+        const inspected = this.editor.inspector && this.editor.inspector.inspectedObject;
+        this.runtimeCount.textContent = objects.length;
+
+        objects.slice(0, maxShown).forEach(obj => {
+            const row = document.createElement('div');
+            row.className = 'hierarchy-runtime-item';
+            if (obj === inspected) row.classList.add('selected');
+            if (!obj.active) row.classList.add('inactive');
+            row.innerHTML = '<i class="fas fa-cube"></i> <span class="hierarchy-runtime-name"></span>';
+            row.querySelector('.hierarchy-runtime-name').textContent = obj.name;
+            row.title = `${obj.name} (${Math.round(obj.position.x)}, ${Math.round(obj.position.y)})`;
+            row.addEventListener('click', () => {
+                if (this.editor.inspector) this.editor.inspector.inspectObject(obj);
+                this.refreshRuntimeObjects();
+            });
+            this.runtimeList.appendChild(row);
+        });
+
+        if (objects.length > maxShown) {
+            const more = document.createElement('div');
+            more.className = 'hierarchy-runtime-more';
+            more.textContent = `+${objects.length - maxShown} more`;
+            this.runtimeList.appendChild(more);
+        }
+    }
+
+    /**
+     * The layer of a GameObject in the active scene, or null without a scene
+     */
+    getLayerOf(gameObject) {
+        const scene = this.editor && this.editor.activeScene;
+        return scene && scene.getLayerOf ? scene.getLayerOf(gameObject) : null;
+    }
+
+    /**
+     * Rebuild the layer list, front layer first
+     */
+    refreshLayers() {
+        if (!this.layersList) return;
+        this.layersList.innerHTML = '';
+
+        const scene = this.editor && this.editor.activeScene;
+        if (!scene || !scene.layers) return;
+
+        scene.layers.slice().reverse().forEach(layer => {
+            const row = document.createElement('div');
+            row.className = 'hierarchy-layer';
+            if (!layer.visible) row.classList.add('hidden-layer');
+            row.dataset.id = layer.id;
+
+            const parallax = layer.parallax.x !== 1 || layer.parallax.y !== 1
+                ? `<span class="hierarchy-layer-parallax" title="Parallax">${layer.parallax.x}, ${layer.parallax.y}</span>`
+                : '';
+            row.innerHTML = `
+                <span class="hierarchy-layer-color" style="background: ${layer.color}"></span>
+                <span class="hierarchy-layer-name"></span>
+                ${parallax}
+                <span class="hierarchy-layer-toggle layer-visibility" title="${layer.visible ? 'Hide layer' : 'Show layer'}">
+                    <i class="fas ${layer.visible ? 'fa-eye' : 'fa-eye-slash'}"></i>
+                </span>
+                <span class="hierarchy-layer-toggle layer-lock ${layer.locked ? 'active' : ''}" title="${layer.locked ? 'Unlock layer' : 'Lock layer'}">
+                    <i class="fas ${layer.locked ? 'fa-lock' : 'fa-lock-open'}"></i>
+                </span>
+            `;
+            row.querySelector('.hierarchy-layer-name').textContent = layer.name;
+
+            row.addEventListener('click', (e) => {
+                if (e.target.closest('.layer-visibility')) {
+                    this.toggleLayerVisibility(layer);
+                } else if (e.target.closest('.layer-lock')) {
+                    this.toggleLayerLock(layer);
+                }
+            });
+            row.querySelector('.hierarchy-layer-name').addEventListener('dblclick', () => this.renameLayer(layer));
+            row.addEventListener('contextmenu', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                this.showLayerContextMenu(e, layer);
+            });
+
+            this.layersList.appendChild(row);
+        });
+    }
+
+    showLayerContextMenu(e, layer) {
+        const scene = this.editor.activeScene;
+        const index = scene.layers.indexOf(layer);
+
+        // Unavailable entries are left out: showContextMenu maps clicks by index over enabled items
+        const items = [
+            { label: 'Rename', action: () => this.renameLayer(layer) },
+            { label: 'Set Parallax...', action: () => this.setLayerParallax(layer) }
+        ];
+        if (index < scene.layers.length - 1) items.push({ label: 'Bring Forward', action: () => this.moveLayer(layer, 1) });
+        if (index > 0) items.push({ label: 'Send Backward', action: () => this.moveLayer(layer, -1) });
+        if (this.selectedObjects.length > 0) {
+            items.push({ label: 'Move Selection Here', action: () => this.moveSelectionToLayer(layer) });
+        }
+        items.push({ label: '──────────', disabled: true });
+
+        // Collision mask: one toggle per layer
+        scene.layers.forEach(other => {
+            const collides = layer.collidesWithLayer(other);
+            items.push({
+                label: `${collides ? '☑' : '☐'} Collides with ${other.name.replace(/</g, '&lt;')}`,
+                action: () => this.toggleLayerCollision(layer, other)
+            });
+        });
+
+        if (scene.layers.length > 1) {
+            items.push({ label: '──────────', disabled: true });
+            items.push({ label: 'Delete Layer', action: () => this.deleteLayer(layer) });
+        }
+
+        this.editor.showContextMenu(e, items);
+    }
+
+    /**
+     * Change fields of a layer as one undo step
+     */
+    editLayer(layer, label, fields, change) {
+        const history = this.editor.history;
+        const before = history ? history.captureState(layer, fields) : null;
+        change();
+        if (before) history.recordState(label, layer, before, { merge: false });
+        this.afterLayerChange();
+    }
+
+    afterLayerChange() {
+        if (this.editor.activeScene) this.editor.activeScene.markDirty();
+        this.refreshHierarchy();
+        this.editor.refreshCanvas();
+    }
+
+    addLayer() {
+        const scene = this.editor.activeScene;
+        if (!scene || !scene.addLayer) return;
+
+        const name = prompt('Layer name:', `Layer ${scene.layers.length}`);
+        if (!name) return;
+
+        const history = this.editor.history;
+        const before = history ? history.captureState(scene, ['layers']) : null;
+        scene.addLayer(name);
+        if (before) history.recordState(`Add Layer ${name}`, scene, before, { merge: false });
+        this.afterLayerChange();
+    }
+
+    renameLayer(layer) {
+        const name = prompt('Layer name:', layer.name);
+        if (!name || name === layer.name) return;
+        this.editLayer(layer, `Rename Layer ${layer.name}`, ['name'], () => layer.name = name);
+    }
+
+    toggleLayerVisibility(layer) {
+        this.editLayer(layer, `${layer.visible ? 'Hide' : 'Show'} Layer ${layer.name}`, ['visible'],
+            () => layer.setVisibility(!layer.visible));
+    }
+
+    toggleLayerLock(layer) {
+        this.editLayer(layer, `${layer.locked ? 'Unlock' : 'Lock'} Layer ${layer.name}`, ['locked'],
+            () => layer.locked = !layer.locked);
+    }
+
+    setLayerParallax(layer) {
+        const input = prompt('Parallax factor "x, y" (1 moves with the camera, 0 stays on screen):',
+            `${layer.parallax.x}, ${layer.parallax.y}`);
+        if (input === null) return;
+
+        const parts = input.split(',').map(part => parseFloat(part.trim()));
+        const x = parts[0];
+        const y = parts.length > 1 ? parts[1] : x;
+        if (!Number.isFinite(x) || !Number.isFinite(y)) {
+            this.showNotification('Enter one or two numbers, e.g. "0.5, 1"', 'error');
+            return;
+        }
+        this.editLayer(layer, `Set Parallax of ${layer.name}`, ['parallax'], () => layer.parallax = { x, y });
+    }
+
+    /**
+     * Toggle collisions between two layers. Both masks change so the pair behaves the same either way.
+     */
+    toggleLayerCollision(layer, other) {
+        const scene = this.editor.activeScene;
+        const allIds = scene.layers.map(l => l.id);
+        const collides = layer.collidesWithLayer(other);
+
+        const history = this.editor.history;
+        if (history) history.beginGroup(`${collides ? 'Disable' : 'Enable'} ${layer.name} / ${other.name} Collisions`);
+        try {
+            [[layer, other], [other, layer]].forEach(([a, b]) => {
+                const before = history ? history.captureState(a, ['collisionMask']) : null;
+                const mask = a.collisionMask ? a.collisionMask.filter(id => allIds.includes(id)) : allIds.slice();
+                a.collisionMask = collides ? mask.filter(id => id !== b.id) : [...new Set([...mask, b.id])];
+                if (a.collisionMask.length === allIds.length) a.collisionMask = null;
+                if (before) history.recordState('Layer Collisions', a, before, { merge: false });
+            });
+        } finally {
+            if (history) history.endGroup();
+        }
+        this.afterLayerChange();
+    }
+
+    /**
+     * Move a layer forward (+1) or backward (-1) in the draw order
+     */
+    moveLayer(layer, delta) {
+        const scene = this.editor.activeScene;
+        const index = scene.layers.indexOf(layer) + delta;
+        if (index < 0 || index >= scene.layers.length) return;
+
+        const history = this.editor.history;
+        const before = history ? history.captureState(scene, ['layers']) : null;
+        scene.moveLayer(layer, index);
+        if (before) history.recordState(`${delta > 0 ? 'Bring Forward' : 'Send Backward'} ${layer.name}`, scene, before, { merge: false });
+        this.afterLayerChange();
+    }
+
+    moveSelectionToLayer(layer) {
+        const history = this.editor.history;
+        const objects = this.selectedObjects.slice();
+        if (history) history.beginGroup(`Move ${objects.length === 1 ? objects[0].name : objects.length + ' objects'} to ${layer.name}`);
+        try {
+            objects.forEach(obj => {
+                const before = history ? history.captureState(obj, ['layerId']) : null;
+                obj.layerId = layer.id;
+                if (before) history.recordState(`Move ${obj.name} to ${layer.name}`, obj, before, { merge: false });
+            });
+        } finally {
+            if (history) history.endGroup();
+        }
+        if (this.editor.inspector && this.editor.inspector.inspectedObject) {
+            this.editor.inspector.updateTransformValues();
+        }
+        this.afterLayerChange();
+    }
+
+    deleteLayer(layer) {
+        const scene = this.editor.activeScene;
+        if (scene.layers.length <= 1) return;
+        if (!confirm(`Delete layer "${layer.name}"? Its objects move to their parent's layer or the default layer.`)) return;
+
+        const history = this.editor.history;
+        if (history) history.beginGroup(`Delete Layer ${layer.name}`);
+        try {
+            const objectStates = [];
+            scene.forEachObject(obj => {
+                if (obj.layerId === layer.id && history) objectStates.push([obj, history.captureState(obj, ['layerId'])]);
+            });
+            const maskStates = history ? scene.layers.map(other => [other, history.captureState(other, ['collisionMask'])]) : [];
+            const before = history ? history.captureState(scene, ['layers']) : null;
+
+            scene.removeLayer(layer);
+
+            if (history) {
+                objectStates.forEach(([obj, state]) => history.recordState('Layer', obj, state, { merge: false }));
+                maskStates.forEach(([other, state]) => history.recordState('Layer Collisions', other, state, { merge: false }));
+                history.recordState(`Delete Layer ${layer.name}`, scene, before, { merge: false });
+            }
+        } finally {
+            if (history) history.endGroup();
+        }
+        this.afterLayerChange();
+    }
+
     /**
      * Create a UI item for a GameObject with its children
      */
@@ -441,6 +757,16 @@ class HierarchyManager {
             item.classList.add('inactive');
         }
 
+        // Mark objects linked to a prefab asset
+        if (gameObject.prefabNodeId) {
+            item.classList.add('prefab-instance');
+        }
+
+        // Mark objects on hidden or locked layers
+        const layer = this.getLayerOf(gameObject);
+        if (layer && !layer.visible) item.classList.add('layer-hidden');
+        if (layer && layer.locked) item.classList.add('layer-locked');
+
         // Create item content
         item.innerHTML = `
             <div class="hierarchy-item-header">
@@ -569,7 +895,7 @@ class HierarchyManager {
         const saveOnBlur = () => {
             const newName = nameElement.textContent.trim();
             if (newName && newName !== gameObject.name) {
-                gameObject.rename(newName);
+                this.renameWithHistory(gameObject, newName);
 
                 // Update inspector if this is the selected object
                 if (this.selectedObject === gameObject && this.editor.inspector) {
@@ -764,6 +1090,10 @@ class HierarchyManager {
             if (this.dragDropTarget && this.dragDropTarget.target === gameObject) {
                 const position = this.dragDropTarget.position;
 
+                // Reparenting and reordering undo as one step
+                const history = this.editor.history;
+                if (history) history.beginGroup(`Move ${draggedObj.name}`);
+
                 if (position === 'inside') {
                     // Reparent: Make the dragged object a child of the target
                     this.reparentGameObject(draggedObj, gameObject);
@@ -782,6 +1112,7 @@ class HierarchyManager {
                         this.moveToRoot(draggedObj);
 
                         // Then reorder in the root array
+                        const placement = history ? history.capturePlacement([draggedObj]) : null;
                         const targetIndex = this.editor.scene.gameObjects.indexOf(gameObject);
                         const currentIndex = this.editor.scene.gameObjects.indexOf(draggedObj);
 
@@ -801,11 +1132,14 @@ class HierarchyManager {
                                 draggedObj
                             );
                         }
+
+                        if (history) history.recordPlacement(`Move ${draggedObj.name}`, placement);
                     } else {
                         // Make it a sibling of the target (child of target's parent)
                         this.reparentGameObject(draggedObj, targetParent);
 
                         // Then reorder within the parent's children array
+                        const placement = history ? history.capturePlacement([draggedObj]) : null;
                         const targetIndex = targetParent.children.indexOf(gameObject);
                         const currentIndex = targetParent.children.indexOf(draggedObj);
 
@@ -825,9 +1159,13 @@ class HierarchyManager {
                                 draggedObj
                             );
                         }
+
+                        if (history) history.recordPlacement(`Move ${draggedObj.name}`, placement);
                     }
                 }
 
+                if (history) history.endGroup();
+
                 // Refresh the hierarchy after any change
                 this.refreshHierarchy();
                 this.editor.refreshCanvas();
@@ -906,6 +1244,9 @@ class HierarchyManager {
             return;
         }
 
+        const history = this.editor.history;
+        const placement = history ? history.capturePlacement([obj]) : null;
+
         // Remove from current parent
         if (obj.parent) {
             const index = obj.parent.children.indexOf(obj);
@@ -924,6 +1265,10 @@ class HierarchyManager {
         // Add to new parent
         newParent.addChild(obj);
 
+        if (history) {
+            history.recordPlacement(`Reparent ${obj.name}`, placement);
+        }
+
         // Refresh the hierarchy
         this.refreshHierarchy();
         this.editor.refreshCanvas();
@@ -946,6 +1291,9 @@ class HierarchyManager {
         // Already at root level
         if (!obj.parent) return;
 
+        const history = this.editor.history;
+        const placement = history ? history.capturePlacement([obj]) : null;
+
         // Remove from current parent
         const index = obj.parent.children.indexOf(obj);
         if (index !== -1) {
@@ -956,6 +1304,10 @@ class HierarchyManager {
         // Add to root
         this.editor.scene.gameObjects.push(obj);
 
+        if (history) {
+            history.recordPlacement(`Unparent ${obj.name}`, placement);
+        }
+
         // Refresh the hierarchy
         this.refreshHierarchy();
         this.editor.refreshCanvas();
@@ -1022,7 +1374,9 @@ class HierarchyManager {
             }
 
             // Create prefab data - implement our own serialization
-            const prefabData = this.serializeGameObjectToPrefab(gameObject);
+            const prefabData = this.prefabManager
+                ? this.prefabManager.serializeGameObjectForPrefab(gameObject)
+                : this.serializeGameObjectToPrefab(gameObject);
 
             // Save prefab to file system
             const success = await this.editor.fileBrowser.createFile(
@@ -1033,6 +1387,12 @@ class HierarchyManager {
             if (success) {
                 this.showNotification(`Prefab created: ${finalPrefabPath.split('/').pop()}`, 'success');
 
+                // The source object becomes an instance of the new prefab
+                if (this.prefabManager) {
+                    this.prefabManager.linkToPrefab(gameObject, finalPrefabPath, prefabData);
+                    this.refreshHierarchy();
+                }
+
                 // Refresh file browser if it's showing the Prefabs directory
                 if (this.editor.fileBrowser.currentPath === prefabsDir) {
                     await this.editor.fileBrowser.refreshFiles();
@@ -1078,6 +1438,10 @@ class HierarchyManager {
             this.editor.scene.gameObjects.push(obj);
         }
 
+        if (this.editor.history) {
+            this.editor.history.recordPlacement(`Create ${obj.name}`, new Map(), [obj]);
+        }
+
         this.refreshHierarchy();
         this.selectGameObject(obj);
         this.editor.refreshCanvas();
@@ -1118,6 +1482,11 @@ class HierarchyManager {
         // Use the clone method
         const duplicate = this.selectedObject.clone();
 
+        // A copy of part of a prefab instance is an added object, not a second link
+        if (duplicate.prefabNodeId && !duplicate.prefabSource) {
+            PrefabManager.unlink(duplicate);
+        }
+
         // Add to same parent as original
         if (this.selectedObject.parent) {
             this.selectedObject.parent.addChild(duplicate);
@@ -1125,6 +1494,10 @@ class HierarchyManager {
             this.editor.scene.gameObjects.push(duplicate);
         }
 
+        if (this.editor.history) {
+            this.editor.history.recordPlacement(`Duplicate ${this.selectedObject.name}`, new Map(), [duplicate]);
+        }
+
         // Refresh hierarchy and select the new object
         this.refreshHierarchy();
         this.selectGameObject(duplicate);
@@ -1151,7 +1524,11 @@ class HierarchyManager {
      * Toggle visibility of a GameObject
      */
     toggleGameObjectVisibility(gameObject) {
+        const before = this.editor.history ? this.editor.history.captureState(gameObject, ['active']) : null;
         gameObject.active = !gameObject.active;
+        if (before) {
+            this.editor.history.recordState(`${gameObject.active ? 'Show' : 'Hide'} ${gameObject.name}`, gameObject, before, { merge: false });
+        }
         this.refreshHierarchy();
         this.editor.refreshCanvas();
     }
@@ -1246,7 +1623,7 @@ class HierarchyManager {
     promptRenameGameObject(gameObject) {
         const newName = prompt('Enter new name for the GameObject:', gameObject.name);
         if (newName && newName !== gameObject.name) {
-            gameObject.rename(newName);
+            this.renameWithHistory(gameObject, newName);
             this.refreshHierarchy();
 
             // Also update inspector if this is the selected object
@@ -1256,6 +1633,20 @@ class HierarchyManager {
         }
     }
 
+    /**
+     * Rename a GameObject as an undoable step
+     * @param {GameObject} gameObject - Object to rename
+     * @param {string} newName - The new name
+     */
+    renameWithHistory(gameObject, newName) {
+        const history = this.editor.history;
+        const before = history ? history.captureState(gameObject, ['name']) : null;
+        gameObject.rename(newName);
+        if (before) {
+            history.recordState(`Rename ${before.name} to ${newName}`, gameObject, before, { merge: false });
+        }
+    }
+
     /**
      * Check if potentialChild is a child of obj (recursively)
      */
@@ -1293,6 +1684,9 @@ class HierarchyManager {
     deleteGameObject(gameObject) {
         if (!gameObject) return;
 
+        const history = this.editor.history;
+        const placement = history ? history.capturePlacement([gameObject]) : null;
+
         // Remove from parent or scene
         if (gameObject.parent) {
             gameObject.parent.removeChild(gameObject);
@@ -1304,6 +1698,10 @@ class HierarchyManager {
             }
         }
 
+        if (history) {
+            history.recordPlacement(`Delete ${gameObject.name}`, placement);
+        }
+
         // Update selected object
         if (this.selectedObject === gameObject) {
             this.selectedObject = null;
@@ -1343,7 +1741,7 @@ class HierarchyManager {
 
             // Instantiate at center of viewport
             const centerPosition = this.editor.getWorldCenterOfView();
-            const instantiated = this.instantiatePrefabFromData(prefabData, centerPosition);
+            const instantiated = this.instantiatePrefabFromData(prefabData, centerPosition, prefabPath);
 
             // Refresh hierarchy and select the new object
             this.refreshHierarchy();
@@ -1370,11 +1768,15 @@ class HierarchyManager {
      * Instantiate a GameObject from prefab data
      * @param {Object} prefabData - The prefab data
      * @param {Vector2} position - Position to instantiate at
+     * @param {string} [prefabPath] - Path of the .prefab file; the instance stays linked to it
      * @returns {GameObject} The instantiated GameObject
      */
-    instantiatePrefabFromData(prefabData, position) {
+    instantiatePrefabFromData(prefabData, position, prefabPath = null) {
         // Handle both old and new prefab formats
-        const gameObjectData = prefabData.gameObject || prefabData;
+        let gameObjectData = prefabData.gameObject || prefabData;
+        if (prefabPath && this.prefabManager) {
+            gameObjectData = this.prefabManager.prepareInstanceData(prefabPath, gameObjectData);
+        }
 
         const instantiated = this.deserializeGameObject(gameObjectData);
 
@@ -1389,6 +1791,10 @@ class HierarchyManager {
         // Add to scene
         this.editor.scene.gameObjects.push(instantiated);
 
+        if (this.editor.history) {
+            this.editor.history.recordPlacement(`Instantiate ${instantiated.name}`, new Map(), [instantiated]);
+        }
+
         return instantiated;
     }
 
@@ -3,6 +3,7 @@ class Inspector {
         this.container = document.getElementById(containerId);
         this.editor = editorInstance;
         this.inspectedObject = null;
+        this.inspectedObjects = []; // Objects edited together while several are selected
         this.lockedObject = null;
         this.scrollContainer = null;
         this.modulesList = null;
@@ -11,6 +12,8 @@ class Inspector {
         this.playModeChanges = new Map(); // Store changes made during play mode
         this.applyToEditorEnabled = false; // Whether to apply changes back to editor
 
+        this.historySnapshots = new WeakMap(); // GameObject/module -> values before the next edit (undo)
+
         // Initialize UI
         this.initializeUI();
 
@@ -29,6 +32,11 @@ class Inspector {
             }
         });
 
+        // Keep the prefab override markers current after every recorded edit, drag or undo
+        if (this.editor && this.editor.history) {
+            this.editor.history.onChange(() => this.updatePrefabInfo());
+        }
+
         this.showNoObjectMessage();
     }
 
@@ -58,6 +66,13 @@ class Inspector {
                             <i class="fas fa-unlink"></i>
                         </button>
                     </div>
+                    <div class="prefab-info" style="display: none;">
+                        <i class="fas fa-cube"></i>
+                        <span class="prefab-name"></span>
+                        <span class="prefab-override-count"></span>
+                        <button class="prefab-apply-button" title="Save this instance's changes to the prefab and all its instances">Apply</button>
+                        <button class="prefab-revert-button" title="Discard overrides and use the prefab's values">Revert</button>
+                    </div>
                 </div>
             </div>
             <div class="inspector-scroll-container">
@@ -85,6 +100,11 @@ class Inspector {
         this.addModuleButton = this.container.querySelector('.add-module-button');
         this.moduleDropdown = this.container.querySelector('.module-dropdown');
         this.applyToEditorButton = this.container.querySelector('.apply-to-editor-toggle');
+        this.prefabInfo = this.container.querySelector('.prefab-info');
+        this.prefabName = this.container.querySelector('.prefab-name');
+        this.prefabOverrideCount = this.container.querySelector('.prefab-override-count');
+        this.prefabApplyButton = this.container.querySelector('.prefab-apply-button');
+        this.prefabRevertButton = this.container.querySelector('.prefab-revert-button');
 
         // Set up event listeners
         this.setupEventListeners();
@@ -131,7 +151,11 @@ class Inspector {
 
             const newName = this.nameInput.value.trim();
             if (newName && newName !== this.inspectedObject.name) {
-                this.inspectedObject.rename(newName);
+                if (this.editor.hierarchy) {
+                    this.editor.hierarchy.renameWithHistory(this.inspectedObject, newName);
+                } else {
+                    this.inspectedObject.rename(newName);
+                }
 
                 // Update hierarchy if available
                 if (this.editor.hierarchy) {
@@ -143,11 +167,48 @@ class Inspector {
             }
         });
 
+        // Prefab instance actions
+        this.prefabApplyButton.addEventListener('click', async () => {
+            const prefabManager = this.getPrefabManager();
+            if (!prefabManager || !this.inspectedObject) return;
+            await prefabManager.applyToPrefab(this.inspectedObject);
+            this.updatePrefabInfo();
+        });
+
+        this.prefabRevertButton.addEventListener('click', () => {
+            const prefabManager = this.getPrefabManager();
+            const obj = this.inspectedObject;
+            if (!prefabManager || !obj) return;
+
+            const message = obj.prefabSource
+                ? `Revert all changes to this prefab instance, including added objects and modules?`
+                : `Revert the overrides of ${obj.name}?`;
+            if (confirm(message)) prefabManager.revertOverrides(obj);
+        });
+
+        // Right-click an overridden (bold) property to revert only that one
+        this.container.addEventListener('contextmenu', (e) => {
+            const marked = e.target.closest('[data-prefab-override]');
+            const prefabManager = this.getPrefabManager();
+            if (!marked || !prefabManager || !this.inspectedObject) return;
+
+            e.preventDefault();
+            const key = marked.dataset.prefabOverride;
+            if (confirm(`Revert "${key}" to the prefab's value?`)) {
+                prefabManager.revertOverrides(this.inspectedObject, [key]);
+            }
+        });
+
         // Active toggle
         this.activeToggle.addEventListener('change', () => {
             if (!this.inspectedObject) return;
 
+            const history = this.editor.history;
+            const before = history ? history.captureState(this.inspectedObject, ['active']) : null;
             this.inspectedObject.active = this.activeToggle.checked;
+            if (before) {
+                history.recordState(`${this.inspectedObject.active ? 'Enable' : 'Disable'} ${this.inspectedObject.name}`, this.inspectedObject, before, { merge: false });
+            }
 
             // Update hierarchy and canvas
             if (this.editor.hierarchy) {
@@ -380,8 +441,10 @@ class Inspector {
                 option.textContent = moduleName;
                 option.addEventListener('click', () => {
                     if (window[moduleName]) {
+                        const before = this.editor.history ? this.editor.history.captureModules(this.inspectedObject) : null;
                         const module = new window[moduleName]();
                         this.inspectedObject.addModule(module);
+                        if (before) this.editor.history.recordModules(`Add ${moduleName}`, this.inspectedObject, before);
                         this.showObjectInspector();
                     }
                 });
@@ -410,8 +473,10 @@ class Inspector {
         if (!this.inspectedObject || !ModuleClass) return;
 
         try {
+            const before = this.editor.history ? this.editor.history.captureModules(this.inspectedObject) : null;
             const module = new ModuleClass();
             this.inspectedObject.addModule(module);
+            if (before) this.editor.history.recordModules(`Add ${ModuleClass.name}`, this.inspectedObject, before);
             this.showObjectInspector();
             console.log(`Added ${ModuleClass.name} to ${this.inspectedObject.name}`);
         } catch (error) {
@@ -543,6 +608,7 @@ class Inspector {
      * Add a module to the selected GameObject
      */
     addModuleToGameObject(moduleClass) {
+        if (this.inspectedObjects.length > 1) return this.addModuleToSelection(moduleClass);
         if (!this.inspectedObject || !moduleClass) return;
 
         try {
@@ -559,7 +625,9 @@ class Inspector {
             module.gameObject = this.inspectedObject;
 
             // Add to GameObject
+            const before = this.editor.history ? this.editor.history.captureModules(this.inspectedObject) : null;
             const addedModule = this.inspectedObject.addModule(module);
+            if (before) this.editor.history.recordModules(`Add ${module.type}`, this.inspectedObject, before);
 
             // Ensure reference is correct
             console.log("Added module gameObject reference:", addedModule.gameObject === this.inspectedObject);
@@ -620,11 +688,17 @@ class Inspector {
             return;
         }
 
+        // While the game plays, edit the running clone so changes apply live
+        if (this.editor && this.editor.playMode) {
+            gameObject = this.editor.playMode.resolveRuntimeObject(gameObject);
+        }
+
         // Store the previous object reference
         const previousObject = this.inspectedObject;
 
         // Update the inspected object
         this.inspectedObject = gameObject;
+        this.inspectedObjects = [];
 
         // Show appropriate UI based on whether an object is selected
         if (!gameObject) {
@@ -652,6 +726,7 @@ class Inspector {
     showNoObjectMessage() {
         // First make sure the inspectedObject is null
         this.inspectedObject = null;
+        this.inspectedObjects = [];
 
         // Hide the "Add Module" button container
         const addModuleContainer = this.container.querySelector('.add-module-container');
@@ -721,6 +796,92 @@ class Inspector {
         requestAnimationFrame(() => {
             this.forceRefreshModuleValues();
         });
+
+        this.updatePrefabInfo();
+    }
+
+    /**
+     * Get the editor's PrefabManager
+     * @returns {PrefabManager|null}
+     */
+    getPrefabManager() {
+        return (this.editor && this.editor.hierarchy && this.editor.hierarchy.prefabManager) || null;
+    }
+
+    /**
+     * Show which prefab the inspected object belongs to and mark its overridden properties bold
+     */
+    updatePrefabInfo() {
+        if (!this.prefabInfo) return;
+
+        this.container.querySelectorAll('[data-prefab-override]').forEach(element => {
+            element.classList.remove('prefab-override');
+            delete element.dataset.prefabOverride;
+        });
+
+        const obj = this.inspectedObject;
+        const prefabManager = this.getPrefabManager();
+        const root = obj && prefabManager ? PrefabManager.getInstanceRoot(obj) : null;
+        if (!root) {
+            this.prefabInfo.style.display = 'none';
+            return;
+        }
+
+        if (!prefabManager.updateOverrides(root)) {
+            // The asset is not cached yet: read it, then mark the overrides
+            prefabManager.loadPrefabData(root.prefabSource).then(data => {
+                if (data && this.inspectedObject === obj) this.updatePrefabInfo();
+            });
+        }
+
+        const overrides = obj.prefabOverrides || [];
+        this.prefabInfo.style.display = 'flex';
+        this.prefabName.textContent = PrefabManager.getNameFromPath(root.prefabSource);
+        this.prefabName.title = root === obj ? root.prefabSource : `${root.prefabSource} (part of ${root.name})`;
+        this.prefabOverrideCount.textContent = overrides.length > 0
+            ? `${overrides.length} override${overrides.length === 1 ? '' : 's'}`
+            : '';
+
+        const mark = (element, key) => {
+            if (!element || element.dataset.prefabOverride || !overrides.includes(key)) return;
+            element.classList.add('prefab-override');
+            element.dataset.prefabOverride = key;
+        };
+        const labelOf = (input) => {
+            const row = input ? input.closest('.property-row') : null;
+            return row ? row.querySelector('label') : null;
+        };
+
+        mark(this.nameInput, 'name');
+        mark(this.activeToggle, 'active');
+
+        const transform = this.modulesList.querySelector('.transform-module');
+        if (transform) {
+            const fields = {
+                '.position-x': 'position', '.position-y': 'position', '.rotation': 'angle',
+                '.scale-x': 'scale', '.scale-y': 'scale', '.width': 'size', '.height': 'size',
+                '.depth': 'depth', '.depth-to-y': 'depthToY', '.layer-select': 'layerId', '.editor-color': 'editorColor',
+                '.dont-destroy-on-load': 'dontDestroyOnLoad',
+                '.use-collision': 'useCollisions', '.use-polygon-collision': 'usePolygonCollision',
+                '.polygon-points': 'polygonPointCount', '.draw-shadow': 'drawShadow',
+                '.shadow-color': 'shadowColor', '.shadow-blur': 'shadowBlur',
+                '.shadow-offset-x': 'shadowOffsetX', '.shadow-offset-y': 'shadowOffsetY'
+            };
+            Object.keys(fields).forEach(selector => mark(labelOf(transform.querySelector(selector)), fields[selector]));
+        }
+
+        this.modulesList.querySelectorAll('.module-container[data-module-id]').forEach(container => {
+            const module = obj.modules.find(m => m.id === container.dataset.moduleId);
+            if (!module) return;
+
+            const key = PrefabManager.getModuleKey(obj, module);
+            const title = container.querySelector('.module-title > span');
+            mark(title, key);
+            mark(title, `${key}/enabled`);
+            container.querySelectorAll('.module-content [data-prop-name]').forEach(input => {
+                mark(labelOf(input), `${key}/${input.dataset.propName}`);
+            });
+        });
     }
 
     /**
@@ -815,10 +976,18 @@ class Inspector {
                     <label title="Render depth/layer">Depth</label>
                     <input type="number" class="depth" value="${this.inspectedObject.depth}" step="1" title="Render depth/layer">
                 </div>
+                <div class="property-row">
+                    <label title="Scene layer the object is drawn and collides on. Layers draw in order, then by depth.">Layer</label>
+                    <select class="layer-select" title="Scene layer">${this.getLayerOptionsHTML(this.inspectedObject)}</select>
+                </div>
                 <div class="property-row">
                     <label title="Adjust depth based on Y position(Good for 2.5D/isometric games)">Depth to -y</label>
                     <input type="checkbox" class="depth-to-y" ${this.inspectedObject.depthToY ? 'checked' : ''}>
                 </div>
+                <div class="property-row">
+                    <label title="Keep this object and its children when the game changes scene (top-level objects only)">Keep Between Scenes</label>
+                    <input type="checkbox" class="dont-destroy-on-load" ${this.inspectedObject.dontDestroyOnLoad ? 'checked' : ''}>
+                </div>
                 <div class="property-row">
                     <label title="Color in editor view">Color</label>
                     <input type="color" class="editor-color" value="${this.rgbaStringToHex(this.inspectedObject.editorColor)}" title="Color in editor view">
@@ -888,6 +1057,8 @@ class Inspector {
         const rotationInput = transformModule.querySelector('.rotation');
         const depthInput = transformModule.querySelector('.depth');
         const depthToYInput = transformModule.querySelector('.depth-to-y');
+        const layerSelect = transformModule.querySelector('.layer-select');
+        const dontDestroyInput = transformModule.querySelector('.dont-destroy-on-load');
         const colorInput = transformModule.querySelector('.editor-color');
 
         // Shadow property inputs
@@ -1045,11 +1216,32 @@ class Inspector {
             this.inspectedObject.depthToY = depthToYInput.checked;
             this.editor.refreshCanvas();
         });
+
+        layerSelect.addEventListener('change', () => {
+            if (!this.inspectedObject) return;
+            this.inspectedObject.layerId = layerSelect.value || null;
+            if (this.editor.hierarchy) this.editor.hierarchy.refreshHierarchy();
+            this.editor.refreshCanvas();
+        });
+
+        dontDestroyInput.addEventListener('change', () => {
+            if (!this.inspectedObject) return;
+            this.inspectedObject.dontDestroyOnLoad = dontDestroyInput.checked;
+        });
+
+        // The listeners above run first, so by the time the event bubbles here the object is updated
+        this.snapshotForHistory(this.inspectedObject);
+        const recordTransform = () => this.recordEditsForHistory(this.inspectedObject);
+        transformModule.addEventListener('input', recordTransform);
+        transformModule.addEventListener('change', recordTransform);
     }
 
     updateTransformValues() {
         if (!this.inspectedObject) return;
 
+        // Values changed outside the Inspector (e.g. transform handles, undo) are the new baseline
+        this.snapshotForHistory(this.inspectedObject);
+
         const transformModule = this.modulesList.querySelector('.transform-module');
         if (!transformModule) return;
 
@@ -1260,6 +1452,7 @@ class Inspector {
         if (toggleButton) {
             toggleButton.addEventListener('click', () => {
                 module.enabled = !module.enabled;
+                this.recordEditsForHistory(module);
 
                 // Update UI to reflect the new state
                 toggleButton.innerHTML = `<i class="fas ${module.enabled ? 'fa-toggle-on' : 'fa-toggle-off'}"></i>`;
@@ -1282,7 +1475,7 @@ class Inspector {
                     moduleContainer.remove();
 
                     // Then remove from GameObject
-                    this.inspectedObject.removeModule(module);
+                    this.removeModuleWithHistory(module);
 
                     // Refresh canvas
                     this.editor.refreshCanvas();
@@ -1337,7 +1530,7 @@ class Inspector {
                             break;
                         case 'remove':
                             if (confirm(`Remove ${moduleDisplayName} module?`)) {
-                                this.inspectedObject.removeModule(module);
+                                this.removeModuleWithHistory(module);
                                 moduleContainer.remove();
                                 this.editor.refreshCanvas();
                             }
@@ -1362,6 +1555,12 @@ class Inspector {
         // Add this line to set up property listeners:
         this.setupModulePropertyListeners(moduleContainer, module);
 
+        // Record property edits for undo once the listeners above have applied them
+        this.snapshotForHistory(module);
+        const recordModule = () => this.recordEditsForHistory(this.getLiveModuleReference(module));
+        moduleContainer.addEventListener('input', recordModule);
+        moduleContainer.addEventListener('change', recordModule);
+
         // Remainder of your existing function
         return moduleContainer;
     }
@@ -1602,6 +1801,44 @@ class Inspector {
         });
     }
 
+    /**
+     * Remember the current values of a GameObject or module as the baseline for the next undo step
+     * @param {GameObject|Module} target - Object shown in the Inspector
+     */
+    snapshotForHistory(target) {
+        const history = this.editor && this.editor.history;
+        if (!history || !target) return;
+        this.historySnapshots.set(target, history.captureState(target));
+    }
+
+    /**
+     * Record whatever changed on target since the last snapshot as an undo step
+     * Repeated edits of the same fields in quick succession (sliders, typing) merge into one step.
+     * @param {GameObject|Module} target - Object that was edited
+     */
+    recordEditsForHistory(target) {
+        const history = this.editor && this.editor.history;
+        if (!history || !target) return;
+
+        const before = this.historySnapshots.get(target);
+        if (before) {
+            const name = target instanceof GameObject ? target.name : (target.type || target.constructor.name);
+            history.recordState(`Edit ${name}`, target, before);
+        }
+        this.snapshotForHistory(target);
+    }
+
+    /**
+     * Remove a module from the inspected object as an undoable step
+     * @param {Module} module - Module to remove
+     */
+    removeModuleWithHistory(module) {
+        const history = this.editor.history;
+        const before = history ? history.captureModules(this.inspectedObject) : null;
+        this.inspectedObject.removeModule(module);
+        if (before) history.recordModules(`Remove ${module.type}`, this.inspectedObject, before);
+    }
+
     /**
      * Update the module order in the GameObject based on DOM order
      */
@@ -1615,7 +1852,9 @@ class Inspector {
         const moduleIds = moduleElements.map(el => el.dataset.moduleId).filter(id => id);
 
         // Reorder the modules in the GameObject
+        const before = this.editor.history ? this.editor.history.captureModules(this.inspectedObject) : null;
         this.inspectedObject.reorderModules(moduleIds);
+        if (before) this.editor.history.recordModules('Reorder Modules', this.inspectedObject, before);
 
         // Refresh canvas
         this.editor.refreshCanvas();
@@ -2931,6 +3170,58 @@ class Inspector {
                     ${helpHtml}
                 </div>
             `;
+            case 'action': {
+                // Input action names from the project's Input Actions asset
+                const actionNames = Object.keys(window.input?.actions || {});
+                if (value && !actionNames.includes(value)) {
+                    actionNames.unshift(value); // Keep a reference to an action the asset no longer has
+                }
+                return `
+                <div class="property-row" style="${rowStyle}">
+                    <label for="${inputId}" title="${tooltip}" style="${labelStyle}">${this.formatPropertyName(prop.name)}</label>
+                    <select id="${inputId}" class="property-input" data-prop-name="${prop.name}"
+                        title="${tooltip}" style="${inputStyle}">
+                        ${actionNames.map(name => `<option value="${name}" ${value === name ? 'selected' : ''}>${name}</option>`).join('')}
+                    </select>
+                    ${helpHtml}
+                </div>
+            `;
+            }
+            case 'collisionCategory': {
+                // Named categories from the scene's physics settings
+                const categories = this.getCollisionCategoryNames();
+                if (value && !categories.includes(value)) {
+                    categories.push(value); // Keep a category the scene no longer has
+                }
+                return `
+                <div class="property-row" style="${rowStyle}">
+                    <label for="${inputId}" title="${tooltip}" style="${labelStyle}">${this.formatPropertyName(prop.name)}</label>
+                    <select id="${inputId}" class="property-input" data-prop-name="${prop.name}"
+                        title="${tooltip}" style="${inputStyle}">
+                        <option value="" ${!value ? 'selected' : ''}>(None)</option>
+                        ${categories.map(name => `<option value="${name}" ${value === name ? 'selected' : ''}>${name}</option>`).join('')}
+                    </select>
+                    ${helpHtml}
+                </div>
+            `;
+            }
+            case 'collisionMask': {
+                const selected = Array.isArray(value) ? value : [];
+                const categories = this.getCollisionCategoryNames();
+                selected.forEach(name => {
+                    if (!categories.includes(name)) categories.push(name);
+                });
+                return `
+                <div class="property-row" style="${rowStyle}">
+                    <label for="${inputId}" title="${tooltip}" style="${labelStyle}">${this.formatPropertyName(prop.name)}</label>
+                    <select id="${inputId}" class="property-input" data-prop-name="${prop.name}" multiple
+                        size="${Math.min(6, Math.max(2, categories.length))}" title="${tooltip}" style="${inputStyle}">
+                        ${categories.map(name => `<option value="${name}" ${selected.includes(name) ? 'selected' : ''}>${name}</option>`).join('')}
+                    </select>
+                    ${helpHtml}
+                </div>
+            `;
+            }
             case 'keys':
             case 'keycode':
             case 'key': {
@@ -3521,18 +3812,466 @@ console.log("Module name:", this.name);</pre>
     }
 
     inspectMultipleObjects(objects) {
-        // Hide object header and modules
+        // A locked Inspector keeps showing its object
+        if (this.lockedObject) return;
+
+        if (!objects || objects.length === 0) {
+            this.showNoObjectMessage();
+            return;
+        }
+        if (objects.length === 1) {
+            this.inspectObject(objects[0]);
+            return;
+        }
+
+        // Single-object listeners check inspectedObject, so they stay idle while several are edited
+        this.inspectedObject = null;
+        this.inspectedObjects = this.editor && this.editor.playMode
+            ? objects.map(obj => this.editor.playMode.resolveRuntimeObject(obj))
+            : objects.slice();
+        this.showMultiObjectInspector();
+    }
+
+    /**
+     * Build the Inspector for several objects: the transform and the modules every object has,
+     * each listed once. Fields whose values differ show "—"; an edit applies to all objects.
+     */
+    showMultiObjectInspector() {
+        const objects = this.inspectedObjects;
+
         this.noObjectMessage.style.display = 'none';
         this.objectHeader.style.display = 'none';
+        this.prefabInfo.style.display = 'none';
+
+        const addModuleContainer = this.container.querySelector('.add-module-container');
+        if (addModuleContainer) {
+            addModuleContainer.style.display = 'block';
+        }
+
         this.modulesList.innerHTML = `
-            <div class="multiple-selection-message">
+            <div class="multi-object-header">
                 <i class="fas fa-object-group"></i>
-                <h3>${objects.length} objects selected</h3>
-                <p>Multi-object editing is not yet supported.<br>
-                You can move, duplicate, or delete all selected objects.</p>
+                <span>${objects.length} objects selected</span>
+            </div>
+        `;
+
+        this.modulesList.appendChild(this.createMultiTransformUI(objects));
+
+        const sharedModules = this.getSharedModules(objects);
+        sharedModules.forEach(modules => {
+            this.modulesList.appendChild(this.createMultiModuleUI(modules));
+        });
+
+        const moduleTypes = new Set();
+        objects.forEach(obj => (obj.modules || []).forEach(m => moduleTypes.add(m.constructor.name)));
+        const hiddenCount = moduleTypes.size - sharedModules.length;
+        if (hiddenCount > 0) {
+            const note = document.createElement('div');
+            note.className = 'multi-object-note';
+            note.textContent = `${hiddenCount} module type${hiddenCount === 1 ? ' is' : 's are'} only on some of the objects. Select them individually to edit.`;
+            this.modulesList.appendChild(note);
+        }
+    }
+
+    /**
+     * Modules of the types every object has, grouped per type
+     * @param {GameObject[]} objects - Selected objects
+     * @returns {Module[][]} One array per shared type, holding the first module of that type on each object
+     */
+    getSharedModules(objects) {
+        const shared = [];
+        const seen = new Set();
+        (objects[0].modules || []).forEach(module => {
+            const typeName = module.constructor.name;
+            if (seen.has(typeName)) return;
+            seen.add(typeName);
+
+            const modules = objects.map(obj => (obj.modules || []).find(m => m.constructor.name === typeName));
+            if (modules.every(Boolean)) shared.push(modules);
+        });
+        return shared;
+    }
+
+    /**
+     * Read a value from several targets
+     * @param {Array} targets - Objects or modules
+     * @param {Function} read - Returns the value of one target
+     * @returns {{value: *, mixed: boolean}} The first target's value, and whether the others differ
+     */
+    getSharedValue(targets, read) {
+        const value = read(targets[0]);
+        const mixed = targets.some(target => !EditorHistory.valuesEqual(read(target), value));
+        return { value, mixed };
+    }
+
+    /**
+     * Change every target as one undo step
+     * @param {string} label - Label shown in the history
+     * @param {Array} targets - GameObjects or modules
+     * @param {Function} write - Applies the change to one target
+     */
+    applyToSelection(label, targets, write) {
+        const history = this.editor && this.editor.history;
+        if (history) history.beginGroup(label);
+
+        targets.forEach(target => {
+            const before = history ? history.captureState(target) : null;
+            try {
+                write(target);
+            } catch (error) {
+                console.error(`Error applying "${label}":`, error);
+            }
+            if (before) history.recordState(label, target, before, { merge: false });
+        });
+
+        if (history) history.endGroup();
+
+        if (this.editor && this.editor.activeScene) {
+            this.editor.activeScene.markDirty();
+        }
+        if (this.editor) {
+            this.editor.refreshCanvas();
+        }
+    }
+
+    /**
+     * HTML for one multi-edit field
+     * @param {Object} field - { key, label, type, options, step, description }
+     * @param {{value: *, mixed: boolean}} shared - Value from getSharedValue()
+     * @returns {string} Property row HTML
+     */
+    generateMultiFieldUI(field, shared) {
+        const { value, mixed } = shared;
+        const escape = (text) => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/"/g, '&quot;');
+        const title = escape(field.description || field.label);
+        const mixedAttr = mixed ? 'data-mixed="true"' : '';
+        let input;
+
+        switch (field.type) {
+            case 'boolean':
+                input = `<input type="checkbox" data-field="${field.key}" ${mixedAttr} ${value && !mixed ? 'checked' : ''}>`;
+                break;
+            case 'color': {
+                const hex = typeof value === 'string' && value.startsWith('#') ? value.slice(0, 7) : this.rgbaStringToHex(value || '#ffffff');
+                input = `<input type="color" data-field="${field.key}" ${mixedAttr} value="${hex}" title="${mixed ? 'Mixed values' : title}">`;
+                break;
+            }
+            case 'select': {
+                const options = field.options.map(option => {
+                    const optionValue = option && typeof option === 'object' ? option.value : option;
+                    const optionLabel = option && typeof option === 'object' && option.label ? option.label : this.formatPropertyName(String(optionValue));
+                    const selected = !mixed && String(optionValue) === String(value ?? '') ? 'selected' : '';
+                    return `<option value="${escape(optionValue)}" ${selected}>${escape(optionLabel)}</option>`;
+                }).join('');
+                input = `<select data-field="${field.key}" ${mixedAttr}>${mixed ? '<option value="" selected disabled>—</option>' : ''}${options}</select>`;
+                break;
+            }
+            case 'string':
+                input = `<input type="text" data-field="${field.key}" ${mixedAttr} value="${mixed ? '' : escape(value ?? '')}" placeholder="${mixed ? '—' : ''}">`;
+                break;
+            case 'number':
+                input = `<input type="number" data-field="${field.key}" ${mixedAttr} value="${mixed ? '' : value}" placeholder="${mixed ? '—' : ''}" step="${field.step || 'any'}">`;
+                break;
+            default:
+                input = `<span class="multi-object-unsupported">Edit objects individually</span>`;
+        }
+
+        return `
+            <div class="property-row${mixed ? ' mixed-value' : ''}">
+                <label title="${title}">${field.label}</label>
+                ${input}
+            </div>
+        `;
+    }
+
+    /**
+     * Build the property rows for a list of fields and apply edits to all targets
+     * @param {HTMLElement} content - Element the rows are added to
+     * @param {Array} targets - GameObjects or modules being edited together
+     * @param {Object[]} fields - Fields with key, label, type, read(target) and write(target, value)
+     * @param {Function} getLabel - Returns the undo label for a field
+     */
+    addMultiFields(content, targets, fields, getLabel) {
+        content.innerHTML = fields.map(field => this.generateMultiFieldUI(field, this.getSharedValue(targets, field.read))).join('');
+
+        // Checkboxes can only show a mixed state from script
+        content.querySelectorAll('input[type="checkbox"][data-mixed="true"]').forEach(input => {
+            input.indeterminate = true;
+        });
+
+        fields.forEach(field => {
+            const input = content.querySelector(`[data-field="${field.key}"]`);
+            if (!input) return;
+
+            input.addEventListener('change', () => {
+                let value;
+                if (field.type === 'boolean') {
+                    value = input.checked;
+                } else if (field.type === 'number') {
+                    value = parseFloat(input.value);
+                    if (isNaN(value)) return;
+                } else if (field.type === 'select') {
+                    const option = field.options.find(o => String(o && typeof o === 'object' ? o.value : o) === input.value);
+                    value = option && typeof option === 'object' ? option.value : option;
+                } else {
+                    value = input.value;
+                }
+
+                this.applyToSelection(getLabel(field), targets, target => field.write(target, value));
+
+                // The field now holds one value on every target
+                input.removeAttribute('data-mixed');
+                input.indeterminate = false;
+                input.placeholder = '';
+                input.closest('.property-row').classList.remove('mixed-value');
+                const mixedOption = input.tagName === 'SELECT' ? input.querySelector('option[disabled]') : null;
+                if (mixedOption) mixedOption.remove();
+            });
+        });
+    }
+
+    /**
+     * Transform section for several objects
+     * @param {GameObject[]} objects - Selected objects
+     * @returns {HTMLElement} Module container
+     */
+    createMultiTransformUI(objects) {
+        const axisField = (key, label, vector, axis, step) => ({
+            key, label, type: 'number', step,
+            read: obj => obj[vector][axis],
+            write: (obj, value) => {
+                obj[vector][axis] = value;
+                if (vector === 'size') obj.generatePolygonPoints();
+            }
+        });
+        const plainField = (key, label, type, extra = {}) => ({
+            key, label, type,
+            read: obj => obj[key],
+            write: (obj, value) => { obj[key] = value; },
+            ...extra
+        });
+
+        const scene = this.editor && this.editor.activeScene;
+        const layers = scene && scene.layers ? scene.layers.slice().reverse() : [];
+
+        const fields = [
+            plainField('active', 'Active', 'boolean'),
+            axisField('positionX', 'Position X', 'position', 'x', 1),
+            axisField('positionY', 'Position Y', 'position', 'y', 1),
+            axisField('width', 'Width', 'size', 'x', 1),
+            axisField('height', 'Height', 'size', 'y', 1),
+            axisField('scaleX', 'Scale X', 'scale', 'x', 0.1),
+            axisField('scaleY', 'Scale Y', 'scale', 'y', 0.1),
+            plainField('angle', 'Angle', 'number', { step: 1 }),
+            plainField('depth', 'Depth', 'number', { step: 1 }),
+            plainField('layerId', 'Layer', 'select', {
+                options: [{ value: '', label: 'Inherit' }, ...layers.map(layer => ({ value: layer.id, label: layer.name }))],
+                read: obj => obj.layerId || '',
+                write: (obj, value) => { obj.layerId = value || null; }
+            }),
+            plainField('depthToY', 'Depth to -y', 'boolean'),
+            plainField('useCollisions', 'Use Bounding Box Collision', 'boolean'),
+            plainField('dontDestroyOnLoad', 'Keep Between Scenes', 'boolean'),
+            plainField('editorColor', 'Color', 'color')
+        ].filter(field => field.key !== 'layerId' || layers.length > 0);
+
+        const isCollapsed = this.getModuleCollapseState('transform');
+        const container = document.createElement('div');
+        container.className = 'module-container transform-module';
+        container.innerHTML = `
+            <div class="module-header">
+                <div class="module-title">
+                    <i class="fas fa-arrows-alt"></i>
+                    <span>Transform</span>
+                </div>
+                <div class="module-actions">
+                    <button class="module-collapse" title="${isCollapsed ? 'Expand' : 'Collapse'}">
+                        <i class="fas ${isCollapsed ? 'fa-chevron-down' : 'fa-chevron-up'}"></i>
+                    </button>
+                </div>
             </div>
+            <div class="module-content" style="${isCollapsed ? 'display: none;' : ''}"></div>
         `;
-        // Optionally, add batch actions here
+
+        this.addMultiFields(container.querySelector('.module-content'), objects, fields, field => `Edit ${field.label} of ${objects.length} objects`);
+        this.setupMultiCollapse(container, 'transform');
+
+        container.addEventListener('change', (e) => {
+            if (e.target.dataset.field === 'layerId' || e.target.dataset.field === 'active') {
+                if (this.editor.hierarchy) this.editor.hierarchy.refreshHierarchy();
+            }
+        });
+
+        return container;
+    }
+
+    /**
+     * Section for one module type shared by all selected objects
+     * @param {Module[]} modules - The module of that type on each selected object
+     * @returns {HTMLElement} Module container
+     */
+    createMultiModuleUI(modules) {
+        const first = modules[0];
+        const typeName = first.type || first.constructor.name;
+        const iconClass = first.constructor.iconClass || 'fa-puzzle-piece';
+        const enabled = this.getSharedValue(modules, m => m.enabled);
+        const isCollapsed = this.getModuleCollapseState(`multi-${first.constructor.name}`);
+
+        const fields = [];
+        (first.exposedProperties || []).forEach(prop => {
+            if (fields.some(field => field.key === prop.name)) return;
+
+            const label = prop.options?.label || this.formatPropertyName(prop.name);
+            const read = m => EditorHistory.readField(m, prop.name);
+            const write = (m, value) => EditorHistory.writeField(m, prop.name, value);
+            const description = prop.options?.description;
+
+            switch (prop.type) {
+                case 'number':
+                case 'boolean':
+                case 'color':
+                    fields.push({ key: prop.name, label, type: prop.type, step: prop.options?.step, description, read, write });
+                    break;
+                case 'string':
+                case 'text':
+                    fields.push({ key: prop.name, label, type: 'string', description, read, write });
+                    break;
+                case 'enum':
+                case 'dropdown':
+                case 'select':
+                    fields.push({ key: prop.name, label, type: 'select', options: prop.options?.options || [], description, read, write });
+                    break;
+                case 'vector2':
+                    ['x', 'y'].forEach(axis => fields.push({
+                        key: `${prop.name}.${axis}`,
+                        label: `${label} ${axis.toUpperCase()}`,
+                        type: 'number',
+                        step: prop.options?.step,
+                        description,
+                        read: m => (read(m) || {})[axis],
+                        write: (m, value) => {
+                            const vector = read(m);
+                            const copy = vector && typeof vector.clone === 'function' ? vector.clone() : { ...(vector || {}) };
+                            copy[axis] = value;
+                            write(m, copy);
+                        }
+                    }));
+                    break;
+                default:
+                    fields.push({ key: prop.name, label, type: prop.type, read, write });
+            }
+        });
+
+        const container = document.createElement('div');
+        container.className = 'module-container';
+        container.innerHTML = `
+            <div class="module-header">
+                <div class="module-title">
+                    <i class="${iconClass.startsWith('fa-') ? `fas ${iconClass}` : iconClass}"></i>
+                    <span title="${first.constructor.description || typeName}">${typeName}</span>
+                    <span class="multi-object-count">×${modules.length}</span>
+                </div>
+                <div class="module-actions">
+                    <button class="module-toggle" title="${enabled.mixed ? 'Enabled on some objects' : enabled.value ? 'Disable' : 'Enable'} Module">
+                        <i class="fas ${enabled.mixed ? 'fa-adjust' : enabled.value ? 'fa-toggle-on' : 'fa-toggle-off'}"></i>
+                    </button>
+                    <button class="module-collapse" title="${isCollapsed ? 'Expand' : 'Collapse'}">
+                        <i class="fas ${isCollapsed ? 'fa-chevron-down' : 'fa-chevron-up'}"></i>
+                    </button>
+                    <button class="module-remove" title="Remove from all selected objects">
+                        <i class="fas fa-times"></i>
+                    </button>
+                </div>
+            </div>
+            <div class="module-content" style="${isCollapsed ? 'display: none;' : ''}"></div>
+        `;
+
+        this.addMultiFields(container.querySelector('.module-content'), modules, fields, field => `Edit ${typeName} ${field.label}`);
+        this.setupMultiCollapse(container, `multi-${first.constructor.name}`);
+
+        container.querySelector('.module-toggle').addEventListener('click', () => {
+            // Mixed or disabled modules get enabled everywhere
+            const enable = enabled.mixed || !enabled.value;
+            this.applyToSelection(`${enable ? 'Enable' : 'Disable'} ${typeName}`, modules, m => { m.enabled = enable; });
+            this.showMultiObjectInspector();
+        });
+
+        container.querySelector('.module-remove').addEventListener('click', () => {
+            const history = this.editor.history;
+            const label = `Remove ${typeName}`;
+            if (history) history.beginGroup(label);
+            modules.forEach(module => {
+                const obj = module.gameObject;
+                if (!obj) return;
+                const before = history ? history.captureModules(obj) : null;
+                obj.removeModule(module);
+                if (before) history.recordModules(label, obj, before);
+            });
+            if (history) history.endGroup();
+
+            this.showMultiObjectInspector();
+            this.editor.refreshCanvas();
+        });
+
+        return container;
+    }
+
+    setupMultiCollapse(container, stateId) {
+        const button = container.querySelector('.module-collapse');
+        const content = container.querySelector('.module-content');
+        button.addEventListener('click', () => {
+            const collapsed = content.style.display !== 'none';
+            content.style.display = collapsed ? 'none' : '';
+            button.title = collapsed ? 'Expand' : 'Collapse';
+            button.innerHTML = `<i class="fas ${collapsed ? 'fa-chevron-down' : 'fa-chevron-up'}"></i>`;
+            this.saveModuleCollapseState(stateId, collapsed);
+        });
+    }
+
+    /**
+     * Add a module to every selected object as one undo step
+     * Objects that already have a module that can't be added twice are skipped.
+     * @param {Function} moduleClass - Module class to add
+     * @returns {Module|null} The module added to the first object, or null if none was added
+     */
+    addModuleToSelection(moduleClass) {
+        if (!moduleClass) return null;
+
+        const history = this.editor.history;
+        const label = `Add ${moduleClass.name}`;
+        let firstAdded = null;
+
+        if (history) history.beginGroup(label);
+        this.inspectedObjects.forEach(obj => {
+            if (moduleClass.allowMultiple === false && obj.getModuleByType(moduleClass.name)) return;
+            try {
+                const before = history ? history.captureModules(obj) : null;
+                const module = new moduleClass();
+                if (!module.type) module.type = moduleClass.name;
+                module.gameObject = obj;
+                obj.addModule(module);
+                if (before) history.recordModules(label, obj, before);
+                if (!firstAdded) firstAdded = module;
+            } catch (error) {
+                console.error(`Error adding module ${moduleClass.name} to ${obj.name}:`, error);
+            }
+        });
+        if (history) history.endGroup();
+
+        this.showMultiObjectInspector();
+        this.editor.refreshCanvas();
+        return firstAdded;
+    }
+
+    /**
+     * Refresh the multi-object transform values after the objects changed elsewhere (e.g. group handles)
+     */
+    updateMultiTransformValues() {
+        const transformModule = this.modulesList.querySelector('.transform-module');
+        if (!transformModule || transformModule.contains(document.activeElement)) return;
+
+        const replacement = this.createMultiTransformUI(this.inspectedObjects);
+        transformModule.replaceWith(replacement);
     }
 
     /**
@@ -3979,6 +4718,7 @@ console.log("Module name:", this.name);</pre>
 
         // Define the update function with change tracking
         const updateGameObject = () => {
+            this.recordEditsForHistory(getLiveModule());
             if (this.editor && this.editor.refreshCanvas) {
                 this.editor.refreshCanvas();
             }
@@ -4526,6 +5266,8 @@ console.log("Module name:", this.name);</pre>
                 if (input.type === 'number') {
                     value = parseFloat(input.value);
                     if (isNaN(value)) value = 0;
+                } else if (input.multiple) {
+                    value = Array.from(input.selectedOptions).map(option => option.value);
                 } else {
                     value = input.value;
                 }
@@ -4660,6 +5402,8 @@ console.log("Module name:", this.name);</pre>
     updateModuleValues(module) {
         if (!this.inspectedObject || !module) return;
 
+        this.snapshotForHistory(module);
+
         const moduleContainer = this.modulesList.querySelector(`.module-container[data-module-id="${module.id}"]`);
         if (!moduleContainer) return;
 
@@ -4678,6 +5422,10 @@ console.log("Module name:", this.name);</pre>
                 input.value = value || '#ffffff';
             } else if (input.type === 'number') {
                 input.value = value || 0;
+            } else if (input.multiple) {
+                Array.from(input.options).forEach(option => {
+                    option.selected = Array.isArray(value) && value.includes(option.value);
+                });
             } else {
                 input.value = value || '';
             }
@@ -5073,6 +5821,10 @@ console.log("Module name:", this.name);</pre>
                     input.value = currentValue || 0;
                 } else if (input.type === 'color') {
                     input.value = currentValue || '#ffffff';
+                } else if (input.multiple) {
+                    Array.from(input.options).forEach(option => {
+                        option.selected = Array.isArray(currentValue) && currentValue.includes(option.value);
+                    });
                 } else {
                     input.value = currentValue || '';
                 }
@@ -5216,6 +5968,8 @@ console.log("Module name:", this.name);</pre>
             console.error(`Error updating property ${propName} on module ${actualModule.type}:`, error);
         }
 
+        this.recordEditsForHistory(actualModule);
+
         // Mark scene as dirty
         if (window.editor && window.editor.activeScene) {
             window.editor.activeScene.markDirty();
@@ -6894,6 +7648,8 @@ console.log("Module name:", this.name);</pre>
         else {
             module[propertyName] = imagePath;
         }
+
+        this.recordEditsForHistory(module);
     }
 
     /**
@@ -6952,6 +7708,8 @@ console.log("Module name:", this.name);</pre>
                 } else if (input.type === 'number') {
                     value = parseFloat(input.value);
                     if (isNaN(value)) value = 0;
+                } else if (input.multiple) {
+                    value = Array.from(input.selectedOptions).map(option => option.value);
                 } else {
                     value = input.value;
                 }
@@ -7152,6 +7910,7 @@ console.log("Module name:", this.name);</pre>
         const setterName = `set${propName.charAt(0).toUpperCase()}${propName.slice(1)}`;
         if (typeof module[setterName] === 'function') {
             module[setterName](assetPath);
+            this.recordEditsForHistory(module);
 
             // Register with AssetManager for export
             this.registerAssetForExport(module, propName, assetPath);
@@ -7163,6 +7922,7 @@ console.log("Module name:", this.name);</pre>
         const prop = exposedProps.find(p => p.name === propName);
         if (prop && prop.options && prop.options.onAssetSelected) {
             prop.options.onAssetSelected(assetPath);
+            this.recordEditsForHistory(module);
 
             // Register with AssetManager for export
             this.registerAssetForExport(module, propName, assetPath);
@@ -7175,6 +7935,7 @@ console.log("Module name:", this.name);</pre>
         } else {
             module[propName] = assetPath;
         }
+        this.recordEditsForHistory(module);
 
         // Register with AssetManager for export
         this.registerAssetForExport(module, propName, assetPath);
@@ -7355,11 +8116,11 @@ console.log("Module name:", this.name);</pre>
                 }
             }
 
-            // Remove the placeholder
+            // Remove the placeholder and add the real module as one undo step
+            const before = this.editor.history ? this.editor.history.captureModules(this.inspectedObject) : null;
             this.inspectedObject.removeModule(placeholderModule);
-
-            // Add the real module
             this.inspectedObject.addModule(newModule);
+            if (before) this.editor.history.recordModules(`Replace ${placeholderModule.type}`, this.inspectedObject, before);
 
             // Refresh the inspector
             this.showObjectInspector();
@@ -7679,8 +8440,15 @@ console.log("Module name:", this.name);</pre>
      * Update the transform module values when object changes
      */
     updateTransformValues() {
+        if (this.inspectedObjects.length > 1) {
+            this.updateMultiTransformValues();
+            return;
+        }
         if (!this.inspectedObject) return;
 
+        // Values changed outside the Inspector (e.g. transform handles, undo) are the new baseline
+        this.snapshotForHistory(this.inspectedObject);
+
         const transformModule = this.modulesList.querySelector('.transform-module');
         if (!transformModule) return;
 
@@ -7688,6 +8456,41 @@ console.log("Module name:", this.name);</pre>
         transformModule.querySelector('.position-y').value = this.inspectedObject.position.y;
         transformModule.querySelector('.rotation').value = this.inspectedObject.angle;
         transformModule.querySelector('.depth').value = this.inspectedObject.depth;
+        transformModule.querySelector('.dont-destroy-on-load').checked = this.inspectedObject.dontDestroyOnLoad;
+
+        const layerSelect = transformModule.querySelector('.layer-select');
+        if (layerSelect) {
+            layerSelect.innerHTML = this.getLayerOptionsHTML(this.inspectedObject);
+        }
+    }
+
+    /**
+     * Collision category names of the scene being edited (or played), for RigidBody and Collider
+     * @returns {string[]} Category names
+     */
+    getCollisionCategoryNames() {
+        const scene = (this.editor && this.editor.activeScene) || (window.engine && window.engine.scene);
+        return scene && scene.getCollisionCategories ? scene.getCollisionCategories() : ['Default'];
+    }
+
+    /**
+     * Options for the Layer dropdown: inherit (parent's or default layer) plus the active scene's layers
+     * @param {GameObject} obj - The inspected object, its layerId is selected
+     * @returns {string} HTML option elements
+     */
+    getLayerOptionsHTML(obj) {
+        const scene = this.editor && this.editor.activeScene;
+        if (!scene || !scene.layers) return '<option value="">Default</option>';
+
+        const escape = (text) => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/"/g, '&quot;');
+        const ownLayer = obj && obj.layerId ? scene.layers.find(layer => layer.id === obj.layerId) : null;
+        const inherited = obj && obj.parent ? scene.getLayerOf(obj.parent) : scene.getDefaultLayer();
+
+        let html = `<option value="" ${ownLayer ? '' : 'selected'}>Inherit (${escape(inherited.name)})</option>`;
+        scene.layers.slice().reverse().forEach(layer => {
+            html += `<option value="${escape(layer.id)}" ${layer === ownLayer ? 'selected' : ''}>${escape(layer.name)}</option>`;
+        });
+        return html;
     }
 }
 
@@ -0,0 +1,327 @@
+/**
+ * PlayModeSession - Play-in-editor controls: live tweaking, pause/step and keeping runtime changes
+ *
+ * The game runs on clones of the editor objects (Engine.loadScene), so the editor scene is
+ * untouched when play stops. While it runs:
+ * - Inspecting an editor object shows its running clone, so Inspector edits apply live
+ * - Pause holds the simulation and Step advances it by one frame (Engine.stepFrame)
+ * - "Keep Changes" snapshots the runtime state of the selected objects; the snapshot is copied
+ *   to the editor objects when play stops, as one undoable step
+ * - The Hierarchy lists the objects spawned at runtime (Engine.dynamicObjects) for inspection
+ */
+class PlayModeSession {
+    constructor(editor) {
+        this.editor = editor;
+
+        this.keptStates = new Map();    // Editor object -> { object, modules } state to apply on stop
+        this.refreshInterval = 500;     // Milliseconds between runtime view refreshes
+        this.refreshTimer = null;
+
+        this.initializeToolbar();
+    }
+
+    get engine() {
+        return window.engine || (this.editor && this.editor.engine) || null;
+    }
+
+    /**
+     * Whether the game is playing in the editor (paused counts as playing)
+     */
+    get playing() {
+        const engine = this.engine;
+        return !!(engine && engine.running);
+    }
+
+    initializeToolbar() {
+        const toolbar = document.querySelector('.game-toolbar');
+        if (!toolbar) return;
+
+        const controls = document.createElement('div');
+        controls.className = 'game-controls play-mode-controls';
+        controls.innerHTML = `
+            <button class="game-button play-mode-pause" title="Pause"><i class="fas fa-pause"></i></button>
+            <button class="game-button play-mode-step" title="Step One Frame"><i class="fas fa-step-forward"></i></button>
+            <button class="game-button play-mode-keep" title="Keep Changes: copy the selected objects' runtime state to the scene when play stops"><i class="fas fa-thumbtack"></i></button>
+            <span class="play-mode-kept" title="Objects whose runtime state is kept"></span>
+        `;
+        toolbar.insertBefore(controls, toolbar.querySelector('.game-info'));
+
+        this.pauseButton = controls.querySelector('.play-mode-pause');
+        this.stepButton = controls.querySelector('.play-mode-step');
+        this.keepButton = controls.querySelector('.play-mode-keep');
+        this.keptLabel = controls.querySelector('.play-mode-kept');
+
+        this.pauseButton.addEventListener('click', () => this.togglePause());
+        this.stepButton.addEventListener('click', () => this.step());
+        this.keepButton.addEventListener('click', () => this.keepSelected());
+
+        this.updateControls();
+    }
+
+    updateControls() {
+        if (!this.pauseButton) return;
+
+        const engine = this.engine;
+        const paused = !!(engine && engine.editorPaused);
+        this.pauseButton.classList.toggle('active', this.playing && paused);
+        this.pauseButton.title = paused ? 'Resume' : 'Pause';
+        this.pauseButton.innerHTML = `<i class="fas ${paused ? 'fa-play' : 'fa-pause'}"></i>`;
+
+        [this.pauseButton, this.stepButton, this.keepButton].forEach(button => {
+            button.disabled = !this.playing;
+        });
+
+        this.keptLabel.textContent = this.keptStates.size > 0 ? `${this.keptStates.size} kept` : '';
+    }
+
+    // -------------------
+    // Play lifecycle (called by Engine)
+    // -------------------
+
+    onPlayStarted() {
+        this.keptStates.clear();
+        this.updateControls();
+
+        clearInterval(this.refreshTimer);
+        this.refreshTimer = setInterval(() => this.refreshRuntimeView(), this.refreshInterval);
+        this.refreshRuntimeView();
+
+        // Whatever was inspected before play is shown as its running clone from now on
+        const inspector = this.editor.inspector;
+        if (inspector && inspector.inspectedObject && !inspector.lockedObject) {
+            inspector.inspectObject(inspector.inspectedObject);
+        }
+    }
+
+    onPlayStopped() {
+        clearInterval(this.refreshTimer);
+        this.refreshTimer = null;
+
+        this.releaseRuntimeInspection();
+        this.applyKeptStates();
+        this.updateControls();
+
+        if (this.editor.hierarchy) {
+            this.editor.hierarchy.refreshRuntimeObjects();
+        }
+    }
+
+    /**
+     * Point the Inspector back at the editor scene: a running clone is replaced by its editor
+     * object, a spawned object (which has none) is cleared
+     */
+    releaseRuntimeInspection() {
+        const inspector = this.editor.inspector;
+        if (!inspector || !inspector.inspectedObject || !this.isRuntimeObject(inspector.inspectedObject)) return;
+
+        const original = this.engine.getEditorObject(inspector.inspectedObject);
+        inspector.lockedObject = null;
+        if (original) {
+            inspector.inspectObject(original);
+        } else {
+            inspector.showNoObjectMessage();
+        }
+    }
+
+    // -------------------
+    // Live tweaking
+    // -------------------
+
+    /**
+     * The object the Inspector should edit: the running clone of an editor object while playing
+     * @param {GameObject} gameObject - Object to inspect
+     * @returns {GameObject} The clone, or gameObject itself when there is none
+     */
+    resolveRuntimeObject(gameObject) {
+        if (!gameObject || !this.playing || !this.engine.getRuntimeObject) return gameObject;
+        return this.engine.getRuntimeObject(gameObject) || gameObject;
+    }
+
+    /**
+     * Whether an object belongs to the running game rather than the editor scene
+     * @param {GameObject} gameObject - Object to check
+     * @returns {boolean} True for running clones and objects spawned at runtime
+     */
+    isRuntimeObject(gameObject) {
+        const engine = this.engine;
+        if (!gameObject || !engine) return false;
+        if (engine.dynamicObjects && engine.dynamicObjects.has(gameObject)) return true;
+        for (const clone of engine.runtimeCopies.values()) {
+            if (clone === gameObject) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Objects spawned while playing, shown in the Hierarchy's runtime section
+     * @returns {GameObject[]} Spawned objects that still exist
+     */
+    getSpawnedObjects() {
+        const engine = this.engine;
+        if (!this.playing || !engine.dynamicObjects) return [];
+        return Array.from(engine.dynamicObjects).filter(obj => engine.getObjectByID(obj.id));
+    }
+
+    refreshRuntimeView() {
+        if (!this.playing) return;
+
+        if (this.editor.hierarchy) {
+            this.editor.hierarchy.refreshRuntimeObjects();
+        }
+
+        // The simulation moves the inspected clone, keep its transform fields current
+        const inspector = this.editor.inspector;
+        if (!inspector || !inspector.inspectedObject || !this.isRuntimeObject(inspector.inspectedObject)) return;
+
+        if (!this.engine.getObjectByID(inspector.inspectedObject.id)) {
+            // Destroyed by the game
+            inspector.lockedObject = null;
+            inspector.showNoObjectMessage();
+        } else if (!inspector.container.contains(document.activeElement)) {
+            inspector.updateTransformValues();
+        }
+    }
+
+    // -------------------
+    // Pause and step
+    // -------------------
+
+    togglePause() {
+        if (!this.playing) return;
+        this.engine.setEditorPaused(!this.engine.editorPaused);
+        this.updateControls();
+    }
+
+    step() {
+        if (!this.playing) return;
+        this.engine.stepFrame();
+        this.updateControls();
+
+        // Show the result of the step once the frame has run
+        requestAnimationFrame(() => requestAnimationFrame(() => this.refreshRuntimeView()));
+    }
+
+    // -------------------
+    // Keep changes
+    // -------------------
+
+    /**
+     * Editor objects whose runtime state "Keep Changes" should copy
+     * @returns {GameObject[]} Selected editor objects, or the one the Inspector shows
+     */
+    getKeepTargets() {
+        const engine = this.engine;
+        const targets = new Set();
+        const add = (obj) => {
+            if (!obj) return;
+            const original = this.isRuntimeObject(obj) ? engine.getEditorObject(obj) : obj;
+            if (original) targets.add(original);
+        };
+
+        (this.editor.selectedObjects || []).forEach(add);
+        if (this.editor.hierarchy) add(this.editor.hierarchy.selectedObject);
+        if (targets.size === 0 && this.editor.inspector) {
+            add(this.editor.inspector.inspectedObject);
+            (this.editor.inspector.inspectedObjects || []).forEach(add);
+        }
+        return Array.from(targets);
+    }
+
+    /**
+     * Snapshot the runtime state of the selected objects, applied to the scene when play stops
+     * @returns {number} Number of objects kept
+     */
+    keepSelected() {
+        if (!this.playing) return 0;
+
+        const engine = this.engine;
+        let kept = 0;
+        this.getKeepTargets().forEach(original => {
+            const clone = engine.getRuntimeObject(original);
+            if (!clone) return;
+            this.keptStates.set(original, this.captureRuntimeState(original, clone));
+            kept++;
+        });
+
+        if (kept === 0) {
+            this.notify('Select objects of the scene to keep their runtime changes', 'warning');
+        } else {
+            this.notify(`Keeping the runtime state of ${kept} object${kept === 1 ? '' : 's'}`, 'success');
+        }
+        this.updateControls();
+        return kept;
+    }
+
+    /**
+     * Copy the fields of a running clone and its modules, keyed for the editor object
+     * @param {GameObject} original - Editor object
+     * @param {GameObject} clone - Its running clone
+     * @returns {Object} { object, modules: [{ module, state }] }
+     */
+    captureRuntimeState(original, clone) {
+        const history = this.editor.history;
+        const objectFields = EditorHistory.getFields(original).filter(field => field !== 'name');
+
+        const modules = [];
+        original.modules.forEach((module, i) => {
+            // Clones keep the module order, fall back to the type if it changed at runtime
+            let runtimeModule = clone.modules[i];
+            if (!runtimeModule || runtimeModule.constructor !== module.constructor) {
+                runtimeModule = clone.modules.find(m => m.constructor === module.constructor);
+            }
+            if (!runtimeModule) return;
+            modules.push({ module, state: history.captureState(runtimeModule, EditorHistory.getFields(module)) });
+        });
+
+        return { object: history.captureState(clone, objectFields), modules };
+    }
+
+    /**
+     * Write the kept states to the editor objects as one undoable step
+     */
+    applyKeptStates() {
+        if (this.keptStates.size === 0) return;
+
+        const history = this.editor.history;
+        history.beginGroup(`Keep play mode changes (${this.keptStates.size})`);
+        this.keptStates.forEach((kept, original) => {
+            this.applyState(history, `Keep ${original.name}`, original, kept.object);
+            kept.modules.forEach(({ module, state }) => {
+                if (original.modules.includes(module)) {
+                    this.applyState(history, `Keep ${module.type || module.constructor.name}`, module, state);
+                }
+            });
+        });
+        history.endGroup();
+        this.keptStates.clear();
+
+        if (this.editor.inspector && this.editor.inspector.inspectedObject) {
+            this.editor.inspector.showObjectInspector();
+        }
+        if (this.editor.activeScene) {
+            this.editor.activeScene.markDirty();
+        }
+    }
+
+    applyState(history, label, target, state) {
+        const before = history.captureState(target, Object.keys(state));
+        Object.keys(state).forEach(field => {
+            try {
+                EditorHistory.writeField(target, field, EditorHistory.cloneValue(state[field]));
+            } catch (error) {
+                console.warn(`Could not keep ${field} of ${label}:`, error);
+            }
+        });
+        history.recordState(label, target, before, { merge: false });
+    }
+
+    notify(message, type = 'info') {
+        if (this.editor.hierarchy && this.editor.hierarchy.showNotification) {
+            this.editor.hierarchy.showNotification(message, type);
+        } else {
+            console.log(message);
+        }
+    }
+}
+
+window.PlayModeSession = PlayModeSession;
@@ -3,6 +3,8 @@ class PrefabManager {
         this.hierarchy = hierarchyManager || null;
         this.editor = hierarchyManager.editor || null;
         this.prefabs = new Map(); // Store prefabs in memory
+        this.prefabData = new Map(); // .prefab path -> contents the instances in the editor are synced to
+        this.propagating = new Set(); // Paths whose changes are being pushed to their instances
         this.initializePrefabStorage();
         //this.loadExistingPrefabs(); // Load prefabs on startup
     }
@@ -74,6 +76,7 @@ class PrefabManager {
                     // Store by metadata name or filename without extension
                     const prefabName = prefabData.metadata?.name || file.name.replace('.prefab', '');
                     this.prefabs.set(prefabName, prefabData);
+                    this.prefabData.set(file.path, prefabData);
 
                     console.log(`Loaded prefab: ${prefabName}`);
                 } catch (error) {
@@ -205,7 +208,7 @@ class PrefabManager {
         }
 
         console.log(`Instantiating prefab: ${name}`, prefabData);
-        return this.instantiatePrefab(prefabData, position, parent);
+        return this.instantiatePrefab(prefabData, position, parent, this.getPrefabPath(prefabData));
     }
 
     /**
@@ -255,6 +258,12 @@ class PrefabManager {
             // Store in memory for quick access
             this.prefabs.set(prefabName, prefabData);
 
+            // The source object becomes the first instance of the new prefab
+            if (this.editor.fileBrowser) {
+                this.linkToPrefab(gameObject, `/Prefabs/${prefabName}.prefab`, prefabData);
+                this.hierarchy?.refreshHierarchy();
+            }
+
             console.log(`Prefab "${prefabName}" created:`, prefabData);
 
         } catch (error) {
@@ -269,7 +278,9 @@ class PrefabManager {
      * @returns {Object} Serialized prefab data
      */
     serializeGameObjectForPrefab(gameObject) {
-        return gameObject.toJSON();
+        // Nested prefab instances keep their link and overrides inside the new prefab
+        this.refreshNestedOverrides(gameObject);
+        return PrefabManager.toPrefabData(gameObject.toJSON());
     }
 
     /**
@@ -277,12 +288,13 @@ class PrefabManager {
      * @param {Object} prefabData - The prefab data
      * @param {Vector2} position - Position to instantiate at
      * @param {GameObject} parent - Optional parent GameObject
+     * @param {string} [prefabPath] - Path of the .prefab file; the instance stays linked to it
      * @returns {GameObject} The instantiated GameObject
      */
-    instantiatePrefab(prefabData, position = null, parent = null) {
+    instantiatePrefab(prefabData, position = null, parent = null, prefabPath = null) {
         try {
             // Create the main GameObject
-            const cloned = GameObject.fromJSON(prefabData);
+            const cloned = GameObject.fromJSON(prefabPath ? this.prepareInstanceData(prefabPath, prefabData) : prefabData);
 
             // Generate a new unique ID for the cloned GameObject
             cloned.id = crypto.randomUUID ? crypto.randomUUID() : `go-${Date.now()}-${Math.random().toString(36).substring(2, 9)}`;
@@ -301,6 +313,826 @@ class PrefabManager {
         }
     }
 
+    // -------------------
+    // Prefab instances
+    // -------------------
+    //
+    // An instance keeps a link to its asset: the root stores the asset path (prefabSource) and
+    // every object stores the id of its counterpart in the asset (prefabNodeId). Properties that
+    // differ from the asset are listed in prefabOverrides and survive when the asset changes:
+    // "position" / "angle" of plain fields, "<Module>/<property>" (or "<Module>#2/..." for the
+    // second module of a type), "<Module>" for an added module, "removedModule/<Module>" and
+    // "removedObject/<prefabNodeId>". The root's position and angle always belong to the instance.
+
+    /**
+     * Remember the contents of a .prefab asset (the version its instances are synced to)
+     * @param {string} path - Path of the .prefab file
+     * @param {Object} prefabData - Parsed prefab data
+     */
+    storePrefabData(path, prefabData) {
+        this.prefabData.set(path, prefabData);
+        this.prefabs.set(prefabData.metadata?.name || PrefabManager.getNameFromPath(path), prefabData);
+    }
+
+    /**
+     * Read a .prefab asset, and the prefabs nested in it, into the cache
+     * @param {string} path - Path of the .prefab file
+     * @returns {Promise<Object|null>} The prefab data, or null if it could not be read
+     */
+    async loadPrefabData(path, visiting = new Set()) {
+        if (!path || visiting.has(path)) return null;
+        visiting.add(path);
+
+        let data = this.prefabData.get(path) || null;
+        const fileBrowser = this.editor && this.editor.fileBrowser;
+        if (!data && fileBrowser) {
+            try {
+                const content = await fileBrowser.readFile(path);
+                if (content) {
+                    data = JSON.parse(content);
+                    this.storePrefabData(path, data);
+                }
+            } catch (error) {
+                console.warn(`Could not read prefab ${path}:`, error);
+            }
+        }
+
+        if (data) {
+            for (const nestedPath of PrefabManager.getNestedSources(data)) {
+                await this.loadPrefabData(nestedPath, visiting);
+            }
+        }
+        return data;
+    }
+
+    /**
+     * Find the path a cached prefab was loaded from
+     * @param {Object} prefabData - Prefab data from the cache
+     * @returns {string|null} The .prefab path
+     */
+    getPrefabPath(prefabData) {
+        for (const [path, data] of this.prefabData) {
+            if (data === prefabData) return path;
+        }
+        return null;
+    }
+
+    /**
+     * Get a cached prefab with its nested prefab instances expanded from their own assets
+     * @param {string} path - Path of the .prefab file
+     * @returns {Object|null} A copy of the prefab data, or null if it is not cached
+     */
+    resolvePrefabData(path, visiting = new Set()) {
+        const data = this.prefabData.get(path);
+        if (!data || visiting.has(path)) return null;
+        visiting.add(path);
+
+        const resolved = PrefabManager.cloneData(data);
+        const expand = (node) => {
+            node.children = (node.children || []).map(child => {
+                const nested = child.prefabSource ? this.resolvePrefabData(child.prefabSource, visiting) : null;
+                const result = nested ? PrefabManager.mergeInstance(child, nested) : child;
+                expand(result);
+                return result;
+            });
+        };
+        expand(resolved);
+
+        visiting.delete(path);
+        return resolved;
+    }
+
+    /**
+     * Build the data for a new instance of a prefab
+     * @param {string} path - Path of the .prefab file
+     * @param {Object} prefabData - The prefab data (cached if the path is not known yet)
+     * @returns {Object} GameObject data linked to the prefab
+     */
+    prepareInstanceData(path, prefabData) {
+        if (prefabData && !this.prefabData.has(path)) {
+            this.storePrefabData(path, prefabData);
+        }
+        return PrefabManager.createInstanceData(this.resolvePrefabData(path) || prefabData, path);
+    }
+
+    /**
+     * Turn an object that was just saved as a prefab into an instance of it
+     * @param {GameObject} gameObject - The object the prefab was made from
+     * @param {string} path - Path of the new .prefab file
+     * @param {Object} prefabData - The saved prefab data
+     */
+    linkToPrefab(gameObject, path, prefabData) {
+        // Objects inside another instance stay part of that instance
+        if (gameObject.prefabNodeId && !gameObject.prefabSource) return;
+
+        this.storePrefabData(path, prefabData);
+        const link = (obj, node) => {
+            obj.prefabSource = null;
+            obj.prefabNodeId = node.id;
+            obj.prefabOverrides = [];
+            obj.children.forEach((child, i) => {
+                if (node.children && node.children[i]) link(child, node.children[i]);
+            });
+        };
+        link(gameObject, prefabData);
+        gameObject.prefabSource = path;
+    }
+
+    /**
+     * Recompute which properties of an instance differ from its prefab
+     * @param {GameObject} root - Root of the prefab instance
+     * @returns {boolean} False if the prefab is not loaded
+     */
+    updateOverrides(root) {
+        const resolved = root && root.prefabSource ? this.resolvePrefabData(root.prefabSource) : null;
+        if (!resolved) return false;
+
+        const data = root.toJSON();
+        PrefabManager.computeOverrides(data, resolved);
+
+        const copy = (obj, node) => {
+            if (node.prefabOverrides) obj.prefabOverrides = node.prefabOverrides;
+            obj.children.forEach((child, i) => {
+                if (node.children[i]) copy(child, node.children[i]);
+            });
+        };
+        copy(root, data);
+        return true;
+    }
+
+    /**
+     * Update the overrides of every prefab instance inside an object (including itself)
+     * @param {GameObject} gameObject - Object to walk
+     */
+    refreshNestedOverrides(gameObject) {
+        PrefabManager.findInstances([gameObject]).forEach(root => {
+            this.updateOverrides(root);
+            root.children.forEach(child => this.refreshNestedOverrides(child));
+        });
+    }
+
+    /**
+     * Write an instance's changes back to its prefab asset, which updates all other instances
+     * @param {GameObject} gameObject - Any object of the instance
+     * @returns {Promise<boolean>} True if the prefab was saved
+     */
+    async applyToPrefab(gameObject) {
+        const root = PrefabManager.getInstanceRoot(gameObject);
+        const fileBrowser = this.editor && this.editor.fileBrowser;
+        if (!root || !fileBrowser) return false;
+
+        const path = root.prefabSource;
+        const existing = await this.loadPrefabData(path);
+        if (!existing) {
+            this.hierarchy?.showNotification(`Prefab asset not found: ${path}`, 'error');
+            return false;
+        }
+
+        root.children.forEach(child => this.refreshNestedOverrides(child));
+        const fileNodes = PrefabManager.indexNodes(existing);
+        const nestedRoots = [];
+
+        const convert = (node, isRoot) => {
+            // Added objects (and added prefab instances) are stored as they are
+            if (!isRoot && (node.prefabSource || !node.prefabNodeId)) return PrefabManager.cloneData(node);
+
+            const { children, ...fields } = node;
+            const out = PrefabManager.cloneData(fields);
+            out.id = node.prefabNodeId;
+            delete out.prefabSource;
+            delete out.prefabNodeId;
+            delete out.prefabOverrides;
+
+            // Keep the link of objects that come from a nested prefab
+            const previous = fileNodes.get(out.id);
+            if (previous && !isRoot && previous.prefabSource) {
+                out.prefabSource = previous.prefabSource;
+                out.prefabNodeId = previous.prefabNodeId;
+                nestedRoots.push(out);
+            } else if (previous && !isRoot && previous.prefabNodeId) {
+                out.prefabNodeId = previous.prefabNodeId;
+            }
+
+            out.children = (children || []).map(child => convert(child, false));
+            return out;
+        };
+
+        const data = convert(root.toJSON(), true);
+        PrefabManager.PLACEMENT_FIELDS.forEach(field => {
+            if (field in existing) {
+                data[field] = PrefabManager.cloneData(existing[field]);
+            } else {
+                delete data[field];
+            }
+        });
+        data.metadata = { ...(existing.metadata || { name: PrefabManager.getNameFromPath(path) }), modified: Date.now() };
+
+        nestedRoots.forEach(nested => {
+            const source = this.resolvePrefabData(nested.prefabSource);
+            if (source) PrefabManager.computeOverrides(nested, source);
+        });
+
+        const success = await fileBrowser.createFile(path, JSON.stringify(data, null, 2), true);
+        if (success) {
+            this.hierarchy?.showNotification(`Applied changes to ${PrefabManager.getNameFromPath(path)}`, 'success');
+        } else {
+            this.hierarchy?.showNotification(`Could not save ${path}`, 'error');
+        }
+        return success;
+    }
+
+    /**
+     * Reset overridden properties of an instance to the prefab's values
+     * @param {GameObject} gameObject - Object of the instance to revert
+     * @param {string[]} [keys] - Override keys to revert; all of the object's overrides if omitted.
+     *   Reverting the root without keys also removes added objects and modules.
+     * @returns {boolean} True if the instance was reverted
+     */
+    revertOverrides(gameObject, keys = null) {
+        const root = PrefabManager.getInstanceRoot(gameObject);
+        const scene = this.editor && this.editor.activeScene;
+        if (!root || !scene || !this.updateOverrides(root)) return false;
+
+        const data = root.toJSON();
+        const node = PrefabManager.findNode(data, gameObject.id);
+        if (!node) return false;
+
+        if (keys) {
+            node.prefabOverrides = node.prefabOverrides.filter(key => !keys.includes(key));
+        } else if (gameObject === root) {
+            PrefabManager.clearOverrides(data);
+        } else {
+            node.prefabOverrides = [];
+        }
+
+        const merged = PrefabManager.mergeInstance(data, this.resolvePrefabData(root.prefabSource));
+        this.replaceInstance(scene, root, merged, `Revert ${root.name}`);
+        scene.markDirty();
+        this.refreshEditor();
+        return true;
+    }
+
+    /**
+     * Called when a .prefab file is written: push the new contents to every instance
+     * @param {string} path - Path of the .prefab file
+     * @param {string} content - New file contents
+     */
+    async onPrefabFileChanged(path, content) {
+        if (this.propagating.has(path)) return;
+
+        let data;
+        try {
+            data = JSON.parse(content);
+        } catch (error) {
+            console.warn(`Prefab ${path} is not valid JSON, instances were not updated:`, error);
+            return;
+        }
+
+        // Bring the overrides of open instances up to date against the version they were synced to
+        if (this.prefabData.has(path) && this.editor && this.editor.scenes) {
+            this.editor.scenes.forEach(scene => {
+                PrefabManager.findInstances(scene.gameObjects, path).forEach(root => this.updateOverrides(root));
+            });
+        }
+
+        this.storePrefabData(path, data);
+        await this.loadPrefabData(path);
+
+        this.propagating.add(path);
+        try {
+            await this.propagatePrefab(path);
+        } catch (error) {
+            console.error(`Error updating instances of ${path}:`, error);
+        } finally {
+            this.propagating.delete(path);
+        }
+    }
+
+    /**
+     * Update the instances of a prefab in open scenes, saved scenes and other prefabs
+     * @param {string} path - Path of the changed .prefab file
+     */
+    async propagatePrefab(path) {
+        const resolved = this.resolvePrefabData(path);
+        if (!resolved || !this.editor) return;
+
+        const name = PrefabManager.getNameFromPath(path);
+        const openPaths = new Set();
+        let activeChanged = false;
+
+        // Scenes open in the editor are updated in place (undoable in the active scene)
+        (this.editor.scenes || []).forEach(scene => {
+            if (scene.path) openPaths.add(scene.path);
+
+            const roots = PrefabManager.findInstances(scene.gameObjects, path);
+            if (roots.length === 0) return;
+
+            const isActive = scene === this.editor.activeScene;
+            const history = isActive ? this.editor.history : null;
+            let changed = false;
+
+            if (history) history.beginGroup(`Update ${name} instances`);
+            roots.forEach(root => {
+                const current = root.toJSON();
+                const merged = PrefabManager.mergeInstance(current, resolved);
+                if (PrefabManager.sameData(current, merged)) {
+                    this.updateOverrides(root);
+                    return;
+                }
+                this.replaceInstance(scene, root, merged, isActive ? `Update ${root.name}` : null);
+                changed = true;
+            });
+            if (history) history.endGroup();
+
+            if (changed) {
+                scene.markDirty();
+                if (isActive) activeChanged = true;
+            }
+        });
+
+        if (activeChanged) this.refreshEditor();
+
+        // Scenes and prefabs on disk are rewritten; nested prefabs pass the change on when saved
+        const fileBrowser = this.editor.fileBrowser;
+        if (!fileBrowser) return;
+
+        const files = await fileBrowser.getAllFiles();
+        for (const file of files) {
+            const isScene = file.name.endsWith('.scene');
+            const isPrefab = file.name.endsWith('.prefab');
+            if ((!isScene && !isPrefab) || file.path === path || openPaths.has(file.path)) continue;
+
+            try {
+                const content = typeof file.content === 'string' ? file.content : await fileBrowser.readFile(file.path);
+                if (!content || !content.includes(path)) continue;
+
+                const data = JSON.parse(content);
+                const list = isScene ? data.gameObjects : data.children;
+                if (!Array.isArray(list) || !PrefabManager.updateInstanceData(list, path, resolved)) continue;
+
+                await fileBrowser.createFile(file.path, JSON.stringify(data, null, 2), true);
+            } catch (error) {
+                console.warn(`Could not update ${name} instances in ${file.path}:`, error);
+            }
+        }
+    }
+
+    /**
+     * Bring the prefab instances of a freshly loaded scene up to date with their assets
+     * @param {Scene} scene - The loaded scene
+     * @returns {Promise<boolean>} True if any instance changed
+     */
+    async syncScene(scene) {
+        let changed = false;
+
+        for (const root of PrefabManager.findInstances(scene.gameObjects)) {
+            await this.loadPrefabData(root.prefabSource);
+            const resolved = this.resolvePrefabData(root.prefabSource);
+            if (!resolved) {
+                console.warn(`Prefab asset ${root.prefabSource} of "${root.name}" was not found`);
+                continue;
+            }
+
+            const current = root.toJSON();
+            const merged = PrefabManager.mergeInstance(current, resolved);
+            if (!PrefabManager.sameData(current, merged)) {
+                this.replaceInstance(scene, root, merged);
+                changed = true;
+            }
+        }
+
+        return changed;
+    }
+
+    /**
+     * Swap an instance for one rebuilt from data, keeping its place and object ids
+     * @param {Scene} scene - Scene that holds the instance
+     * @param {GameObject} root - Root of the instance
+     * @param {Object} data - GameObject data to rebuild from
+     * @param {string} [label] - Undo label; the swap is recorded when given and scene is active
+     * @returns {GameObject|null} The new root
+     */
+    replaceInstance(scene, root, data, label = null) {
+        const parent = root.parent;
+        const list = parent ? parent.children : scene.gameObjects;
+        const index = list.indexOf(root);
+        if (index === -1) return null;
+
+        const replacement = GameObject.fromJSON(data);
+        PrefabManager.restoreIds(replacement, data);
+
+        const history = label && this.editor && scene === this.editor.activeScene ? this.editor.history : null;
+        const before = history ? history.capturePlacement([root]) : null;
+
+        list.splice(index, 1, replacement);
+        replacement.parent = parent;
+        root.parent = null;
+
+        if (history) history.recordPlacement(label, before, [replacement]);
+        return replacement;
+    }
+
+    /**
+     * Refresh the hierarchy, inspector and canvas after instances were rebuilt
+     * @private
+     */
+    refreshEditor() {
+        const editor = this.editor;
+        const scene = editor && editor.activeScene;
+        if (!scene) return;
+
+        const hierarchy = editor.hierarchy;
+        const inspector = editor.inspector;
+
+        // Rebuilt objects keep their ids, so follow the selection and a locked inspector to them
+        if (inspector && inspector.lockedObject) {
+            const locked = scene.findObjectById(inspector.lockedObject.id);
+            if (locked) {
+                inspector.lockedObject = locked;
+                inspector.inspectedObject = locked;
+            }
+        }
+
+        if (hierarchy) {
+            const selected = hierarchy.selectedObject ? scene.findObjectById(hierarchy.selectedObject.id) : null;
+            hierarchy.selectedObjects = (hierarchy.selectedObjects || [])
+                .map(obj => scene.findObjectById(obj.id))
+                .filter(obj => obj);
+            hierarchy.refreshHierarchy();
+            if (selected) hierarchy.selectGameObject(selected);
+        }
+
+        if (inspector && inspector.inspectedObject && (!hierarchy || inspector.lockedObject)) {
+            inspector.showObjectInspector();
+        }
+
+        editor.refreshCanvas();
+    }
+
+    // -------------------
+    // Prefab data helpers
+    // -------------------
+
+    /**
+     * Fields of GameObject data that can be overridden per instance
+     */
+    static OVERRIDE_FIELDS = [
+        'name', 'position', 'scale', 'size', 'angle', 'depth', 'depthToY', 'interpolate', 'active', 'visible',
+        'editorColor', 'tags', 'useCollisions', 'usePolygonCollision', 'polygonPointCount', 'polygonPoints',
+        'colliderWidth', 'colliderHeight', 'collisionEnabled', 'collisionLayer', 'collisionMask',
+        'drawShadow', 'shadowColor', 'shadowBlur', 'shadowOffsetX', 'shadowOffsetY', 'layerId',
+        'dontDestroyOnLoad'
+    ];
+
+    /**
+     * Fields of an instance root that always belong to the instance
+     */
+    static PLACEMENT_FIELDS = ['position', 'angle', 'layerId'];
+
+    static cloneData(data) {
+        return data === undefined ? undefined : JSON.parse(JSON.stringify(data));
+    }
+
+    static getNameFromPath(path) {
+        return String(path).split('/').pop().replace(/\.prefab$/, '');
+    }
+
+    static createId() {
+        return crypto.randomUUID ? crypto.randomUUID() : `go-${Date.now()}-${Math.random().toString(36).substring(2, 9)}`;
+    }
+
+    /**
+     * Find the root of the prefab instance an object belongs to
+     * @param {GameObject} gameObject - Any object
+     * @returns {GameObject|null} The instance root, or null if the object is not linked to a prefab
+     */
+    static getInstanceRoot(gameObject) {
+        let node = gameObject;
+        while (node && node.prefabNodeId) {
+            if (node.prefabSource) return node;
+            node = node.parent;
+        }
+        return null;
+    }
+
+    /**
+     * Remove the prefab link from an object and its children (nested instances keep theirs)
+     * @param {GameObject} gameObject - Object to unlink
+     */
+    static unlink(gameObject) {
+        gameObject.prefabSource = null;
+        gameObject.prefabNodeId = null;
+        gameObject.prefabOverrides = [];
+        gameObject.children.forEach(child => {
+            if (!child.prefabSource) PrefabManager.unlink(child);
+        });
+    }
+
+    /**
+     * Collect instance roots (optionally of one prefab) from a list of GameObjects or their data
+     * Does not look inside the instances it finds.
+     * @param {Array} objects - GameObjects or GameObject data
+     * @param {string} [path] - Only instances of this prefab
+     * @returns {Array} The instance roots
+     */
+    static findInstances(objects, path = null) {
+        const found = [];
+        const visit = (node) => {
+            if (node.prefabSource && (!path || node.prefabSource === path)) {
+                found.push(node);
+                return;
+            }
+            (node.children || []).forEach(visit);
+        };
+        (objects || []).forEach(visit);
+        return found;
+    }
+
+    /**
+     * Paths of the prefabs nested in prefab data
+     */
+    static getNestedSources(data) {
+        const sources = new Set();
+        PrefabManager.findInstances(data.children).forEach(node => sources.add(node.prefabSource));
+        return sources;
+    }
+
+    /**
+     * Map node id -> node for a tree of GameObject data
+     */
+    static indexNodes(data) {
+        const nodes = new Map();
+        const visit = (node) => {
+            nodes.set(node.id, node);
+            (node.children || []).forEach(visit);
+        };
+        visit(data);
+        return nodes;
+    }
+
+    static findNode(data, id) {
+        return PrefabManager.indexNodes(data).get(id) || null;
+    }
+
+    static restoreIds(gameObject, data) {
+        gameObject.id = data.id;
+        gameObject.children.forEach((child, i) => {
+            if (data.children && data.children[i]) PrefabManager.restoreIds(child, data.children[i]);
+        });
+    }
+
+    /**
+     * Key a module by type, numbering repeated types ("Collider", "Collider#1", ...)
+     */
+    static getModuleEntries(node) {
+        const entries = new Map();
+        const counts = {};
+        (node.modules || []).forEach(entry => {
+            const count = counts[entry.type] || 0;
+            counts[entry.type] = count + 1;
+            entries.set(count > 0 ? `${entry.type}#${count}` : entry.type, entry);
+        });
+        return entries;
+    }
+
+    /**
+     * Override key prefix of a live module ("Collider", "Collider#1", ...)
+     */
+    static getModuleKey(gameObject, module) {
+        const type = module.constructor.name;
+        const index = gameObject.modules.filter(m => m.constructor.name === type).indexOf(module);
+        return index > 0 ? `${type}#${index}` : type;
+    }
+
+    /**
+     * Flatten the overridable values of one node of GameObject data
+     * @returns {Map<string, *>} Override key -> value
+     */
+    static getValues(node, isRoot) {
+        const values = new Map();
+        PrefabManager.OVERRIDE_FIELDS.forEach(field => {
+            if (isRoot && PrefabManager.PLACEMENT_FIELDS.includes(field)) return;
+            if (field in node) values.set(field, node[field]);
+        });
+        PrefabManager.getModuleEntries(node).forEach((entry, key) => {
+            const data = entry.data || {};
+            values.set(`${key}/enabled`, data.enabled);
+            Object.keys(data.exposedValues || {}).forEach(prop => values.set(`${key}/${prop}`, data.exposedValues[prop]));
+            if (data.customData !== undefined) values.set(`${key}/customData`, data.customData);
+        });
+        return values;
+    }
+
+    /**
+     * Set prefabOverrides on every linked node of instance data by comparing it with the prefab
+     * @param {Object} instance - Instance root data (modified in place)
+     * @param {Object} prefab - Resolved prefab data
+     */
+    static computeOverrides(instance, prefab) {
+        const prefabNodes = PrefabManager.indexNodes(prefab);
+        const found = new Set();
+
+        const visit = (node, isRoot) => {
+            if (!isRoot && node.prefabSource) return; // A nested instance tracks its own overrides
+            const source = node.prefabNodeId ? prefabNodes.get(node.prefabNodeId) : null;
+            if (source) {
+                found.add(source.id);
+                const overrides = [];
+                const sourceModules = PrefabManager.getModuleEntries(source);
+                const modules = PrefabManager.getModuleEntries(node);
+                const added = new Set([...modules.keys()].filter(key => !sourceModules.has(key)));
+                sourceModules.forEach((entry, key) => {
+                    if (!modules.has(key)) overrides.push(`removedModule/${key}`);
+                });
+                added.forEach(key => overrides.push(key));
+
+                const theirs = PrefabManager.getValues(source, isRoot);
+                PrefabManager.getValues(node, isRoot).forEach((value, key) => {
+                    if (added.has(key.split('/')[0]) && key.includes('/')) return;
+                    if (!PrefabManager.sameData(value, theirs.get(key))) overrides.push(key);
+                });
+                node.prefabOverrides = overrides;
+            }
+            (node.children || []).forEach(child => visit(child, false));
+        };
+        visit(instance, true);
+
+        // Objects of the prefab that were deleted from the instance
+        const findRemoved = (node) => (node.children || []).forEach(child => {
+            if (found.has(child.id)) {
+                findRemoved(child);
+            } else {
+                instance.prefabOverrides.push(`removedObject/${child.id}`);
+            }
+        });
+        if (instance.prefabOverrides) findRemoved(prefab);
+    }
+
+    /**
+     * Rebuild instance data from the prefab, keeping the instance's overrides, ids and added objects
+     * @param {Object} instance - Instance root data with prefabNodeId / prefabOverrides
+     * @param {Object} prefab - Resolved prefab data
+     * @returns {Object} The merged instance data
+     */
+    static mergeInstance(instance, prefab) {
+        const linked = new Map();
+        const collect = (node, isRoot) => {
+            if (!isRoot && node.prefabSource) return;
+            if (node.prefabNodeId) linked.set(node.prefabNodeId, node);
+            (node.children || []).forEach(child => collect(child, false));
+        };
+        collect(instance, true);
+
+        const removed = new Set((instance.prefabOverrides || [])
+            .filter(key => key.startsWith('removedObject/'))
+            .map(key => key.slice('removedObject/'.length)));
+
+        const mergeNode = (source, node, isRoot) => {
+            const { children, metadata, ...fields } = source;
+            const merged = PrefabManager.cloneData(fields);
+            const overrides = new Set(node ? node.prefabOverrides || [] : []);
+            delete merged.prefabSource;
+            merged.id = node ? node.id : PrefabManager.createId();
+            merged.prefabNodeId = source.id;
+            merged.prefabOverrides = [...overrides];
+
+            if (node) {
+                PrefabManager.OVERRIDE_FIELDS.forEach(field => {
+                    const owned = isRoot && PrefabManager.PLACEMENT_FIELDS.includes(field);
+                    if ((owned || overrides.has(field)) && field in node) {
+                        merged[field] = PrefabManager.cloneData(node[field]);
+                    }
+                });
+                if (overrides.has('polygonPoints')) merged.polygon = PrefabManager.cloneData(node.polygon);
+            }
+
+            // Modules: the prefab's, with overridden values, then the ones added to the instance
+            const ownModules = node ? PrefabManager.getModuleEntries(node) : new Map();
+            merged.modules = [];
+            PrefabManager.getModuleEntries(fields).forEach((entry, key) => {
+                if (overrides.has(`removedModule/${key}`)) return;
+                const module = PrefabManager.cloneData(entry);
+                const own = ownModules.get(key);
+                if (own) {
+                    const ownData = own.data || {};
+                    module.id = own.id;
+                    module.data = module.data || {};
+                    if (overrides.has(`${key}/enabled`)) module.data.enabled = ownData.enabled;
+                    if (overrides.has(`${key}/customData`)) module.data.customData = PrefabManager.cloneData(ownData.customData);
+                    Object.keys(ownData.exposedValues || {}).forEach(prop => {
+                        if (!overrides.has(`${key}/${prop}`)) return;
+                        module.data.exposedValues = module.data.exposedValues || {};
+                        module.data.exposedValues[prop] = PrefabManager.cloneData(ownData.exposedValues[prop]);
+                    });
+                }
+                merged.modules.push(module);
+            });
+            ownModules.forEach((entry, key) => {
+                if (overrides.has(key)) merged.modules.push(PrefabManager.cloneData(entry));
+            });
+
+            // Children: the prefab's, then the objects added to the instance
+            merged.children = (children || [])
+                .filter(child => !removed.has(child.id))
+                .map(child => mergeNode(child, linked.get(child.id) || null, false));
+            if (node) {
+                (node.children || []).forEach(child => {
+                    if (!child.prefabNodeId || child.prefabSource) merged.children.push(PrefabManager.cloneData(child));
+                });
+            }
+            return merged;
+        };
+
+        const merged = mergeNode(prefab, instance, true);
+        if (instance.prefabSource) merged.prefabSource = instance.prefabSource;
+        return merged;
+    }
+
+    /**
+     * Data for a new, unmodified instance of a prefab
+     * @param {Object} prefab - Resolved prefab data
+     * @param {string} path - Path of the .prefab file
+     */
+    static createInstanceData(prefab, path) {
+        const data = PrefabManager.cloneData(prefab);
+        const link = (node) => {
+            delete node.prefabSource;
+            delete node.metadata;
+            node.prefabNodeId = node.id;
+            node.prefabOverrides = [];
+            (node.children || []).forEach(link);
+        };
+        link(data);
+        data.prefabSource = path;
+        return data;
+    }
+
+    /**
+     * Strip instance links from GameObject data that is about to be saved as a prefab
+     * Nested prefab instances keep their link so the new prefab follows their assets.
+     */
+    static toPrefabData(data) {
+        const clean = (node, insideNested) => {
+            const nested = node !== data && !!node.prefabSource;
+            if (!nested && !insideNested) {
+                delete node.prefabSource;
+                delete node.prefabNodeId;
+                delete node.prefabOverrides;
+            }
+            (node.children || []).forEach(child => clean(child, insideNested || nested));
+        };
+        clean(data, false);
+        return data;
+    }
+
+    /**
+     * Drop all overrides and added objects from instance data
+     */
+    static clearOverrides(data) {
+        data.prefabOverrides = [];
+        data.children = (data.children || []).filter(child => child.prefabNodeId && !child.prefabSource);
+        data.children.forEach(child => PrefabManager.clearOverrides(child));
+    }
+
+    /**
+     * Merge the instances of a prefab found in a list of GameObject data
+     * @returns {boolean} True if any instance changed
+     */
+    static updateInstanceData(list, path, prefab) {
+        let changed = false;
+        list.forEach((node, i) => {
+            if (node.prefabSource === path) {
+                const merged = PrefabManager.mergeInstance(node, prefab);
+                if (!PrefabManager.sameData(node, merged)) {
+                    list[i] = merged;
+                    changed = true;
+                }
+            } else if (Array.isArray(node.children) && PrefabManager.updateInstanceData(node.children, path, prefab)) {
+                changed = true;
+            }
+        });
+        return changed;
+    }
+
+    /**
+     * Compare data ignoring key order, override lists and derived polygons
+     */
+    static sameData(a, b) {
+        const canonical = (value) => {
+            if (Array.isArray(value)) return value.map(canonical);
+            if (value && typeof value === 'object') {
+                const result = {};
+                Object.keys(value).sort().forEach(key => {
+                    if (key === 'polygon' || key === 'prefabOverrides' || value[key] === undefined) return;
+                    result[key] = canonical(value[key]);
+                });
+                return result;
+            }
+            return value;
+        };
+        return JSON.stringify(canonical(a)) === JSON.stringify(canonical(b));
+    }
+
     /**
      * Instantiate a prefab from a file
      * @param {Object} file - File object from file browser
@@ -324,7 +1156,7 @@ class PrefabManager {
 
             // Instantiate at center of view
             const centerPosition = this.editor.getWorldCenterOfView();
-            const instantiated = this.instantiatePrefab(prefabData, centerPosition);
+            const instantiated = this.instantiatePrefab(prefabData, centerPosition, null, file.path);
 
             // Refresh hierarchy and select the new object
             this.hierarchy.refreshHierarchy();
@@ -177,6 +177,18 @@ class ProjectManager {
         }
     }
 
+    /**
+     * Apply the project's Input Actions asset to window.input (built-in defaults if it has none)
+     */
+    async loadInputActions() {
+        if (!window.InputActionsWindow) return;
+        try {
+            await InputActionsWindow.loadProjectActions();
+        } catch (error) {
+            console.warn("Could not load input actions:", error);
+        }
+    }
+
     async _loadProjectFromBlob(blob, projectName = null) {
         const zip = await JSZip.loadAsync(blob);
         console.log("Project archive loaded.");
@@ -277,6 +289,7 @@ class ProjectManager {
             }
             console.log(`Restored ${assetFiles.length} asset files.`);
         }
+        await this.loadInputActions();
 
         // 4. Restore asset manager cache
         this.showLoadingOverlay("Restoring cached assets...");
@@ -341,6 +354,10 @@ class ProjectManager {
             if (snapToGridCheckbox) snapToGridCheckbox.checked = this.editor.grid.snapToGrid;
         }
 
+        if (settings.snapping && this.editor.snapping) {
+            this.editor.snapping.fromJSON(settings.snapping);
+        }
+
         if (settings.inspectorCollapseStates) {
             localStorage.setItem('moduleCollapseStates', JSON.stringify(settings.inspectorCollapseStates));
         }
@@ -558,6 +575,8 @@ class ProjectManager {
                 console.log("Module manager cleared for loaded project.");
             }
 
+            await this.loadInputActions();
+
             // 2. Reset Scenes
             this.editor.scenes = [];
             this.editor.createDefaultScene(promptUser); // Creates a new scene and sets it active
@@ -588,6 +607,9 @@ class ProjectManager {
             if (showGridCheckbox) showGridCheckbox.checked = this.editor.grid.showGrid;
             if (gridSizeInput) gridSizeInput.value = this.editor.grid.gridSize;
             if (snapToGridCheckbox) snapToGridCheckbox.checked = this.editor.grid.snapToGrid;
+            if (this.editor.snapping) {
+                this.editor.snapping.fromJSON({ snapToObjects: true, rotationSnap: 0 });
+            }
 
 
             this.currentProjectName = "UntitledProject";
@@ -631,6 +653,7 @@ class ProjectManager {
                     gridSize: this.editor.grid.gridSize,
                     snapToGrid: this.editor.grid.snapToGrid,
                 },
+                snapping: this.editor.snapping ? this.editor.snapping.toJSON() : undefined,
                 selectedObjectId: this.editor.hierarchy.selectedObject ? this.editor.hierarchy.selectedObject.id : null,
                 inspectorCollapseStates: JSON.parse(localStorage.getItem('moduleCollapseStates') || '{}'),
                 inspectorFolderCollapseStates: JSON.parse(localStorage.getItem('moduleFolderCollapseStates') || '{}'),
@@ -905,6 +928,7 @@ class ProjectManager {
                 await Promise.all(assetPromises);
                 await this.fileBrowser.navigateTo('/'); // Refresh file browser view
                 console.log("Assets restored.");
+                await this.loadInputActions();
 
                 this.showLoadingOverlay("Reloading Prefabs and Modules...");
 
@@ -980,6 +1004,9 @@ class ProjectManager {
                         document.getElementById('gridSize').value = settings.grid.gridSize;
                         document.getElementById('snapToGrid').checked = settings.grid.snapToGrid;
                     }
+                    if (settings.snapping && this.editor.snapping) {
+                        this.editor.snapping.fromJSON(settings.snapping);
+                    }
                     if (settings.inspectorCollapseStates) {
                         localStorage.setItem('moduleCollapseStates', JSON.stringify(settings.inspectorCollapseStates));
                     }
@@ -1196,27 +1223,31 @@ class ProjectManager {
         return false;
     }
 
-    _loadLastProjectFileHandle() {
-        // Try to restore last file handle (if File System Access API is supported)
-        if ('showOpenFilePicker' in window) {
-            const handleStr = localStorage.getItem('lastProjectFileHandle');
-            if (handleStr) {
-                try {
-                    this.lastProjectFileHandle = JSON.parse(handleStr);
-                } catch { }
+    async _loadLastProjectFileHandle() {
+        // Try to restore last file handle (if File System Access API is supported).
+        // File handles can't be turned into JSON, but IndexedDB stores them as they are.
+        try {
+            if ('showOpenFilePicker' in window) {
+                this.lastProjectFileHandle = await window.projectStorage.getItem('lastProjectFileHandle');
+            } else {
+                this.lastProjectFileHandle = await window.projectStorage.getItem('lastProjectFileName');
             }
-        } else {
-            this.lastProjectFileHandle = localStorage.getItem('lastProjectFileName') || null;
+        } catch (error) {
+            console.warn('Could not restore the last project file:', error);
         }
     }
 
-    _saveLastProjectFileHandle(handle, fileName) {
-        if (handle) {
-            // File System Access API
-            localStorage.setItem('lastProjectFileHandle', JSON.stringify(handle));
-        }
-        if (fileName) {
-            localStorage.setItem('lastProjectFileName', fileName);
+    async _saveLastProjectFileHandle(handle, fileName) {
+        try {
+            if (handle) {
+                // File System Access API
+                await window.projectStorage.setItem('lastProjectFileHandle', handle);
+            }
+            if (fileName) {
+                await window.projectStorage.setItem('lastProjectFileName', fileName);
+            }
+        } catch (error) {
+            console.warn('Could not remember the last project file:', error);
         }
     }
 
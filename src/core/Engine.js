@@ -111,6 +111,9 @@ class Engine {
 
         this.timeScale = 1.0; // Global time scale for the engine, to be used in physics operations
         this.paused = false; // Global pause state for the engine
+        this.editorPaused = false; // Paused from the editor's play controls (no overlay, can step)
+        this.stepRequested = false; // Run one update on the next frame while editorPaused
+        this.stepDeltaTime = 1 / 60; // Seconds simulated by stepFrame()
 
         this.decalCanvas = document.createElement('canvas');
         this.decalCanvas.width = 800;
@@ -376,9 +379,18 @@ class Engine {
         // Track dynamically created objects for cleanup
         this.dynamicObjects = new Set();
         this.originalGameObjects = [];
+        this.runtimeCopies = new Map(); // Editor object -> its running clone while playing in the editor
 
         this.objectsToCreate = new Map(); // Map to track objects to create by name
 
+        // Scene changes while running (see changeScene and loadSceneAdditive)
+        this.initialScene = null; // Scene passed to loadScene, restored by stop()
+        this.sceneTransition = null; // SceneTransition drawn over the frame while a change plays
+        this.sceneLoading = false; // True while the scenes are swapped behind the transition; updates pause
+        this.sceneLoadProgress = { loaded: 0, total: 0 }; // Preload tasks of the scene being loaded
+        this.additiveScenes = new Map(); // Scene name -> { scene, objects } added with loadSceneAdditive
+        this._changingScene = false;
+
         this.maxFPS = 120; // Default, will be updated from settings
         this._minFrameInterval = 1000 / this.maxFPS;
         this._lastFrameTime = 0;
@@ -386,6 +398,32 @@ class Engine {
 
         this.enableVSync = true;
 
+        // Fixed timestep simulation (opt-in). When enabled, fixedLoop() runs at a
+        // constant tick rate from an accumulator and draw() can use interpolationAlpha
+        // to blend between the last two simulation states.
+        this.useFixedTimestep = false;
+        this.fixedTickRate = 60; // Simulation ticks per second
+        this.fixedDeltaTime = 1 / this.fixedTickRate;
+        this.maxFixedStepsPerFrame = 5; // Prevents the spiral of death on slow frames
+        this.fixedAccumulator = 0;
+        this.fixedTick = 0; // Total number of fixed ticks simulated since start
+        this.interpolationAlpha = 1; // 0..1 blend factor between previous and current tick
+
+        // Broad-phase spatial hash, rebuilt every frame and used by collision and proximity queries
+        this.useSpatialHash = true;
+        this.spatialHash = typeof SpatialHash !== 'undefined' ? new SpatialHash(128) : null;
+        this.debugSpatialHash = false; // Draw occupied cells over the scene
+        this._spatialHashObjectCount = -1; // Top-level object count at the last sync
+
+        // Spawned objects are reused through window.poolManager (see ObjectPool.js)
+        this.debugPools = false; // Draw pool counters over the game
+
+        // Collision events (onCollision*/onTrigger*) for objects without Matter.js bodies
+        this.useCollisionSystem = true;
+
+        // Seed for window.randomService on start (null = a new seed every run)
+        this.randomSeed = null;
+
         this.frameCount = 0; // Tracks frames since last FPS update
         this.lastFpsUpdate = 0; // Timestamp of last FPS calculation
 
@@ -606,6 +644,14 @@ class Engine {
         } else {
             this.gameObjects.push(gameObject);
         }
+        if (this.spatialHash && this.running) {
+            this.traverseGameObjects([gameObject], obj => this.spatialHash.insert(obj));
+
+            // Keep the hash marked in sync unless something else changed the list too
+            if (!parent && this._spatialHashObjectCount === this.gameObjects.length - 1) {
+                this._spatialHashObjectCount = this.gameObjects.length;
+            }
+        }
         if (isDynamic) {
             this.dynamicObjects.add(gameObject);
             gameObject._isDynamic = true; // Mark for editor awareness
@@ -626,6 +672,83 @@ class Engine {
         return result;
     }
 
+    /**
+     * Whether queries can use the spatial hash instead of walking the scene
+     * @returns {boolean} True if the spatial hash is enabled and up to date
+     */
+    canUseSpatialHash() {
+        if (!this.useSpatialHash || !this.spatialHash || !this.running) return false;
+        this.syncSpatialHash();
+        return true;
+    }
+
+    /**
+     * Rebuild the spatial hash from the bounding boxes of all game objects
+     */
+    rebuildSpatialHash() {
+        if (!this.spatialHash) return;
+        this.spatialHash.rebuild(this.getAllObjects());
+        this._spatialHashObjectCount = this.gameObjects.length;
+    }
+
+    /**
+     * Pick up objects that were pushed to or spliced from gameObjects directly since
+     * the last rebuild, without recomputing every bounding box
+     */
+    syncSpatialHash() {
+        if (this.gameObjects.length === this._spatialHashObjectCount) return;
+
+        const current = new Set(this.getAllObjects());
+        current.forEach(obj => {
+            if (!this.spatialHash.has(obj)) this.spatialHash.insert(obj);
+        });
+
+        const stale = [];
+        this.spatialHash.objectCells.forEach((keys, obj) => {
+            if (!current.has(obj)) stale.push(obj);
+        });
+        this.spatialHash.largeObjects.forEach(obj => {
+            if (!current.has(obj)) stale.push(obj);
+        });
+        stale.forEach(obj => this.spatialHash.remove(obj));
+
+        this._spatialHashObjectCount = this.gameObjects.length;
+    }
+
+    /**
+     * Get candidate objects whose bounds may overlap a world-space rectangle
+     * @param {number} left - Left edge
+     * @param {number} top - Top edge
+     * @param {number} right - Right edge
+     * @param {number} bottom - Bottom edge
+     * @param {string|null} name - Only return objects with this name (optional)
+     * @returns {Array<GameObject>} Candidate objects, callers should do exact checks
+     */
+    queryObjectsInRect(left, top, right, bottom, name = null) {
+        const candidates = this.canUseSpatialHash()
+            ? this.spatialHash.queryRect(left, top, right, bottom)
+            : this.getAllObjects();
+
+        return name === null ? candidates : candidates.filter(obj => obj.name === name);
+    }
+
+    /**
+     * Get the objects to check for a name + range search
+     * @param {number} x - Search center x
+     * @param {number} y - Search center y
+     * @param {string} name - GameObject name
+     * @param {number} maxRange - Search radius
+     * @returns {Array<GameObject>|null} Candidates, or null to fall back to a full traversal
+     */
+    getNameQueryCandidates(x, y, name, maxRange) {
+        if (!this.canUseSpatialHash()) return null;
+
+        if (isFinite(maxRange)) {
+            return this.spatialHash.queryRadius(x, y, maxRange).filter(obj => obj.name === name);
+        }
+        return this.spatialHash.queryName(name);
+    }
+
     /*
         Find the nearest object to x and y by name within a certain range
     */
@@ -633,6 +756,20 @@ class Engine {
         let nearest = null;
         let nearestDist = maxRange;
 
+        const candidates = this.getNameQueryCandidates(x, y, name, maxRange);
+        if (candidates) {
+            for (const obj of candidates) {
+                const dx = obj.position.x - x;
+                const dy = obj.position.y - y;
+                const dist = Math.sqrt(dx * dx + dy * dy);
+                if (dist < nearestDist) {
+                    nearestDist = dist;
+                    nearest = obj;
+                }
+            }
+            return nearest;
+        }
+
         // Recursive helper function to traverse all objects (including children)
         const traverse = (objects) => {
             objects.forEach(obj => {
@@ -661,6 +798,24 @@ class Engine {
     findNearestObjectsByName(x, y, name, maxRange = Infinity) {
         let nearestObjects = [];
 
+        const candidates = this.getNameQueryCandidates(x, y, name, maxRange);
+        if (candidates) {
+            const distances = new Map();
+            for (const obj of candidates) {
+                const dx = obj.position.x - x;
+                const dy = obj.position.y - y;
+                const dist = Math.sqrt(dx * dx + dy * dy);
+                if (dist < maxRange) {
+                    distances.set(obj, dist);
+                    nearestObjects.push(obj);
+                }
+            }
+
+            // Hash order depends on cell layout, so return nearest first for stable results
+            nearestObjects.sort((a, b) => distances.get(a) - distances.get(b));
+            return nearestObjects.length > 0 ? nearestObjects : null;
+        }
+
         // Recursive helper function to traverse all objects (including children)
         const traverse = (objects) => {
             objects.forEach(obj => {
@@ -693,10 +848,27 @@ class Engine {
 
     async preload() {
         console.log("Preloading game objects...");
+
+        // Wait for all resources to load
+        await this.preloadObjects(this.gameObjects);
+        this.preloaded = true;
+        console.log("All resources preloaded.");
+    }
+
+    /**
+     * Preload objects before they start: obj.preload(), module.preload(obj) and every
+     * AssetReference a module holds (as a field or in an array field)
+     * @param {Array<GameObject>} objects - Top-level objects, children are included
+     * @param {Function} [onProgress] - Called with (loaded, total) each time a task finishes
+     * @returns {Promise<void>} Rejects if an object's or module's preload fails
+     */
+    async preloadObjects(objects, onProgress = null) {
         const preloadPromises = [];
+        const assets = new Set();
+        const isAsset = value => typeof AssetReference !== 'undefined' && value instanceof AssetReference;
 
         // Traverse all game objects and collect preload promises
-        this.traverseGameObjects(this.gameObjects, obj => {
+        this.traverseGameObjects(objects, obj => {
             if (obj.preload) {
                 preloadPromises.push(obj.preload());
             }
@@ -705,15 +877,31 @@ class Engine {
                     if (module.preload) {
                         preloadPromises.push(module.preload(obj));
                     }
+                    Object.values(module).forEach(value => {
+                        if (isAsset(value)) assets.add(value);
+                        else if (Array.isArray(value)) value.filter(isAsset).forEach(asset => assets.add(asset));
+                    });
                 });
             }
             obj.engine = this; // Set engine reference for each object
         });
 
-        // Wait for all resources to load
-        await Promise.all(preloadPromises);
-        this.preloaded = true;
-        console.log("All resources preloaded.");
+        // A missing asset shouldn't keep the scene from starting, modules handle null data
+        assets.forEach(asset => {
+            if (!asset.isValid()) return;
+            preloadPromises.push(asset.load().catch(error => {
+                console.warn(`Failed to preload asset ${asset.path}:`, error);
+            }));
+        });
+
+        let loaded = 0;
+        const total = preloadPromises.length;
+        if (onProgress) onProgress(0, total);
+
+        await Promise.all(preloadPromises.map(promise => Promise.resolve(promise).then(() => {
+            loaded++;
+            if (onProgress) onProgress(loaded, total);
+        })));
     }
 
     traverseGameObjects(objects, callback) {
@@ -854,6 +1042,27 @@ class Engine {
 
         this.objectsToCreate.clear();
 
+        // Pooled objects belong to the previous run
+        if (window.poolManager) {
+            window.poolManager.clear();
+        }
+
+        this.fixedAccumulator = 0;
+        this.fixedTick = 0;
+        this.interpolationAlpha = 1;
+
+        if (window.saveManager) {
+            window.saveManager.playtime = 0;
+        }
+
+        // Reseed every random stream so a fixed seed (or a replay's seed) reproduces the same run
+        if (window.randomService) {
+            const replaySeed = window.input ? window.input.getReplaySeed() : null;
+            const seed = replaySeed !== null ? replaySeed : this.randomSeed;
+            window.randomService.setSeed(seed !== null ? seed : RandomService.generateSeed());
+            console.log(`Random seed: ${window.randomService.seed}`);
+        }
+
         console.log("Starting game...");
 
         this.viewportOriginalPosition = {
@@ -900,6 +1109,10 @@ class Engine {
         this.lastTime = performance.now();
         this.animationFrameId = requestAnimationFrame(this.gameLoop.bind(this));
 
+        if (window.editor && window.editor.playMode) {
+            window.editor.playMode.onPlayStarted();
+        }
+
         //await window.prefabManager.loadExistingPrefabs()
     }
 
@@ -922,10 +1135,36 @@ class Engine {
         }
     } 
 
+    /**
+     * Hold or release the simulation from the editor. Unlike the game's own pause flag,
+     * the frame keeps drawing without the "Paused" overlay and stepFrame() can advance it.
+     * @param {boolean} paused - True to hold the simulation
+     */
+    setEditorPaused(paused) {
+        this.editorPaused = !!paused;
+        this.stepRequested = false;
+    }
+
+    /**
+     * Advance a game held by setEditorPaused() by one frame of stepDeltaTime seconds
+     */
+    stepFrame() {
+        if (!this.running) return;
+        if (!this.editorPaused) this.setEditorPaused(true);
+        this.stepRequested = true;
+    }
+
     stop() {
         console.log("Stopping game...");
         this.running = false;
         this.wasRunning = false;
+        this.setEditorPaused(false);
+
+        // Finish any replay session (the recording stays in input.lastReplay)
+        if (window.input) {
+            if (window.input.isRecording()) window.input.stopRecording();
+            if (window.input.isPlayingBack()) window.input.stopPlayback();
+        }
          // ✅ Ensure animation frame is cancelled
         if (this.animationFrameId) {
             cancelAnimationFrame(this.animationFrameId);
@@ -969,9 +1208,32 @@ class Engine {
             }
         });
 
+        // changeScene may have moved on to other scenes, the next run starts from the loaded one
+        if (this.initialScene) {
+            this.scene = this.initialScene;
+        }
+        this.additiveScenes.clear();
+        this.sceneTransition = null;
+        this.sceneLoading = false;
+
         // Clean up dynamically created prefab instances
         this.cleanupDynamicObjects();
 
+        // Destroy the idle objects left in pools
+        if (window.poolManager) {
+            window.poolManager.clear();
+        }
+
+        if (this.spatialHash) {
+            this.spatialHash.clear();
+            this._spatialHashObjectCount = -1;
+        }
+
+        // Forget contacts so the next run doesn't fire exits for this one
+        if (window.collisionSystem) {
+            window.collisionSystem.reset();
+        }
+
         // Reset physics after calling onDestroy to properly restore positions
         if (window.physicsManager) {
             window.physicsManager.reset();
@@ -1038,9 +1300,15 @@ class Engine {
                 window.editor.hierarchy.refreshHierarchy();
             }
 
+            // Copy the runtime state kept during play back to the editor objects
+            if (window.editor.playMode) {
+                window.editor.playMode.onPlayStopped();
+            }
+
             // Refresh the editor canvas to show restored objects
             window.editor.refreshCanvas();
         }
+        this.runtimeCopies.clear();
     }
 
     getObjectByID(id, objects = this.gameObjects) {
@@ -1055,6 +1323,44 @@ class Engine {
         return null;
     }
 
+    /**
+     * Remember which running clone belongs to which editor object (cloneGameObjects keeps the order)
+     * @param {GameObject[]} originals - Editor objects
+     * @param {GameObject[]} clones - Their clones from cloneGameObjects()
+     */
+    linkRuntimeCopies(originals, clones) {
+        originals.forEach((original, i) => {
+            const clone = clones[i];
+            if (!clone) return;
+            this.runtimeCopies.set(original, clone);
+            if (original.children && clone.children) {
+                this.linkRuntimeCopies(original.children, clone.children);
+            }
+        });
+    }
+
+    /**
+     * The running clone of an editor object while the game plays in the editor
+     * @param {GameObject} editorObject - Object of the editor scene
+     * @returns {GameObject|null} The clone, or null if it isn't running (or was destroyed)
+     */
+    getRuntimeObject(editorObject) {
+        const clone = this.runtimeCopies.get(editorObject);
+        return clone && this.getObjectByID(clone.id) ? clone : null;
+    }
+
+    /**
+     * The editor object a running clone was made from
+     * @param {GameObject} runtimeObject - Object of the running game
+     * @returns {GameObject|null} The editor object, or null for objects spawned at runtime
+     */
+    getEditorObject(runtimeObject) {
+        for (const [original, clone] of this.runtimeCopies) {
+            if (clone === runtimeObject) return original;
+        }
+        return null;
+    }
+
     /**
      * Find the original object that corresponds to a cloned object
      * @param {GameObject} clonedObject - The cloned object to find the original for
@@ -1106,6 +1412,13 @@ class Engine {
             this.gameObjects.splice(index, 1);
         }
 
+        if (this.spatialHash) {
+            this.traverseGameObjects([gameObject], obj => this.spatialHash.remove(obj));
+            if (index > -1 && this._spatialHashObjectCount === this.gameObjects.length + 1) {
+                this._spatialHashObjectCount = this.gameObjects.length;
+            }
+        }
+
         // Also remove from parent if it has one
         if (gameObject.parent) {
             gameObject.parent.removeChild(gameObject);
@@ -1141,6 +1454,11 @@ class Engine {
             }
         }
 
+        // Pooled objects go back to their pool instead of being destroyed
+        if (this.running && window.poolManager && window.poolManager.release(gameObject)) {
+            return true;
+        }
+
         // Call onDestroy on the object and its modules
         if (gameObject.modules) {
             gameObject.modules.forEach(module => {
@@ -1254,6 +1572,67 @@ class Engine {
         console.log(`VSync ${enabled ? 'enabled' : 'disabled'}`);
     }
 
+    /**
+     * Enable or disable the fixed timestep simulation loop
+     * @param {boolean} enabled - Whether fixedLoop() should run at a constant rate
+     * @param {number} tickRate - Simulation ticks per second (default: current rate)
+     */
+    setFixedTimestep(enabled, tickRate = this.fixedTickRate) {
+        this.useFixedTimestep = !!enabled;
+        this.fixedTickRate = Math.max(1, tickRate || 60);
+        this.fixedDeltaTime = 1 / this.fixedTickRate;
+        this.fixedAccumulator = 0;
+        this.interpolationAlpha = 1;
+        console.log(`Fixed timestep ${this.useFixedTimestep ? `enabled at ${this.fixedTickRate} Hz` : 'disabled'}`);
+    }
+
+    /**
+     * Set the seed used for window.randomService each time the game starts
+     * @param {number|string|null} seed - Fixed seed, or null for a new seed every run
+     */
+    setRandomSeed(seed) {
+        this.randomSeed = seed === undefined || seed === '' ? null : seed;
+        if (this.randomSeed !== null && window.randomService) {
+            window.randomService.setSeed(this.randomSeed);
+        }
+    }
+
+    /**
+     * Advance the fixed timestep accumulator and run as many fixed ticks as fit
+     * @param {number} deltaTime - Time in seconds since the last frame
+     */
+    stepFixed(deltaTime) {
+        this.fixedAccumulator += deltaTime;
+
+        let steps = 0;
+        while (this.fixedAccumulator >= this.fixedDeltaTime && steps < this.maxFixedStepsPerFrame) {
+            this.fixedUpdate(this.fixedDeltaTime);
+            this.fixedAccumulator -= this.fixedDeltaTime;
+            this.fixedTick++;
+            steps++;
+        }
+
+        // If we fell too far behind, drop the remainder rather than trying to catch up
+        if (steps === this.maxFixedStepsPerFrame && this.fixedAccumulator >= this.fixedDeltaTime) {
+            this.fixedAccumulator = 0;
+        }
+
+        this.interpolationAlpha = this.fixedAccumulator / this.fixedDeltaTime;
+    }
+
+    /**
+     * Run a single fixed simulation tick on all game objects
+     * @param {number} fixedDeltaTime - Constant tick length in seconds
+     */
+    fixedUpdate(fixedDeltaTime) {
+        // GameObject.fixedLoop recurses into children itself
+        this.gameObjects.forEach(obj => {
+            if (obj.active && obj.fixedLoop) {
+                obj.fixedLoop(fixedDeltaTime);
+            }
+        });
+    }
+
     gameLoop(timestamp) {
         if (!this.running) return;
 
@@ -1266,7 +1645,7 @@ class Engine {
         }
         this._lastFrameTime = timestamp;
 
-        const deltaTime = Math.min((timestamp - this.lastTime) / 1000, 0.1);
+        let deltaTime = Math.min((timestamp - this.lastTime) / 1000, 0.1);
         this.lastTime = timestamp;
 
         this.frameCount++;
@@ -1276,9 +1655,20 @@ class Engine {
             this.lastFpsUpdate = timestamp; // Update timestamp
         }
 
+        // Time this frame's phases and modules while the profiler is in use
+        const profiler = window.profiler;
+        if (profiler) {
+            profiler.beginFrame(this, deltaTime);
+        }
+
         // Update input manager at the start of the frame
         if (window.input) {
-            window.input.beginFrame();
+            window.input.beginFrame(deltaTime);
+
+            // Replays run with the recorded frame times so the simulation matches
+            if (window.input.isPlayingBack()) {
+                deltaTime = window.input.playbackDeltaTime;
+            }
         }
 
         // Update viewport if dirty
@@ -1286,29 +1676,68 @@ class Engine {
             this.updateViewport();
         }
 
-        if (!this.paused) {
+        // The editor's pause holds the simulation, stepFrame() lets exactly one update through
+        const stepping = this.editorPaused && this.stepRequested;
+        if (stepping) {
+            this.stepRequested = false;
+            deltaTime = this.stepDeltaTime;
+        }
+
+        // Nothing updates while changeScene swaps the scenes behind the transition
+        if (!this.paused && (!this.editorPaused || stepping) && !this.sceneLoading) {
             // Update decal chunks for fading
             this.decalChunks.forEach(chunk => chunk.update(deltaTime));
 
+            // Fixed ticks run before the variable update, like physics before logic
+            if (this.useFixedTimestep) {
+                if (profiler) profiler.begin('fixedLoop');
+                this.stepFixed(deltaTime);
+                if (profiler) profiler.end('fixedLoop');
+            }
+
             this.update(deltaTime);
+
+            if (window.saveManager) {
+                window.saveManager.playtime += deltaTime;
+            }
         }
 
+        if (profiler) profiler.begin('draw');
         this.draw();
+        if (profiler) profiler.end('draw');
 
         // Update input manager at the end of the frame
         if (window.input) {
             window.input.endFrame();
         }
 
+        if (profiler) {
+            profiler.endFrame(this);
+        }
+
         this.animationFrameId = requestAnimationFrame(this.gameLoop.bind(this));
     }
 
     update(deltaTime) {
+        const profiler = window.profiler;
+
+        // Refresh the broad-phase before anything queries it this frame
+        if (this.useSpatialHash && this.spatialHash) {
+            if (profiler) profiler.begin('spatialHash');
+            this.rebuildSpatialHash();
+            if (profiler) profiler.end('spatialHash');
+        }
+
+        // Objects that moved in their update are re-hashed right away, so later queries this frame find them
+        const spatialHash = this.useSpatialHash ? this.spatialHash : null;
+
         // Begin loop phase
+        if (profiler) profiler.begin('beginLoop');
         this.traverseGameObjects(this.gameObjects, obj => {
             if (obj.active) {
                 // Call object's beginLoop method
                 if (obj.beginLoop) obj.beginLoop(deltaTime);
+                if (spatialHash) spatialHash.refresh(obj);
 
                 // Call modules' beginLoop methods
                 /*obj.modules.forEach(module => {
@@ -1323,21 +1752,28 @@ class Engine {
                 });*/
             }
         });
+        if (profiler) profiler.end('beginLoop');
 
         // Update collision system
-        /*if (window.collisionSystem) {
+        if (this.useCollisionSystem && window.collisionSystem) {
+            if (profiler) profiler.begin('collision');
+
             // Get all active objects
             const allObjects = this.getAllObjects(this.gameObjects).filter(obj => obj.active);
 
             // Update collision detection
             window.collisionSystem.update(allObjects);
-        }*/
+
+            if (profiler) profiler.end('collision');
+        }
 
         // Main loop phase
+        if (profiler) profiler.begin('loop');
         this.traverseGameObjects(this.gameObjects, obj => {
             if (obj.active) {
                 // Call object's loop method
                 if (obj.loop) obj.loop(deltaTime);
+                if (spatialHash) spatialHash.refresh(obj);
 
                 // Call modules' loop methods
                 /*obj.modules.forEach(module => {
@@ -1352,12 +1788,15 @@ class Engine {
                 });*/
             }
         });
+        if (profiler) profiler.end('loop');
 
         // End loop phase
+        if (profiler) profiler.begin('endLoop');
         this.traverseGameObjects(this.gameObjects, obj => {
             if (obj.active) {
                 // Call object's endLoop method
                 if (obj.endLoop) obj.endLoop(deltaTime);
+                if (spatialHash) spatialHash.refresh(obj);
 
                 // Call modules' endLoop methods
                 /*obj.modules.forEach(module => {
@@ -1372,10 +1811,13 @@ class Engine {
                 });*/
             }
         });
+        if (profiler) profiler.end('endLoop');
 
         // Update multiplayer
         if (this.multiplayer && this.enableMultiplayer) {
+            if (profiler) profiler.begin('multiplayer');
             this.multiplayer.update(deltaTime);
+            if (profiler) profiler.end('multiplayer');
         }
     }
 
@@ -1394,16 +1836,7 @@ class Engine {
             });
 
             // Draw each active and visible object using pixiRenderer as context
-            allObjects
-                .filter(obj => obj.active && obj.visible !== false)
-                .sort((a, b) => b.depth - a.depth)
-                .forEach(obj => {
-                    try {
-                        obj.draw(this.pixiRenderer); // Pass pixiRenderer as context
-                    } catch (error) {
-                        console.error(`Error drawing object ${obj.name}:`, error);
-                    }
-                });
+            this.drawObjectsByLayer(this.pixiRenderer, allObjects); // Pass pixiRenderer as context
 
             this.pixiRenderer.render();
             return;
@@ -1439,16 +1872,7 @@ class Engine {
                 // Note: Drawing text with WebGL context might not work the same way
                 // This would need a proper text rendering implementation for WebGL
             } else {
-                allObjects
-                    .filter(obj => obj.active && obj.visible !== false)
-                    .sort((a, b) => b.depth - a.depth)
-                    .forEach(obj => {
-                        try {
-                            obj.draw(this.ctx);
-                        } catch (error) {
-                            console.error(`Error drawing object ${obj.name}:`, error);
-                        }
-                    });
+                this.drawObjectsByLayer(this.ctx, allObjects);
             }
 
             // Draw physics debug
@@ -1456,6 +1880,11 @@ class Engine {
                 window.physicsManager.drawDebug(this.ctx);
             }
 
+            // Draw spatial hash cells
+            if (this.debugSpatialHash && this.spatialHash) {
+                this.spatialHash.drawDebug(this.ctx);
+            }
+
             // Flush WebGL commands
             if (this.ctx.flush) {
                 this.ctx.flush();
@@ -1547,16 +1976,7 @@ class Engine {
             renderCtx.fillText("No objects in scene... What is a game without objects?",
                 renderCanvas.width / 2, renderCanvas.height / 2);
         } else {
-            allObjects
-                .filter(obj => obj.active && obj.visible !== false)
-                .sort((a, b) => b.depth - a.depth)
-                .forEach(obj => {
-                    try {
-                        obj.draw(renderCtx);
-                    } catch (error) {
-                        console.error(`Error drawing object ${obj.name}:`, error);
-                    }
-                });
+            this.drawObjectsByLayer(renderCtx, allObjects);
         }
 
         // Draw physics debug
@@ -1564,6 +1984,11 @@ class Engine {
             window.physicsManager.drawDebug(renderCtx);
         }
 
+        // Draw spatial hash cells
+        if (this.debugSpatialHash && this.spatialHash) {
+            this.spatialHash.drawDebug(renderCtx);
+        }
+
         renderCtx.restore();
 
         // Draw paused overlay
@@ -1587,6 +2012,21 @@ class Engine {
             renderCtx.restore();
         }
 
+        // Draw the scene transition (see changeScene) over the game, under the debug overlays
+        if (this.sceneTransition) {
+            this.sceneTransition.render(renderCtx, renderCanvas.width, renderCanvas.height);
+        }
+
+        // Draw object pool counters
+        if (this.debugPools && window.poolManager) {
+            window.poolManager.drawDebug(renderCtx);
+        }
+
+        // Draw the profiler overlay (F3)
+        if (window.profiler && window.profiler.showOverlay) {
+            window.profiler.drawOverlay(renderCtx);
+        }
+
         // If using offscreen rendering, now draw the offscreen canvas to the display canvas
         if (this.useOffscreenRendering && this.displayCtx) {
             this.displayCtx.clearRect(0, 0, this.canvas.width, this.canvas.height);
@@ -1963,6 +2403,55 @@ class Engine {
         ctx.lineTo(pos.x, pos.y);
     }
 
+    /**
+     * Draw active, visible objects back to front: by scene layer (scene.layers order), then by depth.
+     * Objects on hidden layers are skipped and layers with a parallax factor other than 1 are
+     * offset against the camera (only on contexts with save/translate, i.e. not Pixi).
+     * @param {CanvasRenderingContext2D|Object} ctx - Context passed to GameObject.draw
+     * @param {GameObject[]} objects - Objects to draw, children included
+     */
+    drawObjectsByLayer(ctx, objects) {
+        const scene = this.scene && this.scene.getLayerOf ? this.scene : null;
+        const entries = [];
+        objects.forEach(obj => {
+            if (!obj.active || obj.visible === false) return;
+            const layer = scene ? scene.getLayerOf(obj) : null;
+            if (layer && !layer.visible) return;
+            entries.push({ obj, layer, order: layer ? scene.layers.indexOf(layer) : 0 });
+        });
+        entries.sort((a, b) => (a.order - b.order) || (b.obj.depth - a.obj.depth));
+
+        const canOffset = typeof ctx.save === 'function' && typeof ctx.translate === 'function';
+        entries.forEach(({ obj, layer }) => {
+            const offset = canOffset && layer ? this.getParallaxOffset(layer) : null;
+            try {
+                if (offset) {
+                    ctx.save();
+                    ctx.translate(offset.x, offset.y);
+                }
+                obj.draw(ctx);
+            } catch (error) {
+                console.error(`Error drawing object ${obj.name}:`, error);
+            } finally {
+                if (offset) ctx.restore();
+            }
+        });
+    }
+
+    /**
+     * World-space offset that makes a layer follow only part of the camera movement
+     * @param {Layer} layer - The layer
+     * @returns {{x: number, y: number}|null} Offset, or null for layers that move with the world
+     */
+    getParallaxOffset(layer) {
+        const parallax = layer.parallax || { x: 1, y: 1 };
+        if (parallax.x === 1 && parallax.y === 1) return null;
+        return {
+            x: this.viewport.x * (1 - parallax.x),
+            y: this.viewport.y * (1 - parallax.y)
+        };
+    }
+
     applyViewportTransformToContext(ctx) {
         // Use viewport dimensions directly (no internal resolution scaling)
         const centerX = this.viewport.width / 2;
@@ -2062,8 +2551,61 @@ class Engine {
 
         // Clone the scene to avoid modifying the editor version
         this.scene = scene;
+        this.initialScene = scene;
         this.clearDecals();
+        this.applySceneSettings(scene);
+        if (window.physicsManager && window.physicsManager.applySettings) {
+            window.physicsManager.applySettings(scene.settings || {});
+        }
+
+        // Deep clone only in editor. In exported/runtime builds, use objects as-built
+        // so embedded assets (like SpriteRenderer.imageData) are preserved.
+        if (window.editor) {
+            // Store original positions before cloning
+            this.storeOriginalPositions(scene.gameObjects);
+            this.gameObjects = this.cloneGameObjects(scene.gameObjects, false);
+            this.runtimeCopies.clear();
+            this.linkRuntimeCopies(scene.gameObjects, this.gameObjects);
+        } else {
+            this.gameObjects = scene.gameObjects;
+        }
+
+        // Key scene objects by their place in the scene so save games can find them again
+        if (window.SaveManager) {
+            SaveManager.assignKeys(scene.gameObjects);
+            SaveManager.assignKeys(this.gameObjects);
+        }
+
+        // Store original objects for cleanup purposes
+        this.originalGameObjects = [...scene.gameObjects]; // Use the original scene objects
+        this.dynamicObjects.clear();
+
+        this.preloaded = false;
+        this.canvasResized = true;
+
+        // Force canvas resize with new viewport settings
+        this.resizeCanvas();
+    }
+
+    /**
+ * Load scene by index (useful for exported games)
+ */
+    loadSceneByIndex(scenes, index) {
+        if (!scenes || !Array.isArray(scenes) || index < 0 || index >= scenes.length) {
+            console.error('Invalid scene index or scenes array');
+            return false;
+        }
 
+        const scene = scenes[index];
+        this.loadScene(scene);
+        return true;
+    }
+
+    /**
+     * Copy a scene's viewport and chunk settings to the engine
+     * @param {Scene} scene - Scene whose settings to use
+     */
+    applySceneSettings(scene) {
         // Copy viewport settings and validate them
         if (scene.settings) {
             this.viewport.width = Math.max(1, scene.settings.viewportWidth || 800);
@@ -2088,42 +2630,265 @@ class Engine {
 
         // Mark viewport as dirty to force update
         this.viewport.dirty = true;
+    }
 
-        // Deep clone only in editor. In exported/runtime builds, use objects as-built
-        // so embedded assets (like SpriteRenderer.imageData) are preserved.
-        if (window.editor) {
-            // Store original positions before cloning
-            this.storeOriginalPositions(scene.gameObjects);
-            this.gameObjects = this.cloneGameObjects(scene.gameObjects, false);
-        } else {
-            this.gameObjects = scene.gameObjects;
+    /**
+     * Find a scene by name in the exported game or the editor
+     * @param {string} name - Scene name
+     * @returns {Scene|null}
+     */
+    findScene(name) {
+        const scenes = this.scenes || (window.editor ? window.editor.scenes : null) || [];
+        return scenes.find(scene => scene.name === name) || null;
+    }
+
+    /**
+     * Switch to another scene while the game keeps running, behind a transition
+     *
+     * The transition covers the screen, then everything except top-level objects marked
+     * dontDestroyOnLoad (and their children) is destroyed, the new scene's objects are
+     * preloaded (including their AssetReferences) and started, persistent modules get
+     * onSceneLoaded(scene), and the transition reveals the new scene. Updates pause while the
+     * screen is covered. If the game isn't running this is loadScene() followed by start().
+     *
+     * @param {Scene|string} sceneOrName - Scene or scene name
+     * @param {Object} [options]
+     * @param {SceneTransition|string|boolean} [options.transition] - Transition module, "fade", "wipe"
+     *   or a SceneTransition class name, or false for none. Defaults to the first enabled
+     *   SceneTransition module in the running scene.
+     * @param {number} [options.duration] - Seconds for each half of the transition
+     * @returns {Promise<boolean>} False if the scene wasn't found or the game stopped meanwhile
+     */
+    async changeScene(sceneOrName, options = {}) {
+        const scene = typeof sceneOrName === 'string' ? this.findScene(sceneOrName) : sceneOrName;
+        if (!scene) {
+            console.error(`changeScene: scene "${sceneOrName}" not found`);
+            return false;
         }
 
-        // Store original objects for cleanup purposes
-        this.originalGameObjects = [...scene.gameObjects]; // Use the original scene objects
-        this.dynamicObjects.clear();
+        if (!this.running) {
+            this.loadScene(scene);
+            await this.start();
+            return true;
+        }
 
-        this.preloaded = false;
-        this.canvasResized = true;
+        if (this._changingScene) {
+            console.warn(`changeScene: already changing scene, ignoring "${scene.name}"`);
+            return false;
+        }
+        this._changingScene = true;
 
-        // Force canvas resize with new viewport settings
-        this.resizeCanvas();
+        const transition = this.resolveSceneTransition(options.transition);
+        const duration = transition ? (options.duration !== undefined ? options.duration : transition.duration) : 0;
+        this.sceneTransition = transition;
+
+        try {
+            if (transition) {
+                await transition.play('out', duration);
+                if (!this.running) return false;
+            }
+
+            console.log(`Changing scene to: ${scene.name}`);
+            this.sceneLoading = true;
+            this.sceneLoadProgress = { loaded: 0, total: 0 };
+
+            const persistent = this.gameObjects.filter(obj => obj.dontDestroyOnLoad);
+            this.destroySceneObjects(this.gameObjects.filter(obj => !obj.dontDestroyOnLoad));
+            this.additiveScenes.forEach(entry => this.destroySceneObjects(entry.objects));
+            this.additiveScenes.clear();
+            this.clearDecals();
+
+            // Contacts and idle pooled objects belong to the old scene
+            if (window.collisionSystem) {
+                window.collisionSystem.reset();
+            }
+            if (window.poolManager) {
+                window.poolManager.clear();
+            }
+
+            // Same as loadScene: clones in the editor, the scene's own objects in exported games
+            const objects = window.editor ? this.cloneGameObjects(scene.gameObjects, false) : scene.gameObjects;
+
+            try {
+                await this.preloadObjects(objects, (loaded, total) => {
+                    this.sceneLoadProgress = { loaded, total };
+                });
+            } catch (error) {
+                console.error(`Error preloading scene "${scene.name}":`, error);
+            }
+            if (!this.running) return false;
+
+            this.scene = scene;
+            this.applySceneSettings(scene);
+            if (window.physicsManager && window.physicsManager.applySettings) {
+                window.physicsManager.applySettings(scene.settings || {});
+            }
+            this.gameObjects = [...persistent, ...objects];
+            this._spatialHashObjectCount = -1;
+
+            if (window.SaveManager) {
+                SaveManager.assignKeys(scene.gameObjects);
+                SaveManager.assignKeys(objects);
+            }
+
+            this.traverseGameObjects(objects, obj => {
+                if (obj.active && obj.start) {
+                    obj.start();
+                }
+            });
+
+            this.traverseGameObjects(persistent, obj => {
+                obj.modules.forEach(module => {
+                    if (!module.enabled || !module.onSceneLoaded) return;
+                    try {
+                        module.onSceneLoaded(scene);
+                    } catch (error) {
+                        console.error(`Error in onSceneLoaded for module ${module.type || module.constructor.name}:`, error);
+                    }
+                });
+            });
+
+            this.sceneLoading = false;
+            this.canvasResized = true;
+            this.resizeCanvas();
+
+            if (transition) {
+                await transition.play('in', duration);
+            }
+            return this.running;
+        } finally {
+            this.sceneLoading = false;
+            this.sceneTransition = null;
+            if (transition) transition.playing = false;
+            this._changingScene = false;
+        }
     }
 
     /**
- * Load scene by index (useful for exported games)
- */
-    loadSceneByIndex(scenes, index) {
-        if (!scenes || !Array.isArray(scenes) || index < 0 || index >= scenes.length) {
-            console.error('Invalid scene index or scenes array');
-            return false;
+     * Pick the transition for changeScene
+     * @param {SceneTransition|string|boolean|undefined} transition - See changeScene options.transition
+     * @returns {SceneTransition|null}
+     * @private
+     */
+    resolveSceneTransition(transition) {
+        if (transition === false || transition === null || typeof SceneTransition === 'undefined') return null;
+        if (transition instanceof SceneTransition) return transition;
+
+        if (typeof transition === 'string') {
+            const shortNames = { fade: 'FadeTransition', wipe: 'WipeTransition' };
+            const className = shortNames[transition.toLowerCase()] || transition;
+            const TransitionClass = (window.moduleRegistry && window.moduleRegistry.getModuleClass(className)) || window[className];
+            if (TransitionClass && (TransitionClass === SceneTransition || TransitionClass.prototype instanceof SceneTransition)) {
+                return new TransitionClass();
+            }
+            console.warn(`changeScene: unknown transition "${transition}"`);
+            return null;
         }
 
-        const scene = scenes[index];
-        this.loadScene(scene);
+        // The first enabled transition module in the scene being left
+        let found = null;
+        this.traverseGameObjects(this.gameObjects, obj => {
+            if (found || !obj.active || !obj.modules) return;
+            found = obj.modules.find(module => module.enabled && module instanceof SceneTransition) || null;
+        });
+        return found;
+    }
+
+    /**
+     * Add another scene's objects to the running world, next to the current scene
+     *
+     * The objects are preloaded before they start. Their layers are looked up in the current
+     * scene (objects on a layer it doesn't have draw on its default layer). changeScene
+     * unloads additive scenes along with the current one.
+     * @param {Scene|string} sceneOrName - Scene or scene name
+     * @returns {Promise<Array<GameObject>|null>} The added top-level objects, or null
+     */
+    async loadSceneAdditive(sceneOrName) {
+        const scene = typeof sceneOrName === 'string' ? this.findScene(sceneOrName) : sceneOrName;
+        if (!scene) {
+            console.error(`loadSceneAdditive: scene "${sceneOrName}" not found`);
+            return null;
+        }
+        if (!this.running) {
+            console.warn('loadSceneAdditive: the game is not running');
+            return null;
+        }
+        if (scene === this.scene || this.additiveScenes.has(scene.name)) {
+            console.warn(`loadSceneAdditive: scene "${scene.name}" is already loaded`);
+            return null;
+        }
+
+        const objects = window.editor ? this.cloneGameObjects(scene.gameObjects, false) : scene.gameObjects;
+        this.additiveScenes.set(scene.name, { scene, objects });
+
+        try {
+            await this.preloadObjects(objects);
+        } catch (error) {
+            console.error(`Error preloading scene "${scene.name}":`, error);
+        }
+        if (!this.running || !this.additiveScenes.has(scene.name)) return null;
+
+        // Prefixed with the scene name so the keys don't clash with the current scene's
+        if (window.SaveManager) {
+            SaveManager.assignKeys(objects, scene.name);
+        }
+
+        this.gameObjects.push(...objects);
+        this.traverseGameObjects(objects, obj => {
+            if (obj.active && obj.start) {
+                obj.start();
+            }
+        });
+
+        console.log(`Loaded scene additively: ${scene.name}`);
+        return objects;
+    }
+
+    /**
+     * Remove a scene added with loadSceneAdditive, destroying its objects
+     * @param {string} name - Scene name
+     * @returns {boolean} False if the scene wasn't loaded additively
+     */
+    unloadScene(name) {
+        const entry = this.additiveScenes.get(name);
+        if (!entry) return false;
+
+        this.additiveScenes.delete(name);
+        this.destroySceneObjects(entry.objects);
+        console.log(`Unloaded scene: ${name}`);
         return true;
     }
 
+    /**
+     * Call onDestroy on the modules of objects and their children and take them out of the world
+     * @param {Array<GameObject>} objects - Top-level objects
+     * @private
+     */
+    destroySceneObjects(objects) {
+        const removed = new Set(objects);
+
+        this.traverseGameObjects(objects, obj => {
+            if (obj.modules) {
+                obj.modules.forEach(module => {
+                    if (module.onDestroy) {
+                        try {
+                            module.onDestroy();
+                        } catch (error) {
+                            console.error(`Error in onDestroy for module ${module.type || module.constructor.name}:`, error);
+                        }
+                    }
+                });
+            }
+            this.dynamicObjects.delete(obj);
+            if (this.spatialHash) {
+                this.spatialHash.remove(obj);
+            }
+        });
+
+        this.gameObjects = this.gameObjects.filter(obj => !removed.has(obj));
+        this._spatialHashObjectCount = -1;
+    }
+
     /**
      * Enhanced prefab instantiation
      */
@@ -2222,6 +2987,35 @@ class Engine {
         return instantiated;
     }
 
+    /**
+     * Build a GameObject from a loaded prefab without adding it to the scene.
+     * Unlike instantiatePrefab this is synchronous, so pools can use it as a factory.
+     * @param {string} prefabName - Name of the prefab
+     * @returns {GameObject|null} The new object, or null if the prefab isn't loaded
+     */
+    createPrefabObject(prefabName) {
+        const managers = [
+            this.prefabManager,
+            window.editor && window.editor.hierarchy ? window.editor.hierarchy.prefabManager : null,
+            window.prefabManager
+        ];
+
+        for (const manager of managers) {
+            if (!manager || typeof manager.findPrefabByName !== 'function') continue;
+
+            const prefabData = manager.findPrefabByName(prefabName);
+            if (prefabData) {
+                try {
+                    return GameObject.fromJSON(prefabData);
+                } catch (error) {
+                    console.error(`Error creating GameObject from prefab '${prefabName}':`, error);
+                    return null;
+                }
+            }
+        }
+        return null;
+    }
+
     /**
      * Create GameObject from prefab data
      */
@@ -2461,74 +3255,50 @@ class Engine {
     }
 
     /**
-     * Save the current game state
-     * @param {string} saveFileName - Name for the save file
-     * @param {boolean} saveLocal - If true, save to localStorage; else, download as file
+     * Save the running game to a slot (see SaveManager)
+     * @param {string} [slot='savegame'] - Slot name
+     * @param {Object|boolean} [options] - SaveManager.save options; false also downloads the save as a file
+     * @returns {Promise<Object|null>} Slot metadata, or null if saving failed
      */
-    saveGame(saveFileName = 'savegame', saveLocal = true) {
-        const state = {
-            scene: this.scene ? this.scene.name : null,
-            gameObjects: this.gameObjects.map(obj => obj.toJSON ? obj.toJSON() : obj),
-            viewport: this.viewport,
-            timestamp: Date.now()
-        };
-        const saveData = JSON.stringify(state);
-
-        if (saveLocal) {
-            localStorage.setItem(`dmjs_save_${saveFileName}`, saveData);
-            alert(`Game saved locally as "${saveFileName}"`);
-        } else {
-            const blob = new Blob([saveData], { type: 'application/json' });
-            const url = URL.createObjectURL(blob);
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = `${saveFileName}.dmjs-save.json`;
-            document.body.appendChild(a);
-            a.click();
-            document.body.removeChild(a);
-            URL.revokeObjectURL(url);
+    async saveGame(slot = 'savegame', options = {}) {
+        const download = options === false;
+        try {
+            const meta = await window.saveManager.save(slot, download ? {} : options);
+            if (download) {
+                await window.saveManager.exportSlot(slot);
+            }
+            return meta;
+        } catch (error) {
+            console.error('Failed to save game:', error);
+            return null;
         }
     }
 
     /**
-     * Load a game state from localStorage or file
-     * @param {string|File} source - Save file name (local) or File object
-     * @returns {Promise<boolean>}
+     * Load a save slot or an exported save file into the running game
+     * @param {string|File} source - Slot name or File from SaveManager.exportSlot
+     * @returns {Promise<boolean>} True if the save was loaded
      */
     async loadGame(source) {
-        let saveData = null;
-        if (typeof source === 'string') {
-            saveData = localStorage.getItem(`dmjs_save_${source}`);
-        } else if (source instanceof File) {
-            saveData = await source.text();
-        }
-        if (!saveData) {
-            alert('Save file not found.');
-            return false;
-        }
         try {
-            const state = JSON.parse(saveData);
-            // Load scene by name if available
-            if (state.scene && window.editor && window.editor.scenes) {
-                const scene = window.editor.scenes.find(s => s.name === state.scene);
-                if (scene) this.loadScene(scene);
-            }
-            // Restore game objects
-            if (state.gameObjects) {
-                this.gameObjects = state.gameObjects.map(objData =>
-                    window.GameObject && window.GameObject.fromJSON
-                        ? window.GameObject.fromJSON(objData)
-                        : objData
-                );
-            }
-            // Restore viewport
-            if (state.viewport) {
-                Object.assign(this.viewport, state.viewport);
-            }
-            alert('Game loaded!');
+            let slot = source;
+            if (source instanceof File) {
+                slot = await window.saveManager.importSave(source);
+            } else if (!(await window.saveManager.hasSlot(slot))) {
+                // Saves written before save slots existed
+                const legacy = localStorage.getItem(`dmjs_save_${slot}`);
+                if (!legacy) {
+                    console.warn(`Save "${slot}" not found`);
+                    return false;
+                }
+                await window.saveManager.importSave(legacy, slot);
+                localStorage.removeItem(`dmjs_save_${slot}`);
+            }
+
+            await window.saveManager.load(slot);
             return true;
-        } catch (e) {
-            alert('Failed to load game: ' + e.message);
+        } catch (error) {
+            console.error('Failed to load game:', error);
             return false;
         }
     }
@@ -16,6 +16,9 @@ class ExportManager {
                 scalable: true
             },
             maxFPS: 60,
+            useFixedTimestep: false,
+            fixedTickRate: 60,
+            randomSeed: '', // Empty = new seed every run
             // Default dark theme colors
             loadingBg: '#000000ff',        // dark gray background
             spinnerColor: '#4F8EF7',     // blue accent
@@ -151,7 +154,9 @@ class ExportManager {
             modules: [],
             engineFiles: [],
             customScripts: [],
-            prefabs: {} // Add prefabs to export data
+            prefabs: {}, // Add prefabs to export data
+            inputActions: null, // Project Input Actions asset
+            projectName: project.name || 'game'
         };
 
         // Collect scenes
@@ -202,6 +207,19 @@ class ExportManager {
             }
         }
 
+        // Collect the project's Input Actions asset
+        const fileBrowser = window.editor?.fileBrowser || window.fileBrowser;
+        if (fileBrowser && window.InputActionsWindow) {
+            try {
+                const content = await fileBrowser.readFile(InputActionsWindow.defaultPath);
+                if (content) {
+                    data.inputActions = typeof content === 'string' ? JSON.parse(content) : content;
+                }
+            } catch (error) {
+                console.error('Error collecting input actions for export:', error);
+            }
+        }
+
         // Collect custom modules (after scenes are serialized)
         data.modules = this.collectModules(data);
 
@@ -248,6 +266,7 @@ class ExportManager {
         return {
             name: scene.name,
             settings: scene.settings,
+            layers: scene.layers ? scene.layers.map(layer => layer.toJSON()) : [],
             gameObjects: scene.gameObjects.map(obj => this.serializeGameObject(obj))
         };
     }
@@ -962,6 +981,8 @@ class ExportManager {
             // Core math and utilities
             'src/core/Math/Vector2.js',
             'src/core/Math/Vector3.js',
+            'src/core/Math/RandomService.js',
+            'src/core/Math/SpatialHash.js',
             'src/core/Math/CollisionSystem.js',
             'src/core/Math/Raycast.js',
             'src/core/Math/MatterMath.js',
@@ -984,7 +1005,17 @@ class ExportManager {
             'src/core/ModuleManager.js',
             'src/core/GameObject.js',
             'src/core/InputManager.js',
+            'src/core/SaveManager.js',
+            'src/core/ObjectPool.js',
+            'src/core/Profiler.js',
+            'src/core/NetworkSimulation.js',
+            'src/core/NetworkSnapshot.js',
+            'src/core/NetworkReplication.js',
+            'src/core/NetworkTransport.js',
+            'src/core/MultiplayerManager.js',
             'src/core/DecalChunk.js',
+            'src/core/SceneTransition.js',
+            'src/core/Layer.js',
             'src/core/Scene.js',
             'src/core/Engine.js',
 
@@ -1193,12 +1224,19 @@ class ExportManager {
             //'Asteroid': 'src/core/Modules/Asteroids/Asteroid.js',
             //'AsteroidManager': 'src/core/Modules/Asteroids/AsteroidManager.js',
 
+            // UI Modules
+            'InputSettingsMenu': 'src/core/Modules/UI/InputSettingsMenu.js',
+            'LobbyMenu': 'src/core/Modules/UI/LobbyMenu.js',
+            'Button': 'src/core/Modules/UI/Button.js', // LobbyMenu builds its rows from Buttons
+
             // Animation Modules
             'Tween': 'src/core/Modules/Animation/Tween.js',
             'Timer': 'src/core/Modules/Animation/Timer.js',
 
             // Effects Modules
             'ParticleSystem': 'src/core/Modules/Effects/ParticleSystem.js',
+            'FadeTransition': 'src/core/Modules/Effects/FadeTransition.js',
+            'WipeTransition': 'src/core/Modules/Effects/WipeTransition.js',
 
             // Lighting Modules
             /*'DarknessModule': 'src/core/Modules/Lighting/DarknessModule.js',
@@ -1517,34 +1555,27 @@ class ExportManager {
             modal.style.display = 'flex'; modal.style.alignItems = 'center'; modal.style.justifyContent = 'center';
             modal.style.zIndex = '2000';
 
-            // List local saves
-            let saves = [];
-            for (let i = 0; i < localStorage.length; i++) {
-                const key = localStorage.key(i);
-                if (key.startsWith('dmjs_save_')) {
-                    saves.push(key.replace('dmjs_save_', ''));
+            const startWithSave = (slot) => {
+                modal.remove();
+                document.getElementById('loading-screen').style.display = 'none';
+                if (window.engine && window.engine.running) {
+                    window.engine.loadGame(slot);
+                } else {
+                    // initializeGame loads it once the engine has started
+                    window.saveManager.pendingSlot = slot;
+                    document.getElementById('start-game-btn').click();
                 }
-            }
+            };
 
-            // Build options string
-            let optionsHtml = '';
-            if (saves.length) {
-                optionsHtml = saves.map(s => \`<option value="\${s}">\${s}</option>\`).join('');
-            } else {
-                optionsHtml = '<option>No saves found</option>';
-            }
+            const formatPlaytime = (seconds) => {
+                const minutes = Math.floor(seconds / 60);
+                return Math.floor(minutes / 60) + 'h ' + String(minutes % 60).padStart(2, '0') + 'm';
+            };
 
             modal.innerHTML = \`
-                <div style="background:#222;padding:32px;border-radius:16px;min-width:320px;max-width:90vw;">
+                <div style="background:#222;padding:32px;border-radius:16px;min-width:320px;max-width:90vw;max-height:90vh;overflow:auto;">
                     <h2 style="color:#fff;">Load Game</h2>
-                    <div>
-                        <label style="color:#fff;">Local Saves:</label>
-                        <select id="local-save-list" style="width:100%;margin-bottom:12px;">
-                            \${optionsHtml}
-                        </select>
-                        <button id="load-local-btn" style="margin-right:8px;">Load Selected</button>
-                        <button id="delete-local-btn" style="margin-right:8px;">Delete Selected</button>
-                    </div>
+                    <div id="save-slot-list" style="color:#aaa;margin-bottom:12px;">Loading saves...</div>
                     <hr style="margin:16px 0;">
                     <div>
                         <label style="color:#fff;">Import Save File:</label>
@@ -1557,33 +1588,56 @@ class ExportManager {
             \`;
             document.body.appendChild(modal);
 
-            // Load local
-            modal.querySelector('#load-local-btn').onclick = async () => {
-                const sel = modal.querySelector('#local-save-list').value;
-                if (window.engine && sel) {
-                    await window.engine.loadGame(sel);
-                    modal.remove();
-                    document.getElementById('loading-screen').style.display = 'none';
-                }
-            };
-            // Delete local
-            modal.querySelector('#delete-local-btn').onclick = () => {
-                const sel = modal.querySelector('#local-save-list').value;
-                if (sel && confirm('Delete save "' + sel + '"?')) {
-                    localStorage.removeItem('dmjs_save_' + sel);
-                    modal.remove();
-                    showLoadGameDialog();
+            // List save slots
+            window.saveManager.listSlots().then(slots => {
+                const list = modal.querySelector('#save-slot-list');
+                list.innerHTML = '';
+                if (!slots.length) {
+                    list.textContent = 'No saves found';
+                    return;
                 }
-            };
+                slots.forEach(meta => {
+                    const row = document.createElement('div');
+                    row.style.cssText = 'display:flex;align-items:center;gap:12px;margin-bottom:8px;color:#fff;';
+                    if (meta.thumbnail) {
+                        const img = document.createElement('img');
+                        img.src = meta.thumbnail;
+                        img.style.cssText = 'width:96px;border-radius:4px;';
+                        row.appendChild(img);
+                    }
+                    const info = document.createElement('div');
+                    info.style.flex = '1';
+                    info.textContent = meta.label + ' - ' + formatPlaytime(meta.playtime || 0) + ' - ' + new Date(meta.timestamp).toLocaleString();
+                    row.appendChild(info);
+
+                    const loadSlotBtn = document.createElement('button');
+                    loadSlotBtn.textContent = 'Load';
+                    loadSlotBtn.onclick = () => startWithSave(meta.slot);
+                    row.appendChild(loadSlotBtn);
+
+                    const deleteSlotBtn = document.createElement('button');
+                    deleteSlotBtn.textContent = 'Delete';
+                    deleteSlotBtn.onclick = async () => {
+                        await window.saveManager.deleteSlot(meta.slot);
+                        modal.remove();
+                        showLoadGameDialog();
+                    };
+                    row.appendChild(deleteSlotBtn);
+                    list.appendChild(row);
+                });
+            }).catch(error => {
+                console.error('Could not list saves:', error);
+                modal.querySelector('#save-slot-list').textContent = 'Saves are not available';
+            });
+
             // Import file
             modal.querySelector('#import-file-btn').onclick = async () => {
                 const fileInput = modal.querySelector('#import-save-file');
                 if (fileInput.files.length) {
-                    const file = fileInput.files[0];
-                    if (window.engine) {
-                        await window.engine.loadGame(file);
-                        modal.remove();
-                        document.getElementById('loading-screen').style.display = 'none';
+                    try {
+                        startWithSave(await window.saveManager.importSave(fileInput.files[0]));
+                    } catch (error) {
+                        console.error('Could not import save:', error);
                     }
                 }
             };
@@ -2193,6 +2247,12 @@ html {
         // Get the starting scene index from settings, default to 0
         const startingSceneIndex = settings.startingSceneIndex || 0;
         const maxFPS = settings.maxFPS !== undefined ? settings.maxFPS : 60;
+        const useFixedTimestep = !!settings.useFixedTimestep;
+        const fixedTickRate = settings.fixedTickRate || 60;
+        const randomSeed = JSON.stringify(RandomService.parseSeed(settings.randomSeed));
+        // Player rebinds are stored per game so exports don't share them
+        const bindingStorageKey = JSON.stringify(`darkmatter-input-bindings:${data.projectName || 'game'}`);
+        const saveNamespace = JSON.stringify(data.projectName || 'game');
 
 
         return `
@@ -2834,7 +2894,8 @@ async function initializeGame() {
         gameData = {
             scenes: ${this.safeStringify(data.scenes)},
             assets: ${settings.includeAssets ? this.safeStringify(data.assets) : 'null'},
-            prefabs: ${this.safeStringify(data.prefabs)}
+            prefabs: ${this.safeStringify(data.prefabs)},
+            inputActions: ${this.safeStringify(data.inputActions)}
         };
     } catch (error) {
         console.error('Error parsing game data:', error);
@@ -2893,6 +2954,21 @@ async function initializeGame() {
     }
     
     engine.updateFPSLimit(${maxFPS});
+    engine.setFixedTimestep(${useFixedTimestep}, ${fixedTickRate});
+    engine.setRandomSeed(${randomSeed});
+
+    // Save slots are kept per game
+    window.saveManager.namespace = ${saveNamespace};
+
+    // Project input actions, with the player's saved rebinds applied on top
+    if (window.input) {
+        window.input.bindingStorageKey = ${bindingStorageKey};
+        if (gameData.inputActions) {
+            window.input.loadActionMap(gameData.inputActions);
+        } else {
+            window.input.loadBindingOverrides();
+        }
+    }
     
     this.ctx = canvas.ctx;
     
@@ -3007,6 +3083,7 @@ async function initializeGame() {
     scenes.forEach(sceneData => {
         const scene = new Scene(sceneData.name);
         scene.settings = sceneData.settings;
+        scene.setLayers((sceneData.layers || []).map(layerData => Layer.fromJSON(layerData)));
         
         sceneData.gameObjects.forEach(objData => {
             const gameObject = createGameObjectFromData(objData);
@@ -3053,6 +3130,8 @@ async function initializeGame() {
         if (data.collisionEnabled !== undefined) obj.collisionEnabled = data.collisionEnabled;
         if (data.collisionLayer !== undefined) obj.collisionLayer = data.collisionLayer;
         if (data.collisionMask !== undefined) obj.collisionMask = data.collisionMask;
+        if (data.layerId !== undefined) obj.layerId = data.layerId;
+        if (data.dontDestroyOnLoad !== undefined) obj.dontDestroyOnLoad = data.dontDestroyOnLoad;
 
         // Add modules
         if (data.modules && data.modules.length > 0) {
@@ -3120,6 +3199,9 @@ async function initializeGame() {
         return obj;
     }
     
+    // Lets saves made in another scene switch to it
+    engine.scenes = loadedScenes;
+
     // Start the game with the selected starting scene
     if (loadedScenes.length > 0) {
         try {
@@ -3129,6 +3211,13 @@ async function initializeGame() {
             
             engine.loadScene(sceneToLoad);
             await engine.start();
+
+            // A save picked from the Load Game screen
+            if (window.saveManager.pendingSlot) {
+                const slot = window.saveManager.pendingSlot;
+                window.saveManager.pendingSlot = null;
+                await engine.loadGame(slot);
+            }
             loadingScreen.style.display = 'none';
             console.log('Game started successfully with scene:', sceneToLoad.name);
         } catch (error) {
@@ -3754,6 +3843,19 @@ document.addEventListener('DOMContentLoaded', function() {
                 <option value="0" ${this.exportSettings.maxFPS === 0 ? 'selected' : ''}>Unlimited</option>
             </select>
         </div>
+        <div class="export-group">
+            <label>Simulation Timestep:</label>
+            <select id="export-fixed-tick-rate">
+                <option value="0" ${!this.exportSettings.useFixedTimestep ? 'selected' : ''}>Variable (per frame)</option>
+                <option value="30" ${this.exportSettings.useFixedTimestep && this.exportSettings.fixedTickRate === 30 ? 'selected' : ''}>Fixed 30 Hz</option>
+                <option value="60" ${this.exportSettings.useFixedTimestep && this.exportSettings.fixedTickRate === 60 ? 'selected' : ''}>Fixed 60 Hz</option>
+                <option value="120" ${this.exportSettings.useFixedTimestep && this.exportSettings.fixedTickRate === 120 ? 'selected' : ''}>Fixed 120 Hz</option>
+            </select>
+        </div>
+        <div class="export-group">
+            <label>Random Seed:</label>
+            <input type="text" id="export-random-seed" value="${this.exportSettings.randomSeed || ''}" placeholder="New seed each run">
+        </div>
         <div class="export-group">
             <label>Rendering:</label>
             <select id="export-webgl">
@@ -3959,6 +4061,9 @@ document.addEventListener('DOMContentLoaded', function() {
                 spinnerColor: modal.querySelector('#export-spinner-color').value,
                 startingSceneIndex: parseInt(modal.querySelector('#export-starting-scene').value) || 0,
                 maxFPS: parseInt(modal.querySelector('#export-max-fps').value) || 60,
+                useFixedTimestep: parseInt(modal.querySelector('#export-fixed-tick-rate').value) > 0,
+                fixedTickRate: parseInt(modal.querySelector('#export-fixed-tick-rate').value) || 60,
+                randomSeed: modal.querySelector('#export-random-seed').value.trim(),
                 useWebGL: modal.querySelector('#export-webgl').value === 'true',
                 standalone: modal.querySelector('#export-format').value === 'standalone',
                 includeAssets: modal.querySelector('#export-include-assets').checked,
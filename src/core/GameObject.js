@@ -39,6 +39,8 @@ class GameObject {
         this.collisionEnabled = true;  // Flag to enable/disable collision
         this.collisionLayer = 0;       // Collision layer for filtering
         this.collisionMask = 0xFFFF;   // Collision mask for filtering
+        this.layerId = null;           // Scene layer (see Layer), null to use the parent's or the default layer
+        this.dontDestroyOnLoad = false; // Keep this root object (and its children) when Engine.changeScene switches scenes
 
         // Shadow/Glow properties
         this.drawShadow = false;        // Whether to draw shadow/glow effect
@@ -53,6 +55,18 @@ class GameObject {
 
         this.previousPosition = this.position.clone(); // For movement tracking
 
+        // Fixed timestep interpolation - state at the start and end of the last fixed tick
+        this.interpolate = true; // Blend rendering between fixed ticks when the engine uses a fixed timestep
+        this._prevTickPosition = null;
+        this._prevTickAngle = 0;
+        this._tickPosition = null;
+        this._tickAngle = 0;
+
+        // Prefab link (editor) - see PrefabManager
+        this.prefabSource = null;      // Path of the .prefab asset, set on the root of an instance
+        this.prefabNodeId = null;      // Id of the matching object inside the prefab asset
+        this.prefabOverrides = [];     // Property keys that differ from the prefab asset
+
         if (this.usePolygonCollision) {
             this.generatePolygonPoints();
         }
@@ -142,9 +156,14 @@ class GameObject {
 
         this.previousPosition = this.position.clone(); // For movement tracking
 
+        const profiler = window.profiler && window.profiler.isMeasuring() ? window.profiler : null;
         this.modules.forEach(module => {
             try {
-                if (module.enabled && module.beginLoop) module.beginLoop();
+                if (module.enabled && module.beginLoop) {
+                    const start = profiler ? performance.now() : 0;
+                    module.beginLoop();
+                    if (profiler) profiler.recordModule(module, 'beginLoop', performance.now() - start);
+                }
             } catch (error) {
                 console.error(`Error in module ${module.type || module.constructor.name} beginLoop on ${this.name}:`, error);
             }
@@ -168,9 +187,14 @@ class GameObject {
             this.polygon.update(worldPos, worldRot + this.polygonAngleOffset);
         }
 
+        const profiler = window.profiler && window.profiler.isMeasuring() ? window.profiler : null;
         this.modules.forEach(module => {
             try {
-                if (module.enabled && module.loop) module.loop(deltaTime);
+                if (module.enabled && module.loop) {
+                    const start = profiler ? performance.now() : 0;
+                    module.loop(deltaTime);
+                    if (profiler) profiler.recordModule(module, 'loop', performance.now() - start);
+                }
             } catch (error) {
                 console.error(`Error in module ${module.type || module.constructor.name} loop on ${this.name}:`, error);
             }
@@ -178,11 +202,80 @@ class GameObject {
         this.children.forEach(child => child.loop(deltaTime));
     }
 
+    /**
+     * Called at a constant rate when the engine runs a fixed timestep
+     * @param {number} deltaTime - Fixed tick length in seconds
+     */
+    fixedLoop(deltaTime) {
+        if (!this.active) return;
+
+        this._prevTickPosition = this.position.clone();
+        this._prevTickAngle = this.angle;
+
+        const profiler = window.profiler && window.profiler.isMeasuring() ? window.profiler : null;
+        this.modules.forEach(module => {
+            try {
+                if (module.enabled && module.fixedLoop) {
+                    const start = profiler ? performance.now() : 0;
+                    module.fixedLoop(deltaTime);
+                    if (profiler) profiler.recordModule(module, 'fixedLoop', performance.now() - start);
+                }
+            } catch (error) {
+                console.error(`Error in module ${module.type || module.constructor.name} fixedLoop on ${this.name}:`, error);
+            }
+        });
+        this.children.forEach(child => child.fixedLoop(deltaTime));
+
+        this._tickPosition = this.position.clone();
+        this._tickAngle = this.angle;
+    }
+
+    /**
+     * Get the render offset that blends the last fixed tick back towards the previous one.
+     * Includes the offsets of all parents so children follow their interpolated parent.
+     * @returns {{x: number, y: number, angle: number}} Offset to add to the world transform
+     */
+    getInterpolationOffset() {
+        const offset = this.parent && this.parent.getInterpolationOffset
+            ? this.parent.getInterpolationOffset()
+            : { x: 0, y: 0, angle: 0 };
+
+        const engine = this.engine || window.engine;
+        if (!this.interpolate || !engine || !engine.useFixedTimestep || !this._prevTickPosition || !this._tickPosition) {
+            return offset;
+        }
+
+        const t = 1 - engine.interpolationAlpha;
+        offset.x += (this._prevTickPosition.x - this._tickPosition.x) * t;
+        offset.y += (this._prevTickPosition.y - this._tickPosition.y) * t;
+
+        // Take the shortest way around so 359 -> 1 doesn't spin backwards
+        let angleDelta = this._prevTickAngle - this._tickAngle;
+        while (angleDelta > 180) angleDelta -= 360;
+        while (angleDelta < -180) angleDelta += 360;
+        offset.angle += angleDelta * t;
+
+        return offset;
+    }
+
+    /**
+     * Skip interpolation for the current tick, e.g. after teleporting the object
+     */
+    resetInterpolation() {
+        this._prevTickPosition = null;
+        this._tickPosition = null;
+    }
+
     endLoop() {
         if (!this.active) return;
+        const profiler = window.profiler && window.profiler.isMeasuring() ? window.profiler : null;
         this.modules.forEach(module => {
             try {
-                if (module.enabled && module.endLoop) module.endLoop();
+                if (module.enabled && module.endLoop) {
+                    const start = profiler ? performance.now() : 0;
+                    module.endLoop();
+                    if (profiler) profiler.recordModule(module, 'endLoop', performance.now() - start);
+                }
             } catch (error) {
                 console.error(`Error in module ${module.type || module.constructor.name} endLoop on ${this.name}:`, error);
             }
@@ -207,11 +300,14 @@ class GameObject {
             this.updatePixiDisplayObject();
 
             // Draw modules that support Pixi rendering
+            const profiler = window.profiler && window.profiler.isMeasuring() ? window.profiler : null;
             for (const module of this.modules) {
                 if (module.enabled && typeof module.draw === 'function') {
                     try {
                         // If module supports Pixi, pass pixiDisplayObject or pixiRenderer
+                        const start = profiler ? performance.now() : 0;
                         module.draw(ctx, this.pixiDisplayObject);
+                        if (profiler) profiler.recordModule(module, 'draw', performance.now() - start);
                     } catch (error) {
                         console.error(`Error in module ${module.type || module.constructor.name} draw (Pixi) on ${this.name}:`, error);
                     }
@@ -230,15 +326,16 @@ class GameObject {
 
         ctx.save();
 
-        // Apply local transform
+        // Apply local transform, blended between fixed ticks when the engine uses a fixed timestep
+        const interpolation = this.getInterpolationOffset();
         const worldPos = this.getWorldPosition();
-        const worldAngle = this.getWorldRotation();
+        const worldAngle = this.getWorldRotation() + interpolation.angle;
         const worldScale = this.getWorldScale();
 
         // CRITICAL FIX: Round position to whole pixels for pixel-perfect rendering
         // This prevents sub-pixel positioning which causes anti-aliasing and size inconsistencies
-        const pixelPerfectX = Math.round(worldPos.x);
-        const pixelPerfectY = Math.round(worldPos.y);
+        const pixelPerfectX = Math.round(worldPos.x + interpolation.x);
+        const pixelPerfectY = Math.round(worldPos.y + interpolation.y);
 
         ctx.translate(pixelPerfectX, pixelPerfectY);
         ctx.rotate(worldAngle * Math.PI / 180);
@@ -258,9 +355,11 @@ class GameObject {
         }
 
         // Draw modules (with shadow effect applied if enabled)
+        const profiler = window.profiler && window.profiler.isMeasuring() ? window.profiler : null;
         for (const module of this.modules) {
             if (module.enabled && typeof module.draw === 'function') {
                 try {
+                    const start = profiler ? performance.now() : 0;
                     if (module.ignoreGameObjectTransform) {
                         ctx.restore(); // Remove transform
                         
@@ -290,6 +389,7 @@ class GameObject {
                     } else {
                         module.draw(ctx);
                     }
+                    if (profiler) profiler.recordModule(module, 'draw', performance.now() - start);
                     moduleDidDraw = true;
                 } catch (error) {
                     console.error(`Error in module ${module.type || module.constructor.name} draw on ${this.name}:`, error);
@@ -560,6 +660,12 @@ class GameObject {
     }
 
     destroy() {
+        // Pooled objects go back to their pool (Engine.removeDynamicObject) instead
+        if (this._poolKey !== undefined && window.engine && window.engine.running) {
+            window.engine.removeDynamicObject(this);
+            return;
+        }
+
         this.onDestroy();
         // Additional cleanup logic (if any) goes here
     }
@@ -615,6 +721,11 @@ class GameObject {
             return false;
         }
 
+        // Skip collision check if the scene layers don't collide
+        if (!this.layerCollidesWith(other)) {
+            return false;
+        }
+
         // Get bounding boxes
         const thisBox = this.getBoundingBox();
         const otherBox = other.getBoundingBox();
@@ -648,28 +759,13 @@ class GameObject {
             //console.log(`[DEBUG] Layer mismatch`);
             return false;
         }
+        if (!this.layerCollidesWith(other)) {
+            return false;
+        }
 
-        const worldPos = this.getWorldPosition();
-        const worldScale = this.getWorldScale();
-        const worldAngle = this.getWorldRotation();
-
-        // Calculate the effective width and height
-        const effectiveWidth = this.size.x * worldScale.x;  // Changed from this.width
-        const effectiveHeight = this.size.y * worldScale.y;  // Changed from this.height
-
-        // For rotated objects, return an oriented bounding box (centered)
-        const thisBox = {
-            x: worldPos.x,
-            y: worldPos.y,
-            width: effectiveWidth,
-            height: effectiveHeight,
-            left: worldPos.x - effectiveWidth / 2,
-            top: worldPos.y - effectiveHeight / 2,
-            right: worldPos.x + effectiveWidth / 2,
-            bottom: worldPos.y + effectiveHeight / 2,
-            rotation: 0
-        };
-        const otherBox = other.getBoundingBox();
+        // The same bounds the spatial hash indexes objects by, so broad and narrow phase agree
+        const thisBox = this.getCollisionBounds();
+        const otherBox = other.getCollisionBounds();
         //console.log(`[DEBUG] this edges: L=${thisLeft}, R=${thisRight}, T=${thisTop}, B=${thisBottom}`);
 
         return (
@@ -698,8 +794,8 @@ class GameObject {
 
     /**
      * Set collision layer and mask
-     * @param {number} layer - The collision layer this object belongs to
-     * @param {number} mask - Bitmask of layers this object should collide with
+     * @param {number} layer - The collision layer this object belongs to (0-15)
+     * @param {number} mask - Bitmask of layers this object should collide with (bit n = layer n)
      */
     setCollision(layer, mask = 0xFFFF) {
         this.collisionLayer = layer;
@@ -714,6 +810,117 @@ class GameObject {
         this.collisionEnabled = enabled;
     }
 
+    /**
+     * Check the layer/mask filter against another GameObject.
+     * Both objects' masks must include the other's layer.
+     * @param {GameObject} other - The other GameObject
+     * @returns {boolean} True if the two objects are allowed to collide
+     */
+    canCollideWith(other) {
+        const layerBit = 1 << (this.collisionLayer || 0);
+        const otherLayerBit = 1 << (other.collisionLayer || 0);
+        return (this.collisionMask & otherLayerBit) !== 0 && (other.collisionMask & layerBit) !== 0 &&
+            this.layerCollidesWith(other);
+    }
+
+    /**
+     * The scene layer this object is drawn on (Scene.getLayerOf)
+     * @returns {Layer|null} The layer, or null when the object isn't in a scene with layers
+     */
+    getLayer() {
+        const engine = this.engine || window.engine;
+        const scene = engine ? engine.scene : null;
+        return scene && scene.getLayerOf ? scene.getLayerOf(this) : null;
+    }
+
+    /**
+     * Check the collision masks of this object's and the other object's scene layers
+     * @param {GameObject} other - The other GameObject
+     * @returns {boolean} True if the two layers collide
+     */
+    layerCollidesWith(other) {
+        const engine = this.engine || window.engine;
+        const scene = engine ? engine.scene : null;
+        if (!scene || !scene.layersCollide) return true;
+        return scene.layersCollide(scene.getLayerOf(this), scene.getLayerOf(other));
+    }
+
+    /**
+     * Whether the CollisionSystem should test this object. Objects take part when
+     * they use collisions, polygon collision or have an enabled Collider module.
+     * @returns {boolean} True if the object takes part in collision events
+     */
+    hasCollisionShape() {
+        if (!this.collisionEnabled) return false;
+        if (this.useCollisions || (this.usePolygonCollision && this.polygon)) return true;
+        const collider = this.getModule('Collider');
+        return !!(collider && collider.enabled);
+    }
+
+    /**
+     * Get the collision shape in world space. A Collider module takes priority,
+     * then the collision polygon, then the rotated size box.
+     * @returns {Object} {type: "circle", center, radius} or {type: "polygon", vertices}
+     */
+    getCollisionShape() {
+        const collider = this.getModule('Collider');
+        if (collider && collider.enabled && typeof collider.getCollisionShape === 'function') {
+            return collider.getCollisionShape();
+        }
+
+        const worldPos = this.getWorldPosition();
+        const worldAngle = this.getWorldRotation();
+
+        if (this.usePolygonCollision && this.polygon && this.polygon.originalVertices.length >= 3) {
+            const angle = (worldAngle + (this.polygonAngleOffset || 0)) * Math.PI / 180;
+            return {
+                type: "polygon",
+                vertices: this.polygon.originalVertices.map(v => v.rotate(angle).add(worldPos))
+            };
+        }
+
+        const worldScale = this.getWorldScale();
+        const halfWidth = Math.abs(this.size.x * worldScale.x) / 2;
+        const halfHeight = Math.abs(this.size.y * worldScale.y) / 2;
+        const angle = worldAngle * Math.PI / 180;
+        return {
+            type: "polygon",
+            vertices: [
+                new Vector2(-halfWidth, -halfHeight),
+                new Vector2(halfWidth, -halfHeight),
+                new Vector2(halfWidth, halfHeight),
+                new Vector2(-halfWidth, halfHeight)
+            ].map(corner => corner.rotate(angle).add(worldPos))
+        };
+    }
+
+    /**
+     * Get the axis-aligned bounds of the collision shape, used by the broad-phase
+     * @returns {Object} Bounds {left, top, right, bottom}
+     */
+    getCollisionBounds() {
+        if (!this.hasCollisionShape()) return this.getBoundingBox();
+
+        const shape = this.getCollisionShape();
+        if (shape.type === "circle") {
+            return {
+                left: shape.center.x - shape.radius,
+                top: shape.center.y - shape.radius,
+                right: shape.center.x + shape.radius,
+                bottom: shape.center.y + shape.radius
+            };
+        }
+
+        const bounds = { left: Infinity, top: Infinity, right: -Infinity, bottom: -Infinity };
+        shape.vertices.forEach(v => {
+            bounds.left = Math.min(bounds.left, v.x);
+            bounds.top = Math.min(bounds.top, v.y);
+            bounds.right = Math.max(bounds.right, v.x);
+            bounds.bottom = Math.max(bounds.bottom, v.y);
+        });
+        return bounds;
+    }
+
     /**
      * Check if a point (x, y) is inside the collider bounds of this GameObject
      * @param {number} x - The x-coordinate of the point (in world space)
@@ -1281,6 +1488,7 @@ class GameObject {
             angle: this.angle,
             depth: this.depth,
             depthToY: this.depthToY,
+            interpolate: this.interpolate,
             active: this.active,
             editorColor: this.editorColor,
             visible: this.visible,
@@ -1288,6 +1496,8 @@ class GameObject {
             collisionEnabled: this.collisionEnabled,
             collisionLayer: this.collisionLayer,
             collisionMask: this.collisionMask,
+            layerId: this.layerId,
+            dontDestroyOnLoad: this.dontDestroyOnLoad,
             drawShadow: this.drawShadow,
             shadowColor: this.shadowColor,
             shadowBlur: this.shadowBlur,
@@ -1298,7 +1508,12 @@ class GameObject {
                 id: module.id,
                 data: module.toJSON ? module.toJSON() : {}
             })),
-            children: this.children.map(child => child.toJSON())
+            children: this.children.map(child => child.toJSON()),
+            ...(this.prefabNodeId ? {
+                prefabSource: this.prefabSource || undefined,
+                prefabNodeId: this.prefabNodeId,
+                prefabOverrides: [...this.prefabOverrides]
+            } : {})
         };
     }
 
@@ -1338,6 +1553,7 @@ class GameObject {
         obj.angle = json.angle;
         obj.depth = json.depth;
         obj.depthToY = json.depthToY;
+        if (json.interpolate !== undefined) obj.interpolate = json.interpolate;
         obj.active = json.active;
         if (json.visible !== undefined) obj.visible = json.visible;
         obj.tags = Array.isArray(json.tags) ? [...json.tags] : [];
@@ -1345,6 +1561,8 @@ class GameObject {
         if (json.collisionEnabled !== undefined) obj.collisionEnabled = json.collisionEnabled;
         if (json.collisionLayer !== undefined) obj.collisionLayer = json.collisionLayer;
         if (json.collisionMask !== undefined) obj.collisionMask = json.collisionMask;
+        if (json.layerId !== undefined) obj.layerId = json.layerId;
+        if (json.dontDestroyOnLoad !== undefined) obj.dontDestroyOnLoad = json.dontDestroyOnLoad;
 
         // Restore shadow properties
         if (json.drawShadow !== undefined) obj.drawShadow = json.drawShadow;
@@ -1353,6 +1571,13 @@ class GameObject {
         if (json.shadowOffsetX !== undefined) obj.shadowOffsetX = json.shadowOffsetX;
         if (json.shadowOffsetY !== undefined) obj.shadowOffsetY = json.shadowOffsetY;
 
+        // Restore the prefab link
+        if (json.prefabNodeId) {
+            obj.prefabSource = json.prefabSource || null;
+            obj.prefabNodeId = json.prefabNodeId;
+            obj.prefabOverrides = Array.isArray(json.prefabOverrides) ? [...json.prefabOverrides] : [];
+        }
+
         // Add modules - with improved module class lookup
         if (json.modules && Array.isArray(json.modules)) {
             json.modules.forEach(moduleData => {
@@ -1768,6 +1993,7 @@ class GameObject {
         cloned.angle = this.angle;
         cloned.depth = this.depth;
         cloned.depthToY = this.depthToY;
+        cloned.interpolate = this.interpolate;
         cloned.active = this.active;
         cloned.visible = this.visible;
         cloned.editorColor = this.editorColor;
@@ -1777,6 +2003,8 @@ class GameObject {
         cloned.collisionEnabled = this.collisionEnabled;
         cloned.collisionLayer = this.collisionLayer;
         cloned.collisionMask = this.collisionMask;
+        cloned.layerId = this.layerId;
+        cloned.dontDestroyOnLoad = this.dontDestroyOnLoad;
         cloned.colliderWidth = this.colliderWidth;
         cloned.colliderHeight = this.colliderHeight;
         
@@ -1798,6 +2026,11 @@ class GameObject {
         
         // Copy tags
         cloned.tags = [...this.tags];
+
+        // Copies stay linked to the same prefab
+        cloned.prefabSource = this.prefabSource;
+        cloned.prefabNodeId = this.prefabNodeId;
+        cloned.prefabOverrides = [...this.prefabOverrides];
         
         // CRITICAL: Clone modules using the LIVE module instances and current class definitions
         this.modules.forEach(sourceModule => {
@@ -50,6 +50,30 @@ class InputManager {
         // Flag to indicate if input is enabled
         this.enabled = true;
 
+        // Replay recording and playback (see startRecording / startPlayback)
+        this.recording = null;          // Replay currently being recorded
+        this.lastReplay = null;         // Most recently finished recording
+        this.playback = null;           // Replay currently being played back
+        this.playbackOptions = {};      // Options passed to startPlayback
+        this.playbackFrame = 0;         // Index of the next frame to play
+        this.playbackDeltaTime = 0;     // Recorded deltaTime of the frame being played
+        this._timestepBeforePlayback = null;
+
+        // Gamepad state, polled once per frame in beginFrame
+        this.gamepads = {};             // index -> { index, id, mapping, buttons, previousButtons, values, axes }
+        this.gamepadDeadzone = 0.15;    // Stick/axis values below this magnitude read as 0
+        this.gamepadListeners = { connected: [], disconnected: [] };
+
+        // Named actions (see defineAction)
+        this.actions = {};              // name -> { bindings: Array<Object> }
+        this.actionStates = {};         // name -> { value, down, pressed, released }
+        this.actionThreshold = 0.5;     // Magnitude at which an analog action counts as down
+        this.virtualSticks = {};        // name -> Vector2, latched at the start of each frame
+        this._pendingSticks = {};       // Values set by on-screen joysticks since the last frame
+        this.projectActions = null;     // Action map loaded from the project's Input Actions asset
+        this.bindingStorageKey = 'darkmatter-input-bindings'; // localStorage key for player rebinds
+        this._bindingCapture = null;    // Pending listenForBinding request
+
         // Bind event handlers to preserve 'this' context
         this._handleKeyDown = this._handleKeyDown.bind(this);
         this._handleKeyUp = this._handleKeyUp.bind(this);
@@ -60,6 +84,10 @@ class InputManager {
         this._handleTouchStart = this._handleTouchStart.bind(this);
         this._handleTouchMove = this._handleTouchMove.bind(this);
         this._handleTouchEnd = this._handleTouchEnd.bind(this);
+        this._handleGamepadConnected = this._handleGamepadConnected.bind(this);
+        this._handleGamepadDisconnected = this._handleGamepadDisconnected.bind(this);
+
+        this.resetActions();
 
         // Initialize
         this.initialize();
@@ -88,6 +116,10 @@ class InputManager {
         this.targetElement.addEventListener('touchend', this._handleTouchEnd);
         this.targetElement.addEventListener('touchcancel', this._handleTouchEnd);
 
+        // Gamepad hot-plug events
+        window.addEventListener('gamepadconnected', this._handleGamepadConnected);
+        window.addEventListener('gamepaddisconnected', this._handleGamepadDisconnected);
+
         /*window.addEventListener('mousedown', this._handleMouseDown);
         window.addEventListener('mouseup', this._handleMouseUp);
         window.addEventListener('mousemove', this._handleMouseMove);
@@ -109,8 +141,20 @@ class InputManager {
 
     /**
      * Update input states (called at the beginning of each frame)
+     * @param {number} [deltaTime=0] - Frame time in seconds, stored when recording
      */
-    beginFrame() {
+    beginFrame(deltaTime = 0) {
+        if (this._bindingCapture) {
+            this._checkBindingCapture();
+        }
+
+        // During playback the recorded state replaces DOM input entirely
+        if (this.playback) {
+            this._playNextFrame();
+            this._updateActions();
+            return;
+        }
+
         // Copy keysDown to keysPressed before resetting (for keyPressed checks)
         //this.keysPressed = Object.assign({}, this.keysDown);
         this.keysPressedLastFrame = Object.assign({}, this.keysDown);
@@ -124,6 +168,16 @@ class InputManager {
         this.mouseMoveThisFrame = false;
         this.touchesStarted = {};
         this.touchesEnded = {};
+
+        if (this.enabled) {
+            this._pollGamepads();
+        }
+        this.virtualSticks = Object.assign({}, this._pendingSticks);
+        this._updateActions();
+
+        if (this.recording) {
+            this._recordFrame(deltaTime);
+        }
     }
 
     /**
@@ -266,7 +320,7 @@ class InputManager {
      * @private
      */
     _handleKeyDown(e) {
-        if (!this.enabled) return;
+        if (!this.enabled || this.playback) return;
 
         const key = e.key.toLowerCase();
 
@@ -282,7 +336,7 @@ class InputManager {
      * @private
      */
     _handleKeyUp(e) {
-        if (!this.enabled) return;
+        if (!this.enabled || this.playback) return;
 
         const key = e.key.toLowerCase();
         this.keys[key] = false;
@@ -378,7 +432,7 @@ class InputManager {
      * @private
      */
     _handleMouseMove(e) {
-        if (!this.enabled) return;
+        if (!this.enabled || this.playback) return;
 
         this._updateMousePosition(e);
         this.mouseMoveThisFrame = true;
@@ -389,7 +443,7 @@ class InputManager {
      * @private
      */
     _handleMouseDown(e) {
-        if (!this.enabled) return;
+        if (!this.enabled || this.playback) return;
 
         // Update mouse position first
         this._updateMousePosition(e);
@@ -417,7 +471,7 @@ class InputManager {
      * @private
      */
     _handleMouseUp(e) {
-        if (!this.enabled) return;
+        if (!this.enabled || this.playback) return;
 
         switch (e.button) {
             case 0: // Left
@@ -440,7 +494,7 @@ class InputManager {
      * @private
      */
     _handleWheel(e) {
-        if (!this.enabled) return;
+        if (!this.enabled || this.playback) return;
 
         this.mouseWheel = Math.sign(e.deltaY); // 1 for scroll down, -1 for scroll up
     }
@@ -454,7 +508,7 @@ class InputManager {
      * @private
      */
     _handleTouchStart(e) {
-        if (!this.enabled) return;
+        if (!this.enabled || this.playback) return;
 
         // Prevent default to avoid scrolling and other touch behaviors
         e.preventDefault();
@@ -523,7 +577,7 @@ class InputManager {
      * @private
      */
     _handleTouchMove(e) {
-        if (!this.enabled) return;
+        if (!this.enabled || this.playback) return;
 
         // Prevent default to avoid scrolling
         e.preventDefault();
@@ -592,7 +646,7 @@ class InputManager {
      * @private
      */
     _handleTouchEnd(e) {
-        if (!this.enabled) return;
+        if (!this.enabled || this.playback) return;
 
         // Prevent default to avoid ghost clicks
         e.preventDefault();
@@ -766,6 +820,1271 @@ class InputManager {
         return null;
     }
 
+    // ---------------------
+    // Gamepad Input Methods
+    // ---------------------
+
+    /**
+     * Get every connected gamepad
+     * @returns {Array<Object>} Gamepad states ({ index, id, mapping, buttons, values, axes })
+     */
+    getGamepads() {
+        return Object.values(this.gamepads);
+    }
+
+    /**
+     * Get a connected gamepad by index
+     * @param {number} [index=0] - Gamepad index
+     * @returns {Object|null} The gamepad state, or null if not connected
+     */
+    getGamepad(index = 0) {
+        return this.gamepads[index] || null;
+    }
+
+    /**
+     * Get the number of connected gamepads
+     * @returns {number} Number of gamepads
+     */
+    getGamepadCount() {
+        return Object.keys(this.gamepads).length;
+    }
+
+    /**
+     * Check if a gamepad button is currently down
+     * @param {string|number} button - Button name from InputManager.gamepad ('a', 'dpadup'...) or index
+     * @param {number|null} [index=null] - Gamepad index, or null for any gamepad
+     * @returns {boolean} True if the button is down
+     */
+    gamepadButtonDown(button, index = null) {
+        const b = this._gamepadButtonIndex(button);
+        return this._gamepadsFor(index).some(pad => pad.buttons[b] === true);
+    }
+
+    /**
+     * Check if a gamepad button was pressed this frame
+     * @param {string|number} button - Button name or index
+     * @param {number|null} [index=null] - Gamepad index, or null for any gamepad
+     * @returns {boolean} True if the button went down this frame
+     */
+    gamepadButtonPressed(button, index = null) {
+        const b = this._gamepadButtonIndex(button);
+        return this._gamepadsFor(index).some(pad => pad.buttons[b] === true && pad.previousButtons[b] !== true);
+    }
+
+    /**
+     * Check if a gamepad button was released this frame
+     * @param {string|number} button - Button name or index
+     * @param {number|null} [index=null] - Gamepad index, or null for any gamepad
+     * @returns {boolean} True if the button went up this frame
+     */
+    gamepadButtonReleased(button, index = null) {
+        const b = this._gamepadButtonIndex(button);
+        return this._gamepadsFor(index).some(pad => pad.buttons[b] !== true && pad.previousButtons[b] === true);
+    }
+
+    /**
+     * Get the analog value of a gamepad button (triggers report partial presses)
+     * @param {string|number} button - Button name or index
+     * @param {number|null} [index=null] - Gamepad index, or null for the highest value of any gamepad
+     * @returns {number} Value from 0 to 1
+     */
+    getGamepadButtonValue(button, index = null) {
+        const b = this._gamepadButtonIndex(button);
+        let value = 0;
+        for (const pad of this._gamepadsFor(index)) {
+            value = Math.max(value, pad.values[b] || 0);
+        }
+        return value;
+    }
+
+    /**
+     * Get a gamepad axis with the deadzone applied
+     * @param {number} axis - Axis index (standard mapping: 0/1 left stick, 2/3 right stick)
+     * @param {number|null} [index=null] - Gamepad index, or null for the largest deflection of any gamepad
+     * @param {number} [deadzone] - Deadzone (defaults to gamepadDeadzone)
+     * @returns {number} Value from -1 to 1
+     */
+    getGamepadAxis(axis, index = null, deadzone = this.gamepadDeadzone) {
+        let value = 0;
+        for (const pad of this._gamepadsFor(index)) {
+            const padValue = this._applyDeadzone(pad.axes[axis] || 0, deadzone);
+            if (Math.abs(padValue) > Math.abs(value)) value = padValue;
+        }
+        return value;
+    }
+
+    /**
+     * Get a stick as a vector, using a radial deadzone so diagonals stay smooth
+     * @param {string} [stick='left'] - 'left' or 'right'
+     * @param {number|null} [index=null] - Gamepad index, or null for the largest deflection of any gamepad
+     * @param {number} [deadzone] - Deadzone (defaults to gamepadDeadzone)
+     * @returns {Vector2} Stick direction with a length from 0 to 1
+     */
+    getGamepadStick(stick = 'left', index = null, deadzone = this.gamepadDeadzone) {
+        const axis = stick === 'right' ? 2 : 0;
+        let best = new Vector2(0, 0);
+        let bestLength = 0;
+
+        for (const pad of this._gamepadsFor(index)) {
+            const x = pad.axes[axis] || 0;
+            const y = pad.axes[axis + 1] || 0;
+            const length = Math.sqrt(x * x + y * y);
+            if (length <= deadzone || length <= bestLength) continue;
+
+            const scaled = Math.min(1, (length - deadzone) / (1 - deadzone));
+            best = new Vector2(x / length * scaled, y / length * scaled);
+            bestLength = length;
+        }
+        return best;
+    }
+
+    /**
+     * Get how far a trigger is pulled
+     * @param {string} [trigger='right'] - 'left' or 'right'
+     * @param {number|null} [index=null] - Gamepad index, or null for any gamepad
+     * @returns {number} Value from 0 to 1
+     */
+    getGamepadTrigger(trigger = 'right', index = null) {
+        return this.getGamepadButtonValue(trigger === 'left' ? 'lefttrigger' : 'righttrigger', index);
+    }
+
+    /**
+     * Rumble a gamepad, where the browser and controller support it
+     * @param {number} [index=0] - Gamepad index
+     * @param {number} [strong=1] - Strong (low frequency) motor magnitude, 0 to 1
+     * @param {number} [weak] - Weak (high frequency) motor magnitude, 0 to 1 (defaults to strong)
+     * @param {number} [duration=200] - Duration in milliseconds
+     * @returns {Promise<boolean>} Resolves when the effect ends; false if rumble isn't supported
+     */
+    async rumble(index = 0, strong = 1, weak = strong, duration = 200) {
+        const pad = this._getNativeGamepad(index);
+        if (!pad) return false;
+
+        const clamp = value => Math.max(0, Math.min(1, value));
+        try {
+            if (pad.vibrationActuator && typeof pad.vibrationActuator.playEffect === 'function') {
+                await pad.vibrationActuator.playEffect('dual-rumble', {
+                    startDelay: 0,
+                    duration: duration,
+                    strongMagnitude: clamp(strong),
+                    weakMagnitude: clamp(weak)
+                });
+                return true;
+            }
+            // Older Firefox builds only expose hapticActuators
+            const haptic = pad.hapticActuators && pad.hapticActuators[0];
+            if (haptic && typeof haptic.pulse === 'function') {
+                await haptic.pulse(clamp(Math.max(strong, weak)), duration);
+                return true;
+            }
+        } catch (error) {
+            console.warn('Gamepad rumble failed:', error);
+        }
+        return false;
+    }
+
+    /**
+     * Stop any rumble effect playing on a gamepad
+     * @param {number} [index=0] - Gamepad index
+     */
+    stopRumble(index = 0) {
+        const pad = this._getNativeGamepad(index);
+        if (pad && pad.vibrationActuator && typeof pad.vibrationActuator.reset === 'function') {
+            pad.vibrationActuator.reset();
+        }
+    }
+
+    /**
+     * Call a function whenever a gamepad is connected
+     * @param {Function} callback - Called with the gamepad state
+     * @returns {Function} Call to remove the listener
+     */
+    onGamepadConnected(callback) {
+        return this._addGamepadListener('connected', callback);
+    }
+
+    /**
+     * Call a function whenever a gamepad is disconnected
+     * @param {Function} callback - Called with the gamepad state
+     * @returns {Function} Call to remove the listener
+     */
+    onGamepadDisconnected(callback) {
+        return this._addGamepadListener('disconnected', callback);
+    }
+
+    /**
+     * @private
+     */
+    _addGamepadListener(type, callback) {
+        this.gamepadListeners[type].push(callback);
+        return () => {
+            const index = this.gamepadListeners[type].indexOf(callback);
+            if (index > -1) this.gamepadListeners[type].splice(index, 1);
+        };
+    }
+
+    /**
+     * @private
+     */
+    _emitGamepadEvent(type, pad) {
+        for (const callback of this.gamepadListeners[type].slice()) {
+            try {
+                callback(pad);
+            } catch (error) {
+                console.error(`Error in gamepad ${type} listener:`, error);
+            }
+        }
+    }
+
+    /**
+     * Get the browser's Gamepad object for an index
+     * @private
+     */
+    _getNativeGamepad(index) {
+        if (typeof navigator === 'undefined' || typeof navigator.getGamepads !== 'function') return null;
+        return navigator.getGamepads()[index] || null;
+    }
+
+    /**
+     * Gamepads to read for an index argument (null means all of them)
+     * @private
+     */
+    _gamepadsFor(index) {
+        if (index === null || index === undefined) return Object.values(this.gamepads);
+        return this.gamepads[index] ? [this.gamepads[index]] : [];
+    }
+
+    /**
+     * Resolve a button name to its standard mapping index
+     * @private
+     */
+    _gamepadButtonIndex(button) {
+        if (typeof button === 'number') return button;
+        const index = InputManager.gamepad[String(button).toLowerCase()];
+        return index !== undefined ? index : Number(button);
+    }
+
+    /**
+     * Zero out small values and rescale the rest back to the full 0-1 range
+     * @private
+     */
+    _applyDeadzone(value, deadzone) {
+        const magnitude = Math.abs(value);
+        if (magnitude <= deadzone) return 0;
+        return Math.sign(value) * Math.min(1, (magnitude - deadzone) / (1 - deadzone));
+    }
+
+    /**
+     * Start tracking a gamepad and notify listeners
+     * @private
+     */
+    _addGamepad(pad) {
+        const state = {
+            index: pad.index,
+            id: pad.id,
+            mapping: pad.mapping,
+            buttons: [],            // Pressed flags this frame
+            previousButtons: [],    // Pressed flags last frame
+            values: [],             // Analog button values (0-1)
+            axes: []                // Raw axis values (-1 to 1)
+        };
+        this.gamepads[pad.index] = state;
+        console.log(`Gamepad connected: ${pad.id} (index ${pad.index})`);
+        this._emitGamepadEvent('connected', state);
+        return state;
+    }
+
+    /**
+     * Stop tracking a gamepad and notify listeners
+     * @private
+     */
+    _removeGamepad(index) {
+        const state = this.gamepads[index];
+        if (!state) return;
+
+        delete this.gamepads[index];
+        console.log(`Gamepad disconnected: ${state.id} (index ${index})`);
+        this._emitGamepadEvent('disconnected', state);
+    }
+
+    /**
+     * Read the current state of every connected gamepad. Some browsers only report
+     * a pad after its first button press, so new pads are also picked up here.
+     * @private
+     */
+    _pollGamepads() {
+        if (typeof navigator === 'undefined' || typeof navigator.getGamepads !== 'function') return;
+
+        const seen = {};
+        for (const pad of navigator.getGamepads()) {
+            if (!pad || !pad.connected) continue;
+            seen[pad.index] = true;
+
+            const state = this.gamepads[pad.index] || this._addGamepad(pad);
+            state.previousButtons = state.buttons;
+            state.buttons = pad.buttons.map(button => button.pressed);
+            state.values = pad.buttons.map(button => button.value);
+            state.axes = Array.from(pad.axes);
+        }
+
+        for (const index of Object.keys(this.gamepads)) {
+            if (!seen[index]) this._removeGamepad(index);
+        }
+    }
+
+    /**
+     * Handle gamepad connected events
+     * @private
+     */
+    _handleGamepadConnected(e) {
+        if (!this.enabled || this.playback) return;
+        if (!this.gamepads[e.gamepad.index]) {
+            this._addGamepad(e.gamepad);
+        }
+    }
+
+    /**
+     * Handle gamepad disconnected events
+     * @private
+     */
+    _handleGamepadDisconnected(e) {
+        if (!this.enabled || this.playback) return;
+        this._removeGamepad(e.gamepad.index);
+    }
+
+    // ------------------------
+    // Actions & Virtual Sticks
+    // ------------------------
+
+    /**
+     * Define (or replace) a named action. Game code asks for actions like "jump" or
+     * "moveX" instead of specific keys, so any device bound to the action works.
+     *
+     * Bindings are strings or objects:
+     * - "key:space", "key:a" (or just "a") - keyboard keys, named as in InputManager.key
+     * - "mouse:left" - mouse buttons
+     * - "gamepad:a", "gamepad:righttrigger" - gamepad buttons, named as in InputManager.gamepad
+     * - "axis:0" - a full gamepad axis; "axis:1-" / "axis:1+" use only one half of it
+     * - "stick:joystick.x" - an on-screen joystick registered with setVirtualStick
+     * A leading "-" inverts the binding ("-key:a" pushes moveX to -1), and "@1" at the
+     * end limits gamepad bindings to one gamepad ("gamepad:a@1").
+     * @param {string} name - Action name
+     * @param {Array<string|Object>} bindings - Inputs that drive the action
+     */
+    defineAction(name, bindings = []) {
+        this.actions[name] = {
+            bindings: bindings.map(binding => InputManager.parseBinding(binding)).filter(Boolean)
+        };
+        delete this.actionStates[name];
+    }
+
+    /**
+     * Add one binding to an action, creating the action if needed
+     * @param {string} name - Action name
+     * @param {string|Object} binding - Binding (see defineAction)
+     */
+    addBinding(name, binding) {
+        const parsed = InputManager.parseBinding(binding);
+        if (!parsed) return;
+        if (!this.actions[name]) this.actions[name] = { bindings: [] };
+        this.actions[name].bindings.push(parsed);
+    }
+
+    /**
+     * Remove every binding of an action
+     * @param {string} name - Action name
+     */
+    clearBindings(name) {
+        if (this.actions[name]) this.actions[name].bindings = [];
+    }
+
+    /**
+     * Remove an action
+     * @param {string} name - Action name
+     */
+    removeAction(name) {
+        delete this.actions[name];
+        delete this.actionStates[name];
+    }
+
+    /**
+     * Check whether an action exists
+     * @param {string} name - Action name
+     * @returns {boolean} True if the action is defined
+     */
+    hasAction(name) {
+        return !!this.actions[name];
+    }
+
+    /**
+     * Get an action's bindings in string form
+     * @param {string} name - Action name
+     * @returns {Array<string>} Bindings (empty if the action doesn't exist)
+     */
+    getActionBindings(name) {
+        const action = this.actions[name];
+        return action ? action.bindings.map(binding => InputManager.formatBinding(binding)) : [];
+    }
+
+    /**
+     * Load an action map, e.g. the project's Input Actions asset. Replaces every action,
+     * then applies the player's saved rebinds on top.
+     * @param {Object} map - { version, actions: { name: [bindings] } }
+     * @param {boolean} [applyOverrides=true] - Apply rebinds saved with saveBindingOverrides()
+     */
+    loadActionMap(map, applyOverrides = true) {
+        if (!map || typeof map.actions !== 'object') {
+            console.warn('Invalid input action map');
+            return;
+        }
+
+        this.projectActions = JSON.parse(JSON.stringify(map));
+        this.actions = {};
+        this.actionStates = {};
+        for (const name of Object.keys(map.actions)) {
+            this.defineAction(name, map.actions[name] || []);
+        }
+
+        if (applyOverrides) {
+            this.loadBindingOverrides();
+        }
+    }
+
+    /**
+     * Get the current actions as an action map
+     * @returns {Object} { version, actions: { name: [bindings] } }
+     */
+    getActionMap() {
+        const actions = {};
+        for (const name of Object.keys(this.actions)) {
+            actions[name] = this.getActionBindings(name);
+        }
+        return { version: InputManager.ACTION_MAP_VERSION, actions: actions };
+    }
+
+    /**
+     * Replace one binding of an action, e.g. from an in-game controls screen
+     * @param {string} name - Action name
+     * @param {string|null} oldBinding - Binding to replace, or null to add
+     * @param {string|null} newBinding - New binding, or null to remove oldBinding
+     * @returns {boolean} True if the action changed
+     */
+    rebindAction(name, oldBinding, newBinding) {
+        const action = this.actions[name];
+        if (!action) {
+            console.warn(`Cannot rebind unknown action "${name}"`);
+            return false;
+        }
+
+        const bindings = this.getActionBindings(name);
+        const oldText = oldBinding ? InputManager.formatBinding(InputManager.parseBinding(oldBinding) || {}) : null;
+        const index = oldText ? bindings.indexOf(oldText) : -1;
+
+        if (newBinding) {
+            if (index > -1) {
+                bindings[index] = newBinding;
+            } else {
+                bindings.push(newBinding);
+            }
+        } else if (index > -1) {
+            bindings.splice(index, 1);
+        } else {
+            return false;
+        }
+
+        action.bindings = bindings.map(binding => InputManager.parseBinding(binding)).filter(Boolean);
+        return true;
+    }
+
+    /**
+     * Store every action that differs from the project's action map in localStorage
+     */
+    saveBindingOverrides() {
+        const base = this._baseActionMap();
+        const overrides = {};
+        for (const name of Object.keys(this.actions)) {
+            const bindings = this.getActionBindings(name);
+            const original = (base[name] || []).map(binding => InputManager.formatBinding(InputManager.parseBinding(binding) || {}));
+            if (JSON.stringify(bindings) !== JSON.stringify(original)) {
+                overrides[name] = bindings;
+            }
+        }
+
+        try {
+            localStorage.setItem(this.bindingStorageKey, JSON.stringify({ version: InputManager.ACTION_MAP_VERSION, actions: overrides }));
+        } catch (error) {
+            console.warn('Could not save input bindings:', error);
+        }
+    }
+
+    /**
+     * Apply rebinds stored with saveBindingOverrides()
+     */
+    loadBindingOverrides() {
+        let saved = null;
+        try {
+            saved = JSON.parse(localStorage.getItem(this.bindingStorageKey) || 'null');
+        } catch (error) {
+            console.warn('Could not read saved input bindings:', error);
+        }
+        if (!saved || typeof saved.actions !== 'object') return;
+
+        for (const name of Object.keys(saved.actions)) {
+            // Rebinds for actions the game no longer has are ignored
+            if (this.actions[name] && Array.isArray(saved.actions[name])) {
+                this.defineAction(name, saved.actions[name]);
+            }
+        }
+    }
+
+    /**
+     * Forget the player's rebinds and go back to the project's action map
+     */
+    resetBindingOverrides() {
+        try {
+            localStorage.removeItem(this.bindingStorageKey);
+        } catch (error) {
+            console.warn('Could not clear saved input bindings:', error);
+        }
+
+        if (this.projectActions) {
+            this.loadActionMap(this.projectActions, false);
+        } else {
+            this.resetActions();
+        }
+    }
+
+    /**
+     * Wait for the next key, mouse button, gamepad button or stick push and return it
+     * as a binding string, for "press a key" rebinding screens
+     * @param {Object} [options]
+     * @param {Array<string>} [options.devices] - Any of 'keyboard', 'mouse', 'gamepad' (default all)
+     * @param {string} [options.cancelKey='escape'] - Key that cancels the capture
+     * @returns {Promise<string|null>} The binding, or null if cancelled
+     */
+    listenForBinding(options = {}) {
+        this.cancelBindingCapture();
+        return new Promise(resolve => {
+            this._bindingCapture = {
+                devices: options.devices || ['keyboard', 'mouse', 'gamepad'],
+                cancelKey: options.cancelKey || 'escape',
+                armed: false,
+                resolve: resolve
+            };
+        });
+    }
+
+    /**
+     * Cancel a pending listenForBinding (it resolves with null)
+     */
+    cancelBindingCapture() {
+        const capture = this._bindingCapture;
+        this._bindingCapture = null;
+        if (capture) capture.resolve(null);
+    }
+
+    /**
+     * Whether listenForBinding is waiting for input
+     * @returns {boolean} True while capturing
+     */
+    isCapturingBinding() {
+        return !!this._bindingCapture;
+    }
+
+    /**
+     * Look for the input a pending listenForBinding is waiting for. Runs before the
+     * per-frame resets so presses that happened between frames are still visible.
+     * @private
+     */
+    _checkBindingCapture() {
+        const capture = this._bindingCapture;
+
+        // Skip the frame the capture started in, so the click or button that opened it isn't taken
+        if (!capture.armed) {
+            capture.armed = true;
+            return;
+        }
+
+        const finish = binding => {
+            this._bindingCapture = null;
+            capture.resolve(binding);
+        };
+
+        const key = Object.keys(this.keysDown).find(name => this.keysDown[name]);
+        if (key === capture.cancelKey) return finish(null);
+        if (key && capture.devices.includes('keyboard')) {
+            return finish(`key:${key === ' ' ? 'space' : key}`);
+        }
+
+        const button = ['left', 'middle', 'right'].find(name => this.mouseButtonsDown[name]);
+        if (button && capture.devices.includes('mouse')) {
+            return finish(`mouse:${button}`);
+        }
+
+        if (!capture.devices.includes('gamepad')) return;
+
+        const buttonNames = Object.keys(InputManager.gamepad);
+        for (const pad of this.getGamepads()) {
+            for (let i = 0; i < pad.buttons.length; i++) {
+                if (pad.buttons[i] && !pad.previousButtons[i]) {
+                    const name = buttonNames.find(n => InputManager.gamepad[n] === i);
+                    return finish(`gamepad:${name || i}`);
+                }
+            }
+            for (let i = 0; i < pad.axes.length; i++) {
+                if (Math.abs(pad.axes[i]) > 0.6) {
+                    return finish(`axis:${i}${pad.axes[i] > 0 ? '+' : '-'}`);
+                }
+            }
+        }
+    }
+
+    /**
+     * Action map that rebinds are compared against
+     * @private
+     */
+    _baseActionMap() {
+        return this.projectActions ? this.projectActions.actions : InputManager.defaultActions;
+    }
+
+    /**
+     * Replace all actions with the built-in defaults (moveX, moveY, jump, fire, thrust, rotate)
+     */
+    resetActions() {
+        this.actions = {};
+        this.actionStates = {};
+        const defaults = InputManager.defaultActions;
+        for (const name of Object.keys(defaults)) {
+            this.defineAction(name, defaults[name]);
+        }
+    }
+
+    /**
+     * Check if an action is held (analog actions count once past actionThreshold)
+     * @param {string} name - Action name
+     * @returns {boolean} True while the action is down
+     */
+    actionDown(name) {
+        const state = this.actionStates[name];
+        return state ? state.down : false;
+    }
+
+    /**
+     * Check if an action went down this frame
+     * @param {string} name - Action name
+     * @returns {boolean} True on the frame the action was pressed
+     */
+    actionPressed(name) {
+        const state = this.actionStates[name];
+        return state ? state.pressed : false;
+    }
+
+    /**
+     * Check if an action went up this frame
+     * @param {string} name - Action name
+     * @returns {boolean} True on the frame the action was released
+     */
+    actionReleased(name) {
+        const state = this.actionStates[name];
+        return state ? state.released : false;
+    }
+
+    /**
+     * Get the value of an action, summed over its bindings
+     * @param {string} name - Action name
+     * @returns {number} Value from -1 to 1 (buttons give 0 or ±1)
+     */
+    getActionValue(name) {
+        const state = this.actionStates[name];
+        return state ? state.value : 0;
+    }
+
+    /**
+     * Read a list of bindings that isn't a named action, e.g. controls one object overrides
+     * @param {Array<string|Object>} bindings - Bindings (see defineAction)
+     * @returns {Object} { value, down, pressed } like an action's state
+     */
+    readBindings(bindings) {
+        let value = 0;
+        let pressed = false;
+
+        for (const text of bindings) {
+            const binding = InputManager.parseBinding(text);
+            if (!binding) continue;
+
+            value += this._readBinding(binding);
+            if ((binding.type === 'key' && this.keyPressed(binding.key)) ||
+                (binding.type === 'mouse' && this.mousePressed(binding.button)) ||
+                (binding.type === 'gamepadButton' && this.gamepadButtonPressed(binding.button, binding.gamepad))) {
+                pressed = true;
+            }
+        }
+
+        value = Math.max(-1, Math.min(1, value));
+        return { value: value, down: Math.abs(value) >= this.actionThreshold, pressed: pressed };
+    }
+
+    /**
+     * Combine two axis actions into a direction
+     * @param {string} [xAction='moveX'] - Horizontal action
+     * @param {string} [yAction='moveY'] - Vertical action
+     * @returns {Vector2} Direction with a length of at most 1
+     */
+    getActionVector(xAction = 'moveX', yAction = 'moveY') {
+        const vector = new Vector2(this.getActionValue(xAction), this.getActionValue(yAction));
+        const length = vector.magnitude();
+        if (length > 1) {
+            vector.x /= length;
+            vector.y /= length;
+        }
+        return vector;
+    }
+
+    /**
+     * Report the direction of an on-screen joystick. The value is latched at the start
+     * of the next frame so it's read (and recorded) like any other input.
+     * @param {string} name - Stick name used in "stick:" bindings
+     * @param {number|Vector2} [x=0] - Horizontal value (-1 to 1), or a Vector2
+     * @param {number} [y=0] - Vertical value (-1 to 1)
+     */
+    setVirtualStick(name, x = 0, y = 0) {
+        if (x && typeof x === 'object') {
+            y = x.y;
+            x = x.x;
+        }
+        this._pendingSticks[name] = new Vector2(x, y);
+    }
+
+    /**
+     * Get the direction of an on-screen joystick for this frame
+     * @param {string} name - Stick name
+     * @returns {Vector2} Direction (zero if the stick isn't in use)
+     */
+    getVirtualStick(name) {
+        const stick = this.virtualSticks[name];
+        return stick ? new Vector2(stick.x, stick.y) : new Vector2(0, 0);
+    }
+
+    /**
+     * Read the current value of a single binding
+     * @private
+     */
+    _readBinding(binding) {
+        switch (binding.type) {
+            case 'key':
+                return this.keyDown(binding.key) ? binding.scale : 0;
+            case 'mouse':
+                return this.mouseDown(binding.button) ? binding.scale : 0;
+            case 'gamepadButton':
+                return this.getGamepadButtonValue(binding.button, binding.gamepad) * binding.scale;
+            case 'gamepadAxis': {
+                const value = this.getGamepadAxis(binding.axis, binding.gamepad) * binding.scale;
+                return binding.half && value < 0 ? 0 : value;
+            }
+            case 'virtualStick': {
+                const stick = this.getVirtualStick(binding.stick);
+                return (binding.axis === 'y' ? stick.y : stick.x) * binding.scale;
+            }
+            default:
+                return 0;
+        }
+    }
+
+    /**
+     * Recompute every action from the input state of this frame
+     * @private
+     */
+    _updateActions() {
+        for (const name of Object.keys(this.actions)) {
+            const wasDown = this.actionStates[name] ? this.actionStates[name].down : false;
+            let value = 0;
+            let tapped = false;
+
+            for (const binding of this.actions[name].bindings) {
+                value += this._readBinding(binding);
+                // Catch keys pressed and released between two frames
+                if (binding.type === 'key' && this.keyPressed(binding.key)) tapped = true;
+            }
+
+            value = Math.max(-1, Math.min(1, value));
+            const down = Math.abs(value) >= this.actionThreshold;
+            this.actionStates[name] = {
+                value: value,
+                down: down,
+                pressed: !wasDown && (down || tapped),
+                released: wasDown && !down
+            };
+        }
+    }
+
+    /**
+     * Parse a binding string (see defineAction) into a binding object
+     * @param {string|Object} text - Binding string, or an object to normalize
+     * @returns {Object|null} The binding, or null if it can't be parsed
+     */
+    static parseBinding(text) {
+        if (text && typeof text === 'object') {
+            return Object.assign({ scale: 1, gamepad: null }, text);
+        }
+
+        let str = String(text).trim();
+        let scale = 1;
+        let gamepad = null;
+
+        if (str.length > 1 && str.startsWith('-')) {
+            scale = -1;
+            str = str.slice(1);
+        }
+        const at = str.lastIndexOf('@');
+        if (at > 0 && /^\d+$/.test(str.slice(at + 1))) {
+            gamepad = parseInt(str.slice(at + 1), 10);
+            str = str.slice(0, at);
+        }
+
+        const colon = str.indexOf(':');
+        const source = colon > 0 ? str.slice(0, colon).toLowerCase() : 'key';
+        const name = colon > 0 ? str.slice(colon + 1) : str;
+
+        switch (source) {
+            case 'key': {
+                const key = name.toLowerCase();
+                return { type: 'key', key: InputManager.key[key] || key, scale: scale };
+            }
+            case 'mouse':
+                return { type: 'mouse', button: name.toLowerCase(), scale: scale };
+            case 'gamepad': {
+                const button = name.toLowerCase();
+                if (InputManager.gamepad[button] === undefined && !/^\d+$/.test(button)) break;
+                return { type: 'gamepadButton', button: InputManager.gamepad[button] !== undefined ? button : Number(button), gamepad: gamepad, scale: scale };
+            }
+            case 'axis': {
+                const match = /^(\d+)([+-]?)$/.exec(name);
+                if (!match) break;
+                return {
+                    type: 'gamepadAxis',
+                    axis: Number(match[1]),
+                    half: match[2] !== '',
+                    gamepad: gamepad,
+                    scale: match[2] === '-' ? -scale : scale
+                };
+            }
+            case 'stick': {
+                const dot = name.lastIndexOf('.');
+                const axis = dot > 0 ? name.slice(dot + 1).toLowerCase() : 'x';
+                return { type: 'virtualStick', stick: dot > 0 ? name.slice(0, dot) : name, axis: axis === 'y' ? 'y' : 'x', scale: scale };
+            }
+        }
+
+        console.warn(`Unknown input binding "${text}"`);
+        return null;
+    }
+
+    /**
+     * Turn a binding object back into its string form
+     * @param {Object} binding - Binding from parseBinding
+     * @returns {string} Binding string
+     */
+    static formatBinding(binding) {
+        const sign = binding.scale < 0 && !(binding.type === 'gamepadAxis' && binding.half) ? '-' : '';
+        const pad = binding.gamepad !== null && binding.gamepad !== undefined ? `@${binding.gamepad}` : '';
+
+        switch (binding.type) {
+            case 'key':
+                return `${sign}key:${binding.key === ' ' ? 'space' : binding.key}`;
+            case 'mouse':
+                return `${sign}mouse:${binding.button}`;
+            case 'gamepadButton':
+                return `${sign}gamepad:${binding.button}${pad}`;
+            case 'gamepadAxis':
+                if (binding.half) return `axis:${binding.axis}${binding.scale < 0 ? '-' : '+'}${pad}`;
+                return `${sign}axis:${binding.axis}${pad}`;
+            case 'virtualStick':
+                return `${sign}stick:${binding.stick}.${binding.axis}`;
+            default:
+                return '';
+        }
+    }
+
+    /**
+     * Built-in actions, set up by resetActions()
+     */
+    static get defaultActions() {
+        return {
+            moveX: ['-key:arrowleft', '-key:a', 'key:arrowright', 'key:d', '-gamepad:dpadleft', 'gamepad:dpadright', 'axis:0', 'stick:joystick.x'],
+            moveY: ['-key:arrowup', '-key:w', 'key:arrowdown', 'key:s', '-gamepad:dpadup', 'gamepad:dpaddown', 'axis:1', 'stick:joystick.y'],
+            jump: ['key:space', 'key:arrowup', 'key:w', 'gamepad:a'],
+            fire: ['key:space', 'gamepad:x', 'gamepad:righttrigger'],
+            thrust: ['key:arrowup', 'key:w', 'gamepad:a', 'axis:1-'],
+            rotate: ['-key:q', 'key:e', '-gamepad:leftbumper', 'gamepad:rightbumper', 'axis:2']
+        };
+    }
+
+    // ---------------------------
+    // Replay Recording & Playback
+    // ---------------------------
+
+    /**
+     * Start recording the per-frame input state. For a deterministic replay, start
+     * recording before the game starts so the RNG seed used by start() is captured.
+     * @param {Object} [meta] - Extra information stored with the replay (name, notes, build...)
+     */
+    startRecording(meta = {}) {
+        if (this.playback) {
+            console.warn('Cannot record input while a replay is playing');
+            return;
+        }
+
+        const engine = this.engine || window.engine;
+        this.recording = {
+            version: InputManager.REPLAY_VERSION,
+            createdAt: new Date().toISOString(),
+            scene: engine && engine.scene ? engine.scene.name : null,
+            startedWithEngine: !(engine && engine.running),
+            seed: null,          // Filled in on the first recorded frame
+            randomState: null,   // RandomService state at the first recorded frame
+            timestep: null,
+            meta: meta,
+            frames: []
+        };
+        console.log('Input recording started');
+    }
+
+    /**
+     * Stop recording and return the finished replay (also kept in lastReplay)
+     * @returns {Object|null} The replay, or null if nothing was being recorded
+     */
+    stopRecording() {
+        if (!this.recording) return null;
+
+        const replay = this.recording;
+        this.recording = null;
+        this.lastReplay = replay;
+        console.log(`Input recording stopped (${replay.frames.length} frames)`);
+        return replay;
+    }
+
+    /**
+     * Whether input is currently being recorded
+     * @returns {boolean} True while recording
+     */
+    isRecording() {
+        return !!this.recording;
+    }
+
+    /**
+     * Play back a recorded replay. DOM input is ignored until playback ends, and the
+     * engine uses the recorded frame times and timestep settings.
+     * @param {Object} replay - Replay from stopRecording() or loadReplay()
+     * @param {Object} [options]
+     * @param {Function} [options.onComplete] - Called with the replay when the last frame has played
+     * @param {boolean} [options.applyTimestep=true] - Switch the engine to the recorded timestep while playing
+     */
+    startPlayback(replay, options = {}) {
+        if (!replay || !Array.isArray(replay.frames)) {
+            console.error('Invalid replay: no frames to play');
+            return;
+        }
+        if (this.recording) {
+            this.stopRecording();
+        }
+
+        this.playback = replay;
+        this.playbackOptions = Object.assign({ applyTimestep: true }, options);
+        this.playbackFrame = 0;
+        this.playbackDeltaTime = 0;
+        this._clearState();
+
+        const engine = this.engine || window.engine;
+        if (engine && replay.timestep && this.playbackOptions.applyTimestep) {
+            this._timestepBeforePlayback = {
+                useFixedTimestep: engine.useFixedTimestep,
+                fixedTickRate: engine.fixedTickRate,
+                maxFixedStepsPerFrame: engine.maxFixedStepsPerFrame
+            };
+            engine.maxFixedStepsPerFrame = replay.timestep.maxFixedStepsPerFrame || engine.maxFixedStepsPerFrame;
+            engine.setFixedTimestep(replay.timestep.useFixedTimestep, replay.timestep.fixedTickRate);
+        }
+
+        console.log(`Replay playback started (${replay.frames.length} frames)`);
+    }
+
+    /**
+     * Stop playback and hand input back to the DOM
+     */
+    stopPlayback() {
+        if (!this.playback) return;
+
+        this.playback = null;
+        this.playbackFrame = 0;
+        this._clearState();
+
+        const engine = this.engine || window.engine;
+        if (engine && this._timestepBeforePlayback) {
+            engine.maxFixedStepsPerFrame = this._timestepBeforePlayback.maxFixedStepsPerFrame;
+            engine.setFixedTimestep(this._timestepBeforePlayback.useFixedTimestep, this._timestepBeforePlayback.fixedTickRate);
+        }
+        this._timestepBeforePlayback = null;
+        console.log('Replay playback stopped');
+    }
+
+    /**
+     * Whether a replay is currently playing
+     * @returns {boolean} True during playback
+     */
+    isPlayingBack() {
+        return !!this.playback;
+    }
+
+    /**
+     * Seed the engine should use when it starts, so a replay recorded from the
+     * start of a run regenerates the same world
+     * @returns {number|string|null} The replay seed, or null when not replaying from the start
+     */
+    getReplaySeed() {
+        if (!this.playback || this.playbackFrame > 0 || !this.playback.startedWithEngine) return null;
+        return this.playback.seed;
+    }
+
+    /**
+     * Download a replay as a JSON file
+     * @param {Object} [replay] - Replay to save (defaults to the last recording)
+     * @param {string} [filename] - File name for the download
+     */
+    saveReplay(replay = this.lastReplay, filename = 'replay.json') {
+        if (!replay) {
+            console.warn('No replay to save');
+            return;
+        }
+
+        const blob = new Blob([JSON.stringify(replay)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Load a replay from a File/Blob, a JSON string or a URL
+     * @param {File|Blob|string|Object} source - Replay source
+     * @returns {Promise<Object>} The parsed replay
+     */
+    async loadReplay(source) {
+        let replay = source;
+        if (source instanceof Blob) {
+            replay = JSON.parse(await source.text());
+        } else if (typeof source === 'string') {
+            replay = source.trim().startsWith('{') ? JSON.parse(source) : await (await fetch(source)).json();
+        }
+
+        if (!replay || !Array.isArray(replay.frames)) {
+            throw new Error('Not a replay file');
+        }
+        if (replay.version > InputManager.REPLAY_VERSION) {
+            throw new Error(`Replay version ${replay.version} is newer than supported version ${InputManager.REPLAY_VERSION}`);
+        }
+        return replay;
+    }
+
+    /**
+     * Store the input state the game will see this frame
+     * @private
+     */
+    _recordFrame(deltaTime) {
+        const recording = this.recording;
+
+        // Header values are taken on the first frame, after the engine has seeded the RNG
+        if (recording.frames.length === 0) {
+            const engine = this.engine || window.engine;
+            if (window.randomService) {
+                recording.seed = window.randomService.seed;
+                recording.randomState = window.randomService.getState();
+            }
+            if (engine) {
+                recording.timestep = {
+                    useFixedTimestep: engine.useFixedTimestep,
+                    fixedTickRate: engine.fixedTickRate,
+                    maxFixedStepsPerFrame: engine.maxFixedStepsPerFrame
+                };
+            }
+        }
+
+        const trueKeys = map => Object.keys(map).filter(key => map[key] === true);
+        const buttonBits = buttons => (buttons.left ? 1 : 0) | (buttons.middle ? 2 : 0) | (buttons.right ? 4 : 0);
+        const now = Date.now();
+        const touchData = touch => ({
+            id: touch.id,
+            x: touch.position.x,
+            y: touch.position.y,
+            sx: touch.startPosition.x,
+            sy: touch.startPosition.y,
+            age: touch.startTime ? now - touch.startTime : 0,
+            moved: touch.moved,
+            dist: touch.totalDistance
+        });
+
+        // Empty fields are left out to keep replay files small
+        const frame = { dt: deltaTime, mx: this.mousePosition.x, my: this.mousePosition.y };
+        const keys = trueKeys(this.keys);
+        const pressed = trueKeys(this.keysPressedLastFrame);
+        const released = trueKeys(this.keysUp);
+        if (keys.length) frame.k = keys;
+        if (pressed.length) frame.kp = pressed;
+        if (released.length) frame.ku = released;
+
+        const held = buttonBits(this.mouseButtons);
+        const down = buttonBits(this.mouseButtonsDown);
+        const up = buttonBits(this.mouseButtonsUp);
+        if (held) frame.mb = held;
+        if (down) frame.md = down;
+        if (up) frame.mu = up;
+        if (this.mouseWheel) frame.w = this.mouseWheel;
+        if (this.mouseMoveThisFrame) frame.mm = 1;
+
+        const touches = Object.values(this.touches);
+        const started = Object.keys(this.touchesStarted);
+        const ended = Object.values(this.touchesEnded);
+        if (touches.length) frame.t = touches.map(touchData);
+        if (started.length) frame.ts = started.map(Number);
+        if (ended.length) frame.te = ended.map(touchData);
+
+        const pads = this.getGamepads().filter(pad => pad.buttons.length || pad.axes.length);
+        if (pads.length) {
+            frame.gp = pads.map(pad => ({
+                i: pad.index,
+                p: pad.buttons.reduce((bits, down, i) => down ? bits | (1 << i) : bits, 0),
+                v: pad.values,
+                a: pad.axes
+            }));
+        }
+
+        const sticks = {};
+        for (const name of Object.keys(this.virtualSticks)) {
+            const stick = this.virtualSticks[name];
+            if (stick.x || stick.y) sticks[name] = [stick.x, stick.y];
+        }
+        if (Object.keys(sticks).length) frame.vs = sticks;
+
+        recording.frames.push(frame);
+    }
+
+    /**
+     * Apply the next recorded frame, or finish playback when there are none left
+     * @private
+     */
+    _playNextFrame() {
+        const replay = this.playback;
+
+        if (this.playbackFrame >= replay.frames.length) {
+            const onComplete = this.playbackOptions.onComplete;
+            this.stopPlayback();
+            if (typeof onComplete === 'function') onComplete(replay);
+            return;
+        }
+
+        // Put the RNG where it was when recording began
+        if (this.playbackFrame === 0 && replay.randomState && window.randomService) {
+            window.randomService.setState(replay.randomState);
+        }
+
+        const frame = replay.frames[this.playbackFrame++];
+        const toMap = list => {
+            const map = {};
+            (list || []).forEach(key => map[key] = true);
+            return map;
+        };
+        const toButtons = bits => ({ left: !!(bits & 1), middle: !!(bits & 2), right: !!(bits & 4) });
+        const now = Date.now();
+        const toTouch = data => ({
+            id: data.id,
+            position: new Vector2(data.x, data.y),
+            startPosition: new Vector2(data.sx, data.sy),
+            startTime: now - data.age,
+            moved: data.moved,
+            totalDistance: data.dist
+        });
+
+        this.playbackDeltaTime = frame.dt;
+
+        this.keys = toMap(frame.k);
+        this.keysPressedLastFrame = toMap(frame.kp);
+        this.keysUp = toMap(frame.ku);
+        this.keysDown = {};
+
+        this.mousePosition.x = frame.mx;
+        this.mousePosition.y = frame.my;
+        this.mouseButtons = toButtons(frame.mb || 0);
+        this.mouseButtonsDown = toButtons(frame.md || 0);
+        this.mouseButtonsUp = toButtons(frame.mu || 0);
+        this.mouseWheel = frame.w || 0;
+        this.mouseMoveThisFrame = !!frame.mm;
+
+        this.touches = {};
+        (frame.t || []).forEach(data => this.touches[data.id] = toTouch(data));
+        this.touchesStarted = {};
+        (frame.ts || []).forEach(id => {
+            if (this.touches[id]) this.touchesStarted[id] = this.touches[id];
+        });
+        this.touchesEnded = {};
+        (frame.te || []).forEach(data => this.touchesEnded[data.id] = toTouch(data));
+
+        const padsInFrame = {};
+        (frame.gp || []).forEach(data => {
+            padsInFrame[data.i] = true;
+            const pad = this.gamepads[data.i] || this._addGamepad({ index: data.i, id: 'Replay gamepad', mapping: 'standard' });
+            pad.previousButtons = pad.buttons;
+            pad.buttons = data.v.map((value, i) => (data.p & (1 << i)) !== 0);
+            pad.values = data.v;
+            pad.axes = data.a;
+        });
+        for (const index of Object.keys(this.gamepads)) {
+            if (!padsInFrame[index]) this._removeGamepad(index);
+        }
+
+        this.virtualSticks = {};
+        for (const name of Object.keys(frame.vs || {})) {
+            this.virtualSticks[name] = new Vector2(frame.vs[name][0], frame.vs[name][1]);
+        }
+
+        this.updateWorldMousePosition();
+    }
+
+    /**
+     * Reset every key, button and touch to released
+     * @private
+     */
+    _clearState() {
+        this.keys = {};
+        this.keysDown = {};
+        this.keysUp = {};
+        this.keysPressed = {};
+        this.keysPressedLastFrame = {};
+
+        this.mouseButtons = { left: false, middle: false, right: false };
+        this.mouseButtonsDown = { left: false, middle: false, right: false };
+        this.mouseButtonsUp = { left: false, middle: false, right: false };
+        this.mouseWheel = 0;
+        this.mouseMoveThisFrame = false;
+
+        this.touches = {};
+        this.touchesStarted = {};
+        this.touchesEnded = {};
+
+        // Gamepads stay connected, but read as released until the next poll
+        for (const pad of this.getGamepads()) {
+            pad.buttons = [];
+            pad.previousButtons = [];
+            pad.values = [];
+            pad.axes = [];
+        }
+        this.virtualSticks = {};
+        this._pendingSticks = {};
+        this.actionStates = {};
+    }
+
     /**
      * Clean up and remove all event listeners
      */
@@ -782,6 +2101,9 @@ class InputManager {
         this.targetElement.removeEventListener('touchmove', this._handleTouchMove);
         this.targetElement.removeEventListener('touchend', this._handleTouchEnd);
         this.targetElement.removeEventListener('touchcancel', this._handleTouchEnd);
+
+        window.removeEventListener('gamepadconnected', this._handleGamepadConnected);
+        window.removeEventListener('gamepaddisconnected', this._handleGamepadDisconnected);
     }
 
     /**
@@ -798,18 +2120,7 @@ class InputManager {
         this.enabled = false;
 
         // Clear all input states
-        this.keys = {};
-        this.keysDown = {};
-        this.keysUp = {};
-        this.keysPressed = {};
-
-        this.mouseButtons = { left: false, middle: false, right: false };
-        this.mouseButtonsDown = { left: false, middle: false, right: false };
-        this.mouseButtonsUp = { left: false, middle: false, right: false };
-
-        this.touches = {};
-        this.touchesStarted = {};
-        this.touchesEnded = {};
+        this._clearState();
     }
 
     // Prevent context menu from showing on right click
@@ -913,7 +2224,9 @@ class InputManager {
             mouseButtonsUp: this.mouseButtonsUp,
             enabled: this.enabled,
             targetElement: this.targetElement.tagName || 'document',
-            touchCount: this.getTouchCount()
+            touchCount: this.getTouchCount(),
+            gamepadCount: this.getGamepadCount(),
+            actions: this.actionStates
         };
     }
 
@@ -1044,6 +2357,13 @@ class InputManager {
     }
 }
 
+// Input Actions asset / action map format version
+InputManager.ACTION_MAP_VERSION = 1;
+
+// Replay file format version written by startRecording()
+// 2: frames can carry gamepad (gp) and virtual stick (vs) state
+InputManager.REPLAY_VERSION = 2;
+
 // Create a global instance
 window.input = new InputManager();
 window.key = InputManager.key;
@@ -136,14 +136,18 @@ player.setPosition(new Vector2(100, 200));`,
                     { name: "preload()", description: "Load assets etc before game starts" },
                     { name: "start()", description: "Called when module is activated" },
                     { name: "beginLoop()", description: "Called at start of each frame" },
+                    { name: "fixedLoop(deltaTime)", description: "Fixed rate update, runs when the engine uses a fixed timestep" },
                     { name: "loop(deltaTime)", description: "Main update logic" },
                     { name: "endLoop()", description: "Called at end of each frame" },
                     { name: "draw(ctx)", description: "Render module visuals" },
                     { name: "onDestroy()", description: "Cleanup when destroyed" },
+                    { name: "onCollisionEnter(other, contact)", description: "Solid collision started (also onCollisionStay/onCollisionExit). contact has normal, penetration, point" },
+                    { name: "onTriggerEnter(other, contact)", description: "Trigger overlap started (also onTriggerStay/onTriggerExit)" },
                     { name: "enable()", description: "Enable the module" },
                     { name: "disable()", description: "Disable the module" },
                     { name: "toggle()", description: "Toggle enabled state" },
                     { name: "getModule(type)", description: "Get another module by type" },
+                    { name: "getRandom(name)", description: "Seeded random stream for this module (next, range, int, bool, choose, shuffle)" },
                     { name: "exposeProperty(name, type, default, options)", description: "Expose property to inspector" },
                     { name: "setProperty(name, value)", description: "Set property value" },
                     { name: "getProperty(name, default)", description: "Get property value" },
@@ -310,6 +314,94 @@ gameObject.lookAt(mousePos);`,
     handlePinchZoom();
 }`,
                 returns: { type: "number", description: "Number of active touches" }
+            },
+
+            actionDown: {
+                description: "Check if a named action is held. Actions bind keys, mouse, gamepad and touch joystick input (built in: moveX, moveY, jump, fire, thrust, rotate)",
+                example: `if(window.input.actionPressed("jump")) {
+    this.jump();
+}
+const moveX = window.input.getActionValue("moveX"); // -1 to 1`,
+                params: [{ name: "name", type: "string", description: "Action name" }],
+                returns: { type: "boolean", description: "True while the action is down" }
+            },
+
+            defineAction: {
+                description: "Define or replace a named action from binding strings (key:, mouse:, gamepad:, axis:, stick:; a leading - inverts)",
+                example: `window.input.defineAction("dash", ["key:shift", "gamepad:b"]);
+window.input.defineAction("aimX", ["-key:j", "key:l", "axis:2"]);`,
+                params: [
+                    { name: "name", type: "string", description: "Action name" },
+                    { name: "bindings", type: "Array", description: "Binding strings or objects" }
+                ]
+            },
+
+            rebindAction: {
+                description: "Replace one binding of an action at runtime, e.g. from a controls screen. Save with saveBindingOverrides() so it is restored next run",
+                example: `const binding = await window.input.listenForBinding({ devices: ["keyboard", "mouse"] });
+if (binding) {
+    window.input.rebindAction("jump", "key:space", binding);
+    window.input.saveBindingOverrides();
+}`,
+                params: [
+                    { name: "name", type: "string", description: "Action name" },
+                    { name: "oldBinding", type: "string", description: "Binding to replace (null to add)" },
+                    { name: "newBinding", type: "string", description: "New binding (null to remove)" }
+                ],
+                returns: { type: "boolean", description: "True if the action changed" }
+            },
+
+            gamepadButtonDown: {
+                description: "Check if a gamepad button is held (any gamepad unless an index is given)",
+                example: `if(window.input.gamepadButtonPressed("a")) {
+    this.jump();
+}
+const stick = window.input.getGamepadStick("left"); // Vector2 with deadzone
+const trigger = window.input.getGamepadTrigger("right"); // 0 to 1`,
+                params: [
+                    { name: "button", type: "string|number", description: "Button name (window.gamepad.a, 'dpadup'...) or index" },
+                    { name: "index", type: "number", description: "Gamepad index (optional)" }
+                ],
+                returns: { type: "boolean", description: "True if the button is down" }
+            },
+
+            rumble: {
+                description: "Rumble a gamepad where the browser supports it",
+                example: `window.input.rumble(0, 0.8, 0.4, 300);`,
+                params: [
+                    { name: "index", type: "number", description: "Gamepad index" },
+                    { name: "strong", type: "number", description: "Strong motor magnitude (0-1)" },
+                    { name: "weak", type: "number", description: "Weak motor magnitude (0-1)" },
+                    { name: "duration", type: "number", description: "Duration in milliseconds" }
+                ],
+                returns: { type: "Promise<boolean>", description: "False if rumble isn't supported" }
+            },
+
+            onGamepadConnected: {
+                description: "Call a function when a gamepad is connected (onGamepadDisconnected works the same way)",
+                example: `const stop = window.input.onGamepadConnected(pad => console.log("Connected:", pad.id));`,
+                params: [{ name: "callback", type: "Function", description: "Receives the gamepad state" }],
+                returns: { type: "Function", description: "Removes the listener" }
+            },
+
+            startRecording: {
+                description: "Record per-frame input, the RNG seed and timestep into a replay (start before the game starts for a deterministic replay)",
+                example: `window.input.startRecording({ name: "boss fight bug" });
+// ...later
+const replay = window.input.stopRecording();
+window.input.saveReplay(replay, "boss-bug.json");`,
+                params: [{ name: "meta", type: "Object", description: "Extra info stored with the replay" }]
+            },
+
+            startPlayback: {
+                description: "Feed a recorded replay into the input system instead of DOM events",
+                example: `const replay = await window.input.loadReplay(file);
+window.input.startPlayback(replay, { onComplete: () => console.log("Replay finished") });
+window.engine.start();`,
+                params: [
+                    { name: "replay", type: "Object", description: "Replay from stopRecording() or loadReplay()" },
+                    { name: "options", type: "Object", description: "{ onComplete, applyTimestep }" }
+                ]
             }
         }
     },
@@ -1370,7 +1462,9 @@ spawner.startSpawning();`,
                     { name: "spawnInterval", type: "number", description: "Time between spawns" },
                     { name: "maxSpawns", type: "number", description: "Maximum objects to spawn" },
                     { name: "spawnRadius", type: "number", description: "Random spawn radius" },
-                    { name: "autoStart", type: "boolean", description: "Start spawning automatically" }
+                    { name: "autoStart", type: "boolean", description: "Start spawning automatically" },
+                    { name: "usePool", type: "boolean", description: "Reuse destroyed objects through window.poolManager (off by default)" },
+                    { name: "poolWarmCount", type: "number", description: "Objects to create up front when spawning starts" }
                 ],
                 methods: [
                     { name: "startSpawning()", description: "Start the spawning process" },
@@ -1463,6 +1557,62 @@ if(player) player.setActive(true);`,
 if(enemy) enemy.destroy();`,
                 params: [{ name: "name", type: "string", description: "Name to search for" }],
                 returns: { type: "GameObject|null", description: "The found GameObject or null" }
+            },
+
+            warmPool: {
+                description: "Create idle objects in an object pool so the first spawns don't allocate",
+                example: `window.poolManager.warm("Bullet", 30);
+// Later, instanceCreate() and Spawner take bullets from the pool
+this.instanceCreate(x, y, "Bullet");`,
+                params: [
+                    { name: "key", type: "string", description: "Object name (or 'prefab:Name' for prefabs)" },
+                    { name: "count", type: "number", description: "Idle objects to have ready" }
+                ],
+                returns: { type: "void", description: "" }
+            },
+
+            saveGame: {
+                description: "Save the current scene state to a named slot (IndexedDB, with thumbnail and playtime)",
+                example: `const meta = await engine.saveGame("slot1", { label: "Checkpoint", data: { coins: 12 } });
+console.log(meta.slot, meta.playtime);`,
+                params: [
+                    { name: "slot", type: "string", description: "Slot name (default 'savegame')" },
+                    { name: "options", type: "Object", description: "{ label, data, thumbnail }" }
+                ],
+                returns: { type: "Promise<Object|null>", description: "Slot info, or null if saving failed" }
+            },
+
+            loadGame: {
+                description: "Restore a saved slot, switching scenes if needed",
+                example: `if (await engine.loadGame("slot1")) {
+    console.log("Loaded!");
+}`,
+                params: [{ name: "source", type: "string|File", description: "Slot name or an exported save file" }],
+                returns: { type: "Promise<boolean>", description: "True if the save was applied" }
+            },
+
+            registerMigration: {
+                description: "Upgrade saves made by an older saveManager.gameVersion",
+                example: `window.saveManager.gameVersion = 2;
+window.saveManager.registerMigration(1, save => {
+    save.custom = { coins: 0, ...save.custom };
+    return save;
+});`,
+                params: [
+                    { name: "fromVersion", type: "number", description: "Game version the migration upgrades from" },
+                    { name: "migrate", type: "Function", description: "Receives the save and returns it upgraded" }
+                ],
+                returns: { type: "void", description: "" }
+            },
+
+            startCapture: {
+                description: "Record every frame's phase and module timings with window.profiler (F4 in game)",
+                example: `window.profiler.startCapture("Before optimizing");
+// ... play for a while ...
+const capture = window.profiler.stopCapture();
+window.profiler.exportCapture(capture, "before.json");`,
+                params: [{ name: "label", type: "string", description: "Name stored with the capture" }],
+                returns: { type: "void", description: "" }
             }
         }
     },
@@ -1478,6 +1628,30 @@ engine.start();`,
                 params: [{ name: "scene", type: "Scene", description: "Scene to load" }]
             },
 
+            changeScene: {
+                description: "Switch scenes while the game runs, behind a transition. Objects with dontDestroyOnLoad are kept",
+                example: `await engine.changeScene("Level 2", { transition: "fade", duration: 0.4 });`,
+                params: [
+                    { name: "sceneOrName", type: "Scene|string", description: "Scene or scene name" },
+                    { name: "options", type: "Object", description: "{ transition: module, \"fade\", \"wipe\" or false, duration: seconds }" }
+                ],
+                returns: { type: "Promise<boolean>", description: "False if the scene wasn't found or the game stopped" }
+            },
+
+            loadSceneAdditive: {
+                description: "Add another scene's objects to the running world",
+                example: `await engine.loadSceneAdditive("Level 2 - Interior");`,
+                params: [{ name: "sceneOrName", type: "Scene|string", description: "Scene or scene name" }],
+                returns: { type: "Promise<Array>", description: "The added top-level objects, or null" }
+            },
+
+            unloadScene: {
+                description: "Remove a scene added with loadSceneAdditive",
+                example: `engine.unloadScene("Level 2 - Interior");`,
+                params: [{ name: "name", type: "string", description: "Scene name" }],
+                returns: { type: "boolean", description: "False if the scene wasn't loaded additively" }
+            },
+
             start: {
                 description: "Start the game engine",
                 example: `engine.start();`,
@@ -1560,11 +1734,14 @@ class MyModule extends Module {
     preload() { /* Load assets before start */ }
     start() { /* Initialize when game starts */ }
     beginLoop() { /* Called before loop() each frame */ }
+    fixedLoop(deltaTime) { /* Fixed rate update (only with fixed timestep enabled) */ }
     loop(deltaTime) { /* Main update (deltaTime in seconds) */ }
     endLoop() { /* Called after loop() each frame */ }
     draw(ctx) { /* Render custom graphics */ }
     drawGizmos(ctx) { /* Debug visualization (editor only) */ }
     onDestroy() { /* Cleanup on module removal */ }
+    onCollisionEnter(other, contact) { /* Solid overlap began (contact.normal, contact.penetration, contact.point) */ }
+    onTriggerEnter(other, contact) { /* Trigger overlap began (also *Stay / *Exit) */ }
 
     // Serialization (save/load properties)
     toJSON() {
@@ -1613,6 +1790,47 @@ window.input.getMousePosition(true)  // true = world space, false = screen
 // Touch (mobile)
 window.input.isTapped()
 window.input.getTouchCount()
+
+// Actions (keys, mouse, gamepad and touch joystick in one place)
+window.input.actionPressed("jump")
+window.input.getActionValue("moveX")  // -1 to 1
+window.input.defineAction("dash", ["key:shift", "gamepad:b"])
+window.input.rebindAction("jump", "key:space", "key:x")
+window.input.saveBindingOverrides()  // Player rebinds, kept in localStorage
+
+// Gamepad
+window.input.gamepadButtonPressed("a")
+window.input.getGamepadStick("left")  // Vector2, deadzone applied
+window.input.rumble(0, 1, 0.5, 200)
+
+// Replays
+window.input.startRecording()  // Before engine.start() for a deterministic replay
+const replay = window.input.stopRecording()
+window.input.startPlayback(replay, { onComplete })  // Then engine.start()
+\`\`\`
+
+### Object Pools
+\`\`\`javascript
+window.poolManager.warm("Bullet", 30)  // Idle objects ready for instanceCreate/Spawner
+this.gameObject.destroy()  // Pooled objects go back to their pool
+onSpawnFromPool() { }  // Module hook after start() on reuse
+onReturnToPool() { }  // Module hook instead of onDestroy()
+\`\`\`
+
+### Save Games
+\`\`\`javascript
+await engine.saveGame("slot1", { label: "Checkpoint", data: { coins: 12 } })
+await engine.loadGame("slot1")  // Returns false if missing
+const slots = await window.saveManager.listSlots()  // Newest first
+this.exposeProperty("health", "number", 100, { saveable: true })  // Saved with the game
+\`\`\`
+
+### Profiler
+\`\`\`javascript
+window.profiler.toggleOverlay()  // Or F3: phase/module timings, draw calls, frame graph
+window.profiler.startCapture("label")  // Or F4 to start/stop and download
+const capture = window.profiler.stopCapture()
+Profiler.compare(before, after)  // ms per frame deltas, positive = slower
 \`\`\`
 
 ### Transform & Movement
@@ -1696,6 +1914,8 @@ window.matterMath.random(max)  // Float: 1 to max
 window.matterMath.irandom(max)  // Integer: 1 to max
 window.matterMath.randomRange(min, max)
 window.matterMath.choose("a", "b", "c")  // Pick random argument
+window.matterMath.setRandomSeed(seed)  // Reseed all random streams
+this.getRandom().int(1, 6)  // Module's own seeded stream (in a Module)
 
 // Other
 window.matterMath.clamp(value, min, max)
@@ -1,15 +1,20 @@
 /**
- * Layer class for organizing game objects in scenes
+ * Layer - A rendering/sorting layer owned by a Scene (scene.layers)
+ *
+ * Layers are drawn in the order of scene.layers (the first one at the back) and objects
+ * within a layer are sorted by depth. A GameObject joins a layer through its layerId;
+ * objects without one use their parent's layer, root objects the scene's default layer.
  */
 class Layer {
     constructor(name = "Layer", id = null) {
         this.name = name;
         this.id = id || crypto.randomUUID();
-        this.gameObjects = [];
-        this.visible = true;
-        this.locked = false;
+        this.scene = null; // Set by Scene.addLayer()
+        this.visible = true; // Hidden layers are skipped by Engine.draw and the editor
+        this.locked = false; // Locked layers can't be picked or dragged in the scene editor
         this.color = this.generateRandomColor();
-        this.depth = 0; // Base depth for all objects in this layer
+        this.parallax = { x: 1, y: 1 }; // How much of the camera movement the layer follows (0 = fixed to the screen)
+        this.collisionMask = null; // Ids of the layers this layer collides with, null for all layers
         this.editorExpanded = true; // Whether layer is expanded in editor
     }
 
@@ -47,47 +52,52 @@ class Layer {
     }
 
     /**
-     * Add a game object to this layer
+     * Top-level objects of this layer: members whose parent is in another layer
+     * @returns {Array<GameObject>} The objects, in hierarchy order
+     */
+    get gameObjects() {
+        if (!this.scene) return [];
+        return this.getAllGameObjects().filter(obj => !obj.parent || this.scene.getLayerOf(obj.parent) !== this);
+    }
+
+    /**
+     * Add a game object to this layer. Its children follow unless they name a layer of their own.
      * @param {GameObject} gameObject - The game object to add
      */
     addGameObject(gameObject) {
-        if (!this.gameObjects.includes(gameObject)) {
-            this.gameObjects.push(gameObject);
-            gameObject.layer = this;
-            gameObject.depth += this.depth; // Offset depth by layer base depth
-        }
+        gameObject.layerId = this.id;
     }
 
     /**
-     * Remove a game object from this layer
+     * Remove a game object from this layer, it falls back to its parent's or the default layer
      * @param {GameObject} gameObject - The game object to remove
      */
     removeGameObject(gameObject) {
-        const index = this.gameObjects.indexOf(gameObject);
-        if (index !== -1) {
-            this.gameObjects.splice(index, 1);
-            gameObject.layer = null;
-            gameObject.depth -= this.depth; // Remove layer depth offset
+        if (gameObject.layerId === this.id) {
+            gameObject.layerId = null;
         }
     }
 
     /**
-     * Get all game objects in this layer (including children)
+     * Get all game objects in this layer (including children that inherit it)
      * @returns {Array<GameObject>} All game objects in this layer
      */
     getAllGameObjects() {
+        if (!this.scene) return [];
         const allObjects = [];
 
         const collectObjects = (objects) => {
             for (const obj of objects) {
-                allObjects.push(obj);
+                if (this.scene.getLayerOf(obj) === this) {
+                    allObjects.push(obj);
+                }
                 if (obj.children && obj.children.length > 0) {
                     collectObjects(obj.children);
                 }
             }
         };
 
-        collectObjects(this.gameObjects);
+        collectObjects(this.scene.gameObjects);
         return allObjects;
     }
 
@@ -97,40 +107,15 @@ class Layer {
      * @returns {GameObject|null} The found game object or null
      */
     findGameObjectByName(name) {
-        return this.findGameObjectByNameRecursive(this.gameObjects, name);
+        return this.getAllGameObjects().find(obj => obj.name === name) || null;
     }
 
     /**
-     * Recursively search for a game object by name
-     * @param {Array<GameObject>} objects - Objects to search
-     * @param {string} name - Name to search for
-     * @returns {GameObject|null} Found object or null
-     */
-    findGameObjectByNameRecursive(objects, name) {
-        for (const obj of objects) {
-            if (obj.name === name) {
-                return obj;
-            }
-
-            if (obj.children && obj.children.length > 0) {
-                const found = this.findGameObjectByNameRecursive(obj.children, name);
-                if (found) {
-                    return found;
-                }
-            }
-        }
-        return null;
-    }
-
-    /**
-     * Set the visibility of all game objects in this layer
-     * @param {boolean} visible - Whether objects should be visible
+     * Show or hide the layer. Objects keep their own visible flag.
+     * @param {boolean} visible - Whether the layer should be drawn
      */
     setVisibility(visible) {
         this.visible = visible;
-        for (const gameObject of this.gameObjects) {
-            gameObject.visible = visible;
-        }
     }
 
     /**
@@ -138,24 +123,35 @@ class Layer {
      * @param {boolean} active - Whether objects should be active
      */
     setActive(active) {
-        for (const gameObject of this.gameObjects) {
+        for (const gameObject of this.getAllGameObjects()) {
             gameObject.active = active;
         }
     }
 
+    /**
+     * Whether objects on this layer may collide with objects on another layer.
+     * Scene.layersCollide() checks both directions.
+     * @param {Layer} other - The other layer
+     * @returns {boolean} True if other is in this layer's collision mask
+     */
+    collidesWithLayer(other) {
+        return !this.collisionMask || !other || this.collisionMask.includes(other.id);
+    }
+
     /**
      * Get the bounding box of all objects in this layer
      * @returns {Object} Bounding box with x, y, width, height
      */
     getBounds() {
-        if (this.gameObjects.length === 0) {
+        const objects = this.getAllGameObjects();
+        if (objects.length === 0) {
             return { x: 0, y: 0, width: 0, height: 0 };
         }
 
         let minX = Infinity, minY = Infinity;
         let maxX = -Infinity, maxY = -Infinity;
 
-        for (const gameObject of this.getAllGameObjects()) {
+        for (const gameObject of objects) {
             const worldPos = gameObject.getWorldPosition();
             const size = gameObject.size || { x: 50, y: 50 };
 
@@ -184,9 +180,9 @@ class Layer {
             visible: this.visible,
             locked: this.locked,
             color: this.color,
-            depth: this.depth,
-            editorExpanded: this.editorExpanded,
-            gameObjectIds: this.gameObjects.map(obj => obj.id)
+            parallax: { x: this.parallax.x, y: this.parallax.y },
+            collisionMask: this.collisionMask ? [...this.collisionMask] : null,
+            editorExpanded: this.editorExpanded
         };
     }
 
@@ -200,10 +196,16 @@ class Layer {
         layer.visible = json.visible !== undefined ? json.visible : true;
         layer.locked = json.locked !== undefined ? json.locked : false;
         layer.color = json.color || layer.generateRandomColor();
-        layer.depth = json.depth || 0;
+        if (json.parallax) {
+            layer.parallax = {
+                x: typeof json.parallax.x === 'number' ? json.parallax.x : 1,
+                y: typeof json.parallax.y === 'number' ? json.parallax.y : 1
+            };
+        }
+        layer.collisionMask = Array.isArray(json.collisionMask) ? [...json.collisionMask] : null;
         layer.editorExpanded = json.editorExpanded !== undefined ? json.editorExpanded : true;
         return layer;
     }
 }
 
-window.Layer = Layer;
\ No newline at end of file
+window.Layer = Layer;
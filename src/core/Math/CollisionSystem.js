@@ -3,9 +3,9 @@
  */
 class CollisionSystem {
     constructor() {
-        // Store collisions from last frame for collision events
-        this.lastFrameCollisions = new Set();
-        this.currentFrameCollisions = new Set();
+        // Store collisions from last frame for collision events (pair id -> {objA, objB, contact, isTrigger})
+        this.lastFrameCollisions = new Map();
+        this.currentFrameCollisions = new Map();
     }
     
     /**
@@ -292,130 +292,568 @@ class CollisionSystem {
     }
     
     /**
-     * Update the collision system for the current frame
+     * Compute contact information between two collision shapes.
+     * Concave polygons are split into convex parts (see decomposePolygon) and the deepest
+     * contact between the parts is returned.
+     * @param {Object} shapeA - {type: "circle", center, radius} or {type: "polygon", vertices}
+     * @param {Object} shapeB - {type: "circle", center, radius} or {type: "polygon", vertices}
+     * @returns {Object|null} {normal, penetration, point} with the normal pointing from A to B, or null if not touching
+     */
+    computeContact(shapeA, shapeB) {
+        const partsA = this.getConvexParts(shapeA);
+        const partsB = this.getConvexParts(shapeB);
+        if (partsA.length === 1 && partsB.length === 1) {
+            return this.computeConvexContact(partsA[0], partsB[0]);
+        }
+
+        let deepest = null;
+        for (const partA of partsA) {
+            for (const partB of partsB) {
+                const contact = this.computeConvexContact(partA, partB);
+                if (contact && (!deepest || contact.penetration > deepest.penetration)) {
+                    deepest = contact;
+                }
+            }
+        }
+        return deepest;
+    }
+
+    /**
+     * Split a collision shape into convex shapes
+     * @param {Object} shape - {type: "circle", center, radius} or {type: "polygon", vertices}
+     * @returns {Array<Object>} The shape itself if it is convex, otherwise one polygon shape per convex part
+     */
+    getConvexParts(shape) {
+        if (shape.type !== "polygon") return [shape];
+
+        const parts = this.decomposePolygon(shape.vertices);
+        if (parts.length === 1) return [shape];
+        return parts.map(vertices => ({ type: "polygon", vertices }));
+    }
+
+    /**
+     * Compute contact information between two convex collision shapes (SAT)
+     * @param {Object} shapeA - {type: "circle", center, radius} or {type: "polygon", vertices} with convex vertices
+     * @param {Object} shapeB - {type: "circle", center, radius} or {type: "polygon", vertices} with convex vertices
+     * @returns {Object|null} {normal, penetration, point} with the normal pointing from A to B, or null if not touching
+     */
+    computeConvexContact(shapeA, shapeB) {
+        if (shapeA.type === "circle" && shapeB.type === "circle") {
+            return this.circleCircleContact(shapeA, shapeB);
+        }
+        if (shapeA.type === "circle") {
+            return this.circlePolygonContact(shapeA, shapeB.vertices);
+        }
+        if (shapeB.type === "circle") {
+            // Solve from the circle's side and flip back
+            const contact = this.circlePolygonContact(shapeB, shapeA.vertices);
+            if (contact) contact.normal = contact.normal.multiply(-1);
+            return contact;
+        }
+        return this.polygonPolygonContact(shapeA.vertices, shapeB.vertices);
+    }
+
+    /**
+     * Contact between two circles
+     * @param {Object} circleA - {center, radius}
+     * @param {Object} circleB - {center, radius}
+     * @returns {Object|null} Contact info or null
+     */
+    circleCircleContact(circleA, circleB) {
+        const delta = circleB.center.subtract(circleA.center);
+        const distance = delta.magnitude();
+        const radii = circleA.radius + circleB.radius;
+        if (distance > radii) return null;
+
+        const normal = distance > 0 ? delta.divide(distance) : new Vector2(1, 0);
+        const penetration = radii - distance;
+        return {
+            normal: normal,
+            penetration: penetration,
+            point: circleA.center.add(normal.multiply(circleA.radius - penetration / 2))
+        };
+    }
+
+    /**
+     * Contact between a circle and a polygon (SAT with the closest-vertex axis)
+     * @param {Object} circle - {center, radius}
+     * @param {Array<Vector2>} polygon - Polygon vertices
+     * @returns {Object|null} Contact info with the normal pointing from the circle to the polygon, or null
+     */
+    circlePolygonContact(circle, polygon) {
+        let closestVertex = polygon[0];
+        let closestDistance = Infinity;
+        for (const vertex of polygon) {
+            const distance = vertex.distanceSquared(circle.center);
+            if (distance < closestDistance) {
+                closestDistance = distance;
+                closestVertex = vertex;
+            }
+        }
+
+        const axes = this.getAxes(polygon);
+        const vertexAxis = closestVertex.subtract(circle.center);
+        if (vertexAxis.magnitude() > 0) axes.push(vertexAxis.normalize());
+
+        const best = this.findMinimumOverlap(axes, axis => {
+            const centerProjection = circle.center.dot(axis);
+            return { min: centerProjection - circle.radius, max: centerProjection + circle.radius };
+        }, axis => this.projectPolygon(polygon, axis));
+        if (!best) return null;
+
+        // Point the normal from the circle towards the polygon
+        let normal = best.axis;
+        if (this.getCentroid(polygon).subtract(circle.center).dot(normal) < 0) {
+            normal = normal.multiply(-1);
+        }
+
+        return {
+            normal: normal,
+            penetration: best.overlap,
+            point: circle.center.add(normal.multiply(circle.radius - best.overlap / 2))
+        };
+    }
+
+    /**
+     * Contact between two polygons using the Separating Axis Theorem
+     * @param {Array<Vector2>} polygonA - First polygon vertices
+     * @param {Array<Vector2>} polygonB - Second polygon vertices
+     * @returns {Object|null} Contact info with the normal pointing from A to B, or null
+     */
+    polygonPolygonContact(polygonA, polygonB) {
+        const axes = this.getAxes(polygonA).concat(this.getAxes(polygonB));
+        const best = this.findMinimumOverlap(axes,
+            axis => this.projectPolygon(polygonA, axis),
+            axis => this.projectPolygon(polygonB, axis));
+        if (!best) return null;
+
+        let normal = best.axis;
+        if (this.getCentroid(polygonB).subtract(this.getCentroid(polygonA)).dot(normal) < 0) {
+            normal = normal.multiply(-1);
+        }
+
+        // Contact point is the average of the vertices inside (or on) the other polygon,
+        // falling back to midway between the deepest vertices for edge crossings
+        const inside = polygonA.filter(v => this.pointInPolygon(v, polygonB))
+            .concat(polygonB.filter(v => this.pointInPolygon(v, polygonA)));
+        let point;
+        if (inside.length > 0) {
+            point = this.getCentroid(inside);
+        } else {
+            const deepestA = this.getSupportPoint(polygonA, normal);
+            const deepestB = this.getSupportPoint(polygonB, normal.multiply(-1));
+            point = deepestA.add(deepestB).divide(2);
+        }
+
+        return { normal: normal, penetration: best.overlap, point: point };
+    }
+
+    /**
+     * Find the axis with the smallest projection overlap
+     * @param {Array<Vector2>} axes - Normalized axes to test
+     * @param {Function} projectA - axis => {min, max} for the first shape
+     * @param {Function} projectB - axis => {min, max} for the second shape
+     * @returns {Object|null} {axis, overlap} or null if a separating axis exists
+     */
+    findMinimumOverlap(axes, projectA, projectB) {
+        let best = null;
+        for (const axis of axes) {
+            const projectionA = projectA(axis);
+            const projectionB = projectB(axis);
+            const overlap = Math.min(projectionA.max, projectionB.max) - Math.max(projectionA.min, projectionB.min);
+            if (overlap < 0) return null;
+            if (!best || overlap < best.overlap) {
+                best = { axis: axis, overlap: overlap };
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Check if a polygon is convex. Collinear vertices are allowed.
+     * @param {Array<Vector2>} polygon - Polygon vertices (either winding)
+     * @returns {boolean} True if convex
+     */
+    isConvexPolygon(polygon) {
+        let sign = 0;
+        for (let i = 0; i < polygon.length; i++) {
+            const a = polygon[i];
+            const b = polygon[(i + 1) % polygon.length];
+            const c = polygon[(i + 2) % polygon.length];
+            const turn = b.subtract(a).cross(c.subtract(b));
+            if (Math.abs(turn) < 1e-9) continue;
+            if (sign === 0) {
+                sign = Math.sign(turn);
+            } else if (Math.sign(turn) !== sign) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Split a simple polygon into convex parts, since SAT only works on convex shapes.
+     * The polygon is triangulated by ear clipping, then neighbouring parts are merged
+     * while the result stays convex (Hertel-Mehlhorn), so few inner edges remain.
+     * Self-intersecting polygons can't be triangulated and fall back to their convex hull.
+     * @param {Array<Vector2>} polygon - Polygon vertices (either winding)
+     * @returns {Array<Array<Vector2>>} Convex parts, just [polygon] when it is already convex
+     */
+    decomposePolygon(polygon) {
+        if (polygon.length <= 3 || this.isConvexPolygon(polygon)) return [polygon];
+
+        // Winding sign, so "convex corner" means the same for either winding
+        let area = 0;
+        for (let i = 0; i < polygon.length; i++) {
+            area += polygon[i].cross(polygon[(i + 1) % polygon.length]);
+        }
+        const winding = Math.sign(area);
+        const turn = (a, b, c) => b.subtract(a).cross(c.subtract(b)) * winding;
+
+        // Ear clipping
+        const remaining = polygon.slice();
+        const parts = [];
+        while (remaining.length > 3) {
+            let clipped = false;
+            for (let i = 0; i < remaining.length; i++) {
+                const prev = remaining[(i + remaining.length - 1) % remaining.length];
+                const current = remaining[i];
+                const next = remaining[(i + 1) % remaining.length];
+                if (turn(prev, current, next) <= 0) continue; // Reflex or flat corner
+
+                // An ear has no other vertex inside it
+                const blocked = remaining.some(point =>
+                    point !== prev && point !== current && point !== next &&
+                    turn(prev, current, point) > 0 && turn(current, next, point) > 0 && turn(next, prev, point) > 0);
+                if (blocked) continue;
+
+                parts.push([prev, current, next]);
+                remaining.splice(i, 1);
+                clipped = true;
+                break;
+            }
+            if (!clipped) return [this.getConvexHull(polygon)];
+        }
+        parts.push(remaining);
+
+        // Merge parts that share an edge while the result stays convex
+        let merged = true;
+        while (merged) {
+            merged = false;
+            for (let a = 0; a < parts.length && !merged; a++) {
+                for (let b = a + 1; b < parts.length && !merged; b++) {
+                    const combined = this.mergePolygons(parts[a], parts[b]);
+                    if (combined && this.isConvexPolygon(combined)) {
+                        parts[a] = combined;
+                        parts.splice(b, 1);
+                        merged = true;
+                    }
+                }
+            }
+        }
+        return parts;
+    }
+
+    /**
+     * Join two polygons of the same winding along an edge they share
+     * @param {Array<Vector2>} polygonA - First polygon
+     * @param {Array<Vector2>} polygonB - Second polygon
+     * @returns {Array<Vector2>|null} The joined polygon, or null if they share no edge
+     */
+    mergePolygons(polygonA, polygonB) {
+        for (let i = 0; i < polygonA.length; i++) {
+            const from = polygonA[i];
+            const to = polygonA[(i + 1) % polygonA.length];
+            const j = polygonB.indexOf(to);
+            if (j === -1 || polygonB[(j + 1) % polygonB.length] !== from) continue;
+
+            // A from "to" round to "from", then B's vertices between "from" and "to"
+            const result = [];
+            for (let k = 0; k < polygonA.length; k++) {
+                result.push(polygonA[(i + 1 + k) % polygonA.length]);
+            }
+            for (let k = 2; k < polygonB.length; k++) {
+                result.push(polygonB[(j + k) % polygonB.length]);
+            }
+            return result;
+        }
+        return null;
+    }
+
+    /**
+     * Convex hull of a set of points (monotone chain)
+     * @param {Array<Vector2>} points - Points to enclose
+     * @returns {Array<Vector2>} Hull vertices
+     */
+    getConvexHull(points) {
+        const sorted = points.slice().sort((a, b) => a.x - b.x || a.y - b.y);
+        if (sorted.length <= 3) return sorted;
+
+        const chain = (list) => {
+            const result = [];
+            for (const point of list) {
+                while (result.length >= 2 &&
+                    result[result.length - 1].subtract(result[result.length - 2]).cross(point.subtract(result[result.length - 1])) <= 0) {
+                    result.pop();
+                }
+                result.push(point);
+            }
+            result.pop(); // Starts the other chain
+            return result;
+        };
+        return chain(sorted).concat(chain(sorted.slice().reverse()));
+    }
+
+    /**
+     * Average of a list of points
+     * @param {Array<Vector2>} points - Points to average
+     * @returns {Vector2} The centroid
+     */
+    getCentroid(points) {
+        let x = 0;
+        let y = 0;
+        for (const point of points) {
+            x += point.x;
+            y += point.y;
+        }
+        return new Vector2(x / points.length, y / points.length);
+    }
+
+    /**
+     * Get the polygon vertex furthest along a direction
+     * @param {Array<Vector2>} polygon - Polygon vertices
+     * @param {Vector2} direction - Direction to search
+     * @returns {Vector2} The furthest vertex
+     */
+    getSupportPoint(polygon, direction) {
+        let best = polygon[0];
+        let bestProjection = -Infinity;
+        for (const vertex of polygon) {
+            const projection = vertex.dot(direction);
+            if (projection > bestProjection) {
+                bestProjection = projection;
+                best = vertex;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Check if a point lies inside or on the edge of a convex polygon
+     * @param {Vector2} point - Point to test
+     * @param {Array<Vector2>} polygon - Convex polygon vertices (either winding)
+     * @param {number} [tolerance=0.001] - Distance outside an edge still counted as inside
+     * @returns {boolean} True if inside
+     */
+    pointInPolygon(point, polygon, tolerance = 0.001) {
+        let sign = 0;
+        for (let i = 0; i < polygon.length; i++) {
+            const a = polygon[i];
+            const b = polygon[(i + 1) % polygon.length];
+            const edge = b.subtract(a);
+            const length = edge.magnitude();
+            if (length === 0) continue;
+
+            // Signed distance of the point from this edge
+            const side = edge.cross(point.subtract(a)) / length;
+            if (Math.abs(side) <= tolerance) continue;
+            if (sign === 0) {
+                sign = Math.sign(side);
+            } else if (Math.sign(side) !== sign) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Whether an object's collider is a trigger (fires onTrigger* events instead of onCollision*)
+     * @param {GameObject} obj - The object to check
+     * @returns {boolean} True if the object has an enabled trigger Collider
+     */
+    isTrigger(obj) {
+        const collider = obj.getModule ? obj.getModule('Collider') : null;
+        return !!(collider && collider.enabled && collider.isTrigger);
+    }
+
+    /**
+     * Forget all tracked contacts (called when the engine stops)
+     */
+    reset() {
+        this.lastFrameCollisions = new Map();
+        this.currentFrameCollisions = new Map();
+    }
+
+    /**
+     * Update the collision system for the current frame.
+     * Only objects with a collision shape (useCollisions, polygon collision or a Collider module)
+     * take part, and pairs are filtered by each object's collision layer and mask.
      * @param {Array} gameObjects - All active game objects
+     * @param {SpatialHash} [spatialHash] - Broad-phase to find candidate pairs (defaults to the engine's)
      */
-    update(gameObjects) {
+    update(gameObjects, spatialHash = window.engine && window.engine.useSpatialHash ? window.engine.spatialHash : null) {
         // Store last frame's collisions
-        this.lastFrameCollisions = new Set(this.currentFrameCollisions);
-        this.currentFrameCollisions.clear();
-        
-        // Check collisions between all pairs of objects
-        const objCount = gameObjects.length;
-        
+        this.lastFrameCollisions = this.currentFrameCollisions;
+        this.currentFrameCollisions = new Map();
+
+        const colliders = gameObjects.filter(obj => obj.active && obj.hasCollisionShape());
+        const objCount = colliders.length;
+
+        // Index lookup so each pair is only tested once (i < j) when using the broad-phase
+        const indices = new Map();
+        colliders.forEach((obj, index) => indices.set(obj, index));
+
+        // Shapes are built once per object per frame
+        const shapes = new Map();
+        const getShape = obj => {
+            let shape = shapes.get(obj);
+            if (!shape) {
+                shape = obj.getCollisionShape();
+                shapes.set(obj, shape);
+            }
+            return shape;
+        };
+
         for (let i = 0; i < objCount; i++) {
-            const objA = gameObjects[i];
-            
-            if (!objA.active || !objA.collisionEnabled) continue;
-            
-            for (let j = i + 1; j < objCount; j++) {
-                const objB = gameObjects[j];
-                
-                if (!objB.active || !objB.collisionEnabled) continue;
-                
+            const objA = colliders[i];
+
+            let candidates = null;
+            if (spatialHash) {
+                const bounds = objA.getCollisionBounds();
+                candidates = spatialHash.queryRect(bounds.left, bounds.top, bounds.right, bounds.bottom)
+                    .filter(obj => indices.get(obj) > i)
+                    .sort((a, b) => indices.get(a) - indices.get(b));
+            }
+            const candidateCount = candidates ? candidates.length : objCount;
+
+            for (let j = candidates ? 0 : i + 1; j < candidateCount; j++) {
+                const objB = candidates ? candidates[j] : colliders[j];
+
                 // Skip collision check if they're on non-colliding layers
-                if ((objA.collisionLayer & objB.collisionMask) === 0 && 
-                    (objB.collisionLayer & objA.collisionMask) === 0) {
-                    continue;
-                }
-                
-                // Get bounding boxes
-                const boxA = objA.getBoundingBox();
-                const boxB = objB.getBoundingBox();
-                
-                // Check collision
-                if (this.checkCollision(boxA, boxB)) {
-                    // Create a unique identifier for this collision pair
-                    const collisionId = `${objA.id}_${objB.id}`;
-                    
-                    // Store in current frame collisions
-                    this.currentFrameCollisions.add(collisionId);
-                    
-                    // Check if this is a new collision (enter)
-                    const isNewCollision = !this.lastFrameCollisions.has(collisionId);
-                    
-                    // Trigger collision events
-                    if (isNewCollision) {
-                        this.triggerCollisionEnter(objA, objB);
-                    } else {
-                        this.triggerCollisionStay(objA, objB);
-                    }
+                if (!objA.canCollideWith(objB)) continue;
+
+                const contact = this.computeContact(getShape(objA), getShape(objB));
+                if (!contact) continue;
+
+                // Create a unique identifier for this collision pair
+                const collisionId = `${objA.id}_${objB.id}`;
+                const isTrigger = this.isTrigger(objA) || this.isTrigger(objB);
+
+                // Store in current frame collisions
+                this.currentFrameCollisions.set(collisionId, { objA, objB, contact, isTrigger });
+
+                // Check if this is a new collision (enter)
+                const isNewCollision = !this.lastFrameCollisions.has(collisionId);
+
+                // Trigger collision events
+                if (isNewCollision) {
+                    this.triggerCollisionEnter(objA, objB, contact, isTrigger);
+                } else {
+                    this.triggerCollisionStay(objA, objB, contact, isTrigger);
                 }
             }
         }
-        
+
         // Check for collision exit events
-        for (const collisionId of this.lastFrameCollisions) {
+        const present = new Set(gameObjects);
+
+        for (const [collisionId, pair] of this.lastFrameCollisions) {
             if (!this.currentFrameCollisions.has(collisionId)) {
-                // This collision was present last frame but not this frame
-                const [idA, idB] = collisionId.split('_');
-                
-                // Find the objects by ID
-                const objA = gameObjects.find(obj => obj.id === idA);
-                const objB = gameObjects.find(obj => obj.id === idB);
-                
-                // Trigger exit event if objects still exist
-                if (objA && objB) {
-                    this.triggerCollisionExit(objA, objB);
+                // Trigger exit event if objects still exist, with the last known contact
+                if (present.has(pair.objA) && present.has(pair.objB)) {
+                    this.triggerCollisionExit(pair.objA, pair.objB, pair.contact, pair.isTrigger);
                 }
             }
         }
     }
-    
+
     /**
      * Trigger collision enter event
      * @param {GameObject} objA - First object
      * @param {GameObject} objB - Second object
+     * @param {Object} contact - Contact info with the normal pointing from objA to objB
+     * @param {boolean} [isTrigger=false] - Fire onTriggerEnter instead of onCollisionEnter
      */
-    triggerCollisionEnter(objA, objB) {
-        // Call event methods on both objects if they exist
-        if (objA.onCollisionEnter) objA.onCollisionEnter(objB);
-        if (objB.onCollisionEnter) objB.onCollisionEnter(objA);
-        
-        // Also trigger events on modules
-        this.triggerModuleCollisionEvents(objA, objB, 'onCollisionEnter');
-        this.triggerModuleCollisionEvents(objB, objA, 'onCollisionEnter');
+    triggerCollisionEnter(objA, objB, contact, isTrigger = false) {
+        this.dispatchCollisionEvent(objA, objB, isTrigger ? 'onTriggerEnter' : 'onCollisionEnter', contact, isTrigger);
     }
-    
+
     /**
      * Trigger collision stay event
      * @param {GameObject} objA - First object
-     * @param {GameObject} objB - Second object 
+     * @param {GameObject} objB - Second object
+     * @param {Object} contact - Contact info with the normal pointing from objA to objB
+     * @param {boolean} [isTrigger=false] - Fire onTriggerStay instead of onCollisionStay
      */
-    triggerCollisionStay(objA, objB) {
-        if (objA.onCollisionStay) objA.onCollisionStay(objB);
-        if (objB.onCollisionStay) objB.onCollisionStay(objA);
-        
-        this.triggerModuleCollisionEvents(objA, objB, 'onCollisionStay');
-        this.triggerModuleCollisionEvents(objB, objA, 'onCollisionStay');
+    triggerCollisionStay(objA, objB, contact, isTrigger = false) {
+        this.dispatchCollisionEvent(objA, objB, isTrigger ? 'onTriggerStay' : 'onCollisionStay', contact, isTrigger);
     }
-    
+
     /**
      * Trigger collision exit event
      * @param {GameObject} objA - First object
      * @param {GameObject} objB - Second object
+     * @param {Object} contact - Last known contact info with the normal pointing from objA to objB
+     * @param {boolean} [isTrigger=false] - Fire onTriggerExit instead of onCollisionExit
      */
-    triggerCollisionExit(objA, objB) {
-        if (objA.onCollisionExit) objA.onCollisionExit(objB);
-        if (objB.onCollisionExit) objB.onCollisionExit(objA);
-        
-        this.triggerModuleCollisionEvents(objA, objB, 'onCollisionExit');
-        this.triggerModuleCollisionEvents(objB, objA, 'onCollisionExit');
+    triggerCollisionExit(objA, objB, contact, isTrigger = false) {
+        this.dispatchCollisionEvent(objA, objB, isTrigger ? 'onTriggerExit' : 'onCollisionExit', contact, isTrigger);
     }
-    
+
+    /**
+     * Call an event on both objects and their modules. Each side gets its own contact
+     * whose normal points away from itself towards the other object.
+     * @param {GameObject} objA - First object
+     * @param {GameObject} objB - Second object
+     * @param {string} eventName - Name of event to trigger
+     * @param {Object} contact - Contact info with the normal pointing from objA to objB
+     * @param {boolean} isTrigger - Whether the pair is a trigger overlap
+     */
+    dispatchCollisionEvent(objA, objB, eventName, contact, isTrigger) {
+        const contactA = this.createContact(contact, objB, false, isTrigger);
+        const contactB = this.createContact(contact, objA, true, isTrigger);
+
+        // Call event methods on both objects if they exist
+        if (typeof objA[eventName] === 'function') objA[eventName](objB, contactA);
+        if (typeof objB[eventName] === 'function') objB[eventName](objA, contactB);
+
+        // Also trigger events on modules
+        this.triggerModuleCollisionEvents(objA, objB, eventName, contactA);
+        this.triggerModuleCollisionEvents(objB, objA, eventName, contactB);
+    }
+
+    /**
+     * Build the contact object handed to callbacks
+     * @param {Object} contact - {normal, penetration, point}
+     * @param {GameObject} other - The other object in the pair
+     * @param {boolean} flip - Reverse the normal (for the second object)
+     * @param {boolean} isTrigger - Whether the pair is a trigger overlap
+     * @returns {Object} {other, normal, penetration, point, isTrigger}
+     */
+    createContact(contact, other, flip, isTrigger) {
+        return {
+            other: other,
+            normal: flip ? contact.normal.multiply(-1) : contact.normal.clone(),
+            penetration: contact.penetration,
+            point: contact.point.clone(),
+            isTrigger: isTrigger
+        };
+    }
+
     /**
      * Trigger collision events on modules
      * @param {GameObject} obj - Object with modules
      * @param {GameObject} other - Other colliding object
      * @param {string} eventName - Name of event to trigger
+     * @param {Object} [contact] - Contact info from obj's point of view
      */
-    triggerModuleCollisionEvents(obj, other, eventName) {
+    triggerModuleCollisionEvents(obj, other, eventName, contact) {
         if (!obj.modules) return;
-        
+
         obj.modules.forEach(module => {
             if (module.enabled && typeof module[eventName] === 'function') {
                 try {
-                    module[eventName](other);
+                    module[eventName](other, contact);
                 } catch (error) {
                     console.error(`Error in ${eventName} event for module ${module.type || module.constructor.name}:`, error);
                 }
@@ -425,4 +863,4 @@ class CollisionSystem {
 }
 
 // Create a global instance
-window.collisionSystem = new CollisionSystem;
\ No newline at end of file
+window.collisionSystem = new CollisionSystem;
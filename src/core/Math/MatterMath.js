@@ -193,29 +193,39 @@ class MatterMath {
         return (from + amount * (to - from));
     }
 
+    // Returns the next random float in [0, 1) from the engine's seeded RandomService
+    rng() {
+        return (window.randomService ? window.randomService.next() : Math.random());
+    }
+
+    // Reseed every random function (and every module's random stream)
+    setRandomSeed(seed) {
+        if (window.randomService) window.randomService.setSeed(seed);
+    }
+
     // Returns a random floating point from 1 to max value
     random(max) {
-        return ((Math.random() * max) + 1);
+        return ((this.rng() * max) + 1);
     }
 
     // Returns a random floating point from min to max value
     randomRange(min, max) {
-        return (Math.random() * (max - min) + min);
+        return (this.rng() * (max - min) + min);
     }
 
     // Returns a random integer from 1 to max value
     irandom(max) {
-        return (Math.floor((Math.random() * max) + 1));
+        return (Math.floor((this.rng() * max) + 1));
     }
 
     // Returns a random integer from min to max value
     irandomRange(min, max) {
-        return (Math.floor(Math.random() * (max - min) + min));
+        return (Math.floor(this.rng() * (max - min) + min));
     }
 
     // Returns either true or false
     randomBool() {
-        return (Math.random() >= 0.5);
+        return (this.rng() >= 0.5);
     }
 
     // Choose a random item out of a bunch of given items
@@ -223,7 +233,7 @@ class MatterMath {
         if (items.length === 0) {
             throw new Error('No items provided to choose from.');
         }
-        const randomIndex = Math.floor(Math.random() * items.length);
+        const randomIndex = Math.floor(this.rng() * items.length);
 
         return items[randomIndex];
     }
@@ -325,20 +335,18 @@ class MatterMath {
 
     // Seeded random number generator for deterministic maze generation
     seededRandom(seed) {
-        let x = Math.sin(seed) * 10000;
-        return function () {
-            x = Math.sin(x) * 10000;
-            return x - Math.floor(x);
-        };
+        const stream = new SeededRandom(seed);
+        return () => stream.next();
     }
 
     // General seeded random number generator for consistent generation
     seededRandomGeneral(seed) {
-        let x = Math.sin(seed) * 10000;
-        return function () {
-            x = Math.sin(x) * 10000;
-            return x - Math.floor(x);
-        };
+        return this.seededRandom(seed);
+    }
+
+    // Stateless hash of a number to [0, 1), the same on every machine (good for position-based noise)
+    hashRandom(value) {
+        return (RandomService.hash(value));
     }
 
     // Execute javascript code from a string
@@ -0,0 +1,277 @@
+/**
+ * SeededRandom - A small deterministic random number stream (mulberry32)
+ *
+ * Only integer math (Math.imul, shifts) is used so the same seed produces the
+ * same sequence in every browser and in exported games.
+ */
+class SeededRandom {
+    /**
+     * Create a new stream
+     * @param {number|string} seed - Seed for the stream
+     */
+    constructor(seed = 0) {
+        this.setSeed(seed);
+    }
+
+    /**
+     * Restart the stream from a seed
+     * @param {number|string} seed - Seed for the stream
+     */
+    setSeed(seed) {
+        this.seed = seed;
+        this.state = RandomService.hashSeed(seed);
+    }
+
+    /**
+     * Get the next float in [0, 1)
+     * @returns {number} Random float
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) | 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Get a float in [min, max)
+     * @param {number} min - Minimum value
+     * @param {number} max - Maximum value
+     * @returns {number} Random float
+     */
+    range(min, max) {
+        return this.next() * (max - min) + min;
+    }
+
+    /**
+     * Get an integer in [min, max] (both inclusive)
+     * @param {number} min - Minimum value
+     * @param {number} max - Maximum value
+     * @returns {number} Random integer
+     */
+    int(min, max) {
+        return Math.floor(this.next() * (max - min + 1)) + min;
+    }
+
+    /**
+     * Get true with the given probability
+     * @param {number} [chance=0.5] - Probability of true (0-1)
+     * @returns {boolean} Random boolean
+     */
+    bool(chance = 0.5) {
+        return this.next() < chance;
+    }
+
+    /**
+     * Pick a random item from an array
+     * @param {Array} items - Items to choose from
+     * @returns {*} The chosen item (undefined for an empty array)
+     */
+    choose(items) {
+        return items[Math.floor(this.next() * items.length)];
+    }
+
+    /**
+     * Shuffle an array in place (Fisher-Yates)
+     * @param {Array} items - Items to shuffle
+     * @returns {Array} The same array
+     */
+    shuffle(items) {
+        for (let i = items.length - 1; i > 0; i--) {
+            const j = Math.floor(this.next() * (i + 1));
+            [items[i], items[j]] = [items[j], items[i]];
+        }
+        return items;
+    }
+
+    /**
+     * Get the stream position so it can be restored later
+     * @returns {number} Internal state
+     */
+    getState() {
+        return this.state;
+    }
+
+    /**
+     * Restore a position saved with getState()
+     * @param {number} state - Internal state
+     */
+    setState(state) {
+        this.state = state | 0;
+    }
+}
+
+/**
+ * RandomService - Engine-level source of randomness
+ *
+ * Holds a root stream plus named sub-streams derived from the same seed. Each
+ * procedural module draws from its own named stream, so adding randomness to one
+ * module doesn't shift the numbers another module sees. Reseeding restarts every
+ * stream, and getState()/setState() capture all of them for saves and replays.
+ */
+class RandomService {
+    /**
+     * Create a new RandomService
+     * @param {number|string} [seed] - Initial seed (defaults to a time-based seed)
+     */
+    constructor(seed = RandomService.generateSeed()) {
+        this.streams = new Map(); // name -> SeededRandom
+        this.setSeed(seed);
+    }
+
+    /**
+     * Make a fresh seed from the clock, for runs that don't ask for a fixed seed
+     * @returns {number} A 32-bit unsigned seed
+     */
+    static generateSeed() {
+        return RandomService.hashSeed(Date.now() + Math.floor(Math.random() * 1e9));
+    }
+
+    /**
+     * Parse a seed typed into a text field
+     * @param {string|number|null} value - Field value
+     * @returns {number|string|null} A number for numeric input, the trimmed string otherwise, or null when empty
+     */
+    static parseSeed(value) {
+        if (value === null || value === undefined) return null;
+        const text = String(value).trim();
+        if (text === '') return null;
+        return isFinite(Number(text)) ? Number(text) : text;
+    }
+
+    /**
+     * Turn any number or string into a 32-bit integer seed
+     * @param {number|string} seed - Seed value
+     * @returns {number} 32-bit unsigned integer
+     */
+    static hashSeed(seed) {
+        if (typeof seed === 'string') {
+            return RandomService.hashString(seed);
+        }
+        if (Number.isInteger(seed) && Math.abs(seed) <= 0xFFFFFFFF) {
+            return seed >>> 0;
+        }
+        return Math.floor(RandomService.hash(Number(seed) || 0) * 4294967296) >>> 0;
+    }
+
+    /**
+     * FNV-1a hash of a string
+     * @param {string} str - String to hash
+     * @returns {number} 32-bit unsigned integer
+     */
+    static hashString(str) {
+        let h = 0x811C9DC5;
+        for (let i = 0; i < str.length; i++) {
+            h ^= str.charCodeAt(i);
+            h = Math.imul(h, 0x01000193);
+        }
+        return h >>> 0;
+    }
+
+    /**
+     * Hash a number to a float in [0, 1). Stateless, so it suits position-based
+     * noise where the same input must always give the same value.
+     * @param {number} value - Any finite number (fractions are hashed exactly)
+     * @returns {number} Float in [0, 1)
+     */
+    static hash(value) {
+        RandomService._hashFloat[0] = value === 0 ? 0 : value; // Treat -0 as 0
+        const words = RandomService._hashWords;
+        let h = Math.imul(words[0] ^ 0x9E3779B9, 0x85EBCA6B);
+        h ^= h >>> 13;
+        h = Math.imul(h ^ words[1], 0xC2B2AE35);
+        h ^= h >>> 16;
+        h = Math.imul(h, 0x85EBCA6B);
+        h ^= h >>> 13;
+        h = Math.imul(h, 0xC2B2AE35);
+        h ^= h >>> 16;
+        return (h >>> 0) / 4294967296;
+    }
+
+    /**
+     * Restart the root stream and every named stream from a new seed
+     * @param {number|string} seed - The new seed
+     */
+    setSeed(seed) {
+        this.seed = seed;
+        this.root = new SeededRandom(seed);
+        for (const [name, stream] of this.streams) {
+            stream.setSeed(this.deriveSeed(name));
+        }
+    }
+
+    /**
+     * Seed for a named stream, derived from the service seed
+     * @param {string} name - Stream name
+     * @returns {number} 32-bit unsigned integer
+     */
+    deriveSeed(name) {
+        return (RandomService.hashSeed(this.seed) ^ RandomService.hashString(String(name))) >>> 0;
+    }
+
+    /**
+     * Get (or create) a named sub-stream, e.g. one per module type
+     * @param {string} name - Stream name
+     * @returns {SeededRandom} The stream
+     */
+    stream(name) {
+        let stream = this.streams.get(name);
+        if (!stream) {
+            stream = new SeededRandom(this.deriveSeed(name));
+            this.streams.set(name, stream);
+        }
+        return stream;
+    }
+
+    /**
+     * Create an unregistered stream from an explicit seed, for generators
+     * that carry their own seed (e.g. a tilemap or maze seed property)
+     * @param {number|string} seed - Seed for the stream
+     * @returns {SeededRandom} A new stream
+     */
+    createStream(seed) {
+        return new SeededRandom(seed);
+    }
+
+    /**
+     * Get the next float in [0, 1) from the root stream
+     * @returns {number} Random float
+     */
+    next() {
+        return this.root.next();
+    }
+
+    /**
+     * Capture the seed and position of every stream
+     * @returns {Object} Serializable state
+     */
+    getState() {
+        const streams = {};
+        for (const [name, stream] of this.streams) {
+            streams[name] = stream.getState();
+        }
+        return { seed: this.seed, root: this.root.getState(), streams: streams };
+    }
+
+    /**
+     * Restore a state captured with getState()
+     * @param {Object} state - State from getState()
+     */
+    setState(state) {
+        if (!state) return;
+        this.setSeed(state.seed);
+        this.root.setState(state.root);
+        for (const name of Object.keys(state.streams || {})) {
+            this.stream(name).setState(state.streams[name]);
+        }
+    }
+}
+
+// Shared buffers for RandomService.hash
+RandomService._hashFloat = new Float64Array(1);
+RandomService._hashWords = new Uint32Array(RandomService._hashFloat.buffer);
+
+window.SeededRandom = SeededRandom;
+window.RandomService = RandomService;
+window.randomService = new RandomService(); // Engine-wide instance
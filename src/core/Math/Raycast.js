@@ -8,7 +8,7 @@ class Raycast {
      * @param {Vector2} direction - Direction of the ray
      * @param {number} [maxDistance=Infinity] - Maximum distance to check
      * @param {Array} [gameObjects=[]] - GameObjects to check against
-     * @param {number} [layerMask=0xFFFF] - Layer mask for filtering objects
+     * @param {number} [layerMask=0xFFFF] - Bit mask of the collision layers to hit (bit n = layer n)
      * @param {GameObject} [ignoreObject=null] - Object to ignore during raycast (usually the caller)
      * @returns {Object|null} Hit information or null if no hit
      */
@@ -39,8 +39,8 @@ class Raycast {
                 continue;
             }
             
-            // Apply layer mask filtering
-            if ((obj.collisionLayer & layerMask) === 0) {
+            // Apply layer mask filtering (collisionLayer is a layer index, like in canCollideWith)
+            if (((1 << (obj.collisionLayer || 0)) & layerMask) === 0) {
                 continue;
             }
             
@@ -94,12 +94,12 @@ class Raycast {
      * @param {Vector2} origin - Starting point of the ray
      * @param {Vector2} direction - Direction of the ray
      * @param {number} [maxDistance=Infinity] - Maximum distance to check
-     * @param {Array} [gameObjects=[]] - GameObjects to check against
-     * @param {number} [layerMask=0xFFFF] - Layer mask for filtering objects
+     * @param {Array|null} [gameObjects=null] - GameObjects to check against (null searches the whole scene via the spatial hash)
+     * @param {number} [layerMask=0xFFFF] - Bit mask of the collision layers to hit (bit n = layer n)
      * @param {GameObject} [ignoreObject=null] - Object to ignore during raycast (usually the caller)
      * @returns {Array} Array of hit information
      */
-    static castAll(origin, direction, maxDistance = Infinity, gameObjects = [], layerMask = 0xFFFF, ignoreObject = null) {
+    static castAll(origin, direction, maxDistance = Infinity, gameObjects = null, layerMask = 0xFFFF, ignoreObject = null) {
         // Normalize the direction
         const normalizedDirection = direction.normalize();
         
@@ -112,9 +112,9 @@ class Raycast {
         // Array to store all hits
         const hits = [];
         
-        // Check all active game objects
-        for (const obj of gameObjects) {
-            if (!obj.active || (!obj.useCollisions && !obj.usePolygonCollision) || obj !== this.gameObject) {
+        // Check all active game objects the ray passes near
+        for (const obj of this.getRayCandidates(origin, normalizedDirection, maxDistance, gameObjects)) {
+            if (!obj.active || (!obj.useCollisions && !obj.usePolygonCollision)) {
                 continue;
             }
             
@@ -123,8 +123,8 @@ class Raycast {
                 continue;
             }
             
-            // Apply layer mask filtering
-            if ((obj.collisionLayer & layerMask) === 0) {
+            // Apply layer mask filtering (collisionLayer is a layer index, like in canCollideWith)
+            if (((1 << (obj.collisionLayer || 0)) & layerMask) === 0) {
                 continue;
             }
             
@@ -168,6 +168,27 @@ class Raycast {
         return hits;
     }
     
+    /**
+     * Narrow the objects a ray has to be tested against using the engine's spatial hash
+     * @param {Vector2} origin - Starting point of the ray
+     * @param {Vector2} direction - Normalized direction of the ray
+     * @param {number} maxDistance - Maximum distance to check
+     * @param {Array|null} gameObjects - Objects to restrict the search to, or null for the whole scene
+     * @returns {Array} GameObjects that may be hit
+     */
+    static getRayCandidates(origin, direction, maxDistance, gameObjects) {
+        const engine = window.engine;
+        if (!engine || !engine.canUseSpatialHash || !isFinite(maxDistance) || !engine.canUseSpatialHash()) {
+            return gameObjects || (engine ? engine.getAllObjects() : []);
+        }
+
+        const candidates = engine.spatialHash.queryRay(origin, direction, maxDistance);
+        if (!gameObjects) return candidates;
+
+        const allowed = new Set(gameObjects);
+        return candidates.filter(obj => allowed.has(obj));
+    }
+
     /**
      * Perform raycast against a Matter.js physics body
      * @param {Object} ray - Ray with origin and direction
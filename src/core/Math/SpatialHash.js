@@ -0,0 +1,330 @@
+/**
+ * SpatialHash - Uniform grid broad-phase for GameObjects
+ *
+ * The engine rebuilds the hash once per frame from every GameObject's collision bounds,
+ * and refreshes each object right after its beginLoop, loop and endLoop so objects that
+ * move or teleport during the frame are found where they are now. Code that moves other
+ * objects can call refresh() on them. Queries only return candidates - callers still do
+ * their exact collision/distance checks.
+ */
+class SpatialHash {
+    /**
+     * Create a new SpatialHash
+     * @param {number} cellSize - Size of each grid cell in world units
+     */
+    constructor(cellSize = 128) {
+        this.cellSize = cellSize;
+        this.queryMargin = 0; // Extra world units added to queries
+        this.maxCellsPerObject = 64; // Objects covering more cells than this are kept in largeObjects instead
+
+        this.cells = new Map(); // "cx,cy" -> Array<GameObject>
+        this.objectCells = new Map(); // GameObject -> Array<string> cell keys
+        this.objectRanges = new Map(); // GameObject -> "minX,minY,maxX,maxY" cell range it was inserted with
+        this.largeObjects = new Set(); // Objects too big to hash, returned by every query
+        this.byName = new Map(); // name -> Array<GameObject>
+    }
+
+    /**
+     * Change the cell size. Takes effect on the next rebuild.
+     * @param {number} cellSize - Size of each grid cell in world units
+     */
+    setCellSize(cellSize) {
+        this.cellSize = Math.max(1, cellSize);
+    }
+
+    /**
+     * Remove every object from the hash
+     */
+    clear() {
+        this.cells.clear();
+        this.objectCells.clear();
+        this.objectRanges.clear();
+        this.largeObjects.clear();
+        this.byName.clear();
+    }
+
+    /**
+     * Clear the hash and insert all given objects
+     * @param {Array<GameObject>} gameObjects - Flat list of objects to insert
+     */
+    rebuild(gameObjects) {
+        this.clear();
+        for (const obj of gameObjects) {
+            this.insert(obj);
+        }
+    }
+
+    /**
+     * Get the cell coordinate for a world coordinate
+     * @param {number} value - World coordinate
+     * @returns {number} Cell coordinate
+     */
+    toCell(value) {
+        return Math.floor(value / this.cellSize);
+    }
+
+    /**
+     * Insert an object using its current collision bounds (falls back to the bounding box)
+     * @param {GameObject} obj - The object to insert
+     */
+    insert(obj) {
+        if (!obj || this.objectCells.has(obj) || this.largeObjects.has(obj)) return;
+
+        if (obj.name !== undefined) {
+            let named = this.byName.get(obj.name);
+            if (!named) {
+                named = [];
+                this.byName.set(obj.name, named);
+            }
+            named.push(obj);
+        }
+
+        const { minX, minY, maxX, maxY } = this.getCellRange(obj);
+        this.objectRanges.set(obj, `${minX},${minY},${maxX},${maxY}`);
+
+        if (!isFinite(minX + maxX + minY + maxY) ||
+            (maxX - minX + 1) * (maxY - minY + 1) > this.maxCellsPerObject) {
+            this.largeObjects.add(obj);
+            return;
+        }
+
+        const keys = [];
+        for (let cx = minX; cx <= maxX; cx++) {
+            for (let cy = minY; cy <= maxY; cy++) {
+                const key = `${cx},${cy}`;
+                let cell = this.cells.get(key);
+                if (!cell) {
+                    cell = [];
+                    this.cells.set(key, cell);
+                }
+                cell.push(obj);
+                keys.push(key);
+            }
+        }
+        this.objectCells.set(obj, keys);
+    }
+
+    /**
+     * Get the cells an object's current collision bounds (or bounding box) cover
+     * @param {GameObject} obj - The object
+     * @returns {Object} { minX, minY, maxX, maxY } in cell coordinates
+     */
+    getCellRange(obj) {
+        const box = typeof obj.getCollisionBounds === 'function' ? obj.getCollisionBounds() : obj.getBoundingBox();
+        return {
+            minX: this.toCell(box.left),
+            minY: this.toCell(box.top),
+            maxX: this.toCell(box.right),
+            maxY: this.toCell(box.bottom)
+        };
+    }
+
+    /**
+     * Remove an object from the hash
+     * @param {GameObject} obj - The object to remove
+     */
+    remove(obj) {
+        if (!obj) return;
+
+        const keys = this.objectCells.get(obj);
+        if (keys) {
+            for (const key of keys) {
+                const cell = this.cells.get(key);
+                if (!cell) continue;
+                const index = cell.indexOf(obj);
+                if (index > -1) cell.splice(index, 1);
+                if (cell.length === 0) this.cells.delete(key);
+            }
+            this.objectCells.delete(obj);
+        }
+        this.objectRanges.delete(obj);
+        this.largeObjects.delete(obj);
+
+        const named = this.byName.get(obj.name);
+        if (named) {
+            const index = named.indexOf(obj);
+            if (index > -1) named.splice(index, 1);
+            if (named.length === 0) this.byName.delete(obj.name);
+        }
+    }
+
+    /**
+     * Re-insert an object after it moved or resized
+     * @param {GameObject} obj - The object to update
+     */
+    update(obj) {
+        this.remove(obj);
+        this.insert(obj);
+    }
+
+    /**
+     * Move an object that is in the hash to the cells its bounds cover now.
+     * Cheap when it stayed in the same cells.
+     * @param {GameObject} obj - The object to refresh
+     * @returns {boolean} True if the object changed cells
+     */
+    refresh(obj) {
+        const stored = this.objectRanges.get(obj);
+        if (stored === undefined) return false;
+
+        const { minX, minY, maxX, maxY } = this.getCellRange(obj);
+        if (stored === `${minX},${minY},${maxX},${maxY}`) return false;
+
+        this.update(obj);
+        return true;
+    }
+
+    /**
+     * Whether the object is currently stored in the hash
+     * @param {GameObject} obj - The object to check
+     * @returns {boolean} True if the object is in the hash
+     */
+    has(obj) {
+        return this.objectCells.has(obj) || this.largeObjects.has(obj);
+    }
+
+    /**
+     * Get all objects whose cells overlap a world-space rectangle
+     * @param {number} left - Left edge
+     * @param {number} top - Top edge
+     * @param {number} right - Right edge
+     * @param {number} bottom - Bottom edge
+     * @returns {Array<GameObject>} Candidate objects (no duplicates)
+     */
+    queryRect(left, top, right, bottom) {
+        const margin = this.queryMargin;
+        const minX = this.toCell(left - margin);
+        const maxX = this.toCell(right + margin);
+        const minY = this.toCell(top - margin);
+        const maxY = this.toCell(bottom + margin);
+
+        const result = new Set(this.largeObjects);
+
+        // Huge or infinite queries are cheaper as a walk over the occupied cells
+        const queryCells = (maxX - minX + 1) * (maxY - minY + 1);
+        if (!isFinite(queryCells) || queryCells > this.cells.size) {
+            for (const [key, cell] of this.cells) {
+                const [cx, cy] = key.split(',').map(Number);
+                if (cx < minX || cx > maxX || cy < minY || cy > maxY) continue;
+                for (const obj of cell) result.add(obj);
+            }
+            return Array.from(result);
+        }
+
+        for (let cx = minX; cx <= maxX; cx++) {
+            for (let cy = minY; cy <= maxY; cy++) {
+                const cell = this.cells.get(`${cx},${cy}`);
+                if (!cell) continue;
+                for (const obj of cell) result.add(obj);
+            }
+        }
+        return Array.from(result);
+    }
+
+    /**
+     * Get all objects whose cells overlap a circle
+     * @param {number} x - Circle center x
+     * @param {number} y - Circle center y
+     * @param {number} radius - Circle radius
+     * @returns {Array<GameObject>} Candidate objects (no duplicates)
+     */
+    queryRadius(x, y, radius) {
+        return this.queryRect(x - radius, y - radius, x + radius, y + radius);
+    }
+
+    /**
+     * Get all objects whose cells are crossed by a ray, walking the grid cell by cell
+     * @param {Vector2} origin - Ray origin
+     * @param {Vector2} direction - Normalized ray direction
+     * @param {number} maxDistance - Maximum ray length (must be finite)
+     * @returns {Array<GameObject>} Candidate objects (no duplicates)
+     */
+    queryRay(origin, direction, maxDistance) {
+        const result = new Set(this.largeObjects);
+        const size = this.cellSize;
+
+        let cx = this.toCell(origin.x);
+        let cy = this.toCell(origin.y);
+        const stepX = direction.x > 0 ? 1 : -1;
+        const stepY = direction.y > 0 ? 1 : -1;
+
+        // Distance along the ray to the next cell boundary on each axis
+        const nextBoundaryX = (cx + (stepX > 0 ? 1 : 0)) * size;
+        const nextBoundaryY = (cy + (stepY > 0 ? 1 : 0)) * size;
+        let tMaxX = direction.x !== 0 ? (nextBoundaryX - origin.x) / direction.x : Infinity;
+        let tMaxY = direction.y !== 0 ? (nextBoundaryY - origin.y) / direction.y : Infinity;
+        const tDeltaX = direction.x !== 0 ? size / Math.abs(direction.x) : Infinity;
+        const tDeltaY = direction.y !== 0 ? size / Math.abs(direction.y) : Infinity;
+
+        // Also look one cell either side of the ray (more with a query margin)
+        const spread = Math.max(1, Math.ceil(this.queryMargin / size));
+        const collect = (x, y) => {
+            for (let ox = -spread; ox <= spread; ox++) {
+                for (let oy = -spread; oy <= spread; oy++) {
+                    const cell = this.cells.get(`${x + ox},${y + oy}`);
+                    if (!cell) continue;
+                    for (const obj of cell) result.add(obj);
+                }
+            }
+        };
+
+        let t = 0;
+        while (t <= maxDistance) {
+            collect(cx, cy);
+            if (tMaxX < tMaxY) {
+                t = tMaxX;
+                tMaxX += tDeltaX;
+                cx += stepX;
+            } else {
+                t = tMaxY;
+                tMaxY += tDeltaY;
+                cy += stepY;
+            }
+        }
+
+        return Array.from(result);
+    }
+
+    /**
+     * Get all objects with an exact name
+     * @param {string} name - GameObject name
+     * @returns {Array<GameObject>} Objects with that name
+     */
+    queryName(name) {
+        return this.byName.get(name) || [];
+    }
+
+    /**
+     * Draw occupied cells and their object counts (call inside the viewport transform)
+     * @param {CanvasRenderingContext2D} ctx - The rendering context
+     */
+    drawDebug(ctx) {
+        const size = this.cellSize;
+
+        ctx.save();
+        ctx.lineWidth = 1;
+        ctx.font = '10px Arial';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'top';
+
+        for (const [key, cell] of this.cells) {
+            const [cx, cy] = key.split(',').map(Number);
+            const x = cx * size;
+            const y = cy * size;
+
+            // Redder cells hold more objects
+            const heat = Math.min(1, cell.length / 16);
+            ctx.fillStyle = `rgba(${Math.round(255 * heat)}, ${Math.round(200 * (1 - heat))}, 80, 0.15)`;
+            ctx.fillRect(x, y, size, size);
+            ctx.strokeStyle = 'rgba(0, 255, 200, 0.5)';
+            ctx.strokeRect(x, y, size, size);
+
+            ctx.fillStyle = '#ffffff';
+            ctx.fillText(String(cell.length), x + 3, y + 3);
+        }
+
+        ctx.restore();
+    }
+}
+
+window.SpatialHash = SpatialHash;
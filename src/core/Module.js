@@ -9,11 +9,29 @@
  * 1. preload - Called before the game starts, used for loading assets
  * 2. start - Called once when the module is first activated
  * 3. beginLoop - Called at the start of each frame
- * 4. loop - Called every frame (main update logic)
- * 5. endLoop - Called at the end of each frame
- * 6. draw - Called when the module should render
- * 7. onDestroy - Called when the module is being destroyed
+ * 4. fixedLoop - Called at a constant tick rate when the engine uses a fixed timestep
+ * 5. loop - Called every frame (main update logic)
+ * 6. endLoop - Called at the end of each frame
+ * 7. draw - Called when the module should render
+ * 8. onDestroy - Called when the module is being destroyed
+ *
+ * Pooled objects (see ObjectPool) are started again each time they are reused, then get
+ * onSpawnFromPool(); they get onReturnToPool() instead of onDestroy() when they go back.
+ *
+ * Objects marked dontDestroyOnLoad survive Engine.changeScene and get onSceneLoaded(scene)
+ * once the new scene has started.
+ *
+ * NOTE: fixedLoop only runs when window.engine.useFixedTimestep is enabled. Put movement
+ * and physics integration there (see isFixedTimestep()) and read this.interpolationAlpha
+ * in draw() if you render state that is not stored on the GameObject transform.
  * 
+ * Collision events: onCollisionEnter/Stay/Exit(other, contact) and onTriggerEnter/Stay/Exit(other, contact)
+ * are called by the CollisionSystem. contact = { normal, penetration, point, isTrigger }.
+ *
+ * Multiplayer: properties exposed with { replicated: true } are synced to the other players
+ * (see NetworkReplication), and methods listed in static rpcMethods can be called on the
+ * other copies of the module with this.rpc(method, ...args).
+ *
  * 
  * NOTE: If you want to draw to a position relative to the viewport, you need to make sure
  * to set the gameObject's position to (0, 0) inside the module's loop method, to prevent any offset.
@@ -124,6 +142,43 @@ class Module {
         }
     }
 
+    /**
+     * Called at a constant rate when the engine runs a fixed timestep
+     * Use this for physics and movement that must behave the same at any frame rate
+     * @param {number} deltaTime - Fixed tick length in seconds
+     */
+    fixedLoop(deltaTime) {
+        // Override in subclass to implement fixed rate simulation
+    }
+
+    /**
+     * Whether the engine is currently running a fixed timestep simulation
+     * @returns {boolean} True if fixedLoop() is being called
+     */
+    isFixedTimestep() {
+        const engine = this.engine || window.engine;
+        return !!(engine && engine.useFixedTimestep);
+    }
+
+    /**
+     * Blend factor (0..1) between the previous and current fixed tick, for use in draw()
+     * @returns {number} Interpolation alpha, 1 when no fixed timestep is used
+     */
+    get interpolationAlpha() {
+        const engine = this.engine || window.engine;
+        return engine && engine.useFixedTimestep ? engine.interpolationAlpha : 1;
+    }
+
+    /**
+     * Get a named random stream from the engine's RandomService. Streams are derived
+     * from the engine seed, so the same seed gives the same numbers on every run.
+     * @param {string} [name] - Stream name (defaults to this module's type)
+     * @returns {SeededRandom} Stream with next(), range(), int(), bool(), choose(), shuffle()
+     */
+    getRandom(name = this.type) {
+        return window.randomService.stream(name);
+    }
+
     /**
      * Called at the end of each frame
      * Useful for post-update operations
@@ -148,6 +203,31 @@ class Module {
         // Override in subclass to implement cleanup behavior
     }
 
+    /**
+     * Called when a pooled object is taken from its pool, after start()
+     * Use this to reset state that start() doesn't
+     */
+    onSpawnFromPool() {
+        // Override in subclass to reset reused objects
+    }
+
+    /**
+     * Called instead of onDestroy when a pooled object goes back to its pool
+     * Use this to release resources that start() creates again (bodies, listeners, sounds)
+     */
+    onReturnToPool() {
+        // Override in subclass to park reused objects
+    }
+
+    /**
+     * Called on modules of persistent objects (dontDestroyOnLoad) after Engine.changeScene
+     * has started the new scene
+     * @param {Scene} scene - The scene that was loaded
+     */
+    onSceneLoaded(scene) {
+        // Override in subclass to react to scene changes
+    }
+
     /**
      * Called when the module is attached to a GameObject
      * @param {GameObject} gameObject - The GameObject this module is attached to
@@ -318,7 +398,20 @@ class Module {
         const absoluteX = x;
         const absoluteY = y;
 
-        const objects = window.engine.findNearestObjectsByName(absoluteX, absoluteY, name, rangeFromPoint);
+        // Only objects near our own bounds can collide, so ask the engine's broad-phase for those.
+        // Query with our live collision bounds, the bounds the spatial hash indexes objects by
+        // (objects are re-hashed as they update, see SpatialHash.refresh)
+        let objects;
+        if (window.engine.canUseSpatialHash && window.engine.canUseSpatialHash()) {
+            window.engine.spatialHash.refresh(this.gameObject);
+            const box = this.gameObject.getCollisionBounds();
+            const distanceTo = obj => Math.hypot(obj.position.x - absoluteX, obj.position.y - absoluteY);
+            objects = window.engine.queryObjectsInRect(box.left, box.top, box.right, box.bottom, name)
+                .filter(obj => distanceTo(obj) < rangeFromPoint)
+                .sort((a, b) => distanceTo(a) - distanceTo(b));
+        } else {
+            objects = window.engine.findNearestObjectsByName(absoluteX, absoluteY, name, rangeFromPoint);
+        }
 
         if (!objects || objects.length === 0) return null;
 
@@ -417,6 +510,7 @@ class Module {
 
     /** 
      *  Create a new instance of a GameObject by name
+     *  Instances come from window.poolManager (keyed by gameObjectName) while pooling is enabled
      */
     instanceCreate(x, y, gameObjectName, destroyOriginal = true, startInvisible = false) {
         if (window.engine) {
@@ -427,8 +521,9 @@ class Module {
                 obj = window.engine.objectsToCreate.get(gameObjectName);
                 
                 // IMPORTANT: Check if the object in scene has been updated (newer version exists)
+                // Spawned instances share the template's name, so they don't count
                 const sceneObj = this.getGameObjectByName(gameObjectName);
-                if (sceneObj) {
+                if (sceneObj && !sceneObj._isDynamic) {
                     // Found a newer version in the scene - update the cache
                     console.log(`Found updated version of '${gameObjectName}' in scene - refreshing cache`);
                     const template = sceneObj.clone();
@@ -472,14 +567,25 @@ class Module {
             }
 
             if (obj) {
-                const clone = obj.clone();
-                if (startInvisible) {
-                    clone.visible = false;
-                }
+                const template = obj;
+                let clone;
 
-                clone.position = new Vector2(x, y);
-                clone.start();
-                window.engine.addGameObject(clone);
+                if (window.poolManager && window.poolManager.enabled) {
+                    clone = window.poolManager.spawn(gameObjectName, () => template.clone(), x, y, {
+                        setup: (instance) => {
+                            if (startInvisible) instance.visible = false;
+                        }
+                    });
+                } else {
+                    clone = template.clone();
+                    if (startInvisible) {
+                        clone.visible = false;
+                    }
+
+                    clone.position = new Vector2(x, y);
+                    clone.start();
+                    window.engine.addGameObject(clone);
+                }
 
                 console.log(`Module ${this.name} created instance of '${gameObjectName}' at (${Math.round(x)}, ${Math.round(y)})`);
 
@@ -778,7 +884,8 @@ class Module {
      * @param {string} name - Property name
      * @param {string} type - Property type (string, number, boolean, etc.)
      * @param {any} defaultValue - Default value
-     * @param {Object} options - Additional options (min, max, step, etc.)
+     * @param {Object} options - Additional options (min, max, step, etc.). `saveable: true` keeps
+     *     the value in save games, `replicated` syncs it in multiplayer (see NetworkReplication)
      */
     exposeProperty(name, type, defaultValue, options = {}) {
         if (!this.exposedProperties) {
@@ -1044,6 +1151,85 @@ class Module {
         return this;
     }
 
+    /**
+     * Get the values saved in save games: properties exposed with { saveable: true }.
+     * Override to save extra runtime state (call super and add to the result).
+     * @returns {Object} Property name -> JSON-safe value
+     */
+    getSaveData() {
+        const data = {};
+        for (const prop of this.exposedProperties || []) {
+            if (!prop.options || !prop.options.saveable || prop.name in data) continue;
+
+            const value = this[prop.name];
+            if (value instanceof Vector2) {
+                data[prop.name] = { x: value.x, y: value.y };
+            } else if (value && typeof value === 'object' && typeof value.toJSON === 'function') {
+                data[prop.name] = value.toJSON();
+            } else if (value !== undefined) {
+                data[prop.name] = value && typeof value === 'object' ? JSON.parse(JSON.stringify(value)) : value;
+            }
+        }
+        return data;
+    }
+
+    /**
+     * Restore values from getSaveData() when a save game is loaded
+     * @param {Object} data - Property name -> value
+     */
+    loadSaveData(data) {
+        for (const name of Object.keys(data)) {
+            const value = data[name];
+            if (this[name] instanceof Vector2 && value) {
+                this[name].x = value.x;
+                this[name].y = value.y;
+            } else if (this[name] && typeof this[name] === 'object' && typeof this[name].fromJSON === 'function' && value) {
+                this[name].fromJSON(value);
+            } else {
+                this[name] = value;
+            }
+        }
+    }
+
+    /**
+     * Call a method on every copy of this module that should run it (multiplayer).
+     * The method must be listed in the class's static rpcMethods with its default target:
+     *
+     *     static rpcMethods = { applyDamage: 'owner' };
+     *     this.rpc('applyDamage', 10);
+     *
+     * Calls are delivered reliably and in no particular order. Arguments must be JSON-safe,
+     * networked GameObjects are sent as references. Offline, or on a GameObject that isn't
+     * networked, the method just runs here.
+     * @param {string} method - Method name
+     * @param {...any} args - Arguments
+     */
+    rpc(method, ...args) {
+        const targets = this.constructor.rpcMethods || {};
+        this.rpcTo(targets[method] || 'owner', method, ...args);
+    }
+
+    /**
+     * Like rpc(), with an explicit target
+     * @param {string} target - 'owner' (player owning the GameObject), 'all' (every player,
+     *     including this one), 'server' (server simulation, or the room host without one) or a playerId
+     * @param {string} method - Method name, listed in static rpcMethods
+     * @param {...any} args - Arguments
+     */
+    rpcTo(target, method, ...args) {
+        const multiplayer = (this.engine || window.engine)?.multiplayer;
+        if (multiplayer && (multiplayer.connected || multiplayer.reconnecting) && this.gameObject && this.gameObject.networkId) {
+            multiplayer.callRpc(this, method, args, target);
+            return;
+        }
+
+        if (typeof this[method] === 'function') {
+            this[method](...args);
+        } else {
+            console.warn(`RPC method ${method} not found on ${this.type}`);
+        }
+    }
+
     /**
      * Update all internal references to the old gameObject with the new one
      * @param {GameObject} oldGO - The old GameObject reference
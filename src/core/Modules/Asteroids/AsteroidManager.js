@@ -319,9 +319,10 @@ class AsteroidManager extends Module {
         asteroid.active = true;
 
         // Set random size
+        const random = this.getRandom();
         const sizeRange = this.maxStartSize - this.minStartSize;
-        const baseSize = this.minStartSize + Math.random() * sizeRange;
-        const sizeVariation = 1 + (Math.random() - 0.5) * this.sizeVariety;
+        const baseSize = this.minStartSize + random.next() * sizeRange;
+        const sizeVariation = 1 + (random.next() - 0.5) * this.sizeVariety;
         const finalSize = baseSize * sizeVariation;
 
         asteroidModule.setSize(finalSize);
@@ -335,8 +336,8 @@ class AsteroidManager extends Module {
             // Add some randomness to the target
             if (this.randomnessAmount > 0) {
                 const randomRange = Math.min(viewport.width, viewport.height) * this.randomnessAmount;
-                targetX += (Math.random() - 0.5) * randomRange;
-                targetY += (Math.random() - 0.5) * randomRange;
+                targetX += (random.next() - 0.5) * randomRange;
+                targetY += (random.next() - 0.5) * randomRange;
             }
 
             // Instead of completely overriding, let the asteroid keep its random movement
@@ -349,7 +350,7 @@ class AsteroidManager extends Module {
         }
 
         // Add some visual variety
-        asteroidModule.shapeVariation = 0.2 + Math.random() * 0.4;
+        asteroidModule.shapeVariation = 0.2 + random.next() * 0.4;
         asteroidModule.generateShape();
 
         // Override the asteroid's own bounds checking to prevent immediate despawn
@@ -372,39 +373,40 @@ class AsteroidManager extends Module {
         const viewportBottom = viewport.y + (viewport.height / 2);
 
         // Choose random spawn zone
-        const zone = this.spawnZones[Math.floor(Math.random() * this.spawnZones.length)];
+        const random = this.getRandom();
+        const zone = this.spawnZones[Math.floor(random.next() * this.spawnZones.length)];
 
         let x, y;
 
         switch (zone) {
             case "top":
                 // Spawn above the viewport with guaranteed distance
-                x = viewportLeft + Math.random() * viewport.width;
-                y = viewportTop - this.spawnDistance - (Math.random() * 50 + 50); // Extra buffer
+                x = viewportLeft + random.next() * viewport.width;
+                y = viewportTop - this.spawnDistance - (random.next() * 50 + 50); // Extra buffer
                 break;
 
             case "bottom":
                 // Spawn below the viewport with guaranteed distance
-                x = viewportLeft + Math.random() * viewport.width;
-                y = viewportBottom + this.spawnDistance + (Math.random() * 50 + 50); // Extra buffer
+                x = viewportLeft + random.next() * viewport.width;
+                y = viewportBottom + this.spawnDistance + (random.next() * 50 + 50); // Extra buffer
                 break;
 
             case "left":
                 // Spawn to the left of viewport with guaranteed distance
-                x = viewportLeft - this.spawnDistance - (Math.random() * 50 + 50); // Extra buffer
-                y = viewportTop + Math.random() * viewport.height;
+                x = viewportLeft - this.spawnDistance - (random.next() * 50 + 50); // Extra buffer
+                y = viewportTop + random.next() * viewport.height;
                 break;
 
             case "right":
                 // Spawn to the right of viewport with guaranteed distance
-                x = viewportRight + this.spawnDistance + (Math.random() * 50 + 50); // Extra buffer
-                y = viewportTop + Math.random() * viewport.height;
+                x = viewportRight + this.spawnDistance + (random.next() * 50 + 50); // Extra buffer
+                y = viewportTop + random.next() * viewport.height;
                 break;
 
             default:
                 // Fallback to right side
-                x = viewportRight + this.spawnDistance + (Math.random() * 50 + 50);
-                y = viewportTop + Math.random() * viewport.height;
+                x = viewportRight + this.spawnDistance + (random.next() * 50 + 50);
+                y = viewportTop + random.next() * viewport.height;
         }
 
         // console.log(`Spawn position: (${Math.round(x)}, ${Math.round(y)}) in zone: ${zone}`);
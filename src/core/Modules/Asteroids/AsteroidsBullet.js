@@ -208,6 +208,12 @@ class AsteroidsBullet extends Module {
     }
 
     destroyBullet() {
+        // Pooled bullets go back to their pool
+        if (this.gameObject._poolKey !== undefined && window.poolManager) {
+            window.poolManager.despawn(this.gameObject);
+            return;
+        }
+
         // Remove from parent or scene
         if (this.gameObject.parent) {
             this.gameObject.parent.removeChild(this.gameObject);
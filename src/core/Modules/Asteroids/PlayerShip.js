@@ -15,11 +15,14 @@ class PlayerShip extends Module {
         this.angularFriction = 0.95;
         this.mass = 1.0;
 
-        // Controls
-        this.thrustKey = "arrowup";
-        this.leftKey = "arrowleft";
-        this.rightKey = "arrowright";
-        this.fireKey = " ";
+        // Controls (input action names, see InputManager.defineAction)
+        this.thrustAction = "thrust";
+        this.turnAction = "moveX";
+        this.fireAction = "fire";
+
+        // Action name -> bindings this ship reads instead of the action's own
+        // (set from the key properties of ships saved before actions existed)
+        this.bindingOverrides = {};
 
         // Weapon properties
         this.bulletPrefabName = "PlayerBullet";
@@ -88,31 +91,24 @@ class PlayerShip extends Module {
             }
         });
 
-        this.exposeProperty("thrustKey", "string", "arrowup", {
-            description: "Key for thrust/acceleration",
-            onChange: (val) => {
-                this.thrustKey = val;
-            }
-        });
-
-        this.exposeProperty("leftKey", "string", "arrowleft", {
-            description: "Key for rotating left",
+        this.exposeProperty("thrustAction", "action", "thrust", {
+            description: "Input action for thrust/acceleration",
             onChange: (val) => {
-                this.leftKey = val;
+                this.thrustAction = val;
             }
         });
 
-        this.exposeProperty("rightKey", "string", "arrowright", {
-            description: "Key for rotating right",
+        this.exposeProperty("turnAction", "action", "moveX", {
+            description: "Input action for rotating (negative turns left)",
             onChange: (val) => {
-                this.rightKey = val;
+                this.turnAction = val;
             }
         });
 
-        this.exposeProperty("fireKey", "string", " ", {
-            description: "Key for firing weapons",
+        this.exposeProperty("fireAction", "action", "fire", {
+            description: "Input action for firing weapons",
             onChange: (val) => {
-                this.fireKey = val;
+                this.fireAction = val;
             }
         });
 
@@ -238,15 +234,10 @@ class PlayerShip extends Module {
         this.isThrusting = false;
 
         // Rotation input
-        if (window.input.keyDown(this.leftKey)) {
-            this.angularVelocity -= this.rotationSpeed * deltaTime;
-        }
-        if (window.input.keyDown(this.rightKey)) {
-            this.angularVelocity += this.rotationSpeed * deltaTime;
-        }
+        this.angularVelocity += this.readAction(this.turnAction).value * this.rotationSpeed * deltaTime;
 
         // Thrust input
-        if (window.input.keyDown(this.thrustKey)) {
+        if (this.readAction(this.thrustAction).down) {
             this.isThrusting = true;
 
             // Convert angle to radians and apply thrust in facing direction
@@ -259,11 +250,27 @@ class PlayerShip extends Module {
         }
 
         // Fire input - handle both single shot and continuous fire
-        if (window.input.keyDown(this.fireKey)) {
+        if (this.readAction(this.fireAction).down) {
             this.handleFiring(deltaTime);
         }
     }
 
+    /**
+     * Read an action, through this ship's binding override when it has one
+     * @param {string} name - Action name
+     * @returns {Object} { value, down, pressed }
+     */
+    readAction(name) {
+        const bindings = this.bindingOverrides[name];
+        if (bindings) return window.input.readBindings(bindings);
+
+        return {
+            value: window.input.getActionValue(name),
+            down: window.input.actionDown(name),
+            pressed: window.input.actionPressed(name)
+        };
+    }
+
     handleFiring(deltaTime) {
         const currentTime = Date.now() / 1000; // Convert to seconds
         const timeBetweenShots = 1 / this.fireRate;
@@ -285,6 +292,21 @@ class PlayerShip extends Module {
             return;
         }
 
+        // Reuse bullets through the object pool when the prefab is loaded
+        if (window.poolManager && window.poolManager.enabled && window.engine.hasPrefab(this.bulletPrefabName)) {
+            const angleRad = (this.gameObject.angle * Math.PI) / 180;
+            const pooled = window.poolManager.spawn(
+                `prefab:${this.bulletPrefabName}`,
+                () => window.engine.createPrefabObject(this.bulletPrefabName),
+                this.gameObject.position.x + Math.cos(angleRad - Math.PI / 2) * this.bulletOffset,
+                this.gameObject.position.y + Math.sin(angleRad - Math.PI / 2) * this.bulletOffset
+            );
+            if (pooled) {
+                this.configureBullet(pooled);
+                return;
+            }
+        }
+
         // Try multiple prefab name variations
         const prefabVariations = [
             this.bulletPrefabName,
@@ -334,27 +356,7 @@ class PlayerShip extends Module {
             bullet.position.y = spawnY;
 
             // Configure the bullet
-            const bulletModule = bullet.getModule("AsteroidsBullet");
-            if (bulletModule) {
-                // Set bullet properties BEFORE setting direction
-                bulletModule.speed = this.bulletSpeed;
-                bulletModule.lifetime = this.bulletLifetime;
-
-                // Set direction from angle
-                bulletModule.setDirectionFromAngle(this.gameObject.angle);
-
-                // Add ship's velocity to bullet (inherit momentum)
-                // This needs to be done AFTER updateVelocity() is called by setDirectionFromAngle
-                const momentumFactor = 0.5; // Increased from 0.3 for better momentum inheritance
-                bulletModule.velocity.x += this.velocity.x * momentumFactor;
-                bulletModule.velocity.y += this.velocity.y * momentumFactor;
-
-                console.log(`Bullet configured: speed=${bulletModule.speed}, lifetime=${bulletModule.lifetime}, direction=${bulletModule.direction.x.toFixed(2)},${bulletModule.direction.y.toFixed(2)}`);
-                console.log(`Ship velocity: ${this.velocity.x.toFixed(2)}, ${this.velocity.y.toFixed(2)}`);
-                console.log(`Final bullet velocity: ${bulletModule.velocity.x.toFixed(2)}, ${bulletModule.velocity.y.toFixed(2)}`);
-            } else {
-                console.warn(`Bullet does not have an AsteroidsBullet module`);
-            }
+            this.configureBullet(bullet);
 
             // Add bullet to scene
             if (window.engine.gameObjects) {
@@ -368,6 +370,35 @@ class PlayerShip extends Module {
         }
     }
 
+    /**
+     * Aim a new bullet along the ship's heading and give it the ship's momentum
+     * @param {GameObject} bullet - Bullet object with an AsteroidsBullet module
+     */
+    configureBullet(bullet) {
+        const bulletModule = bullet.getModule("AsteroidsBullet");
+        if (!bulletModule) {
+            console.warn(`Bullet does not have an AsteroidsBullet module`);
+            return;
+        }
+
+        // Set bullet properties BEFORE setting direction
+        bulletModule.speed = this.bulletSpeed;
+        bulletModule.lifetime = this.bulletLifetime;
+
+        // Set direction from angle
+        bulletModule.setDirectionFromAngle(this.gameObject.angle);
+
+        // Add ship's velocity to bullet (inherit momentum)
+        // This needs to be done AFTER updateVelocity() is called by setDirectionFromAngle
+        const momentumFactor = 0.5; // Increased from 0.3 for better momentum inheritance
+        bulletModule.velocity.x += this.velocity.x * momentumFactor;
+        bulletModule.velocity.y += this.velocity.y * momentumFactor;
+
+        console.log(`Bullet configured: speed=${bulletModule.speed}, lifetime=${bulletModule.lifetime}, direction=${bulletModule.direction.x.toFixed(2)},${bulletModule.direction.y.toFixed(2)}`);
+        console.log(`Ship velocity: ${this.velocity.x.toFixed(2)}, ${this.velocity.y.toFixed(2)}`);
+        console.log(`Final bullet velocity: ${bulletModule.velocity.x.toFixed(2)}, ${bulletModule.velocity.y.toFixed(2)}`);
+    }
+
     createBulletManually() {
         console.log("Creating bullet GameObject manually");
 
@@ -705,10 +736,9 @@ class PlayerShip extends Module {
             friction: this.friction,
             angularFriction: this.angularFriction,
             mass: this.mass,
-            thrustKey: this.thrustKey,
-            leftKey: this.leftKey,
-            rightKey: this.rightKey,
-            fireKey: this.fireKey,
+            thrustAction: this.thrustAction,
+            turnAction: this.turnAction,
+            fireAction: this.fireAction,
             bulletPrefabName: this.bulletPrefabName,
             fireRate: this.fireRate,
             bulletSpeed: this.bulletSpeed,
@@ -735,10 +765,9 @@ class PlayerShip extends Module {
         this.friction = data.friction || 0.98;
         this.angularFriction = data.angularFriction || 0.95;
         this.mass = data.mass || 1.0;
-        this.thrustKey = data.thrustKey || "arrowup";
-        this.leftKey = data.leftKey || "arrowleft";
-        this.rightKey = data.rightKey || "arrowright";
-        this.fireKey = data.fireKey || " ";
+        this.thrustAction = data.thrustAction || "thrust";
+        this.turnAction = data.turnAction || "moveX";
+        this.fireAction = data.fireAction || "fire";
         this.bulletPrefabName = data.bulletPrefabName || "PlayerBullet";
         this.fireRate = data.fireRate || 5;
         this.bulletSpeed = data.bulletSpeed || 600;
@@ -754,7 +783,54 @@ class PlayerShip extends Module {
         }
         this.angularVelocity = data.angularVelocity || 0;
         this.lastFireTime = data.lastFireTime || 0;
+
+        // Ships saved before input actions have their keys at the top level and in exposedValues
+        this.migrateLegacyKeys({ ...data.exposedValues, ...data });
+    }
+
+    /**
+     * Turn the key properties of ships saved before input actions (thrustKey, leftKey...)
+     * into binding overrides. Keys left at their old defaults are dropped, since the
+     * built-in actions already include them.
+     * @param {Object} values - Saved property values
+     */
+    migrateLegacyKeys(values) {
+        const defaults = PlayerShip.legacyKeyDefaults;
+        const names = Object.keys(defaults).filter(name => name in values);
+        names.forEach(name => { delete this[name]; });
+        if (names.length === 0) return;
+
+        const keyOf = (name) => {
+            const key = String(name in values ? values[name] : defaults[name]).toLowerCase();
+            return key === " " ? "space" : key;
+        };
+        const changed = (...keys) => keys.some(name => name in values && keyOf(name) !== defaults[name]);
+        const binding = (name, sign = "") => keyOf(name) ? `${sign}key:${keyOf(name)}` : null;
+        const migrate = (action, bindings) => {
+            bindings = bindings.filter(Boolean);
+            if (action && bindings.length > 0) this.bindingOverrides[action] = bindings;
+        };
+
+        if (changed("leftKey", "rightKey")) migrate(this.turnAction, [binding("leftKey", "-"), binding("rightKey")]);
+        if (changed("thrustKey")) migrate(this.thrustAction, [binding("thrustKey")]);
+        if (changed("fireKey")) migrate(this.fireAction, [binding("fireKey")]);
+    }
+
+    _serializeCustomData() {
+        return Object.keys(this.bindingOverrides).length > 0 ? { bindingOverrides: this.bindingOverrides } : null;
+    }
+
+    _deserializeCustomData(data) {
+        this.bindingOverrides = data.bindingOverrides || {};
     }
 }
 
+// Key properties and their defaults before the ship used input actions
+PlayerShip.legacyKeyDefaults = {
+    thrustKey: "arrowup",
+    leftKey: "arrowleft",
+    rightKey: "arrowright",
+    fireKey: "space"
+};
+
 window.PlayerShip = PlayerShip;
\ No newline at end of file
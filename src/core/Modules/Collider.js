@@ -15,6 +15,9 @@ class Collider extends Module {
         this.radius = 50;           // Used for circle
         this.vertices = [];         // Used for polygon
         this.offset = new Vector2(0, 0); // Offset from the game object's position
+        this.isTrigger = true;      // Triggers fire onTrigger* events, solid colliders fire onCollision* events
+        this.collisionCategory = "";    // Named category from the scene's physics settings ("" = default sensor filter)
+        this.collidesWith = [];         // Category names this collider overlaps (empty = all)
         
         // Physics body (sensor)
         this.body = null;
@@ -43,6 +46,18 @@ class Collider extends Module {
         this.exposeProperty("offset", "vector2", new Vector2(0, 0), {
             onChange: (val) => { this.offset = val; this.rebuildCollider(); }
         });
+        this.exposeProperty("isTrigger", "boolean", true, {
+            description: "Fire onTriggerEnter/Stay/Exit instead of onCollisionEnter/Stay/Exit",
+            onChange: (val) => { this.isTrigger = val; }
+        });
+        this.exposeProperty("collisionCategory", "collisionCategory", "", {
+            description: "Collision category from the scene settings",
+            onChange: (val) => { this.collisionCategory = val; this.rebuildCollider(); }
+        });
+        this.exposeProperty("collidesWith", "collisionMask", [], {
+            description: "Categories this collider detects. Select none to detect every category",
+            onChange: (val) => { this.collidesWith = val; this.rebuildCollider(); }
+        });
         
         this.boundOnCollisionStart = this.onCollisionStart.bind(this);
         this.boundOnCollisionEnd = this.onCollisionEnd.bind(this);
@@ -52,8 +67,11 @@ class Collider extends Module {
      * Create the collider when the component starts
      */
     start() {
+        // Without Matter.js the engine's CollisionSystem still uses this collider's shape
         if (!window.physicsManager) {
-            console.error("Physics manager not found. Make sure it's initialized before using Collider.");
+            if (!this.usesCollisionSystem()) {
+                console.error("Physics manager not found. Make sure it's initialized before using Collider.");
+            }
             return;
         }
         
@@ -109,11 +127,7 @@ class Collider extends Module {
             isStatic: true,      // Make it static to avoid physics influence
             angle: angle,
             label: `${this.gameObject.name}-collider`,
-            collisionFilter: {
-                category: 0x0002, // Different category than RigidBody by default
-                mask: 0xFFFFFFFF,
-                group: 0
-            },
+            collisionFilter: this.getCollisionFilter(),
             plugin: {
                 isCollider: true  // Custom flag to identify this as a collider
             }
@@ -254,6 +268,57 @@ class Collider extends Module {
         }
     }
 
+    /**
+     * Whether the engine's CollisionSystem dispatches events for this collider.
+     * When it does, the Matter.js sensor leaves events between tracked objects to it so they are not fired twice.
+     * @returns {boolean} True if the CollisionSystem is active
+     */
+    usesCollisionSystem() {
+        return !!(window.collisionSystem && window.engine && window.engine.useCollisionSystem);
+    }
+
+    /**
+     * Whether the Matter.js sensor should fire trigger events for a contact with another object.
+     * The CollisionSystem only tracks objects with a collision shape, so contacts with anything
+     * else (e.g. an object that only has a Rigidbody) still go through the Matter.js events.
+     * @param {GameObject} otherObject - The object this collider touched
+     * @returns {boolean} True if the Matter.js event should be dispatched
+     */
+    firesMatterEvents(otherObject) {
+        if (!this.usesCollisionSystem()) return true;
+        return !(otherObject.hasCollisionShape && otherObject.hasCollisionShape());
+    }
+
+    /**
+     * Get the collider shape in world space, used by the CollisionSystem
+     * @returns {Object} {type: "circle", center, radius} or {type: "polygon", vertices}
+     */
+    getCollisionShape() {
+        const pos = this.gameObject.getWorldPosition();
+        const center = new Vector2(pos.x + this.offset.x, pos.y + this.offset.y);
+        const angle = this.gameObject.getWorldRotation() * (Math.PI / 180);
+
+        if (this.shape === "circle") {
+            return { type: "circle", center: center, radius: Math.max(1, this.radius) };
+        }
+
+        let points;
+        if (this.shape === "polygon" && this.vertices && this.vertices.length >= 3) {
+            points = this.vertices.map(v => new Vector2(v.x || 0, v.y || 0));
+        } else {
+            const halfWidth = Math.max(1, this.width) / 2;
+            const halfHeight = Math.max(1, this.height) / 2;
+            points = [
+                new Vector2(-halfWidth, -halfHeight),
+                new Vector2(halfWidth, -halfHeight),
+                new Vector2(halfWidth, halfHeight),
+                new Vector2(-halfWidth, halfHeight)
+            ];
+        }
+
+        return { type: "polygon", vertices: points.map(point => point.rotate(angle).add(center)) };
+    }
+
     /**
      * Draws a green dotted outline of the collider for debugging
      * @param {CanvasRenderingContext2D} ctx
@@ -310,7 +375,7 @@ class Collider extends Module {
                 const otherObject = window.physicsManager.bodies.get(pair.bodyB);
                 if (otherObject) {
                     // Call the onTriggerEnter method if it exists
-                    if (this.gameObject && this.gameObject.onTriggerEnter) {
+                    if (this.firesMatterEvents(otherObject) && this.gameObject && this.gameObject.onTriggerEnter) {
                         this.gameObject.onTriggerEnter(otherObject);
                     }
                 }
@@ -323,7 +388,7 @@ class Collider extends Module {
                 const otherObject = window.physicsManager.bodies.get(pair.bodyA);
                 if (otherObject) {
                     // Call the onTriggerEnter method if it exists
-                    if (this.gameObject && this.gameObject.onTriggerEnter) {
+                    if (this.firesMatterEvents(otherObject) && this.gameObject && this.gameObject.onTriggerEnter) {
                         this.gameObject.onTriggerEnter(otherObject);
                     }
                 }
@@ -348,7 +413,7 @@ class Collider extends Module {
                 const otherObject = window.physicsManager.bodies.get(pair.bodyB);
                 if (otherObject) {
                     // Call the onTriggerExit method if it exists
-                    if (this.gameObject && this.gameObject.onTriggerExit) {
+                    if (this.firesMatterEvents(otherObject) && this.gameObject && this.gameObject.onTriggerExit) {
                         this.gameObject.onTriggerExit(otherObject);
                     }
                 }
@@ -361,7 +426,7 @@ class Collider extends Module {
                 const otherObject = window.physicsManager.bodies.get(pair.bodyA);
                 if (otherObject) {
                     // Call the onTriggerExit method if it exists
-                    if (this.gameObject && this.gameObject.onTriggerExit) {
+                    if (this.firesMatterEvents(otherObject) && this.gameObject && this.gameObject.onTriggerExit) {
                         this.gameObject.onTriggerExit(otherObject);
                     }
                 }
@@ -383,6 +448,22 @@ class Collider extends Module {
         this.removeCollider();
     }
 
+    /**
+     * The sensor's collision filter: its named collision category if it has one, otherwise its
+     * own category, which differs from RigidBody's. Scene layer masks apply to both (Scene.getCollisionFilter).
+     * @returns {Object} Matter.js collision filter
+     */
+    getCollisionFilter() {
+        const filter = {
+            category: 0x0002, // Different category than RigidBody by default
+            mask: 0xFFFFFFFF,
+            group: 0
+        };
+        const scene = window.engine ? window.engine.scene : null;
+        if (!scene || !scene.getCollisionFilter) return filter;
+        return scene.getCollisionFilter(this.gameObject, filter, this.collisionCategory, this.collidesWith);
+    }
+
     toJSON() {
         const json = super.toJSON();
         
@@ -392,6 +473,9 @@ class Collider extends Module {
         json.radius = this.radius;
         json.vertices = this.vertices.map(v => ({ x: v.x, y: v.y }));
         json.offset = { x: this.offset.x, y: this.offset.y };
+        json.isTrigger = this.isTrigger;
+        json.collisionCategory = this.collisionCategory;
+        json.collidesWith = [...this.collidesWith];
         
         return json;
     }
@@ -405,6 +489,9 @@ class Collider extends Module {
         this.radius = json.radius;
         this.vertices = json.vertices.map(v => new Vector2(v.x, v.y));
         this.offset = new Vector2(json.offset.x, json.offset.y);
+        this.isTrigger = json.isTrigger !== undefined ? json.isTrigger : true;
+        this.collisionCategory = json.collisionCategory || "";
+        this.collidesWith = Array.isArray(json.collidesWith) ? [...json.collidesWith] : [];
     }
 }
 
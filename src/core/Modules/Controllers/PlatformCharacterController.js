@@ -14,6 +14,10 @@ class PlatformerController extends Module {
         this.maxFallSpeed = 600;
         this.velocity = new Vector2(0, 0);
         this.isGrounded = false;
+        this.moveInput = 0;
+        this.jumpQueued = false;
+        this.moveAction = "moveX";
+        this.jumpAction = "jump";
 
         // Expose properties for inspector
         this.exposeProperty("speed", "number", this.speed, {
@@ -34,28 +38,55 @@ class PlatformerController extends Module {
             style: { label: "Gravity", slider: true },
             onChange: v => { this.gravity = v; }
         });
+        this.exposeProperty("moveAction", "action", this.moveAction, {
+            description: "Input action for horizontal movement",
+            style: { label: "Move Action" },
+            onChange: v => { this.moveAction = v; }
+        });
+        this.exposeProperty("jumpAction", "action", this.jumpAction, {
+            description: "Input action for jumping",
+            style: { label: "Jump Action" },
+            onChange: v => { this.jumpAction = v; }
+        });
     }
 
     loop(deltaTime) {
         if (!window.input) return;
 
-        // Horizontal movement
-        let move = 0;
-        if (window.input.keyDown("arrowleft") || window.input.keyDown("a")) move -= 1;
-        if (window.input.keyDown("arrowright") || window.input.keyDown("d")) move += 1;
+        // Sample input every frame so presses aren't lost between fixed ticks
+        this.moveInput = window.input.getActionValue(this.moveAction);
+
+        if (window.input.actionPressed(this.jumpAction)) {
+            this.jumpQueued = true;
+        }
+
+        // With a fixed timestep the movement runs from fixedLoop instead
+        if (this.isFixedTimestep()) return;
+        this.step(deltaTime);
+    }
+
+    fixedLoop(deltaTime) {
+        this.step(deltaTime);
+    }
 
+    /**
+     * Apply gravity, jumping and movement, then resolve ground collisions
+     * @param {number} deltaTime - Time in seconds to simulate
+     */
+    step(deltaTime) {
         // Apply gravity
         this.velocity.y += this.gravity * deltaTime;
         if (this.velocity.y > this.maxFallSpeed) this.velocity.y = this.maxFallSpeed;
 
         // Jump
-        if (this.isGrounded && (window.input.keyPressed("arrowup") || window.input.keyPressed("w") || window.input.keyPressed("space"))) {
+        if (this.jumpQueued && this.isGrounded) {
             this.velocity.y = -this.jumpForce;
             this.isGrounded = false;
         }
+        this.jumpQueued = false;
 
         // Set horizontal velocity
-        this.velocity.x = move * this.speed;
+        this.velocity.x = this.moveInput * this.speed;
 
         // Predict next position
         const nextPos = new Vector2(
@@ -2,7 +2,9 @@
  * TouchJoystick - On-screen joystick for touch/mouse movement
  * 
  * This module creates a virtual joystick UI for touch devices and mouse.
- * It moves a GameObject (by name) based on joystick direction.
+ * It moves a GameObject (by name) based on joystick direction, and reports
+ * the direction to the InputManager as a virtual stick so actions bound to
+ * "stick:joystick.x" / "stick:joystick.y" (moveX/moveY by default) follow it.
  */
 class TouchJoystick extends Module {
     static allowMultiple = false;
@@ -20,6 +22,8 @@ class TouchJoystick extends Module {
         this.active = false;        // Is joystick being touched
         this.direction = new Vector2(0, 0); // Current direction
         this.speed = 200;           // Movement speed (pixels/sec)
+        this.stickName = "joystick"; // Virtual stick name used in action bindings
+        this.moveTarget = true;     // Move the target directly (off when a controller reads the actions instead)
         this._touchId = null;       // Track which touch/mouse controls joystick
 
         // Expose properties for inspector
@@ -39,6 +43,17 @@ class TouchJoystick extends Module {
             min: 10, max: 1000, step: 10, description: "Movement speed",
             onChange: (val) => this.speed = val
         });
+        this.exposeProperty("stickName", "string", this.stickName, {
+            description: "Virtual stick name for input actions (stick:name.x / stick:name.y)",
+            onChange: (val) => {
+                this._publishDirection(new Vector2(0, 0));
+                this.stickName = val;
+            }
+        });
+        this.exposeProperty("moveTarget", "boolean", this.moveTarget, {
+            description: "Move the target GameObject directly",
+            onChange: (val) => this.moveTarget = val
+        });
     }
 
     start() {
@@ -57,6 +72,8 @@ class TouchJoystick extends Module {
     }
 
     onDestroy() {
+        this._publishDirection(new Vector2(0, 0));
+
         const canvas = window.engine?.canvas || document.getElementById('gameCanvas');
         if (canvas) {
             canvas.removeEventListener('touchstart', this._onTouchStart);
@@ -109,6 +126,7 @@ class TouchJoystick extends Module {
                 this.active = true;
                 this._touchId = touch.identifier;
                 this.direction = new Vector2(0, 0);
+                this._publishDirection(this.direction);
                 e.preventDefault();
                 break;
             }
@@ -129,6 +147,7 @@ class TouchJoystick extends Module {
                     dy = dy * this.joystickRadius / dist;
                 }
                 this.direction = new Vector2(dx, dy).normalize();
+                this._publishDirection(this.direction);
                 e.preventDefault();
                 break;
             }
@@ -142,6 +161,7 @@ class TouchJoystick extends Module {
                 this.active = false;
                 this._touchId = null;
                 this.direction = new Vector2(0, 0);
+                this._publishDirection(this.direction);
                 e.preventDefault();
                 break;
             }
@@ -154,6 +174,7 @@ class TouchJoystick extends Module {
             this.active = true;
             this._touchId = "mouse";
             this.direction = new Vector2(0, 0);
+            this._publishDirection(this.direction);
             e.preventDefault();
         }
     }
@@ -169,6 +190,7 @@ class TouchJoystick extends Module {
             dy = dy * this.joystickRadius / dist;
         }
         this.direction = new Vector2(dx, dy).normalize();
+        this._publishDirection(this.direction);
         e.preventDefault();
     }
 
@@ -177,20 +199,34 @@ class TouchJoystick extends Module {
             this.active = false;
             this._touchId = null;
             this.direction = new Vector2(0, 0);
+            this._publishDirection(this.direction);
             e.preventDefault();
         }
     }
 
+    /**
+     * Report a direction to the InputManager (applied at the start of the next frame)
+     * @param {Vector2} direction - Joystick direction
+     */
+    _publishDirection(direction) {
+        if (window.input) {
+            window.input.setVirtualStick(this.stickName, direction);
+        }
+    }
+
     loop(deltaTime) {
+        // Read the latched stick value so recorded replays move the target the same way
+        const direction = window.input ? window.input.getVirtualStick(this.stickName) : this.direction;
+
         // Move target GameObject by direction
-        if (this.active && (this.direction.x !== 0 || this.direction.y !== 0)) {
+        if (this.moveTarget && (direction.x !== 0 || direction.y !== 0)) {
             // Use engine reference from gameObject if available
             const engine = this.gameObject?.engine || window.engine;
             if (engine && typeof engine.getGameObjectByName === "function") {
                 const target = engine.getGameObjectByName(this.targetName);
                 if (target) {
-                    target.position.x += this.direction.x * this.speed * deltaTime;
-                    target.position.y += this.direction.y * this.speed * deltaTime;
+                    target.position.x += direction.x * this.speed * deltaTime;
+                    target.position.y += direction.y * this.speed * deltaTime;
                 }
             }
             else {
@@ -286,6 +286,20 @@ class DrawPolygon extends Module {
         }
     }
 
+    /**
+     * Vertices in world space, used by the editor to snap other objects and points to them
+     * @returns {Vector2[]}
+     */
+    getSnapPoints() {
+        if (!this.gameObject) return [];
+
+        const origin = this.gameObject.getWorldPosition();
+        const angleRad = this.gameObject.angle * Math.PI / 180;
+        return this.vertices.map(vertex =>
+            new Vector2(vertex.x + this.offset.x, vertex.y + this.offset.y).rotate(angleRad).add(origin)
+        );
+    }
+
     /**
      * Convert world position to local position (accounting for GameObject transform)
      */
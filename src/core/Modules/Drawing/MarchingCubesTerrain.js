@@ -668,8 +668,7 @@ class MarchingCubesTerrain extends Module {
         const safeX = x === -0 ? 0 : x; // Handle negative zero
         const safeY = y === -0 ? 0 : y; // Handle negative zero
 
-        let n = Math.sin(safeX * 12.9898 + safeY * 78.233 + this.seed * 37.719) * 43758.5453;
-        return (n - Math.floor(n));
+        return RandomService.hash(safeX * 12.9898 + safeY * 78.233 + this.seed * 37.719);
     }
 
     // Main generation function that dispatches to appropriate algorithm
@@ -734,22 +733,15 @@ class MarchingCubesTerrain extends Module {
         return this.improvedMazeToHeightPattern(maze, x, y, this.gridSize);
     }
 
-     // Seeded random number generator for deterministic maze generation
+    // Seeded random number generator for deterministic maze generation
     seededRandom(seed) {
-        let x = Math.sin(seed) * 10000;
-        return function () {
-            x = Math.sin(x) * 10000;
-            return x - Math.floor(x);
-        };
+        const stream = window.randomService.createStream(seed);
+        return () => stream.next();
     }
 
     // General seeded random number generator for consistent generation
     seededRandomGeneral(seed) {
-        let x = Math.sin(seed) * 10000;
-        return function () {
-            x = Math.sin(x) * 10000;
-            return x - Math.floor(x);
-        };
+        return this.seededRandom(seed);
     }
 
     // Generate improved maze pattern with more randomness and variation
@@ -1126,12 +1118,13 @@ class MarchingCubesTerrain extends Module {
     // Maze generation using recursive backtracking
     generateMaze(width, height) {
         const maze = Array(height).fill().map(() => Array(width).fill(1)); // 1 = wall, 0 = path
+        const random = this.seededRandom(this.seed);
 
         function carve(x, y) {
             const directions = [[0, 1], [1, 0], [0, -1], [-1, 0]];
             // Shuffle directions for randomness
             for (let i = directions.length - 1; i > 0; i--) {
-                const j = Math.floor(Math.random() * (i + 1));
+                const j = Math.floor(random() * (i + 1));
                 [directions[i], directions[j]] = [directions[j], directions[i]];
             }
 
@@ -1148,8 +1141,8 @@ class MarchingCubesTerrain extends Module {
         }
 
         // Start carving from a random position
-        const startX = Math.floor(Math.random() * Math.floor(width / 2)) * 2;
-        const startY = Math.floor(Math.random() * Math.floor(height / 2)) * 2;
+        const startX = Math.floor(random() * Math.floor(width / 2)) * 2;
+        const startY = Math.floor(random() * Math.floor(height / 2)) * 2;
         maze[startY][startX] = 0;
         carve(startX, startY);
 
@@ -215,11 +215,8 @@ class ProceduralSpaceship extends Module {
     }
 
     createSeededRandom(seed) {
-        let s = seed;
-        return function() {
-            s = Math.sin(s) * 10000;
-            return s - Math.floor(s);
-        };
+        const stream = window.randomService.createStream(seed);
+        return () => stream.next();
     }
 
     generateShip() {
@@ -662,7 +659,7 @@ class ProceduralSpaceship extends Module {
     }
 
     randomizeSeed() {
-        this.masterSeed = Math.floor(Math.random() * 100000);
+        this.masterSeed = this.getRandom().int(0, 99999);
         this.forceRegeneration();
     }
 
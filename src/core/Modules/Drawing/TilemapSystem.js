@@ -1145,9 +1145,9 @@ class TilemapSystem extends Module {
     // NOISE AND RANDOM
     // ========================================
 
+    // Stateless hash through the engine RandomService so worlds match on every machine
     seededRandom(seed) {
-        const x = Math.sin(seed) * 10000;
-        return x - Math.floor(x);
+        return RandomService.hash(seed);
     }
 
     noise(x, y, scale = 1, octaves = 1, persistence = 0.5, seed = this.seed) {
@@ -2402,11 +2402,8 @@ class TilemapSystem extends Module {
     }
 
     seededRandomGeneral(seed) {
-        let x = Math.sin(seed) * 10000;
-        return function () {
-            x = Math.sin(x) * 10000;
-            return x - Math.floor(x);
-        };
+        const stream = window.randomService.createStream(seed);
+        return () => stream.next();
     }
 
     cleanupDistantChunks(centerX, centerY) {
@@ -0,0 +1,42 @@
+/**
+ * FadeTransition - Scene transition that fades to a color and back with easing
+ *
+ * Add it to any object in the scene (or pass { transition: "fade" } to Engine.changeScene).
+ */
+class FadeTransition extends SceneTransition {
+    static namespace = "Scene Transitions";
+    static description = "Fades the screen to a color between scenes, with easing";
+    static allowMultiple = false;
+    static iconClass = "fas fa-adjust";
+
+    constructor() {
+        super("FadeTransition");
+
+        this.easing = "easeInOut";
+
+        this.exposeProperty("easing", "enum", this.easing, {
+            options: ["linear", "easeIn", "easeOut", "easeInOut"],
+            description: "How the fade speeds up and slows down",
+            onChange: (val) => { this.easing = val; }
+        });
+    }
+
+    /**
+     * @param {number} t - 0 to 1
+     * @returns {number} Eased value
+     */
+    ease(t) {
+        switch (this.easing) {
+            case "easeIn": return t * t;
+            case "easeOut": return t * (2 - t);
+            case "easeInOut": return t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t;
+            default: return t;
+        }
+    }
+
+    drawTransition(ctx, progress, width, height) {
+        super.drawTransition(ctx, this.ease(Math.max(0, Math.min(1, progress))), width, height);
+    }
+}
+
+window.FadeTransition = FadeTransition;
@@ -0,0 +1,71 @@
+/**
+ * WipeTransition - Scene transition that sweeps a colored panel across the screen
+ *
+ * The panel covers the screen moving in the chosen direction, then uncovers it moving
+ * the same way. Use { transition: "wipe" } with Engine.changeScene or add it to the scene.
+ */
+class WipeTransition extends SceneTransition {
+    static namespace = "Scene Transitions";
+    static description = "Sweeps a colored panel across the screen between scenes";
+    static allowMultiple = false;
+    static iconClass = "fas fa-arrows-alt-h";
+
+    constructor() {
+        super("WipeTransition");
+
+        this.direction = "right";
+        this.softness = 0.1;        // Width of the soft edge as a fraction of the screen
+
+        this.exposeProperty("direction", "enum", this.direction, {
+            options: ["left", "right", "up", "down"],
+            description: "Direction the panel moves in",
+            onChange: (val) => { this.direction = val; }
+        });
+
+        this.exposeProperty("softness", "number", this.softness, {
+            min: 0, max: 0.5, step: 0.01,
+            description: "Width of the soft leading edge, as a fraction of the screen",
+            onChange: (val) => { this.softness = val; }
+        });
+    }
+
+    drawTransition(ctx, progress, width, height) {
+        const p = Math.max(0, Math.min(1, progress));
+        if (p <= 0) return;
+
+        const horizontal = this.direction === "left" || this.direction === "right";
+        const length = horizontal ? width : height;
+        const across = horizontal ? height : width;
+        const edge = Math.max(0, this.softness) * length;
+
+        // Draw along an x axis running in the sweep direction
+        if (!horizontal) ctx.transform(0, 1, 1, 0, 0, 0);
+        if (this.direction === "left" || this.direction === "up") {
+            ctx.translate(length, 0);
+            ctx.scale(-1, 1);
+        }
+
+        // Covering grows the panel from the start; revealing shrinks it toward the end,
+        // so the sweep keeps moving the same way. The moving edge is the soft one.
+        const travel = length + edge;
+        const covering = this.phase !== "in";
+        const start = covering ? -edge : (1 - p) * travel - edge;
+        const end = covering ? p * travel : length;
+
+        ctx.globalAlpha = 1;
+        if (edge > 0) {
+            const gradient = covering
+                ? ctx.createLinearGradient(end - edge, 0, end, 0)
+                : ctx.createLinearGradient(start, 0, start + edge, 0);
+            const transparent = "rgba(0, 0, 0, 0)";
+            gradient.addColorStop(0, covering ? this.color : transparent);
+            gradient.addColorStop(1, covering ? transparent : this.color);
+            ctx.fillStyle = gradient;
+        } else {
+            ctx.fillStyle = this.color;
+        }
+        ctx.fillRect(start, 0, end - start, across);
+    }
+}
+
+window.WipeTransition = WipeTransition;
@@ -25,6 +25,8 @@ class RigidBody extends Module {
             mask: 0xFFFFFFFF,       // What categories this body collides with
             group: 0                // Collision groups
         };
+        this.collisionCategory = "";    // Named category from the scene's physics settings ("" = use collisionFilter)
+        this.collidesWith = [];         // Category names this body collides with (empty = all)
 
         this.useGravity = true; // New property: reacts to gravity
         this.frictionAir = 0.01; // Air resistance (linear damping)
@@ -171,6 +173,16 @@ class RigidBody extends Module {
             onChange: (val) => { this.isSensor = val; if (this.body) this.body.isSensor = val; }
         });
 
+        this.exposeProperty("collisionCategory", "collisionCategory", this.collisionCategory, {
+            description: "Collision category from the scene settings. None keeps the default filter and the layer masks",
+            onChange: (val) => { this.collisionCategory = val; if (!this._skipRebuild) this.rebuildBody(); }
+        });
+
+        this.exposeProperty("collidesWith", "collisionMask", this.collidesWith, {
+            description: "Categories this body collides with. Select none to collide with every category",
+            onChange: (val) => { this.collidesWith = val; if (!this._skipRebuild) this.rebuildBody(); }
+        });
+
         this.exposeProperty("marchingCubesTerrain", "string", this.marchingCubesTerrain, {
             onChange: (val) => { this.marchingCubesTerrain = val;  }
         });
@@ -248,7 +260,7 @@ class RigidBody extends Module {
             isStatic: this.bodyType === "static",
             angle: angle,
             label: this.label || this.gameObject.name || "Body",
-            collisionFilter: this.collisionFilter,
+            collisionFilter: this.getCollisionFilter(),
             sleepThreshold: this.sleepingAllowed ? 60 : -1
         };
 
@@ -424,6 +436,18 @@ class RigidBody extends Module {
         }
     }
 
+    /**
+     * The body's collision filter from its named collision category, or narrowed by the
+     * collision masks of the scene layers (Scene.getCollisionFilter). Moving the object to
+     * another layer needs rebuildBody().
+     * @returns {Object} Matter.js collision filter
+     */
+    getCollisionFilter() {
+        const scene = window.engine ? window.engine.scene : null;
+        if (!scene || !scene.getCollisionFilter) return this.collisionFilter;
+        return scene.getCollisionFilter(this.gameObject, this.collisionFilter, this.collisionCategory, this.collidesWith);
+    }
+
     /**
      * Rebuild the body when properties change
      */
@@ -772,6 +796,13 @@ class RigidBody extends Module {
         this.removeBody();
     }
 
+    onReturnToPool() {
+        this.onDestroy();
+
+        // start() creates the body and listeners again when the object is reused
+        this.pendingBodyCreation = true;
+    }
+
     toJSON() {
         return {
             ...super.toJSON(),
@@ -792,6 +823,8 @@ class RigidBody extends Module {
             sleepingAllowed: this.sleepingAllowed,
             label: this.label,
             collisionFilter: { ...this.collisionFilter },
+            collisionCategory: this.collisionCategory,
+            collidesWith: [...this.collidesWith],
             vertices: this.vertices
         };
     }
@@ -819,6 +852,8 @@ class RigidBody extends Module {
         this.sleepingAllowed = data.sleepingAllowed ?? true;
         this.label = data.label ?? "";
         this.collisionFilter = { ...this.collisionFilter, ...data.collisionFilter };
+        this.collisionCategory = data.collisionCategory ?? "";
+        this.collidesWith = Array.isArray(data.collidesWith) ? [...data.collidesWith] : [];
         this.vertices = data.vertices ?? [];
 
         // Update initial position and angle after deserialization
@@ -553,6 +553,16 @@ class VehiclePhysics extends Module {
 
         this.rigidBody.updateMass(this.weight);
 
+        // Forces go in right before each Matter step, so every step gets them once whatever
+        // the frame rate or fixed timestep
+        if (window.physicsManager && window.physicsManager.engine) {
+            if (!this.boundBeforeUpdate) {
+                this.boundBeforeUpdate = () => this.onPhysicsStep();
+            }
+            Matter.Events.off(window.physicsManager.engine, 'beforeUpdate', this.boundBeforeUpdate);
+            Matter.Events.on(window.physicsManager.engine, 'beforeUpdate', this.boundBeforeUpdate);
+        }
+
         console.log(this.playerControlled ? "Player-controlled vehicle initialized." : "AI-controlled vehicle initialized.");
     }
 
@@ -608,8 +618,23 @@ class VehiclePhysics extends Module {
             this.lastLeftMarkPos = null;
             this.lastRightMarkPos = null;
         }
+    }
+
+    /**
+     * Called by Matter before each physics step (beforeUpdate)
+     */
+    onPhysicsStep() {
+        if (!this.enabled || !this.gameObject || !this.gameObject.active) return;
+        if (!this.rigidBody || !this.rigidBody.body) return;
+
+        this.stepPhysics(window.physicsManager.fixedTimeStep / 1000);
+    }
 
-        // Update physics systems
+    /**
+     * Update the physics systems from the current input state
+     * @param {number} deltaTime - Time in seconds to simulate (one Matter step)
+     */
+    stepPhysics(deltaTime) {
         this.updateInputs(deltaTime);
         this.updateWheelSteering(deltaTime);
         this.updateTractionSystem(deltaTime);
@@ -1310,6 +1335,10 @@ class VehiclePhysics extends Module {
     }
 
     onDestroy() {
+        if (this.boundBeforeUpdate && window.physicsManager && window.physicsManager.engine) {
+            Matter.Events.off(window.physicsManager.engine, 'beforeUpdate', this.boundBeforeUpdate);
+        }
+
         if (this.playerInside && this.ejectOnDestroy) {
             this.exitVehicle();
         }
@@ -291,6 +291,20 @@ class BasicPhysics extends Module {
     }
 
     loop(deltaTime) {
+        // With a fixed timestep the simulation runs from fixedLoop instead
+        if (this.isFixedTimestep()) return;
+        this.step(deltaTime);
+    }
+
+    fixedLoop(deltaTime) {
+        this.step(deltaTime);
+    }
+
+    /**
+     * Integrate forces, move the object and resolve collisions
+     * @param {number} deltaTime - Time in seconds to simulate
+     */
+    step(deltaTime) {
 
         // Gravity accumulation (velocity += gravity * dt)
         if (this.gravityEnabled && this.gravity && !this.fixedPosition) {
@@ -1,8 +1,9 @@
 /**
  * KeyboardController - Keyboard-based movement and input
  * 
- * Provides customizable keyboard controls for moving a GameObject.
- * Supports different input mappings and movement styles.
+ * Provides customizable controls for moving a GameObject. Input is read
+ * through InputManager actions, so keyboard, gamepad and touch joystick
+ * bindings all drive the same movement. Supports different movement styles.
  */
 class PhysicsKeyboardController extends Module {
     static allowMultiple = false;
@@ -27,7 +28,7 @@ class PhysicsKeyboardController extends Module {
         this.allowDiagonalMovement = true;
 
         this.platformerMode = false;
-        this.jumpKey = "space";
+        this.jumpAction = "jump";
         this.jumpForce = 400;
         this.isJumping = false;
         this.grounded = false;
@@ -35,14 +36,14 @@ class PhysicsKeyboardController extends Module {
         this.animIdle = "idle";
         this.animWalk = "walk";
 
-        // Input mapping
-        this.upKey = window.input.keys.up || "arrowup";
-        this.downKey = "arrowdown";
-        this.leftKey = "arrowleft";
-        this.rightKey = "arrowright";
-        this.actionKey = " ";
-        this.rotateLeftKey = "q";
-        this.rotateRightKey = "e";
+        // Input mapping (action names, see InputManager.defineAction)
+        this.moveXAction = "moveX";
+        this.moveYAction = "moveY";
+        this.rotateAction = "rotate";
+
+        // Action name -> bindings this object reads instead of the action's own
+        // (set from the key properties of controllers saved before actions existed)
+        this.bindingOverrides = {};
 
         // Current velocity
         this.velocity = new Vector2(0, 0);
@@ -116,10 +117,10 @@ class PhysicsKeyboardController extends Module {
             style: { header: "Platformer Settings", label: "Platformer Mode" },
             onChange: (val) => { this.platformerMode = val; }
         });
-        this.exposeProperty("jumpKey", "string", this.jumpKey, {
-            description: "Key for jumping (platformer mode)",
-            style: { label: "Jump Key" },
-            onChange: (val) => { this.jumpKey = val; }
+        this.exposeProperty("jumpAction", "action", this.jumpAction, {
+            description: "Input action for jumping (platformer mode)",
+            style: { label: "Jump Action" },
+            onChange: (val) => { this.jumpAction = val; }
         });
         this.exposeProperty("jumpForce", "number", this.jumpForce, {
             description: "Jump force (platformer mode)",
@@ -174,62 +175,29 @@ class PhysicsKeyboardController extends Module {
         });
 
         // Control bindings with styling
-        this.exposeProperty("upKey", "string", this.upKey, {
-            description: "Key for upward movement",
+        this.exposeProperty("moveXAction", "action", this.moveXAction, {
+            description: "Input action for horizontal movement",
             style: {
                 header: "Control Bindings",
-                label: "Up Key"
-            },
-            onChange: (val) => { this.upKey = val; }
-        });
-
-        this.exposeProperty("downKey", "string", this.downKey, {
-            //options: Object.values(window.input.keys).map(key => ({ value: key, label: key })),
-            description: "Key for downward movement",
-            style: {
-                label: "Down Key"
+                label: "Move X Action"
             },
-            onChange: (val) => { this.downKey = val; }
+            onChange: (val) => { this.moveXAction = val; }
         });
 
-        this.exposeProperty("leftKey", "string", this.leftKey, {
-            description: "Key for leftward movement",
+        this.exposeProperty("moveYAction", "action", this.moveYAction, {
+            description: "Input action for vertical movement",
             style: {
-                label: "Left Key"
+                label: "Move Y Action"
             },
-            onChange: (val) => { this.leftKey = val; }
+            onChange: (val) => { this.moveYAction = val; }
         });
 
-        this.exposeProperty("rightKey", "string", this.rightKey, {
-            description: "Key for rightward movement",
+        this.exposeProperty("rotateAction", "action", this.rotateAction, {
+            description: "Input action for rotating (negative is counter-clockwise)",
             style: {
-                label: "Right Key"
+                label: "Rotate Action"
             },
-            onChange: (val) => { this.rightKey = val; }
-        });
-
-        this.exposeProperty("actionKey", "string", this.actionKey, {
-            description: "Key for primary action",
-            style: {
-                label: "Action Key"
-            },
-            onChange: (val) => { this.actionKey = val; }
-        });
-
-        this.exposeProperty("rotateLeftKey", "string", this.rotateLeftKey, {
-            description: "Key for rotating counter-clockwise",
-            style: {
-                label: "Rotate Left"
-            },
-            onChange: (val) => { this.rotateLeftKey = val; }
-        });
-
-        this.exposeProperty("rotateRightKey", "string", this.rotateRightKey, {
-            description: "Key for rotating clockwise",
-            style: {
-                label: "Rotate Right"
-            },
-            onChange: (val) => { this.rotateRightKey = val; }
+            onChange: (val) => { this.rotateAction = val; }
         });
     }
 
@@ -370,65 +338,42 @@ class PhysicsKeyboardController extends Module {
             padding: '8px'
         });
 
-        style.addHelpText("Type key names like 'a', 'space', 'arrowup', etc.");
-
-        style.exposeProperty("jumpKey", "string", this.jumpKey, {
-            description: "Key for jumping (platformer mode)",
-            style: {
-                label: "Jump Key"
-            }
-        });
-
-        style.exposeProperty("upKey", "string", this.upKey, {
-            description: "Key for upward movement",
-            style: {
-                label: "Up Key"
-            }
-        });
+        style.addHelpText("Type input action names like 'moveX' or 'jump'. Actions map keys, gamepad and touch joystick input.");
 
-        style.exposeProperty("downKey", "string", this.downKey, {
-            description: "Key for downward movement",
+        style.exposeProperty("jumpAction", "action", this.jumpAction, {
+            description: "Input action for jumping (platformer mode)",
             style: {
-                label: "Down Key"
+                label: "Jump Action"
             }
         });
 
-        style.exposeProperty("leftKey", "string", this.leftKey, {
-            description: "Key for leftward movement",
+        style.exposeProperty("moveXAction", "action", this.moveXAction, {
+            description: "Input action for horizontal movement",
             style: {
-                label: "Left Key"
+                label: "Move X Action"
             }
         });
 
-        style.exposeProperty("rightKey", "string", this.rightKey, {
-            description: "Key for rightward movement",
+        style.exposeProperty("moveYAction", "action", this.moveYAction, {
+            description: "Input action for vertical movement",
             style: {
-                label: "Right Key"
+                label: "Move Y Action"
             }
         });
 
         style.addSpace(10);
 
-        style.exposeProperty("actionKey", "string", this.actionKey, {
-            description: "Key for primary action",
-            style: {
-                label: "Action Key"
-            }
-        });
-
-        style.exposeProperty("rotateLeftKey", "string", this.rotateLeftKey, {
-            description: "Key for rotating counter-clockwise",
+        style.exposeProperty("rotateAction", "action", this.rotateAction, {
+            description: "Input action for rotating (negative is counter-clockwise)",
             style: {
-                label: "Rotate Left"
+                label: "Rotate Action"
             }
         });
 
-        style.exposeProperty("rotateRightKey", "string", this.rotateRightKey, {
-            description: "Key for rotating clockwise",
-            style: {
-                label: "Rotate Right"
-            }
-        });
+        const overridden = Object.keys(this.bindingOverrides);
+        if (overridden.length > 0) {
+            style.addHelpText(`Keys from an older save override: ${overridden.map(name => `${name} (${this.bindingOverrides[name].join(", ")})`).join("; ")}. Reset Controls removes them.`);
+        }
 
         style.endGroup();
 
@@ -443,13 +388,11 @@ class PhysicsKeyboardController extends Module {
      * Reset controls to default values
      */
     resetControls() {
-        this.upKey = "arrowup";
-        this.downKey = "arrowdown";
-        this.leftKey = "arrowleft";
-        this.rightKey = "arrowright";
-        this.actionKey = "space";
-        this.rotateLeftKey = "q";
-        this.rotateRightKey = "e";
+        this.jumpAction = "jump";
+        this.moveXAction = "moveX";
+        this.moveYAction = "moveY";
+        this.rotateAction = "rotate";
+        this.bindingOverrides = {};
 
         // Refresh the inspector to show updated values
         if (window.editor && window.editor.inspector) {
@@ -457,6 +400,67 @@ class PhysicsKeyboardController extends Module {
         }
     }
 
+    /**
+     * Read an action, through this object's binding override when it has one
+     * @param {string} name - Action name
+     * @returns {Object} { value, down, pressed }
+     */
+    readAction(name) {
+        const bindings = this.bindingOverrides[name];
+        if (bindings) return window.input.readBindings(bindings);
+
+        return {
+            value: window.input.getActionValue(name),
+            down: window.input.actionDown(name),
+            pressed: window.input.actionPressed(name)
+        };
+    }
+
+    fromJSON(json) {
+        super.fromJSON(json);
+        if (json && json.exposedValues) {
+            this.migrateLegacyKeys(json.exposedValues);
+        }
+        return this;
+    }
+
+    /**
+     * Turn the key properties of controllers saved before input actions (upKey, jumpKey...)
+     * into binding overrides. Keys left at their old defaults are dropped, since the
+     * built-in actions already include them.
+     * @param {Object} values - Saved property values
+     */
+    migrateLegacyKeys(values) {
+        const defaults = PhysicsKeyboardController.legacyKeyDefaults;
+        const names = Object.keys(defaults).filter(name => name in values);
+        names.forEach(name => { delete this[name]; });
+        if (names.length === 0) return;
+
+        const keyOf = (name) => {
+            const key = String(name in values ? values[name] : defaults[name]).toLowerCase();
+            return key === " " ? "space" : key;
+        };
+        const changed = (...keys) => keys.some(name => name in values && keyOf(name) !== defaults[name]);
+        const binding = (name, sign = "") => keyOf(name) ? `${sign}key:${keyOf(name)}` : null;
+        const migrate = (action, bindings) => {
+            bindings = bindings.filter(Boolean);
+            if (action && bindings.length > 0) this.bindingOverrides[action] = bindings;
+        };
+
+        if (changed("leftKey", "rightKey")) migrate(this.moveXAction, [binding("leftKey", "-"), binding("rightKey")]);
+        if (changed("upKey", "downKey")) migrate(this.moveYAction, [binding("upKey", "-"), binding("downKey")]);
+        if (changed("rotateLeftKey", "rotateRightKey")) migrate(this.rotateAction, [binding("rotateLeftKey", "-"), binding("rotateRightKey")]);
+        if (changed("jumpKey")) migrate(this.jumpAction, [binding("jumpKey")]);
+    }
+
+    _serializeCustomData() {
+        return Object.keys(this.bindingOverrides).length > 0 ? { bindingOverrides: this.bindingOverrides } : null;
+    }
+
+    _deserializeCustomData(data) {
+        this.bindingOverrides = data.bindingOverrides || {};
+    }
+
     /**
      * Main update loop
      * @param {number} deltaTime - Time since last frame in seconds
@@ -468,9 +472,7 @@ class PhysicsKeyboardController extends Module {
 
         if (this.platformerMode && rigidBody) {
             // Platformer: horizontal movement, gravity, jump
-            let inputX = 0;
-            if (window.input.keyDown(this.rightKey)) inputX += 1;
-            if (window.input.keyDown(this.leftKey)) inputX -= 1;
+            const inputX = this.readAction(this.moveXAction).value;
 
             // Only horizontal velocity is controlled
             const targetVelocityX = inputX * this.speed;
@@ -480,7 +482,7 @@ class PhysicsKeyboardController extends Module {
             this.grounded = Math.abs(rigidBody.velocity.y) < 0.1;
 
             // Jump
-            if (window.input.keyPressed(this.jumpKey) && this.grounded) {
+            if (this.readAction(this.jumpAction).pressed && this.grounded) {
                 rigidBody.velocity.y = -this.jumpForce;
                 this.isJumping = true;
             }
@@ -495,22 +497,22 @@ class PhysicsKeyboardController extends Module {
             return; // Exit early for platformer mode
         }
 
+        const moveX = this.readAction(this.moveXAction).value;
+        const moveY = this.readAction(this.moveYAction).value;
+
         // Reference the custom drawing module
         const drawingModule = this.gameObject.getModule(this.customDrawingModule);
         if (drawingModule) {
             // Flip horizontally when moving left/right
-            if (window.input.keyDown(this.leftKey)) {
+            if (moveX < 0) {
                 drawingModule.flipped = true;
                 drawingModule.setAnimation(this.animWalk);
                 drawingModule.isPlaying = true;
-            } else if (window.input.keyDown(this.rightKey)) {
+            } else if (moveX > 0) {
                 drawingModule.flipped = false;
                 drawingModule.setAnimation(this.animWalk);
                 drawingModule.isPlaying = true;
-            } else if (window.input.keyDown(this.upKey)) {
-                drawingModule.setAnimation(this.animWalk);
-                drawingModule.isPlaying = true;
-            } else if (window.input.keyDown(this.downKey)) {
+            } else if (moveY !== 0) {
                 drawingModule.setAnimation(this.animWalk);
                 drawingModule.isPlaying = true;
             } else {
@@ -520,22 +522,11 @@ class PhysicsKeyboardController extends Module {
         }
 
         // Handle rotation input (if using rotation mode or explicitly rotating)
-        if (window.input.keyDown(this.rotateLeftKey)) {
-            this.gameObject.angle -= this.rotationSpeed * deltaTime;
-        }
-
-        if (window.input.keyDown(this.rotateRightKey)) {
-            this.gameObject.angle += this.rotationSpeed * deltaTime;
-        }
+        this.gameObject.angle += this.readAction(this.rotateAction).value * this.rotationSpeed * deltaTime;
 
         // Get input direction
-        let inputX = 0;
-        let inputY = 0;
-
-        if (window.input.keyDown(this.rightKey)) inputX += 1;
-        if (window.input.keyDown(this.leftKey)) inputX -= 1;
-        if (window.input.keyDown(this.downKey)) inputY += 1;
-        if (window.input.keyDown(this.upKey)) inputY -= 1;
+        let inputX = moveX;
+        let inputY = moveY;
 
         // Handle non-diagonal movement if needed
         if (!this.allowDiagonalMovement && inputX !== 0 && inputY !== 0) {
@@ -546,9 +537,7 @@ class PhysicsKeyboardController extends Module {
         // Handle rotate-and-move mode
         if (this.moveMode === "rotate-and-move") {
             // Only move forward/backward
-            let moveAmount = 0;
-            if (window.input.keyDown(this.upKey)) moveAmount = -1;
-            if (window.input.keyDown(this.downKey)) moveAmount = 1;
+            const moveAmount = moveY;
 
             // Convert angle to direction vector
             const angle = this.gameObject.angle * Math.PI / 180;
@@ -556,19 +545,13 @@ class PhysicsKeyboardController extends Module {
             inputY = -Math.cos(angle) * moveAmount;
 
             // Handle strafing
-            if (window.input.keyDown(this.leftKey)) {
-                inputX += Math.cos(angle);
-                inputY += Math.sin(angle);
-            }
-            if (window.input.keyDown(this.rightKey)) {
-                inputX -= Math.cos(angle);
-                inputY -= Math.sin(angle);
-            }
+            inputX -= Math.cos(angle) * moveX;
+            inputY -= Math.sin(angle) * moveX;
         }
 
-        // Normalize vector if it's not zero
-        if (inputX !== 0 || inputY !== 0) {
-            const length = Math.sqrt(inputX * inputX + inputY * inputY);
+        // Clamp to unit length so diagonals aren't faster (analog input can be shorter)
+        const length = Math.sqrt(inputX * inputX + inputY * inputY);
+        if (length > 1) {
             inputX /= length;
             inputY /= length;
         }
@@ -611,5 +594,18 @@ class PhysicsKeyboardController extends Module {
     }
 }
 
+// Key properties and their defaults before the controller used input actions
+// (actionKey was never read, so it has nothing to migrate to)
+PhysicsKeyboardController.legacyKeyDefaults = {
+    upKey: "arrowup",
+    downKey: "arrowdown",
+    leftKey: "arrowleft",
+    rightKey: "arrowright",
+    rotateLeftKey: "q",
+    rotateRightKey: "e",
+    jumpKey: "space",
+    actionKey: "space"
+};
+
 // Register module globally
 window.PhysicsKeyboardController = PhysicsKeyboardController;
\ No newline at end of file
@@ -1,10 +1,14 @@
 /**
  * SimpleHealth - Basic health and damage system
+ *
+ * In multiplayer, health is replicated from the object's owner, and other players damage
+ * or heal it through RPCs: health.rpc('applyDamage', 10)
  */
 class SimpleHealth extends Module {
     static allowMultiple = false; 
     static namespace = "Attributes";
     static description = "Basic health and damage system for GameObjects";
+    static rpcMethods = { applyDamage: 'owner', heal: 'owner', resetHealth: 'owner' };
 
     constructor() {
         super("SimpleHealth");
@@ -44,6 +48,8 @@ class SimpleHealth extends Module {
         
         // Expose properties
         this.exposeProperty("maxHealth", "number", 100, {
+            saveable: true,
+            replicated: true,
             min: 1,
             max: 10000,
             step: 1,
@@ -54,6 +60,8 @@ class SimpleHealth extends Module {
         });
         
         this.exposeProperty("currentHealth", "number", 100, {
+            saveable: true,
+            replicated: true,
             min: 0,
             max: 10000,
             step: 1,
@@ -268,6 +276,16 @@ class SimpleHealth extends Module {
         ctx.restore();
     }
 
+    /**
+     * Save games keep health (saveable properties) and whether the object died
+     * @returns {Object} Save data
+     */
+    getSaveData() {
+        const data = super.getSaveData();
+        data.isDead = this.isDead;
+        return data;
+    }
+
     toJSON() {
         return {
             maxHealth: this.maxHealth,
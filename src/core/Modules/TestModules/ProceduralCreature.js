@@ -1356,10 +1356,10 @@ class ProceduralCreature extends Module {
             }
 
             for (let side = 0; side < 2; side++) {
-                const lengthVariation = 1 + (Math.random() - 0.5) * this.legRandomness;
-                const angleVariation = (Math.random() - 0.5) * this.legRandomness * 30;
-                const thicknessVariation = 1 + (Math.random() - 0.5) * this.legRandomness * 0.3;
-                const verticalOffset = (Math.random() - 0.5) * this.legOffsetVariation * this.bodyWidth;
+                const lengthVariation = 1 + (this._random() - 0.5) * this.legRandomness;
+                const angleVariation = (this._random() - 0.5) * this.legRandomness * 30;
+                const thicknessVariation = 1 + (this._random() - 0.5) * this.legRandomness * 0.3;
+                const verticalOffset = (this._random() - 0.5) * this.legOffsetVariation * this.bodyWidth;
                 const phaseOffset = side === 0 ? 0 : 0.5;
 
                 this._legs.push({
@@ -1599,8 +1599,8 @@ class ProceduralCreature extends Module {
                     } else {
                         if (!this._wanderTarget) {
                             // Pick new wander target from CURRENT position
-                            const angle = Math.random() * Math.PI * 2;
-                            const dist = Math.random() * this.wanderRadius;
+                            const angle = this._random() * Math.PI * 2;
+                            const dist = this._random() * this.wanderRadius;
 
                             this._wanderTarget = new Vector2(
                                 pos.x + Math.cos(angle) * dist,
@@ -2393,13 +2393,18 @@ class ProceduralCreature extends Module {
         }
     }
 
+    // Next value from this module's seeded random stream (see Module.getRandom)
+    _random() {
+        return this.getRandom().next();
+    }
+
     _generateRandomColorScheme() {
         // Generate a base hue (0-360)
-        const baseHue = Math.floor(Math.random() * 360);
+        const baseHue = Math.floor(this._random() * 360);
 
         // Choose a color scheme type
         const schemeTypes = ['monochromatic', 'analogous', 'complementary', 'triadic'];
-        const schemeType = schemeTypes[Math.floor(Math.random() * schemeTypes.length)];
+        const schemeType = schemeTypes[Math.floor(this._random() * schemeTypes.length)];
 
         let hues = [];
 
@@ -2455,20 +2460,20 @@ class ProceduralCreature extends Module {
         // Convert HSL to hex for each color
         const colors = hues.map((hue, index) => {
             // Vary saturation and lightness for depth
-            const saturation = 40 + Math.random() * 40; // 40-80%
+            const saturation = 40 + this._random() * 40; // 40-80%
             let lightness;
 
             // Assign roles based on index
             if (index === 0) { // body color - medium
-                lightness = 30 + Math.random() * 20;
+                lightness = 30 + this._random() * 20;
             } else if (index === 1 || index === 2) { // leg/arm colors - darker
-                lightness = 20 + Math.random() * 20;
+                lightness = 20 + this._random() * 20;
             } else if (index === 3) { // accent color - lighter or more saturated
-                lightness = 40 + Math.random() * 25;
+                lightness = 40 + this._random() * 25;
             } else if (index === 4) { // eye color - bright
-                lightness = 60 + Math.random() * 30;
+                lightness = 60 + this._random() * 30;
             } else { // other accent colors
-                lightness = 35 + Math.random() * 25;
+                lightness = 35 + this._random() * 25;
             }
 
             return this._hslToHex(hue, saturation, lightness);
@@ -2520,74 +2525,74 @@ class ProceduralCreature extends Module {
 
     _randomizeAllProperties() {
         // Body properties
-        this.bodySegments = Math.floor(1 + Math.random() * 9); // 1-10
-        this.segmentLength = 10 + Math.random() * 40; // 10-50
-        this.headSize = 10 + Math.random() * 50; // 10-60
-        this.bodyWidth = 5 + Math.random() * 35; // 5-40
-        this.tailTaper = Math.random(); // 0-1
-        this.segmentSmoothing = 0.01 + Math.random() * 0.99; // 0.01-1
+        this.bodySegments = Math.floor(1 + this._random() * 9); // 1-10
+        this.segmentLength = 10 + this._random() * 40; // 10-50
+        this.headSize = 10 + this._random() * 50; // 10-60
+        this.bodyWidth = 5 + this._random() * 35; // 5-40
+        this.tailTaper = this._random(); // 0-1
+        this.segmentSmoothing = 0.01 + this._random() * 0.99; // 0.01-1
 
         // Body customization
         const bodyShapes = ["ellipse", "circle", "rectangle", "triangle"];
-        this.bodyShape = bodyShapes[Math.floor(Math.random() * bodyShapes.length)];
-        this.bodyScaleX = 0.5 + Math.random() * 1.5; // 0.5-2
-        this.bodyScaleY = 0.5 + Math.random() * 1.5; // 0.5-2
+        this.bodyShape = bodyShapes[Math.floor(this._random() * bodyShapes.length)];
+        this.bodyScaleX = 0.5 + this._random() * 1.5; // 0.5-2
+        this.bodyScaleY = 0.5 + this._random() * 1.5; // 0.5-2
 
         const spinePatterns = ["none", "spikes", "plates"];
-        this.spinePattern = spinePatterns[Math.floor(Math.random() * spinePatterns.length)];
-        this.spineSize = Math.random() * 20; // 0-20
-        this.spineCount = Math.floor(Math.random() * 13); // 0-12
+        this.spinePattern = spinePatterns[Math.floor(this._random() * spinePatterns.length)];
+        this.spineSize = this._random() * 20; // 0-20
+        this.spineCount = Math.floor(this._random() * 13); // 0-12
 
         // Snake properties
-        this.snakeWaveAmplitude = Math.random() * 50; // 0-50
-        this.snakeWaveFrequency = 0.5 + Math.random() * 4.5; // 0.5-5
-        this.snakeWaveSpeed = 0.5 + Math.random() * 9.5; // 0.5-10
+        this.snakeWaveAmplitude = this._random() * 50; // 0-50
+        this.snakeWaveFrequency = 0.5 + this._random() * 4.5; // 0.5-5
+        this.snakeWaveSpeed = 0.5 + this._random() * 9.5; // 0.5-10
 
         // Leg properties
-        this.legPairs = Math.floor(1 + Math.random() * 7); // 1-8
-        this.legSegments = Math.floor(1 + Math.random() * 3); // 1-4
-        this.legLength = 20 + Math.random() * 80; // 20-100
-        this.legThickness = 1 + Math.random() * 9; // 1-10
-        this.legSpread = Math.random() * 90; // 0-90
-        this.legForwardOffset = -1 + Math.random() * 2; // -1 to 1
-        this.legRandomness = Math.random() * 0.5; // 0-0.5
+        this.legPairs = Math.floor(1 + this._random() * 7); // 1-8
+        this.legSegments = Math.floor(1 + this._random() * 3); // 1-4
+        this.legLength = 20 + this._random() * 80; // 20-100
+        this.legThickness = 1 + this._random() * 9; // 1-10
+        this.legSpread = this._random() * 90; // 0-90
+        this.legForwardOffset = -1 + this._random() * 2; // -1 to 1
+        this.legRandomness = this._random() * 0.5; // 0-0.5
 
         const legJointStyles = ["smooth", "angular", "organic"];
-        this.legJointStyle = legJointStyles[Math.floor(Math.random() * legJointStyles.length)];
+        this.legJointStyle = legJointStyles[Math.floor(this._random() * legJointStyles.length)];
 
         const legTipShapes = ["circle", "claw", "pad"];
-        this.legTipShape = legTipShapes[Math.floor(Math.random() * legTipShapes.length)];
+        this.legTipShape = legTipShapes[Math.floor(this._random() * legTipShapes.length)];
 
-        this.legOffsetVariation = Math.random(); // 0-1
+        this.legOffsetVariation = this._random(); // 0-1
 
         // Arm properties
-        this.armCount = Math.floor(Math.random() * 5); // 0-4
-        this.armSegments = Math.floor(1 + Math.random() * 2); // 1-3
-        this.armLength = 15 + Math.random() * 65; // 15-80
-        this.armThickness = 1 + Math.random() * 7; // 1-8
-        this.armReachRange = 50 + Math.random() * 150; // 50-200
-        this.armReachSpeed = 1 + Math.random() * 9; // 1-10
-        this.armSpringStiffness = 1 + Math.random() * 19; // 1-20
-        this.armSpringDamping = Math.random(); // 0-1
-        this.armRestForwardDistance = 0.3 + Math.random() * 0.7; // 0.3-1
-        this.armRestOutwardAngle = Math.random() * 45; // 0-45
-        this.armSwingEnabled = Math.random() > 0.3; // 70% chance true
-        this.armSwingSpeed = 0.5 + Math.random() * 9.5; // 0.5-10
-        this.armSwingAmount = Math.random() * 45; // 0-45
+        this.armCount = Math.floor(this._random() * 5); // 0-4
+        this.armSegments = Math.floor(1 + this._random() * 2); // 1-3
+        this.armLength = 15 + this._random() * 65; // 15-80
+        this.armThickness = 1 + this._random() * 7; // 1-8
+        this.armReachRange = 50 + this._random() * 150; // 50-200
+        this.armReachSpeed = 1 + this._random() * 9; // 1-10
+        this.armSpringStiffness = 1 + this._random() * 19; // 1-20
+        this.armSpringDamping = this._random(); // 0-1
+        this.armRestForwardDistance = 0.3 + this._random() * 0.7; // 0.3-1
+        this.armRestOutwardAngle = this._random() * 45; // 0-45
+        this.armSwingEnabled = this._random() > 0.3; // 70% chance true
+        this.armSwingSpeed = 0.5 + this._random() * 9.5; // 0.5-10
+        this.armSwingAmount = this._random() * 45; // 0-45
 
         // Arm combat
-        this.punchSpeed = 1 + Math.random() * 19; // 1-20
-        this.punchWindupDistance = Math.random(); // 0-1
-        this.punchReachDistance = 0.8 + Math.random() * 1.2; // 0.8-2
-        this.punchArcAmount = Math.random() * 60; // 0-60
-        this.grabSpeed = 1 + Math.random() * 14; // 1-15
-        this.grabHoldTime = Math.random() * 3; // 0-3
+        this.punchSpeed = 1 + this._random() * 19; // 1-20
+        this.punchWindupDistance = this._random(); // 0-1
+        this.punchReachDistance = 0.8 + this._random() * 1.2; // 0.8-2
+        this.punchArcAmount = this._random() * 60; // 0-60
+        this.grabSpeed = 1 + this._random() * 14; // 1-15
+        this.grabHoldTime = this._random() * 3; // 0-3
 
         // IK locomotion
-        this.stepDistance = 20 + Math.random() * 80; // 20-100
-        this.stepHeight = Math.random() * 30; // 0-30
-        this.stepSpeed = 1 + Math.random() * 14; // 1-15
-        this.alternateLegs = Math.random() > 0.5;
+        this.stepDistance = 20 + this._random() * 80; // 20-100
+        this.stepHeight = this._random() * 30; // 0-30
+        this.stepSpeed = 1 + this._random() * 14; // 1-15
+        this.alternateLegs = this._random() > 0.5;
 
         // Generate balanced color scheme
         const colors = this._generateRandomColorScheme();
@@ -2601,42 +2606,42 @@ class ProceduralCreature extends Module {
         this.spineColor = colors.spineColor;
 
         // Shadow properties
-        this.showShadow = Math.random() > 0.3; // 70% chance
-        this.shadowOpacity = 0.1 + Math.random() * 0.4; // 0.1-0.5
-        this.shadowBlur = Math.random() * 40; // 0-40
-        this.shadowOffsetX = -10 + Math.random() * 20; // -10 to 10
-        this.shadowOffsetY = -10 + Math.random() * 20; // -10 to 10
+        this.showShadow = this._random() > 0.3; // 70% chance
+        this.shadowOpacity = 0.1 + this._random() * 0.4; // 0.1-0.5
+        this.shadowBlur = this._random() * 40; // 0-40
+        this.shadowOffsetX = -10 + this._random() * 20; // -10 to 10
+        this.shadowOffsetY = -10 + this._random() * 20; // -10 to 10
 
         // Appearance
-        this.showEyes = Math.random() > 0.2; // 80% chance
-        this.eyeCount = Math.floor(Math.random() * 9); // 0-8
-        this.showJoints = Math.random() > 0.3; // 70% chance
-        this.isometricAngle = Math.random() * 90; // 0-90
-        //this.bodyHeight = Math.random() * 100; // 0-100
+        this.showEyes = this._random() > 0.2; // 80% chance
+        this.eyeCount = Math.floor(this._random() * 9); // 0-8
+        this.showJoints = this._random() > 0.3; // 70% chance
+        this.isometricAngle = this._random() * 90; // 0-90
+        //this.bodyHeight = this._random() * 100; // 0-100
 
         // Head customization
         const headShapes = ["ellipse", "triangle", "rectangle", "diamond"];
-        this.headShape = headShapes[Math.floor(Math.random() * headShapes.length)];
-        this.antennaCount = Math.floor(Math.random() * 5); // 0-4
-        this.antennaLength = 5 + Math.random() * 35; // 5-40
-        this.mandibles = Math.random() > 0.5;
+        this.headShape = headShapes[Math.floor(this._random() * headShapes.length)];
+        this.antennaCount = Math.floor(this._random() * 5); // 0-4
+        this.antennaLength = 5 + this._random() * 35; // 5-40
+        this.mandibles = this._random() > 0.5;
 
         // Movement
-        this.moveSpeed = Math.random() * 200; // 0-200
-        this.acceleration = 50 + Math.random() * 450; // 50-500
-        this.turnSpeed = 30 + Math.random() * 330; // 30-360
+        this.moveSpeed = this._random() * 200; // 0-200
+        this.acceleration = 50 + this._random() * 450; // 50-500
+        this.turnSpeed = 30 + this._random() * 330; // 30-360
 
         const movementStyles = ["wander", "circle", "zigzag", "patrol"];
-        this.movementStyle = movementStyles[Math.floor(Math.random() * movementStyles.length)];
+        this.movementStyle = movementStyles[Math.floor(this._random() * movementStyles.length)];
 
-        this.wanderRadius = 50 + Math.random() * 450; // 50-500
-        this.wanderWaitTime = Math.random() * 10; // 0-10
-        this.arrivalThreshold = 5 + Math.random() * 45; // 5-50
+        this.wanderRadius = 50 + this._random() * 450; // 50-500
+        this.wanderWaitTime = this._random() * 10; // 0-10
+        this.arrivalThreshold = 5 + this._random() * 45; // 5-50
 
         // Head look
-        this.headLookEnabled = Math.random() > 0.3; // 70% chance
-        this.headLookRange = 50 + Math.random() * 450; // 50-500
-        this.headLookSpeed = 0.5 + Math.random() * 9.5; // 0.5-10
+        this.headLookEnabled = this._random() > 0.3; // 70% chance
+        this.headLookRange = 50 + this._random() * 450; // 50-500
+        this.headLookSpeed = 0.5 + this._random() * 9.5; // 0.5-10
 
         // Reinitialize creature with new properties
         this._initializeCreature();
@@ -0,0 +1,338 @@
+/**
+ * InputSettingsMenu - In-game controls screen for rebinding input actions
+ *
+ * Lists the project's input actions with a keyboard/mouse slot and a gamepad slot
+ * for each. Clicking a slot waits for the next input (window.input.listenForBinding)
+ * and stores the new binding in localStorage, so it is restored on the next run.
+ * Axis actions (e.g. moveX) are split into a "-" and a "+" row.
+ */
+class InputSettingsMenu extends Module {
+    static namespace = "UI";
+    static description = "In-game screen for rebinding input actions";
+    static allowMultiple = false;
+    static iconClass = "fas fa-keyboard";
+
+    constructor() {
+        super("InputSettingsMenu");
+
+        this.visible = false;
+        this.toggleKey = "escape";
+        this.actionNames = "";          // Comma-separated actions to show (empty = all)
+        this.title = "Controls";
+        this.width = 520;
+        this.rowHeight = 32;
+        this.fontSize = 14;
+        this.fontFamily = "Arial";
+        this.textColor = "#ffffff";
+        this.backgroundColor = "rgba(20, 20, 30, 0.92)";
+        this.slotColor = "#33334d";
+        this.highlightColor = "#4CAF50";
+
+        // Internal state
+        this.capturing = null;          // { row, device } while waiting for input
+        this.wasMouseDown = false;
+        this.hoveredSlot = null;
+        this.slots = [];                // Clickable areas from the last draw
+
+        this.exposeProperty("visible", "boolean", this.visible, {
+            description: "Show the menu",
+            onChange: (val) => { this.visible = val; }
+        });
+
+        this.exposeProperty("toggleKey", "string", this.toggleKey, {
+            description: "Key that opens and closes the menu (empty = none)",
+            onChange: (val) => { this.toggleKey = val; }
+        });
+
+        this.exposeProperty("actionNames", "string", this.actionNames, {
+            description: "Comma-separated actions to list (empty = all)",
+            onChange: (val) => { this.actionNames = val; }
+        });
+
+        this.exposeProperty("title", "string", this.title, {
+            description: "Menu title",
+            onChange: (val) => { this.title = val; }
+        });
+
+        this.exposeProperty("width", "number", this.width, {
+            description: "Menu width in pixels",
+            onChange: (val) => { this.width = val; }
+        });
+
+        this.exposeProperty("rowHeight", "number", this.rowHeight, {
+            description: "Height of each row in pixels",
+            onChange: (val) => { this.rowHeight = val; }
+        });
+
+        this.exposeProperty("fontSize", "number", this.fontSize, {
+            description: "Font size in pixels",
+            onChange: (val) => { this.fontSize = val; }
+        });
+
+        this.exposeProperty("fontFamily", "string", this.fontFamily, {
+            description: "Font family name",
+            onChange: (val) => { this.fontFamily = val; }
+        });
+
+        this.exposeProperty("textColor", "color", this.textColor, {
+            description: "Text color",
+            onChange: (val) => { this.textColor = val; }
+        });
+
+        this.exposeProperty("backgroundColor", "color", this.backgroundColor, {
+            description: "Menu background color",
+            onChange: (val) => { this.backgroundColor = val; }
+        });
+
+        this.exposeProperty("slotColor", "color", this.slotColor, {
+            description: "Binding slot color",
+            onChange: (val) => { this.slotColor = val; }
+        });
+
+        this.exposeProperty("highlightColor", "color", this.highlightColor, {
+            description: "Hovered or listening slot color",
+            onChange: (val) => { this.highlightColor = val; }
+        });
+    }
+
+    start() {
+        this.capturing = null;
+        this.wasMouseDown = false;
+    }
+
+    /**
+     * Show or hide the menu
+     * @param {boolean} [visible] - New state (toggles when omitted)
+     */
+    toggleMenu(visible = !this.visible) {
+        this.visible = visible;
+        if (!visible && this.capturing) {
+            window.input.cancelBindingCapture();
+        }
+    }
+
+    /**
+     * Rows to list: one per action, or a "-" and "+" row for axis actions
+     * @returns {Array<Object>} Rows of { action, label, negative }
+     */
+    getRows() {
+        const input = window.input;
+        const filter = this.actionNames.split(',').map(name => name.trim()).filter(Boolean);
+        const names = filter.length > 0 ? filter.filter(name => input.hasAction(name)) : Object.keys(input.actions);
+
+        const rows = [];
+        for (const name of names) {
+            const isAxis = input.actions[name].bindings.some(binding => this.isNegative(binding));
+            if (isAxis) {
+                rows.push({ action: name, label: `${name} -`, negative: true });
+                rows.push({ action: name, label: `${name} +`, negative: false });
+            } else {
+                rows.push({ action: name, label: name, negative: false });
+            }
+        }
+        return rows;
+    }
+
+    /**
+     * Whether a binding pushes its action negative
+     * @param {Object} binding - Parsed binding
+     * @returns {boolean} True for negative bindings
+     */
+    isNegative(binding) {
+        return binding.scale < 0;
+    }
+
+    /**
+     * Device slot a binding belongs to
+     * @param {Object} binding - Parsed binding
+     * @returns {string|null} 'keyboard', 'gamepad' or null (not rebindable here)
+     */
+    getDevice(binding) {
+        if (binding.type === 'key' || binding.type === 'mouse') return 'keyboard';
+        if (binding.type === 'gamepadButton' || binding.type === 'gamepadAxis') return 'gamepad';
+        return null;
+    }
+
+    /**
+     * Binding currently shown in a row's device slot
+     * @param {Object} row - Row from getRows()
+     * @param {string} device - 'keyboard' or 'gamepad'
+     * @returns {string|null} Binding string or null if the slot is empty
+     */
+    getSlotBinding(row, device) {
+        const bindings = window.input.actions[row.action]?.bindings || [];
+        const binding = bindings.find(b => this.getDevice(b) === device && this.isNegative(b) === row.negative);
+        return binding ? InputManager.formatBinding(binding) : null;
+    }
+
+    /**
+     * Wait for new input and put it into a row's device slot
+     * @param {Object} row - Row from getRows()
+     * @param {string} device - 'keyboard' or 'gamepad'
+     */
+    async rebind(row, device) {
+        const input = window.input;
+        this.capturing = { row: row, device: device };
+
+        let binding = await input.listenForBinding({
+            devices: device === 'keyboard' ? ['keyboard', 'mouse'] : ['gamepad']
+        });
+        this.capturing = null;
+        if (!binding) return;
+
+        // Half-axis bindings already carry their direction
+        if (row.negative && !/^axis:\d+[+-]/.test(binding)) {
+            binding = `-${binding}`;
+        }
+
+        if (input.rebindAction(row.action, this.getSlotBinding(row, device), binding)) {
+            input.saveBindingOverrides();
+        }
+    }
+
+    /**
+     * Restore the project's bindings and forget the player's rebinds
+     */
+    resetBindings() {
+        window.input.resetBindingOverrides();
+    }
+
+    loop(deltaTime) {
+        const input = window.input;
+        if (!input) return;
+
+        // Escape cancels a capture, so don't let the same press close the menu
+        if (this.toggleKey && !this.capturing && input.keyPressed(this.toggleKey)) {
+            this.toggleMenu();
+        }
+        if (!this.visible) return;
+
+        // Track clicks ourselves: press/release flags are reset before modules update
+        const mousePos = input.getMousePosition(false);
+        const mouseDown = input.mouseDown('left');
+        const clicked = this.wasMouseDown && !mouseDown;
+        this.wasMouseDown = mouseDown;
+
+        this.hoveredSlot = this.slots.find(slot =>
+            mousePos.x >= slot.x && mousePos.x <= slot.x + slot.width &&
+            mousePos.y >= slot.y && mousePos.y <= slot.y + slot.height) || null;
+
+        if (clicked && this.hoveredSlot && !this.capturing) {
+            this.hoveredSlot.onClick();
+        }
+    }
+
+    draw(ctx) {
+        if (!this.visible || !window.input) return;
+
+        // Draw on the GUI layer so the menu sits on top of the scene
+        ctx = window.engine?.getGuiCanvas() || ctx;
+
+        const rows = this.getRows();
+        const padding = 16;
+        const headerHeight = this.fontSize * 2 + padding;
+        const footerHeight = this.rowHeight + padding;
+        const height = headerHeight + rows.length * this.rowHeight + footerHeight + padding;
+        const left = (ctx.canvas.width - this.width) / 2;
+        const top = Math.max(0, (ctx.canvas.height - height) / 2);
+        const slotWidth = (this.width - padding * 2) * 0.3;
+
+        ctx.save();
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+
+        ctx.fillStyle = this.backgroundColor;
+        ctx.fillRect(left, top, this.width, height);
+
+        ctx.fillStyle = this.textColor;
+        ctx.textBaseline = "middle";
+        ctx.textAlign = "center";
+        ctx.font = `bold ${this.fontSize * 1.4}px ${this.fontFamily}`;
+        ctx.fillText(this.title, left + this.width / 2, top + padding + this.fontSize / 2);
+
+        ctx.font = `${this.fontSize}px ${this.fontFamily}`;
+        ctx.fillStyle = "#aaaaaa";
+        ctx.fillText(this.capturing ? "Press an input (Escape to cancel)" : "Click a binding to change it",
+            left + this.width / 2, top + padding + this.fontSize * 1.6);
+
+        this.slots = [];
+        rows.forEach((row, i) => {
+            const y = top + headerHeight + i * this.rowHeight;
+
+            ctx.fillStyle = this.textColor;
+            ctx.textAlign = "left";
+            ctx.fillText(row.label, left + padding, y + this.rowHeight / 2);
+
+            ['keyboard', 'gamepad'].forEach((device, column) => {
+                const x = left + this.width - padding - slotWidth * (2 - column) - (column === 0 ? 8 : 0);
+                const binding = this.getSlotBinding(row, device);
+                this.drawSlot(ctx, {
+                    x: x,
+                    y: y + 3,
+                    width: slotWidth,
+                    height: this.rowHeight - 6,
+                    active: this.capturing && this.capturing.row.label === row.label && this.capturing.device === device,
+                    text: binding ? this.formatSlotText(binding) : "-",
+                    onClick: () => this.rebind(row, device)
+                });
+            });
+        });
+
+        const footerY = top + height - footerHeight;
+        this.drawSlot(ctx, {
+            x: left + padding,
+            y: footerY,
+            width: slotWidth,
+            height: this.rowHeight - 6,
+            text: "Reset to Default",
+            onClick: () => this.resetBindings()
+        });
+        this.drawSlot(ctx, {
+            x: left + this.width - padding - slotWidth,
+            y: footerY,
+            width: slotWidth,
+            height: this.rowHeight - 6,
+            text: "Close",
+            onClick: () => this.toggleMenu(false)
+        });
+
+        ctx.restore();
+    }
+
+    /**
+     * Draw a clickable slot and remember it for hit testing
+     * @private
+     */
+    drawSlot(ctx, slot) {
+        const hovered = this.hoveredSlot && this.hoveredSlot.x === slot.x && this.hoveredSlot.y === slot.y;
+
+        ctx.fillStyle = slot.active || hovered ? this.highlightColor : this.slotColor;
+        ctx.fillRect(slot.x, slot.y, slot.width, slot.height);
+
+        ctx.fillStyle = this.textColor;
+        ctx.textAlign = "center";
+        ctx.fillText(slot.active ? "..." : slot.text, slot.x + slot.width / 2, slot.y + slot.height / 2);
+
+        this.slots.push(slot);
+    }
+
+    /**
+     * Readable text for a binding, e.g. "-key:a" -> "A"
+     * @private
+     */
+    formatSlotText(binding) {
+        const text = binding.replace(/^-/, '').replace(/@\d+$/, '');
+        const [source, name] = text.split(':');
+        if (source === 'key') return name.length === 1 ? name.toUpperCase() : name;
+        if (source === 'mouse') return `Mouse ${name}`;
+        if (source === 'axis') return `Stick axis ${name}`;
+        return name;
+    }
+
+    onDestroy() {
+        if (this.capturing && window.input) {
+            window.input.cancelBindingCapture();
+        }
+    }
+}
+
+window.InputSettingsMenu = InputSettingsMenu;
@@ -0,0 +1,338 @@
+/**
+ * LobbyMenu - Multiplayer lobby screen built from Button and text modules
+ *
+ * Connects to the multiplayer server, lists its rooms with Quick Match and Create Room,
+ * and inside a room shows the players with their ready flags, the last chat lines and
+ * Ready / Start Game / Leave buttons. Each row is a small GameObject with a Button or a
+ * text module (UI Text when it is loaded, DrawText otherwise) laid out downwards from this
+ * object. When the host starts the game the menu hides and gameScene is loaded, if set.
+ */
+class LobbyMenu extends Module {
+    static namespace = "UI";
+    static description = "Multiplayer lobby with rooms, quick match, ready flags and chat";
+    static allowMultiple = false;
+    static iconClass = "fas fa-users";
+
+    constructor() {
+        super("LobbyMenu");
+
+        this.serverUrl = "ws://localhost:8080";
+        this.playerName = "Player";
+        this.autoConnect = true;
+        this.roomName = "My Room";
+        this.roomPassword = "";         // Password of rooms created here (empty = none)
+        this.maxPlayers = 4;
+        this.gameScene = "";            // Scene loaded when the game starts (empty = stay)
+        this.hideOnGameStart = true;
+        this.width = 420;
+        this.rowHeight = 40;
+        this.fontSize = 16;
+        this.textColor = "#ffffff";
+        this.chatLines = 5;
+
+        // Internal state
+        this.visible = true;
+        this.elements = [];             // GameObjects of the current layout
+        this.dirty = true;              // Rebuild the layout on the next loop
+        this.status = "";               // Last error from the server
+        this.handlers = [];             // [eventName, callback] registered on engine.multiplayer
+        this.cursorY = 0;
+
+        this.exposeProperty("serverUrl", "string", this.serverUrl, {
+            description: "WebSocket address of the multiplayer server",
+            onChange: (val) => { this.serverUrl = val; }
+        });
+
+        this.exposeProperty("playerName", "string", this.playerName, {
+            description: "Name shown to the other players",
+            onChange: (val) => { this.playerName = val; }
+        });
+
+        this.exposeProperty("autoConnect", "boolean", this.autoConnect, {
+            description: "Connect to the server on start",
+            onChange: (val) => { this.autoConnect = val; }
+        });
+
+        this.exposeProperty("roomName", "string", this.roomName, {
+            description: "Name of rooms created from the menu",
+            onChange: (val) => { this.roomName = val; }
+        });
+
+        this.exposeProperty("roomPassword", "string", this.roomPassword, {
+            description: "Password of rooms created from the menu (empty = none)",
+            onChange: (val) => { this.roomPassword = val; }
+        });
+
+        this.exposeProperty("maxPlayers", "number", this.maxPlayers, {
+            description: "Player limit of created and quick-matched rooms",
+            min: 2,
+            max: 32,
+            onChange: (val) => { this.maxPlayers = val; }
+        });
+
+        this.exposeProperty("gameScene", "string", this.gameScene, {
+            description: "Scene to load when the host starts the game (empty = stay)",
+            onChange: (val) => { this.gameScene = val; }
+        });
+
+        this.exposeProperty("hideOnGameStart", "boolean", this.hideOnGameStart, {
+            description: "Hide the menu while a game is running",
+            onChange: (val) => { this.hideOnGameStart = val; }
+        });
+
+        this.exposeProperty("width", "number", this.width, {
+            description: "Menu width in pixels",
+            onChange: (val) => { this.width = val; this.dirty = true; }
+        });
+
+        this.exposeProperty("rowHeight", "number", this.rowHeight, {
+            description: "Height of each row in pixels",
+            onChange: (val) => { this.rowHeight = val; this.dirty = true; }
+        });
+
+        this.exposeProperty("fontSize", "number", this.fontSize, {
+            description: "Font size in pixels",
+            onChange: (val) => { this.fontSize = val; this.dirty = true; }
+        });
+
+        this.exposeProperty("textColor", "color", this.textColor, {
+            description: "Color of labels",
+            onChange: (val) => { this.textColor = val; this.dirty = true; }
+        });
+
+        this.exposeProperty("chatLines", "number", this.chatLines, {
+            description: "Chat messages shown in a room",
+            onChange: (val) => { this.chatLines = val; this.dirty = true; }
+        });
+    }
+
+    get multiplayer() {
+        const engine = this.engine || window.engine;
+        return engine ? engine.multiplayer : null;
+    }
+
+    start() {
+        const multiplayer = this.multiplayer;
+        if (!multiplayer) {
+            console.warn('LobbyMenu: the engine has no multiplayer manager (enableMultiplayer is off)');
+            return;
+        }
+
+        const refresh = () => { this.dirty = true; };
+        ['connected', 'disconnected', 'reconnecting', 'reconnected', 'roomList', 'roomCreated',
+            'roomJoined', 'roomLeft', 'lobbyUpdate', 'hostChanged', 'chat'].forEach(name => this.listen(name, refresh));
+
+        this.listen('welcome', () => multiplayer.getRoomList());
+        this.listen('error', (error) => {
+            this.status = error && error.message ? error.message : 'Connection error';
+            this.dirty = true;
+        });
+        this.listen('gameStarted', () => this.onGameStarted());
+        this.listen('gameEnded', () => this.setVisible(true));
+
+        if (multiplayer.connected) {
+            multiplayer.getRoomList();
+        } else if (this.autoConnect && !multiplayer.reconnecting) {
+            this.connect();
+        }
+        this.dirty = true;
+    }
+
+    loop(deltaTime) {
+        if (this.dirty) {
+            this.dirty = false;
+            this.rebuild();
+        }
+    }
+
+    onDestroy() {
+        const multiplayer = this.multiplayer;
+        if (multiplayer) {
+            this.handlers.forEach(([name, callback]) => multiplayer.off(name, callback));
+        }
+        this.handlers = [];
+        this.clearElements();
+    }
+
+    /**
+     * Show or hide the whole menu
+     */
+    setVisible(visible) {
+        this.visible = visible;
+        this.dirty = true;
+    }
+
+    connect() {
+        this.status = "";
+        this.multiplayer.connect(this.serverUrl, { playerName: this.playerName });
+    }
+
+    listen(name, callback) {
+        this.multiplayer.on(name, callback);
+        this.handlers.push([name, callback]);
+    }
+
+    onGameStarted() {
+        if (this.hideOnGameStart) {
+            this.setVisible(false);
+        }
+        if (this.gameScene) {
+            (this.engine || window.engine).changeScene(this.gameScene);
+        }
+    }
+
+    // ========================================================================
+    // Layout
+    // ========================================================================
+
+    rebuild() {
+        this.clearElements();
+        const multiplayer = this.multiplayer;
+        if (!this.visible || !multiplayer) return;
+
+        this.cursorY = 0;
+        if (!multiplayer.connected) {
+            this.addLabel(multiplayer.reconnecting ? "Connection lost, reconnecting..." : "Not connected", null, this.fontSize + 6);
+            if (!multiplayer.reconnecting) {
+                this.addButtons([["Connect", () => this.connect()]]);
+            }
+        } else if (!multiplayer.currentRoom) {
+            this.buildRoomList(multiplayer);
+        } else {
+            this.buildRoom(multiplayer);
+        }
+
+        if (this.status) {
+            this.addLabel(this.status, "#ff6b6b");
+        }
+    }
+
+    buildRoomList(multiplayer) {
+        this.addLabel("Multiplayer Lobby", null, this.fontSize + 6);
+        this.addButtons([
+            ["Quick Match", () => multiplayer.quickMatch({}, this.maxPlayers)],
+            ["Create Room", () => multiplayer.createRoom(this.roomName, this.maxPlayers, false, { password: this.roomPassword || undefined })],
+            ["Refresh", () => multiplayer.getRoomList()]
+        ]);
+
+        if (multiplayer.roomList.length === 0) {
+            this.addLabel("No open rooms");
+        }
+        multiplayer.roomList.forEach(room => {
+            let label = `${room.roomName} (${room.playerCount}/${room.maxPlayers})`;
+            if (room.hasPassword) label += " [locked]";
+            if (room.state === 'playing') label += " - playing";
+            this.addButtons([[label, () => this.joinRoom(room)]]);
+        });
+    }
+
+    buildRoom(multiplayer) {
+        const lobby = multiplayer.lobby;
+        if (!lobby) {
+            this.addLabel("Joining room...");
+            return;
+        }
+
+        this.addLabel(`${lobby.roomName} (${lobby.players.length}/${lobby.maxPlayers})`, null, this.fontSize + 6);
+        lobby.players.forEach(player => {
+            const tags = [player.isHost ? "host" : null, player.ready ? "ready" : "not ready", player.connected ? null : "reconnecting"];
+            const name = player.playerId === multiplayer.playerId ? `${player.playerName} (you)` : player.playerName;
+            this.addLabel(`${name} - ${tags.filter(Boolean).join(", ")}`, player.ready ? "#8BC34A" : null);
+        });
+
+        const me = lobby.players.find(player => player.playerId === multiplayer.playerId);
+        const ready = !!(me && me.ready);
+        const buttons = [[ready ? "Not Ready" : "Ready", () => multiplayer.setReady(!ready)]];
+        if (multiplayer.isHost()) {
+            buttons.push(lobby.state === 'playing'
+                ? ["End Game", () => multiplayer.endGame()]
+                : ["Start Game", () => multiplayer.startGame()]);
+        }
+        buttons.push(["Leave", () => multiplayer.leaveRoom()]);
+        this.addButtons(buttons);
+
+        multiplayer.chatMessages.slice(-this.chatLines).forEach(chat => {
+            this.addLabel(`${chat.playerName}: ${chat.message}`, "#cccccc", this.fontSize - 2);
+        });
+        this.addButtons([["Chat", () => {
+            const message = window.prompt("Message:");
+            if (message) multiplayer.sendChat(message);
+        }]]);
+    }
+
+    joinRoom(room) {
+        let password;
+        if (room.hasPassword) {
+            password = window.prompt(`Password for ${room.roomName}:`);
+            if (password === null) return;
+        }
+        this.multiplayer.joinRoom(room.roomId, password);
+    }
+
+    /**
+     * Add a left-aligned text row
+     */
+    addLabel(text, color = null, fontSize = this.fontSize) {
+        // UI Text when its script is loaded, DrawText (always loaded) otherwise
+        const TextModule = typeof window.Text === 'function' && window.Text.prototype instanceof Module ? window.Text : DrawText;
+        const label = new TextModule();
+        label.text = text;
+        label.fontSize = fontSize;
+        label.textAlign = "left";
+        if (label instanceof DrawText) {
+            label.fillColor = color || this.textColor;
+        } else {
+            label.color = color || this.textColor;
+        }
+
+        const origin = this.gameObject.getWorldPosition();
+        this.createElement("Label", origin.x - this.width / 2, origin.y + this.cursorY, label);
+        this.cursorY += this.rowHeight;
+    }
+
+    /**
+     * Add a row of equally wide buttons
+     * @param {Array} buttons - [[text, callback], ...]
+     */
+    addButtons(buttons) {
+        const gap = 8;
+        const buttonWidth = (this.width - gap * (buttons.length - 1)) / buttons.length;
+        const origin = this.gameObject.getWorldPosition();
+
+        buttons.forEach(([text, callback], i) => {
+            const button = new Button();
+            button.width = buttonWidth;
+            button.height = this.rowHeight - gap;
+            button.text = text;
+            button.fontSize = this.fontSize;
+            // Lobby buttons call back directly instead of running onClickAction code
+            button.executeClickAction = () => {
+                this.status = "";
+                callback();
+                this.dirty = true;
+            };
+
+            const x = origin.x - this.width / 2 + buttonWidth / 2 + i * (buttonWidth + gap);
+            this.createElement("Button", x, origin.y + this.cursorY, button);
+        });
+        this.cursorY += this.rowHeight;
+    }
+
+    createElement(name, x, y, module) {
+        const engine = this.engine || window.engine;
+        const element = new GameObject(`${this.gameObject.name} ${name}`);
+        element.position = new Vector2(x, y);
+        element.addModule(module);
+        engine.addGameObject(element, null, true);
+        element.start();
+        this.elements.push(element);
+        return element;
+    }
+
+    clearElements() {
+        this.elements.forEach(element => element.destroy());
+        this.elements = [];
+    }
+}
+
+window.LobbyMenu = LobbyMenu;
@@ -24,6 +24,8 @@ class Spawner extends Module {
         this.inheritPosition = true;
         this.inheritRotation = false;
         this.inheritScale = false;
+        this.usePool = false; // Reuse despawned objects through window.poolManager (modules must reset in onReturnToPool)
+        this.poolWarmCount = 0; // Objects to create up front when the spawner starts
 
         // Position properties
         this.spawnArea = "point"; // point, circle, rectangle, line
@@ -121,6 +123,23 @@ class Spawner extends Module {
             }
         });
 
+        this.exposeProperty("usePool", "boolean", this.usePool, {
+            description: "Reuse destroyed objects instead of cloning new ones (their modules must clean up in onReturnToPool)",
+            onChange: (value) => {
+                this.usePool = value;
+            }
+        });
+
+        this.exposeProperty("poolWarmCount", "number", this.poolWarmCount, {
+            min: 0,
+            max: 500,
+            step: 1,
+            description: "Objects to create up front when spawning starts (pooling only)",
+            onChange: (value) => {
+                this.poolWarmCount = value;
+            }
+        });
+
         this.exposeProperty("spawnType", "enum", this.spawnType, {
             options: ["gameobject", "prefab", "basic"],
             description: "Type of object to spawn",
@@ -319,6 +338,10 @@ class Spawner extends Module {
     }
 
     start() {
+        if (this.canUsePool() && this.poolWarmCount > 0) {
+            this.warmPool();
+        }
+
         if (this.autoStart && this.spawnMode === "interval") {
             this.startSpawning();
             // Reset timer to prevent immediate spawn on first frame
@@ -359,7 +382,63 @@ class Spawner extends Module {
         }
 
         // Clean up destroyed objects from our tracking list
-        this.spawnedObjects = this.spawnedObjects.filter(obj => obj && !obj.destroyed);
+        this.spawnedObjects = this.spawnedObjects.filter(obj => obj && !obj.destroyed && !obj._inPool);
+    }
+
+    /**
+     * Whether spawns should come from window.poolManager
+     * @returns {boolean} True if pooling is on for this spawner and the engine
+     */
+    canUsePool() {
+        return this.usePool && !!window.poolManager && window.poolManager.enabled;
+    }
+
+    /**
+     * Pool key for the spawned object. Prefabs get their own pools, so a prefab and a
+     * scene object with the same name don't share objects.
+     * @param {string} [type] - Spawn type ("prefab" or "gameobject")
+     * @returns {string} Pool key
+     */
+    getPoolKey(type = this.spawnType) {
+        return type === "prefab" ? `prefab:${this.spawnObjectName}` : this.spawnObjectName;
+    }
+
+    /**
+     * Create idle objects in the pool so the first spawns don't allocate
+     * @param {number} [count] - Objects to have ready
+     */
+    warmPool(count = this.poolWarmCount) {
+        const engine = window.engine;
+        if (!engine || !window.poolManager) return;
+
+        if (this.spawnType === "prefab" && engine.hasPrefab(this.spawnObjectName)) {
+            window.poolManager.warm(this.getPoolKey("prefab"), count, () => engine.createPrefabObject(this.spawnObjectName));
+        } else if (this.spawnType === "gameobject") {
+            const templateObject = engine.findGameObjectByName(this.spawnObjectName);
+            if (templateObject) {
+                window.poolManager.warm(this.getPoolKey("gameobject"), count, () => templateObject.clone(false));
+            }
+        }
+    }
+
+    /**
+     * Spawn an object from a pool at the next spawn position
+     * @param {string} key - Pool key
+     * @param {Function} factory - Creates a new object when the pool is empty
+     * @returns {GameObject|null} The spawned object
+     */
+    spawnFromPool(key, factory) {
+        const spawnPos = this.getSpawnPosition();
+        const spawnedObject = window.poolManager.spawn(key, factory, spawnPos.x, spawnPos.y, {
+            setup: (obj) => this.applySpawnTransforms(obj, spawnPos)
+        });
+        if (!spawnedObject) return null;
+
+        // Track spawned object
+        this.spawnedObjects.push(spawnedObject);
+        this.spawnedCount++;
+
+        return spawnedObject;
     }
 
     /**
@@ -420,6 +499,12 @@ class Spawner extends Module {
      * Try to spawn a prefab
      */
     trySpawnPrefab() {
+        if (this.canUsePool() && window.engine && window.engine.hasPrefab(this.spawnObjectName)) {
+            const spawnedObject = this.spawnFromPool(this.getPoolKey("prefab"),
+                () => window.engine.createPrefabObject(this.spawnObjectName));
+            if (spawnedObject) return spawnedObject;
+        }
+
         if (window.engine && typeof window.engine.instantiatePrefab === 'function') {
             try {
                 const spawnPos = this.getSpawnPosition();
@@ -483,6 +568,9 @@ class Spawner extends Module {
     trySpawnTemplate() {
         if (window.engine) {
             const templateObject = window.engine.findGameObjectByName(this.spawnObjectName);
+            if (templateObject && this.canUsePool()) {
+                return this.spawnFromPool(this.getPoolKey("gameobject"), () => templateObject.clone(false));
+            }
             if (templateObject) {
                 try {
                     const spawnedObject = templateObject.clone(false); // Don't add "Copy" suffix
@@ -784,7 +872,7 @@ class Spawner extends Module {
      * Get count of currently active spawned objects
      */
     getActiveSpawnCount() {
-        return this.spawnedObjects.filter(obj => obj && !obj.destroyed).length;
+        return this.spawnedObjects.filter(obj => obj && !obj.destroyed && !obj._inPool).length;
     }
 
     toJSON() {
@@ -799,6 +887,8 @@ class Spawner extends Module {
         json.inheritPosition = this.inheritPosition;
         json.inheritRotation = this.inheritRotation;
         json.inheritScale = this.inheritScale;
+        json.usePool = this.usePool;
+        json.poolWarmCount = this.poolWarmCount;
         json.spawnArea = this.spawnArea;
         json.spawnRadius = this.spawnRadius;
         json.spawnWidth = this.spawnWidth;
@@ -833,6 +923,8 @@ class Spawner extends Module {
         if (json.inheritPosition !== undefined) this.inheritPosition = json.inheritPosition;
         if (json.inheritRotation !== undefined) this.inheritRotation = json.inheritRotation;
         if (json.inheritScale !== undefined) this.inheritScale = json.inheritScale;
+        if (json.usePool !== undefined) this.usePool = json.usePool;
+        if (json.poolWarmCount !== undefined) this.poolWarmCount = json.poolWarmCount;
         if (json.spawnArea !== undefined) this.spawnArea = json.spawnArea;
         if (json.spawnRadius !== undefined) this.spawnRadius = json.spawnRadius;
         if (json.spawnWidth !== undefined) this.spawnWidth = json.spawnWidth;
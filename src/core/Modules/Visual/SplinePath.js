@@ -1601,6 +1601,15 @@ class SplinePath extends Module {
         );
     }
 
+    /**
+     * Control points in world space, used by the editor to snap other objects and points to them
+     * @returns {Vector2[]}
+     */
+    getSnapPoints() {
+        if (!this.gameObject) return [];
+        return this.points.map(point => this.localToWorld(point));
+    }
+
     /**
      * Convert local position to world position (accounting for GameObject transform)
      */
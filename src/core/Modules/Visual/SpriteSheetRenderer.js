@@ -3,6 +3,7 @@
  * 
  * This module handles rendering individual frames from a sprite sheet,
  * with automatic frame size calculation based on rows and columns.
+ * The current frame and flips are replicated to other players in multiplayer.
  * 
  * @extends Module
  */
@@ -98,6 +99,7 @@ class SpriteSheetRenderer extends Module {
         });
         
         this.exposeProperty("currentColumn", "number", this.currentColumn, {
+            replicated: true,
             description: "Current column in the sprite sheet (zero-based)",
             min: 0,
             max: this.columns - 1,
@@ -109,6 +111,7 @@ class SpriteSheetRenderer extends Module {
         });
         
         this.exposeProperty("currentRow", "number", this.currentRow, {
+            replicated: true,
             description: "Current row in the sprite sheet (zero-based)",
             min: 0,
             max: this.rows - 1,
@@ -150,6 +153,7 @@ class SpriteSheetRenderer extends Module {
         });
         
         this.exposeProperty("flipX", "boolean", this.flipX, {
+            replicated: true,
             description: "Flip the sprite horizontally",
             onChange: (value) => {
                 this.flipX = value;
@@ -158,6 +162,7 @@ class SpriteSheetRenderer extends Module {
         });
         
         this.exposeProperty("flipY", "boolean", this.flipY, {
+            replicated: true,
             description: "Flip the sprite vertically",
             onChange: (value) => {
                 this.flipY = value;
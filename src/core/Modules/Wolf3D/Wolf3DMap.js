@@ -30,6 +30,7 @@ class Wolf3DMap extends Module {
         this.autoGenerate = false;
         this.generationSeed = 12345;
         this.generationAlgorithm = "rooms"; // "rooms", "maze", "dungeon"
+        this.random = this.seededRandom(this.generationSeed); // Reseeded by generateMap()
 
         // Map validation and bounds checking
         this.validateOnLoad = true;
@@ -198,8 +199,8 @@ class Wolf3DMap extends Module {
      * Generate a map using the specified algorithm
      */
     generateMap() {
-        // Set random seed for reproducible generation
-        Math.random = this.seededRandom(this.generationSeed);
+        // Seeded generator for reproducible generation (leaves Math.random untouched)
+        this.random = this.seededRandom(this.generationSeed);
 
         switch (this.generationAlgorithm) {
             case "rooms":
@@ -250,10 +251,10 @@ class Wolf3DMap extends Module {
     generateRoom() {
         const maxAttempts = 50;
         for (let attempt = 0; attempt < maxAttempts; attempt++) {
-            const width = Math.floor(Math.random() * 6) + 3; // 3-8 cells wide
-            const height = Math.floor(Math.random() * 6) + 3; // 3-8 cells tall
-            const x = Math.floor(Math.random() * (this.mapWidth - width - 2)) + 1;
-            const y = Math.floor(Math.random() * (this.mapHeight - height - 2)) + 1;
+            const width = Math.floor(this.random() * 6) + 3; // 3-8 cells wide
+            const height = Math.floor(this.random() * 6) + 3; // 3-8 cells tall
+            const x = Math.floor(this.random() * (this.mapWidth - width - 2)) + 1;
+            const y = Math.floor(this.random() * (this.mapHeight - height - 2)) + 1;
 
             const room = { x, y, width, height };
 
@@ -343,7 +344,7 @@ class Wolf3DMap extends Module {
 
             if (neighbors.length > 0) {
                 // Choose random neighbor
-                const neighbor = neighbors[Math.floor(Math.random() * neighbors.length)];
+                const neighbor = neighbors[Math.floor(this.random() * neighbors.length)];
 
                 // Remove wall between current and neighbor
                 const wallX = currentX + (neighbor.x - currentX) / 2;
@@ -387,11 +388,11 @@ class Wolf3DMap extends Module {
         const objectCount = Math.floor((this.mapWidth * this.mapHeight) / 50);
 
         for (let i = 0; i < objectCount; i++) {
-            const x = Math.floor(Math.random() * this.mapWidth);
-            const y = Math.floor(Math.random() * this.mapHeight);
+            const x = Math.floor(this.random() * this.mapWidth);
+            const y = Math.floor(this.random() * this.mapHeight);
 
             if (this.wallMap[y][x] === 0) { // Only place on empty cells
-                const objectType = Math.random() < 0.7 ? 1 : 2; // 70% barrels, 30% lamps
+                const objectType = this.random() < 0.7 ? 1 : 2; // 70% barrels, 30% lamps
                 this.objectMap[y][x] = objectType;
             }
         }
@@ -406,12 +407,12 @@ class Wolf3DMap extends Module {
         const featureCount = Math.floor(this.mapWidth * this.mapHeight / 100);
 
         for (let i = 0; i < featureCount; i++) {
-            const x = Math.floor(Math.random() * this.mapWidth);
-            const y = Math.floor(Math.random() * this.mapHeight);
+            const x = Math.floor(this.random() * this.mapWidth);
+            const y = Math.floor(this.random() * this.mapHeight);
 
             if (this.wallMap[y][x] === 0) {
                 // 50% chance of treasure, 50% chance of trap
-                this.objectMap[y][x] = Math.random() < 0.5 ? 3 : 4;
+                this.objectMap[y][x] = this.random() < 0.5 ? 3 : 4;
             }
         }
     }
@@ -656,13 +657,8 @@ class Wolf3DMap extends Module {
      * Create a seeded random number generator
      */
     seededRandom(seed) {
-        let m = 2 ** 35 - 31;
-        let a = 185852;
-        let s = seed % m;
-
-        return function () {
-            return (s = (s * a) % m) / m;
-        };
+        const stream = window.randomService.createStream(seed);
+        return () => stream.next();
     }
 
     /**
@@ -4,7 +4,7 @@
  * ============================================================================
  * 
  * Handles client-side multiplayer functionality including:
- * - WebSocket connection management
+ * - Connection management over pluggable transports (NetworkTransport)
  * - Player synchronization
  * - Network object replication
  * - Client-side prediction
@@ -29,12 +29,64 @@
  *     console.log('Chat:', data.message);
  * });
  * 
+ * SERVER-AUTHORITATIVE MODE (node server.js --authoritative):
+ * 
+ * The server moves every networked object with NetworkSimulation (the game's
+ * NetworkSimulation.define() handlers, not the Engine or scene modules). Clients send
+ * sequenced inputs instead of positions, predict their own objects by running the
+ * same simulation, and reconcile when a snapshot acknowledges an input: the
+ * server state is taken and the unacknowledged inputs are replayed on top.
+ * Other players' objects are interpolated interpolationDelay ms in the past.
+ * 
+ * // After 'welcome' (authoritative is true) and joining a room
+ * engine.multiplayer.registerNetworkedObject(player);        // Server assigns the id
+ * engine.multiplayer.inputProvider = () => ({                 // Default: WASD / arrow keys
+ *     moveX: input.getGamepadStick('left').x,
+ *     moveY: input.getGamepadStick('left').y
+ * });
+ * 
+ * SNAPSHOTS:
+ * 
+ * State travels as NetworkSnapshot deltas in both modes: each side sends only the
+ * fields that changed since the last snapshot the other side acknowledged, with
+ * quantized numbers, as binary (wireFormat 'binary', the default) or JSON.
+ * engine.multiplayer.getNetworkStats() and requestRoomStats() report the bandwidth.
+ * 
+ * REPLICATED PROPERTIES AND RPCS:
+ * 
+ * Module properties exposed with { replicated: true } ride along in the object's state
+ * (see NetworkReplication): the owner sends them, or the server / room host when their
+ * authority is 'server'. Modules call methods on the other copies with
+ * this.rpc('applyDamage', 10); RPCs are acknowledged and resent until delivered.
+ * 
+ * LOBBY AND RECONNECTION:
+ * 
+ * engine.multiplayer.quickMatch({ mode: 'coop' });   // Join a waiting room or create one
+ * engine.multiplayer.setReady(true);
+ * engine.multiplayer.on('lobbyUpdate', lobby => console.log(lobby.players));
+ * engine.multiplayer.on('gameStarted', () => engine.changeScene('Level1'));
+ * 
+ * When the connection drops while in a room, the manager reconnects with the server's
+ * reconnect token ('reconnecting' / 'reconnected' events) and keeps its objects.
+ * 
+ * TRANSPORTS:
+ * 
+ * connect() uses a WebSocket unless options.transport is another NetworkTransport:
+ * a LoopbackTransport into a createMultiplayerServer() in the same page or Node process,
+ * optionally wrapped in a SimulatedTransport that adds latency, jitter and packet loss.
+ * 
+ * const server = createMultiplayerServer();
+ * server.start();
+ * const transport = new SimulatedTransport(new LoopbackTransport(server), { latency: 100, jitter: 30 });
+ * engine.multiplayer.connect('loopback', { transport: transport, playerName: 'Bot' });
+ * 
  * ============================================================================
  */
 
 class MultiplayerManager {
     constructor(engine) {
         this.engine = engine;
+        this.transport = null; // NetworkTransport the socket comes from, WebSocketTransport by default
         this.socket = null;
         this.connected = false;
         this.playerId = null;
@@ -51,7 +103,49 @@ class MultiplayerManager {
         // Client-side prediction
         this.enablePrediction = true;
         this.inputSequenceNumber = 0;
-        this.pendingInputs = [];
+        this.pendingInputs = []; // Inputs sent but not acknowledged yet: { sequence, dt, input }
+        
+        // Server-authoritative mode, enabled by the server's welcome message
+        this.authoritative = false;
+        this.simulation = typeof NetworkSimulation !== 'undefined' ? new NetworkSimulation() : null;
+        this.inputProvider = null; // Function returning this frame's input, defaults to WASD / arrow keys
+        this.unsentInputs = [];
+        this.maxPendingInputs = 600; // About 10 seconds at 60 fps
+        this.redundantInputs = 30; // Unacknowledged inputs repeated in every input message
+        this.lastAcknowledgedInput = 0;
+        this.serverTick = 0;
+        this.snapshotBuffer = new Map(); // Map of networkId -> [{ time, state }] for interpolation
+        this.correctionSmoothing = 10; // How fast prediction errors are blended out (per second)
+        this.snapDistance = 100; // Prediction errors larger than this snap instead
+        this.pendingRegistrations = new Map(); // Map of localId -> GameObject awaiting a server networkId
+        this.spawningIds = new Set(); // networkIds whose GameObject is being instantiated
+        
+        // Snapshot protocol (NetworkSnapshot)
+        this.wireFormat = 'binary'; // 'binary' or 'json', sent to the server when joining
+        this.receivedSnapshots = new SnapshotHistory(); // Server snapshots by seq, baselines for its deltas
+        this.lastSnapshotSeq = 0; // Newest snapshot received, acknowledged to the server
+        this.acknowledgedSnapshotSeq = 0; // Last ack sent
+        this.sentStates = new SnapshotHistory(); // Own object states sent by seq (peer mode)
+        this.stateSeq = 0;
+        this.stateAck = 0; // Newest state the server acknowledged, the baseline for the next delta
+        this.stats = {
+            bytesIn: 0,
+            bytesOut: 0,
+            messagesIn: 0,
+            messagesOut: 0,
+            snapshotsReceived: 0,
+            bytesInPerSecond: 0,
+            bytesOutPerSecond: 0
+        };
+        this._statsWindow = { start: Date.now(), bytesIn: 0, bytesOut: 0 };
+        
+        // Replicated module properties and RPCs (NetworkReplication, Module.rpc)
+        this.hostId = null; // Room host, sends 'server' properties when the server doesn't simulate
+        this.rpcSequence = 0;
+        this.unackedRpcs = new Map(); // Map of id -> { message, sentAt, attempts } until the server acks
+        this.receivedRpcs = new Set(); // Ids of RPCs the server delivered, to drop resends
+        this.rpcResendInterval = 500; // ms
+        this.maxRpcAttempts = 10;
         
         // Synchronization state
         this.serverTime = 0;
@@ -64,6 +158,19 @@ class MultiplayerManager {
         // Room/Lobby system
         this.currentRoom = null;
         this.roomList = [];
+        this.lobby = null; // Latest lobbyUpdate: room, settings and players with ready flags
+        this.chatMessages = []; // Chat of the current room, oldest first
+        this.maxChatMessages = 50;
+        
+        // Reconnection
+        this.autoReconnect = true;
+        this.reconnectDelay = 1000; // ms between attempts
+        this.reconnectToken = null; // From the server's welcome
+        this.reconnectGracePeriod = 0; // ms the server keeps our place, from its welcome
+        this.reconnecting = false;
+        this._connectOptions = {};
+        this._disconnectedAt = 0;
+        this._reconnectTimer = null;
         
         // Automatic sync for game objects
         this.autoSyncEnabled = true;
@@ -74,31 +181,50 @@ class MultiplayerManager {
     
     /**
      * Connect to multiplayer server
+     * @param {string} serverUrl - WebSocket address (ignored by a LoopbackTransport)
+     * @param {Object} options - { playerName, gameVersion, wireFormat, transport }
      */
     connect(serverUrl, options = {}) {
-        if (this.connected) {
+        if (this.connected || this.reconnecting) {
             console.warn('[Multiplayer] Already connected');
             return;
         }
         
         this.serverUrl = serverUrl;
-        this.socket = new WebSocket(serverUrl);
+        this._connectOptions = options;
+        this.transport = options.transport || new WebSocketTransport();
+        if (options.wireFormat) {
+            this.wireFormat = options.wireFormat;
+        }
+        this._openSocket();
+    }
+    
+    _openSocket() {
+        const options = this._connectOptions;
+        const socket = this.transport.open(this.serverUrl);
+        this.socket = socket;
         
         this.socket.onopen = () => {
-            console.log('[Multiplayer] Connected to server');
+            console.log(`[Multiplayer] ${this.reconnecting ? 'Reconnected' : 'Connected'} to server`);
             this.connected = true;
-            this._trigger('connected');
+            if (!this.reconnecting) {
+                this._trigger('connected');
+            }
             
-            // Send initial join message
+            // Send initial join message, with the token to get our place back after a drop
             this.send('join', {
                 playerName: options.playerName || 'Player',
-                gameVersion: options.gameVersion || '1.0.0'
+                gameVersion: options.gameVersion || '1.0.0',
+                wireFormat: this.wireFormat,
+                reconnectToken: this.reconnecting ? this.reconnectToken : undefined
             });
         };
         
         this.socket.onmessage = (event) => {
             try {
-                const message = JSON.parse(event.data);
+                const binary = NetworkSnapshot.isBinary(event.data);
+                this._countTraffic('In', binary ? event.data.byteLength : event.data.length);
+                const message = binary ? NetworkSnapshot.decode(event.data) : JSON.parse(event.data);
                 this._handleMessage(message);
             } catch (error) {
                 console.error('[Multiplayer] Error parsing message:', error);
@@ -106,22 +232,36 @@ class MultiplayerManager {
         };
         
         this.socket.onerror = (error) => {
-            console.error('[Multiplayer] WebSocket error:', error);
+            console.error('[Multiplayer] Connection error:', error);
             this._trigger('error', error);
         };
         
         this.socket.onclose = () => {
-            console.log('[Multiplayer] Disconnected from server');
+            if (this.socket && this.socket !== socket) return; // Replaced by a reconnect
+            
             this.connected = false;
+            this.socket = null;
+            if (this._shouldReconnect()) {
+                this._scheduleReconnect();
+                return;
+            }
+            
+            console.log('[Multiplayer] Disconnected from server');
             this._trigger('disconnected');
             this._cleanup();
         };
     }
     
     /**
-     * Disconnect from server
+     * Disconnect from server. Leaves the room first, so the server doesn't keep the
+     * slot for a reconnect (that grace period is only for connections that drop)
      */
     disconnect() {
+        this.reconnectToken = null; // Leaving on purpose, don't come back
+        clearTimeout(this._reconnectTimer);
+        if (this.connected) {
+            this.leaveRoom();
+        }
         if (this.socket) {
             this.socket.close();
             this.socket = null;
@@ -129,6 +269,29 @@ class MultiplayerManager {
         this._cleanup();
     }
     
+    _shouldReconnect() {
+        if (!this.autoReconnect || !this.reconnectToken || !this.currentRoom) return false;
+        return !this.reconnecting || Date.now() - this._disconnectedAt < this.reconnectGracePeriod;
+    }
+    
+    /**
+     * Try to get back into the room after the connection dropped, until the server's
+     * reconnect grace period is over. Objects stay where they are meanwhile.
+     */
+    _scheduleReconnect() {
+        if (!this.reconnecting) {
+            this.reconnecting = true;
+            this._disconnectedAt = Date.now();
+            console.log('[Multiplayer] Connection lost, reconnecting...');
+            this._trigger('reconnecting', { gracePeriod: this.reconnectGracePeriod });
+        }
+        
+        this._reconnectTimer = setTimeout(() => {
+            this._reconnectTimer = null;
+            this._openSocket();
+        }, this.reconnectDelay);
+    }
+    
     /**
      * Send a message to the server
      */
@@ -144,7 +307,65 @@ class MultiplayerManager {
             timestamp: Date.now()
         };
         
-        this.socket.send(JSON.stringify(message));
+        const text = JSON.stringify(message);
+        this._countTraffic('Out', text.length);
+        this.socket.send(text);
+    }
+    
+    /**
+     * Bandwidth used by this client. Byte counts of JSON messages are approximate
+     * (characters, not UTF-8 bytes).
+     * @returns {Object} { bytesIn, bytesOut, messagesIn, messagesOut, snapshotsReceived, bytesInPerSecond, bytesOutPerSecond }
+     */
+    getNetworkStats() {
+        return { ...this.stats };
+    }
+    
+    /**
+     * Ask the server for the current room's bandwidth, answered with a 'roomStats' event
+     */
+    requestRoomStats() {
+        this.send('getRoomStats');
+    }
+    
+    /**
+     * Deliver a module RPC (see Module.rpc). The method runs here when this player is the
+     * target, or one of them for 'all', and goes through the server otherwise.
+     * @param {Module} module - Module on a networked GameObject
+     * @param {string} method - Method listed in the module's static rpcMethods
+     * @param {Array} args - Arguments
+     * @param {string} target - 'owner', 'all', 'server' or a playerId
+     */
+    callRpc(module, method, args, target) {
+        const allowed = module.constructor.rpcMethods || {};
+        if (!Object.prototype.hasOwnProperty.call(allowed, method)) {
+            console.warn(`[Multiplayer] ${module.type}.${method} is not listed in rpcMethods`);
+            return;
+        }
+        
+        const obj = module.gameObject;
+        const runsHere = target === 'all' || target === this.playerId ||
+            (target === 'owner' && obj.networkOwner === this.playerId) ||
+            (target === 'server' && !this.authoritative && this.hostId === this.playerId);
+        if (runsHere) {
+            this._invokeRpc(module, method, args, this.playerId);
+            if (target !== 'all') return;
+        }
+        
+        const id = ++this.rpcSequence;
+        const message = {
+            id: id,
+            networkId: obj.networkId,
+            module: NetworkReplication.getModuleKey(module),
+            method: method,
+            args: NetworkReplication.encodeArgs(args),
+            target: target
+        };
+        // Made while reconnecting: goes out with the first resend
+        this.unackedRpcs.set(id, { message: message, sentAt: this.connected ? Date.now() : 0, attempts: 1 });
+        if (this.connected) {
+            this.send('rpc', message);
+        }
     }
     
     /**
@@ -178,15 +399,34 @@ class MultiplayerManager {
         
         this.clientTime += deltaTime;
         
+        if (this.authoritative) {
+            this._collectInput(deltaTime);
+        }
+        
         // Send periodic updates to server
         const now = Date.now();
         if (now - this.lastUpdateTime >= 1000 / this.updateRate) {
-            this._sendGameState();
+            // Replicated properties go up as state in both modes, positions only without a server simulation
+            const sentInputs = this.authoritative && this._sendInputs();
+            const sent = this._sendGameState() || sentInputs;
+            
+            // Nothing carried the snapshot ack, send it on its own
+            if (!sent && this.lastSnapshotSeq !== this.acknowledgedSnapshotSeq) {
+                this.acknowledgedSnapshotSeq = this.lastSnapshotSeq;
+                this.send('ack', { ack: this.lastSnapshotSeq });
+            }
             this.lastUpdateTime = now;
         }
+        this._updateStats(now);
+        this._resendRpcs(now);
         
         // Interpolate networked objects
-        this._interpolateNetworkedObjects(deltaTime);
+        if (this.authoritative) {
+            this._applyPredictedObjects(deltaTime);
+            this._interpolateSnapshots();
+        } else {
+            this._interpolateNetworkedObjects(deltaTime);
+        }
     }
     
     /**
@@ -209,9 +449,25 @@ class MultiplayerManager {
     }
     
     /**
-     * Register a game object for network synchronization
+     * Register a game object for network synchronization.
+     * In server-authoritative mode the server creates the object in its simulation and
+     * the networkId arrives with its spawn message.
      */
     registerNetworkedObject(gameObject, isOwned = true) {
+        if (this.authoritative && isOwned && !gameObject.networkId) {
+            const localId = `${this.playerId}_local_${this.pendingRegistrations.size}_${Date.now()}`;
+            this.pendingRegistrations.set(localId, gameObject);
+            gameObject.isNetworked = true;
+            this.send('spawn', {
+                prefabName: gameObject.name,
+                x: gameObject.position.x,
+                y: gameObject.position.y,
+                angle: gameObject.angle || 0,
+                localId: localId
+            });
+            return;
+        }
+        
         if (!gameObject.networkId) {
             gameObject.networkId = this._generateNetworkId();
         }
@@ -244,17 +500,60 @@ class MultiplayerManager {
     
     /**
      * Create or join a room
+     * @param {Object} options - { password, settings } for createRoom
      */
-    createRoom(roomName, maxPlayers = 4, isPrivate = false) {
+    createRoom(roomName, maxPlayers = 4, isPrivate = false, options = {}) {
         this.send('createRoom', {
             roomName: roomName,
             maxPlayers: maxPlayers,
-            isPrivate: isPrivate
+            isPrivate: isPrivate,
+            password: options.password,
+            settings: options.settings
         });
     }
     
-    joinRoom(roomId) {
-        this.send('joinRoom', { roomId: roomId });
+    joinRoom(roomId, password) {
+        this.send('joinRoom', { roomId: roomId, password: password });
+    }
+    
+    /**
+     * Join the fullest public room waiting for players whose settings match, or create one
+     * @param {Object} settings - Room settings a match must have (and a new room gets)
+     */
+    quickMatch(settings = {}, maxPlayers = 4) {
+        this.send('quickMatch', { settings: settings, maxPlayers: maxPlayers });
+    }
+    
+    setReady(ready = true) {
+        this.send('setReady', { ready: ready });
+    }
+    
+    /**
+     * Change the current room (host only)
+     * @param {Object} changes - { settings (merged, null removes a key), roomName, maxPlayers, isPrivate, password }
+     */
+    setRoomSettings(changes) {
+        this.send('setRoomSettings', changes);
+    }
+    
+    sendChat(message) {
+        this.send('chat', { message: message });
+    }
+    
+    /**
+     * Start the game for the room (host only), answered with 'gameStarted' to everyone.
+     * Without force, every other player has to be ready.
+     */
+    startGame(force = false) {
+        this.send('startGame', { force: force });
+    }
+    
+    endGame() {
+        this.send('endGame');
+    }
+    
+    isHost() {
+        return !!this.playerId && this.hostId === this.playerId;
     }
     
     leaveRoom() {
@@ -291,6 +590,10 @@ class MultiplayerManager {
                 this._handleGameState(data);
                 break;
                 
+            case 'snapshot':
+                this._handleSnapshot(data);
+                break;
+                
             case 'spawn':
                 this._handleSpawn(data);
                 break;
@@ -319,6 +622,34 @@ class MultiplayerManager {
                 this._handleTimeSync(data);
                 break;
                 
+            case 'rpc':
+                this._handleRpc(data);
+                break;
+                
+            case 'rpcAck':
+                this.unackedRpcs.delete(data.id);
+                break;
+                
+            case 'lobbyUpdate':
+                this.lobby = data;
+                this.hostId = data.hostId;
+                this._trigger('lobbyUpdate', data);
+                break;
+                
+            case 'hostChanged':
+                this.hostId = data.hostId;
+                console.log(`[Multiplayer] New host: ${data.hostId}`);
+                this._trigger('hostChanged', data);
+                break;
+                
+            case 'chat':
+                this.chatMessages.push(data);
+                if (this.chatMessages.length > this.maxChatMessages) {
+                    this.chatMessages.shift();
+                }
+                this._trigger('chat', data);
+                break;
+                
             default:
                 // Custom message type - trigger event handlers
                 this._trigger(type, data);
@@ -327,12 +658,32 @@ class MultiplayerManager {
     }
     
     _handleWelcome(data) {
+        if (this.reconnecting) {
+            this.reconnecting = false;
+            if (data.reconnected) {
+                // Same player and room, the server starts its snapshot numbering over
+                this._resetSnapshots();
+                this.lastSnapshotSeq = 0;
+                this.acknowledgedSnapshotSeq = 0;
+            } else {
+                console.warn('[Multiplayer] Reconnected too late, joining as a new player');
+                this._resetSession();
+            }
+        }
+        
         this.playerId = data.playerId;
+        this.reconnectToken = data.reconnectToken || null;
+        this.reconnectGracePeriod = data.reconnectGracePeriod || 0;
         this.serverTime = data.serverTime;
         this.timeOffset = Date.now() - data.serverTime;
+        this.authoritative = !!data.authoritative && !!this.simulation;
+        
+        if (data.authoritative && !this.simulation) {
+            console.error('[Multiplayer] Server is authoritative but NetworkSimulation.js is not loaded');
+        }
         
-        console.log(`[Multiplayer] Assigned player ID: ${this.playerId}`);
-        this._trigger('welcome', data);
+        console.log(`[Multiplayer] Assigned player ID: ${this.playerId}${this.authoritative ? ' (server-authoritative)' : ''}`);
+        this._trigger(data.reconnected ? 'reconnected' : 'welcome', data);
     }
     
     _handlePlayerJoined(data) {
@@ -347,10 +698,7 @@ class MultiplayerManager {
         // Remove all objects owned by this player
         for (const [networkId, obj] of this.networkedObjects.entries()) {
             if (obj.networkOwner === data.playerId) {
-                this.networkedObjects.delete(networkId);
-                if (this.engine.scene && obj.scene === this.engine.scene) {
-                    this.engine.scene.removeGameObject(obj);
-                }
+                this._removeNetworkedObject(networkId);
             }
         }
         
@@ -366,8 +714,11 @@ class MultiplayerManager {
             const obj = this.networkedObjects.get(objData.networkId);
             
             if (obj) {
-                // Skip if we own this object (client-side prediction)
-                if (obj.networkOwner === this.playerId && this.enablePrediction) {
+                // Own objects only come back with the properties the room host sets
+                if (obj.networkOwner === this.playerId) {
+                    if (this.hostId !== this.playerId) {
+                        NetworkReplication.write(obj, objData, { authority: 'server' });
+                    }
                     continue;
                 }
                 
@@ -381,6 +732,7 @@ class MultiplayerManager {
                     velocityX: objData.velocityX,
                     velocityY: objData.velocityY,
                     timestamp: Date.now(),
+                    replicated: objData,
                     ...objData.customData
                 };
             } else {
@@ -390,19 +742,38 @@ class MultiplayerManager {
         }
     }
     
-    _handleSpawn(data) {
+    async _handleSpawn(data) {
         if (!this.engine.scene) {
             this.pendingSpawns.push(data);
             return;
         }
+        if (this.networkedObjects.has(data.networkId) || this.spawningIds.has(data.networkId)) return;
         
-        // Create the game object
-        const obj = this.engine.scene.addGameObject(data.prefabName, data.x, data.y);
+        if (data.state && this.simulation) {
+            this.simulation.addEntity(data.networkId, data.ownerId, data.prefabName, data.state);
+        }
+        
+        // An object this client registered: bind it instead of creating another
+        let obj = data.localId ? this.pendingRegistrations.get(data.localId) : null;
+        if (obj) {
+            this.pendingRegistrations.delete(data.localId);
+        } else {
+            this.spawningIds.add(data.networkId);
+            obj = await this._instantiateNetworkedObject(data.prefabName, data.x, data.y);
+            this.spawningIds.delete(data.networkId);
+            
+            // Destroyed while it was being created
+            if (obj && data.state && this.simulation && !this.simulation.getEntity(data.networkId)) {
+                this._destroyGameObject(obj);
+                return;
+            }
+        }
         
         if (obj) {
             obj.networkId = data.networkId;
             obj.isNetworked = true;
             obj.networkOwner = data.ownerId;
+            obj.lastNetworkUpdate = Date.now();
             
             // Apply custom data
             if (data.data) {
@@ -412,38 +783,145 @@ class MultiplayerManager {
             this.networkedObjects.set(data.networkId, obj);
             console.log(`[Multiplayer] Spawned networked object: ${data.networkId}`);
             this._trigger('objectSpawned', data);
+        } else {
+            console.warn(`[Multiplayer] No prefab or object named '${data.prefabName}' to spawn ${data.networkId}`);
         }
     }
     
     _handleDestroy(data) {
-        const obj = this.networkedObjects.get(data.networkId);
+        if (this._removeNetworkedObject(data.networkId)) {
+            console.log(`[Multiplayer] Destroyed networked object: ${data.networkId}`);
+            this._trigger('objectDestroyed', data);
+        }
+    }
+    
+    /**
+     * Rebuild a server snapshot from its delta and baseline, then apply it
+     */
+    _handleSnapshot(data) {
+        // Older than one already applied (reordered on the way)
+        if (data.seq <= this.lastSnapshotSeq) return;
         
-        if (obj) {
-            this.networkedObjects.delete(data.networkId);
+        const baseline = this.receivedSnapshots.get(data.baseline);
+        if (data.baseline && !baseline) {
+            console.warn(`[Multiplayer] Snapshot ${data.seq} needs unknown baseline ${data.baseline}`);
+            return;
+        }
+        
+        const snapshot = NetworkSnapshot.apply(baseline, data);
+        this.receivedSnapshots.set(data.seq, snapshot);
+        this.lastSnapshotSeq = data.seq;
+        this.stateAck = Math.max(this.stateAck, data.ack || 0);
+        this.stats.snapshotsReceived++;
+        
+        const objects = NetworkSnapshot.toObjects(snapshot);
+        if (this.authoritative) {
+            this._applyAuthoritativeSnapshot({ tick: data.tick, lastInput: data.lastInput, objects: objects });
+        } else {
+            this._handleGameState({
+                objects: objects.map(obj => ({ networkId: obj.networkId, ...obj.state }))
+            });
+        }
+        
+        this._trigger('snapshot', data);
+    }
+    
+    /**
+     * Apply a server snapshot (server-authoritative mode).
+     * Own objects are reset to the server state and the inputs it hasn't processed yet
+     * are replayed; the difference to the old prediction is blended out over a few frames.
+     * Other objects are buffered for interpolation.
+     */
+    _applyAuthoritativeSnapshot(data) {
+        if (!this.simulation) return;
+        
+        this.serverTick = data.tick;
+        this.lastAcknowledgedInput = Math.max(this.lastAcknowledgedInput, data.lastInput || 0);
+        this.pendingInputs = this.pendingInputs.filter(entry => entry.sequence > this.lastAcknowledgedInput);
+        
+        const now = Date.now();
+        for (const objData of data.objects) {
+            let entity = this.simulation.getEntity(objData.networkId);
+            if (!entity) {
+                entity = this.simulation.addEntity(objData.networkId, objData.ownerId, objData.prefabName, objData.state);
+            }
             
-            if (this.engine.scene && obj.scene === this.engine.scene) {
-                this.engine.scene.removeGameObject(obj);
+            // Missed the spawn message (joined late or still loading)
+            if (!this.networkedObjects.has(objData.networkId) && !this.spawningIds.has(objData.networkId)) {
+                this._handleSpawn({
+                    networkId: objData.networkId,
+                    ownerId: objData.ownerId,
+                    prefabName: objData.prefabName,
+                    x: objData.state.x,
+                    y: objData.state.y
+                });
             }
             
-            console.log(`[Multiplayer] Destroyed networked object: ${data.networkId}`);
-            this._trigger('objectDestroyed', data);
+            if (objData.ownerId === this.playerId && this.enablePrediction) {
+                const predicted = { ...entity.state };
+                
+                entity.state = { ...objData.state };
+                for (const entry of this.pendingInputs) {
+                    this.simulation.applyInput(entity, entry.input, entry.dt);
+                }
+                
+                const obj = this.networkedObjects.get(objData.networkId);
+                if (obj) {
+                    NetworkReplication.write(obj, objData.state, { authority: 'server' });
+                    
+                    const errorX = predicted.x - entity.state.x;
+                    const errorY = predicted.y - entity.state.y;
+                    const correction = obj.networkCorrection || { x: 0, y: 0 };
+                    if (Math.hypot(correction.x + errorX, correction.y + errorY) > this.snapDistance) {
+                        obj.networkCorrection = { x: 0, y: 0 };
+                    } else {
+                        obj.networkCorrection = { x: correction.x + errorX, y: correction.y + errorY };
+                    }
+                }
+            } else {
+                entity.state = { ...objData.state };
+                
+                const buffer = this.snapshotBuffer.get(objData.networkId) || [];
+                buffer.push({ time: now, state: entity.state });
+                this.snapshotBuffer.set(objData.networkId, buffer);
+            }
         }
     }
     
     _handleRoomCreated(data) {
         this.currentRoom = data.roomId;
+        this.hostId = data.hostId;
+        this.chatMessages = [];
+        this._resetSnapshots();
         console.log(`[Multiplayer] Room created: ${data.roomId}`);
         this._trigger('roomCreated', data);
     }
     
     _handleRoomJoined(data) {
         this.currentRoom = data.roomId;
+        this.hostId = data.hostId;
+        this.chatMessages = (data.chat || []).slice(-this.maxChatMessages);
+        this._resetSnapshots();
+        
+        // Back after a reconnect: drop what was removed while we were away
+        if (data.reconnected && Array.isArray(data.objects)) {
+            const remaining = new Set(data.objects);
+            for (const [networkId, obj] of this.networkedObjects.entries()) {
+                if (!remaining.has(networkId) && (this.authoritative || obj.networkOwner !== this.playerId)) {
+                    this._removeNetworkedObject(networkId);
+                }
+            }
+        }
         console.log(`[Multiplayer] Joined room: ${data.roomId}`);
         this._trigger('roomJoined', data);
     }
     
     _handleRoomLeft(data) {
         this.currentRoom = null;
+        this.hostId = null;
+        this.lobby = null;
+        this.chatMessages = [];
+        this._resetSnapshots();
         console.log(`[Multiplayer] Left room`);
         this._trigger('roomLeft', data);
     }
@@ -458,15 +936,288 @@ class MultiplayerManager {
         this.timeOffset = Date.now() - data.serverTime;
     }
     
+    /**
+     * Run an RPC the server delivered. It is acknowledged even when it was already run,
+     * so the server stops resending; methods missing from rpcMethods are refused.
+     */
+    _handleRpc(data) {
+        this.send('rpcAck', { id: data.id });
+        if (this.receivedRpcs.has(data.id)) return;
+        
+        this.receivedRpcs.add(data.id);
+        if (this.receivedRpcs.size > 1000) {
+            this.receivedRpcs.delete(this.receivedRpcs.values().next().value);
+        }
+        
+        const module = NetworkReplication.findModule(this.networkedObjects.get(data.networkId), data.module);
+        if (!module) {
+            console.warn(`[Multiplayer] RPC ${data.method} for unknown module ${data.module} on ${data.networkId}`);
+            return;
+        }
+        
+        const allowed = module.constructor.rpcMethods || {};
+        if (!Object.prototype.hasOwnProperty.call(allowed, data.method) || typeof module[data.method] !== 'function') {
+            console.warn(`[Multiplayer] Refused RPC ${module.type}.${data.method} from ${data.senderId}`);
+            return;
+        }
+        
+        this._invokeRpc(module, data.method, NetworkReplication.decodeArgs(data.args, this.networkedObjects), data.senderId);
+    }
+    
+    /**
+     * Call an RPC method, with module.rpcSenderId set to the calling player while it runs
+     */
+    _invokeRpc(module, method, args, senderId) {
+        module.rpcSenderId = senderId;
+        try {
+            module[method](...args);
+        } catch (error) {
+            console.error(`[Multiplayer] Error in RPC ${module.type}.${method}:`, error);
+        } finally {
+            module.rpcSenderId = null;
+        }
+    }
+    
+    _resendRpcs(now) {
+        for (const [id, entry] of this.unackedRpcs.entries()) {
+            if (now - entry.sentAt < this.rpcResendInterval) continue;
+            
+            if (entry.attempts >= this.maxRpcAttempts) {
+                console.warn(`[Multiplayer] RPC ${entry.message.method} was never acknowledged, giving up`);
+                this.unackedRpcs.delete(id);
+                continue;
+            }
+            entry.attempts++;
+            entry.sentAt = now;
+            this.send('rpc', entry.message);
+        }
+    }
+    
+    /**
+     * Sample this frame's input, predict it locally and queue it for the server
+     */
+    _collectInput(deltaTime) {
+        if (!this.simulation || this.simulation.getOwnedEntities(this.playerId).length === 0) return;
+        
+        const rawInput = this.inputProvider ? this.inputProvider() : this._readDefaultInput();
+        const entry = {
+            sequence: ++this.inputSequenceNumber,
+            dt: Math.min(deltaTime, NetworkSimulation.MAX_INPUT_DT),
+            input: NetworkSimulation.sanitizeInput(rawInput)
+        };
+        
+        this.unsentInputs.push(entry);
+        this.pendingInputs.push(entry);
+        if (this.pendingInputs.length > this.maxPendingInputs) {
+            this.pendingInputs.shift();
+        }
+        
+        if (this.enablePrediction) {
+            this.simulation.applyPlayerInput(this.playerId, entry.input, entry.dt);
+        }
+    }
+    
+    _readDefaultInput() {
+        const input = window.input;
+        if (!input) return {};
+        
+        const down = (...keys) => keys.some(key => input.keyDown(key));
+        return {
+            moveX: (down('d', 'arrowright') ? 1 : 0) - (down('a', 'arrowleft') ? 1 : 0),
+            moveY: (down('s', 'arrowdown') ? 1 : 0) - (down('w', 'arrowup') ? 1 : 0)
+        };
+    }
+    
+    /**
+     * Send the new inputs together with the newest ones the server hasn't acknowledged,
+     * so inputs of a lost message arrive with the next one. The server drops the
+     * sequence numbers it already has.
+     */
+    _sendInputs() {
+        if (this.unsentInputs.length === 0) return false;
+        
+        const inputs = this.pendingInputs.slice(-Math.max(this.unsentInputs.length, this.redundantInputs));
+        this.acknowledgedSnapshotSeq = this.lastSnapshotSeq;
+        this.send('input', { inputs: inputs, ack: this.lastSnapshotSeq });
+        this.unsentInputs = [];
+        return true;
+    }
+    
+    /**
+     * Send a snapshot-protocol message in this client's wire format
+     */
+    _sendEncoded(type, data) {
+        if (this.wireFormat !== 'binary') {
+            this.send(type, data);
+            return;
+        }
+        if (!this.connected || !this.socket) return;
+        
+        const buffer = NetworkSnapshot.encode(type, data);
+        this._countTraffic('Out', buffer.byteLength);
+        this.socket.send(buffer);
+    }
+    
+    /**
+     * The server starts over with full snapshots when the room changes, so do we
+     */
+    _resetSnapshots() {
+        this.receivedSnapshots.clear();
+        this.sentStates.clear();
+        this.stateAck = 0;
+    }
+    
+    _countTraffic(direction, bytes) {
+        this.stats[`bytes${direction}`] += bytes;
+        this.stats[`messages${direction}`]++;
+        this._statsWindow[`bytes${direction}`] += bytes;
+    }
+    
+    _updateStats(now) {
+        const statsWindow = this._statsWindow;
+        const elapsed = (now - statsWindow.start) / 1000;
+        if (elapsed < 1) return;
+        
+        this.stats.bytesInPerSecond = Math.round(statsWindow.bytesIn / elapsed);
+        this.stats.bytesOutPerSecond = Math.round(statsWindow.bytesOut / elapsed);
+        this._statsWindow = { start: now, bytesIn: 0, bytesOut: 0 };
+    }
+    
+    /**
+     * Write the predicted state of own objects to their GameObjects
+     */
+    _applyPredictedObjects(deltaTime) {
+        const decay = Math.exp(-this.correctionSmoothing * deltaTime);
+        
+        for (const entity of this.simulation.getOwnedEntities(this.playerId)) {
+            const obj = this.networkedObjects.get(entity.networkId);
+            if (!obj) continue;
+            
+            const correction = obj.networkCorrection || { x: 0, y: 0 };
+            correction.x *= decay;
+            correction.y *= decay;
+            obj.networkCorrection = correction;
+            
+            this._applyState(obj, {
+                ...entity.state,
+                x: entity.state.x + correction.x,
+                y: entity.state.y + correction.y
+            });
+        }
+    }
+    
+    /**
+     * Show other players' objects interpolationDelay ms in the past, between the two
+     * snapshots around that time
+     */
+    _interpolateSnapshots() {
+        const renderTime = Date.now() - this.interpolationDelay;
+        
+        for (const [networkId, buffer] of this.snapshotBuffer.entries()) {
+            const obj = this.networkedObjects.get(networkId);
+            if (!obj) {
+                if (!this.simulation.getEntity(networkId)) this.snapshotBuffer.delete(networkId);
+                continue;
+            }
+            
+            // Keep one snapshot older than renderTime to interpolate from
+            while (buffer.length > 2 && buffer[1].time <= renderTime) {
+                buffer.shift();
+            }
+            
+            const from = buffer[0];
+            const to = buffer[1];
+            if (!to || renderTime <= from.time) {
+                const state = (to && renderTime > from.time ? to : from).state;
+                this._applyState(obj, state);
+                NetworkReplication.write(obj, state);
+                continue;
+            }
+            
+            const t = Math.min(1, (renderTime - from.time) / (to.time - from.time));
+            this._applyState(obj, {
+                x: this._lerp(from.state.x, to.state.x, t),
+                y: this._lerp(from.state.y, to.state.y, t),
+                angle: this._lerpAngleDegrees(from.state.angle || 0, to.state.angle || 0, t)
+            });
+            NetworkReplication.write(obj, to.state, { from: from.state, t: t });
+        }
+    }
+    
+    _applyState(obj, state) {
+        if (!obj.position) return;
+        
+        obj.position.x = state.x;
+        obj.position.y = state.y;
+        if (typeof state.angle === 'number') {
+            obj.angle = state.angle;
+        }
+    }
+    
+    /**
+     * Create the GameObject for a spawned networked object from a prefab,
+     * or by cloning a scene object with that name
+     */
+    async _instantiateNetworkedObject(prefabName, x, y) {
+        const engine = this.engine;
+        
+        if (engine.hasPrefab && engine.hasPrefab(prefabName)) {
+            const instance = await engine.instantiatePrefab(prefabName, x, y);
+            if (instance) return instance;
+        }
+        
+        const template = engine.findGameObjectByName ? engine.findGameObjectByName(prefabName) : null;
+        if (!template) return null;
+        
+        const clone = template.clone();
+        clone.position = new Vector2(x, y);
+        engine.addGameObject(clone, null, true);
+        clone.start();
+        return clone;
+    }
+    
+    _removeNetworkedObject(networkId) {
+        const obj = this.networkedObjects.get(networkId);
+        this.networkedObjects.delete(networkId);
+        this.snapshotBuffer.delete(networkId);
+        if (this.simulation) {
+            this.simulation.removeEntity(networkId);
+        }
+        
+        if (!obj) return false;
+        this._destroyGameObject(obj);
+        return true;
+    }
+    
+    _destroyGameObject(obj) {
+        if (typeof obj.destroy === 'function') {
+            obj.destroy();
+        } else if (this.engine.removeDynamicObject) {
+            this.engine.removeDynamicObject(obj);
+        }
+    }
+    
+    /**
+     * Send the changes of owned objects since the state the server last acknowledged.
+     * With a server simulation only their 'owner' replicated properties are sent; the room
+     * host also sends the 'server' properties of everyone's objects.
+     * @returns {boolean} True if a message was sent
+     */
     _sendGameState() {
-        if (!this.autoSyncEnabled) return;
+        if (!this.autoSyncEnabled) return false;
         
         const ownedObjects = [];
+        const isHost = !this.authoritative && this.hostId === this.playerId;
         
         for (const [networkId, obj] of this.networkedObjects.entries()) {
-            if (obj.networkOwner === this.playerId) {
-                const objData = {
-                    networkId: networkId,
+            if (this.authoritative || obj.networkOwner !== this.playerId) {
+                const authority = obj.networkOwner === this.playerId ? 'owner' : (isHost ? 'server' : null);
+                const fields = authority ? NetworkReplication.read(obj, authority) : {};
+                if (Object.keys(fields).length > 0) {
+                    ownedObjects.push({ networkId: networkId, ownerId: obj.networkOwner, prefabName: obj.name || null, state: fields });
+                }
+            } else {
+                const state = {
                     x: obj.x,
                     y: obj.y,
                     rotation: obj.rotation || 0,
@@ -478,23 +1229,36 @@ class MultiplayerManager {
                 
                 // Include custom synced properties
                 if (obj.customSyncProperties) {
-                    objData.customData = {};
+                    state.customData = {};
                     for (const prop of obj.customSyncProperties) {
                         if (obj.hasOwnProperty(prop)) {
-                            objData.customData[prop] = obj[prop];
+                            state.customData[prop] = obj[prop];
                         }
                     }
                 }
                 
-                ownedObjects.push(objData);
+                Object.assign(state, NetworkReplication.read(obj, isHost ? null : 'owner'));
+                ownedObjects.push({ networkId: networkId, ownerId: this.playerId, prefabName: obj.name || null, state: state });
             }
         }
         
-        if (ownedObjects.length > 0) {
-            this.send('updateState', {
-                objects: ownedObjects
-            });
-        }
+        const snapshot = NetworkSnapshot.fromObjects(ownedObjects);
+        const baseline = this.sentStates.get(this.stateAck);
+        const delta = NetworkSnapshot.diff(baseline, snapshot);
+        if (delta.objects.length === 0 && delta.removed.length === 0) return false;
+        
+        const seq = ++this.stateSeq;
+        this.sentStates.set(seq, snapshot);
+        this.acknowledgedSnapshotSeq = this.lastSnapshotSeq;
+        
+        this._sendEncoded('updateState', {
+            seq: seq,
+            baseline: baseline ? this.stateAck : 0,
+            ack: this.lastSnapshotSeq,
+            objects: delta.objects,
+            removed: delta.removed
+        });
+        return true;
     }
     
     _interpolateNetworkedObjects(deltaTime) {
@@ -530,6 +1294,13 @@ class MultiplayerManager {
             if (target.customData) {
                 Object.assign(obj, target.customData);
             }
+            
+            // The host keeps its own values of 'server' properties
+            NetworkReplication.write(obj, target.replicated, {
+                authority: this.hostId === this.playerId ? 'owner' : null,
+                from: NetworkReplication.read(obj),
+                t: t
+            });
         }
     }
     
@@ -537,6 +1308,13 @@ class MultiplayerManager {
         return a + (b - a) * t;
     }
     
+    _lerpAngleDegrees(a, b, t) {
+        let diff = b - a;
+        while (diff > 180) diff -= 360;
+        while (diff < -180) diff += 360;
+        return a + diff * t;
+    }
+    
     _lerpAngle(a, b, t) {
         let diff = b - a;
         while (diff > Math.PI) diff -= Math.PI * 2;
@@ -563,14 +1341,56 @@ class MultiplayerManager {
     _cleanup() {
         this.connected = false;
         this.playerId = null;
+        this.reconnecting = false;
+        this.reconnectToken = null;
+        clearTimeout(this._reconnectTimer);
+        this._reconnectTimer = null;
+        this._resetSession();
+    }
+    
+    /**
+     * Forget the room, objects and protocol state of the current player
+     */
+    _resetSession() {
         this.players.clear();
         this.networkedObjects.clear();
         this.pendingSpawns = [];
         this.currentRoom = null;
+        
+        this.authoritative = false;
+        this.pendingInputs = [];
+        this.unsentInputs = [];
+        this.lastAcknowledgedInput = 0;
+        this.snapshotBuffer.clear();
+        this.pendingRegistrations.clear();
+        this.spawningIds.clear();
+        this.hostId = null;
+        this.lobby = null;
+        this.chatMessages = [];
+        this.unackedRpcs.clear();
+        this.receivedRpcs.clear();
+        
+        this._resetSnapshots();
+        this.lastSnapshotSeq = 0;
+        this.acknowledgedSnapshotSeq = 0;
+        this.stateSeq = 0;
+        if (this.simulation) {
+            this.simulation.entities.clear();
+        }
     }
 }
 
 // Make available globally if engine is global
 if (typeof window !== 'undefined') {
     window.MultiplayerManager = MultiplayerManager;
+}
+
+// In Node (bots, automated tests over a LoopbackTransport) the shared network code
+// becomes global, as it is in the browser
+if (typeof module !== 'undefined' && module.exports) {
+    Object.assign(global, {
+        NetworkSimulation: require('./NetworkSimulation.js'),
+        NetworkReplication: require('./NetworkReplication.js')
+    }, require('./NetworkSnapshot.js'), require('./NetworkTransport.js'));
+    module.exports = MultiplayerManager;
 }
\ No newline at end of file
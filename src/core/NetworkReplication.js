@@ -0,0 +1,223 @@
+/**
+ * ============================================================================
+ * NETWORK REPLICATION
+ * ============================================================================
+ *
+ * Reads and writes the module properties a GameObject replicates over the network.
+ * A property is replicated when it is exposed with the `replicated` option:
+ *
+ * this.exposeProperty("currentHealth", "number", 100, {
+ *     replicated: true                                         // Owner writes, others copy
+ * });
+ * this.exposeProperty("score", "number", 0, {
+ *     replicated: { authority: 'server', interpolation: 'none' }
+ * });
+ *
+ * authority     'owner'  - the player owning the object sends the value (default)
+ *               'server' - only the server sends it: NetworkSimulation definitions and
+ *                          RPC handlers in server-authoritative mode, the room host otherwise
+ * interpolation 'none'   - take the newest value (default, and always for non-numbers)
+ *               'linear' - blend numbers between snapshots like positions
+ *               'angle'  - blend numbers as angles in degrees
+ *
+ * Replicated values travel in the object's snapshot state as '<module key>.<property>'
+ * fields, where the module key is the module type ('SimpleHealth') or 'Type#2' for the
+ * second module of a type. Field names without a dot (x, y, angle...) are transforms.
+ * ============================================================================
+ */
+
+class NetworkReplication {
+    /**
+     * Normalized replication options of an exposed property
+     * @param {Object} prop - Entry of module.exposedProperties
+     * @returns {Object|null} { authority, interpolation }, null if not replicated
+     */
+    static getOptions(prop) {
+        const replicated = prop && prop.options && prop.options.replicated;
+        if (!replicated) return null;
+
+        const options = replicated === true ? {} : replicated;
+        return {
+            authority: options.authority === 'server' ? 'server' : 'owner',
+            interpolation: NetworkReplication.INTERPOLATIONS.includes(options.interpolation) ? options.interpolation : 'none'
+        };
+    }
+
+    /**
+     * Key of a module within its GameObject: its type, with '#n' from the second module
+     * of the same type on
+     */
+    static getModuleKey(module) {
+        const gameObject = module.gameObject;
+        const type = module.type || module.constructor.name;
+        if (!gameObject) return type;
+
+        const sameType = gameObject.modules.filter(m => (m.type || m.constructor.name) === type);
+        const index = sameType.indexOf(module);
+        return index > 0 ? `${type}#${index + 1}` : type;
+    }
+
+    /**
+     * Find a module by the key getModuleKey() gave it
+     */
+    static findModule(gameObject, key) {
+        if (!gameObject || !gameObject.modules || typeof key !== 'string') return null;
+
+        const [type, number] = key.split('#');
+        const sameType = gameObject.modules.filter(m => (m.type || m.constructor.name) === type);
+        return sameType[number ? Number(number) - 1 : 0] || null;
+    }
+
+    /**
+     * Whether a snapshot field holds a module property
+     */
+    static isReplicatedField(field) {
+        return typeof field === 'string' && field.includes('.');
+    }
+
+    /**
+     * Replicated properties of all modules on a GameObject
+     * @returns {Array<Object>} [{ field, module, name, authority, interpolation }]
+     */
+    static getReplicatedProperties(gameObject) {
+        const result = [];
+        if (!gameObject || !gameObject.modules) return result;
+
+        for (const module of gameObject.modules) {
+            if (!module.exposedProperties) continue;
+
+            let moduleKey = null;
+            for (const prop of module.exposedProperties) {
+                const options = NetworkReplication.getOptions(prop);
+                if (!options) continue;
+
+                moduleKey = moduleKey || NetworkReplication.getModuleKey(module);
+                result.push({ field: `${moduleKey}.${prop.name}`, module: module, name: prop.name, ...options });
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Current values of a GameObject's replicated properties
+     * @param {GameObject} gameObject - Object to read
+     * @param {string|null} authority - Only properties with this authority, null for all
+     * @returns {Object} Field -> JSON-safe value
+     */
+    static read(gameObject, authority = null) {
+        const fields = {};
+        for (const prop of NetworkReplication.getReplicatedProperties(gameObject)) {
+            if (authority && prop.authority !== authority) continue;
+
+            const value = NetworkReplication.toNetworkValue(prop.module[prop.name]);
+            if (value !== undefined) {
+                fields[prop.field] = value;
+            }
+        }
+        return fields;
+    }
+
+    /**
+     * Write received values to a GameObject's replicated properties. With `from`, numbers
+     * are blended from those values by `t` according to each property's interpolation.
+     * @param {GameObject} gameObject - Object to update
+     * @param {Object} fields - Field -> value (other fields are ignored)
+     * @param {Object} options - { authority: only properties with this authority, from, t }
+     */
+    static write(gameObject, fields, options = {}) {
+        if (!fields) return;
+
+        for (const prop of NetworkReplication.getReplicatedProperties(gameObject)) {
+            if (!(prop.field in fields)) continue;
+            if (options.authority && prop.authority !== options.authority) continue;
+
+            let value = fields[prop.field];
+            const from = options.from ? options.from[prop.field] : undefined;
+            if (typeof value === 'number' && typeof from === 'number' && typeof options.t === 'number') {
+                value = NetworkReplication.interpolate(prop.interpolation, from, value, options.t);
+            }
+            NetworkReplication.applyValue(prop.module, prop.name, value);
+        }
+    }
+
+    static interpolate(mode, from, to, t) {
+        if (mode === 'linear') {
+            return from + (to - from) * t;
+        }
+        if (mode === 'angle') {
+            let diff = to - from;
+            while (diff > 180) diff -= 360;
+            while (diff < -180) diff += 360;
+            return from + diff * t;
+        }
+        return to;
+    }
+
+    static toNetworkValue(value) {
+        if (value === undefined || typeof value === 'function') return undefined;
+        if (typeof Vector2 !== 'undefined' && value instanceof Vector2) {
+            return { x: value.x, y: value.y };
+        }
+        if (value && typeof value === 'object') {
+            return typeof value.toJSON === 'function' ? value.toJSON() : JSON.parse(JSON.stringify(value));
+        }
+        return value;
+    }
+
+    /**
+     * Set a property from a network value, through its setter so onChange handlers run
+     */
+    static applyValue(module, name, value) {
+        const current = module[name];
+        if (typeof Vector2 !== 'undefined' && current instanceof Vector2 && value && typeof value === 'object') {
+            current.x = value.x;
+            current.y = value.y;
+        } else if (current !== value) {
+            module[name] = value;
+        }
+    }
+
+    // ========================================================================
+    // RPC arguments
+    // ========================================================================
+
+    /**
+     * Make RPC arguments JSON-safe: networked GameObjects are sent as their networkId
+     * (other GameObjects as null), Vector2s as { x, y }
+     */
+    static encodeArgs(args) {
+        return args.map(arg => {
+            if (arg && typeof arg === 'object' && Array.isArray(arg.modules)) {
+                return arg.networkId ? { $networkId: arg.networkId } : null;
+            }
+            const value = NetworkReplication.toNetworkValue(arg);
+            return value === undefined ? null : value;
+        });
+    }
+
+    /**
+     * Turn received RPC arguments back into GameObjects where possible
+     * @param {Array} args - Arguments from encodeArgs()
+     * @param {Map} networkedObjects - networkId -> GameObject
+     */
+    static decodeArgs(args, networkedObjects) {
+        if (!Array.isArray(args)) return [];
+
+        return args.map(arg => {
+            if (arg && typeof arg === 'object' && typeof arg.$networkId === 'string') {
+                return networkedObjects.get(arg.$networkId) || null;
+            }
+            return arg;
+        });
+    }
+}
+
+NetworkReplication.INTERPOLATIONS = ['none', 'linear', 'angle'];
+
+// Make available to the browser and to server.js
+if (typeof window !== 'undefined') {
+    window.NetworkReplication = NetworkReplication;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = NetworkReplication;
+}
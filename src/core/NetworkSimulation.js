@@ -0,0 +1,235 @@
+/**
+ * ============================================================================
+ * NETWORK SIMULATION
+ * ============================================================================
+ *
+ * Simulation of networked objects, shared by server.js and MultiplayerManager.
+ * In server-authoritative mode the server runs it at TICK_RATE and is the only one that
+ * moves objects; clients run the same code to predict their own objects and replay the
+ * inputs the server hasn't acknowledged yet (reconciliation). Because both sides use the
+ * same input handlers, a prediction only differs from the server when inputs are lost
+ * or were rejected.
+ *
+ * LIMITATION: the server does not run the Engine, scenes or modules. Only the plain state
+ * below and the define() handlers exist there, so no physics, colliders, module loop() or
+ * scene logic takes part in the authoritative simulation. Anything the server must decide
+ * (movement, collisions with level geometry, damage) has to be written as a definition,
+ * and module code that moves a networked object is overwritten by the next snapshot.
+ * Running the real Engine headless in Node needs the engine split from its DOM / canvas
+ * dependencies first.
+ *
+ * An entity is { networkId, ownerId, prefabName, state }, where state holds plain values
+ * (x, y, angle, velocityX, velocityY and whatever a definition adds).
+ *
+ * USAGE (in a script loaded by both the game and `node server.js --simulation <file>`):
+ *
+ * NetworkSimulation.define('Ship', {
+ *     speed: 180,
+ *     input(state, input, dt) {             // Apply one sanitized input for dt seconds
+ *         state.angle += (input.moveX || 0) * 180 * dt;
+ *         const rad = state.angle * Math.PI / 180;
+ *         state.x += Math.cos(rad) * (input.moveY || 0) * -this.speed * dt;
+ *         state.y += Math.sin(rad) * (input.moveY || 0) * -this.speed * dt;
+ *     },
+ *     step(state, dt) { }                    // Runs every server tick, input or not
+ * });
+ *
+ * Objects without a definition of their own use the '*' one: top-down movement from
+ * input.moveX / input.moveY (-1..1) at `speed` pixels per second.
+ *
+ * Replicated module properties (see NetworkReplication) live in the state as
+ * 'Module.property' fields. Owners may set theirs, except the ones a definition lists in
+ * serverProperties; those only change here, for example in an rpc handler:
+ *
+ * NetworkSimulation.define('Ship', {
+ *     initialState: { 'SimpleHealth.currentHealth': 100 },
+ *     serverProperties: ['SimpleHealth.currentHealth'],
+ *     rpc: {
+ *         applyDamage(state, args, entity, callerId) {   // module.rpcTo('server', 'applyDamage', 10)
+ *             state['SimpleHealth.currentHealth'] = Math.max(0, state['SimpleHealth.currentHealth'] - args[0]);
+ *         }
+ *     }
+ * });
+ * ============================================================================
+ */
+
+class NetworkSimulation {
+    constructor() {
+        this.entities = new Map(); // Map of networkId -> entity
+        this.tick = 0;
+    }
+
+    /**
+     * Define how objects spawned from a prefab (or named object) react to input
+     * @param {string} prefabName - Prefab or object name, '*' for the default
+     * @param {Object} definition - { speed, input(state, input, dt, entity), step(state, dt, entity), initialState,
+     *     serverProperties, rpc: { method(state, args, entity, callerId) } }
+     */
+    static define(prefabName, definition) {
+        NetworkSimulation.definitions.set(prefabName, { ...NetworkSimulation.definitions.get('*'), ...definition });
+    }
+
+    static getDefinition(prefabName) {
+        return NetworkSimulation.definitions.get(prefabName) || NetworkSimulation.definitions.get('*');
+    }
+
+    /**
+     * Keep only values an input may carry: finite numbers (clamped to -1..1 for axes),
+     * booleans and short strings. Anything else from the network is dropped.
+     * @param {Object} input - Input received from a client
+     * @returns {Object} Sanitized copy
+     */
+    static sanitizeInput(input) {
+        const clean = {};
+        if (!input || typeof input !== 'object') return clean;
+
+        for (const key of Object.keys(input).slice(0, 32)) {
+            const value = input[key];
+            if (typeof value === 'number' && Number.isFinite(value)) {
+                clean[key] = NetworkSimulation.AXES.includes(key) ? Math.max(-1, Math.min(1, value)) : value;
+            } else if (typeof value === 'boolean') {
+                clean[key] = value;
+            } else if (typeof value === 'string' && value.length <= 64) {
+                clean[key] = value;
+            }
+        }
+        return clean;
+    }
+
+    // ========================================================================
+    // Entities
+    // ========================================================================
+
+    addEntity(networkId, ownerId, prefabName, state = {}) {
+        const definition = NetworkSimulation.getDefinition(prefabName);
+        const entity = {
+            networkId: networkId,
+            ownerId: ownerId,
+            prefabName: prefabName,
+            state: { x: 0, y: 0, angle: 0, velocityX: 0, velocityY: 0, ...definition.initialState, ...state }
+        };
+        this.entities.set(networkId, entity);
+        return entity;
+    }
+
+    removeEntity(networkId) {
+        return this.entities.delete(networkId);
+    }
+
+    getEntity(networkId) {
+        return this.entities.get(networkId) || null;
+    }
+
+    getOwnedEntities(ownerId) {
+        return Array.from(this.entities.values()).filter(entity => entity.ownerId === ownerId);
+    }
+
+    // ========================================================================
+    // Simulation
+    // ========================================================================
+
+    /**
+     * Apply one input to a single entity
+     * @param {Object} entity - Entity to move
+     * @param {Object} input - Sanitized input
+     * @param {number} dt - Seconds the input was held
+     */
+    applyInput(entity, input, dt) {
+        const definition = NetworkSimulation.getDefinition(entity.prefabName);
+        if (definition.input) {
+            definition.input.call(definition, entity.state, input, dt, entity);
+        }
+    }
+
+    /**
+     * Apply one input to every entity a player owns
+     * @param {string} ownerId - Player the input came from
+     * @param {Object} input - Sanitized input
+     * @param {number} dt - Seconds the input was held
+     */
+    applyPlayerInput(ownerId, input, dt) {
+        for (const entity of this.entities.values()) {
+            if (entity.ownerId === ownerId) {
+                this.applyInput(entity, input, dt);
+            }
+        }
+    }
+
+    /**
+     * Advance entities that move on their own (projectiles, AI) by one tick
+     * @param {number} dt - Seconds per tick
+     */
+    step(dt) {
+        this.tick++;
+        for (const entity of this.entities.values()) {
+            const definition = NetworkSimulation.getDefinition(entity.prefabName);
+            if (definition.step) {
+                definition.step.call(definition, entity.state, dt, entity);
+            }
+        }
+    }
+
+    /**
+     * Run an RPC sent to the server with the handler in the entity's definition
+     * @param {Object} entity - Entity the RPC was called on
+     * @param {string} method - RPC method name
+     * @param {Array} args - Arguments as received
+     * @param {string} callerId - Player that called it
+     * @returns {boolean} False if the definition has no handler for the method
+     */
+    handleRpc(entity, method, args, callerId) {
+        const definition = NetworkSimulation.getDefinition(entity.prefabName);
+        const handlers = definition.rpc || {};
+        if (!Object.prototype.hasOwnProperty.call(handlers, method) || typeof handlers[method] !== 'function') {
+            return false;
+        }
+
+        handlers[method].call(definition, entity.state, args, entity, callerId);
+        return true;
+    }
+
+    /**
+     * Entities as sent in a snapshot
+     * @returns {Array<Object>} [{ networkId, ownerId, prefabName, state }]
+     */
+    serialize() {
+        return Array.from(this.entities.values()).map(entity => ({
+            networkId: entity.networkId,
+            ownerId: entity.ownerId,
+            prefabName: entity.prefabName,
+            state: { ...entity.state }
+        }));
+    }
+}
+
+// Input fields clamped to -1..1 by sanitizeInput
+NetworkSimulation.AXES = ['moveX', 'moveY', 'aimX', 'aimY'];
+
+// Longest time one input may be held, the server clamps to it as well
+NetworkSimulation.MAX_INPUT_DT = 0.1;
+
+NetworkSimulation.definitions = new Map([
+    ['*', {
+        speed: 200,
+        input(state, input, dt) {
+            state.velocityX = (input.moveX || 0) * this.speed;
+            state.velocityY = (input.moveY || 0) * this.speed;
+            state.x += state.velocityX * dt;
+            state.y += state.velocityY * dt;
+            if (typeof input.angle === 'number') {
+                state.angle = input.angle;
+            }
+        },
+        step: null,
+        serverProperties: [],
+        rpc: null
+    }]
+]);
+
+// Make available to the browser and to server.js
+if (typeof window !== 'undefined') {
+    window.NetworkSimulation = NetworkSimulation;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = NetworkSimulation;
+}
@@ -0,0 +1,493 @@
+/**
+ * ============================================================================
+ * NETWORK SNAPSHOT
+ * ============================================================================
+ *
+ * Delta-compressed snapshot protocol shared by server.js and MultiplayerManager.
+ *
+ * A snapshot is the state of every networked object, a Map of
+ * networkId -> { ownerId, prefabName, state }. Each one sent gets a sequence number (seq);
+ * the receiver acknowledges the newest seq it got, and the sender encodes the next
+ * snapshot as a delta against that acknowledged one (its baseline):
+ * - only objects and fields that changed are sent, ownerId/prefabName only for new objects
+ * - objects that are gone are listed in `removed`
+ * - numbers are quantized per field (NetworkSnapshot.PRECISION, powers of ten), so jitter
+ *   below the precision doesn't count as a change
+ * - baseline 0 means a full snapshot (nothing acknowledged yet, or the baseline expired)
+ *
+ * Messages are { seq, baseline, ack, tick, serverTime, lastInput, objects, removed } and go
+ * over the wire as JSON or as the compact binary format of encode()/decode().
+ *
+ * USAGE:
+ * const delta = NetworkSnapshot.diff(history.get(ackedSeq), current);
+ * const restored = NetworkSnapshot.apply(history.get(delta.baseline), delta);
+ * const buffer = NetworkSnapshot.encode('snapshot', message);    // ArrayBuffer
+ * const { type, data } = NetworkSnapshot.decode(buffer);
+ * ============================================================================
+ */
+
+class NetworkSnapshot {
+    /**
+     * Step a numeric field is rounded to
+     * @param {string} field - Field name
+     * @returns {number} Precision, e.g. 0.01
+     */
+    static getPrecision(field) {
+        return NetworkSnapshot.PRECISION[field] || NetworkSnapshot.DEFAULT_PRECISION;
+    }
+
+    /**
+     * @param {string} field - Field name
+     * @returns {number} Decimal places kept for the field (0 to 9)
+     */
+    static getDecimals(field) {
+        const decimals = Math.round(-Math.log10(NetworkSnapshot.getPrecision(field)));
+        return Math.max(0, Math.min(9, decimals));
+    }
+
+    /**
+     * Round a value to its field's precision (non-numbers are returned as they are)
+     */
+    static quantize(field, value) {
+        if (typeof value !== 'number' || !Number.isFinite(value)) return value;
+        return NetworkSnapshot.roundTo(value, NetworkSnapshot.getDecimals(field));
+    }
+
+    static roundTo(value, decimals) {
+        const factor = Math.pow(10, decimals);
+        return Number((Math.round(value * factor) / factor).toFixed(decimals));
+    }
+
+    static quantizeState(state) {
+        const quantized = {};
+        for (const field of Object.keys(state)) {
+            quantized[field] = NetworkSnapshot.quantize(field, state[field]);
+        }
+        return quantized;
+    }
+
+    /**
+     * Build a snapshot from a list of objects, quantizing their state
+     * @param {Array<Object>} objects - [{ networkId, ownerId, prefabName, state }]
+     * @returns {Map<string, Object>} networkId -> { ownerId, prefabName, state }
+     */
+    static fromObjects(objects) {
+        const snapshot = new Map();
+        for (const obj of objects) {
+            snapshot.set(obj.networkId, {
+                ownerId: obj.ownerId,
+                prefabName: obj.prefabName,
+                state: NetworkSnapshot.quantizeState(obj.state || {})
+            });
+        }
+        return snapshot;
+    }
+
+    /**
+     * @param {Map<string, Object>} snapshot - Snapshot to list
+     * @returns {Array<Object>} [{ networkId, ownerId, prefabName, state }]
+     */
+    static toObjects(snapshot) {
+        return Array.from(snapshot.entries()).map(([networkId, entry]) => ({
+            networkId: networkId,
+            ownerId: entry.ownerId,
+            prefabName: entry.prefabName,
+            state: { ...entry.state }
+        }));
+    }
+
+    /**
+     * What changed between a baseline and the current snapshot
+     * @param {Map<string, Object>|null} baseline - Snapshot the receiver has, null for a full one
+     * @param {Map<string, Object>} current - Snapshot to send
+     * @returns {Object} { objects: [{ networkId, ownerId?, prefabName?, fields }], removed: [networkId] }
+     */
+    static diff(baseline, current) {
+        const objects = [];
+        const removed = [];
+
+        for (const [networkId, entry] of current.entries()) {
+            const previous = baseline ? baseline.get(networkId) : null;
+            const fields = {};
+            let changed = false;
+
+            for (const field of Object.keys(entry.state)) {
+                const value = entry.state[field];
+                if (previous && NetworkSnapshot.sameValue(previous.state[field], value)) continue;
+                fields[field] = value;
+                changed = true;
+            }
+
+            if (!previous) {
+                objects.push({ networkId, ownerId: entry.ownerId, prefabName: entry.prefabName, fields });
+            } else if (changed) {
+                objects.push({ networkId, fields });
+            }
+        }
+
+        if (baseline) {
+            for (const networkId of baseline.keys()) {
+                if (!current.has(networkId)) removed.push(networkId);
+            }
+        }
+
+        return { objects, removed };
+    }
+
+    /**
+     * Rebuild a full snapshot from its baseline and a delta
+     * @param {Map<string, Object>|null} baseline - Snapshot the delta was made against
+     * @param {Object} delta - { objects, removed } from diff()
+     * @returns {Map<string, Object>} New snapshot (the baseline is not changed)
+     */
+    static apply(baseline, delta) {
+        const snapshot = new Map();
+        if (baseline) {
+            for (const [networkId, entry] of baseline.entries()) {
+                snapshot.set(networkId, entry);
+            }
+        }
+
+        for (const networkId of delta.removed || []) {
+            snapshot.delete(networkId);
+        }
+
+        for (const obj of delta.objects || []) {
+            const previous = snapshot.get(obj.networkId);
+            snapshot.set(obj.networkId, {
+                ownerId: obj.ownerId !== undefined ? obj.ownerId : (previous ? previous.ownerId : null),
+                prefabName: obj.prefabName !== undefined ? obj.prefabName : (previous ? previous.prefabName : null),
+                state: { ...(previous ? previous.state : {}), ...obj.fields }
+            });
+        }
+
+        return snapshot;
+    }
+
+    static sameValue(a, b) {
+        if (a === b) return true;
+        if (a && b && typeof a === 'object' && typeof b === 'object') {
+            return JSON.stringify(a) === JSON.stringify(b);
+        }
+        return false;
+    }
+
+    // ========================================================================
+    // Binary wire format
+    // ========================================================================
+    //
+    // Little endian. Header: u8 version, u8 message kind, u32 seq, u32 baseline, u32 ack,
+    // u32 tick, u32 lastInput, f64 serverTime. Then a string table (u16 count, each u16 byte
+    // length + UTF-8) that every id, name and string value refers to by u16 index, the
+    // objects (u16 count; u16 id, u8 flags, [u16 owner, u16 prefab], u8 field count, fields)
+    // and the removed ids (u16 count, u16 each). A field is u16 name, u8 type and its value;
+    // quantized numbers are sent as u8 decimal places and the int32 value times 10^decimals,
+    // so the receiver doesn't need the sender's precision table.
+
+    /**
+     * @param {string} type - Message type (a key of NetworkSnapshot.MESSAGE_KINDS)
+     * @param {Object} data - { seq, baseline, ack, tick, serverTime, lastInput, objects, removed }
+     * @returns {ArrayBuffer}
+     */
+    static encode(type, data) {
+        const kind = NetworkSnapshot.MESSAGE_KINDS[type];
+        if (!kind) throw new Error(`Message type '${type}' has no binary encoding`);
+
+        const strings = [];
+        const stringIndex = new Map();
+        const ref = (value) => {
+            const key = String(value);
+            if (!stringIndex.has(key)) {
+                stringIndex.set(key, strings.length);
+                strings.push(key);
+            }
+            return stringIndex.get(key);
+        };
+
+        // First pass: collect strings and compute the size
+        const encoder = new TextEncoder();
+        const objects = data.objects || [];
+        const removed = data.removed || [];
+        const fieldValues = [];
+        let size = 2 + 4 * 5 + 8 + 2 + 2 + 2 * removed.length;
+
+        for (const obj of objects) {
+            ref(obj.networkId);
+            size += 2 + 1 + 1;
+            if (obj.ownerId !== undefined || obj.prefabName !== undefined) {
+                ref(obj.ownerId === null || obj.ownerId === undefined ? '' : obj.ownerId);
+                ref(obj.prefabName === null || obj.prefabName === undefined ? '' : obj.prefabName);
+                size += 4;
+            }
+            for (const field of Object.keys(obj.fields || {})) {
+                ref(field);
+                const encoded = NetworkSnapshot.encodeValue(field, obj.fields[field]);
+                if (encoded.type === NetworkSnapshot.TYPES.STRING || encoded.type === NetworkSnapshot.TYPES.JSON) {
+                    ref(encoded.value);
+                }
+                fieldValues.push(encoded);
+                size += 2 + 1 + encoded.size;
+            }
+        }
+        removed.forEach(ref);
+
+        const encodedStrings = strings.map(str => encoder.encode(str));
+        size += 2 + encodedStrings.reduce((total, bytes) => total + 2 + bytes.length, 0);
+
+        // Second pass: write
+        const buffer = new ArrayBuffer(size);
+        const view = new DataView(buffer);
+        const bytes = new Uint8Array(buffer);
+        let offset = 0;
+
+        view.setUint8(offset++, NetworkSnapshot.VERSION);
+        view.setUint8(offset++, kind);
+        for (const key of ['seq', 'baseline', 'ack', 'tick', 'lastInput']) {
+            view.setUint32(offset, data[key] || 0, true);
+            offset += 4;
+        }
+        view.setFloat64(offset, data.serverTime || 0, true);
+        offset += 8;
+
+        view.setUint16(offset, encodedStrings.length, true);
+        offset += 2;
+        for (const str of encodedStrings) {
+            view.setUint16(offset, str.length, true);
+            offset += 2;
+            bytes.set(str, offset);
+            offset += str.length;
+        }
+
+        view.setUint16(offset, objects.length, true);
+        offset += 2;
+        let valueIndex = 0;
+        for (const obj of objects) {
+            const isNew = obj.ownerId !== undefined || obj.prefabName !== undefined;
+            const fields = Object.keys(obj.fields || {});
+
+            view.setUint16(offset, ref(obj.networkId), true);
+            view.setUint8(offset + 2, isNew ? 1 : 0);
+            offset += 3;
+            if (isNew) {
+                view.setUint16(offset, ref(obj.ownerId === null || obj.ownerId === undefined ? '' : obj.ownerId), true);
+                view.setUint16(offset + 2, ref(obj.prefabName === null || obj.prefabName === undefined ? '' : obj.prefabName), true);
+                offset += 4;
+            }
+            view.setUint8(offset++, fields.length);
+
+            for (const field of fields) {
+                const encoded = fieldValues[valueIndex++];
+                view.setUint16(offset, ref(field), true);
+                view.setUint8(offset + 2, encoded.type);
+                offset += 3;
+                offset = NetworkSnapshot.writeValue(view, offset, encoded, ref);
+            }
+        }
+
+        view.setUint16(offset, removed.length, true);
+        offset += 2;
+        for (const networkId of removed) {
+            view.setUint16(offset, ref(networkId), true);
+            offset += 2;
+        }
+
+        return buffer;
+    }
+
+    /**
+     * @param {ArrayBuffer|ArrayBufferView} buffer - Binary message (a Node Buffer works too)
+     * @returns {Object} { type, data }
+     */
+    static decode(buffer) {
+        const view = ArrayBuffer.isView(buffer)
+            ? new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength)
+            : new DataView(buffer);
+        const decoder = new TextDecoder();
+        let offset = 0;
+
+        const version = view.getUint8(offset++);
+        if (version !== NetworkSnapshot.VERSION) {
+            throw new Error(`Unsupported snapshot version ${version}`);
+        }
+        const kind = view.getUint8(offset++);
+        const type = Object.keys(NetworkSnapshot.MESSAGE_KINDS).find(key => NetworkSnapshot.MESSAGE_KINDS[key] === kind);
+
+        const data = {};
+        for (const key of ['seq', 'baseline', 'ack', 'tick', 'lastInput']) {
+            data[key] = view.getUint32(offset, true);
+            offset += 4;
+        }
+        data.serverTime = view.getFloat64(offset, true);
+        offset += 8;
+
+        const strings = [];
+        const stringCount = view.getUint16(offset, true);
+        offset += 2;
+        for (let i = 0; i < stringCount; i++) {
+            const length = view.getUint16(offset, true);
+            offset += 2;
+            strings.push(decoder.decode(new Uint8Array(view.buffer, view.byteOffset + offset, length)));
+            offset += length;
+        }
+
+        data.objects = [];
+        const objectCount = view.getUint16(offset, true);
+        offset += 2;
+        for (let i = 0; i < objectCount; i++) {
+            const obj = { networkId: strings[view.getUint16(offset, true)], fields: {} };
+            const isNew = view.getUint8(offset + 2) === 1;
+            offset += 3;
+            if (isNew) {
+                obj.ownerId = strings[view.getUint16(offset, true)] || null;
+                obj.prefabName = strings[view.getUint16(offset + 2, true)] || null;
+                offset += 4;
+            }
+
+            const fieldCount = view.getUint8(offset++);
+            for (let f = 0; f < fieldCount; f++) {
+                const field = strings[view.getUint16(offset, true)];
+                const valueType = view.getUint8(offset + 2);
+                offset += 3;
+                const result = NetworkSnapshot.readValue(view, offset, valueType, strings);
+                obj.fields[field] = result.value;
+                offset = result.offset;
+            }
+            data.objects.push(obj);
+        }
+
+        data.removed = [];
+        const removedCount = view.getUint16(offset, true);
+        offset += 2;
+        for (let i = 0; i < removedCount; i++) {
+            data.removed.push(strings[view.getUint16(offset, true)]);
+            offset += 2;
+        }
+
+        return { type, data };
+    }
+
+    /**
+     * Whether a received message is binary (ArrayBuffer in browsers, Buffer in Node)
+     */
+    static isBinary(message) {
+        return message instanceof ArrayBuffer || ArrayBuffer.isView(message);
+    }
+
+    static encodeValue(field, value) {
+        const TYPES = NetworkSnapshot.TYPES;
+        if (typeof value === 'number' && Number.isFinite(value)) {
+            const decimals = NetworkSnapshot.getDecimals(field);
+            const scaled = Math.round(value * Math.pow(10, decimals));
+            if (scaled >= -2147483648 && scaled <= 2147483647) {
+                return { type: TYPES.QUANTIZED, value: scaled, decimals: decimals, size: 5 };
+            }
+            return { type: TYPES.FLOAT, value: value, size: 8 };
+        }
+        if (value === true) return { type: TYPES.TRUE, size: 0 };
+        if (value === false) return { type: TYPES.FALSE, size: 0 };
+        if (value === null || value === undefined) return { type: TYPES.NULL, size: 0 };
+        if (typeof value === 'string') return { type: TYPES.STRING, value: value, size: 2 };
+        return { type: TYPES.JSON, value: JSON.stringify(value), size: 2 };
+    }
+
+    static writeValue(view, offset, encoded, ref) {
+        const TYPES = NetworkSnapshot.TYPES;
+        switch (encoded.type) {
+            case TYPES.QUANTIZED:
+                view.setUint8(offset, encoded.decimals);
+                view.setInt32(offset + 1, encoded.value, true);
+                return offset + 5;
+            case TYPES.FLOAT:
+                view.setFloat64(offset, encoded.value, true);
+                return offset + 8;
+            case TYPES.STRING:
+            case TYPES.JSON:
+                view.setUint16(offset, ref(encoded.value), true);
+                return offset + 2;
+            default:
+                return offset;
+        }
+    }
+
+    static readValue(view, offset, type, strings) {
+        const TYPES = NetworkSnapshot.TYPES;
+        switch (type) {
+            case TYPES.QUANTIZED: {
+                const decimals = view.getUint8(offset);
+                const scaled = view.getInt32(offset + 1, true);
+                return { value: NetworkSnapshot.roundTo(scaled / Math.pow(10, decimals), decimals), offset: offset + 5 };
+            }
+            case TYPES.FLOAT:
+                return { value: view.getFloat64(offset, true), offset: offset + 8 };
+            case TYPES.TRUE:
+                return { value: true, offset };
+            case TYPES.FALSE:
+                return { value: false, offset };
+            case TYPES.STRING:
+                return { value: strings[view.getUint16(offset, true)], offset: offset + 2 };
+            case TYPES.JSON:
+                return { value: JSON.parse(strings[view.getUint16(offset, true)]), offset: offset + 2 };
+            default:
+                return { value: null, offset };
+        }
+    }
+}
+
+/**
+ * Snapshots kept by sequence number, so a delta can be made (or applied) against
+ * whichever one the other side acknowledged
+ */
+class SnapshotHistory {
+    constructor(limit = 32) {
+        this.limit = limit;
+        this.entries = new Map(); // Map of seq -> snapshot, oldest first
+    }
+
+    set(seq, snapshot) {
+        this.entries.set(seq, snapshot);
+        while (this.entries.size > this.limit) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    /**
+     * @param {number} seq - Sequence number, 0 for none
+     * @returns {Map<string, Object>|null} The snapshot, or null if it's unknown or expired
+     */
+    get(seq) {
+        return seq ? this.entries.get(seq) || null : null;
+    }
+
+    clear() {
+        this.entries.clear();
+    }
+}
+
+NetworkSnapshot.VERSION = 1;
+
+// Messages that can be sent in the binary format
+NetworkSnapshot.MESSAGE_KINDS = { snapshot: 1, updateState: 2 };
+
+NetworkSnapshot.TYPES = { QUANTIZED: 0, FLOAT: 1, TRUE: 2, FALSE: 3, NULL: 4, STRING: 5, JSON: 6 };
+
+// Quantization step per field (a power of ten), other numbers use DEFAULT_PRECISION
+NetworkSnapshot.PRECISION = {
+    x: 0.01,
+    y: 0.01,
+    angle: 0.01,
+    rotation: 0.001,
+    scaleX: 0.001,
+    scaleY: 0.001,
+    velocityX: 0.01,
+    velocityY: 0.01
+};
+NetworkSnapshot.DEFAULT_PRECISION = 0.001;
+
+// Make available to the browser and to server.js
+if (typeof window !== 'undefined') {
+    window.NetworkSnapshot = NetworkSnapshot;
+    window.SnapshotHistory = SnapshotHistory;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { NetworkSnapshot, SnapshotHistory };
+}
@@ -0,0 +1,341 @@
+/**
+ * ============================================================================
+ * NETWORK TRANSPORTS
+ * ============================================================================
+ *
+ * How MultiplayerManager reaches the server. A transport opens connections with the
+ * browser WebSocket API (send, close, readyState, onopen, onmessage, onclose, onerror),
+ * so the manager works the same over all of them:
+ *
+ * WebSocketTransport  - a real WebSocket (the default)
+ * LoopbackTransport   - straight into a createMultiplayerServer() in the same page or
+ *                       Node process, for several clients and automated tests
+ * SimulatedTransport  - wraps another transport and adds latency, jitter, packet loss
+ *                       and reordering, to test lag and tune interpolationDelay
+ *
+ * const server = createMultiplayerServer({ authoritative: true });
+ * server.start();
+ * const lan = new LoopbackTransport(server);
+ * engine.multiplayer.connect('loopback', { transport: new SimulatedTransport(lan, { latency: 80, jitter: 20, packetLoss: 0.05 }) });
+ * ============================================================================
+ */
+
+class NetworkTransport {
+    /**
+     * Open a connection. It opens asynchronously and calls onopen, like a WebSocket.
+     * @param {string} url - Server address (ignored by transports that don't need one)
+     * @returns {Object} Connection with the browser WebSocket API
+     */
+    open(url) {
+        throw new Error(`${this.constructor.name} does not implement open()`);
+    }
+}
+
+NetworkTransport.CONNECTING = 0;
+NetworkTransport.OPEN = 1;
+NetworkTransport.CLOSING = 2;
+NetworkTransport.CLOSED = 3;
+
+/**
+ * A real WebSocket. In Node, pass the 'ws' package: new WebSocketTransport(require('ws'))
+ */
+class WebSocketTransport extends NetworkTransport {
+    constructor(WebSocketClass = null) {
+        super();
+        this.WebSocketClass = WebSocketClass;
+    }
+
+    open(url) {
+        const Socket = this.WebSocketClass || WebSocket;
+        const socket = new Socket(url);
+        socket.binaryType = 'arraybuffer';
+        return socket;
+    }
+}
+
+/**
+ * Connects clients to a server in the same process. Messages are copied and delivered
+ * asynchronously in order, as over a socket.
+ */
+class LoopbackTransport extends NetworkTransport {
+    /**
+     * @param {Object} server - From createMultiplayerServer(), or anything with acceptConnection()
+     */
+    constructor(server) {
+        super();
+        this.server = server;
+        this.connections = new Set(); // Client ends that are open or opening
+    }
+
+    open(url) {
+        const client = new LoopbackSocket();
+        const serverEnd = new LoopbackSocket();
+        client.peer = serverEnd;
+        serverEnd.peer = client;
+        this.connections.add(client);
+        client.on('close', () => this.connections.delete(client));
+
+        setTimeout(() => {
+            if (client.readyState !== NetworkTransport.CONNECTING) return; // Closed while opening
+
+            client.readyState = NetworkTransport.OPEN;
+            serverEnd.readyState = NetworkTransport.OPEN;
+            this.server.acceptConnection(serverEnd, 'loopback');
+            client._emit('open');
+        }, 0);
+        return client;
+    }
+
+    /**
+     * Close every connection as if the network dropped, to test reconnection
+     */
+    dropConnections() {
+        for (const client of Array.from(this.connections)) {
+            client.close();
+        }
+    }
+}
+
+/**
+ * One end of a loopback connection. It has the browser WebSocket API for the client
+ * (onmessage receives { data }) and the 'ws' API for the server (on('message', (data, isBinary))).
+ */
+class LoopbackSocket {
+    constructor() {
+        this.readyState = NetworkTransport.CONNECTING;
+        this.binaryType = 'arraybuffer';
+        this.peer = null;
+        this.listeners = new Map(); // Map of event -> [callback] registered with on()
+
+        this.onopen = null;
+        this.onmessage = null;
+        this.onclose = null;
+        this.onerror = null;
+    }
+
+    on(eventName, callback) {
+        if (!this.listeners.has(eventName)) {
+            this.listeners.set(eventName, []);
+        }
+        this.listeners.get(eventName).push(callback);
+        return this;
+    }
+
+    send(data) {
+        if (this.readyState !== NetworkTransport.OPEN) return;
+
+        const copy = LoopbackSocket.copyData(data);
+        const peer = this.peer;
+        setTimeout(() => {
+            if (peer.readyState === NetworkTransport.OPEN) {
+                peer._emit('message', copy, typeof copy !== 'string');
+            }
+        }, 0);
+    }
+
+    /**
+     * Close both ends. Messages already sent arrive first.
+     */
+    close() {
+        if (this.readyState === NetworkTransport.CLOSING || this.readyState === NetworkTransport.CLOSED) return;
+
+        this.readyState = NetworkTransport.CLOSING;
+        const peer = this.peer;
+        setTimeout(() => {
+            for (const end of [this, peer]) {
+                if (end.readyState !== NetworkTransport.CLOSED) {
+                    end.readyState = NetworkTransport.CLOSED;
+                    end._emit('close');
+                }
+            }
+        }, 0);
+    }
+
+    _emit(eventName, data, isBinary) {
+        const handler = this[`on${eventName}`];
+        if (handler) {
+            handler(eventName === 'message' ? { data: data } : { type: eventName });
+        }
+        for (const callback of this.listeners.get(eventName) || []) {
+            callback(data, isBinary);
+        }
+    }
+
+    /**
+     * Copy a message so neither end can change what the other received
+     */
+    static copyData(data) {
+        if (data instanceof ArrayBuffer) {
+            return data.slice(0);
+        }
+        if (ArrayBuffer.isView(data)) {
+            return data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+        }
+        return String(data);
+    }
+}
+
+/**
+ * Wraps another transport and delays, drops and reorders its messages in both directions.
+ * A WebSocket never loses or reorders messages, so only the message types the protocol
+ * copes with losing (UNRELIABLE_TYPES and binary snapshots) are dropped and reordered;
+ * everything else is delayed and arrives in order.
+ */
+class SimulatedTransport extends NetworkTransport {
+    /**
+     * @param {NetworkTransport} transport - Transport to wrap
+     * @param {Object} conditions - See setConditions()
+     */
+    constructor(transport, conditions = {}) {
+        super();
+        this.transport = transport;
+        this.conditions = {
+            latency: 0,         // ms one way, the round trip is twice as long
+            jitter: 0,          // ms added to or taken from each message's latency at random
+            packetLoss: 0,      // Chance (0-1) that an unreliable message is dropped
+            reorder: 0,         // Chance (0-1) that an unreliable message is held back
+            reorderDelay: 50    // Extra ms a held back message waits, later ones overtake it
+        };
+        this.random = Math.random; // Replace with a seeded generator for repeatable tests
+        this.stats = { sent: 0, dropped: 0, reordered: 0 };
+        this.setConditions(conditions);
+    }
+
+    /**
+     * Change the network conditions, also while connected
+     * @param {Object} conditions - { latency, jitter, packetLoss, reorder, reorderDelay }
+     */
+    setConditions(conditions) {
+        for (const key of Object.keys(conditions)) {
+            if (key in this.conditions && Number.isFinite(conditions[key])) {
+                this.conditions[key] = Math.max(0, conditions[key]);
+            } else {
+                console.warn(`SimulatedTransport: unknown or invalid condition "${key}"`);
+            }
+        }
+    }
+
+    open(url) {
+        return new SimulatedSocket(this, this.transport.open(url));
+    }
+
+    /**
+     * Whether a message may be dropped or reordered
+     */
+    isUnreliable(data) {
+        if (typeof data !== 'string') return true; // Binary messages are snapshot-protocol messages
+
+        const match = /^\{"type":"([^"]+)"/.exec(data);
+        return !!match && SimulatedTransport.UNRELIABLE_TYPES.includes(match[1]);
+    }
+
+    /**
+     * Run deliver() once a message has crossed the simulated network
+     * @param {SimulatedSocket} socket - Connection the message belongs to
+     * @param {string} direction - 'up' (to the server) or 'down'
+     * @param {boolean} unreliable - Whether it may be dropped or reordered
+     */
+    schedule(socket, direction, unreliable, deliver) {
+        const conditions = this.conditions;
+        this.stats.sent++;
+
+        if (unreliable && conditions.packetLoss > 0 && this.random() < conditions.packetLoss) {
+            this.stats.dropped++;
+            return;
+        }
+
+        const now = Date.now();
+        let delay = Math.max(0, conditions.latency + (this.random() * 2 - 1) * conditions.jitter);
+        if (unreliable && conditions.reorder > 0 && this.random() < conditions.reorder) {
+            delay += conditions.reorderDelay;
+            this.stats.reordered++;
+        }
+
+        let deliverAt = now + delay;
+        if (!unreliable) {
+            // Reliable messages keep their order, like on a socket
+            deliverAt = Math.max(deliverAt, socket.lastDelivery[direction]);
+            socket.lastDelivery[direction] = deliverAt;
+        }
+        setTimeout(deliver, deliverAt - now);
+    }
+}
+
+// Message types that may be lost: snapshots are deltas against acknowledged baselines,
+// RPCs are resent until acknowledged, and every input message repeats the inputs the
+// server hasn't acknowledged yet (MultiplayerManager.redundantInputs)
+SimulatedTransport.UNRELIABLE_TYPES = ['snapshot', 'updateState', 'input', 'ack', 'rpc', 'rpcAck', 'timeSync'];
+
+/**
+ * Connection of a SimulatedTransport, with the browser WebSocket API
+ */
+class SimulatedSocket {
+    constructor(transport, socket) {
+        this.transport = transport;
+        this.socket = socket;
+        this.readyState = NetworkTransport.CONNECTING;
+        this.binaryType = 'arraybuffer';
+        this.lastDelivery = { up: 0, down: 0 }; // When the last reliable message of each direction arrives
+
+        this.onopen = null;
+        this.onmessage = null;
+        this.onclose = null;
+        this.onerror = null;
+
+        socket.onopen = (event) => {
+            this.transport.schedule(this, 'down', false, () => {
+                if (this.readyState !== NetworkTransport.CONNECTING) return;
+                this.readyState = NetworkTransport.OPEN;
+                if (this.onopen) this.onopen(event);
+            });
+        };
+        socket.onmessage = (event) => {
+            this.transport.schedule(this, 'down', this.transport.isUnreliable(event.data), () => {
+                if (this.readyState === NetworkTransport.OPEN && this.onmessage) {
+                    this.onmessage({ data: event.data });
+                }
+            });
+        };
+        socket.onclose = (event) => {
+            this.transport.schedule(this, 'down', false, () => {
+                if (this.readyState === NetworkTransport.CLOSED) return;
+                this.readyState = NetworkTransport.CLOSED;
+                if (this.onclose) this.onclose(event);
+            });
+        };
+        socket.onerror = (error) => {
+            if (this.onerror) this.onerror(error);
+        };
+    }
+
+    send(data) {
+        if (this.readyState !== NetworkTransport.OPEN) return;
+
+        this.transport.schedule(this, 'up', this.transport.isUnreliable(data), () => {
+            if (this.socket.readyState === NetworkTransport.OPEN) {
+                this.socket.send(data);
+            }
+        });
+    }
+
+    /**
+     * Close after the messages already sent have gone out
+     */
+    close() {
+        if (this.readyState === NetworkTransport.CLOSING || this.readyState === NetworkTransport.CLOSED) return;
+
+        this.readyState = NetworkTransport.CLOSING;
+        this.transport.schedule(this, 'up', false, () => this.socket.close());
+    }
+}
+
+// Make available to the browser and to Node scripts
+if (typeof window !== 'undefined') {
+    window.NetworkTransport = NetworkTransport;
+    window.WebSocketTransport = WebSocketTransport;
+    window.LoopbackTransport = LoopbackTransport;
+    window.SimulatedTransport = SimulatedTransport;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { NetworkTransport, WebSocketTransport, LoopbackTransport, LoopbackSocket, SimulatedTransport, SimulatedSocket };
+}
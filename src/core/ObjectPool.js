@@ -0,0 +1,388 @@
+/**
+ * ObjectPool - Reuses spawned GameObjects instead of cloning and discarding them
+ *
+ * Pools are keyed by object or prefab name and live in window.poolManager. Module.instanceCreate
+ * and Spawner take objects from a pool, and Engine.removeDynamicObject (which GameObject.destroy()
+ * uses for pooled objects) hands them back instead of throwing them away.
+ *
+ * A reused object is started again like a fresh one, then every module gets onSpawnFromPool().
+ * When it goes back, modules get onReturnToPool() instead of onDestroy(), so only state that
+ * start() doesn't reset needs handling there.
+ */
+class ObjectPool {
+    /**
+     * @param {string} key - Pool name (object or prefab name)
+     * @param {Function} factory - Returns a new GameObject when the pool is empty
+     * @param {Object} [options]
+     * @param {number} [options.maxSize=100] - Idle objects kept; extras are destroyed when returned
+     */
+    constructor(key, factory, options = {}) {
+        this.key = key;
+        this.factory = factory;
+        this.maxSize = options.maxSize !== undefined ? options.maxSize : 100;
+
+        this.available = [];    // Idle objects, not in the scene
+        this.inUse = 0;         // Objects handed out and not returned yet
+        this.created = 0;       // Objects made by the factory
+        this.reused = 0;        // Spawns served from idle objects
+        this.peak = 0;          // Most objects in use at once
+    }
+
+    /**
+     * Take an idle object, or create one if none are left
+     * @returns {GameObject|null} The object, or null if the factory failed
+     */
+    acquire() {
+        let obj = this.available.pop();
+        if (obj) {
+            this.reused++;
+            this.restoreState(obj);
+        } else {
+            obj = this.create();
+            if (!obj) return null;
+        }
+
+        obj._inPool = false;
+        this.inUse++;
+        this.peak = Math.max(this.peak, this.inUse);
+        return obj;
+    }
+
+    /**
+     * Take an object back
+     * @param {GameObject} obj - Object from acquire()
+     * @returns {boolean} False if the pool is full and the object should be destroyed
+     */
+    release(obj) {
+        if (obj._inPool) return true;
+
+        this.inUse = Math.max(0, this.inUse - 1);
+        if (this.available.length >= this.maxSize) return false;
+
+        obj._inPool = true;
+        this.available.push(obj);
+        return true;
+    }
+
+    /**
+     * Whether a returned object would be kept
+     * @returns {boolean} True if there is room for another idle object
+     */
+    hasRoom() {
+        return this.available.length < this.maxSize;
+    }
+
+    /**
+     * Create idle objects up front so the first spawns don't allocate
+     * @param {number} count - Idle objects to have ready
+     */
+    warm(count) {
+        const target = Math.min(count, this.maxSize);
+        while (this.available.length < target) {
+            const obj = this.create();
+            if (!obj) break;
+            obj._inPool = true;
+            this.available.push(obj);
+        }
+    }
+
+    /**
+     * Make a new object with the factory and remember its spawn state
+     * @private
+     */
+    create() {
+        let obj = null;
+        try {
+            obj = this.factory();
+        } catch (error) {
+            console.error(`ObjectPool '${this.key}': factory failed:`, error);
+        }
+        if (!obj) return null;
+
+        obj._poolKey = this.key;
+        obj._poolState = {
+            angle: obj.angle,
+            scale: obj.scale.clone(),
+            active: obj.active,
+            visible: obj.visible
+        };
+        this.created++;
+        return obj;
+    }
+
+    /**
+     * Put back the transform and flags the object had when it was created
+     * @private
+     */
+    restoreState(obj) {
+        const state = obj._poolState;
+        if (!state) return;
+
+        obj.angle = state.angle;
+        obj.scale = state.scale.clone();
+        obj.active = state.active;
+        obj.visible = state.visible;
+    }
+
+    /**
+     * Destroy every idle object
+     */
+    clear() {
+        this.available.forEach(obj => ObjectPoolManager.callModuleHook(obj, 'onDestroy'));
+        this.available = [];
+        this.inUse = 0;
+    }
+
+    /**
+     * Counters for the debug overlay
+     * @returns {Object} { key, available, inUse, created, reused, peak }
+     */
+    getStats() {
+        return {
+            key: this.key,
+            available: this.available.length,
+            inUse: this.inUse,
+            created: this.created,
+            reused: this.reused,
+            peak: this.peak
+        };
+    }
+}
+
+/**
+ * ObjectPoolManager - Registry of pools (window.poolManager)
+ */
+class ObjectPoolManager {
+    constructor() {
+        this.enabled = true;            // False makes instanceCreate and Spawner clone every spawn
+        this.defaultMaxSize = 100;
+        this.pools = new Map();         // key -> ObjectPool
+        this.warmCounts = {};           // key -> idle objects to create when the pool is made
+    }
+
+    /**
+     * Create a pool, or update the factory and size of an existing one
+     * @param {string} key - Pool name
+     * @param {Function} factory - Returns a new GameObject
+     * @param {Object} [options]
+     * @param {number} [options.maxSize] - Idle objects kept
+     * @param {number} [options.warm] - Idle objects to create now
+     * @returns {ObjectPool} The pool
+     */
+    createPool(key, factory, options = {}) {
+        let pool = this.pools.get(key);
+        if (pool) {
+            pool.factory = factory;
+            if (options.maxSize !== undefined) pool.maxSize = options.maxSize;
+        } else {
+            pool = new ObjectPool(key, factory, {
+                maxSize: options.maxSize !== undefined ? options.maxSize : this.defaultMaxSize
+            });
+            this.pools.set(key, pool);
+        }
+
+        const warm = options.warm !== undefined ? options.warm : this.warmCounts[key];
+        if (warm > 0) pool.warm(warm);
+        return pool;
+    }
+
+    /**
+     * @param {string} key - Pool name
+     * @returns {ObjectPool|null} The pool, or null if nothing has been spawned with this key
+     */
+    getPool(key) {
+        return this.pools.get(key) || null;
+    }
+
+    /**
+     * @param {string} key - Pool name
+     * @returns {boolean} True if the pool exists
+     */
+    hasPool(key) {
+        return this.pools.has(key);
+    }
+
+    /**
+     * Destroy a pool and its idle objects. Objects still in use are destroyed normally later.
+     * @param {string} key - Pool name
+     */
+    removePool(key) {
+        const pool = this.pools.get(key);
+        if (!pool) return;
+        pool.clear();
+        this.pools.delete(key);
+    }
+
+    /**
+     * Have idle objects ready for a key. Without a factory and before the first spawn,
+     * the count is remembered and applied when the pool is created.
+     * @param {string} key - Pool name (object or prefab name)
+     * @param {number} count - Idle objects to have ready
+     * @param {Function} [factory] - Returns a new GameObject
+     */
+    warm(key, count, factory = null) {
+        this.warmCounts[key] = count;
+
+        const pool = this.pools.get(key);
+        if (pool) {
+            if (factory) pool.factory = factory;
+            pool.warm(count);
+        } else if (factory) {
+            this.createPool(key, factory, { warm: count });
+        }
+    }
+
+    /**
+     * Take an object from a pool without adding it to the scene
+     * @param {string} key - Pool name
+     * @param {Function} [factory] - Creates the pool if needed, and is used for new objects from now on
+     * @returns {GameObject|null} The object, or null if there is no pool or the factory failed
+     */
+    acquire(key, factory = null) {
+        let pool = this.pools.get(key);
+        if (!pool) {
+            if (!factory) return null;
+            pool = this.createPool(key, factory);
+        } else if (factory) {
+            pool.factory = factory;
+        }
+        return pool.acquire();
+    }
+
+    /**
+     * Take an object from a pool, place it and add it to the running scene
+     * @param {string} key - Pool name
+     * @param {Function} factory - Returns a new GameObject when the pool is empty
+     * @param {number} x - World X
+     * @param {number} y - World Y
+     * @param {Object} [options]
+     * @param {GameObject} [options.parent] - Parent to add the object to
+     * @param {Function} [options.setup] - Called with the object before it is started
+     * @returns {GameObject|null} The spawned object
+     */
+    spawn(key, factory, x, y, options = {}) {
+        const obj = this.acquire(key, factory);
+        if (!obj) return null;
+
+        obj.position = new Vector2(x, y);
+        if (options.setup) options.setup(obj);
+
+        if (window.engine) {
+            window.engine.addGameObject(obj, options.parent || null, true);
+        }
+        obj.start();
+        ObjectPoolManager.callModuleHook(obj, 'onSpawnFromPool');
+        return obj;
+    }
+
+    /**
+     * Remove a pooled object from the scene and return it to its pool
+     * @param {GameObject} obj - Object to return
+     */
+    despawn(obj) {
+        if (window.engine) {
+            window.engine.removeDynamicObject(obj);
+        } else {
+            this.release(obj);
+        }
+    }
+
+    /**
+     * Return an object that has already been taken out of the scene
+     * (Engine.removeDynamicObject calls this)
+     * @param {GameObject} obj - Object to return
+     * @returns {boolean} False if it isn't pooled or its pool is full, so it should be destroyed
+     */
+    release(obj) {
+        const pool = obj && obj._poolKey !== undefined ? this.pools.get(obj._poolKey) : null;
+        if (!pool) return false;
+        if (obj._inPool) return true;
+
+        if (!pool.hasRoom()) {
+            pool.release(obj);
+            return false;
+        }
+
+        ObjectPoolManager.callModuleHook(obj, 'onReturnToPool');
+        return pool.release(obj);
+    }
+
+    /**
+     * Destroy every pool (the engine does this when the game starts and stops)
+     */
+    clear() {
+        this.pools.forEach(pool => pool.clear());
+        this.pools.clear();
+    }
+
+    /**
+     * Counters for every pool
+     * @returns {Array<Object>} Stats from ObjectPool.getStats(), sorted by key
+     */
+    getStats() {
+        return Array.from(this.pools.values())
+            .map(pool => pool.getStats())
+            .sort((a, b) => a.key.localeCompare(b.key));
+    }
+
+    /**
+     * Draw a table of pool counters in the top-right corner (screen space)
+     * @param {CanvasRenderingContext2D} ctx - The rendering context
+     */
+    drawDebug(ctx) {
+        const stats = this.getStats();
+        const lineHeight = 14;
+        const width = 260;
+        const x = ctx.canvas.width - width - 10;
+        const y = 10;
+        const height = lineHeight * (Math.max(stats.length, 1) + 1) + 8;
+
+        ctx.save();
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+        ctx.fillRect(x, y, width, height);
+
+        ctx.font = '11px monospace';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'top';
+        ctx.fillStyle = '#4CAF50';
+        ctx.fillText('Pool          use idle  new reuse', x + 6, y + 4);
+
+        ctx.fillStyle = '#ffffff';
+        if (stats.length === 0) {
+            ctx.fillText('(no pools)', x + 6, y + 4 + lineHeight);
+        }
+        stats.forEach((s, i) => {
+            const name = s.key.length > 12 ? s.key.slice(0, 11) + '…' : s.key;
+            const row = `${name.padEnd(13)}${String(s.inUse).padStart(4)}${String(s.available).padStart(5)}` +
+                `${String(s.created).padStart(5)}${String(s.reused).padStart(6)}`;
+            ctx.fillText(row, x + 6, y + 4 + lineHeight * (i + 1));
+        });
+
+        ctx.restore();
+    }
+
+    /**
+     * Call a hook on every module of an object and its children
+     * @param {GameObject} obj - Root object
+     * @param {string} hook - Method name, e.g. 'onSpawnFromPool'
+     */
+    static callModuleHook(obj, hook) {
+        const visit = (target) => {
+            (target.modules || []).forEach(module => {
+                if (typeof module[hook] !== 'function') return;
+                try {
+                    module[hook]();
+                } catch (error) {
+                    console.error(`Error in ${hook} for module ${module.type || module.constructor.name}:`, error);
+                }
+            });
+            (target.children || []).forEach(visit);
+        };
+        visit(obj);
+    }
+}
+
+window.ObjectPool = ObjectPool;
+window.ObjectPoolManager = ObjectPoolManager;
+window.poolManager = new ObjectPoolManager(); // Engine-wide instance
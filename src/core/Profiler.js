@@ -0,0 +1,578 @@
+/**
+ * Profiler - Frame timing for the engine (window.profiler)
+ *
+ * Measures the time spent in each engine phase (beginLoop, loop, endLoop, draw, physics,
+ * multiplayer, ...) and in each module type, counts canvas draw calls and GameObjects,
+ * and keeps a short history for the frame-time graph. Nothing is measured unless the
+ * overlay is shown, a capture is running or something has called retain() (the
+ * Profiler window does), so a closed profiler costs one flag check per call.
+ *
+ * F3 toggles the overlay and F4 starts/stops a capture, which is downloaded as JSON.
+ * Two captures can be compared with Profiler.compare().
+ */
+class Profiler {
+    constructor() {
+        this.showOverlay = false;
+        this.toggleKey = 'F3';              // Empty string disables the shortcut
+        this.captureKey = 'F4';
+        this.historySize = 240;             // Frames kept for the graph
+        this.sampleInterval = 1000;         // ms between refreshes of the averaged stats
+        this.topModules = 8;                // Module types listed in the overlay
+
+        // Current frame
+        this.frame = null;
+        this._phaseStarts = {};
+
+        // Rolling history and averages
+        this.history = [];                  // { cpu, delta, phases }
+        this.stats = this._emptyStats();
+        this._window = this._emptyWindow();
+
+        this.capturing = false;
+        this.capture = null;
+        this.lastCapture = null;
+
+        this._retainCount = 0;
+        this._instrumented = new Map();     // ctx -> original methods
+
+        if (typeof window !== 'undefined' && window.addEventListener) {
+            window.addEventListener('keydown', (e) => this._onKeyDown(e));
+        }
+    }
+
+    /**
+     * Whether anything is being measured
+     * @returns {boolean} True while the overlay is shown, a capture runs or a viewer is retained
+     */
+    get enabled() {
+        return this.showOverlay || this.capturing || this._retainCount > 0;
+    }
+
+    /**
+     * Show or hide the overlay
+     * @param {boolean} [show] - New state (toggles when omitted)
+     */
+    toggleOverlay(show = !this.showOverlay) {
+        this.showOverlay = show;
+    }
+
+    /**
+     * Keep measuring while a viewer (e.g. the Profiler window) is open
+     * @returns {Function} Call to stop keeping the profiler on
+     */
+    retain() {
+        this._retainCount++;
+        let released = false;
+        return () => {
+            if (released) return;
+            released = true;
+            this._retainCount = Math.max(0, this._retainCount - 1);
+        };
+    }
+
+    // -------------------
+    // Frame measurement (called by the engine)
+    // -------------------
+
+    /**
+     * Start measuring a frame
+     * @param {Engine} engine - The running engine
+     * @param {number} deltaTime - Seconds since the last frame
+     */
+    beginFrame(engine, deltaTime) {
+        if (!this.enabled) {
+            if (this._instrumented.size > 0) this.uninstrumentAll();
+            this.frame = null;
+            return;
+        }
+
+        this.instrumentEngine(engine);
+        this.frame = {
+            start: performance.now(),
+            delta: deltaTime * 1000,
+            phases: {},
+            modules: {},
+            drawCalls: 0,
+            objects: 0
+        };
+        this._phaseStarts = {};
+    }
+
+    /**
+     * Finish the frame started with beginFrame()
+     * @param {Engine} engine - The running engine
+     */
+    endFrame(engine) {
+        const frame = this.frame;
+        if (!frame) return;
+        this.frame = null;
+
+        frame.cpu = performance.now() - frame.start;
+        frame.objects = engine ? engine.getAllObjects().length : 0;
+
+        this.history.push({ cpu: frame.cpu, delta: frame.delta, phases: frame.phases });
+        if (this.history.length > this.historySize) this.history.shift();
+
+        this._accumulate(frame);
+        if (this.capturing) this._recordCaptureFrame(frame);
+    }
+
+    /**
+     * Start timing a phase of the current frame
+     * @param {string} phase - Phase name, e.g. 'loop' or 'physics'
+     */
+    begin(phase) {
+        if (!this.frame) return;
+        this._phaseStarts[phase] = performance.now();
+    }
+
+    /**
+     * Stop timing a phase started with begin()
+     * @param {string} phase - Phase name
+     */
+    end(phase) {
+        if (!this.frame) return;
+        const start = this._phaseStarts[phase];
+        if (start === undefined) return;
+
+        this.frame.phases[phase] = (this.frame.phases[phase] || 0) + performance.now() - start;
+        delete this._phaseStarts[phase];
+    }
+
+    /**
+     * Whether module calls should be timed this frame
+     * @returns {boolean} True while a frame is being measured
+     */
+    isMeasuring() {
+        return this.frame !== null;
+    }
+
+    /**
+     * Add the time of one module call (GameObject calls this around module methods)
+     * @param {Module} module - The module
+     * @param {string} phase - Method that ran ('beginLoop', 'loop', 'draw', ...)
+     * @param {number} ms - Time taken in milliseconds
+     */
+    recordModule(module, phase, ms) {
+        if (!this.frame) return;
+
+        const type = module.type || module.constructor.name;
+        let entry = this.frame.modules[type];
+        if (!entry) {
+            entry = this.frame.modules[type] = { time: 0, calls: 0, phases: {} };
+        }
+        entry.time += ms;
+        entry.calls++;
+        entry.phases[phase] = (entry.phases[phase] || 0) + ms;
+    }
+
+    /**
+     * Count a draw call (instrumented canvas contexts call this)
+     */
+    countDrawCall() {
+        if (this.frame) this.frame.drawCalls++;
+    }
+
+    // -------------------
+    // Draw call counting
+    // -------------------
+
+    /**
+     * Count draw calls on the engine's canvases
+     * @param {Engine} engine - The running engine
+     */
+    instrumentEngine(engine) {
+        if (!engine) return;
+
+        const contexts = [
+            engine.useOffscreenRendering ? engine.offscreenCtx : engine.ctx,
+            engine.guiCanvas ? engine.guiCanvas.getContext('2d') : null,
+            engine.backgroundCanvas ? engine.backgroundCanvas.getContext('2d') : null
+        ];
+        contexts.forEach(ctx => this.instrumentContext(ctx));
+    }
+
+    /**
+     * Wrap a 2D context's drawing methods so each call is counted
+     * @param {CanvasRenderingContext2D} ctx - Context to instrument
+     */
+    instrumentContext(ctx) {
+        if (!ctx || this._instrumented.has(ctx) || typeof ctx.fillRect !== 'function') return;
+
+        const originals = {};
+        Profiler.DRAW_METHODS.forEach(name => {
+            if (typeof ctx[name] !== 'function') return;
+            const original = ctx[name];
+            originals[name] = { fn: original, own: Object.prototype.hasOwnProperty.call(ctx, name) };
+
+            const profiler = this;
+            ctx[name] = function (...args) {
+                profiler.countDrawCall();
+                return original.apply(this, args);
+            };
+        });
+        this._instrumented.set(ctx, originals);
+    }
+
+    /**
+     * Restore every instrumented context
+     */
+    uninstrumentAll() {
+        this._instrumented.forEach((originals, ctx) => {
+            Object.keys(originals).forEach(name => {
+                if (originals[name].own) {
+                    ctx[name] = originals[name].fn;
+                } else {
+                    delete ctx[name];
+                }
+            });
+        });
+        this._instrumented.clear();
+    }
+
+    // -------------------
+    // Captures
+    // -------------------
+
+    /**
+     * Start recording every frame
+     * @param {string} [label] - Name stored with the capture
+     */
+    startCapture(label = '') {
+        this.capture = {
+            version: Profiler.CAPTURE_VERSION,
+            label: label,
+            scene: window.engine && window.engine.scene ? window.engine.scene.name : null,
+            startedAt: new Date().toISOString(),
+            userAgent: typeof navigator !== 'undefined' ? navigator.userAgent : '',
+            frames: [],
+            modules: {}
+        };
+        this._captureStart = performance.now();
+        this.capturing = true;
+    }
+
+    /**
+     * Stop recording and summarize the capture
+     * @returns {Object|null} The capture, also kept in lastCapture
+     */
+    stopCapture() {
+        if (!this.capturing) return null;
+        this.capturing = false;
+
+        const capture = this.capture;
+        this.capture = null;
+
+        const cpu = capture.frames.map(f => f.cpu).sort((a, b) => a - b);
+        const deltas = capture.frames.map(f => f.delta);
+        const frameCount = capture.frames.length;
+        const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+        capture.duration = performance.now() - this._captureStart;
+        capture.summary = {
+            frames: frameCount,
+            avgCpu: frameCount ? sum(cpu) / frameCount : 0,
+            maxCpu: frameCount ? cpu[frameCount - 1] : 0,
+            p95Cpu: frameCount ? cpu[Math.min(frameCount - 1, Math.floor(frameCount * 0.95))] : 0,
+            avgFps: frameCount && sum(deltas) > 0 ? 1000 / (sum(deltas) / frameCount) : 0,
+            avgDrawCalls: frameCount ? sum(capture.frames.map(f => f.drawCalls)) / frameCount : 0,
+            phases: {}
+        };
+
+        capture.frames.forEach(f => {
+            Object.keys(f.phases).forEach(phase => {
+                capture.summary.phases[phase] = (capture.summary.phases[phase] || 0) + f.phases[phase] / frameCount;
+            });
+        });
+        Object.values(capture.modules).forEach(entry => {
+            entry.avgPerFrame = frameCount ? entry.time / frameCount : 0;
+        });
+
+        this.lastCapture = capture;
+        return capture;
+    }
+
+    /**
+     * Download a capture as a JSON file
+     * @param {Object} [capture] - Capture to save (defaults to the last one)
+     * @param {string} [filename] - File name for the download
+     */
+    exportCapture(capture = this.lastCapture, filename = 'profile.json') {
+        if (!capture) {
+            console.warn('No profiler capture to export');
+            return;
+        }
+
+        const blob = new Blob([JSON.stringify(capture, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Difference between two captures, per module type and phase
+     * @param {Object} before - Earlier capture
+     * @param {Object} after - Later capture
+     * @returns {Object} { summary: {avgCpu, p95Cpu, avgDrawCalls}, phases: {name: delta}, modules: [{type, before, after, delta}] }
+     *          (ms per frame, positive = slower)
+     */
+    static compare(before, after) {
+        const diff = (a, b) => (b || 0) - (a || 0);
+        const result = {
+            summary: {
+                avgCpu: diff(before.summary.avgCpu, after.summary.avgCpu),
+                p95Cpu: diff(before.summary.p95Cpu, after.summary.p95Cpu),
+                avgDrawCalls: diff(before.summary.avgDrawCalls, after.summary.avgDrawCalls)
+            },
+            phases: {},
+            modules: []
+        };
+
+        const phases = new Set([...Object.keys(before.summary.phases), ...Object.keys(after.summary.phases)]);
+        phases.forEach(phase => {
+            result.phases[phase] = diff(before.summary.phases[phase], after.summary.phases[phase]);
+        });
+
+        const types = new Set([...Object.keys(before.modules), ...Object.keys(after.modules)]);
+        types.forEach(type => {
+            const a = before.modules[type] ? before.modules[type].avgPerFrame : 0;
+            const b = after.modules[type] ? after.modules[type].avgPerFrame : 0;
+            result.modules.push({ type: type, before: a, after: b, delta: b - a });
+        });
+        result.modules.sort((x, y) => Math.abs(y.delta) - Math.abs(x.delta));
+
+        return result;
+    }
+
+    // -------------------
+    // Overlay
+    // -------------------
+
+    /**
+     * Draw the overlay in the top-left corner (screen space)
+     * @param {CanvasRenderingContext2D} ctx - The rendering context
+     */
+    drawOverlay(ctx) {
+        const stats = this.stats;
+        const lineHeight = 13;
+        const width = 300;
+        const graphHeight = 50;
+        const x = 10;
+        let y = 10;
+
+        const phaseNames = Object.keys(stats.phases);
+        const rows = 3 + phaseNames.length + 1 + Math.min(this.topModules, stats.modules.length);
+        const height = rows * lineHeight + graphHeight + 24;
+
+        // The overlay's own drawing shouldn't show up in the draw call count
+        const frame = this.frame;
+        this.frame = null;
+
+        ctx.save();
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.globalAlpha = 1;
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.75)';
+        ctx.fillRect(x, y, width, height);
+
+        ctx.font = '11px monospace';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'top';
+
+        // Header
+        y += 4;
+        ctx.fillStyle = '#4CAF50';
+        const fps = stats.delta > 0 ? Math.round(1000 / stats.delta) : 0;
+        ctx.fillText(`Frame ${stats.cpu.toFixed(2)} ms cpu  ${fps} fps`, x + 6, y);
+        if (this.capturing) {
+            ctx.fillStyle = '#ff5252';
+            const seconds = (performance.now() - this._captureStart) / 1000;
+            ctx.fillText(`● REC ${seconds.toFixed(1)}s`, x + width - 90, y);
+        }
+        y += lineHeight;
+
+        // Frame time graph (cpu time per frame, line at 60 fps)
+        y += 2;
+        this._drawGraph(ctx, x + 6, y, width - 12, graphHeight);
+        y += graphHeight + 4;
+
+        ctx.fillStyle = '#ffffff';
+        ctx.fillText(`Draw calls ${Math.round(stats.drawCalls)}   Objects ${stats.objects}`, x + 6, y);
+        y += lineHeight;
+
+        // Phases
+        const maxPhase = Math.max(1, ...phaseNames.map(name => stats.phases[name]));
+        phaseNames.forEach(name => {
+            const ms = stats.phases[name];
+            ctx.fillStyle = 'rgba(76, 175, 80, 0.5)';
+            ctx.fillRect(x + 110, y + 2, (width - 180) * ms / maxPhase, lineHeight - 4);
+            ctx.fillStyle = '#dddddd';
+            ctx.fillText(name, x + 6, y);
+            ctx.fillText(`${ms.toFixed(2)} ms`, x + width - 66, y);
+            y += lineHeight;
+        });
+
+        // Slowest module types
+        y += 2;
+        ctx.fillStyle = '#4CAF50';
+        ctx.fillText('Module               ms/frame  calls', x + 6, y);
+        y += lineHeight;
+        ctx.fillStyle = '#ffffff';
+        stats.modules.slice(0, this.topModules).forEach(entry => {
+            const name = entry.type.length > 20 ? entry.type.slice(0, 19) + '…' : entry.type;
+            ctx.fillText(`${name.padEnd(21)}${entry.time.toFixed(2).padStart(8)}${String(Math.round(entry.calls)).padStart(7)}`, x + 6, y);
+            y += lineHeight;
+        });
+
+        ctx.fillStyle = '#888888';
+        ctx.fillText(`${this.toggleKey} hide  ${this.captureKey} ${this.capturing ? 'stop + export' : 'capture'}`, x + 6, y + 2);
+
+        ctx.restore();
+        this.frame = frame;
+    }
+
+    /**
+     * @private
+     */
+    _drawGraph(ctx, x, y, width, height) {
+        const budget = 1000 / 60;
+        const max = Math.max(budget * 2, ...this.history.map(h => h.cpu));
+        const barWidth = width / this.historySize;
+
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.08)';
+        ctx.fillRect(x, y, width, height);
+
+        this.history.forEach((h, i) => {
+            const barHeight = Math.min(height, height * h.cpu / max);
+            ctx.fillStyle = h.cpu > budget ? '#ff5252' : '#4CAF50';
+            ctx.fillRect(x + i * barWidth, y + height - barHeight, Math.max(1, barWidth), barHeight);
+        });
+
+        const budgetY = y + height - height * budget / max;
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(x, budgetY);
+        ctx.lineTo(x + width, budgetY);
+        ctx.stroke();
+    }
+
+    // -------------------
+    // Internals
+    // -------------------
+
+    /**
+     * @private
+     */
+    _emptyStats() {
+        return { cpu: 0, delta: 0, drawCalls: 0, objects: 0, phases: {}, modules: [] };
+    }
+
+    /**
+     * @private
+     */
+    _emptyWindow() {
+        return { start: performance.now(), frames: 0, cpu: 0, delta: 0, drawCalls: 0, objects: 0, phases: {}, modules: {} };
+    }
+
+    /**
+     * Add a frame to the running averages and refresh stats once per sampleInterval
+     * @private
+     */
+    _accumulate(frame) {
+        const w = this._window;
+        w.frames++;
+        w.cpu += frame.cpu;
+        w.delta += frame.delta;
+        w.drawCalls += frame.drawCalls;
+        w.objects = frame.objects;
+        Object.keys(frame.phases).forEach(phase => {
+            w.phases[phase] = (w.phases[phase] || 0) + frame.phases[phase];
+        });
+        Object.keys(frame.modules).forEach(type => {
+            const entry = w.modules[type] || (w.modules[type] = { time: 0, calls: 0 });
+            entry.time += frame.modules[type].time;
+            entry.calls += frame.modules[type].calls;
+        });
+
+        if (performance.now() - w.start < this.sampleInterval) return;
+
+        const n = w.frames;
+        const phases = {};
+        Object.keys(w.phases).forEach(phase => { phases[phase] = w.phases[phase] / n; });
+
+        this.stats = {
+            cpu: w.cpu / n,
+            delta: w.delta / n,
+            drawCalls: w.drawCalls / n,
+            objects: w.objects,
+            phases: phases,
+            modules: Object.keys(w.modules)
+                .map(type => ({ type: type, time: w.modules[type].time / n, calls: w.modules[type].calls / n }))
+                .sort((a, b) => b.time - a.time)
+        };
+        this._window = this._emptyWindow();
+    }
+
+    /**
+     * @private
+     */
+    _recordCaptureFrame(frame) {
+        const capture = this.capture;
+        const round = (value) => Math.round(value * 1000) / 1000;
+
+        const phases = {};
+        Object.keys(frame.phases).forEach(phase => { phases[phase] = round(frame.phases[phase]); });
+
+        capture.frames.push({
+            time: round(frame.start - this._captureStart),
+            cpu: round(frame.cpu),
+            delta: round(frame.delta),
+            drawCalls: frame.drawCalls,
+            objects: frame.objects,
+            phases: phases
+        });
+
+        Object.keys(frame.modules).forEach(type => {
+            const source = frame.modules[type];
+            const entry = capture.modules[type] || (capture.modules[type] = { time: 0, calls: 0, maxFrame: 0, phases: {} });
+            entry.time += source.time;
+            entry.calls += source.calls;
+            entry.maxFrame = Math.max(entry.maxFrame, source.time);
+            Object.keys(source.phases).forEach(phase => {
+                entry.phases[phase] = (entry.phases[phase] || 0) + source.phases[phase];
+            });
+        });
+    }
+
+    /**
+     * @private
+     */
+    _onKeyDown(e) {
+        const target = e.target;
+        if (target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.isContentEditable)) return;
+
+        if (this.toggleKey && e.key === this.toggleKey) {
+            e.preventDefault();
+            this.toggleOverlay();
+        } else if (this.captureKey && e.key === this.captureKey) {
+            e.preventDefault();
+            if (this.capturing) {
+                this.exportCapture(this.stopCapture(), `profile-${Date.now()}.json`);
+            } else {
+                this.startCapture();
+            }
+        }
+    }
+}
+
+// Canvas methods counted as draw calls
+Profiler.DRAW_METHODS = ['fill', 'stroke', 'fillRect', 'strokeRect', 'fillText', 'strokeText', 'drawImage', 'putImageData'];
+Profiler.CAPTURE_VERSION = 1;
+
+window.Profiler = Profiler;
+window.profiler = new Profiler(); // Engine-wide instance
@@ -0,0 +1,572 @@
+/**
+ * ProjectSnapshots - Rolling, timestamped snapshots of the editor's scenes (project version history)
+ *
+ * A snapshot stores every open scene as JSON in ProjectStorage. They are taken every
+ * intervalMinutes while something changed, before a restore, and on demand; only the newest
+ * maxSnapshots of each project are kept. Each snapshot lists the scenes and module types that
+ * changed since the one before it.
+ *
+ * diff() compares two snapshots (or a snapshot and the current scenes) object by object:
+ * objects are matched by id, or by their path in the hierarchy when ids changed (ids are
+ * new every time a project is loaded), and modules by type and order.
+ * A whole scene or a single GameObject can be restored from an older snapshot; restoring
+ * an object is an undoable step in the scene editor.
+ *
+ * Usage:
+ * await window.projectSnapshots.capture({ label: "Before boss rework" });
+ * const list = await window.projectSnapshots.list();           // Newest first
+ * const changes = await window.projectSnapshots.diff(list[1].id, list[0].id);
+ * await window.projectSnapshots.restoreScene(list[1].id, "Level 1");
+ */
+class ProjectSnapshots {
+    constructor(storage = window.projectStorage) {
+        this.storage = storage;
+        this.maxSnapshots = 20;             // Per project, the oldest are deleted first
+        this.intervalMinutes = 5;           // 0 = only manual snapshots
+        this.timerId = null;
+
+        this.indexKey = 'snapshots:index';
+        this.settingsKey = 'snapshots:settings';
+        this._lastScenesJSON = null;        // Scenes of the newest snapshot, to skip unchanged ones
+        this.listeners = [];
+    }
+
+    get editor() {
+        return window.editor || null;
+    }
+
+    get projectName() {
+        const projectManager = this.editor && this.editor.projectManager || window.projectManager;
+        return projectManager && projectManager.currentProjectName || 'UntitledProject';
+    }
+
+    // -------------------
+    // Settings and timer
+    // -------------------
+
+    /**
+     * Load the settings and start taking snapshots every intervalMinutes
+     */
+    async start() {
+        try {
+            const settings = await this.storage.getItem(this.settingsKey);
+            if (settings) {
+                if (settings.maxSnapshots > 0) this.maxSnapshots = settings.maxSnapshots;
+                if (settings.intervalMinutes >= 0) this.intervalMinutes = settings.intervalMinutes;
+            }
+        } catch (error) {
+            console.warn('Could not load snapshot settings:', error);
+        }
+        this.restartTimer();
+    }
+
+    stop() {
+        if (this.timerId) {
+            clearInterval(this.timerId);
+            this.timerId = null;
+        }
+    }
+
+    restartTimer() {
+        this.stop();
+        if (this.intervalMinutes > 0) {
+            this.timerId = setInterval(() => this.autoCapture(), this.intervalMinutes * 60000);
+        }
+    }
+
+    /**
+     * Change how many snapshots are kept and how often they are taken
+     * @param {Object} settings - { maxSnapshots, intervalMinutes }
+     */
+    async configure(settings = {}) {
+        if (settings.maxSnapshots !== undefined) {
+            this.maxSnapshots = Math.max(1, Math.round(settings.maxSnapshots) || 1);
+        }
+        if (settings.intervalMinutes !== undefined) {
+            this.intervalMinutes = Math.max(0, Number(settings.intervalMinutes) || 0);
+        }
+        this.restartTimer();
+
+        await this.storage.setItem(this.settingsKey, {
+            maxSnapshots: this.maxSnapshots,
+            intervalMinutes: this.intervalMinutes
+        });
+        await this.prune();
+        this._emit();
+    }
+
+    async autoCapture() {
+        // The running game works on copies, the editor scenes are what gets saved
+        if (window.engine && window.engine.running) return;
+        try {
+            await this.capture({ label: 'Auto snapshot', auto: true });
+        } catch (error) {
+            console.error('Auto snapshot failed:', error);
+        }
+    }
+
+    // -------------------
+    // Snapshots
+    // -------------------
+
+    /**
+     * Snapshot the editor's scenes
+     * @param {Object} [options]
+     * @param {string} [options.label='Snapshot'] - Shown in the version history
+     * @param {boolean} [options.auto=false] - Taken by the timer
+     * @param {boolean} [options.force=false] - Also snapshot when nothing changed since the last one
+     * @returns {Promise<Object|null>} The snapshot's metadata, or null if it was skipped
+     */
+    async capture(options = {}) {
+        const editor = this.editor;
+        if (!editor || !editor.scenes) return null;
+
+        const scenes = editor.scenes.map(scene => scene.toJSON());
+        const scenesJSON = JSON.stringify(scenes);
+
+        const index = await this._readIndex();
+        const previousMeta = index.find(meta => meta.project === this.projectName);
+        if (this._lastScenesJSON === null && previousMeta) {
+            const previous = await this.load(previousMeta.id);
+            this._lastScenesJSON = previous ? JSON.stringify(previous.scenes) : null;
+        }
+        if (!options.force && scenesJSON === this._lastScenesJSON) return null;
+
+        const data = {
+            scenes: JSON.parse(scenesJSON),
+            activeSceneName: editor.activeScene ? editor.activeScene.name : null
+        };
+
+        let changes = { scenes: data.scenes.map(scene => scene.name), modules: [] };
+        if (previousMeta) {
+            const previous = await this.load(previousMeta.id);
+            if (previous) changes = ProjectSnapshots.summarize(ProjectSnapshots.diffData(previous, data));
+        }
+
+        const timestamp = Date.now();
+        const meta = {
+            id: `${timestamp.toString(36)}-${Math.random().toString(36).substring(2, 8)}`,
+            project: this.projectName,
+            label: options.label || 'Snapshot',
+            auto: !!options.auto,
+            timestamp,
+            scenes: data.scenes.map(scene => ({ name: scene.name, objectCount: ProjectSnapshots.flatten(scene).length })),
+            changes
+        };
+
+        await this.storage.setItem(`snapshots:${meta.id}`, data);
+        index.unshift(meta);
+        await this.storage.setItem(this.indexKey, index);
+        this._lastScenesJSON = scenesJSON;
+
+        await this.prune();
+        this._emit();
+        return meta;
+    }
+
+    /**
+     * Snapshots of the current project
+     * @returns {Promise<Object[]>} Metadata, newest first
+     */
+    async list() {
+        const index = await this._readIndex();
+        return index.filter(meta => meta.project === this.projectName);
+    }
+
+    /**
+     * @param {string} id - Snapshot id
+     * @returns {Promise<Object|null>} { scenes, activeSceneName }, or null if it doesn't exist
+     */
+    async load(id) {
+        return this.storage.getItem(`snapshots:${id}`);
+    }
+
+    async delete(id) {
+        const index = await this._readIndex();
+        await this.storage.setItem(this.indexKey, index.filter(meta => meta.id !== id));
+        await this.storage.removeItem(`snapshots:${id}`);
+        this._emit();
+    }
+
+    /**
+     * Delete the oldest snapshots of the current project beyond maxSnapshots
+     */
+    async prune() {
+        const index = await this._readIndex();
+        let kept = 0;
+        const removed = [];
+        const remaining = index.filter(meta => {
+            if (meta.project !== this.projectName) return true;
+            if (++kept <= this.maxSnapshots) return true;
+            removed.push(meta.id);
+            return false;
+        });
+        if (removed.length === 0) return;
+
+        await this.storage.setItem(this.indexKey, remaining);
+        for (const id of removed) {
+            await this.storage.removeItem(`snapshots:${id}`);
+        }
+    }
+
+    /**
+     * Listen for snapshots being added, deleted or pruned (used by the Version History window)
+     * @returns {Function} Call to stop listening
+     */
+    onChange(callback) {
+        this.listeners.push(callback);
+        return () => {
+            const index = this.listeners.indexOf(callback);
+            if (index > -1) this.listeners.splice(index, 1);
+        };
+    }
+
+    // -------------------
+    // Diffing
+    // -------------------
+
+    /**
+     * Compare two snapshots
+     * @param {string} fromId - Older snapshot
+     * @param {string|null} toId - Newer snapshot, or null for the current scenes
+     * @returns {Promise<Object>} See ProjectSnapshots.diffData
+     */
+    async diff(fromId, toId = null) {
+        const from = await this.load(fromId);
+        if (!from) throw new Error(`Snapshot ${fromId} not found`);
+
+        const to = toId ? await this.load(toId) : { scenes: this.editor.scenes.map(scene => scene.toJSON()) };
+        if (!to) throw new Error(`Snapshot ${toId} not found`);
+
+        return ProjectSnapshots.diffData(from, to);
+    }
+
+    /**
+     * Structured diff of two sets of scenes
+     * @param {Object} from - { scenes: sceneJSON[] }
+     * @param {Object} to - { scenes: sceneJSON[] }
+     * @returns {Object} { scenes: [{ name, status, properties, objects: { added, removed, changed } }] }
+     *     status is "added", "removed", "changed" or "unchanged". Objects are { key, id, name, path };
+     *     changed objects also have properties [{ path, before, after }] and
+     *     modules { added, removed, changed: [{ type, properties }] }.
+     */
+    static diffData(from, to) {
+        const fromScenes = new Map((from.scenes || []).map(scene => [scene.name, scene]));
+        const toScenes = new Map((to.scenes || []).map(scene => [scene.name, scene]));
+        const names = [...new Set([...toScenes.keys(), ...fromScenes.keys()])];
+
+        return {
+            scenes: names.map(name => {
+                const a = fromScenes.get(name);
+                const b = toScenes.get(name);
+                const emptyObjects = { added: [], removed: [], changed: [] };
+
+                if (!a) return { name, status: 'added', properties: [], objects: { ...emptyObjects, added: ProjectSnapshots.flatten(b).map(ProjectSnapshots.describe) } };
+                if (!b) return { name, status: 'removed', properties: [], objects: { ...emptyObjects, removed: ProjectSnapshots.flatten(a).map(ProjectSnapshots.describe) } };
+
+                const properties = [];
+                ProjectSnapshots.compareValues(a.settings, b.settings, 'settings', properties);
+                ProjectSnapshots.compareValues(a.layers, b.layers, 'layers', properties);
+
+                const objects = ProjectSnapshots.diffObjects(ProjectSnapshots.flatten(a), ProjectSnapshots.flatten(b));
+                const changed = properties.length > 0 || objects.added.length > 0 ||
+                    objects.removed.length > 0 || objects.changed.length > 0;
+                return { name, status: changed ? 'changed' : 'unchanged', properties, objects };
+            })
+        };
+    }
+
+    /**
+     * Scenes and module types touched by a diff (the "what changed" of a snapshot)
+     * @param {Object} diff - Result of diffData
+     * @returns {Object} { scenes: string[], modules: string[] }
+     */
+    static summarize(diff) {
+        const modules = new Set();
+        const addModules = entry => (entry.modules || []).forEach(type => modules.add(type));
+
+        diff.scenes.forEach(scene => {
+            scene.objects.added.forEach(addModules);
+            scene.objects.removed.forEach(addModules);
+            scene.objects.changed.forEach(entry => {
+                entry.modules.added.forEach(type => modules.add(type));
+                entry.modules.removed.forEach(type => modules.add(type));
+                entry.modules.changed.forEach(change => modules.add(change.type));
+            });
+        });
+
+        return {
+            scenes: diff.scenes.filter(scene => scene.status !== 'unchanged').map(scene => scene.name),
+            modules: [...modules].sort()
+        };
+    }
+
+    /**
+     * Every GameObject of a scene, depth first, with its path in the hierarchy
+     * @param {Object} sceneJSON - Scene.toJSON() data
+     * @returns {Array<{json: Object, path: string, parentPath: string|null}>}
+     */
+    static flatten(sceneJSON) {
+        const result = [];
+        const walk = (objects, parentPath) => {
+            const seen = {};
+            (objects || []).forEach(json => {
+                // Siblings with the same name get #2, #3... so every path is unique
+                seen[json.name] = (seen[json.name] || 0) + 1;
+                const name = seen[json.name] > 1 ? `${json.name}#${seen[json.name]}` : json.name;
+                const path = parentPath ? `${parentPath}/${name}` : name;
+                result.push({ json, path, parentPath });
+                walk(json.children, path);
+            });
+        };
+        walk(sceneJSON ? sceneJSON.gameObjects : [], null);
+        return result;
+    }
+
+    static describe(entry) {
+        return {
+            key: entry.path,
+            id: entry.json.id,
+            name: entry.json.name,
+            path: entry.path,
+            modules: (entry.json.modules || []).map(module => module.type)
+        };
+    }
+
+    static diffObjects(fromEntries, toEntries) {
+        const result = { added: [], removed: [], changed: [] };
+        const unmatched = new Set(fromEntries);
+        const fromById = new Map(fromEntries.filter(entry => entry.json.id).map(entry => [entry.json.id, entry]));
+        const fromByPath = new Map(fromEntries.map(entry => [entry.path, entry]));
+
+        toEntries.forEach(entry => {
+            let match = entry.json.id ? fromById.get(entry.json.id) : null;
+            if (!match || !unmatched.has(match)) {
+                match = fromByPath.get(entry.path);
+                if (match && !unmatched.has(match)) match = null;
+            }
+            if (!match) {
+                result.added.push(ProjectSnapshots.describe(entry));
+                return;
+            }
+            unmatched.delete(match);
+
+            const properties = [];
+            ProjectSnapshots.compareValues(
+                ProjectSnapshots.ownFields(match.json), ProjectSnapshots.ownFields(entry.json), '', properties);
+            if (match.parentPath !== entry.parentPath) {
+                properties.push({ path: 'parent', before: match.parentPath, after: entry.parentPath });
+            }
+            const modules = ProjectSnapshots.diffModules(match.json.modules || [], entry.json.modules || []);
+
+            if (properties.length > 0 || modules.added.length > 0 || modules.removed.length > 0 || modules.changed.length > 0) {
+                result.changed.push({ ...ProjectSnapshots.describe(entry), fromPath: match.path, properties, modules });
+            }
+        });
+
+        unmatched.forEach(entry => result.removed.push(ProjectSnapshots.describe(entry)));
+        return result;
+    }
+
+    /**
+     * Fields of a GameObject's JSON without ids, children and modules (compared separately)
+     */
+    static ownFields(json) {
+        const fields = { ...json };
+        ['id', 'children', 'modules', 'polygon'].forEach(key => delete fields[key]);
+        return fields;
+    }
+
+    static diffModules(fromModules, toModules) {
+        // Match by type, then by order among modules of that type
+        const keyed = modules => {
+            const counts = {};
+            return new Map(modules.map(module => {
+                counts[module.type] = (counts[module.type] || 0) + 1;
+                return [`${module.type}#${counts[module.type]}`, module];
+            }));
+        };
+        const a = keyed(fromModules);
+        const b = keyed(toModules);
+        const result = { added: [], removed: [], changed: [] };
+
+        b.forEach((module, key) => {
+            const before = a.get(key);
+            if (!before) {
+                result.added.push(module.type);
+                return;
+            }
+            const properties = [];
+            ProjectSnapshots.compareValues(before.data, module.data, '', properties);
+            if (properties.length > 0) result.changed.push({ type: module.type, properties });
+        });
+        a.forEach((module, key) => {
+            if (!b.has(key)) result.removed.push(module.type);
+        });
+        return result;
+    }
+
+    /**
+     * Collect the differing leaf values of two JSON values
+     * @param {*} a - Older value
+     * @param {*} b - Newer value
+     * @param {string} path - Path of the values ("" at the top)
+     * @param {Array} out - Receives { path, before, after }
+     * @param {number} [depth=0] - Nesting level, arrays and deep objects are compared whole
+     */
+    static compareValues(a, b, path, out, depth = 0) {
+        const isPlain = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+        if (isPlain(a) && isPlain(b) && depth < 4) {
+            new Set([...Object.keys(a), ...Object.keys(b)]).forEach(key => {
+                ProjectSnapshots.compareValues(a[key], b[key], path ? `${path}.${key}` : key, out, depth + 1);
+            });
+            return;
+        }
+        if (JSON.stringify(a) !== JSON.stringify(b)) {
+            out.push({ path, before: a, after: b });
+        }
+    }
+
+    // -------------------
+    // Restoring
+    // -------------------
+
+    /**
+     * Replace a scene (or add it back) with its state in a snapshot. The current scenes are
+     * snapshotted first, so the restore can itself be reverted from the history.
+     * @param {string} id - Snapshot id
+     * @param {string} sceneName - Scene to restore
+     * @returns {Promise<Scene>} The restored scene
+     */
+    async restoreScene(id, sceneName) {
+        const editor = this.editor;
+        const data = await this.load(id);
+        const json = data && data.scenes.find(scene => scene.name === sceneName);
+        if (!json) throw new Error(`Scene "${sceneName}" is not in snapshot ${id}`);
+
+        await this.capture({ label: `Before restoring ${sceneName}`, force: true });
+
+        const restored = Scene.fromJSON(json);
+        const index = editor.scenes.findIndex(scene => scene.name === sceneName);
+        const current = index !== -1 ? editor.scenes[index] : null;
+        if (current) {
+            restored.path = current.path;
+            restored.isLocal = current.isLocal;
+            editor.scenes[index] = restored;
+        } else {
+            editor.scenes.push(restored);
+        }
+        restored.markDirty();
+
+        if (!current || current === editor.activeScene || !editor.activeScene) {
+            editor.setActiveScene(restored);
+        }
+        if (editor.sceneManager && editor.sceneManager.updateSceneList) {
+            editor.sceneManager.updateSceneList();
+        }
+        editor.refreshCanvas();
+        return restored;
+    }
+
+    /**
+     * Put one GameObject (with its children and modules) back the way it was in a snapshot.
+     * It replaces the matching object of the scene, or is added back under its old parent.
+     * Opens the scene if it isn't the active one; the change can be undone.
+     * @param {string} id - Snapshot id
+     * @param {string} sceneName - Scene the object belongs to
+     * @param {string} objectKey - Object id or hierarchy path (the key/path of a diff entry)
+     * @returns {Promise<GameObject>} The restored object
+     */
+    async restoreGameObject(id, sceneName, objectKey) {
+        const editor = this.editor;
+        const data = await this.load(id);
+        const sceneJSON = data && data.scenes.find(scene => scene.name === sceneName);
+        if (!sceneJSON) throw new Error(`Scene "${sceneName}" is not in snapshot ${id}`);
+
+        const entries = ProjectSnapshots.flatten(sceneJSON);
+        const entry = entries.find(e => e.json.id === objectKey) || entries.find(e => e.path === objectKey);
+        if (!entry) throw new Error(`Object "${objectKey}" is not in scene "${sceneName}" of snapshot ${id}`);
+
+        let scene = editor.scenes.find(s => s.name === sceneName);
+        if (!scene) throw new Error(`Scene "${sceneName}" is not open, restore the scene instead`);
+        if (scene !== editor.activeScene) editor.setActiveScene(scene);
+
+        // Find the object in the scene now: same id, else same path
+        const currentEntries = ProjectSnapshots.flattenScene(scene);
+        const findCurrent = (objId, path) =>
+            (objId && currentEntries.find(e => e.object.id === objId)) || currentEntries.find(e => e.path === path) || null;
+        const existing = findCurrent(entry.json.id, entry.path);
+
+        const restored = GameObject.fromJSON(entry.json);
+        const history = editor.history;
+
+        if (existing) {
+            const obj = existing.object;
+            restored.id = obj.id;
+            const before = history.capturePlacement([obj]);
+            const list = obj.parent ? obj.parent.children : scene.gameObjects;
+            list.splice(list.indexOf(obj), 1, restored);
+            restored.parent = obj.parent;
+            obj.parent = null;
+            history.recordPlacement(`Restore ${restored.name}`, before, [restored]);
+        } else {
+            const parentEntry = entry.parentPath ? entries.find(e => e.path === entry.parentPath) : null;
+            const parent = parentEntry ? findCurrent(parentEntry.json.id, parentEntry.path) : null;
+            if (parent) {
+                parent.object.addChild(restored);
+            } else {
+                scene.gameObjects.push(restored);
+            }
+            history.recordPlacement(`Restore ${restored.name}`, new Map(), [restored]);
+        }
+
+        scene.markDirty();
+        if (editor.hierarchy) {
+            editor.hierarchy.refreshHierarchy();
+            editor.hierarchy.selectGameObject(restored);
+        }
+        editor.refreshCanvas();
+        return restored;
+    }
+
+    /**
+     * Live objects of a scene with the same paths flatten() gives their JSON
+     */
+    static flattenScene(scene) {
+        const result = [];
+        const walk = (objects, parentPath) => {
+            const seen = {};
+            objects.forEach(obj => {
+                seen[obj.name] = (seen[obj.name] || 0) + 1;
+                const name = seen[obj.name] > 1 ? `${obj.name}#${seen[obj.name]}` : obj.name;
+                const path = parentPath ? `${parentPath}/${name}` : name;
+                result.push({ object: obj, path });
+                walk(obj.children || [], path);
+            });
+        };
+        walk(scene.gameObjects.filter(obj => !obj.parent), null);
+        return result;
+    }
+
+    // -------------------
+    // Helpers
+    // -------------------
+
+    async _readIndex() {
+        const index = await this.storage.getItem(this.indexKey);
+        return Array.isArray(index) ? index : [];
+    }
+
+    _emit() {
+        for (const callback of this.listeners.slice()) {
+            try {
+                callback(this);
+            } catch (error) {
+                console.error('Error in snapshot listener:', error);
+            }
+        }
+    }
+}
+
+window.ProjectSnapshots = ProjectSnapshots;
+window.projectSnapshots = new ProjectSnapshots();
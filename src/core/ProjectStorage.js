@@ -0,0 +1,467 @@
+/**
+ * ProjectStorage - Editor storage for scenes, projects and assets, kept in IndexedDB
+ *
+ * localStorage only holds about 5MB of strings, so a project with a few embedded images
+ * used to stop saving without a word. ProjectStorage keeps the same keys in IndexedDB:
+ * - getItem/setItem/removeItem/keys store any structured-cloneable value (no JSON needed)
+ * - setBinary/getBinary store Blobs, ArrayBuffers and data URLs in chunks, so one large
+ *   asset never has to be held as a single string
+ * - estimate() reports how much of the browser's quota is used
+ *
+ * Data the editor kept in localStorage (local scenes, the auto-save) is moved over the first
+ * time the database opens; small UI preferences (panel sizes, collapsed sections) stay in
+ * localStorage. Without IndexedDB everything falls back to localStorage.
+ * Every method returns a promise and reports problems by rejecting; a write that doesn't
+ * fit rejects with a QuotaExceededError whose message includes the current usage.
+ *
+ * Usage:
+ * await window.projectStorage.setItem('scene_Level 1', sceneJSON);
+ * await window.projectStorage.setBinary('asset:/images/hero.png', file);
+ * const { usage, quota } = await window.projectStorage.estimate();
+ */
+class ProjectStorage {
+    constructor() {
+        this.dbName = 'DarkMatterProjects';
+        this.dbVersion = 1;
+        this.db = null;
+        this._dbPromise = null;
+        this.useIndexedDB = typeof indexedDB !== 'undefined';
+
+        this.chunkSize = 1024 * 1024;       // Bytes per stored chunk of a binary
+    }
+
+    // -------------------
+    // Values
+    // -------------------
+
+    /**
+     * Read a value
+     * @param {string} key - Storage key
+     * @returns {Promise<*>} The stored value, or null if there is none
+     */
+    async getItem(key) {
+        if (!this.useIndexedDB) {
+            const text = localStorage.getItem(key);
+            return text === null ? null : ProjectStorage.parse(text);
+        }
+        const record = await this._request(['items'], 'readonly', transaction =>
+            transaction.objectStore('items').get(key));
+        return record ? record.value : null;
+    }
+
+    /**
+     * Store a value (objects are stored as they are, not as JSON)
+     * @param {string} key - Storage key
+     * @param {*} value - Structured-cloneable value
+     * @returns {Promise<void>}
+     */
+    async setItem(key, value) {
+        try {
+            if (!this.useIndexedDB) {
+                localStorage.setItem(key, typeof value === 'string' ? value : JSON.stringify(value));
+                return;
+            }
+            await this._request(['items'], 'readwrite', transaction =>
+                transaction.objectStore('items').put({ key, value, modified: Date.now() }));
+        } catch (error) {
+            throw await this._describeError(error, key);
+        }
+    }
+
+    /**
+     * @param {string} key - Storage key
+     * @returns {Promise<void>}
+     */
+    async removeItem(key) {
+        if (!this.useIndexedDB) {
+            localStorage.removeItem(key);
+            return;
+        }
+        await this._request(['items'], 'readwrite', transaction =>
+            transaction.objectStore('items').delete(key));
+    }
+
+    /**
+     * @param {string} key - Storage key
+     * @returns {Promise<boolean>} True if a value is stored under key
+     */
+    async hasItem(key) {
+        if (!this.useIndexedDB) return localStorage.getItem(key) !== null;
+        const count = await this._request(['items'], 'readonly', transaction =>
+            transaction.objectStore('items').count(key));
+        return count > 0;
+    }
+
+    /**
+     * List the stored keys
+     * @param {string} [prefix=''] - Only keys starting with this
+     * @returns {Promise<string[]>} Matching keys
+     */
+    async keys(prefix = '') {
+        let keys;
+        if (!this.useIndexedDB) {
+            keys = [];
+            for (let i = 0; i < localStorage.length; i++) keys.push(localStorage.key(i));
+        } else {
+            keys = await this._request(['items'], 'readonly', transaction =>
+                transaction.objectStore('items').getAllKeys());
+        }
+        return keys.filter(key => typeof key === 'string' && key.startsWith(prefix));
+    }
+
+    // -------------------
+    // Binary data
+    // -------------------
+
+    /**
+     * Store binary data in chunks of chunkSize bytes, replacing what was stored under key
+     * @param {string} key - Storage key
+     * @param {Blob|ArrayBuffer|ArrayBufferView|string} data - Data, a string must be a data URL
+     * @param {string} [type] - MIME type (taken from a Blob or data URL when omitted)
+     * @returns {Promise<Object>} { key, type, size, chunkCount, modified }
+     */
+    async setBinary(key, data, type = '') {
+        const blob = await ProjectStorage.toBlob(data, type);
+        const info = {
+            key,
+            type: type || blob.type || 'application/octet-stream',
+            size: blob.size,
+            chunkCount: Math.ceil(blob.size / this.chunkSize),
+            modified: Date.now()
+        };
+
+        if (!this.useIndexedDB) {
+            await this.setItem(key, await ProjectStorage.toDataURL(blob));
+            return info;
+        }
+
+        // Read all chunks first, the transaction would close while awaiting
+        const chunks = [];
+        for (let i = 0; i < info.chunkCount; i++) {
+            chunks.push(await blob.slice(i * this.chunkSize, (i + 1) * this.chunkSize).arrayBuffer());
+        }
+
+        const previous = await this.getBinaryInfo(key);
+        try {
+            await this._request(['binaries', 'chunks'], 'readwrite', transaction => {
+                const chunkStore = transaction.objectStore('chunks');
+                const staleCount = previous ? previous.chunkCount : 0;
+                for (let i = chunks.length; i < staleCount; i++) {
+                    chunkStore.delete(ProjectStorage.chunkKey(key, i));
+                }
+                chunks.forEach((chunk, i) => {
+                    chunkStore.put({ id: ProjectStorage.chunkKey(key, i), data: chunk });
+                });
+                transaction.objectStore('binaries').put(info);
+            });
+        } catch (error) {
+            throw await this._describeError(error, key);
+        }
+        return info;
+    }
+
+    /**
+     * Read binary data stored with setBinary()
+     * @param {string} key - Storage key
+     * @returns {Promise<Blob|null>} The data, or null if there is none
+     */
+    async getBinary(key) {
+        if (!this.useIndexedDB) {
+            const dataURL = await this.getItem(key);
+            return dataURL ? ProjectStorage.toBlob(dataURL) : null;
+        }
+
+        const info = await this.getBinaryInfo(key);
+        if (!info) return null;
+
+        const requests = [];
+        await this._request(['chunks'], 'readonly', transaction => {
+            const store = transaction.objectStore('chunks');
+            for (let i = 0; i < info.chunkCount; i++) {
+                requests.push(store.get(ProjectStorage.chunkKey(key, i)));
+            }
+        });
+        if (requests.some(request => !request.result)) {
+            throw new Error(`Stored data of "${key}" is incomplete`);
+        }
+        return new Blob(requests.map(request => request.result.data), { type: info.type });
+    }
+
+    /**
+     * @param {string} key - Storage key
+     * @returns {Promise<string|null>} The data as a data URL, or null if there is none
+     */
+    async getBinaryAsDataURL(key) {
+        const blob = await this.getBinary(key);
+        return blob ? ProjectStorage.toDataURL(blob) : null;
+    }
+
+    /**
+     * @param {string} key - Storage key
+     * @returns {Promise<Object|null>} { key, type, size, chunkCount, modified }, or null
+     */
+    async getBinaryInfo(key) {
+        if (!this.useIndexedDB) return null;
+        const info = await this._request(['binaries'], 'readonly', transaction =>
+            transaction.objectStore('binaries').get(key));
+        return info || null;
+    }
+
+    /**
+     * List the keys of stored binary data
+     * @param {string} [prefix=''] - Only keys starting with this
+     * @returns {Promise<string[]>} Matching keys
+     */
+    async binaryKeys(prefix = '') {
+        if (!this.useIndexedDB) return this.keys(prefix);
+        const keys = await this._request(['binaries'], 'readonly', transaction =>
+            transaction.objectStore('binaries').getAllKeys());
+        return keys.filter(key => typeof key === 'string' && key.startsWith(prefix));
+    }
+
+    /**
+     * @param {string} key - Storage key
+     * @returns {Promise<void>}
+     */
+    async removeBinary(key) {
+        if (!this.useIndexedDB) {
+            localStorage.removeItem(key);
+            return;
+        }
+        const info = await this.getBinaryInfo(key);
+        if (!info) return;
+        await this._request(['binaries', 'chunks'], 'readwrite', transaction => {
+            const chunkStore = transaction.objectStore('chunks');
+            for (let i = 0; i < info.chunkCount; i++) {
+                chunkStore.delete(ProjectStorage.chunkKey(key, i));
+            }
+            transaction.objectStore('binaries').delete(key);
+        });
+    }
+
+    // -------------------
+    // Quota
+    // -------------------
+
+    /**
+     * How much storage the site uses and may use (all of the editor's databases count)
+     * @returns {Promise<Object>} { usage, quota, available, percent, persisted }, sizes in bytes;
+     *     usage and quota are null when the browser doesn't report them
+     */
+    async estimate() {
+        const result = { usage: null, quota: null, available: null, percent: null, persisted: false };
+        const storage = typeof navigator !== 'undefined' ? navigator.storage : null;
+        if (!storage || !storage.estimate) return result;
+
+        try {
+            const { usage, quota } = await storage.estimate();
+            result.usage = usage;
+            result.quota = quota;
+            result.available = Math.max(0, quota - usage);
+            result.percent = quota ? (usage / quota) * 100 : null;
+            if (storage.persisted) result.persisted = await storage.persisted();
+        } catch (error) {
+            console.warn('Could not estimate storage usage:', error);
+        }
+        return result;
+    }
+
+    /**
+     * Ask the browser not to evict the editor's data when space runs low
+     * @returns {Promise<boolean>} True if storage is persistent
+     */
+    async requestPersistence() {
+        const storage = typeof navigator !== 'undefined' ? navigator.storage : null;
+        if (!storage || !storage.persist) return false;
+        try {
+            return await storage.persist();
+        } catch (error) {
+            console.warn('Could not request persistent storage:', error);
+            return false;
+        }
+    }
+
+    /**
+     * One-line usage summary, e.g. "12.4 MB of 2.1 GB used"
+     * @returns {Promise<string>}
+     */
+    async describeUsage() {
+        const { usage, quota } = await this.estimate();
+        if (usage === null) return 'Storage usage unknown';
+        return `${ProjectStorage.formatBytes(usage)} of ${ProjectStorage.formatBytes(quota)} used`;
+    }
+
+    // -------------------
+    // Migration
+    // -------------------
+
+    /**
+     * Move values from localStorage into IndexedDB. A value is removed from localStorage
+     * only once it has been stored. JSON values are stored parsed.
+     * @param {string[]} [patterns] - Keys to move; a trailing * matches a prefix
+     * @returns {Promise<string[]>} Keys that were moved
+     */
+    async migrateFromLocalStorage(patterns = ProjectStorage.LEGACY_KEYS) {
+        if (!this.useIndexedDB || typeof localStorage === 'undefined') return [];
+        await this._openDB();
+        return this._migrate(patterns);
+    }
+
+    /** @private */
+    async _migrate(patterns) {
+        const matches = key => patterns.some(pattern => pattern.endsWith('*')
+            ? key.startsWith(pattern.slice(0, -1))
+            : key === pattern);
+
+        const keys = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (key !== null && matches(key)) keys.push(key);
+        }
+
+        const moved = [];
+        for (const key of keys) {
+            try {
+                const value = ProjectStorage.parse(localStorage.getItem(key));
+                await this._request(['items'], 'readwrite', transaction =>
+                    transaction.objectStore('items').put({ key, value, modified: Date.now() }));
+                localStorage.removeItem(key);
+                moved.push(key);
+            } catch (error) {
+                console.warn(`Could not move "${key}" from localStorage:`, error);
+            }
+        }
+
+        if (moved.length > 0) {
+            console.log(`Moved ${moved.length} editor entries from localStorage to IndexedDB`);
+        }
+        return moved;
+    }
+
+    // -------------------
+    // Database
+    // -------------------
+
+    /**
+     * Open the database, moving legacy localStorage data over the first time
+     * @private
+     */
+    _openDB() {
+        if (this._dbPromise) return this._dbPromise;
+
+        this._dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.dbVersion);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains('items')) db.createObjectStore('items', { keyPath: 'key' });
+                if (!db.objectStoreNames.contains('binaries')) db.createObjectStore('binaries', { keyPath: 'key' });
+                if (!db.objectStoreNames.contains('chunks')) db.createObjectStore('chunks', { keyPath: 'id' });
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+            };
+            request.onerror = () => {
+                this._dbPromise = null;
+                reject(request.error);
+            };
+        }).then(async db => {
+            if (typeof localStorage !== 'undefined') {
+                await this._migrate(ProjectStorage.LEGACY_KEYS);
+            }
+            return db;
+        });
+        return this._dbPromise;
+    }
+
+    /**
+     * Run requests in one transaction and wait for it to complete
+     * @private
+     */
+    async _request(storeNames, mode, makeRequests) {
+        const db = this.db || await this._openDB();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeNames, mode);
+            const result = makeRequests(transaction);
+            transaction.oncomplete = () => resolve(result && 'result' in result ? result.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Storage transaction aborted'));
+        });
+    }
+
+    /**
+     * Add the current usage to quota errors, so the message says why the save failed
+     * @private
+     */
+    async _describeError(error, key) {
+        if (!ProjectStorage.isQuotaError(error)) return error;
+
+        const usage = await this.describeUsage();
+        const quotaError = new Error(`Not enough storage to save "${key}" (${usage})`);
+        quotaError.name = 'QuotaExceededError';
+        quotaError.cause = error;
+        return quotaError;
+    }
+
+    // -------------------
+    // Helpers
+    // -------------------
+
+    static isQuotaError(error) {
+        return !!error && (error.name === 'QuotaExceededError' ||
+            error.name === 'NS_ERROR_DOM_QUOTA_REACHED' || error.code === 22);
+    }
+
+    static chunkKey(key, index) {
+        return `${key}#${index}`;
+    }
+
+    static parse(text) {
+        try {
+            return JSON.parse(text);
+        } catch {
+            return text;
+        }
+    }
+
+    static async toBlob(data, type = '') {
+        if (data instanceof Blob) return data;
+        if (typeof data === 'string') {
+            if (!data.startsWith('data:')) throw new Error('Binary strings must be data URLs');
+            return (await fetch(data)).blob();
+        }
+        if (data instanceof ArrayBuffer || ArrayBuffer.isView(data)) {
+            return new Blob([data], { type });
+        }
+        throw new Error('Unsupported binary data');
+    }
+
+    static toDataURL(blob) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+    }
+
+    static formatBytes(bytes) {
+        if (!(bytes > 0)) return '0 B';
+        const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+        const exponent = Math.min(units.length - 1, Math.floor(Math.log(bytes) / Math.log(1024)));
+        const value = bytes / Math.pow(1024, exponent);
+        return `${value >= 10 || exponent === 0 ? Math.round(value) : value.toFixed(1)} ${units[exponent]}`;
+    }
+}
+
+/**
+ * localStorage keys the editor used for scenes and projects, moved on first open
+ */
+ProjectStorage.LEGACY_KEYS = [
+    'sceneList', 'scene_*',
+    'dmjs-autosave-state', 'dmjs-module-sources', 'dmjs-module-definitions',
+    'lastProjectFileName'
+];
+
+window.ProjectStorage = ProjectStorage;
+window.projectStorage = new ProjectStorage();
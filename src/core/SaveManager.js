@@ -0,0 +1,663 @@
+/**
+ * SaveManager - Save slots for games, stored in IndexedDB
+ *
+ * A save records the scene, the viewport, the random streams and, for each scene
+ * object, its transform plus the module properties exposed with { saveable: true }.
+ * Objects created at runtime are stored in full and recreated on load. Scene objects
+ * are matched by a key from their place in the scene (see SaveManager.assignKeys),
+ * because object ids change every time a scene is loaded.
+ *
+ * Every method returns a promise and reports problems by rejecting, never with dialogs.
+ */
+class SaveManager {
+    constructor() {
+        this.namespace = 'default';         // Keeps saves of different games on the same site apart
+        this.gameVersion = 1;               // Bump when the game's save data changes, then registerMigration()
+        this.migrations = {};               // gameVersion -> function(save) upgrading to gameVersion + 1
+        this.thumbnailWidth = 160;          // 0 disables thumbnails
+        this.playtime = 0;                  // Seconds played, carried over from loaded saves
+
+        this.dbName = 'DarkMatterSaves';
+        this.dbVersion = 1;
+        this.db = null;
+        this._dbPromise = null;
+        this.useIndexedDB = typeof indexedDB !== 'undefined';
+
+        this.listeners = { save: [], load: [] };
+    }
+
+    // -------------------
+    // Slots
+    // -------------------
+
+    /**
+     * Save the running game to a slot
+     * @param {string} [slot='auto'] - Slot name
+     * @param {Object} [options]
+     * @param {string} [options.label] - Display name (defaults to the scene name)
+     * @param {Object} [options.data] - Extra game data stored with the save (save.custom)
+     * @param {boolean} [options.thumbnail=true] - Capture a screenshot
+     * @returns {Promise<Object>} The slot's metadata
+     */
+    async save(slot = 'auto', options = {}) {
+        const save = this.capture(options);
+        const meta = {
+            slot: slot,
+            label: options.label || save.scene || slot,
+            scene: save.scene,
+            timestamp: save.timestamp,
+            playtime: save.playtime,
+            gameVersion: save.gameVersion,
+            thumbnail: options.thumbnail === false ? null : this.captureThumbnail()
+        };
+
+        await this._writeRecord(slot, meta, save);
+        this._emit('save', meta, save);
+        return meta;
+    }
+
+    /**
+     * Load a slot into the running game, switching scene if needed
+     * @param {string} slot - Slot name
+     * @returns {Promise<Object>} The slot's metadata
+     */
+    async load(slot) {
+        const record = await this._readRecord(slot);
+        if (!record) {
+            throw new Error(`No save in slot "${slot}"`);
+        }
+
+        const save = this.migrate(record.data);
+        await this.apply(save);
+        this._emit('load', record.meta, save);
+        return record.meta;
+    }
+
+    /**
+     * List the saved slots, newest first
+     * @returns {Promise<Array<Object>>} Slot metadata
+     */
+    async listSlots() {
+        const slots = await this._readAllMeta();
+        return slots.sort((a, b) => b.timestamp - a.timestamp);
+    }
+
+    /**
+     * Get a slot's metadata without loading it
+     * @param {string} slot - Slot name
+     * @returns {Promise<Object|null>} Metadata, or null if the slot is empty
+     */
+    async getSlotInfo(slot) {
+        const slots = await this._readAllMeta();
+        return slots.find(meta => meta.slot === slot) || null;
+    }
+
+    /**
+     * Check whether a slot has a save
+     * @param {string} slot - Slot name
+     * @returns {Promise<boolean>} True if the slot is used
+     */
+    async hasSlot(slot) {
+        return (await this.getSlotInfo(slot)) !== null;
+    }
+
+    /**
+     * Delete a slot
+     * @param {string} slot - Slot name
+     */
+    async deleteSlot(slot) {
+        await this._deleteRecord(slot);
+    }
+
+    /**
+     * Download a slot as a .json file
+     * @param {string} slot - Slot name
+     */
+    async exportSlot(slot) {
+        const record = await this._readRecord(slot);
+        if (!record) {
+            throw new Error(`No save in slot "${slot}"`);
+        }
+
+        const blob = new Blob([JSON.stringify(record)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `${slot}.dmjs-save.json`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Store a save file (from exportSlot or the old Engine.saveGame) in a slot
+     * @param {File|string|Object} source - File, JSON text or parsed save
+     * @param {string} [slot] - Slot name (defaults to the file's slot)
+     * @returns {Promise<string>} The slot it was stored in
+     */
+    async importSave(source, slot = null) {
+        let parsed = source;
+        if (typeof File !== 'undefined' && source instanceof File) {
+            parsed = await source.text();
+        }
+        if (typeof parsed === 'string') {
+            parsed = JSON.parse(parsed);
+        }
+
+        // exportSlot files carry { meta, data }, older files are the bare save
+        const data = parsed.data && parsed.meta ? parsed.data : parsed;
+        const meta = parsed.data && parsed.meta ? { ...parsed.meta } : {
+            label: data.scene || 'Imported save',
+            scene: data.scene || null,
+            timestamp: data.timestamp || Date.now(),
+            playtime: data.playtime || 0,
+            gameVersion: data.gameVersion,
+            thumbnail: null
+        };
+
+        meta.slot = slot || meta.slot || `import-${Date.now()}`;
+        await this._writeRecord(meta.slot, meta, data);
+        return meta.slot;
+    }
+
+    /**
+     * Call a function after every save
+     * @param {Function} callback - Receives (meta, save)
+     * @returns {Function} Removes the listener
+     */
+    onSave(callback) {
+        return this._addListener('save', callback);
+    }
+
+    /**
+     * Call a function after every load
+     * @param {Function} callback - Receives (meta, save)
+     * @returns {Function} Removes the listener
+     */
+    onLoad(callback) {
+        return this._addListener('load', callback);
+    }
+
+    // -------------------
+    // Capture & Apply
+    // -------------------
+
+    /**
+     * Build a save of the running game without storing it
+     * @param {Object} [options] - See save()
+     * @returns {Object} Save data
+     */
+    capture(options = {}) {
+        const engine = window.engine;
+        if (!engine || !engine.scene) {
+            throw new Error('No running game to save');
+        }
+
+        const save = {
+            format: SaveManager.FORMAT_VERSION,
+            gameVersion: this.gameVersion,
+            scene: engine.scene.name,
+            timestamp: Date.now(),
+            playtime: this.playtime,
+            viewport: {
+                x: engine.viewport.x,
+                y: engine.viewport.y,
+                zoom: engine.viewport.zoom,
+                angle: engine.viewport.angle
+            },
+            random: window.randomService ? window.randomService.getState() : null,
+            objects: {},
+            spawned: [],
+            custom: options.data !== undefined ? options.data : null
+        };
+
+        const visit = (obj, parent) => {
+            if (obj._saveKey === undefined) {
+                // Created at runtime: store everything, children included
+                save.spawned.push({ parent: parent ? parent._saveKey || null : null, data: obj.toJSON() });
+                return;
+            }
+
+            const state = {
+                position: [obj.position.x, obj.position.y],
+                angle: obj.angle,
+                scale: [obj.scale.x, obj.scale.y],
+                active: obj.active,
+                visible: obj.visible,
+                modules: {}
+            };
+            this._moduleKeys(obj).forEach((key, i) => {
+                const module = obj.modules[i];
+                const data = typeof module.getSaveData === 'function' ? module.getSaveData() : null;
+                if (data && Object.keys(data).length > 0) {
+                    state.modules[key] = data;
+                }
+            });
+            save.objects[obj._saveKey] = state;
+
+            obj.children.forEach(child => visit(child, obj));
+        };
+        engine.gameObjects.forEach(obj => visit(obj, null));
+
+        return save;
+    }
+
+    /**
+     * Apply a save to the running game
+     * @param {Object} save - Save data (already migrated)
+     */
+    async apply(save) {
+        const engine = window.engine;
+        if (!engine) {
+            throw new Error('No engine to load the save into');
+        }
+
+        // Switch scene first; starting it runs every module's start() before we restore state
+        if (save.scene && (!engine.scene || engine.scene.name !== save.scene)) {
+            const scene = this._findScene(save.scene);
+            if (!scene) {
+                throw new Error(`Scene "${save.scene}" not found`);
+            }
+            engine.loadScene(scene);
+            await engine.start();
+        }
+
+        if (save.replaceObjects) {
+            this._replaceObjects(save.replaceObjects);
+        } else {
+            this._applyObjects(save);
+        }
+
+        if (save.viewport) {
+            Object.assign(engine.viewport, save.viewport);
+            engine.viewport.dirty = true;
+        }
+        if (save.random && window.randomService) {
+            window.randomService.setState(save.random);
+        }
+        this.playtime = save.playtime || 0;
+    }
+
+    /**
+     * Restore scene objects by key, remove the ones gone at save time and recreate runtime objects
+     * @private
+     */
+    _applyObjects(save) {
+        const engine = window.engine;
+
+        // Runtime objects are replaced by the saved ones
+        const live = new Map();
+        const spawned = [];
+        const collect = (obj) => {
+            if (obj._saveKey === undefined) {
+                spawned.push(obj);
+                return;
+            }
+            live.set(obj._saveKey, obj);
+            obj.children.forEach(collect);
+        };
+        engine.gameObjects.forEach(collect);
+        spawned.forEach(obj => this._removeObject(obj));
+
+        // Scene objects destroyed since the save come back from the scene
+        for (const key of Object.keys(save.objects)) {
+            if (!live.has(key)) {
+                this._reviveObject(key, live);
+            }
+        }
+
+        for (const [key, obj] of live) {
+            const state = save.objects[key];
+            if (!state) {
+                this._removeObject(obj); // Destroyed before the save
+                continue;
+            }
+
+            obj.position.x = state.position[0];
+            obj.position.y = state.position[1];
+            obj.angle = state.angle;
+            obj.scale.x = state.scale[0];
+            obj.scale.y = state.scale[1];
+            obj.active = state.active;
+            obj.visible = state.visible;
+
+            this._moduleKeys(obj).forEach((moduleKey, i) => {
+                const module = obj.modules[i];
+                if (state.modules[moduleKey] && typeof module.loadSaveData === 'function') {
+                    module.loadSaveData(state.modules[moduleKey]);
+                }
+            });
+        }
+
+        for (const entry of save.spawned || []) {
+            const obj = GameObject.fromJSON(entry.data);
+            const parent = entry.parent ? live.get(entry.parent) : null;
+            obj.start();
+            engine.addGameObject(obj, parent || null, true);
+        }
+    }
+
+    /**
+     * Rebuild every object from full data (saves made by the old Engine.saveGame)
+     * @private
+     */
+    _replaceObjects(objects) {
+        const engine = window.engine;
+        engine.gameObjects.slice().forEach(obj => this._removeObject(obj));
+        for (const data of objects) {
+            const obj = GameObject.fromJSON(data);
+            obj.start();
+            engine.addGameObject(obj, null, true);
+        }
+    }
+
+    /**
+     * Put a scene object back after it was destroyed
+     * @private
+     */
+    _reviveObject(key, live) {
+        const engine = window.engine;
+        const source = this._findByKey(engine.originalGameObjects || [], key);
+        if (!source) {
+            console.warn(`Saved object "${key}" is not in the scene anymore`);
+            return null;
+        }
+
+        const parentKey = key.substring(0, key.lastIndexOf('/'));
+        const parent = parentKey ? live.get(parentKey) : null;
+        if (parentKey && !parent) return null;
+
+        // The editor plays a copy of the scene; exported games play the scene objects themselves
+        const obj = window.editor ? source.clone(false) : source;
+        obj._saveKey = key;
+        SaveManager.assignKeys(obj.children, key);
+
+        const register = (o) => {
+            live.set(o._saveKey, o);
+            o.children.forEach(register);
+        };
+        register(obj);
+
+        obj.start();
+        if (parent) {
+            parent.addChild(obj);
+        } else {
+            engine.gameObjects.push(obj);
+        }
+        return obj;
+    }
+
+    /**
+     * Remove an object from the running game. removeDynamicObject runs its modules'
+     * onDestroy, or returns it to its pool.
+     * @private
+     */
+    _removeObject(obj) {
+        window.engine.removeDynamicObject(obj);
+    }
+
+    /**
+     * Find an object by save key in a hierarchy
+     * @private
+     */
+    _findByKey(objects, key) {
+        for (const obj of objects) {
+            if (obj._saveKey === key) return obj;
+            if (key.startsWith(obj._saveKey + '/')) {
+                return this._findByKey(obj.children, key);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Keys for an object's modules: the type name, with "#n" for repeated types
+     * @private
+     */
+    _moduleKeys(obj) {
+        const counts = {};
+        return obj.modules.map(module => {
+            const type = module.constructor.name;
+            counts[type] = (counts[type] || 0) + 1;
+            return counts[type] > 1 ? `${type}#${counts[type]}` : type;
+        });
+    }
+
+    /**
+     * Find a scene by name in the editor or the exported game
+     * @private
+     */
+    _findScene(name) {
+        const scenes = window.engine.scenes || (window.editor ? window.editor.scenes : null) || [];
+        return scenes.find(scene => scene.name === name) || null;
+    }
+
+    /**
+     * Give every object in a scene a key from its position in the hierarchy. Called by
+     * Engine.loadScene on the scene and on the objects that run, so both get the same keys.
+     * @param {Array<GameObject>} objects - Top-level scene objects
+     * @param {string} [prefix=''] - Parent key
+     */
+    static assignKeys(objects, prefix = '') {
+        objects.forEach((obj, index) => {
+            obj._saveKey = `${prefix}${prefix ? '/' : ''}${index}:${obj.name}`;
+            if (obj.children && obj.children.length > 0) {
+                SaveManager.assignKeys(obj.children, obj._saveKey);
+            }
+        });
+    }
+
+    // -------------------
+    // Versions & Migrations
+    // -------------------
+
+    /**
+     * Register a function that upgrades saves made by an older game version
+     * @param {number} fromVersion - gameVersion the function upgrades from (to fromVersion + 1)
+     * @param {Function} migrate - Receives the save, returns the upgraded save (or changes it in place)
+     */
+    registerMigration(fromVersion, migrate) {
+        this.migrations[fromVersion] = migrate;
+    }
+
+    /**
+     * Upgrade a save to the current format and game version
+     * @param {Object} save - Save data
+     * @returns {Object} Upgraded save
+     */
+    migrate(save) {
+        let format = save.format || 0;
+        while (format < SaveManager.FORMAT_VERSION) {
+            save = SaveManager.formatMigrations[format](save);
+            format = save.format;
+        }
+
+        if (save.gameVersion > this.gameVersion) {
+            throw new Error(`Save is from a newer version of the game (${save.gameVersion})`);
+        }
+        while (save.gameVersion < this.gameVersion) {
+            const migrate = this.migrations[save.gameVersion];
+            if (migrate) {
+                save = migrate(save) || save;
+            }
+            save.gameVersion++;
+        }
+        return save;
+    }
+
+    // -------------------
+    // Thumbnails
+    // -------------------
+
+    /**
+     * Take a small screenshot of the game canvas
+     * @returns {string|null} JPEG data URL, or null if unavailable
+     */
+    captureThumbnail() {
+        const canvas = window.engine ? window.engine.canvas : null;
+        if (!this.thumbnailWidth || !canvas || !canvas.width) return null;
+
+        try {
+            const thumbnail = document.createElement('canvas');
+            thumbnail.width = this.thumbnailWidth;
+            thumbnail.height = Math.round(this.thumbnailWidth * canvas.height / canvas.width);
+            thumbnail.getContext('2d').drawImage(canvas, 0, 0, thumbnail.width, thumbnail.height);
+            return thumbnail.toDataURL('image/jpeg', 0.7);
+        } catch (error) {
+            // Canvases with cross-origin images can't be read back
+            console.warn('Could not capture save thumbnail:', error);
+            return null;
+        }
+    }
+
+    // -------------------
+    // Storage
+    // -------------------
+
+    /**
+     * Open the save database
+     * @private
+     */
+    _openDB() {
+        if (this._dbPromise) return this._dbPromise;
+
+        this._dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.dbVersion);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains('slots')) db.createObjectStore('slots', { keyPath: 'key' });
+                if (!db.objectStoreNames.contains('data')) db.createObjectStore('data', { keyPath: 'key' });
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+            };
+            request.onerror = () => {
+                this._dbPromise = null;
+                reject(request.error);
+            };
+        });
+        return this._dbPromise;
+    }
+
+    /**
+     * Run one IndexedDB request and wait for its transaction
+     * @private
+     */
+    async _request(storeNames, mode, makeRequests) {
+        const db = await this._openDB();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeNames, mode);
+            const result = makeRequests(transaction);
+            transaction.oncomplete = () => resolve(result && 'result' in result ? result.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Save transaction aborted'));
+        });
+    }
+
+    _storageKey(slot) {
+        return `${this.namespace}/${slot}`;
+    }
+
+    async _writeRecord(slot, meta, data) {
+        const key = this._storageKey(slot);
+        if (!this.useIndexedDB) {
+            localStorage.setItem(`dmjs_save_${key}`, JSON.stringify({ meta, data }));
+            return;
+        }
+        await this._request(['slots', 'data'], 'readwrite', transaction => {
+            transaction.objectStore('slots').put({ key, namespace: this.namespace, meta });
+            transaction.objectStore('data').put({ key, data });
+        });
+    }
+
+    async _readRecord(slot) {
+        const key = this._storageKey(slot);
+        if (!this.useIndexedDB) {
+            const text = localStorage.getItem(`dmjs_save_${key}`);
+            return text ? JSON.parse(text) : null;
+        }
+
+        let slotRequest = null;
+        let dataRequest = null;
+        await this._request(['slots', 'data'], 'readonly', transaction => {
+            slotRequest = transaction.objectStore('slots').get(key);
+            dataRequest = transaction.objectStore('data').get(key);
+        });
+        if (!slotRequest.result || !dataRequest.result) return null;
+        return { meta: slotRequest.result.meta, data: dataRequest.result.data };
+    }
+
+    async _readAllMeta() {
+        if (!this.useIndexedDB) {
+            const prefix = `dmjs_save_${this.namespace}/`;
+            const slots = [];
+            for (let i = 0; i < localStorage.length; i++) {
+                const key = localStorage.key(i);
+                if (key.startsWith(prefix)) {
+                    slots.push(JSON.parse(localStorage.getItem(key)).meta);
+                }
+            }
+            return slots;
+        }
+
+        const records = await this._request(['slots'], 'readonly', transaction =>
+            transaction.objectStore('slots').getAll());
+        return records.filter(record => record.namespace === this.namespace).map(record => record.meta);
+    }
+
+    async _deleteRecord(slot) {
+        const key = this._storageKey(slot);
+        if (!this.useIndexedDB) {
+            localStorage.removeItem(`dmjs_save_${key}`);
+            return;
+        }
+        await this._request(['slots', 'data'], 'readwrite', transaction => {
+            transaction.objectStore('slots').delete(key);
+            transaction.objectStore('data').delete(key);
+        });
+    }
+
+    _addListener(type, callback) {
+        this.listeners[type].push(callback);
+        return () => {
+            const index = this.listeners[type].indexOf(callback);
+            if (index > -1) this.listeners[type].splice(index, 1);
+        };
+    }
+
+    _emit(type, meta, save) {
+        for (const callback of this.listeners[type].slice()) {
+            try {
+                callback(meta, save);
+            } catch (error) {
+                console.error(`Error in save ${type} listener:`, error);
+            }
+        }
+    }
+}
+
+// Save data layout version, upgraded by SaveManager.formatMigrations
+SaveManager.FORMAT_VERSION = 1;
+
+// Built-in upgrades between save layouts: format -> function(save) returning format + 1
+SaveManager.formatMigrations = {
+    // 0: Engine.saveGame before slots - every object in full
+    0: (save) => ({
+        format: 1,
+        gameVersion: 1,
+        scene: save.scene || null,
+        timestamp: save.timestamp || Date.now(),
+        playtime: 0,
+        viewport: save.viewport || null,
+        random: null,
+        objects: {},
+        spawned: [],
+        replaceObjects: save.gameObjects || [],
+        custom: null
+    })
+};
+
+window.SaveManager = SaveManager;
+window.saveManager = new SaveManager();
@@ -11,9 +11,24 @@ class Scene {
             backgroundColor: "#1e1e1e",
             gridEnabled: true,
             gridSize: 32,
-            snapToGrid: false
+            snapToGrid: false,
+
+            // Physics (applied to window.physicsManager by Engine.loadScene)
+            physicsEnabled: true,
+            gravity: { x: 0, y: 1 },
+            physicsDebugDraw: false,
+            positionIterations: 6,      // Matter.js solver iterations
+            velocityIterations: 4,
+            constraintIterations: 2,
+            physicsTimeStep: 1000 / 60, // Milliseconds per physics step
+            enableSleeping: true,
+            collisionCategories: ['Default'] // Named Matter.js categories, index = category bit
         };
         this.dirty = false; // Track unsaved changes
+
+        // Rendering/sorting layers, back to front (see Layer)
+        this.layers = [];
+        this.setLayers([]);
     }
 
     markDirty() {
@@ -21,6 +36,7 @@ class Scene {
     }
 
     toJSON() {
+        const gravity = this.settings.gravity || { x: 0, y: 1 };
         return {
             name: this.name,
             settings: {
@@ -32,17 +48,26 @@ class Scene {
                 gridEnabled: this.settings.gridEnabled,
                 gridSize: this.settings.gridSize,
                 snapToGrid: this.settings.snapToGrid,
-                gravity: { x: 0, y: 1 },       // Physics gravity direction
-                physicsEnabled: true,          // Whether physics is enabled
-                physicsDebugDraw: false   
+                physicsEnabled: this.settings.physicsEnabled !== false,
+                gravity: { x: gravity.x, y: gravity.y },
+                physicsDebugDraw: !!this.settings.physicsDebugDraw,
+                positionIterations: this.settings.positionIterations,
+                velocityIterations: this.settings.velocityIterations,
+                constraintIterations: this.settings.constraintIterations,
+                physicsTimeStep: this.settings.physicsTimeStep,
+                enableSleeping: this.settings.enableSleeping !== false,
+                collisionCategories: this.getCollisionCategories().slice()
             },
+            layers: this.layers.map(layer => layer.toJSON()),
             gameObjects: this.gameObjects.filter(obj => !obj.parent).map(obj => obj.toJSON())
         };
     }
 
     static fromJSON(json) {
         const scene = new Scene(json.name);
-        scene.settings = json.settings || {};
+        // Scenes saved before a setting existed get its default
+        scene.settings = { ...scene.settings, ...(json.settings || {}) };
+        scene.setLayers((json.layers || []).map(layerJson => Layer.fromJSON(layerJson)));
         
         // Restore other scene properties
         scene.activeCamera = json.activeCamera;
@@ -78,6 +103,181 @@ class Scene {
         return false;
     }
 
+    /**
+     * Replace the layer list. A scene always keeps at least the default layer.
+     * @param {Layer[]} layers - Layers, back to front
+     */
+    setLayers(layers) {
+        this.layers = layers.slice();
+        if (this.layers.length === 0) {
+            this.layers.push(new Layer('Default', Scene.DEFAULT_LAYER_ID));
+        }
+        this.layers.forEach(layer => layer.scene = this);
+    }
+
+    /**
+     * Add a layer in front of the others, or at index
+     * @param {string|Layer} layer - Name of a new layer or an existing Layer
+     * @param {number} [index] - Position in the draw order (0 = back)
+     * @returns {Layer} The added layer
+     */
+    addLayer(layer = 'Layer', index = this.layers.length) {
+        if (!(layer instanceof Layer)) {
+            layer = new Layer(layer);
+        }
+        layer.scene = this;
+        this.layers.splice(Math.max(0, Math.min(index, this.layers.length)), 0, layer);
+        return layer;
+    }
+
+    /**
+     * Remove a layer. Its objects fall back to their parent's layer or the default layer.
+     * @param {Layer|string} layer - The layer or its id
+     * @returns {boolean} False if the layer wasn't found or is the last one
+     */
+    removeLayer(layer) {
+        layer = typeof layer === 'string' ? this.getLayer(layer) : layer;
+        const index = this.layers.indexOf(layer);
+        if (index === -1 || this.layers.length <= 1) return false;
+
+        this.forEachObject(obj => {
+            if (obj.layerId === layer.id) obj.layerId = null;
+        });
+        this.layers.splice(index, 1);
+        this.layers.forEach(other => {
+            if (other.collisionMask) other.collisionMask = other.collisionMask.filter(id => id !== layer.id);
+        });
+        return true;
+    }
+
+    /**
+     * Move a layer to another position in the draw order
+     * @param {Layer} layer - The layer to move
+     * @param {number} index - New position (0 = back)
+     */
+    moveLayer(layer, index) {
+        const from = this.layers.indexOf(layer);
+        if (from === -1) return;
+        this.layers.splice(from, 1);
+        this.layers.splice(Math.max(0, Math.min(index, this.layers.length)), 0, layer);
+    }
+
+    /**
+     * Find a layer by id or name
+     * @param {string} idOrName - Layer id or name
+     * @returns {Layer|null} The layer or null
+     */
+    getLayer(idOrName) {
+        return this.layers.find(layer => layer.id === idOrName) ||
+            this.layers.find(layer => layer.name === idOrName) || null;
+    }
+
+    /**
+     * The layer objects without a layerId are drawn on: the "Default" layer, or the first one if it was removed
+     * @returns {Layer} The layer
+     */
+    getDefaultLayer() {
+        return this.layers.find(layer => layer.id === Scene.DEFAULT_LAYER_ID) || this.layers[0];
+    }
+
+    /**
+     * The layer a GameObject is drawn on: its own layerId, else its nearest parent's, else the default layer
+     * @param {GameObject} gameObject - The object
+     * @returns {Layer} The layer
+     */
+    getLayerOf(gameObject) {
+        for (let obj = gameObject; obj; obj = obj.parent) {
+            if (obj.layerId) {
+                const layer = this.layers.find(candidate => candidate.id === obj.layerId);
+                if (layer) return layer;
+            }
+        }
+        return this.getDefaultLayer();
+    }
+
+    /**
+     * Whether objects on two layers may collide - both layers' collision masks must allow it
+     * @param {Layer} a - First layer
+     * @param {Layer} b - Second layer
+     * @returns {boolean} True if they collide
+     */
+    layersCollide(a, b) {
+        if (!a || !b) return true;
+        return a.collidesWithLayer(b) && b.collidesWithLayer(a);
+    }
+
+    /**
+     * Matter.js collision filter for a body on a GameObject.
+     *
+     * A body that picks a named collision category (settings.collisionCategories) gets that
+     * category's bit and a mask of the categories it collides with; otherwise it keeps its own
+     * category and mask. With more than one layer the filter also gets a layer bit (layer index)
+     * and a layerMask of the layers it collides with, which PhysicsManager tests next to Matter's
+     * category/mask check, so two bodies only collide if both their categories and layers allow it.
+     * @param {GameObject} gameObject - Owner of the body
+     * @param {Object} filter - The body's own { category, mask, group }
+     * @param {string} [category] - Named collision category of the body
+     * @param {string[]} [collidesWith] - Categories it collides with, empty for all
+     * @returns {Object} The filter to use, with layer and layerMask when layers apply
+     */
+    getCollisionFilter(gameObject, filter, category = null, collidesWith = null) {
+        const result = { ...filter };
+
+        const categoryBit = category ? this.getCollisionCategoryBit(category) : 0;
+        if (categoryBit) {
+            result.category = categoryBit;
+            result.mask = 0xFFFFFFFF;
+            if (Array.isArray(collidesWith) && collidesWith.length > 0) {
+                result.mask = collidesWith.reduce((bits, name) => bits | this.getCollisionCategoryBit(name), 0) >>> 0;
+            }
+        }
+
+        if (this.layers.length <= 1 || this.layers.length > 32) return result;
+
+        const layer = this.getLayerOf(gameObject);
+        let mask = 0;
+        this.layers.forEach((other, index) => {
+            if (this.layersCollide(layer, other)) mask |= 1 << index;
+        });
+
+        result.layer = (1 << this.layers.indexOf(layer)) >>> 0;
+        result.layerMask = mask >>> 0;
+        return result;
+    }
+
+    /**
+     * Names of the scene's physics collision categories. The index is the Matter.js category bit.
+     * @returns {string[]} At least one name
+     */
+    getCollisionCategories() {
+        const names = this.settings.collisionCategories;
+        return Array.isArray(names) && names.length > 0 ? names.slice(0, 32) : ['Default'];
+    }
+
+    /**
+     * Matter.js category bit of a named collision category
+     * @param {string} name - Category name
+     * @returns {number} The bit, or 0 if the scene has no such category
+     */
+    getCollisionCategoryBit(name) {
+        const index = this.getCollisionCategories().indexOf(name);
+        return index === -1 ? 0 : (1 << index) >>> 0;
+    }
+
+    /**
+     * Call fn for every GameObject in the scene, children included
+     * @param {Function} fn - Called with each object
+     */
+    forEachObject(fn) {
+        const visit = (objects) => {
+            objects.forEach(obj => {
+                fn(obj);
+                if (obj.children && obj.children.length > 0) visit(obj.children);
+            });
+        };
+        visit(this.gameObjects);
+    }
+
     // Add engine integration methods
     attachToEngine(engine) {
         engine.scene = this;
@@ -168,4 +368,7 @@ class Scene {
     findGameObject(name) {
         return this.findGameObjectByName(name);
     }
-}
\ No newline at end of file
+}
+
+// Id of the layer every scene starts with
+Scene.DEFAULT_LAYER_ID = 'default';
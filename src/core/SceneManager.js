@@ -127,7 +127,7 @@ class SceneManager {
             }
         } catch (error) {
             console.error('Error saving scene:', error);
-            alert('Failed to save to file system. Falling back to local storage.');
+            alert('Failed to save to file system. Falling back to browser storage.');
             return this.saveToLocalStorage();
         }
     }
@@ -144,7 +144,13 @@ class SceneManager {
             scene.name = newName;
         }
 
-        SceneStorage.saveLocalScene(scene);
+        try {
+            await SceneStorage.saveLocalScene(scene);
+        } catch (error) {
+            console.error('Error saving scene to browser storage:', error);
+            alert(`Failed to save scene: ${error.message}`);
+            return;
+        }
         scene.dirty = false;
         scene.isBuffered = false;
         scene.isLocal = true;
@@ -185,7 +191,7 @@ class SceneManager {
     async showLoadSceneDialog() {
         if (!await this.checkUnsavedChanges()) return;
 
-        const sceneList = SceneStorage.getLocalSceneList();
+        const sceneList = await SceneStorage.getLocalSceneList();
         if (sceneList.length === 0) {
             alert('No saved scenes found');
             return;
@@ -225,11 +231,11 @@ class SceneManager {
 
         // Handle scene deletion
         dialog.querySelectorAll('.delete-scene').forEach(btn => {
-            btn.addEventListener('click', (e) => {
+            btn.addEventListener('click', async (e) => {
                 e.stopPropagation();
                 const name = btn.dataset.name;
                 if (confirm(`Delete scene "${name}"?`)) {
-                    SceneStorage.deleteLocalScene(name);
+                    await SceneStorage.deleteLocalScene(name);
                     btn.closest('.scene-item').remove();
                     if (dialog.querySelectorAll('.scene-item').length === 0) {
                         dialog.remove();
@@ -242,14 +248,14 @@ class SceneManager {
     }
 
     /**
-     * Load a scene from local storage
+     * Load a scene from browser storage (SceneStorage)
      * @param {string} name - The name of the scene to load
      */
     async loadFromLocalStorage(name) {
         try {
-            const scene = SceneStorage.loadLocalScene(name);
+            const scene = await SceneStorage.loadLocalScene(name);
             if (!scene) {
-                throw new Error(`Scene "${name}" not found in local storage`);
+                throw new Error(`Scene "${name}" not found in browser storage`);
             }
 
             // Remove any buffered scenes when loading a saved one
@@ -258,8 +264,8 @@ class SceneManager {
             this.editor.setActiveScene(scene);
             this.updateSceneList();
         } catch (error) {
-            console.error('Error loading scene from local storage:', error);
-            alert('Failed to load scene from local storage');
+            console.error('Error loading scene from browser storage:', error);
+            alert('Failed to load scene from browser storage');
         }
     }
 
@@ -292,6 +298,12 @@ class SceneManager {
             scene.dirty = false;
             scene.isBuffered = false;
 
+            // Pick up prefab changes made since the scene was saved
+            const prefabManager = this.editor.hierarchy && this.editor.hierarchy.prefabManager;
+            if (prefabManager && await prefabManager.syncScene(scene)) {
+                scene.dirty = true;
+            }
+
             // Get name from file path
             const fileName = filePath.split('/').pop().split('\\').pop();
             scene.name = fileName.replace('.scene', '');
@@ -667,7 +679,10 @@ class SceneManager {
     showSceneSettings() {
         if (!this.editor.activeScene) return;
 
-        const settings = this.editor.activeScene.settings;
+        const scene = this.editor.activeScene;
+        const settings = scene.settings;
+        const gravity = settings.gravity || { x: 0, y: 1 };
+        const escape = (text) => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;');
         const dialog = document.createElement('div');
         dialog.className = 'scene-settings-dialog';
         dialog.innerHTML = `
@@ -691,6 +706,38 @@ class SceneManager {
                     
                     <label>Snap to Grid</label>
                     <input type="checkbox" id="snapToGrid" ${settings.snapToGrid ? 'checked' : ''}>
+
+                    <h3 class="settings-section">Physics</h3>
+
+                    <label>Physics Enabled</label>
+                    <input type="checkbox" id="physicsEnabled" ${settings.physicsEnabled !== false ? 'checked' : ''}>
+
+                    <label>Gravity X</label>
+                    <input type="number" id="gravityX" value="${gravity.x}" step="0.1">
+
+                    <label>Gravity Y</label>
+                    <input type="number" id="gravityY" value="${gravity.y}" step="0.1">
+
+                    <label>Debug Draw</label>
+                    <input type="checkbox" id="physicsDebugDraw" ${settings.physicsDebugDraw ? 'checked' : ''}>
+
+                    <label title="Matter.js position solver iterations (more is more accurate and slower)">Position Iterations</label>
+                    <input type="number" id="positionIterations" value="${settings.positionIterations || 6}" min="1" step="1">
+
+                    <label title="Matter.js velocity solver iterations">Velocity Iterations</label>
+                    <input type="number" id="velocityIterations" value="${settings.velocityIterations || 4}" min="1" step="1">
+
+                    <label title="Matter.js constraint solver iterations">Constraint Iterations</label>
+                    <input type="number" id="constraintIterations" value="${settings.constraintIterations || 2}" min="1" step="1">
+
+                    <label title="Milliseconds per physics step (16.67 = 60 steps per second)">Timestep (ms)</label>
+                    <input type="number" id="physicsTimeStep" value="${Math.round((settings.physicsTimeStep || 1000 / 60) * 100) / 100}" min="1" step="0.01">
+
+                    <label title="Let bodies that stop moving sleep until something hits them">Sleeping</label>
+                    <input type="checkbox" id="enableSleeping" ${settings.enableSleeping !== false ? 'checked' : ''}>
+
+                    <label title="One name per line, up to 32. RigidBody and Collider pick their category and what they collide with from these">Collision Categories</label>
+                    <textarea id="collisionCategories" rows="4">${escape(scene.getCollisionCategories().join('\n'))}</textarea>
                 </div>
                 <div class="dialog-buttons">
                     <button id="saveSettings">Save</button>
@@ -710,6 +757,34 @@ class SceneManager {
             settings.gridSize = parseInt(dialog.querySelector('#gridSize').value);
             settings.snapToGrid = dialog.querySelector('#snapToGrid').checked;
 
+            const number = (id, fallback) => {
+                const value = parseFloat(dialog.querySelector(id).value);
+                return isNaN(value) ? fallback : value;
+            };
+            settings.physicsEnabled = dialog.querySelector('#physicsEnabled').checked;
+            settings.gravity = { x: number('#gravityX', 0), y: number('#gravityY', 1) };
+            settings.physicsDebugDraw = dialog.querySelector('#physicsDebugDraw').checked;
+            settings.positionIterations = Math.max(1, Math.round(number('#positionIterations', 6)));
+            settings.velocityIterations = Math.max(1, Math.round(number('#velocityIterations', 4)));
+            settings.constraintIterations = Math.max(1, Math.round(number('#constraintIterations', 2)));
+            settings.physicsTimeStep = Math.max(1, number('#physicsTimeStep', 1000 / 60));
+            settings.enableSleeping = dialog.querySelector('#enableSleeping').checked;
+
+            const categories = dialog.querySelector('#collisionCategories').value
+                .split('\n')
+                .map(name => name.trim())
+                .filter((name, index, names) => name && names.indexOf(name) === index);
+            if (categories.length > 32) {
+                console.warn(`Matter.js has 32 collision categories, ignoring ${categories.slice(32).join(', ')}`);
+            }
+            settings.collisionCategories = categories.length > 0 ? categories.slice(0, 32) : ['Default'];
+
+            // The running game picks the new physics settings up right away
+            if (window.engine && window.engine.running && window.engine.scene === scene && window.physicsManager) {
+                window.physicsManager.applySettings(settings);
+            }
+            scene.markDirty();
+
             // Sync grid size with EditorGrid
             if (this.editor.grid) {
                 this.editor.grid.gridSize = settings.gridSize;
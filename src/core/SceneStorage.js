@@ -1,39 +1,47 @@
+/**
+ * SceneStorage - Scenes saved in the browser (Scene > Save to Browser), kept in ProjectStorage
+ *
+ * "sceneList" holds the names and save times only; each scene's data is stored under
+ * "scene_<name>". All methods return promises.
+ */
 class SceneStorage {
-    static getLocalSceneList() {
-        const list = localStorage.getItem('sceneList');
-        return list ? JSON.parse(list) : [];
+    static async getLocalSceneList() {
+        const list = await window.projectStorage.getItem('sceneList');
+        // Older lists also held each scene's data, only the names are needed
+        return Array.isArray(list) ? list.map(entry => ({ name: entry.name, modified: entry.modified || null })) : [];
     }
 
-    static saveLocalScene(scene) {
+    static async saveLocalScene(scene) {
         const sceneData = scene.toJSON();
-        const sceneList = this.getLocalSceneList();
-        
-        // Update or add scene
+        const sceneList = await this.getLocalSceneList();
+
+        // Store the data first, so the list never names a scene that wasn't saved
+        await window.projectStorage.setItem(`scene_${scene.name}`, sceneData);
+
+        const entry = { name: scene.name, modified: Date.now() };
         const existingIndex = sceneList.findIndex(s => s.name === scene.name);
         if (existingIndex >= 0) {
-            sceneList[existingIndex] = { name: scene.name, data: sceneData };
+            sceneList[existingIndex] = entry;
         } else {
-            sceneList.push({ name: scene.name, data: sceneData });
+            sceneList.push(entry);
         }
-        
-        localStorage.setItem('sceneList', JSON.stringify(sceneList));
-        localStorage.setItem(`scene_${scene.name}`, JSON.stringify(sceneData));
+        await window.projectStorage.setItem('sceneList', sceneList);
     }
 
-    static loadLocalScene(name) {
-        const sceneData = localStorage.getItem(`scene_${name}`);
+    static async loadLocalScene(name) {
+        const sceneData = await window.projectStorage.getItem(`scene_${name}`);
         if (!sceneData) return null;
-        
-        const scene = Scene.fromJSON(JSON.parse(sceneData));
+
+        const scene = Scene.fromJSON(typeof sceneData === 'string' ? JSON.parse(sceneData) : sceneData);
         scene.name = name;
         scene.isLocal = true;
         return scene;
     }
 
-    static deleteLocalScene(name) {
-        const sceneList = this.getLocalSceneList();
+    static async deleteLocalScene(name) {
+        const sceneList = await this.getLocalSceneList();
         const updatedList = sceneList.filter(s => s.name !== name);
-        localStorage.setItem('sceneList', JSON.stringify(updatedList));
-        localStorage.removeItem(`scene_${name}`);
+        await window.projectStorage.setItem('sceneList', updatedList);
+        await window.projectStorage.removeItem(`scene_${name}`);
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,155 @@
+/**
+ * SceneTransition - Base module for the screen effect Engine.changeScene plays between scenes
+ *
+ * changeScene plays the transition "out" (progress 0 -> 1, screen covered), swaps the scenes
+ * while the screen is covered and shows the loading progress, then plays it "in" (1 -> 0).
+ * The engine keeps a reference to the playing transition, so it keeps drawing even when the
+ * object it sits on belongs to the scene being unloaded.
+ *
+ * The base class fades to a solid color. Custom transitions extend it and override
+ * drawTransition(); drawLoading() can be overridden for a different loading screen.
+ *
+ * Usage:
+ * await engine.changeScene("Level 2");                          // first enabled transition module in the scene
+ * await engine.changeScene("Level 2", { transition: "wipe" }); // FadeTransition / WipeTransition by short name
+ * await engine.changeScene("Level 2", { transition: false });  // no transition
+ */
+class SceneTransition extends Module {
+    static namespace = "Scene Transitions";
+    static description = "Fades to a color while Engine.changeScene switches scenes";
+    static allowMultiple = false;
+    static iconClass = "fas fa-film";
+
+    constructor(name = "SceneTransition") {
+        super(name);
+
+        this.duration = 0.5;            // Seconds for each half (out and in)
+        this.color = "#000000";
+        this.showLoadingProgress = true;
+        this.loadingText = "Loading...";
+
+        this.progress = 0;              // 0 = scene fully visible, 1 = screen fully covered
+        this.phase = "out";             // Half being played, "out" or "in"
+        this.playing = false;
+
+        this.exposeProperty("duration", "number", this.duration, {
+            min: 0, max: 10, step: 0.05,
+            description: "Seconds to cover the screen, and again to reveal the new scene",
+            onChange: (val) => { this.duration = val; }
+        });
+
+        this.exposeProperty("color", "color", this.color, {
+            description: "Color the screen is covered with",
+            onChange: (val) => { this.color = val; }
+        });
+
+        this.exposeProperty("showLoadingProgress", "boolean", this.showLoadingProgress, {
+            description: "Draw a progress bar while the next scene preloads its assets",
+            onChange: (val) => { this.showLoadingProgress = val; }
+        });
+
+        this.exposeProperty("loadingText", "string", this.loadingText, {
+            description: "Text shown above the progress bar",
+            onChange: (val) => { this.loadingText = val; }
+        });
+    }
+
+    /**
+     * Animate the transition in real time (not affected by pause or timeScale)
+     * @param {string} direction - "out" covers the screen, "in" reveals it
+     * @param {number} [duration] - Seconds, defaults to this.duration
+     * @returns {Promise<void>} Resolves when the animation has finished
+     */
+    play(direction, duration = this.duration) {
+        const from = direction === "out" ? 0 : 1;
+        const to = direction === "out" ? 1 : 0;
+
+        this.phase = direction === "out" ? "out" : "in";
+        this.playing = true;
+        if (!(duration > 0)) {
+            this.progress = to;
+            this.playing = direction === "out";
+            return Promise.resolve();
+        }
+
+        return new Promise(resolve => {
+            const startTime = performance.now();
+            const step = (now) => {
+                const t = Math.min(1, (now - startTime) / (duration * 1000));
+                this.progress = from + (to - from) * t;
+                if (t < 1) {
+                    requestAnimationFrame(step);
+                } else {
+                    // Stay "playing" while covered so the engine keeps drawing the cover
+                    this.playing = direction === "out";
+                    resolve();
+                }
+            };
+            requestAnimationFrame(step);
+        });
+    }
+
+    /**
+     * Draw the transition effect in screen space. Override for custom transitions.
+     * @param {CanvasRenderingContext2D} ctx - Context with an identity transform
+     * @param {number} progress - 0 (nothing covered) to 1 (fully covered)
+     * @param {number} width - Canvas width in pixels
+     * @param {number} height - Canvas height in pixels
+     */
+    drawTransition(ctx, progress, width, height) {
+        ctx.globalAlpha = Math.max(0, Math.min(1, progress));
+        ctx.fillStyle = this.color;
+        ctx.fillRect(0, 0, width, height);
+    }
+
+    /**
+     * Draw the loading screen shown while the next scene preloads
+     * @param {CanvasRenderingContext2D} ctx - Context with an identity transform
+     * @param {number} loaded - Preload tasks finished
+     * @param {number} total - Preload tasks started (0 when there was nothing to load)
+     * @param {number} width - Canvas width in pixels
+     * @param {number} height - Canvas height in pixels
+     */
+    drawLoading(ctx, loaded, total, width, height) {
+        const barWidth = Math.min(300, width * 0.6);
+        const barHeight = 6;
+        const x = (width - barWidth) / 2;
+        const y = height / 2;
+        const fraction = total > 0 ? loaded / total : 1;
+
+        ctx.globalAlpha = 1;
+        ctx.fillStyle = "#ffffff";
+        ctx.font = "14px Arial";
+        ctx.textAlign = "center";
+        ctx.textBaseline = "bottom";
+        ctx.fillText(this.loadingText, width / 2, y - 8);
+
+        ctx.fillStyle = "rgba(255, 255, 255, 0.25)";
+        ctx.fillRect(x, y, barWidth, barHeight);
+        ctx.fillStyle = "#ffffff";
+        ctx.fillRect(x, y, barWidth * fraction, barHeight);
+    }
+
+    /**
+     * Called by Engine.draw on top of the frame while the transition is playing
+     * @param {CanvasRenderingContext2D} ctx - Render context
+     * @param {number} width - Canvas width in pixels
+     * @param {number} height - Canvas height in pixels
+     */
+    render(ctx, width, height) {
+        ctx.save();
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        this.drawTransition(ctx, this.progress, width, height);
+        ctx.restore();
+
+        const engine = this.gameObject && this.gameObject.engine || window.engine;
+        if (this.showLoadingProgress && engine && engine.sceneLoading && this.progress >= 1) {
+            ctx.save();
+            ctx.setTransform(1, 0, 0, 1, 0, 0);
+            this.drawLoading(ctx, engine.sceneLoadProgress.loaded, engine.sceneLoadProgress.total, width, height);
+            ctx.restore();
+        }
+    }
+}
+
+window.SceneTransition = SceneTransition;
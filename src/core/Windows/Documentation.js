@@ -47,6 +47,9 @@ class Documentation {
                                     <li><strong>Mouse Wheel</strong>: Zoom in/out</li>
                                     <li><strong>Right-click + Drag</strong>: Pan the view</li>
                                     <li><strong>Grid Controls</strong>: Toggle grid visibility and snap-to-grid at the top</li>
+                                    <li><strong>Snap to Objects</strong>: Dragged objects snap their edges, center and pivot to other objects, polygon vertices and spline points, with a pink guide line showing the match</li>
+                                    <li><strong>Rotation Snap</strong>: Rotate with the handles in steps of 5°, 15°, 45° or 90°</li>
+                                    <li><strong>Align & Distribute</strong>: With several objects selected, the toolbar buttons line up their edges or centers, or space them evenly</li>
                                 </ul>
                             </div>
                             
@@ -222,8 +225,59 @@ class Documentation {
                                     <li>Right-click in the Hierarchy and select a primitive object type</li>
                                     <li>Duplicate an existing object with Ctrl+D or right-click > Duplicate</li>
                                 </ul>
+                                <p>Scene edits can be undone with Ctrl+Z and redone with Ctrl+Y (or Ctrl+Shift+Z): moving and rotating with the handles, creating, duplicating, deleting and reparenting objects, adding, removing and reordering modules, and every Inspector edit. A slider drag or a burst of typing in one field is a single step. The <strong>History</strong> window lists the steps; click one to go back or forward to it. The history is cleared when another scene is opened and nothing is recorded while the game runs.</p>
+                            </div>
+
+                            <div class="doc-section">
+                                <h3>Editing Several Objects</h3>
+                                <p>Ctrl+click objects in the scene or the Hierarchy to select several at once. The Inspector then shows their transform and the modules all of them have, each listed once. Fields where the objects differ show "—"; changing a field sets it on every selected object, and <strong>Add Module</strong> adds the module to all of them. Modules only some of the objects have are left out.</p>
+                                <p>The scene view draws one set of handles at the centre of the selection: drag the arrows or the centre box to move everything, the circle to rotate the objects around the centre, and the orange square to scale them from it. Dragging any selected object moves the whole group; clicking one without dragging selects just that object. Each edit is a single undo step.</p>
+                            </div>
+
+                            <div class="doc-section">
+                                <h3>Tweaking the Running Game</h3>
+                                <p>Play runs the game on copies of the scene's objects, so nothing you do while playing changes the scene. While it runs, selecting an object in the Hierarchy shows its running copy in the Inspector: edits apply to the game immediately and the transform follows the simulation.</p>
+                                <ul>
+                                    <li><strong>Pause</strong> in the Game toolbar holds the simulation (the game keeps drawing); <strong>Step</strong> advances it by one frame</li>
+                                    <li><strong>Keep Changes</strong> (the pin) takes the current state of the selected objects and their modules; it is written to the scene when play stops, as one undo step</li>
+                                    <li>Objects the game spawns are listed under <em>Spawned at Runtime</em> at the bottom of the Hierarchy; click one to inspect it</li>
+                                </ul>
+                                <p>Scripts can use <code>engine.setEditorPaused(true)</code>, <code>engine.stepFrame()</code> and <code>engine.getRuntimeObject(editorObject)</code>.</p>
+                            </div>
+
+                            <div class="doc-section">
+                                <h3>Prefab Instances</h3>
+                                <p>Objects placed from a <code>.prefab</code> file stay linked to it (their names are purple in the Hierarchy). Properties you change on an instance are overrides: they are shown in bold in the Inspector and are kept when the prefab changes. Everything else follows the prefab - saving a prefab file updates its instances in open scenes, saved scenes and other prefabs that contain it.</p>
+                                <ul>
+                                    <li><strong>Apply</strong> writes the instance's changes (including added children and modules) to the prefab</li>
+                                    <li><strong>Revert</strong> discards the overrides of the selected object; on the instance root it also removes added objects and modules</li>
+                                    <li>Right-click a bold property to revert just that property</li>
+                                </ul>
+                                <p>The position, rotation and layer of an instance root always belong to the instance. Prefabs can contain instances of other prefabs; changes to the inner prefab pass through to the outer one.</p>
+                            </div>
+
+                            <div class="doc-section">
+                                <h3>Layers</h3>
+                                <p>Every scene has an ordered list of layers, shown above the objects in the Hierarchy with the front layer at the top. Objects are drawn layer by layer and by depth within a layer, so a background layer stays behind everything else whatever its depths are.</p>
+                                <ul>
+                                    <li>Pick an object's layer in the Transform section of the Inspector. <em>Inherit</em> uses the parent's layer, or the Default layer for root objects</li>
+                                    <li>The eye hides a layer in the editor and in the game; the lock stops its objects from being picked or dragged in the scene view</li>
+                                    <li>Right-click a layer to rename, reorder or delete it, move the selected objects to it, set its parallax factor or choose which layers it collides with</li>
+                                </ul>
+                                <p>A parallax factor of 1 moves with the camera, 0.5 scrolls at half speed and 0 stays fixed on screen (the editor view ignores parallax). Two layers collide only if both allow it; this applies to <code>collidesWith</code>, the CollisionSystem and RigidBody bodies. In scripts use <code>scene.getLayer(name)</code>, <code>scene.addLayer(name)</code>, <code>layer.addGameObject(obj)</code> and <code>obj.getLayer()</code>.</p>
                             </div>
                             
+                            <div class="doc-section">
+                                <h3>Changing Scenes</h3>
+                                <p><code>await engine.changeScene("Level 2")</code> switches scenes without stopping the game. The transition covers the screen, the old scene's objects are destroyed, the new scene's objects and their assets are preloaded (a loading bar is shown meanwhile) and started, then the transition reveals the new scene.</p>
+                                <ul>
+                                    <li>Add a <strong>FadeTransition</strong> or <strong>WipeTransition</strong> module to any object to choose the transition, or pass <code>{ transition: "wipe", duration: 0.3 }</code>; <code>transition: false</code> switches instantly</li>
+                                    <li>Tick <strong>Keep Between Scenes</strong> in the Transform section to keep a top-level object and its children (players, music, score keepers). Their modules get <code>onSceneLoaded(scene)</code> after the change</li>
+                                    <li><code>await engine.loadSceneAdditive("Name")</code> adds another scene's objects to the running one and <code>engine.unloadScene("Name")</code> removes them again</li>
+                                </ul>
+                                <p>Custom transitions extend <code>SceneTransition</code> and override <code>drawTransition(ctx, progress, width, height)</code>, where progress goes from 0 (nothing covered) to 1 (screen covered). Stopping the game returns to the scene it was started in.</p>
+                            </div>
+
                             <div class="doc-section">
                                 <h3>Object Properties</h3>
                                 <p>All game objects have these core properties:</p>
@@ -328,6 +382,67 @@ class Documentation {
                                     <li><strong>Gravity</strong>: Set the physics gravity direction and strength</li>
                                     <li><strong>Grid settings</strong>: Customize the editor grid</li>
                                 </ul>
+                                <p>The Physics section is applied to the Matter.js world whenever the scene is loaded: turning physics off, gravity, the debug overlay, solver iterations, the timestep and whether bodies may sleep. <strong>Collision Categories</strong> lists up to 32 names; a RigidBody or Collider picks its <em>Collision Category</em> and the categories it <em>Collides With</em> (none selected means all) from them. Bodies without a category keep their own filter and the layer collision masks.</p>
+                            </div>
+                            
+                            <div class="doc-section">
+                                <h3>Browser Storage</h3>
+                                <p>Scenes saved to the browser and the auto-save are kept in IndexedDB through <code>window.projectStorage</code>, so projects with embedded images are no longer limited to localStorage's 5MB. Images, audio and other binary files in the Project Browser are stored there in chunks too. Anything the editor stored in localStorage before is moved over automatically the first time it starts. The Project Browser toolbar shows how much storage is in use (orange above 90% of the browser's quota), and a save that doesn't fit reports the usage instead of failing silently.</p>
+                                <pre><code>await window.projectStorage.setItem("myKey", { any: "value" });
+const value = await window.projectStorage.getItem("myKey");
+await window.projectStorage.setBinary("asset:/hero.png", file);    // Stored in 1MB chunks
+const blob = await window.projectStorage.getBinary("asset:/hero.png");
+const { usage, quota } = await window.projectStorage.estimate();
+await window.projectStorage.requestPersistence();                 // Ask the browser not to evict it</code></pre>
+                            </div>
+                            
+                            <div class="doc-section">
+                                <h3>Version History</h3>
+                                <p>Every few minutes (5 by default) the editor snapshots all open scenes if anything changed, keeping the newest 20 per project. The <strong>Version History</strong> window lists them with the scenes and modules each one changed and lets you take a named snapshot or change the count and interval. Click a snapshot to compare it with the current scenes, or Ctrl/Shift-click a second one to compare the two: added, removed and changed objects are listed with each changed property and module value. <strong>Restore Scene</strong> puts a whole scene back (the current state is snapshotted first) and <strong>Restore</strong> next to an object brings back just that object, as a step you can undo.</p>
+                                <pre><code>await window.projectSnapshots.capture({ label: "Before boss rework" });
+const list = await window.projectSnapshots.list();               // Newest first
+const diff = await window.projectSnapshots.diff(list[1].id);     // Against the current scenes
+await window.projectSnapshots.restoreGameObject(list[1].id, "Level 1", "Player");</code></pre>
+                            </div>
+                        `
+                    },
+                    "Save Games": {
+                        content: `
+                            <h2>Save Games</h2>
+                            <p><code>window.saveManager</code> stores named save slots in IndexedDB (or localStorage when it isn't available). Every call returns a promise and nothing shows a dialog, so saving works the same in the editor and in exported games.</p>
+                            
+                            <div class="doc-section">
+                                <h3>Saving and Loading</h3>
+                                <pre><code>const meta = await engine.saveGame("slot1", { label: "Checkpoint", data: { coins: 12 } });
+await engine.loadGame("slot1"); // Switches scene if needed, false if the slot is missing
+
+const slots = await window.saveManager.listSlots(); // Newest first
+// { slot, label, scene, timestamp, playtime, gameVersion, thumbnail }
+await window.saveManager.deleteSlot("slot1");</code></pre>
+                                <p>Extra data passed as <code>data</code> comes back as <code>save.custom</code>. Use <code>saveManager.exportSlot(slot)</code> and <code>saveManager.importSave(file)</code> to move saves between machines.</p>
+                            </div>
+                            
+                            <div class="doc-section">
+                                <h3>Saving Module Fields</h3>
+                                <p>Every object's position, rotation, scale and active state are saved. Module properties are only saved when they opt in:</p>
+                                <pre><code>this.exposeProperty("health", "number", 100, { saveable: true });
+
+// Or save anything else yourself
+getSaveData() {
+    const data = super.getSaveData();
+    data.inventory = this.inventory.slice();
+    return data;
+}</code></pre>
+                            </div>
+                            
+                            <div class="doc-section">
+                                <h3>Versions and Migrations</h3>
+                                <p>Raise <code>saveManager.gameVersion</code> when your save data changes and register a migration for older saves. Saves from a newer version are refused.</p>
+                                <pre><code>window.saveManager.gameVersion = 2;
+window.saveManager.registerMigration(1, save => {
+    save.custom = { coins: 0, ...save.custom };
+    return save;
+});</code></pre>
                             </div>
                         `
                     }
@@ -476,6 +591,7 @@ window.MyModule = MyModule;</code></pre>
                                 <h3>Update Methods</h3>
                                 <ul>
                                     <li><code>beginLoop()</code>: Called at the beginning of each frame</li>
+                                    <li><code>fixedLoop(deltaTime)</code>: Called at a constant tick rate when the fixed timestep is enabled (Settings &gt; Performance)</li>
                                     <li><code>loop(deltaTime)</code>: Called every frame with the time since last frame</li>
                                     <li><code>endLoop()</code>: Called at the end of each frame</li>
                                 </ul>
@@ -486,11 +602,27 @@ window.MyModule = MyModule;</code></pre>
 }</code></pre>
                             </div>
                             
+                            <div class="doc-section">
+                                <h3>Collision Events</h3>
+                                <p>Objects with <code>useCollisions</code>, polygon collision or a Collider module take part in collision events. Use <code>gameObject.setCollision(layer, mask)</code> to filter which layers collide.</p>
+                                <ul>
+                                    <li><code>onCollisionEnter(other, contact)</code> / <code>onCollisionStay</code> / <code>onCollisionExit</code>: Solid overlaps</li>
+                                    <li><code>onTriggerEnter(other, contact)</code> / <code>onTriggerStay</code> / <code>onTriggerExit</code>: Overlaps with a Collider marked <code>isTrigger</code></li>
+                                </ul>
+                                <p><code>contact.normal</code> points from this object towards <code>other</code>, <code>contact.penetration</code> is the overlap depth and <code>contact.point</code> is the world-space contact point. Concave polygons are split into convex parts; self-intersecting polygons collide as their convex hull.</p>
+                                <pre><code>onCollisionEnter(other, contact) {
+    // Push out of the other object
+    const push = contact.normal.multiply(-contact.penetration);
+    this.gameObject.position = this.gameObject.position.add(push);
+}</code></pre>
+                            </div>
+                            
                             <div class="doc-section">
                                 <h3>Rendering and Cleanup</h3>
                                 <ul>
                                     <li><code>draw(ctx)</code>: Called when the module should render</li>
                                     <li><code>onDestroy()</code>: Called when the module is being destroyed</li>
+                                    <li><code>onSpawnFromPool()</code> / <code>onReturnToPool()</code>: Called when a pooled object is reused or put back (see Object Pooling)</li>
                                 </ul>
                                 <p>Example custom drawing:</p>
                                 <pre><code>draw(ctx) {
@@ -543,6 +675,7 @@ window.MyModule = MyModule;</code></pre>
                                     <li><code>"enum"</code>: Dropdown with options</li>
                                     <li><code>"vector2"</code>: 2D coordinates (x,y)</li>
                                     <li><code>"asset"</code>: Reference to a project asset</li>
+                                    <li><code>"collisionCategory"</code> / <code>"collisionMask"</code>: One or several of the scene's collision categories</li>
                                 </ul>
                             </div>
                             
@@ -1004,6 +1137,58 @@ stopSound() {
 }</code></pre>
                             </div>
                         `
+                    },
+                    "Gamepad & Actions": {
+                        content: `
+                            <h2>Gamepad Input and Actions</h2>
+                            
+                            <div class="doc-section">
+                                <h3>Actions</h3>
+                                <p>Read named actions instead of specific keys so players can use a keyboard, gamepad or the on-screen TouchJoystick:</p>
+                                <pre><code>loop(deltaTime) {
+    // -1 to 1; analog sticks give partial values
+    const moveX = window.input.getActionValue("moveX");
+    this.gameObject.position.x += moveX * this.speed * deltaTime;
+
+    if (window.input.actionPressed("jump")) {
+        this.jump();
+    }
+}</code></pre>
+                                <p>Built-in actions: moveX, moveY, jump, fire, thrust and rotate. Define your own with binding strings:</p>
+                                <pre><code>window.input.defineAction("dash", ["key:shift", "gamepad:b"]);
+window.input.defineAction("aimX", ["-key:j", "key:l", "axis:2"]);</code></pre>
+                                <ul>
+                                    <li><strong>key:</strong>space, key:a - keyboard keys</li>
+                                    <li><strong>mouse:</strong>left - mouse buttons</li>
+                                    <li><strong>gamepad:</strong>a, gamepad:righttrigger - gamepad buttons (add @1 for a specific gamepad)</li>
+                                    <li><strong>axis:</strong>0 - gamepad axis; axis:1- or axis:1+ uses one half</li>
+                                    <li><strong>stick:</strong>joystick.x - a TouchJoystick (by its Stick Name)</li>
+                                    <li>A leading "-" inverts a binding</li>
+                                </ul>
+                            </div>
+                            
+                            <div class="doc-section">
+                                <h3>Gamepads</h3>
+                                <p>Connected gamepads are polled every frame. Pass an index to read one gamepad, or leave it out to read any:</p>
+                                <pre><code>if (window.input.gamepadButtonPressed("a")) this.jump();
+const stick = window.input.getGamepadStick("left");     // Vector2, deadzone applied
+const trigger = window.input.getGamepadTrigger("right"); // 0 to 1
+window.input.rumble(0, 0.8, 0.4, 300);                  // Where supported
+
+window.input.onGamepadConnected(pad => console.log("Connected:", pad.id));</code></pre>
+                            </div>
+                            
+                            <div class="doc-section">
+                                <h3>Input Actions Asset &amp; Rebinding</h3>
+                                <p>Open the <strong>Input Actions</strong> window from the File Browser toolbar to edit the project's actions. They are saved to <code>/InputActions.inputactions</code>, stored with the project and included in exports. Expose a module property with the <code>"action"</code> type to pick an action from a dropdown:</p>
+                                <pre><code>this.exposeProperty("jumpAction", "action", "jump");</code></pre>
+                                <p>Add the <strong>InputSettingsMenu</strong> UI module to let players rebind controls in-game (Escape opens it by default). Rebinds are kept in localStorage. From script:</p>
+                                <pre><code>const binding = await window.input.listenForBinding(); // Next key, button or stick push
+window.input.rebindAction("jump", "key:space", binding);
+window.input.saveBindingOverrides();
+window.input.resetBindingOverrides(); // Back to the project's bindings</code></pre>
+                            </div>
+                        `
                     }
                 }
             },
@@ -1051,11 +1236,113 @@ stopSound() {
                         <li><code>preload()</code>: Load assets before game starts</li>
                         <li><code>start()</code>: Called when module is activated</li>
                         <li><code>beginLoop()</code>: Called at start of each frame</li>
+                        <li><code>fixedLoop(deltaTime)</code>: Fixed rate update for physics (fixed timestep only)</li>
                         <li><code>loop(deltaTime)</code>: Main update logic</li>
                         <li><code>endLoop()</code>: Called at end of each frame</li>
                         <li><code>draw(ctx)</code>: Render module visuals</li>
                         <li><code>destroy()</code>: Cleanup when destroyed</li>
+                        <li><code>onCollisionEnter/Stay/Exit(other, contact)</code>: Solid collision events</li>
+                        <li><code>onTriggerEnter/Stay/Exit(other, contact)</code>: Trigger overlap events</li>
+                        <li><code>onSpawnFromPool()</code>: A pooled object was reused (after <code>start()</code>)</li>
+                        <li><code>onReturnToPool()</code>: A pooled object went back to its pool (instead of <code>onDestroy()</code>)</li>
+                    </ul>
+                `
+                    },
+                    "Object Pooling": {
+                        content: `
+                    <h2>Object Pooling</h2>
+                    <p>Objects spawned with <code>this.instanceCreate()</code> or the <strong>Spawner</strong> module come from <code>window.poolManager</code>. When they are destroyed they go back to their pool and the next spawn reuses them, so bullets and particles don't create garbage. Pools are keyed by object name, or <code>prefab:Name</code> for prefabs.</p>
+                    <pre><code>start() {
+    window.poolManager.warm("Bullet", 30); // Ready before the first shot
+}
+
+loop(deltaTime) {
+    if (window.input.actionPressed("fire")) {
+        this.instanceCreate(this.gameObject.position.x, this.gameObject.position.y, "Bullet");
+    }
+}</code></pre>
+                    <p>A reused object runs <code>start()</code> again, so most modules work unchanged. Use the hooks for anything else:</p>
+                    <pre><code>onSpawnFromPool() {
+    this.hits = 0;           // State start() doesn't reset
+}
+
+onReturnToPool() {
+    this.engineSound.stop(); // Called instead of onDestroy()
+}</code></pre>
+                    <ul>
+                        <li><code>gameObject.destroy()</code>, a Timer's destroy action and <code>engine.removeDynamicObject()</code> return pooled objects</li>
+                        <li>Spawner only pools when <code>usePool</code> is on (off by default); <code>poolWarmCount</code> pre-creates objects</li>
+                        <li>Settings &gt; Debug &gt; <strong>Show Object Pools</strong> shows each pool's counters while the game runs</li>
+                        <li><code>window.poolManager.enabled = false</code> turns pooling off</li>
+                    </ul>
+                `
+                    },
+                    "Profiler": {
+                        content: `
+                    <h2>Profiler</h2>
+                    <p><code>window.profiler</code> times every engine phase (beginLoop, loop, endLoop, draw, physics, multiplayer) and every module type, and counts draw calls and GameObjects. Press <strong>F3</strong> in game, or enable Settings &gt; Debug &gt; <strong>Show Profiler</strong>, to see the overlay; the editor's <strong>Profiler</strong> window shows the same tables.</p>
+                    <p>Captures record every frame so two runs can be compared:</p>
+                    <pre><code>window.profiler.startCapture("Before");   // F4 starts/stops and downloads
+const before = window.profiler.stopCapture();
+// ... change something, capture again ...
+const diff = Profiler.compare(before, after);
+console.log(diff.summary.avgCpu, diff.modules[0]); // ms per frame, positive = slower</code></pre>
+                    <ul>
+                        <li>Module times include every <code>beginLoop</code>, <code>loop</code>, <code>fixedLoop</code>, <code>endLoop</code> and <code>draw</code> call of that type</li>
+                        <li>Nothing is measured while the overlay, a capture and the window are all off</li>
+                    </ul>
+                `
+                    },
+                    "Multiplayer": {
+                        content: `
+                    <h2>Multiplayer</h2>
+                    <p>Create the engine with <code>enableMultiplayer: true</code> and connect <code>engine.multiplayer</code> to a server started with <code>node src/core/server.js [port]</code>.</p>
+                    <p>Started with <code>--authoritative</code>, the server runs the game's movement itself with <code>NetworkSimulation</code> at its tick rate (20 per second). Clients send numbered inputs instead of positions, move their own objects right away with the same simulation, and when a snapshot says which input the server reached, they take the server's state and replay the newer inputs on top. Positions sent by clients are ignored, and a client can't apply more input time than has really passed, so speed hacks don't work.</p>
+                    <p>The server does not run the engine, your scenes or their modules: it only has the objects' plain state (position, angle, velocity, replicated properties) and the <code>NetworkSimulation.define()</code> handlers. Physics, colliders and module <code>loop()</code> code don't take part in the authoritative simulation, so whatever the server must decide (movement, blocking by walls, damage) has to be written in a definition.</p>
+                    <pre><code>// shared/simulation.js - loaded by the game and by: node server.js --simulation shared/simulation.js
+NetworkSimulation.define('Player', {
+    speed: 250,
+    input(state, input, dt) {
+        state.x += (input.moveX || 0) * this.speed * dt;
+        state.y += (input.moveY || 0) * this.speed * dt;
+    }
+});
+
+// In a module, once connected and in a room
+engine.multiplayer.registerNetworkedObject(this.gameObject);   // The server assigns the networkId
+engine.multiplayer.inputProvider = () => ({ moveX: input.getActionValue("moveX") });</code></pre>
+                    <ul>
+                        <li>Without a definition, objects move top-down from <code>moveX</code>/<code>moveY</code> (-1 to 1) at 200 pixels per second; WASD and the arrow keys are the default input</li>
+                        <li>Other players' objects are shown <code>interpolationDelay</code> ms (100) in the past, between two snapshots</li>
+                        <li>Small prediction errors are blended out (<code>correctionSmoothing</code>), errors over <code>snapDistance</code> pixels snap</li>
                     </ul>
+                    <h3>Snapshots and Bandwidth</h3>
+                    <p>In both modes state travels as <code>NetworkSnapshot</code> deltas. Every snapshot is numbered, the other side acknowledges the newest one it received, and the next snapshot only carries the objects and fields that changed since then. New objects include their owner and prefab, deleted ones are listed by id. Numbers are rounded per field (<code>NetworkSnapshot.PRECISION</code>), so tiny jitter isn't sent. A room where nothing moves sends nothing.</p>
+                    <pre><code>engine.multiplayer.connect(url, { wireFormat: "binary" });  // Default; "json" is easier to debug
+NetworkSnapshot.PRECISION.hp = 1;                             // Round a custom field to whole numbers
+console.log(engine.multiplayer.getNetworkStats());            // { bytesInPerSecond, bytesOutPerSecond, ... }
+engine.multiplayer.on("roomStats", stats => console.log(stats.bytesOutPerPlayerPerSecond));
+engine.multiplayer.requestRoomStats();                        // Also: http://server:8080/stats</code></pre>
+                    <h3>Replicated Properties and RPCs</h3>
+                    <p>Module properties exposed with <code>replicated</code> are synced with the object. The owner sends properties with <code>authority: 'owner'</code> (the default); <code>'server'</code> properties are set by the server simulation, or by the room host when the server doesn't simulate. <code>interpolation</code> is <code>'none'</code> (default), <code>'linear'</code> or <code>'angle'</code>. <code>SimpleHealth</code> health and the <code>SpriteSheetRenderer</code> frame and flips are replicated.</p>
+                    <p>Methods listed in <code>static rpcMethods</code> can be called on the other copies of a module with <code>this.rpc()</code> (default target) or <code>this.rpcTo(target, ...)</code>, where target is <code>'owner'</code>, <code>'all'</code>, <code>'server'</code> or a player id. RPCs are acknowledged and resent until delivered; other methods are refused. <code>this.rpcSenderId</code> tells the method who called it.</p>
+                    <pre><code>this.exposeProperty("ammo", "number", 30, { replicated: true });
+this.exposeProperty("aim", "number", 0, { replicated: { interpolation: "angle" } });
+
+static rpcMethods = { applyDamage: "owner", playEffect: "all" };
+target.getModule("SimpleHealth").rpc("applyDamage", 10);    // Runs on the owner's client</code></pre>
+                    <h3>Lobby and Reconnection</h3>
+                    <p>Rooms open in a lobby. Players call <code>setReady()</code> and <code>sendChat()</code>; the host changes the room with <code>setRoomSettings()</code> and calls <code>startGame()</code>, which needs every other player ready unless forced and sends <code>'gameStarted'</code> to the room. <code>createRoom()</code> takes a password and settings, and <code>quickMatch(settings)</code> joins the fullest waiting public room with the same settings or creates one. When the host leaves, the next player becomes host (<code>'hostChanged'</code>).</p>
+                    <p>A client that loses its connection reconnects with its reconnect token (<code>'reconnecting'</code>, then <code>'reconnected'</code>). The server keeps its player, objects and unacknowledged RPCs for 20 seconds before removing it. Add the <strong>LobbyMenu</strong> UI module for a lobby screen with room list, quick match, ready flags, chat and start buttons.</p>
+                    <pre><code>engine.multiplayer.on('lobbyUpdate', lobby => console.log(lobby.players));   // [{ playerName, ready, isHost, connected }]
+engine.multiplayer.createRoom("Friends", 4, false, { password: "secret", settings: { map: "arena" } });
+engine.multiplayer.startGame();</code></pre>
+                    <h3>Loopback and Simulated Networks</h3>
+                    <p><code>connect(url, { transport })</code> takes a transport instead of a WebSocket. <code>createMultiplayerServer()</code> runs the server in the page (or a Node script; there is one per page, the first call sets its options) and <code>LoopbackTransport</code> connects any number of managers to it. <code>SimulatedTransport</code> wraps another transport and adds <code>latency</code> (ms one way), <code>jitter</code>, <code>packetLoss</code> and <code>reorder</code>. Only messages the protocol copes with losing (snapshots, inputs, acks, RPCs) are dropped or reordered; the rest arrive late but in order. <code>setConditions()</code> changes them while playing, handy for tuning <code>interpolationDelay</code>, and <code>dropConnections()</code> on a loopback tests reconnection.</p>
+                    <pre><code>const server = createMultiplayerServer();
+server.start();
+const transport = new SimulatedTransport(new LoopbackTransport(server), { latency: 100, jitter: 30, packetLoss: 0.1 });
+engine.multiplayer.connect("loopback", { transport: transport });</code></pre>
                 `
                     },
                     "Canvas Types": {
@@ -1870,6 +2157,8 @@ rigidBody.restitution = 0.8; // Bounciness
             { name: "irandomRange(min, max)", desc: "Random integer between min and max." },
             { name: "randomBool()", desc: "Random true or false." },
             { name: "choose(...items)", desc: "Randomly chooses one of the items." },
+            { name: "setRandomSeed(seed)", desc: "Reseeds the engine RandomService (and every module stream)." },
+            { name: "hashRandom(value)", desc: "Stateless hash of a number to 0-1, for position-based noise." },
             { name: "stringReplaceAll(str, find, replace)", desc: "Replaces all occurrences in a string." },
             { name: "toString(val)", desc: "Converts a value to string." },
             { name: "toInt(val)", desc: "Converts a value to integer." },
@@ -2054,6 +2343,7 @@ window.MyModule = MyModule; // Register globally
 **Interactive Gizmos:**
 - Implement 'drawGizmos(ctx)' to draw visual editing tools
 - Implement 'handleGizmoInteraction(worldPos, isClick)' for user interaction in the editor
+- Implement 'getSnapPoints()' returning world-space Vector2 points that dragged objects and gizmo points snap to
 - Use point arrays/polygons for draggable control points
 - Gizmos enable visual editing of module parameters in the editor
 
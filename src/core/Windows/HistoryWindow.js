@@ -0,0 +1,129 @@
+/**
+ * HistoryWindow - Lists the scene editor's undo history (editor.history)
+ *
+ * Steps above the marker are applied, steps below it have been undone. Clicking a step
+ * undoes or redoes everything up to it.
+ */
+class HistoryWindow extends EditorWindow {
+    static icon = "fa-history";
+    static color = "#d35400";
+    static description = "Undo and redo scene edits step by step";
+
+    constructor() {
+        super("History", {
+            width: 320,
+            height: 480,
+            resizable: true,
+            modal: false,
+            className: 'history-window'
+        });
+
+        this.unsubscribe = null;    // Returned by history.onChange() while shown
+
+        this.setupUI();
+    }
+
+    get history() {
+        return window.editor ? window.editor.history : null;
+    }
+
+    setupUI() {
+        this.clearContent();
+
+        const toolbar = document.createElement('div');
+        toolbar.style.cssText = `
+            display: flex;
+            align-items: center;
+            gap: 4px;
+            margin-bottom: 8px;
+            padding-bottom: 8px;
+            border-bottom: 1px solid #444;
+        `;
+        toolbar.appendChild(this.addButton('history-undo', 'Undo', { onClick: () => this.history && this.history.undo() }));
+        toolbar.appendChild(this.addButton('history-redo', 'Redo', { onClick: () => this.history && this.history.redo() }));
+        toolbar.appendChild(this.addButton('history-clear', 'Clear', {
+            onClick: () => {
+                if (this.history && confirm('Clear the undo history?')) this.history.clear();
+            },
+            style: 'background: #555;'
+        }));
+        this.addContent(toolbar);
+
+        this.list = document.createElement('div');
+        this.list.style.cssText = 'font-size: 12px; color: #ddd;';
+        this.addContent(this.list);
+
+        this.render();
+    }
+
+    /**
+     * Rebuild the list of steps
+     */
+    render() {
+        if (!this.list) return;
+        this.list.innerHTML = '';
+
+        const history = this.history;
+        if (!history) {
+            this.list.textContent = 'The scene editor is not available.';
+            return;
+        }
+
+        // Oldest first: applied steps, then undone steps in the order redo would apply them
+        const steps = history.undoStack.concat(history.redoStack.slice().reverse());
+        const applied = history.undoStack.length;
+
+        const addRow = (label, count, state) => {
+            const row = document.createElement('div');
+            row.textContent = label;
+            row.title = state === 'undone' ? 'Redo to here' : 'Undo to here';
+            row.style.cssText = `
+                padding: 3px 6px;
+                cursor: pointer;
+                border-radius: 3px;
+                ${state === 'current' ? 'background: #0078d4; color: #fff;' : ''}
+                ${state === 'undone' ? 'color: #777; font-style: italic;' : ''}
+            `;
+            row.addEventListener('click', () => history.goTo(count));
+            this.list.appendChild(row);
+        };
+
+        addRow('Scene opened', 0, applied === 0 ? 'current' : 'applied');
+        steps.forEach((command, i) => {
+            const count = i + 1;
+            const state = count === applied ? 'current' : (count > applied ? 'undone' : 'applied');
+            addRow(command.label || 'Edit', count, state);
+        });
+
+        const undoButton = this.getComponent('history-undo');
+        const redoButton = this.getComponent('history-redo');
+        if (undoButton) undoButton.disabled = !history.canUndo;
+        if (redoButton) redoButton.disabled = !history.canRedo;
+    }
+
+    onShow() {
+        if (this.history && !this.unsubscribe) {
+            this.unsubscribe = this.history.onChange(() => this.render());
+        }
+        this.render();
+    }
+
+    onHide() {
+        if (this.unsubscribe) {
+            this.unsubscribe();
+            this.unsubscribe = null;
+        }
+    }
+}
+
+// Register the window globally
+window.HistoryWindow = HistoryWindow;
+
+// Auto-register with FileBrowser when it's ready
+window.addEventListener('load', () => {
+    setTimeout(() => {
+        if (window.fileBrowser && window.fileBrowser.registerEditorWindow) {
+            window.fileBrowser.registerEditorWindow(HistoryWindow);
+        }
+    }, 1000);
+});
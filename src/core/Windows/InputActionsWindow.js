@@ -0,0 +1,428 @@
+/**
+ * InputActionsWindow - Editor for the project's Input Actions asset
+ *
+ * The asset is a JSON file ({ version, actions: { name: [bindings] } }) stored in the
+ * FileBrowser, so it is saved with the project and embedded by ExportManager. Modules
+ * refer to actions by name (the Inspector 'action' property type), and players can
+ * rebind them at runtime with the InputSettingsMenu module.
+ */
+class InputActionsWindow extends EditorWindow {
+    static icon = "fa-gamepad";
+    static color = "#8e44ad";
+    static description = "Edit the project's input actions and their bindings";
+
+    // Where the project's Input Actions asset lives in the FileBrowser
+    static defaultPath = '/InputActions.inputactions';
+
+    /**
+     * Create the window
+     * @param {string} [filePath] - Asset to edit (defaults to the project asset)
+     */
+    constructor(filePath = InputActionsWindow.defaultPath) {
+        super("Input Actions", {
+            width: 640,
+            height: 560,
+            resizable: true,
+            modal: false,
+            className: 'input-actions-window'
+        });
+
+        this.filePath = typeof filePath === 'string' ? filePath : InputActionsWindow.defaultPath;
+        this.actions = {};          // name -> Array<string> bindings being edited
+        this.dirty = false;
+        this.stopCapture = null;    // Cancels a pending "listen" capture
+
+        this.setupUI();
+        this.load();
+    }
+
+    /**
+     * Load the project's Input Actions asset into window.input, or fall back to the
+     * built-in defaults when the project has none
+     * @returns {Promise<boolean>} True if an asset was loaded
+     */
+    static async loadProjectActions() {
+        if (!window.input) return false;
+
+        const content = window.fileBrowser ? await window.fileBrowser.readFile(InputActionsWindow.defaultPath) : null;
+        if (content) {
+            try {
+                window.input.loadActionMap(typeof content === 'string' ? JSON.parse(content) : content, false);
+                return true;
+            } catch (error) {
+                console.error('Failed to load Input Actions asset:', error);
+            }
+        }
+
+        window.input.projectActions = null;
+        window.input.resetActions();
+        return false;
+    }
+
+    setupUI() {
+        this.clearContent();
+
+        const toolbar = document.createElement('div');
+        toolbar.style.cssText = `
+            display: flex;
+            align-items: center;
+            gap: 4px;
+            margin-bottom: 12px;
+            padding-bottom: 8px;
+            border-bottom: 1px solid #444;
+        `;
+        toolbar.appendChild(this.addButton('ia-add-action', 'Add Action', { onClick: () => this.addAction() }));
+        toolbar.appendChild(this.addButton('ia-defaults', 'Reset to Defaults', {
+            onClick: () => this.resetToDefaults(),
+            style: 'background: #555;'
+        }));
+        toolbar.appendChild(this.addButton('ia-save', 'Save', { onClick: () => this.save() }));
+
+        this.statusLabel = document.createElement('span');
+        this.statusLabel.style.cssText = 'margin-left: auto; font-size: 12px; color: #aaa;';
+        toolbar.appendChild(this.statusLabel);
+        this.addContent(toolbar);
+
+        const help = document.createElement('div');
+        help.style.cssText = 'font-size: 12px; color: #999; margin-bottom: 12px;';
+        help.textContent = 'Bindings: key:space, mouse:left, gamepad:a, axis:0, axis:1-, stick:joystick.x. ' +
+            'Prefix with "-" to invert, suffix "@1" for a specific gamepad.';
+        this.addContent(help);
+
+        this.list = document.createElement('div');
+        this.addContent(this.list);
+    }
+
+    /**
+     * Read the asset file, or start from the current runtime actions if it doesn't exist yet
+     */
+    async load() {
+        let map = null;
+        try {
+            const content = window.fileBrowser ? await window.fileBrowser.readFile(this.filePath) : null;
+            if (content) {
+                map = typeof content === 'string' ? JSON.parse(content) : content;
+            }
+        } catch (error) {
+            this.handleError(error, 'Failed to read Input Actions asset');
+        }
+
+        if (!map && window.input) {
+            map = window.input.getActionMap();
+        }
+        if (!map) {
+            map = { actions: InputManager.defaultActions };
+        }
+
+        this.actions = {};
+        for (const name of Object.keys(map.actions || {})) {
+            this.actions[name] = (map.actions[name] || []).slice();
+        }
+        this.setDirty(false);
+        this.renderActions();
+    }
+
+    /**
+     * Write the asset file and apply it to window.input
+     */
+    async save() {
+        const map = { version: InputManager.ACTION_MAP_VERSION, actions: this.actions };
+
+        try {
+            const saved = await window.fileBrowser.writeFile(this.filePath, JSON.stringify(map, null, 2));
+            if (saved === false) {
+                throw new Error(`Could not write ${this.filePath}`);
+            }
+        } catch (error) {
+            this.handleError(error, 'Failed to save Input Actions asset');
+            return;
+        }
+
+        if (window.input && this.filePath === InputActionsWindow.defaultPath) {
+            window.input.loadActionMap(map, false);
+        }
+
+        this.setDirty(false);
+        window.fileBrowser.showNotification?.('Input actions saved', 'success');
+    }
+
+    setDirty(dirty) {
+        this.dirty = dirty;
+        this.statusLabel.textContent = dirty ? 'Unsaved changes' : this.filePath;
+    }
+
+    addAction() {
+        let name = 'newAction';
+        for (let i = 2; this.actions[name]; i++) {
+            name = `newAction${i}`;
+        }
+        this.actions[name] = [];
+        this.setDirty(true);
+        this.renderActions();
+    }
+
+    resetToDefaults() {
+        if (!confirm('Replace all actions with the built-in defaults?')) return;
+
+        this.actions = InputManager.defaultActions;
+        this.setDirty(true);
+        this.renderActions();
+    }
+
+    renameAction(oldName, newName) {
+        newName = newName.trim();
+        if (!newName || newName === oldName) return;
+        if (this.actions[newName]) {
+            alert(`An action named "${newName}" already exists`);
+            this.renderActions();
+            return;
+        }
+
+        // Rebuild the object so the renamed action keeps its position in the list
+        const actions = {};
+        for (const name of Object.keys(this.actions)) {
+            actions[name === oldName ? newName : name] = this.actions[name];
+        }
+        this.actions = actions;
+        this.setDirty(true);
+        this.renderActions();
+    }
+
+    removeAction(name) {
+        delete this.actions[name];
+        this.setDirty(true);
+        this.renderActions();
+    }
+
+    /**
+     * Add a binding to an action after checking that it parses
+     * @param {string} name - Action name
+     * @param {string} text - Binding string
+     * @returns {boolean} True if the binding was added
+     */
+    addBinding(name, text) {
+        const binding = InputManager.parseBinding(text.trim());
+        if (!binding) {
+            alert(`"${text}" is not a valid binding`);
+            return false;
+        }
+
+        const formatted = InputManager.formatBinding(binding);
+        if (!this.actions[name].includes(formatted)) {
+            this.actions[name].push(formatted);
+            this.setDirty(true);
+        }
+        this.renderActions();
+        return true;
+    }
+
+    removeBinding(name, index) {
+        this.actions[name].splice(index, 1);
+        this.setDirty(true);
+        this.renderActions();
+    }
+
+    renderActions() {
+        this.list.innerHTML = '';
+
+        const names = Object.keys(this.actions);
+        if (names.length === 0) {
+            this.list.innerHTML = '<div style="color: #888; padding: 12px;">No actions. Click "Add Action" to create one.</div>';
+            return;
+        }
+
+        for (const name of names) {
+            this.list.appendChild(this.createActionRow(name));
+        }
+    }
+
+    createActionRow(name) {
+        const row = document.createElement('div');
+        row.style.cssText = `
+            background: #2b2b2b;
+            border: 1px solid #444;
+            border-radius: 4px;
+            padding: 8px;
+            margin-bottom: 8px;
+        `;
+
+        const header = document.createElement('div');
+        header.style.cssText = 'display: flex; align-items: center; gap: 8px; margin-bottom: 6px;';
+
+        const nameInput = document.createElement('input');
+        nameInput.type = 'text';
+        nameInput.value = name;
+        nameInput.style.cssText = 'flex: 1; background: #1e1e1e; color: #fff; border: 1px solid #555; padding: 4px; font-weight: bold;';
+        nameInput.addEventListener('change', () => this.renameAction(name, nameInput.value));
+        header.appendChild(nameInput);
+
+        const removeButton = document.createElement('button');
+        removeButton.innerHTML = '<i class="fas fa-trash"></i>';
+        removeButton.title = 'Remove action';
+        removeButton.style.cssText = 'background: #a33; color: #fff; border: none; border-radius: 3px; padding: 4px 8px; cursor: pointer;';
+        removeButton.addEventListener('click', () => this.removeAction(name));
+        header.appendChild(removeButton);
+        row.appendChild(header);
+
+        const chips = document.createElement('div');
+        chips.style.cssText = 'display: flex; flex-wrap: wrap; gap: 4px; margin-bottom: 6px;';
+        this.actions[name].forEach((binding, index) => {
+            const chip = document.createElement('span');
+            chip.style.cssText = 'background: #3a3a5a; color: #ddd; border-radius: 3px; padding: 2px 6px; font-size: 12px; font-family: monospace;';
+            chip.textContent = binding + ' ';
+
+            const remove = document.createElement('a');
+            remove.textContent = '×';
+            remove.title = 'Remove binding';
+            remove.style.cssText = 'cursor: pointer; color: #f88; margin-left: 2px;';
+            remove.addEventListener('click', () => this.removeBinding(name, index));
+            chip.appendChild(remove);
+            chips.appendChild(chip);
+        });
+        row.appendChild(chips);
+
+        const addRow = document.createElement('div');
+        addRow.style.cssText = 'display: flex; gap: 4px;';
+
+        const bindingInput = document.createElement('input');
+        bindingInput.type = 'text';
+        bindingInput.placeholder = 'e.g. key:space or gamepad:a';
+        bindingInput.style.cssText = 'flex: 1; background: #1e1e1e; color: #fff; border: 1px solid #555; padding: 4px; font-family: monospace;';
+        bindingInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && bindingInput.value.trim()) {
+                this.addBinding(name, bindingInput.value);
+            }
+        });
+        addRow.appendChild(bindingInput);
+
+        const addButton = document.createElement('button');
+        addButton.textContent = 'Add';
+        addButton.style.cssText = 'background: #0078d4; color: #fff; border: none; border-radius: 3px; padding: 4px 10px; cursor: pointer;';
+        addButton.addEventListener('click', () => {
+            if (bindingInput.value.trim()) this.addBinding(name, bindingInput.value);
+        });
+        addRow.appendChild(addButton);
+
+        const listenButton = document.createElement('button');
+        listenButton.textContent = 'Listen';
+        listenButton.title = 'Press a key, mouse button or gamepad button to bind it (Escape cancels)';
+        listenButton.style.cssText = 'background: #555; color: #fff; border: none; border-radius: 3px; padding: 4px 10px; cursor: pointer;';
+        listenButton.addEventListener('click', async () => {
+            listenButton.textContent = 'Press input...';
+            const binding = await this.captureBinding();
+            listenButton.textContent = 'Listen';
+            if (binding) this.addBinding(name, binding);
+        });
+        addRow.appendChild(listenButton);
+
+        row.appendChild(addRow);
+        return row;
+    }
+
+    /**
+     * Wait for a key, mouse button or gamepad input in the editor. Uses DOM events
+     * directly because the engine loop (and InputManager.listenForBinding) isn't
+     * running while editing.
+     * @returns {Promise<string|null>} Binding string, or null if cancelled
+     */
+    captureBinding() {
+        if (this.stopCapture) this.stopCapture(null);
+
+        return new Promise(resolve => {
+            let frame = null;
+            const startButtons = this.readGamepadButtons();
+
+            const finish = (binding) => {
+                window.removeEventListener('keydown', onKey, true);
+                window.removeEventListener('mousedown', onMouse, true);
+                cancelAnimationFrame(frame);
+                this.stopCapture = null;
+                resolve(binding);
+            };
+
+            const onKey = (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                const key = e.key.toLowerCase();
+                finish(key === 'escape' ? null : `key:${key === ' ' ? 'space' : key}`);
+            };
+
+            const onMouse = (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                finish(`mouse:${['left', 'middle', 'right'][e.button] || 'left'}`);
+            };
+
+            const pollGamepads = () => {
+                const pads = navigator.getGamepads ? Array.from(navigator.getGamepads()) : [];
+                const buttonNames = Object.keys(InputManager.gamepad);
+                for (const pad of pads) {
+                    if (!pad) continue;
+                    for (let i = 0; i < pad.buttons.length; i++) {
+                        if (pad.buttons[i].pressed && !startButtons.has(`${pad.index}:${i}`)) {
+                            const name = buttonNames.find(n => InputManager.gamepad[n] === i);
+                            return finish(`gamepad:${name || i}`);
+                        }
+                    }
+                    for (let i = 0; i < pad.axes.length; i++) {
+                        if (Math.abs(pad.axes[i]) > 0.6) {
+                            return finish(`axis:${i}${pad.axes[i] > 0 ? '+' : '-'}`);
+                        }
+                    }
+                }
+                frame = requestAnimationFrame(pollGamepads);
+            };
+
+            this.stopCapture = finish;
+
+            // Start listening after the click that opened the capture has finished
+            setTimeout(() => {
+                if (this.stopCapture !== finish) return;
+                window.addEventListener('keydown', onKey, true);
+                window.addEventListener('mousedown', onMouse, true);
+                frame = requestAnimationFrame(pollGamepads);
+            }, 0);
+        });
+    }
+
+    /**
+     * Gamepad buttons already held, so holding one while clicking "Listen" doesn't bind it
+     * @private
+     */
+    readGamepadButtons() {
+        const held = new Set();
+        const pads = navigator.getGamepads ? Array.from(navigator.getGamepads()) : [];
+        for (const pad of pads) {
+            if (!pad) continue;
+            pad.buttons.forEach((button, i) => {
+                if (button.pressed) held.add(`${pad.index}:${i}`);
+            });
+        }
+        return held;
+    }
+
+    onBeforeClose() {
+        if (this.stopCapture) this.stopCapture(null);
+        if (this.dirty) {
+            return confirm('Discard unsaved input action changes?');
+        }
+        return true;
+    }
+}
+
+// Register the window globally
+window.InputActionsWindow = InputActionsWindow;
+
+// Auto-register with FileBrowser when it's ready
+window.addEventListener('load', () => {
+    setTimeout(() => {
+        if (window.fileBrowser && window.fileBrowser.registerEditorWindow) {
+            window.fileBrowser.registerEditorWindow(InputActionsWindow);
+        }
+
+        // Pick up the asset of the project left open in the FileBrowser
+        InputActionsWindow.loadProjectActions().catch(error => {
+            console.warn('Could not load input actions:', error);
+        });
+    }, 1000);
+});
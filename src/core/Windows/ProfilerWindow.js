@@ -0,0 +1,224 @@
+/**
+ * ProfilerWindow - Live view of window.profiler for the editor
+ *
+ * Keeps the profiler measuring while the window is open, lists the averaged phase and
+ * module timings of the running game, records captures and compares a capture against
+ * one saved earlier (Profiler.compare).
+ */
+class ProfilerWindow extends EditorWindow {
+    static icon = "fa-tachometer-alt";
+    static color = "#16a085";
+    static description = "Frame timing per engine phase and module type";
+
+    constructor() {
+        super("Profiler", {
+            width: 560,
+            height: 600,
+            resizable: true,
+            modal: false,
+            className: 'profiler-window'
+        });
+
+        this.releaseProfiler = null;    // Returned by profiler.retain() while shown
+        this.refreshTimer = null;
+        this.comparison = null;         // { name, result } from the last compare
+
+        this.setupUI();
+    }
+
+    setupUI() {
+        this.clearContent();
+
+        const toolbar = document.createElement('div');
+        toolbar.style.cssText = `
+            display: flex;
+            align-items: center;
+            gap: 4px;
+            margin-bottom: 12px;
+            padding-bottom: 8px;
+            border-bottom: 1px solid #444;
+        `;
+        this.captureButton = this.addButton('profiler-capture', 'Start Capture', { onClick: () => this.toggleCapture() });
+        toolbar.appendChild(this.captureButton);
+        toolbar.appendChild(this.addButton('profiler-export', 'Export', { onClick: () => this.exportCapture() }));
+        toolbar.appendChild(this.addButton('profiler-compare', 'Compare With File...', {
+            onClick: () => this.compareWithFile(),
+            style: 'background: #555;'
+        }));
+        toolbar.appendChild(this.addButton('profiler-overlay', 'Toggle Overlay', {
+            onClick: () => window.profiler && window.profiler.toggleOverlay(),
+            style: 'background: #555;'
+        }));
+        this.addContent(toolbar);
+
+        this.body = document.createElement('div');
+        this.body.style.cssText = 'font-family: monospace; font-size: 12px; color: #ddd;';
+        this.addContent(this.body);
+
+        this.render();
+    }
+
+    /**
+     * Redraw the tables from the profiler's averaged stats
+     */
+    render() {
+        const profiler = window.profiler;
+        if (!this.body) return;
+        if (!profiler) {
+            this.body.textContent = 'Profiler.js is not loaded.';
+            return;
+        }
+
+        if (this.captureButton) {
+            this.captureButton.textContent = profiler.capturing ? 'Stop Capture' : 'Start Capture';
+        }
+
+        const stats = profiler.stats;
+        const running = window.engine && window.engine.running;
+        const fps = stats.delta > 0 ? Math.round(1000 / stats.delta) : 0;
+        let html = '';
+
+        if (!running) {
+            html += '<div style="color: #aaa; margin-bottom: 8px;">Start the game to collect timings.</div>';
+        }
+        html += `<div style="margin-bottom: 8px;">${fps} FPS &nbsp; CPU ${stats.cpu.toFixed(2)} ms &nbsp; ` +
+            `Draw calls ${Math.round(stats.drawCalls)} &nbsp; Objects ${stats.objects}</div>`;
+        if (profiler.capturing && profiler.capture) {
+            html += `<div style="color: #e74c3c; margin-bottom: 8px;">Capturing (${profiler.capture.frames.length} frames)</div>`;
+        } else if (profiler.lastCapture) {
+            const summary = profiler.lastCapture.summary;
+            html += `<div style="color: #aaa; margin-bottom: 8px;">Last capture: ${summary.frames} frames, ` +
+                `avg ${summary.avgCpu.toFixed(2)} ms, p95 ${summary.p95Cpu.toFixed(2)} ms</div>`;
+        }
+
+        html += this.renderTable('Phase', 'ms / frame',
+            Object.keys(stats.phases).map(phase => [phase, stats.phases[phase].toFixed(3)]));
+        html += this.renderTable('Module', 'ms / frame', stats.modules.map(entry => [
+            `${this.escape(entry.type)} <span style="color: #888;">×${Math.round(entry.calls)}</span>`,
+            entry.time.toFixed(3)
+        ]));
+
+        if (this.comparison) {
+            const result = this.comparison.result;
+            const delta = (value) => {
+                const color = value > 0 ? '#e74c3c' : '#2ecc71';
+                return `<span style="color: ${color};">${value > 0 ? '+' : ''}${value.toFixed(3)}</span>`;
+            };
+            html += `<div style="margin: 12px 0 4px; color: #fff;">Compared with ${this.escape(this.comparison.name)}</div>`;
+            html += `<div style="margin-bottom: 6px;">Avg CPU ${delta(result.summary.avgCpu)} ms, ` +
+                `p95 ${delta(result.summary.p95Cpu)} ms, draw calls ${delta(result.summary.avgDrawCalls)}</div>`;
+            html += this.renderTable('Phase', 'Δ ms',
+                Object.keys(result.phases).map(phase => [phase, delta(result.phases[phase])]));
+            html += this.renderTable('Module', 'Δ ms', result.modules.map(entry => [
+                this.escape(entry.type),
+                delta(entry.delta)
+            ]));
+        }
+
+        this.body.innerHTML = html;
+    }
+
+    /**
+     * @private
+     */
+    renderTable(nameHeader, valueHeader, rows) {
+        if (rows.length === 0) return '';
+        const cell = 'padding: 2px 6px; border-bottom: 1px solid #333;';
+        let html = `<table style="width: 100%; border-collapse: collapse; margin-bottom: 10px;">` +
+            `<tr><th style="${cell} text-align: left;">${nameHeader}</th><th style="${cell} text-align: right;">${valueHeader}</th></tr>`;
+        rows.forEach(([name, value]) => {
+            html += `<tr><td style="${cell}">${name}</td><td style="${cell} text-align: right;">${value}</td></tr>`;
+        });
+        return html + '</table>';
+    }
+
+    /**
+     * @private
+     */
+    escape(text) {
+        const div = document.createElement('div');
+        div.textContent = String(text);
+        return div.innerHTML;
+    }
+
+    toggleCapture() {
+        const profiler = window.profiler;
+        if (!profiler) return;
+
+        if (profiler.capturing) {
+            profiler.stopCapture();
+        } else {
+            profiler.startCapture(window.engine && window.engine.scene ? window.engine.scene.name : '');
+        }
+        this.render();
+    }
+
+    exportCapture() {
+        const profiler = window.profiler;
+        if (!profiler) return;
+        if (profiler.capturing) profiler.stopCapture();
+        profiler.exportCapture(profiler.lastCapture, `profile-${Date.now()}.json`);
+    }
+
+    /**
+     * Pick an exported capture and compare the last capture against it
+     */
+    compareWithFile() {
+        const profiler = window.profiler;
+        if (!profiler || !profiler.lastCapture) {
+            alert('Record a capture first, then compare it with a saved one.');
+            return;
+        }
+
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json,application/json';
+        input.onchange = async () => {
+            const file = input.files && input.files[0];
+            if (!file) return;
+            try {
+                const before = JSON.parse(await file.text());
+                if (!before.summary || !before.modules) throw new Error('Not a profiler capture');
+                this.comparison = { name: file.name, result: Profiler.compare(before, profiler.lastCapture) };
+                this.render();
+            } catch (error) {
+                console.error('Failed to compare profiler captures:', error);
+                alert(`Could not read ${file.name}: ${error.message}`);
+            }
+        };
+        input.click();
+    }
+
+    onShow() {
+        if (window.profiler && !this.releaseProfiler) {
+            this.releaseProfiler = window.profiler.retain();
+        }
+        if (!this.refreshTimer) {
+            this.refreshTimer = setInterval(() => this.render(), 500);
+        }
+        this.render();
+    }
+
+    onHide() {
+        if (this.releaseProfiler) {
+            this.releaseProfiler();
+            this.releaseProfiler = null;
+        }
+        if (this.refreshTimer) {
+            clearInterval(this.refreshTimer);
+            this.refreshTimer = null;
+        }
+    }
+}
+
+// Register the window globally
+window.ProfilerWindow = ProfilerWindow;
+
+// Auto-register with FileBrowser when it's ready
+window.addEventListener('load', () => {
+    setTimeout(() => {
+        if (window.fileBrowser && window.fileBrowser.registerEditorWindow) {
+            window.fileBrowser.registerEditorWindow(ProfilerWindow);
+        }
+    }, 1000);
+});
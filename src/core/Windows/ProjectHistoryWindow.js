@@ -0,0 +1,336 @@
+/**
+ * ProjectHistoryWindow - Browses the project's snapshots (window.projectSnapshots)
+ *
+ * Lists the snapshots with the scenes and modules each one changed. Selecting a snapshot
+ * compares it with the current scenes, or with a second snapshot picked with Ctrl/Shift-click.
+ * Scenes and objects of the older snapshot can be restored from the comparison.
+ */
+class ProjectHistoryWindow extends EditorWindow {
+    static icon = "fa-clock-rotate-left";
+    static color = "#16a085";
+    static description = "Browse, compare and restore project snapshots";
+
+    constructor() {
+        super("Version History", {
+            width: 640,
+            height: 520,
+            resizable: true,
+            modal: false,
+            className: 'project-history-window'
+        });
+
+        this.selected = [];         // Up to two snapshot ids, older one first after sorting
+        this.snapshots = [];
+        this.unsubscribe = null;    // Returned by projectSnapshots.onChange() while shown
+
+        this.setupUI();
+    }
+
+    get snapshotManager() {
+        return window.projectSnapshots || null;
+    }
+
+    setupUI() {
+        this.clearContent();
+
+        const toolbar = document.createElement('div');
+        toolbar.style.cssText = `
+            display: flex;
+            align-items: center;
+            gap: 6px;
+            margin-bottom: 8px;
+            padding-bottom: 8px;
+            border-bottom: 1px solid #444;
+            font-size: 12px;
+            color: #ccc;
+        `;
+        toolbar.appendChild(this.addButton('snapshot-take', 'Take Snapshot', { onClick: () => this.takeSnapshot() }));
+
+        const manager = this.snapshotManager;
+        this.maxInput = this.createNumberInput(manager ? manager.maxSnapshots : 20, 1);
+        this.intervalInput = this.createNumberInput(manager ? manager.intervalMinutes : 5, 0);
+        const applySettings = () => manager && manager.configure({
+            maxSnapshots: Number(this.maxInput.value),
+            intervalMinutes: Number(this.intervalInput.value)
+        });
+        this.maxInput.addEventListener('change', applySettings);
+        this.intervalInput.addEventListener('change', applySettings);
+
+        toolbar.appendChild(document.createTextNode('Keep'));
+        toolbar.appendChild(this.maxInput);
+        toolbar.appendChild(document.createTextNode('every'));
+        toolbar.appendChild(this.intervalInput);
+        toolbar.appendChild(document.createTextNode('min (0 = manual only)'));
+        this.addContent(toolbar);
+
+        const body = document.createElement('div');
+        body.style.cssText = 'display: flex; gap: 8px; height: calc(100% - 48px); font-size: 12px; color: #ddd;';
+
+        this.list = document.createElement('div');
+        this.list.style.cssText = 'flex: 0 0 240px; overflow-y: auto; border-right: 1px solid #444; padding-right: 6px;';
+        this.details = document.createElement('div');
+        this.details.style.cssText = 'flex: 1; overflow-y: auto;';
+
+        body.appendChild(this.list);
+        body.appendChild(this.details);
+        this.addContent(body);
+
+        this.render();
+    }
+
+    createNumberInput(value, min) {
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.min = min;
+        input.value = value;
+        input.style.cssText = 'width: 48px; background: #333; color: #ddd; border: 1px solid #555; border-radius: 3px;';
+        return input;
+    }
+
+    async takeSnapshot() {
+        const manager = this.snapshotManager;
+        if (!manager) return;
+
+        const label = prompt('Snapshot name:', 'Snapshot');
+        if (label === null) return;
+        try {
+            await manager.capture({ label: label || 'Snapshot', force: true });
+        } catch (error) {
+            console.error('Error taking snapshot:', error);
+            this.notify(`Could not take a snapshot: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Rebuild the snapshot list and the comparison
+     */
+    async render() {
+        if (!this.list) return;
+
+        const manager = this.snapshotManager;
+        if (!manager || !window.editor) {
+            this.list.textContent = 'Version history is not available.';
+            return;
+        }
+
+        this.snapshots = await manager.list();
+        this.selected = this.selected.filter(id => this.snapshots.some(meta => meta.id === id));
+        this.list.innerHTML = '';
+
+        if (this.snapshots.length === 0) {
+            this.list.textContent = 'No snapshots yet.';
+        }
+
+        this.snapshots.forEach(meta => {
+            const row = document.createElement('div');
+            const isSelected = this.selected.includes(meta.id);
+            row.title = 'Click to compare with the current scenes, Ctrl/Shift-click to compare two snapshots';
+            row.style.cssText = `
+                padding: 4px 6px;
+                margin-bottom: 2px;
+                cursor: pointer;
+                border-radius: 3px;
+                ${isSelected ? 'background: #0078d4; color: #fff;' : ''}
+            `;
+
+            const changes = meta.changes || { scenes: [], modules: [] };
+            const changed = [];
+            if (changes.scenes.length > 0) changed.push(`Scenes: ${changes.scenes.join(', ')}`);
+            if (changes.modules.length > 0) changed.push(`Modules: ${changes.modules.join(', ')}`);
+
+            row.innerHTML = `
+                <div style="display: flex; justify-content: space-between; gap: 4px;">
+                    <strong></strong>
+                    <span style="opacity: 0.7;">${new Date(meta.timestamp).toLocaleString()}</span>
+                </div>
+                <div style="opacity: 0.75; font-size: 11px;"></div>
+            `;
+            row.querySelector('strong').textContent = meta.label + (meta.auto ? '' : ' ★');
+            row.lastElementChild.textContent = changed.join(' · ') || 'No changes';
+
+            row.addEventListener('click', (e) => this.select(meta.id, e.ctrlKey || e.metaKey || e.shiftKey));
+            row.addEventListener('contextmenu', async (e) => {
+                e.preventDefault();
+                if (confirm(`Delete snapshot "${meta.label}"?`)) await manager.delete(meta.id);
+            });
+            this.list.appendChild(row);
+        });
+
+        await this.renderDiff();
+    }
+
+    select(id, addToSelection) {
+        if (addToSelection && this.selected.length > 0 && !this.selected.includes(id)) {
+            this.selected = [this.selected[this.selected.length - 1], id];
+        } else {
+            this.selected = [id];
+        }
+        this.render();
+    }
+
+    async renderDiff() {
+        this.details.innerHTML = '';
+        if (this.selected.length === 0) {
+            this.details.textContent = 'Select a snapshot to see what changed since.';
+            return;
+        }
+
+        // The list is newest first, compare the older snapshot against the newer one
+        const order = id => this.snapshots.findIndex(meta => meta.id === id);
+        const [fromId, toId] = this.selected.slice().sort((a, b) => order(b) - order(a));
+        const labelOf = id => {
+            const meta = this.snapshots.find(m => m.id === id);
+            return meta ? `${meta.label} (${new Date(meta.timestamp).toLocaleString()})` : id;
+        };
+
+        let diff;
+        try {
+            diff = await this.snapshotManager.diff(fromId, toId || null);
+        } catch (error) {
+            this.details.textContent = `Could not compare: ${error.message}`;
+            return;
+        }
+
+        const heading = document.createElement('div');
+        heading.style.cssText = 'margin-bottom: 8px; color: #aaa;';
+        heading.textContent = `${labelOf(fromId)} → ${toId ? labelOf(toId) : 'current scenes'}`;
+        this.details.appendChild(heading);
+
+        const scenes = diff.scenes.filter(scene => scene.status !== 'unchanged');
+        if (scenes.length === 0) {
+            this.details.appendChild(document.createTextNode('No differences.'));
+        }
+        scenes.forEach(scene => this.details.appendChild(this.createSceneDiff(fromId, scene)));
+    }
+
+    createSceneDiff(snapshotId, scene) {
+        const section = document.createElement('div');
+        section.style.cssText = 'margin-bottom: 10px; border: 1px solid #444; border-radius: 4px; padding: 6px;';
+
+        const header = document.createElement('div');
+        header.style.cssText = 'display: flex; align-items: center; justify-content: space-between; margin-bottom: 4px;';
+        const title = document.createElement('strong');
+        title.textContent = `${scene.name} (${scene.status})`;
+        header.appendChild(title);
+        if (scene.status !== 'added') {
+            header.appendChild(this.createRestoreButton('Restore Scene', async () => {
+                if (!confirm(`Replace scene "${scene.name}" with its state in this snapshot?`)) return;
+                await this.snapshotManager.restoreScene(snapshotId, scene.name);
+                this.notify(`Restored scene ${scene.name}`, 'success');
+            }));
+        }
+        section.appendChild(header);
+
+        scene.properties.forEach(change => section.appendChild(this.createChangeLine(change)));
+
+        const addGroup = (label, color, entries, restorable) => {
+            entries.forEach(entry => {
+                const row = document.createElement('div');
+                row.style.cssText = 'margin-top: 4px;';
+
+                const line = document.createElement('div');
+                line.style.cssText = `display: flex; align-items: center; justify-content: space-between; color: ${color};`;
+                const name = document.createElement('span');
+                name.textContent = `${label} ${entry.path}`;
+                line.appendChild(name);
+                if (restorable && scene.status === 'changed') {
+                    // Changed objects are restored from where they were in the older snapshot
+                    const key = entry.fromPath || entry.path;
+                    line.appendChild(this.createRestoreButton('Restore', async () => {
+                        await this.snapshotManager.restoreGameObject(snapshotId, scene.name, key);
+                        this.notify(`Restored ${entry.name}`, 'success');
+                    }));
+                }
+                row.appendChild(line);
+
+                (entry.properties || []).forEach(change => row.appendChild(this.createChangeLine(change)));
+                if (entry.modules) {
+                    entry.modules.added.forEach(type => row.appendChild(this.createNote(`+ module ${type}`, '#6c6')));
+                    entry.modules.removed.forEach(type => row.appendChild(this.createNote(`− module ${type}`, '#e66')));
+                    entry.modules.changed.forEach(module => {
+                        module.properties.forEach(change => {
+                            row.appendChild(this.createChangeLine({ ...change, path: `${module.type}.${change.path}` }));
+                        });
+                    });
+                }
+                section.appendChild(row);
+            });
+        };
+
+        addGroup('+', '#6c6', scene.objects.added, false);
+        addGroup('−', '#e66', scene.objects.removed, true);
+        addGroup('~', '#fc6', scene.objects.changed, true);
+        return section;
+    }
+
+    createChangeLine(change) {
+        const format = value => {
+            if (value === undefined) return '—';
+            const text = JSON.stringify(value);
+            return text.length > 60 ? `${text.substring(0, 57)}...` : text;
+        };
+        return this.createNote(`${change.path}: ${format(change.before)} → ${format(change.after)}`, '#bbb');
+    }
+
+    createNote(text, color) {
+        const note = document.createElement('div');
+        note.style.cssText = `padding-left: 14px; font-size: 11px; color: ${color}; word-break: break-all;`;
+        note.textContent = text;
+        return note;
+    }
+
+    createRestoreButton(text, action) {
+        const button = document.createElement('button');
+        button.textContent = text;
+        button.style.cssText = 'font-size: 11px; padding: 1px 6px; background: #555; color: #fff; border: none; border-radius: 3px; cursor: pointer;';
+        button.addEventListener('click', async () => {
+            try {
+                await action();
+            } catch (error) {
+                console.error('Error restoring from snapshot:', error);
+                this.notify(`Could not restore: ${error.message}`, 'error');
+            }
+            this.render();
+        });
+        return button;
+    }
+
+    notify(message, type) {
+        if (window.editor && window.editor.fileBrowser) {
+            window.editor.fileBrowser.showNotification(message, type);
+        } else {
+            console.log(message);
+        }
+    }
+
+    onShow() {
+        const manager = this.snapshotManager;
+        if (manager && !this.unsubscribe) {
+            this.unsubscribe = manager.onChange(() => this.render());
+        }
+        if (manager) {
+            this.maxInput.value = manager.maxSnapshots;
+            this.intervalInput.value = manager.intervalMinutes;
+        }
+        this.render();
+    }
+
+    onHide() {
+        if (this.unsubscribe) {
+            this.unsubscribe();
+            this.unsubscribe = null;
+        }
+    }
+}
+
+// Register the window globally
+window.ProjectHistoryWindow = ProjectHistoryWindow;
+
+// Auto-register with FileBrowser when it's ready
+window.addEventListener('load', () => {
+    setTimeout(() => {
+        if (window.fileBrowser && window.fileBrowser.registerEditorWindow) {
+            window.fileBrowser.registerEditorWindow(ProjectHistoryWindow);
+        }
+    }, 1000);
+});
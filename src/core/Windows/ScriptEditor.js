@@ -1676,6 +1676,30 @@ class ScriptEditor {
                 params: [{ name: 'button', type: 'string', description: 'Mouse button to check' }],
                 returns: { type: 'boolean', description: 'True if button was just released' }
             },
+            {
+                name: 'actionPressed',
+                description: 'Check if a named action (jump, fire...) was just pressed by any bound key, button or stick',
+                type: 'function',
+                example: 'if (window.input.actionPressed("jump")) { /* jump */ }',
+                params: [{ name: 'name', type: 'string', description: 'Action name' }],
+                returns: { type: 'boolean', description: 'True if the action was just pressed' }
+            },
+            {
+                name: 'getActionValue',
+                description: 'Get the value of a named action such as moveX, from -1 to 1',
+                type: 'function',
+                example: 'const moveX = window.input.getActionValue("moveX");',
+                params: [{ name: 'name', type: 'string', description: 'Action name' }],
+                returns: { type: 'number', description: 'Action value' }
+            },
+            {
+                name: 'gamepadButtonDown',
+                description: 'Check if a gamepad button is currently held',
+                type: 'function',
+                example: 'if (window.input.gamepadButtonDown("a")) { /* charge */ }',
+                params: [{ name: 'button', type: 'string', description: 'Gamepad button name or index' }],
+                returns: { type: 'boolean', description: 'True if the button is down' }
+            },
             {
                 name: 'mousePosition',
                 description: 'Current mouse position in world coordinates',
@@ -30,6 +30,9 @@ class SettingsModal {
             // Performance settings
             maxFPS: 120,
             enableVSync: true,
+            useFixedTimestep: false,
+            fixedTickRate: 60,
+            randomSeed: '',
 
             // Export settings
             exportFormat: 'html5',
@@ -43,6 +46,9 @@ class SettingsModal {
             // Debug settings
             showFPS: false,
             showDebugInfo: false,
+            showSpatialHash: false,
+            showObjectPools: false,
+            showProfiler: false,
             enableConsoleLogging: true
         };
     }
@@ -79,6 +85,11 @@ class SettingsModal {
             window.engine.renderConfig.smoothing = this.settings.smoothing;
             window.engine.renderConfig.pixelPerfect = this.settings.pixelPerfect;
             window.engine.setVSync(this.settings.enableVSync);
+            window.engine.setFixedTimestep(this.settings.useFixedTimestep, this.settings.fixedTickRate || 60);
+            window.engine.setRandomSeed(RandomService.parseSeed(this.settings.randomSeed));
+            window.engine.debugSpatialHash = !!this.settings.showSpatialHash;
+            window.engine.debugPools = !!this.settings.showObjectPools;
+            if (window.profiler) window.profiler.toggleOverlay(!!this.settings.showProfiler);
             window.engine.useWebGL = (this.settings.canvasContext === 'webgl' || false);
         }
 
@@ -239,6 +250,27 @@ class SettingsModal {
                                 </label>
                                 <div class="setting-description">Synchronize frame rate with display refresh rate</div>
                             </div>
+                            <div class="settings-group">
+                                <label>
+                                    <input type="checkbox" id="setting-fixed-timestep" ${this.settings.useFixedTimestep ? 'checked' : ''}>
+                                    Fixed Timestep Simulation
+                                </label>
+                                <div class="setting-description">Run fixedLoop() at a constant tick rate so physics behaves the same at any frame rate</div>
+                            </div>
+                            <div class="settings-group">
+                                <label>Fixed Tick Rate:</label>
+                                <select id="setting-fixed-tick-rate">
+                                    <option value="30" ${this.settings.fixedTickRate === 30 ? 'selected' : ''}>30 Hz</option>
+                                    <option value="50" ${this.settings.fixedTickRate === 50 ? 'selected' : ''}>50 Hz</option>
+                                    <option value="60" ${(this.settings.fixedTickRate || 60) === 60 ? 'selected' : ''}>60 Hz</option>
+                                    <option value="120" ${this.settings.fixedTickRate === 120 ? 'selected' : ''}>120 Hz</option>
+                                </select>
+                            </div>
+                            <div class="settings-group">
+                                <label>Random Seed:</label>
+                                <input type="text" id="setting-random-seed" value="${this.settings.randomSeed || ''}" placeholder="New seed each run">
+                                <div class="setting-description">Seed for MatterMath.random and procedural modules. The same seed generates the same world every run</div>
+                            </div>
                         </div>
 
                         <!-- Export Settings -->
@@ -282,6 +314,27 @@ class SettingsModal {
                                     Show Debug Information
                                 </label>
                             </div>
+                            <div class="settings-group">
+                                <label>
+                                    <input type="checkbox" id="setting-show-spatial-hash" ${this.settings.showSpatialHash ? 'checked' : ''}>
+                                    Show Spatial Hash Cells
+                                </label>
+                                <div class="setting-description">Overlay the collision broad-phase grid and object counts while the game runs</div>
+                            </div>
+                            <div class="settings-group">
+                                <label>
+                                    <input type="checkbox" id="setting-show-object-pools" ${this.settings.showObjectPools ? 'checked' : ''}>
+                                    Show Object Pools
+                                </label>
+                                <div class="setting-description">List each pool's objects in use, idle, created and reused while the game runs</div>
+                            </div>
+                            <div class="settings-group">
+                                <label>
+                                    <input type="checkbox" id="setting-show-profiler" ${this.settings.showProfiler ? 'checked' : ''}>
+                                    Show Profiler
+                                </label>
+                                <div class="setting-description">Overlay frame times, per-phase and per-module timing and draw calls (toggle in game with F3, capture with F4)</div>
+                            </div>
                             <div class="settings-group">
                                 <label>
                                     <input type="checkbox" id="setting-console-logging" ${this.settings.enableConsoleLogging ? 'checked' : ''}>
@@ -409,6 +462,9 @@ class SettingsModal {
 
         this.settings.maxFPS = parseInt(this.modal.querySelector('#setting-max-fps').value);
         this.settings.enableVSync = this.modal.querySelector('#setting-vsync').checked;
+        this.settings.useFixedTimestep = this.modal.querySelector('#setting-fixed-timestep').checked;
+        this.settings.fixedTickRate = parseInt(this.modal.querySelector('#setting-fixed-tick-rate').value) || 60;
+        this.settings.randomSeed = this.modal.querySelector('#setting-random-seed').value.trim();
 
         this.settings.exportFormat = this.modal.querySelector('#setting-export-format').value;
         this.settings.includeAssets = this.modal.querySelector('#setting-include-assets').checked;
@@ -416,6 +472,9 @@ class SettingsModal {
 
         this.settings.showFPS = this.modal.querySelector('#setting-show-fps').checked;
         this.settings.showDebugInfo = this.modal.querySelector('#setting-show-debug-info').checked;
+        this.settings.showSpatialHash = this.modal.querySelector('#setting-show-spatial-hash').checked;
+        this.settings.showObjectPools = this.modal.querySelector('#setting-show-object-pools').checked;
+        this.settings.showProfiler = this.modal.querySelector('#setting-show-profiler').checked;
         this.settings.enableConsoleLogging = this.modal.querySelector('#setting-console-logging').checked;
 
         this.saveSettings();
@@ -506,6 +565,9 @@ class SettingsModal {
 
         this.modal.querySelector('#setting-max-fps').value = this.settings.maxFPS;
         this.modal.querySelector('#setting-vsync').checked = this.settings.enableVSync;
+        this.modal.querySelector('#setting-fixed-timestep').checked = !!this.settings.useFixedTimestep;
+        this.modal.querySelector('#setting-fixed-tick-rate').value = this.settings.fixedTickRate || 60;
+        this.modal.querySelector('#setting-random-seed').value = this.settings.randomSeed || '';
 
         this.modal.querySelector('#setting-export-format').value = this.settings.exportFormat;
         this.modal.querySelector('#setting-include-assets').checked = this.settings.includeAssets;
@@ -513,6 +575,9 @@ class SettingsModal {
 
         this.modal.querySelector('#setting-show-fps').checked = this.settings.showFPS;
         this.modal.querySelector('#setting-show-debug-info').checked = this.settings.showDebugInfo;
+        this.modal.querySelector('#setting-show-spatial-hash').checked = !!this.settings.showSpatialHash;
+        this.modal.querySelector('#setting-show-object-pools').checked = !!this.settings.showObjectPools;
+        this.modal.querySelector('#setting-show-profiler').checked = !!this.settings.showProfiler;
         this.modal.querySelector('#setting-console-logging').checked = this.settings.enableConsoleLogging;
     }
 }
@@ -26,6 +26,8 @@ class PhysicsManager {
         this.fixedTimeStep = 1000 / 60; // 60 updates per second
         this.timeAccumulator = 0;
 
+        this.enabled = true; // False stops stepping the world (scene setting physicsEnabled)
+
         // Wake up bodies without gravity on collision
         Matter.Events.on(this.engine, 'collisionStart', event => {
             event.pairs.forEach(pair => {
@@ -37,9 +39,29 @@ class PhysicsManager {
             });
         });
 
+        // Scene layers are tested next to Matter's category/mask check (see Scene.getCollisionFilter)
+        PhysicsManager.installLayerFilter();
+
         console.log("Physics manager initialized");
     }
 
+    /**
+     * Make Matter.js also test the layer bits Scene.getCollisionFilter adds to collision filters
+     * ({ layer, layerMask }), so layer masks don't take over the body's own category bits.
+     * Filters without layer bits (mouse constraints, bodies outside a scene) are unaffected.
+     */
+    static installLayerFilter() {
+        if (Matter.Detector.canCollide.layerAware) return;
+
+        const canCollide = Matter.Detector.canCollide;
+        Matter.Detector.canCollide = function(filterA, filterB) {
+            if (!canCollide(filterA, filterB)) return false;
+            if (filterA.layer === undefined || filterB.layer === undefined) return true;
+            return (filterA.layerMask & filterB.layer) !== 0 && (filterB.layerMask & filterA.layer) !== 0;
+        };
+        Matter.Detector.canCollide.layerAware = true;
+    }
+
     /**
      * Set the gravity for the physics world
      * @param {number} x - X component of gravity
@@ -50,11 +72,43 @@ class PhysicsManager {
         this.world.gravity.y = y;
     }
 
+    /**
+     * Apply a scene's physics settings (see Scene settings). Called by Engine.loadScene and
+     * Engine.changeScene; missing values fall back to the defaults.
+     * @param {Object} settings - Scene settings
+     */
+    applySettings(settings = {}) {
+        const gravity = settings.gravity || { x: 0, y: 1 };
+        this.enabled = settings.physicsEnabled !== false;
+        this.gravity = { x: Number(gravity.x) || 0, y: Number(gravity.y) || 0 };
+        this.debugDraw = !!settings.physicsDebugDraw;
+
+        this.engine.positionIterations = Math.max(1, Math.round(settings.positionIterations || 6));
+        this.engine.velocityIterations = Math.max(1, Math.round(settings.velocityIterations || 4));
+        this.engine.constraintIterations = Math.max(1, Math.round(settings.constraintIterations || 2));
+        this.engine.enableSleeping = settings.enableSleeping !== false;
+
+        // Waking everything up when sleeping is turned off, or bodies stay frozen
+        if (!this.engine.enableSleeping) {
+            this.bodies.forEach((gameObject, body) => {
+                if (body.isSleeping) Matter.Sleeping.set(body, false);
+            });
+        }
+
+        this.fixedTimeStep = Math.max(1, settings.physicsTimeStep || 1000 / 60);
+        this.timeAccumulator = 0;
+    }
+
     /**
      * Update physics world - called every frame
      * @param {number} deltaTime - Time in seconds since last frame
      */
     update(deltaTime) {
+        if (!this.enabled) return;
+
+        const profiler = window.profiler;
+        if (profiler) profiler.begin('physics');
+
         // Use fixed timestep for more stable physics
         this.timeAccumulator += deltaTime * 1000; // Convert to ms
 
@@ -89,6 +143,8 @@ class PhysicsManager {
 
         // Update game object positions based on physics bodies
         this.syncPhysicsBodies();
+
+        if (profiler) profiler.end('physics');
     }
 
     /**
@@ -3,38 +3,74 @@
  * DARK MATTER JS - MULTIPLAYER SERVER
  * ============================================================================
  * 
- * WebSocket server for handling multiplayer game connections.
+ * Multiplayer server for handling game connections.
  * Supports:
  * - Player connection management
  * - Game state synchronization
  * - Room/Lobby system
  * - Custom message routing
  * - Time synchronization
+ * - Server-authoritative simulation (--authoritative): clients send sequenced
+ *   inputs, the server moves the networked objects with NetworkSimulation and
+ *   sends each client snapshots that acknowledge its last processed input.
+ *   The server does not run the Engine or scene modules, only the game's
+ *   NetworkSimulation.define() handlers (see the limitation in NetworkSimulation.js)
+ * - Delta-compressed snapshots (NetworkSnapshot): each client gets only what
+ *   changed since the last snapshot it acknowledged, as JSON or binary
+ * - Bandwidth statistics per room (getRoomStats message, GET /stats)
+ * - Replicated module properties: owners send theirs, 'server' properties come from
+ *   the simulation or, without one, from the room host
+ * - Reliable module RPCs routed to an object's owner, all players or the server
+ * - Lobby: ready flags, host migration, per-room settings and passwords, chat,
+ *   start/end of a game and quick-match into a non-full room
+ * - Reconnection: a dropped player who comes back with their reconnect token within
+ *   RECONNECT_GRACE_PERIOD keeps their id, room and networked objects
  * 
  * USAGE:
- * node server.js [port]
+ * node server.js [port] [--authoritative] [--simulation <file>]
  * 
  * Default port: 8080
+ * --simulation loads a script that calls NetworkSimulation.define() for the
+ * game's objects (the same script the game loads), implies --authoritative
+ * 
+ * IN-PROCESS:
+ * createMultiplayerServer() runs the same server without sockets, in Node or in a page
+ * (load this file after the Network* scripts). Clients reach it through LoopbackTransport:
+ * 
+ * const server = createMultiplayerServer({ authoritative: true });
+ * server.start();
+ * engine.multiplayer.connect('loopback', { transport: new LoopbackTransport(server) });
  * ============================================================================
  */
 
-const WebSocket = require('ws');
-const http = require('http');
-const url = require('url');
+// Everything is inside a function so the server's names stay out of the page's globals
+// when this file is loaded in a browser (Node modules have their own scope anyway)
+(function () {
 
-// Configuration
-const PORT = process.argv[2] || 8080;
+// Shared network code: modules in Node, globals in the browser
+const shared = typeof require === 'function' ? {
+    NetworkSimulation: require('./NetworkSimulation.js'),
+    ...require('./NetworkSnapshot.js'),
+    NetworkReplication: require('./NetworkReplication.js')
+} : window;
+const { NetworkSimulation, NetworkSnapshot, SnapshotHistory, NetworkReplication } = shared;
+
+// Configuration (createMultiplayerServer() options set AUTHORITATIVE and RECONNECT_GRACE_PERIOD)
 const TICK_RATE = 20; // Server updates per second
 const TIME_SYNC_INTERVAL = 5000; // Sync time every 5 seconds
-
-// Create HTTP server
-const server = http.createServer((req, res) => {
-    res.writeHead(200, { 'Content-Type': 'text/plain' });
-    res.end('Dark Matter JS Multiplayer Server\n');
-});
-
-// Create WebSocket server
-const wss = new WebSocket.Server({ server });
+let AUTHORITATIVE = false;
+const MAX_QUEUED_INPUTS = 120; // Inputs waiting per client, newer ones are dropped
+const INPUT_TIME_TOLERANCE = 0.25; // Seconds of input a client may be ahead of real time
+const RPC_RESEND_INTERVAL = 500; // ms before an unacknowledged RPC is sent again
+const RPC_MAX_ATTEMPTS = 10;
+const RPC_HISTORY = 1000; // RPC ids remembered per client to drop resends
+const DEFAULT_RECONNECT_GRACE_PERIOD = 20000; // ms a dropped player's place and objects are kept
+let RECONNECT_GRACE_PERIOD = DEFAULT_RECONNECT_GRACE_PERIOD;
+const MAX_CHAT_LENGTH = 200;
+const CHAT_HISTORY = 50; // Chat messages a room keeps for players who join later
+const CHAT_MIN_INTERVAL = 250; // ms between chat messages of one player
+const MAX_SETTINGS_SIZE = 4096; // Characters of JSON allowed in room settings
+const OPEN = 1; // readyState of an open connection (WebSocket.OPEN)
 
 // Server state
 const clients = new Map(); // Map of ws -> client data
@@ -45,16 +81,21 @@ const networkedObjects = new Map(); // Map of networkId -> object data
 let nextPlayerId = 1;
 let nextRoomId = 1;
 let nextNetworkId = 1;
-
-console.log(`[Server] Starting Dark Matter JS Multiplayer Server on port ${PORT}...`);
+let timers = []; // Loop intervals while started
+let serverInstance = null; // Returned by createMultiplayerServer()
 
 // ============================================================================
-// WebSocket Connection Handling
+// Connection Handling
 // ============================================================================
 
-wss.on('connection', (ws, req) => {
-    const clientIp = req.socket.remoteAddress;
-    console.log(`[Server] New connection from ${clientIp}`);
+/**
+ * Start serving a client connection (a 'ws' WebSocket, or the server end of a
+ * LoopbackTransport connection)
+ * @param {Object} ws - Connection
+ * @param {string} address - Client address, for the log
+ */
+function acceptConnection(ws, address = 'unknown') {
+    console.log(`[Server] New connection from ${address}`);
     
     // Initialize client data
     const clientData = {
@@ -63,14 +104,37 @@ wss.on('connection', (ws, req) => {
         playerName: 'Player',
         roomId: null,
         lastActivity: Date.now(),
-        connectedAt: Date.now()
+        connectedAt: Date.now(),
+        
+        // Server-authoritative input processing
+        inputQueue: [],
+        lastInputSequence: 0, // Last input applied, acknowledged in every snapshot
+        inputTime: 0, // Seconds of input applied since inputClockStart
+        inputClockStart: null,
+        
+        // Snapshot protocol
+        wireFormat: 'json', // 'binary' if the client asked for it when joining
+        snapshotSeq: 0, // Last snapshot sent
+        snapshotAck: 0, // Last snapshot the client acknowledged (the next delta's baseline)
+        sentSnapshots: new SnapshotHistory(),
+        sentLastInput: 0,
+        sentStateAck: 0,
+        receivedStates: new SnapshotHistory(), // Client's own object states (peer mode) by seq
+        lastReceivedState: 0,
+        stats: { bytesIn: 0, bytesOut: 0, messagesIn: 0, messagesOut: 0 },
+        
+        // Module RPCs
+        rpcSequence: 0, // Last id of an RPC forwarded to this client
+        unackedRpcs: new Map(), // Map of id -> { message, sentAt, attempts }
+        receivedRpcs: new Set() // Ids of the client's RPCs already routed
     };
     
     clients.set(ws, clientData);
     
-    ws.on('message', (message) => {
+    ws.on('message', (message, isBinary) => {
         try {
-            const data = JSON.parse(message.toString());
+            countTraffic(clientData, 'in', typeof message === 'string' ? byteLength(message) : message.byteLength);
+            const data = isBinary ? NetworkSnapshot.decode(message) : JSON.parse(message.toString());
             handleMessage(ws, data);
             clientData.lastActivity = Date.now();
         } catch (error) {
@@ -83,9 +147,9 @@ wss.on('connection', (ws, req) => {
     });
     
     ws.on('error', (error) => {
-        console.error('[Server] WebSocket error:', error);
+        console.error('[Server] Connection error:', error);
     });
-});
+}
 
 // ============================================================================
 // Message Handling
@@ -97,7 +161,27 @@ function handleMessage(ws, message) {
     
     if (!client) return;
     
+    // Any message may acknowledge a snapshot
+    if (data && Number.isInteger(data.ack) && data.ack > client.snapshotAck && data.ack <= client.snapshotSeq) {
+        client.snapshotAck = data.ack;
+    }
+    
     switch (type) {
+        case 'ack':
+            break;
+            
+        case 'getRoomStats':
+            handleGetRoomStats(ws);
+            break;
+            
+        case 'rpc':
+            handleRpc(ws, data);
+            break;
+            
+        case 'rpcAck':
+            client.unackedRpcs.delete(data.id);
+            break;
+            
         case 'join':
             handleJoin(ws, data);
             break;
@@ -106,6 +190,10 @@ function handleMessage(ws, message) {
             handleUpdateState(ws, data);
             break;
             
+        case 'input':
+            handleInput(ws, data);
+            break;
+            
         case 'spawn':
             handleSpawn(ws, data);
             break;
@@ -130,6 +218,30 @@ function handleMessage(ws, message) {
             handleGetRoomList(ws);
             break;
             
+        case 'quickMatch':
+            handleQuickMatch(ws, data);
+            break;
+            
+        case 'setReady':
+            handleSetReady(ws, data);
+            break;
+            
+        case 'setRoomSettings':
+            handleSetRoomSettings(ws, data);
+            break;
+            
+        case 'chat':
+            handleChat(ws, data);
+            break;
+            
+        case 'startGame':
+            handleStartGame(ws, data);
+            break;
+            
+        case 'endGame':
+            handleEndGame(ws);
+            break;
+            
         default:
             // Forward custom messages to room members
             if (client.roomId) {
@@ -147,17 +259,26 @@ function handleJoin(ws, data) {
     const client = clients.get(ws);
     if (!client) return;
     
+    // A player coming back within the grace period keeps their id, room and objects
+    if (data.reconnectToken && handleReconnect(ws, data)) return;
+    
     // Assign player ID
     const playerId = `player_${nextPlayerId++}`;
     client.playerId = playerId;
     client.playerName = data.playerName || 'Player';
+    client.wireFormat = data.wireFormat === 'binary' ? 'binary' : 'json';
     
     // Create player data
     const playerData = {
         playerId: playerId,
         playerName: client.playerName,
         connectedAt: client.connectedAt,
-        roomId: null
+        roomId: null,
+        ready: false,
+        connected: true,
+        reconnectToken: createToken(), // Only ever sent to the player itself
+        disconnectTimer: null,
+        session: null // Client state kept while disconnected (see saveSession)
     };
     
     players.set(playerId, playerData);
@@ -168,37 +289,310 @@ function handleJoin(ws, data) {
         data: {
             playerId: playerId,
             serverTime: Date.now(),
-            serverVersion: '1.0.0'
+            serverVersion: '1.0.0',
+            authoritative: AUTHORITATIVE,
+            tickRate: TICK_RATE,
+            reconnectToken: playerData.reconnectToken,
+            reconnectGracePeriod: RECONNECT_GRACE_PERIOD,
+            reconnected: false
         }
     });
     
     console.log(`[Server] Player joined: ${playerId} (${client.playerName})`);
 }
 
-function handleUpdateState(ws, data) {
+/**
+ * Give a returning player (join with a reconnectToken) their id, room and objects back.
+ * A socket of theirs that is still open is taken over.
+ * @returns {boolean} False if the token is unknown or expired, the player joins as new
+ */
+function handleReconnect(ws, data) {
     const client = clients.get(ws);
-    if (!client || !client.playerId) return;
+    const player = Array.from(players.values()).find(p => p.reconnectToken === data.reconnectToken);
+    if (!player) return false;
     
-    // Update networked objects owned by this player
-    if (data.objects) {
-        for (const objData of data.objects) {
-            networkedObjects.set(objData.networkId, {
-                ...objData,
-                ownerId: client.playerId,
-                lastUpdate: Date.now()
-            });
+    for (const [otherWs, other] of clients.entries()) {
+        if (other !== client && other.playerId === player.playerId) {
+            player.session = saveSession(other);
+            clients.delete(otherWs);
+            otherWs.close();
         }
     }
     
-    // Broadcast state to room members
-    if (client.roomId) {
-        broadcastToRoom(client.roomId, {
-            type: 'gameState',
+    clearTimeout(player.disconnectTimer);
+    player.disconnectTimer = null;
+    player.connected = true;
+    player.reconnectToken = createToken();
+    
+    client.playerId = player.playerId;
+    client.playerName = player.playerName;
+    client.wireFormat = data.wireFormat === 'binary' ? 'binary' : 'json';
+    client.roomId = rooms.has(player.roomId) ? player.roomId : null;
+    if (player.session) {
+        Object.assign(client, player.session);
+        player.session = null;
+    }
+    
+    send(ws, {
+        type: 'welcome',
+        data: {
+            playerId: player.playerId,
+            serverTime: Date.now(),
+            serverVersion: '1.0.0',
+            authoritative: AUTHORITATIVE,
+            tickRate: TICK_RATE,
+            reconnectToken: player.reconnectToken,
+            reconnectGracePeriod: RECONNECT_GRACE_PERIOD,
+            reconnected: true
+        }
+    });
+    
+    const room = rooms.get(client.roomId);
+    if (room) {
+        send(ws, {
+            type: 'roomJoined',
             data: {
-                objects: data.objects,
-                senderId: client.playerId
+                ...getRoomInfo(room),
+                reconnected: true,
+                objects: getRoomNetworkIds(room), // Objects removed while away are dropped by the client
+                chat: room.chat
             }
+        });
+        sendRoomObjects(ws, room);
+        
+        broadcastToRoom(room.roomId, {
+            type: 'playerReconnected',
+            data: { playerId: player.playerId, playerName: player.playerName }
         }, ws);
+        broadcastLobby(room);
+    } else {
+        player.roomId = null;
+    }
+    
+    console.log(`[Server] Player reconnected: ${player.playerId}`);
+    return true;
+}
+
+/**
+ * Client state that must survive a reconnect: RPC ids (so resends are still recognized)
+ * and the last input applied
+ */
+function saveSession(client) {
+    return {
+        rpcSequence: client.rpcSequence,
+        unackedRpcs: client.unackedRpcs,
+        receivedRpcs: client.receivedRpcs,
+        lastInputSequence: client.lastInputSequence
+    };
+}
+
+function handleUpdateState(ws, data) {
+    const client = clients.get(ws);
+    if (!client || !client.playerId) return;
+    
+    // Rebuild the client's full state from the delta and the baseline it was made against
+    let state;
+    if (data.seq === undefined) {
+        // Full list of { networkId, x, y, ... } from clients without the snapshot protocol
+        state = NetworkSnapshot.fromObjects((data.objects || []).map(({ networkId, ...fields }) => ({
+            networkId: networkId,
+            ownerId: client.playerId,
+            state: fields
+        })));
+    } else {
+        if (data.seq <= client.lastReceivedState) return;
+        
+        const baseline = client.receivedStates.get(data.baseline);
+        if (data.baseline && !baseline) return; // Expired, the client resends from our last ack
+        
+        state = NetworkSnapshot.apply(baseline, data);
+        client.receivedStates.set(data.seq, state);
+        client.lastReceivedState = data.seq;
+    }
+    
+    // Clients don't get to set positions when the server simulates, only their replicated properties
+    if (AUTHORITATIVE) {
+        applyOwnerProperties(client, state);
+        return;
+    }
+    
+    const room = rooms.get(client.roomId);
+    const isHost = !!room && room.hostId === client.playerId;
+    
+    // Update networked objects owned by this player, the room gets them with the next snapshot
+    for (const [networkId, entry] of state.entries()) {
+        const existing = networkedObjects.get(networkId);
+        if (existing && existing.ownerId !== client.playerId) {
+            // The room host sets the 'server' properties of everyone's objects
+            if (isHost) {
+                existing.hostState = { ...existing.hostState, ...getReplicatedFields(entry.state) };
+            }
+            continue;
+        }
+        if (!existing && entry.ownerId && entry.ownerId !== client.playerId) continue;
+        
+        networkedObjects.set(networkId, {
+            ...existing,
+            networkId: networkId,
+            prefabName: existing ? existing.prefabName : entry.prefabName,
+            ownerId: client.playerId,
+            syncedState: entry.state,
+            lastUpdate: Date.now()
+        });
+    }
+}
+
+/**
+ * Take the replicated module properties a client sends for its own simulated objects.
+ * Positions and the fields a definition lists in serverProperties stay the server's.
+ */
+function applyOwnerProperties(client, state) {
+    const room = rooms.get(client.roomId);
+    if (!room || !room.simulation) return;
+    
+    for (const [networkId, entry] of state.entries()) {
+        const entity = room.simulation.getEntity(networkId);
+        if (!entity || entity.ownerId !== client.playerId) continue;
+        
+        const serverProperties = NetworkSimulation.getDefinition(entity.prefabName).serverProperties || [];
+        const fields = getReplicatedFields(entry.state);
+        for (const field of Object.keys(fields)) {
+            if (!serverProperties.includes(field)) {
+                entity.state[field] = fields[field];
+            }
+        }
+    }
+}
+
+function getReplicatedFields(state) {
+    const fields = {};
+    for (const field of Object.keys(state || {})) {
+        if (NetworkReplication.isReplicatedField(field)) {
+            fields[field] = state[field];
+        }
+    }
+    return fields;
+}
+
+/**
+ * Route a module RPC (Module.rpc) to its target: the object's owner, every other player
+ * in the room, one player, or the server (the simulation's rpc handlers, or the room host
+ * without a simulation). The sender gets an rpcAck once the server has it, and forwarded
+ * RPCs are resent until their receiver acknowledges them.
+ * data: { id, networkId, module, method, args, target }
+ */
+function handleRpc(ws, data) {
+    const client = clients.get(ws);
+    if (!client || !client.playerId || !Number.isInteger(data.id)) return;
+    
+    send(ws, { type: 'rpcAck', data: { id: data.id } });
+    if (client.receivedRpcs.has(data.id)) return;
+    rememberRpc(client.receivedRpcs, data.id);
+    
+    const room = rooms.get(client.roomId);
+    if (!room || typeof data.networkId !== 'string' || typeof data.method !== 'string') return;
+    
+    const message = {
+        senderId: client.playerId,
+        networkId: data.networkId,
+        module: String(data.module || ''),
+        method: data.method,
+        args: Array.isArray(data.args) ? data.args : []
+    };
+    
+    let recipients = [];
+    if (data.target === 'server') {
+        if (room.simulation) {
+            const entity = room.simulation.getEntity(data.networkId);
+            if (entity && !room.simulation.handleRpc(entity, message.method, message.args, client.playerId)) {
+                console.warn(`[Server] No rpc handler for ${message.method} in the ${entity.prefabName} simulation`);
+            }
+            return;
+        }
+        recipients = [room.hostId];
+    } else if (data.target === 'owner') {
+        const entity = room.simulation ? room.simulation.getEntity(data.networkId) : null;
+        const obj = networkedObjects.get(data.networkId);
+        const ownerId = entity ? entity.ownerId : (obj ? obj.ownerId : null);
+        recipients = ownerId ? [ownerId] : [];
+    } else if (data.target === 'all') {
+        recipients = Array.from(room.players);
+    } else if (room.players.has(data.target)) {
+        recipients = [data.target];
+    }
+    
+    for (const other of clients.values()) {
+        if (other !== client && other.roomId === room.roomId && recipients.includes(other.playerId)) {
+            sendRpc(other, message);
+        }
+    }
+}
+
+function sendRpc(client, message) {
+    const rpc = { ...message, id: ++client.rpcSequence };
+    client.unackedRpcs.set(rpc.id, { message: rpc, sentAt: Date.now(), attempts: 1 });
+    send(client.ws, { type: 'rpc', data: rpc });
+}
+
+function rememberRpc(ids, id) {
+    ids.add(id);
+    if (ids.size > RPC_HISTORY) {
+        ids.delete(ids.values().next().value);
+    }
+}
+
+/**
+ * Queue sequenced inputs from a client (server-authoritative mode)
+ * data: { inputs: [{ sequence, dt, input }] }
+ */
+function handleInput(ws, data) {
+    const client = clients.get(ws);
+    if (!client || !client.playerId || !AUTHORITATIVE || !Array.isArray(data.inputs)) return;
+    
+    const lastQueued = client.inputQueue.length > 0
+        ? client.inputQueue[client.inputQueue.length - 1].sequence
+        : client.lastInputSequence;
+    let sequence = lastQueued;
+    
+    for (const entry of data.inputs) {
+        // Out of order or repeated inputs are dropped, the client replays from the ack
+        if (!entry || !Number.isInteger(entry.sequence) || entry.sequence <= sequence) continue;
+        if (client.inputQueue.length >= MAX_QUEUED_INPUTS) break;
+        
+        sequence = entry.sequence;
+        client.inputQueue.push({
+            sequence: entry.sequence,
+            dt: Math.max(0, Math.min(Number(entry.dt) || 0, NetworkSimulation.MAX_INPUT_DT)),
+            input: NetworkSimulation.sanitizeInput(entry.input)
+        });
+    }
+}
+
+/**
+ * Apply a client's queued inputs to the room simulation. A client can't apply more input
+ * time than has really passed (plus INPUT_TIME_TOLERANCE), so speed hacks only make its
+ * inputs wait.
+ */
+function processInputs(client, simulation, now) {
+    if (client.inputQueue.length === 0) return;
+    
+    if (client.inputClockStart === null) {
+        client.inputClockStart = now;
+        client.inputTime = 0;
+    }
+    
+    const elapsed = (now - client.inputClockStart) / 1000;
+    // Time spent idle can't be saved up for a burst later
+    client.inputTime = Math.max(client.inputTime, elapsed - INPUT_TIME_TOLERANCE);
+    
+    while (client.inputQueue.length > 0) {
+        const entry = client.inputQueue[0];
+        if (client.inputTime + entry.dt > elapsed + INPUT_TIME_TOLERANCE) break;
+        
+        client.inputQueue.shift();
+        simulation.applyPlayerInput(client.playerId, entry.input, entry.dt);
+        client.inputTime += entry.dt;
+        client.lastInputSequence = entry.sequence;
     }
 }
 
@@ -220,6 +614,23 @@ function handleSpawn(ws, data) {
         createdAt: Date.now()
     };
     
+    if (AUTHORITATIVE) {
+        const room = rooms.get(client.roomId);
+        if (!room) {
+            send(ws, { type: 'error', data: { message: 'Join a room before spawning' } });
+            return;
+        }
+        
+        const entity = room.simulation.addEntity(networkId, client.playerId, data.prefabName, {
+            x: Number(data.x) || 0,
+            y: Number(data.y) || 0,
+            angle: Number(data.angle) || 0
+        });
+        objData.state = { ...entity.state };
+        // Lets the owner bind an object it registered instead of creating one
+        objData.localId = data.localId || null;
+    }
+    
     networkedObjects.set(networkId, objData);
     
     // Broadcast spawn to all room members
@@ -243,6 +654,11 @@ function handleDestroy(ws, data) {
     if (obj && obj.ownerId === client.playerId) {
         networkedObjects.delete(data.networkId);
         
+        const room = rooms.get(client.roomId);
+        if (room && room.simulation) {
+            room.simulation.removeEntity(data.networkId);
+        }
+        
         // Broadcast destruction to room members
         if (client.roomId) {
             broadcastToRoom(client.roomId, {
@@ -259,33 +675,49 @@ function handleCreateRoom(ws, data) {
     const client = clients.get(ws);
     if (!client || !client.playerId) return;
     
+    const settings = sanitizeSettings(data.settings || {});
+    if (!settings) {
+        sendError(ws, 'Room settings are invalid or too large');
+        return;
+    }
+    
+    if (client.roomId) {
+        handleLeaveRoom(ws, { roomId: client.roomId });
+    }
+    
     const roomId = `room_${nextRoomId++}`;
     const room = {
         roomId: roomId,
-        roomName: data.roomName || `Room ${nextRoomId}`,
+        roomName: String(data.roomName || `Room ${nextRoomId}`).substring(0, 64),
         hostId: client.playerId,
-        maxPlayers: data.maxPlayers || 4,
+        maxPlayers: clampPlayers(data.maxPlayers, 4),
         isPrivate: data.isPrivate || false,
-        players: new Set([client.playerId]),
+        password: typeof data.password === 'string' && data.password ? data.password.substring(0, 64) : null,
+        settings: settings,
+        state: 'lobby', // 'lobby' or 'playing' (startGame / endGame)
+        chat: [],
+        players: new Set([client.playerId]), // In join order, the next host is the first connected one
+        simulation: AUTHORITATIVE ? new NetworkSimulation() : null,
+        tick: 0,
+        stats: createRoomStats(),
         createdAt: Date.now()
     };
     
     rooms.set(roomId, room);
     client.roomId = roomId;
+    resetSnapshots(client);
     
     const player = players.get(client.playerId);
     if (player) {
         player.roomId = roomId;
+        player.ready = false;
     }
     
     send(ws, {
         type: 'roomCreated',
-        data: {
-            roomId: roomId,
-            roomName: room.roomName,
-            hostId: room.hostId
-        }
+        data: getRoomInfo(room)
     });
+    broadcastLobby(room);
     
     console.log(`[Server] Room created: ${roomId} by ${client.playerId}`);
 }
@@ -304,6 +736,8 @@ function handleJoinRoom(ws, data) {
         return;
     }
     
+    if (room.roomId === client.roomId) return;
+    
     if (room.players.size >= room.maxPlayers) {
         send(ws, {
             type: 'error',
@@ -312,6 +746,11 @@ function handleJoinRoom(ws, data) {
         return;
     }
     
+    if (room.password && data.password !== room.password) {
+        sendError(ws, 'Wrong room password');
+        return;
+    }
+    
     // Leave current room if any
     if (client.roomId) {
         handleLeaveRoom(ws, { roomId: client.roomId });
@@ -324,15 +763,14 @@ function handleJoinRoom(ws, data) {
     const player = players.get(client.playerId);
     if (player) {
         player.roomId = data.roomId;
+        player.ready = false;
     }
     
     send(ws, {
         type: 'roomJoined',
         data: {
-            roomId: data.roomId,
-            roomName: room.roomName,
-            hostId: room.hostId,
-            playerCount: room.players.size
+            ...getRoomInfo(room),
+            chat: room.chat
         }
     });
     
@@ -345,20 +783,35 @@ function handleJoinRoom(ws, data) {
         }
     }, ws);
     
-    // Send existing room state to new player
-    const roomObjects = Array.from(networkedObjects.values()).filter(obj => {
-        const ownerClient = Array.from(clients.values()).find(c => c.playerId === obj.ownerId);
-        return ownerClient && ownerClient.roomId === data.roomId;
-    });
+    resetSnapshots(client);
+    sendRoomObjects(ws, room);
+    broadcastLobby(room);
     
-    if (roomObjects.length > 0) {
+    console.log(`[Server] Player ${client.playerId} joined room: ${data.roomId}`);
+}
+
+/**
+ * Send a player the room's simulated objects, their state follows in the first snapshot
+ */
+function sendRoomObjects(ws, room) {
+    if (!room.simulation) return;
+    
+    for (const entity of room.simulation.entities.values()) {
+        const objData = networkedObjects.get(entity.networkId) || {};
         send(ws, {
-            type: 'gameState',
-            data: { objects: roomObjects }
+            type: 'spawn',
+            data: {
+                ...objData,
+                networkId: entity.networkId,
+                prefabName: entity.prefabName,
+                ownerId: entity.ownerId,
+                x: entity.state.x,
+                y: entity.state.y,
+                state: { ...entity.state },
+                localId: null
+            }
         });
     }
-    
-    console.log(`[Server] Player ${client.playerId} joined room: ${data.roomId}`);
 }
 
 function handleLeaveRoom(ws, data) {
@@ -368,29 +821,13 @@ function handleLeaveRoom(ws, data) {
     const roomId = data.roomId || client.roomId;
     if (!roomId) return;
     
-    const room = rooms.get(roomId);
-    if (room) {
-        room.players.delete(client.playerId);
-        
-        // Notify other players
-        broadcastToRoom(roomId, {
-            type: 'playerLeft',
-            data: { playerId: client.playerId }
-        }, ws);
-        
-        // Delete room if empty or host left
-        if (room.players.size === 0 || room.hostId === client.playerId) {
-            rooms.delete(roomId);
-            console.log(`[Server] Room deleted: ${roomId}`);
-        }
-    }
-    
     client.roomId = null;
+    client.inputQueue = [];
+    client.inputClockStart = null;
+    client.unackedRpcs.clear();
+    resetSnapshots(client);
     
-    const player = players.get(client.playerId);
-    if (player) {
-        player.roomId = null;
-    }
+    removeFromRoom(client.playerId, roomId);
     
     send(ws, {
         type: 'roomLeft',
@@ -403,13 +840,7 @@ function handleLeaveRoom(ws, data) {
 function handleGetRoomList(ws) {
     const roomList = Array.from(rooms.values())
         .filter(room => !room.isPrivate)
-        .map(room => ({
-            roomId: room.roomId,
-            roomName: room.roomName,
-            playerCount: room.players.size,
-            maxPlayers: room.maxPlayers,
-            hostId: room.hostId
-        }));
+        .map(getRoomInfo);
     
     send(ws, {
         type: 'roomList',
@@ -419,27 +850,496 @@ function handleGetRoomList(ws) {
 
 function handleDisconnect(ws) {
     const client = clients.get(ws);
-    if (!client) return;
+    if (!client) return; // Taken over by a reconnect
     
     console.log(`[Server] Player disconnected: ${client.playerId || 'unknown'}`);
+    clients.delete(ws);
     
-    // Leave room
-    if (client.roomId) {
-        handleLeaveRoom(ws, { roomId: client.roomId });
+    const player = client.playerId ? players.get(client.playerId) : null;
+    if (!player) return;
+    
+    // Players in a room keep their place and objects for RECONNECT_GRACE_PERIOD
+    const room = rooms.get(client.roomId);
+    if (room && RECONNECT_GRACE_PERIOD > 0) {
+        player.connected = false;
+        player.ready = false;
+        player.session = saveSession(client);
+        player.disconnectTimer = setTimeout(() => {
+            console.log(`[Server] ${player.playerId} did not reconnect in time`);
+            removePlayer(player.playerId);
+        }, RECONNECT_GRACE_PERIOD);
+        
+        if (room.hostId === player.playerId) {
+            migrateHost(room);
+        }
+        broadcastToRoom(room.roomId, {
+            type: 'playerDisconnected',
+            data: { playerId: player.playerId, reconnectGracePeriod: RECONNECT_GRACE_PERIOD }
+        });
+        broadcastLobby(room);
+        return;
     }
     
-    // Remove player's networked objects
-    if (client.playerId) {
-        for (const [networkId, obj] of networkedObjects.entries()) {
-            if (obj.ownerId === client.playerId) {
-                networkedObjects.delete(networkId);
-            }
+    removePlayer(player.playerId);
+}
+
+/**
+ * Remove a player for good: out of their room, together with their networked objects
+ */
+function removePlayer(playerId) {
+    const player = players.get(playerId);
+    if (!player) return;
+    
+    clearTimeout(player.disconnectTimer);
+    if (player.roomId) {
+        removeFromRoom(playerId, player.roomId);
+    }
+    
+    for (const [networkId, obj] of networkedObjects.entries()) {
+        if (obj.ownerId === playerId) {
+            networkedObjects.delete(networkId);
+        }
+    }
+    
+    players.delete(playerId);
+}
+
+/**
+ * Take a player out of a room. Their simulated objects go with them, the host role passes
+ * on and the room is deleted once nobody is left.
+ */
+function removeFromRoom(playerId, roomId) {
+    const player = players.get(playerId);
+    if (player) {
+        player.roomId = null;
+        player.ready = false;
+    }
+    
+    const room = rooms.get(roomId);
+    if (!room) return;
+    
+    room.players.delete(playerId);
+    
+    // The player's simulated objects leave with them (clients remove them on playerLeft)
+    if (room.simulation) {
+        for (const entity of room.simulation.getOwnedEntities(playerId)) {
+            room.simulation.removeEntity(entity.networkId);
+            networkedObjects.delete(entity.networkId);
         }
+    }
+    
+    // Notify other players
+    broadcastToRoom(roomId, {
+        type: 'playerLeft',
+        data: { playerId: playerId }
+    });
+    
+    if (room.players.size === 0) {
+        rooms.delete(roomId);
+        console.log(`[Server] Room deleted: ${roomId}`);
+        return;
+    }
+    
+    if (room.hostId === playerId) {
+        migrateHost(room);
+    }
+    broadcastLobby(room);
+}
+
+/**
+ * Make the first connected player (in join order) the room's host
+ */
+function migrateHost(room) {
+    const others = Array.from(room.players).filter(id => id !== room.hostId);
+    const next = others.find(id => players.get(id) && players.get(id).connected) || others[0];
+    if (!next) return;
+    
+    room.hostId = next;
+    broadcastToRoom(room.roomId, {
+        type: 'hostChanged',
+        data: { hostId: next }
+    });
+    console.log(`[Server] ${next} is now the host of ${room.roomId}`);
+}
+
+// ============================================================================
+// Lobby
+// ============================================================================
+
+/**
+ * Join the public room without password that is waiting for players and fullest,
+ * or create one. data: { settings (rooms must have these values), maxPlayers }
+ */
+function handleQuickMatch(ws, data) {
+    const client = clients.get(ws);
+    if (!client || !client.playerId) return;
+    
+    const wanted = data.settings && typeof data.settings === 'object' ? data.settings : {};
+    const candidates = Array.from(rooms.values())
+        .filter(room => !room.isPrivate && !room.password && room.state === 'lobby' &&
+            room.players.size < room.maxPlayers && room.roomId !== client.roomId &&
+            Object.keys(wanted).every(key => NetworkSnapshot.sameValue(room.settings[key], wanted[key])))
+        .sort((a, b) => b.players.size - a.players.size || a.createdAt - b.createdAt);
+    
+    if (candidates.length > 0) {
+        handleJoinRoom(ws, { roomId: candidates[0].roomId });
+    } else {
+        handleCreateRoom(ws, {
+            roomName: `${client.playerName}'s game`,
+            maxPlayers: data.maxPlayers,
+            settings: wanted
+        });
+    }
+}
+
+function handleSetReady(ws, data) {
+    const client = clients.get(ws);
+    const player = client && players.get(client.playerId);
+    const room = client && rooms.get(client.roomId);
+    if (!player || !room) return;
+    
+    player.ready = !!data.ready;
+    broadcastLobby(room);
+}
+
+/**
+ * Change the room (host only). data: { settings (merged, null removes a key), roomName,
+ * maxPlayers, isPrivate, password (null or '' removes it) }
+ */
+function handleSetRoomSettings(ws, data) {
+    const client = clients.get(ws);
+    const room = client && rooms.get(client.roomId);
+    if (!room) return;
+    
+    if (room.hostId !== client.playerId) {
+        sendError(ws, 'Only the host can change the room');
+        return;
+    }
+    
+    if (data.settings) {
+        const settings = sanitizeSettings({ ...room.settings, ...data.settings });
+        if (!settings) {
+            sendError(ws, 'Room settings are invalid or too large');
+            return;
+        }
+        for (const key of Object.keys(settings)) {
+            if (settings[key] === null) delete settings[key];
+        }
+        room.settings = settings;
+    }
+    if (typeof data.roomName === 'string' && data.roomName) {
+        room.roomName = data.roomName.substring(0, 64);
+    }
+    if (data.maxPlayers !== undefined) {
+        room.maxPlayers = Math.max(room.players.size, clampPlayers(data.maxPlayers, room.maxPlayers));
+    }
+    if (data.isPrivate !== undefined) {
+        room.isPrivate = !!data.isPrivate;
+    }
+    if (data.password !== undefined) {
+        room.password = typeof data.password === 'string' && data.password ? data.password.substring(0, 64) : null;
+    }
+    
+    broadcastLobby(room);
+}
+
+function handleChat(ws, data) {
+    const client = clients.get(ws);
+    const room = client && rooms.get(client.roomId);
+    if (!room) return;
+    
+    const text = String(data.message || '').trim().substring(0, MAX_CHAT_LENGTH);
+    const now = Date.now();
+    if (!text || now - (client.lastChatAt || 0) < CHAT_MIN_INTERVAL) return;
+    client.lastChatAt = now;
+    
+    const message = {
+        playerId: client.playerId,
+        playerName: client.playerName,
+        message: text,
+        timestamp: now
+    };
+    room.chat.push(message);
+    if (room.chat.length > CHAT_HISTORY) {
+        room.chat.shift();
+    }
+    
+    broadcastToRoom(room.roomId, { type: 'chat', data: message, senderId: client.playerId });
+}
+
+/**
+ * Start the game (host only) once every other connected player is ready, or with data.force
+ */
+function handleStartGame(ws, data) {
+    const client = clients.get(ws);
+    const room = client && rooms.get(client.roomId);
+    if (!room || room.state !== 'lobby') return;
+    
+    if (room.hostId !== client.playerId) {
+        sendError(ws, 'Only the host can start the game');
+        return;
+    }
+    
+    const notReady = Array.from(room.players).filter(id => {
+        const player = players.get(id);
+        return id !== room.hostId && player && player.connected && !player.ready;
+    });
+    if (notReady.length > 0 && !data.force) {
+        sendError(ws, `Not everyone is ready (${notReady.length} waiting)`);
+        return;
+    }
+    
+    room.state = 'playing';
+    broadcastToRoom(room.roomId, { type: 'gameStarted', data: { roomId: room.roomId, settings: room.settings } });
+    broadcastLobby(room);
+    console.log(`[Server] Game started in ${room.roomId}`);
+}
+
+/**
+ * Back to the lobby (host only), everyone has to get ready again
+ */
+function handleEndGame(ws) {
+    const client = clients.get(ws);
+    const room = client && rooms.get(client.roomId);
+    if (!room || room.state !== 'playing' || room.hostId !== client.playerId) return;
+    
+    room.state = 'lobby';
+    for (const id of room.players) {
+        const player = players.get(id);
+        if (player) player.ready = false;
+    }
+    
+    broadcastToRoom(room.roomId, { type: 'gameEnded', data: { roomId: room.roomId } });
+    broadcastLobby(room);
+}
+
+/**
+ * Room as listed and sent on create/join (no password)
+ */
+function getRoomInfo(room) {
+    return {
+        roomId: room.roomId,
+        roomName: room.roomName,
+        playerCount: room.players.size,
+        maxPlayers: room.maxPlayers,
+        hostId: room.hostId,
+        hasPassword: !!room.password,
+        state: room.state,
+        settings: room.settings
+    };
+}
+
+/**
+ * Everything a lobby screen shows: the room and its players with ready flags
+ */
+function getLobbyState(room) {
+    return {
+        ...getRoomInfo(room),
+        isPrivate: room.isPrivate,
+        players: Array.from(room.players).map(id => {
+            const player = players.get(id) || {};
+            return {
+                playerId: id,
+                playerName: player.playerName || id,
+                ready: !!player.ready,
+                connected: !!player.connected,
+                isHost: id === room.hostId
+            };
+        })
+    };
+}
+
+function broadcastLobby(room) {
+    broadcastToRoom(room.roomId, { type: 'lobbyUpdate', data: getLobbyState(room) });
+}
+
+function getRoomNetworkIds(room) {
+    if (room.simulation) {
+        return Array.from(room.simulation.entities.keys());
+    }
+    return getRoomObjects(room.roomId).map(obj => obj.networkId);
+}
+
+/**
+ * Room settings must be a plain JSON object of limited size
+ * @returns {Object|null} A copy, or null if not acceptable
+ */
+function sanitizeSettings(settings) {
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) return null;
+    
+    try {
+        const json = JSON.stringify(settings);
+        return json.length <= MAX_SETTINGS_SIZE ? JSON.parse(json) : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+function clampPlayers(value, fallback) {
+    const count = Math.floor(Number(value));
+    return Number.isFinite(count) ? Math.max(1, Math.min(64, count)) : fallback;
+}
+
+function handleGetRoomStats(ws) {
+    const client = clients.get(ws);
+    const room = client && rooms.get(client.roomId);
+    
+    send(ws, {
+        type: 'roomStats',
+        data: room ? getRoomStats(room) : null
+    });
+}
+
+// ============================================================================
+// Snapshots
+// ============================================================================
+
+/**
+ * Networked objects of a room whose owners send their state (peer mode), with the
+ * properties the room host set on them
+ */
+function getRoomObjects(roomId) {
+    const objects = [];
+    for (const obj of networkedObjects.values()) {
+        if (!obj.syncedState) continue;
         
-        players.delete(client.playerId);
+        const owner = players.get(obj.ownerId);
+        if (owner && owner.roomId === roomId) {
+            const hostState = obj.hostState && Object.keys(obj.hostState).length > 0 ? obj.hostState : null;
+            objects.push({
+                networkId: obj.networkId,
+                ownerId: obj.ownerId,
+                prefabName: obj.prefabName || null,
+                state: hostState ? { ...obj.syncedState, ...hostState } : obj.syncedState,
+                hostState: hostState
+            });
+        }
     }
+    return objects;
+}
+
+/**
+ * What a client gets of the room objects (peer mode): other players' objects, and its own
+ * only with the properties the room host set on them
+ */
+function getClientObjects(objects, playerId) {
+    return objects
+        .filter(obj => obj.ownerId !== playerId || obj.hostState)
+        .map(obj => obj.ownerId === playerId ? { ...obj, state: obj.hostState } : obj);
+}
+
+/**
+ * Send a client the changes since the last snapshot it acknowledged.
+ * Nothing is sent when there are none and no input or state needs acknowledging.
+ */
+function sendSnapshot(client, snapshot, tick, now) {
+    const baseline = client.sentSnapshots.get(client.snapshotAck);
+    const delta = NetworkSnapshot.diff(baseline, snapshot);
     
-    clients.delete(ws);
+    const hasNews = delta.objects.length > 0 || delta.removed.length > 0 ||
+        client.lastInputSequence !== client.sentLastInput ||
+        client.lastReceivedState !== client.sentStateAck;
+    if (!hasNews) return;
+    
+    const seq = ++client.snapshotSeq;
+    client.sentSnapshots.set(seq, snapshot);
+    client.sentLastInput = client.lastInputSequence;
+    client.sentStateAck = client.lastReceivedState;
+    
+    sendEncoded(client, 'snapshot', {
+        seq: seq,
+        baseline: baseline ? client.snapshotAck : 0,
+        ack: client.lastReceivedState,
+        tick: tick,
+        serverTime: now,
+        lastInput: client.lastInputSequence,
+        objects: delta.objects,
+        removed: delta.removed
+    });
+}
+
+/**
+ * Start over with full snapshots (after changing rooms)
+ */
+function resetSnapshots(client) {
+    client.snapshotAck = 0;
+    client.sentSnapshots.clear();
+    client.sentLastInput = 0;
+    client.sentStateAck = 0;
+    client.receivedStates.clear();
+    client.lastReceivedState = 0;
+}
+
+// ============================================================================
+// Bandwidth Statistics
+// ============================================================================
+
+function createRoomStats() {
+    return {
+        bytesIn: 0,
+        bytesOut: 0,
+        messagesIn: 0,
+        messagesOut: 0,
+        bytesInPerSecond: 0,
+        bytesOutPerSecond: 0,
+        windowStart: Date.now(),
+        windowIn: 0,
+        windowOut: 0
+    };
+}
+
+function countTraffic(client, direction, bytes) {
+    const key = direction === 'in' ? 'In' : 'Out';
+    client.stats[`bytes${key}`] += bytes;
+    client.stats[`messages${key}`]++;
+    
+    const room = rooms.get(client.roomId);
+    if (room) {
+        room.stats[`bytes${key}`] += bytes;
+        room.stats[`messages${key}`]++;
+        room.stats[`window${key}`] += bytes;
+    }
+}
+
+/**
+ * Turn the bytes counted since the last update into per-second rates (once a second)
+ */
+function updateRoomStats(room, now) {
+    const stats = room.stats;
+    const elapsed = (now - stats.windowStart) / 1000;
+    if (elapsed < 1) return;
+    
+    stats.bytesInPerSecond = Math.round(stats.windowIn / elapsed);
+    stats.bytesOutPerSecond = Math.round(stats.windowOut / elapsed);
+    stats.windowIn = 0;
+    stats.windowOut = 0;
+    stats.windowStart = now;
+}
+
+function getRoomStats(room) {
+    const stats = room.stats;
+    const playerCount = room.players.size;
+    
+    return {
+        roomId: room.roomId,
+        roomName: room.roomName,
+        playerCount: playerCount,
+        bytesIn: stats.bytesIn,
+        bytesOut: stats.bytesOut,
+        messagesIn: stats.messagesIn,
+        messagesOut: stats.messagesOut,
+        bytesInPerSecond: stats.bytesInPerSecond,
+        bytesOutPerSecond: stats.bytesOutPerSecond,
+        bytesOutPerPlayerPerSecond: playerCount > 0 ? Math.round(stats.bytesOutPerSecond / playerCount) : 0,
+        players: Array.from(clients.values())
+            .filter(client => client.roomId === room.roomId)
+            .map(client => ({
+                playerId: client.playerId,
+                wireFormat: client.wireFormat,
+                bytesIn: client.stats.bytesIn,
+                bytesOut: client.stats.bytesOut
+            }))
+    };
 }
 
 // ============================================================================
@@ -447,11 +1347,50 @@ function handleDisconnect(ws) {
 // ============================================================================
 
 function send(ws, message) {
-    if (ws.readyState === WebSocket.OPEN) {
-        ws.send(JSON.stringify(message));
+    if (ws.readyState === OPEN) {
+        const text = JSON.stringify(message);
+        const client = clients.get(ws);
+        if (client) {
+            countTraffic(client, 'out', byteLength(text));
+        }
+        ws.send(text);
     }
 }
 
+/**
+ * Send a snapshot-protocol message in the client's wire format
+ */
+function sendEncoded(client, type, data) {
+    if (client.wireFormat !== 'binary') {
+        send(client.ws, { type: type, data: data });
+        return;
+    }
+    
+    if (client.ws.readyState === OPEN) {
+        const buffer = NetworkSnapshot.encode(type, data);
+        countTraffic(client, 'out', buffer.byteLength);
+        client.ws.send(buffer);
+    }
+}
+
+function sendError(ws, message) {
+    send(ws, { type: 'error', data: { message: message } });
+}
+
+function createToken() {
+    const bytes = new Uint8Array(16);
+    if (typeof require === 'function') {
+        bytes.set(require('crypto').randomBytes(16));
+    } else {
+        crypto.getRandomValues(bytes);
+    }
+    return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function byteLength(text) {
+    return typeof Buffer !== 'undefined' ? Buffer.byteLength(text) : new TextEncoder().encode(text).length;
+}
+
 function broadcast(message, exclude = null) {
     for (const [ws, client] of clients.entries()) {
         if (ws !== exclude) {
@@ -475,56 +1414,248 @@ function broadcastToRoom(roomId, message, exclude = null) {
 // Server Tick Loop
 // ============================================================================
 
-setInterval(() => {
+function cleanupStaleObjects() {
     // Clean up stale objects
     const now = Date.now();
     const STALE_TIME = 30000; // 30 seconds
     
     for (const [networkId, obj] of networkedObjects.entries()) {
+        // Simulated objects have no client updates, they live until destroyed or their owner leaves
+        if (obj.state) continue;
+        
         if (now - obj.lastUpdate > STALE_TIME) {
             networkedObjects.delete(networkId);
         }
     }
-}, 10000);
+}
+
+// ============================================================================
+// Snapshot Loop (runs the simulation in server-authoritative mode)
+// ============================================================================
+
+function tickRooms() {
+    const now = Date.now();
+    const tickDelta = 1 / TICK_RATE;
+    
+    for (const [roomId, room] of rooms.entries()) {
+        const roomClients = Array.from(clients.values()).filter(c => c.roomId === roomId);
+        
+        if (room.simulation) {
+            for (const client of roomClients) {
+                processInputs(client, room.simulation, now);
+            }
+            room.simulation.step(tickDelta);
+            room.tick = room.simulation.tick;
+            
+            // Authoritative snapshots include the client's own objects to reconcile against
+            const snapshot = NetworkSnapshot.fromObjects(room.simulation.serialize());
+            for (const client of roomClients) {
+                sendSnapshot(client, snapshot, room.tick, now);
+            }
+        } else {
+            room.tick++;
+            const objects = getRoomObjects(roomId);
+            for (const client of roomClients) {
+                sendSnapshot(client, NetworkSnapshot.fromObjects(getClientObjects(objects, client.playerId)), room.tick, now);
+            }
+        }
+        
+        updateRoomStats(room, now);
+    }
+}
+
+// ============================================================================
+// RPC Resends
+// ============================================================================
+
+function resendRpcs() {
+    const now = Date.now();
+    
+    for (const client of clients.values()) {
+        for (const [id, entry] of client.unackedRpcs.entries()) {
+            if (now - entry.sentAt < RPC_RESEND_INTERVAL) continue;
+            
+            if (entry.attempts >= RPC_MAX_ATTEMPTS) {
+                console.warn(`[Server] RPC ${entry.message.method} to ${client.playerId} was never acknowledged`);
+                client.unackedRpcs.delete(id);
+                continue;
+            }
+            entry.attempts++;
+            entry.sentAt = now;
+            send(client.ws, { type: 'rpc', data: entry.message });
+        }
+    }
+}
 
 // ============================================================================
 // Time Synchronization
 // ============================================================================
 
-setInterval(() => {
+function syncTime() {
     const message = {
         type: 'timeSync',
         data: { serverTime: Date.now() }
     };
     
     broadcast(message);
-}, TIME_SYNC_INTERVAL);
+}
 
 // ============================================================================
-// Start Server
+// Start / Stop
 // ============================================================================
 
-server.listen(PORT, () => {
-    console.log(`[Server] Dark Matter JS Multiplayer Server running on port ${PORT}`);
-    console.log(`[Server] WebSocket URL: ws://localhost:${PORT}`);
-    console.log(`[Server] Press Ctrl+C to stop`);
-});
-
-// Graceful shutdown
-process.on('SIGINT', () => {
-    console.log('\n[Server] Shutting down...');
+/**
+ * Start the tick, RPC resend and time sync loops
+ */
+function start() {
+    if (timers.length > 0) return;
     
-    // Notify all clients
+    timers = [
+        setInterval(cleanupStaleObjects, 10000),
+        setInterval(tickRooms, 1000 / TICK_RATE),
+        setInterval(resendRpcs, RPC_RESEND_INTERVAL / 2),
+        setInterval(syncTime, TIME_SYNC_INTERVAL)
+    ];
+}
+
+/**
+ * Tell every client the server is going away, close their connections, stop the loops and
+ * forget all players, rooms and objects, so the next createMultiplayerServer() starts fresh
+ */
+function stop() {
     broadcast({
         type: 'serverShutdown',
         data: { message: 'Server is shutting down' }
     });
     
-    // Close all connections
-    wss.clients.forEach(ws => ws.close());
+    // Forgotten first, so the closes don't start reconnect grace periods
+    const connections = Array.from(clients.keys());
+    clients.clear();
+    connections.forEach(ws => ws.close());
+    for (const player of players.values()) {
+        clearTimeout(player.disconnectTimer);
+    }
+    
+    timers.forEach(timer => clearInterval(timer));
+    timers = [];
+    
+    players.clear();
+    rooms.clear();
+    networkedObjects.clear();
+    nextPlayerId = 1;
+    nextRoomId = 1;
+    nextNetworkId = 1;
+    AUTHORITATIVE = false;
+    RECONNECT_GRACE_PERIOD = DEFAULT_RECONNECT_GRACE_PERIOD;
+    serverInstance = null;
+}
+
+// ============================================================================
+// Server API
+// ============================================================================
+
+/**
+ * Get the multiplayer server. There is one per page or Node process until it is stopped;
+ * the options given to each call are applied to it. Connections are handed to acceptConnection(), which expects the API of a
+ * Node 'ws' socket: on('message', (data, isBinary)), on('close'), on('error'), send(data),
+ * close() and readyState.
+ * @param {Object} options - { authoritative, reconnectGracePeriod (ms) }
+ * @returns {Object} { acceptConnection, start, stop, getStats, rooms, players, authoritative }
+ */
+function createMultiplayerServer(options = {}) {
+    // Rooms created before a change keep the simulation they started with
+    if (options.authoritative !== undefined) {
+        AUTHORITATIVE = !!options.authoritative;
+    }
+    if (options.reconnectGracePeriod !== undefined) {
+        RECONNECT_GRACE_PERIOD = options.reconnectGracePeriod;
+    }
+    
+    if (serverInstance) return serverInstance;
+    
+    serverInstance = {
+        get authoritative() { return AUTHORITATIVE; },
+        rooms: rooms,
+        players: players,
+        acceptConnection: acceptConnection,
+        start: start,
+        stop: stop,
+        getStats: () => ({ rooms: Array.from(rooms.values()).map(getRoomStats) })
+    };
+    return serverInstance;
+}
+
+// ============================================================================
+// Command Line (node server.js)
+// ============================================================================
+
+if (typeof require === 'function' && require.main === module) {
+    const WebSocket = require('ws');
+    const http = require('http');
+    const url = require('url');
+    const path = require('path');
+    
+    const args = process.argv.slice(2);
+    const simulationIndex = args.indexOf('--simulation');
+    const SIMULATION_SCRIPT = simulationIndex > -1 ? args[simulationIndex + 1] : null;
+    const PORT = args.find((arg, i) => !arg.startsWith('--') && (simulationIndex === -1 || i !== simulationIndex + 1)) || 8080;
+    const authoritative = args.includes('--authoritative') || !!SIMULATION_SCRIPT;
+    
+    if (SIMULATION_SCRIPT) {
+        // Simulation scripts are shared with the browser, where NetworkSimulation is a global
+        global.NetworkSimulation = NetworkSimulation;
+        require(path.resolve(SIMULATION_SCRIPT));
+        console.log(`[Server] Loaded simulation script: ${SIMULATION_SCRIPT}`);
+    }
+    
+    console.log(`[Server] Starting Dark Matter JS Multiplayer Server on port ${PORT}${authoritative ? ' (server-authoritative)' : ''}...`);
+    const multiplayerServer = createMultiplayerServer({ authoritative: authoritative });
+    
+    // Create HTTP server
+    const server = http.createServer((req, res) => {
+        if (url.parse(req.url).pathname === '/stats') {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(multiplayerServer.getStats(), null, 2));
+            return;
+        }
+        
+        res.writeHead(200, { 'Content-Type': 'text/plain' });
+        res.end('Dark Matter JS Multiplayer Server\n');
+    });
+    
+    // Create WebSocket server
+    const wss = new WebSocket.Server({ server });
+    wss.on('connection', (ws, req) => {
+        multiplayerServer.acceptConnection(ws, req.socket.remoteAddress);
+    });
     
-    server.close(() => {
-        console.log('[Server] Server stopped');
-        process.exit(0);
+    multiplayerServer.start();
+    server.listen(PORT, () => {
+        console.log(`[Server] Dark Matter JS Multiplayer Server running on port ${PORT}`);
+        console.log(`[Server] WebSocket URL: ws://localhost:${PORT}`);
+        console.log(`[Server] Press Ctrl+C to stop`);
+    });
+    
+    // Graceful shutdown
+    process.on('SIGINT', () => {
+        console.log('\n[Server] Shutting down...');
+        
+        // Notify all clients and close their connections
+        multiplayerServer.stop();
+        
+        server.close(() => {
+            console.log('[Server] Server stopped');
+            process.exit(0);
+        });
     });
-});
\ No newline at end of file
+}
+
+// Make available to pages (with LoopbackTransport) and Node scripts
+if (typeof window !== 'undefined') {
+    window.createMultiplayerServer = createMultiplayerServer;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { createMultiplayerServer };
+}
+
+})();